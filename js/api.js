@@ -2235,6 +2235,7 @@ const syncProviderChain = async ({ showProgress = false, forceSync = false } = {
         catch (err) { console.warn("Hourly backfill failed:", err.message); }
       }
       if (typeof updateAllSparklines === "function") updateAllSparklines();
+      if (typeof evaluatePriceAlerts === "function") evaluatePriceAlerts("spot");
     }
   } finally {
     if (showProgress) {
@@ -0,0 +1,420 @@
+// ARGON2ID KEY DERIVATION
+// =============================================================================
+// Argon2id (RFC 9106, version 0x13) for the vault's key slots.
+//
+// The memory-hard part — the 1 KiB block compression, called once per block
+// per pass — runs in a tiny WebAssembly module assembled below at load time.
+// Nothing is fetched, so it works offline and from the service-worker cache.
+// BLAKE2b is only needed for the initial hash and the variable-length output
+// (a few dozen calls per derivation) and stays in plain JS on BigInt.
+//
+// argon2idAvailable() is false when the browser has no WebAssembly; the vault
+// falls back to PBKDF2 in that case.
+// =============================================================================
+
+/** @constant {number} ARGON2_VERSION - Algorithm version written into H0 (0x13 = 1.3) */
+const ARGON2_VERSION = 0x13;
+
+/** @constant {number} ARGON2_TYPE_ID - Argon2id */
+const ARGON2_TYPE_ID = 2;
+
+/** @constant {number} ARGON2_SYNC_POINTS - Segments per lane per pass */
+const ARGON2_SYNC_POINTS = 4;
+
+// Fixed WebAssembly memory layout (bytes). The compression scratch space sits
+// below the block area so a single module works for any memory cost.
+const _ARGON2_SCRATCH_R = 0;
+const _ARGON2_SCRATCH_W = 1024;
+const _ARGON2_ZERO_BLOCK = 2048;
+const _ARGON2_INPUT_BLOCK = 3072;
+const _ARGON2_ADDRESS_BLOCK = 4096;
+const _ARGON2_BLOCKS = 5120;
+
+// =============================================================================
+// BLAKE2b (RFC 7693)
+// =============================================================================
+
+const _B2B_MASK = 0xffffffffffffffffn;
+
+const _B2B_IV = [
+  0x6a09e667f3bcc908n, 0xbb67ae8584caa73bn, 0x3c6ef372fe94f82bn, 0xa54ff53a5f1d36f1n,
+  0x510e527fade682d1n, 0x9b05688c2b3e6c1fn, 0x1f83d9abfb41bd6bn, 0x5be0cd19137e2179n,
+];
+
+const _B2B_SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+];
+
+const _b2bRotr = (x, n) => ((x >> n) | (x << (64n - n))) & _B2B_MASK;
+
+const _b2bMix = (v, a, b, c, d, x, y) => {
+  v[a] = (v[a] + v[b] + x) & _B2B_MASK;
+  v[d] = _b2bRotr(v[d] ^ v[a], 32n);
+  v[c] = (v[c] + v[d]) & _B2B_MASK;
+  v[b] = _b2bRotr(v[b] ^ v[c], 24n);
+  v[a] = (v[a] + v[b] + y) & _B2B_MASK;
+  v[d] = _b2bRotr(v[d] ^ v[a], 16n);
+  v[c] = (v[c] + v[d]) & _B2B_MASK;
+  v[b] = _b2bRotr(v[b] ^ v[c], 63n);
+};
+
+/**
+ * BLAKE2b compression of one 128-byte block into the state h.
+ * @param {bigint[]} h - 8-word state, updated in place
+ * @param {Uint8Array} block - 128 bytes
+ * @param {number} counter - Bytes hashed so far, including this block
+ * @param {boolean} last - Final block flag
+ */
+const _b2bCompress = (h, block, counter, last) => {
+  const view = new DataView(block.buffer, block.byteOffset, 128);
+  const m = [];
+  for (let i = 0; i < 16; i++) m.push(view.getBigUint64(i * 8, true));
+  const v = h.concat(_B2B_IV);
+  v[12] ^= BigInt(counter);
+  if (last) v[14] ^= _B2B_MASK;
+  for (let r = 0; r < 12; r++) {
+    const s = _B2B_SIGMA[r % 10];
+    _b2bMix(v, 0, 4, 8, 12, m[s[0]], m[s[1]]);
+    _b2bMix(v, 1, 5, 9, 13, m[s[2]], m[s[3]]);
+    _b2bMix(v, 2, 6, 10, 14, m[s[4]], m[s[5]]);
+    _b2bMix(v, 3, 7, 11, 15, m[s[6]], m[s[7]]);
+    _b2bMix(v, 0, 5, 10, 15, m[s[8]], m[s[9]]);
+    _b2bMix(v, 1, 6, 11, 12, m[s[10]], m[s[11]]);
+    _b2bMix(v, 2, 7, 8, 13, m[s[12]], m[s[13]]);
+    _b2bMix(v, 3, 4, 9, 14, m[s[14]], m[s[15]]);
+  }
+  for (let i = 0; i < 8; i++) h[i] ^= v[i] ^ v[i + 8];
+};
+
+/**
+ * Unkeyed BLAKE2b.
+ * @param {Uint8Array} input
+ * @param {number} outLen - 1..64
+ * @returns {Uint8Array}
+ */
+const blake2b = (input, outLen) => {
+  const h = _B2B_IV.slice();
+  h[0] ^= 0x01010000n ^ BigInt(outLen);
+  let offset = 0;
+  while (input.length - offset > 128) {
+    _b2bCompress(h, input.subarray(offset, offset + 128), offset + 128, false);
+    offset += 128;
+  }
+  const last = new Uint8Array(128);
+  last.set(input.subarray(offset));
+  _b2bCompress(h, last, input.length, true);
+
+  const out = new Uint8Array(64);
+  const view = new DataView(out.buffer);
+  h.forEach((word, i) => view.setBigUint64(i * 8, word, true));
+  return out.slice(0, outLen);
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const _argon2Le32 = (n) => new Uint8Array([n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff]);
+
+const _argon2Concat = (parts) => {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let pos = 0;
+  parts.forEach((p) => { out.set(p, pos); pos += p.length; });
+  return out;
+};
+
+/**
+ * Variable-length hash H' (RFC 9106 §3.3).
+ * @param {Uint8Array} input
+ * @param {number} outLen
+ * @returns {Uint8Array}
+ */
+const _argon2Hprime = (input, outLen) => {
+  const prefixed = _argon2Concat([_argon2Le32(outLen), input]);
+  if (outLen <= 64) return blake2b(prefixed, outLen);
+  const out = new Uint8Array(outLen);
+  let v = blake2b(prefixed, 64);
+  out.set(v.subarray(0, 32), 0);
+  let pos = 32;
+  while (outLen - pos > 64) {
+    v = blake2b(v, 64);
+    out.set(v.subarray(0, 32), pos);
+    pos += 32;
+  }
+  out.set(blake2b(v, outLen - pos), pos);
+  return out;
+};
+
+/**
+ * High 32 bits of the 64-bit product of two uint32 values.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+const _argon2MulHi = (a, b) => {
+  const al = a & 0xffff, ah = a >>> 16, bl = b & 0xffff, bh = b >>> 16;
+  const lh = al * bh, hl = ah * bl;
+  const mid = ((al * bl) >>> 16) + (lh & 0xffff) + (hl & 0xffff);
+  return ah * bh + (lh >>> 16) + (hl >>> 16) + Math.floor(mid / 65536);
+};
+
+// =============================================================================
+// WEBASSEMBLY BLOCK COMPRESSION
+// =============================================================================
+// compress(x, y, out, xor): out = G(x, y), or out ^= G(x, y) when xor is -1.
+// Fully unrolled: 16 permutations of 8 BlaMka quarter-rounds on i64 locals.
+
+const _wasmUleb = (n) => {
+  const out = [];
+  do {
+    let byte = n & 0x7f;
+    n >>>= 7;
+    if (n !== 0) byte |= 0x80;
+    out.push(byte);
+  } while (n !== 0);
+  return out;
+};
+
+const _wasmSection = (id, bytes) => [id, ..._wasmUleb(bytes.length), ...bytes];
+
+/**
+ * Assemble the compression module's bytes.
+ * @returns {Uint8Array}
+ */
+const _argon2BuildWasm = () => {
+  const code = [];
+  // Locals: 0-3 params (x, y, out, xor), 4-19 v0..v15, 20 tmp, 21 xor mask
+  const get = (i) => code.push(0x20, i);
+  const set = (i) => code.push(0x21, i);
+  const load = (off) => code.push(0x29, 3, ..._wasmUleb(off));
+  const store = (off) => code.push(0x37, 3, ..._wasmUleb(off));
+  const zero = () => code.push(0x41, 0);
+
+  // a = a + b + 2 * lo32(a) * lo32(b)
+  const blamka = (a, b) => {
+    get(a); get(b); code.push(0x7c);
+    get(a); code.push(0xa7, 0xad);
+    get(b); code.push(0xa7, 0xad);
+    code.push(0x7e, 0x42, 1, 0x86, 0x7c);
+    set(a);
+  };
+  // d = rotr(d ^ a, n)
+  const xorRot = (d, a, n) => {
+    get(d); get(a); code.push(0x85, 0x42, n, 0x8a);
+    set(d);
+  };
+  const quarter = (a, b, c, d) => {
+    blamka(a, b); xorRot(d, a, 32);
+    blamka(c, d); xorRot(b, c, 24);
+    blamka(a, b); xorRot(d, a, 16);
+    blamka(c, d); xorRot(b, c, 63);
+  };
+  const permute = (indices) => {
+    indices.forEach((w, k) => { zero(); load(_ARGON2_SCRATCH_W + w * 8); set(4 + k); });
+    const v = (k) => 4 + k;
+    quarter(v(0), v(4), v(8), v(12));
+    quarter(v(1), v(5), v(9), v(13));
+    quarter(v(2), v(6), v(10), v(14));
+    quarter(v(3), v(7), v(11), v(15));
+    quarter(v(0), v(5), v(10), v(15));
+    quarter(v(1), v(6), v(11), v(12));
+    quarter(v(2), v(7), v(8), v(13));
+    quarter(v(3), v(4), v(9), v(14));
+    indices.forEach((w, k) => { zero(); get(4 + k); store(_ARGON2_SCRATCH_W + w * 8); });
+  };
+
+  // mask = sign-extend(xor)
+  get(3); code.push(0xac); set(21);
+  // R = x ^ y, saved twice: R stays for the final xor, W is permuted
+  for (let i = 0; i < 128; i++) {
+    zero(); get(0); load(i * 8); get(1); load(i * 8); code.push(0x85, 0x22, 20); store(_ARGON2_SCRATCH_R + i * 8);
+    zero(); get(20); store(_ARGON2_SCRATCH_W + i * 8);
+  }
+  // Rows, then columns, of the 8x8 matrix of 16-byte registers
+  for (let row = 0; row < 8; row++) {
+    permute(Array.from({ length: 16 }, (_, k) => row * 16 + k));
+  }
+  for (let col = 0; col < 8; col++) {
+    permute(Array.from({ length: 16 }, (_, k) => 2 * col + 16 * (k >> 1) + (k & 1)));
+  }
+  // out = W ^ R ^ (out & mask)
+  for (let i = 0; i < 128; i++) {
+    get(2);
+    zero(); load(_ARGON2_SCRATCH_W + i * 8);
+    zero(); load(_ARGON2_SCRATCH_R + i * 8); code.push(0x85);
+    get(2); load(i * 8); get(21); code.push(0x83, 0x85);
+    store(i * 8);
+  }
+  code.push(0x0b);
+
+  const body = [1, 18, 0x7e, ...code];
+  const name = (s) => [s.length, ...Array.from(s, (c) => c.charCodeAt(0))];
+  return new Uint8Array([
+    0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+    ..._wasmSection(1, [1, 0x60, 4, 0x7f, 0x7f, 0x7f, 0x7f, 0]),
+    ..._wasmSection(2, [1, ...name('env'), ...name('mem'), 0x02, 0x00, 1]),
+    ..._wasmSection(3, [1, 0]),
+    ..._wasmSection(7, [1, ...name('compress'), 0x00, 0]),
+    ..._wasmSection(10, [1, ..._wasmUleb(body.length), ...body]),
+  ]);
+};
+
+/** @type {WebAssembly.Module|null|undefined} Compiled module (null = unavailable) */
+let _argon2Module;
+
+const _argon2GetModule = () => {
+  if (_argon2Module === undefined) {
+    try {
+      _argon2Module = new WebAssembly.Module(_argon2BuildWasm());
+    } catch (err) {
+      _argon2Module = null;
+      if (typeof debugLog === 'function') debugLog('[Argon2] WebAssembly unavailable:', err.message);
+    }
+  }
+  return _argon2Module;
+};
+
+/**
+ * Whether Argon2id can run in this browser.
+ * @returns {boolean}
+ */
+const argon2idAvailable = () => typeof WebAssembly !== 'undefined' && !!_argon2GetModule();
+
+// =============================================================================
+// ARGON2ID
+// =============================================================================
+
+/**
+ * Derive an Argon2id tag. Runs synchronously — at the vault's default cost it
+ * takes a few hundred milliseconds, so vault.js caches the keys it derives.
+ * @param {string|Uint8Array} password
+ * @param {Uint8Array} salt - At least 8 bytes
+ * @param {Object} params
+ * @param {number} params.memory - Memory cost in KiB
+ * @param {number} params.iterations - Number of passes
+ * @param {number} [params.parallelism=1] - Lanes
+ * @param {number} [params.hashLength=32] - Tag length in bytes
+ * @param {Uint8Array} [params.secret] - Optional key K
+ * @param {Uint8Array} [params.ad] - Optional associated data X
+ * @returns {Uint8Array}
+ */
+const argon2id = (password, salt, params) => {
+  const module = _argon2GetModule();
+  if (!module) throw new Error('Argon2id needs WebAssembly, which this browser does not provide.');
+
+  const pwd = typeof password === 'string' ? new TextEncoder().encode(password) : password;
+  const lanes = params.parallelism || 1;
+  const passes = params.iterations;
+  const tagLength = params.hashLength || 32;
+  const secret = params.secret || new Uint8Array(0);
+  const ad = params.ad || new Uint8Array(0);
+  if (!(passes >= 1) || !(params.memory >= 8 * lanes) || salt.length < 8) {
+    throw new Error('Invalid Argon2id parameters.');
+  }
+
+  const segmentLength = Math.floor(params.memory / (lanes * ARGON2_SYNC_POINTS));
+  const laneLength = segmentLength * ARGON2_SYNC_POINTS;
+  const blockCount = laneLength * lanes;
+
+  const memory = new WebAssembly.Memory({ initial: Math.ceil((_ARGON2_BLOCKS + blockCount * 1024) / 65536) });
+  const compress = new WebAssembly.Instance(module, { env: { mem: memory } }).exports.compress;
+  const bytes = new Uint8Array(memory.buffer);
+  const words = new Uint32Array(memory.buffer);
+  const blockAt = (index) => _ARGON2_BLOCKS + index * 1024;
+
+  const h0 = blake2b(_argon2Concat([
+    _argon2Le32(lanes), _argon2Le32(tagLength), _argon2Le32(params.memory), _argon2Le32(passes),
+    _argon2Le32(ARGON2_VERSION), _argon2Le32(ARGON2_TYPE_ID),
+    _argon2Le32(pwd.length), pwd, _argon2Le32(salt.length), salt,
+    _argon2Le32(secret.length), secret, _argon2Le32(ad.length), ad,
+  ]), 64);
+
+  for (let lane = 0; lane < lanes; lane++) {
+    bytes.set(_argon2Hprime(_argon2Concat([h0, _argon2Le32(0), _argon2Le32(lane)]), 1024), blockAt(lane * laneLength));
+    bytes.set(_argon2Hprime(_argon2Concat([h0, _argon2Le32(1), _argon2Le32(lane)]), 1024), blockAt(lane * laneLength + 1));
+  }
+
+  const fillSegment = (pass, lane, slice) => {
+    // Argon2id: data-independent addressing for the first half of pass 0
+    const independent = pass === 0 && slice < 2;
+    const input = _ARGON2_INPUT_BLOCK / 4;
+    let counter = 0;
+    const nextAddresses = () => {
+      counter++;
+      words[input + 12] = counter;
+      compress(_ARGON2_ZERO_BLOCK, _ARGON2_INPUT_BLOCK, _ARGON2_ADDRESS_BLOCK, 0);
+      compress(_ARGON2_ZERO_BLOCK, _ARGON2_ADDRESS_BLOCK, _ARGON2_ADDRESS_BLOCK, 0);
+    };
+    if (independent) {
+      words.fill(0, input, input + 256);
+      words[input] = pass;
+      words[input + 2] = lane;
+      words[input + 4] = slice;
+      words[input + 6] = blockCount;
+      words[input + 8] = passes;
+      words[input + 10] = ARGON2_TYPE_ID;
+    }
+
+    let start = 0;
+    if (pass === 0 && slice === 0) {
+      start = 2;
+      if (independent) nextAddresses();
+    }
+    let cur = lane * laneLength + slice * segmentLength + start;
+    let prev = cur % laneLength === 0 ? cur + laneLength - 1 : cur - 1;
+
+    for (let i = start; i < segmentLength; i++, cur++, prev++) {
+      if (cur % laneLength === 1) prev = cur - 1;
+      let j1, j2;
+      if (independent) {
+        if (i % 128 === 0) nextAddresses();
+        j1 = words[_ARGON2_ADDRESS_BLOCK / 4 + (i % 128) * 2];
+        j2 = words[_ARGON2_ADDRESS_BLOCK / 4 + (i % 128) * 2 + 1];
+      } else {
+        j1 = words[blockAt(prev) / 4];
+        j2 = words[blockAt(prev) / 4 + 1];
+      }
+
+      const refLane = pass === 0 && slice === 0 ? lane : j2 % lanes;
+      const sameLane = refLane === lane;
+      let area;
+      if (pass === 0) {
+        if (slice === 0) area = i - 1;
+        else area = slice * segmentLength + (sameLane ? i - 1 : (i === 0 ? -1 : 0));
+      } else {
+        area = laneLength - segmentLength + (sameLane ? i - 1 : (i === 0 ? -1 : 0));
+      }
+      const relative = area - 1 - _argon2MulHi(area, _argon2MulHi(j1, j1));
+      const startPos = pass !== 0 && slice !== ARGON2_SYNC_POINTS - 1 ? (slice + 1) * segmentLength : 0;
+      const refIndex = (startPos + relative) % laneLength;
+
+      compress(blockAt(prev), blockAt(refLane * laneLength + refIndex), blockAt(cur), pass === 0 ? 0 : -1);
+    }
+  };
+
+  for (let pass = 0; pass < passes; pass++) {
+    for (let slice = 0; slice < ARGON2_SYNC_POINTS; slice++) {
+      for (let lane = 0; lane < lanes; lane++) fillSegment(pass, lane, slice);
+    }
+  }
+
+  const final = bytes.slice(blockAt(laneLength - 1), blockAt(laneLength));
+  for (let lane = 1; lane < lanes; lane++) {
+    const last = blockAt(lane * laneLength + laneLength - 1);
+    for (let i = 0; i < 1024; i++) final[i] ^= bytes[last + i];
+  }
+  return _argon2Hprime(final, tagLength);
+};
+
+window.blake2b = blake2b;
+window.argon2id = argon2id;
+window.argon2idAvailable = argon2idAvailable;
@@ -474,8 +474,9 @@ const generateLookupTable = (inventory, options = {}) => {
     let allTypes = inventoryTypes;
     
     if (usePrebuiltData) {
-      // Add pre-built names
-      const combinedNames = new Set([...inventoryNames, ...PREBUILT_LOOKUP_DATA]);
+      // Add pre-built names and local catalog entries (bullion-catalog.js)
+      const catalogNames = typeof getLocalCatalogNames === 'function' ? getLocalCatalogNames() : [];
+      const combinedNames = new Set([...inventoryNames, ...PREBUILT_LOOKUP_DATA, ...catalogNames]);
       allNames = Array.from(combinedNames).sort();
       
       // Add common purchase locations (if none exist)
@@ -950,6 +950,30 @@ const renderBulkFooter = () => {
   copyBtn.addEventListener('click', copySelectedItems);
   footer.appendChild(copyBtn);
 
+  // Share Selected button (share-bundle.js)
+  if (typeof openShareExportModal === 'function') {
+    const shareBtn = document.createElement('button');
+    shareBtn.type = 'button';
+    shareBtn.className = 'btn secondary';
+    shareBtn.textContent = 'Share Selected' + (count ? ' (' + count + ')' : '');
+    shareBtn.title = 'Export the selected items as a share file for an appraiser, heir or another collector';
+    shareBtn.disabled = count === 0;
+    shareBtn.addEventListener('click', shareSelectedItems);
+    footer.appendChild(shareBtn);
+  }
+
+  // Print Labels button (item-labels.js)
+  if (typeof openItemLabelsModal === 'function') {
+    const labelBtn = document.createElement('button');
+    labelBtn.type = 'button';
+    labelBtn.className = 'btn secondary';
+    labelBtn.textContent = 'Print Labels' + (count ? ' (' + count + ')' : '');
+    labelBtn.title = 'Print QR labels for the selected items on Avery label sheets';
+    labelBtn.disabled = count === 0;
+    labelBtn.addEventListener('click', labelSelectedItems);
+    footer.appendChild(labelBtn);
+  }
+
   // Delete Selected button (danger, pushed right)
   const deleteBtn = document.createElement('button');
   deleteBtn.type = 'button';
@@ -1161,6 +1185,18 @@ const copySelectedItems = async () => {
   renderBulkFooter();
 };
 
+const shareSelectedItems = () => {
+  if (bulkSelection.size === 0) return;
+  const items = inventory.filter(item => bulkSelection.has(String(item.serial)));
+  openShareExportModal(items, 'selected');
+};
+
+const labelSelectedItems = () => {
+  if (bulkSelection.size === 0) return;
+  const items = inventory.filter(item => bulkSelection.has(String(item.serial)));
+  openItemLabelsModal(items);
+};
+
 const deleteSelectedItems = async () => {
   const count = bulkSelection.size;
   if (count === 0) return;
@@ -1210,8 +1246,9 @@ const deleteSelectedItems = async () => {
 // =============================================================================
 
 const triggerBulkNumistaLookup = async () => {
-  if (!catalogAPI || !catalogAPI.activeProvider) {
-    if (typeof showCloudToast === 'function') showCloudToast('Configure Numista API key in Settings first.');
+  // Searches fall back to the local catalog when Numista is not configured
+  if (!catalogAPI) {
+    if (typeof showCloudToast === 'function') showCloudToast('Catalog search is not available.');
     return;
   }
 
@@ -0,0 +1,414 @@
+// BULLION CATALOG
+// =============================================================================
+// Bundled, versioned catalog of common bullion — sovereign coins, generic
+// bars and rounds, Goldback series — with weight, purity, mint, year range
+// and Numista N# where one exists. CatalogAPI searches it before Numista, so
+// item lookups work offline and without an API key, and autocomplete.js
+// suggests its names.
+//
+// Users can add their own entries (USER_CATALOG_KEY). They are searched ahead
+// of the bundled list and travel with backups and cloud sync. Bump
+// BULLION_CATALOG_VERSION whenever bundled entries change.
+// =============================================================================
+
+/** @constant {string} Version of the bundled entries below */
+const BULLION_CATALOG_VERSION = '2026.10.2';
+
+/** @constant {string[]} Words ignored when matching search queries */
+const _BULLION_CATALOG_STOP_WORDS = new Set(['bullion', 'coinage', 'coin', 'coins', 'the', 'of', 'and']);
+
+/** @constant {Array<{series: string, yearFrom: number}>} Goldback series in the bundled catalog */
+const _BULLION_CATALOG_GOLDBACK_SERIES = [
+  { series: 'Utah', yearFrom: 2019 },
+  { series: 'New Hampshire', yearFrom: 2020 },
+  { series: 'Nevada', yearFrom: 2020 },
+  { series: 'Wyoming', yearFrom: 2022 },
+  { series: 'South Dakota', yearFrom: 2022 },
+  { series: 'Florida', yearFrom: 2023 },
+];
+
+/**
+ * Bundled catalog entries. `weight` is fine metal content in troy ounces, or
+ * Goldbacks when `weightUnit` is 'gb', so 22k coins carry purity 1 rather
+ * than 0.9167 (see wiki/data-model.md). `yearTo` null means still minted.
+ * `numistaId` is null where Numista has no single type for the series.
+ * @constant {Array<Object>}
+ */
+const BULLION_CATALOG = Object.freeze([
+  // === Silver coins ===
+  { id: 'local-ase-t1', name: 'American Silver Eagle 1 oz (Type 1)', aliases: ['ASE', 'Silver Eagle'], metal: 'Silver', type: 'Coin', weight: 1, purity: 0.999, mint: 'US Mint', country: 'United States', denomination: '1 Dollar', yearFrom: 1986, yearTo: 2021, numistaId: '1493' },
+  { id: 'local-ase-t2', name: 'American Silver Eagle 1 oz (Type 2)', aliases: ['ASE', 'Silver Eagle', 'New Reverse'], metal: 'Silver', type: 'Coin', weight: 1, purity: 0.999, mint: 'US Mint', country: 'United States', denomination: '1 Dollar', yearFrom: 2021, yearTo: null, numistaId: '298883' },
+  { id: 'local-sml', name: 'Canadian Silver Maple Leaf 1 oz', aliases: ['SML', 'Maple'], metal: 'Silver', type: 'Coin', weight: 1, purity: 0.9999, mint: 'Royal Canadian Mint', country: 'Canada', denomination: '5 Dollars', yearFrom: 1988, yearTo: null, numistaId: '18655' },
+  { id: 'local-silver-britannia', name: 'British Silver Britannia 1 oz', aliases: ['Britannia'], metal: 'Silver', type: 'Coin', weight: 1, purity: 0.999, mint: 'The Royal Mint', country: 'United Kingdom', denomination: '2 Pounds', yearFrom: 2013, yearTo: null, numistaId: '13410' },
+  { id: 'local-silver-philharmonic', name: 'Austrian Silver Philharmonic 1 oz', aliases: ['Philharmonic'], metal: 'Silver', type: 'Coin', weight: 1, purity: 0.999, mint: 'Austrian Mint', country: 'Austria', denomination: '1.50 Euro', yearFrom: 2008, yearTo: null, numistaId: '9165' },
+  { id: 'local-silver-krugerrand', name: 'South African Silver Krugerrand 1 oz', aliases: ['Krugerrand'], metal: 'Silver', type: 'Coin', weight: 1, purity: 0.999, mint: 'South African Mint', country: 'South Africa', denomination: '1 Rand', yearFrom: 2017, yearTo: null, numistaId: '143754' },
+  { id: 'local-silver-libertad', name: 'Mexican Silver Libertad 1 oz', aliases: ['Libertad', 'Onza'], metal: 'Silver', type: 'Coin', weight: 1, purity: 0.999, mint: 'Casa de Moneda de México', country: 'Mexico', denomination: '1 Onza', yearFrom: 1982, yearTo: null, numistaId: '13855' },
+
+  // === Gold coins ===
+  { id: 'local-age-1oz', name: 'American Gold Eagle 1 oz', aliases: ['AGE', 'Gold Eagle'], metal: 'Gold', type: 'Coin', weight: 1, purity: 1, mint: 'US Mint', country: 'United States', denomination: '50 Dollars', yearFrom: 1986, yearTo: null, numistaId: '23134' },
+  { id: 'local-age-half', name: 'American Gold Eagle 1/2 oz', aliases: ['AGE', 'Gold Eagle'], metal: 'Gold', type: 'Coin', weight: 0.5, purity: 1, mint: 'US Mint', country: 'United States', denomination: '25 Dollars', yearFrom: 1986, yearTo: null, numistaId: '21899' },
+  { id: 'local-age-quarter', name: 'American Gold Eagle 1/4 oz', aliases: ['AGE', 'Gold Eagle'], metal: 'Gold', type: 'Coin', weight: 0.25, purity: 1, mint: 'US Mint', country: 'United States', denomination: '10 Dollars', yearFrom: 1986, yearTo: null, numistaId: '25416' },
+  { id: 'local-age-tenth', name: 'American Gold Eagle 1/10 oz', aliases: ['AGE', 'Gold Eagle'], metal: 'Gold', type: 'Coin', weight: 0.1, purity: 1, mint: 'US Mint', country: 'United States', denomination: '5 Dollars', yearFrom: 1986, yearTo: null, numistaId: '10493' },
+  { id: 'local-agb', name: 'American Gold Buffalo 1 oz', aliases: ['AGB', 'Buffalo'], metal: 'Gold', type: 'Coin', weight: 1, purity: 0.9999, mint: 'US Mint', country: 'United States', denomination: '50 Dollars', yearFrom: 2006, yearTo: null, numistaId: '18451' },
+  { id: 'local-gml-1oz', name: 'Canadian Gold Maple Leaf 1 oz', aliases: ['GML', 'Maple'], metal: 'Gold', type: 'Coin', weight: 1, purity: 0.9999, mint: 'Royal Canadian Mint', country: 'Canada', denomination: '50 Dollars', yearFrom: 1979, yearTo: null, numistaId: '32727' },
+  { id: 'local-gold-krugerrand-1oz', name: 'South African Gold Krugerrand 1 oz', aliases: ['Krugerrand', 'Krug'], metal: 'Gold', type: 'Coin', weight: 1, purity: 1, mint: 'South African Mint', country: 'South Africa', denomination: '', yearFrom: 1967, yearTo: null, numistaId: '6002' },
+  { id: 'local-gold-krugerrand-half', name: 'South African Gold Krugerrand 1/2 oz', aliases: ['Krugerrand', 'Krug'], metal: 'Gold', type: 'Coin', weight: 0.5, purity: 1, mint: 'South African Mint', country: 'South Africa', denomination: '', yearFrom: 1980, yearTo: null, numistaId: null },
+  { id: 'local-gold-krugerrand-quarter', name: 'South African Gold Krugerrand 1/4 oz', aliases: ['Krugerrand', 'Krug'], metal: 'Gold', type: 'Coin', weight: 0.25, purity: 1, mint: 'South African Mint', country: 'South Africa', denomination: '', yearFrom: 1980, yearTo: null, numistaId: null },
+  { id: 'local-gold-krugerrand-tenth', name: 'South African Gold Krugerrand 1/10 oz', aliases: ['Krugerrand', 'Krug'], metal: 'Gold', type: 'Coin', weight: 0.1, purity: 1, mint: 'South African Mint', country: 'South Africa', denomination: '', yearFrom: 1980, yearTo: null, numistaId: null },
+  { id: 'local-gold-britannia-1oz', name: 'British Gold Britannia 1 oz', aliases: ['Britannia'], metal: 'Gold', type: 'Coin', weight: 1, purity: 0.9999, mint: 'The Royal Mint', country: 'United Kingdom', denomination: '100 Pounds', yearFrom: 2013, yearTo: null, numistaId: null },
+  { id: 'local-gold-philharmonic-1oz', name: 'Austrian Gold Philharmonic 1 oz', aliases: ['Philharmonic'], metal: 'Gold', type: 'Coin', weight: 1, purity: 0.9999, mint: 'Austrian Mint', country: 'Austria', denomination: '100 Euro', yearFrom: 1989, yearTo: null, numistaId: '23519' },
+
+  // === Platinum & palladium coins ===
+  { id: 'local-ape-1oz', name: 'American Platinum Eagle 1 oz', aliases: ['APE', 'Platinum Eagle'], metal: 'Platinum', type: 'Coin', weight: 1, purity: 0.9995, mint: 'US Mint', country: 'United States', denomination: '100 Dollars', yearFrom: 1997, yearTo: null, numistaId: '23137' },
+  { id: 'local-pml-1oz', name: 'Canadian Platinum Maple Leaf 1 oz', aliases: ['Maple'], metal: 'Platinum', type: 'Coin', weight: 1, purity: 0.9995, mint: 'Royal Canadian Mint', country: 'Canada', denomination: '50 Dollars', yearFrom: 1988, yearTo: null, numistaId: '67528' },
+  { id: 'local-apde-1oz', name: 'American Palladium Eagle 1 oz', aliases: ['Palladium Eagle'], metal: 'Palladium', type: 'Coin', weight: 1, purity: 0.9995, mint: 'US Mint', country: 'United States', denomination: '25 Dollars', yearFrom: 2017, yearTo: null, numistaId: '173899' },
+
+  // === Generic bars & rounds ===
+  { id: 'local-silver-round-1oz', name: 'Generic Silver Round 1 oz', aliases: ['Generic'], metal: 'Silver', type: 'Round', weight: 1, purity: 0.999, mint: 'Various', country: '', denomination: '', yearFrom: null, yearTo: null, numistaId: null },
+  { id: 'local-silver-bar-1oz', name: 'Generic Silver Bar 1 oz', aliases: ['Generic'], metal: 'Silver', type: 'Bar', weight: 1, purity: 0.999, mint: 'Various', country: '', denomination: '', yearFrom: null, yearTo: null, numistaId: null },
+  { id: 'local-silver-bar-10oz', name: 'Generic Silver Bar 10 oz', aliases: ['Generic'], metal: 'Silver', type: 'Bar', weight: 10, purity: 0.999, mint: 'Various', country: '', denomination: '', yearFrom: null, yearTo: null, numistaId: null },
+  { id: 'local-silver-bar-100oz', name: 'Generic Silver Bar 100 oz', aliases: ['Generic'], metal: 'Silver', type: 'Bar', weight: 100, purity: 0.999, mint: 'Various', country: '', denomination: '', yearFrom: null, yearTo: null, numistaId: null },
+  { id: 'local-silver-bar-1kg', name: 'Generic Silver Bar 1 kg', aliases: ['Generic', 'Kilo'], metal: 'Silver', type: 'Bar', weight: 32.1507, purity: 0.999, mint: 'Various', country: '', denomination: '', yearFrom: null, yearTo: null, numistaId: null },
+  { id: 'local-gold-bar-1g', name: 'Generic Gold Bar 1 g', aliases: ['Generic'], metal: 'Gold', type: 'Bar', weight: 0.0322, purity: 0.9999, mint: 'Various', country: '', denomination: '', yearFrom: null, yearTo: null, numistaId: null },
+  { id: 'local-gold-bar-1oz', name: 'Generic Gold Bar 1 oz', aliases: ['Generic'], metal: 'Gold', type: 'Bar', weight: 1, purity: 0.9999, mint: 'Various', country: '', denomination: '', yearFrom: null, yearTo: null, numistaId: null },
+  { id: 'local-gold-bar-10oz', name: 'Generic Gold Bar 10 oz', aliases: ['Generic'], metal: 'Gold', type: 'Bar', weight: 10, purity: 0.9999, mint: 'Various', country: '', denomination: '', yearFrom: null, yearTo: null, numistaId: null },
+  { id: 'local-platinum-bar-1oz', name: 'Generic Platinum Bar 1 oz', aliases: ['Generic'], metal: 'Platinum', type: 'Bar', weight: 1, purity: 0.9995, mint: 'Various', country: '', denomination: '', yearFrom: null, yearTo: null, numistaId: null },
+
+  // === Goldbacks — one entry per series and common denomination ===
+  ..._BULLION_CATALOG_GOLDBACK_SERIES.flatMap(({ series, yearFrom }) => [1, 5, 10, 25, 50].map(denom => ({
+    id: `local-goldback-${series.toLowerCase().replace(/\s+/g, '-')}-${denom}`,
+    name: `${series} Goldback ${denom}`,
+    aliases: ['Goldback', 'Aurum'],
+    metal: 'Gold',
+    type: 'Aurum',
+    weight: denom,
+    weightUnit: 'gb',
+    purity: 1,
+    mint: 'Goldback Inc.',
+    country: 'United States',
+    denomination: `${denom} Goldback`,
+    yearFrom,
+    yearTo: null,
+    numistaId: null,
+  }))),
+].map(entry => Object.freeze(entry)));
+
+// =============================================================================
+// USER ENTRIES
+// =============================================================================
+
+/**
+ * Returns the user's own catalog entries.
+ * @returns {Array<Object>}
+ */
+const getUserCatalogEntries = () => {
+  const stored = loadDataSync(USER_CATALOG_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(e => e && typeof e.id === 'string' && typeof e.name === 'string' && e.name.trim());
+};
+
+/**
+ * Validate and tidy a user catalog entry.
+ * @param {Object} entry - Raw entry (form values)
+ * @returns {{ entry: (Object|undefined), error: (string|undefined) }}
+ */
+const _normalizeUserCatalogEntry = (entry) => {
+  const name = String(entry.name || '').trim();
+  if (!name) return { error: 'Name is required.' };
+  const metal = String(entry.metal || '').trim();
+  if (!['Silver', 'Gold', 'Platinum', 'Palladium'].includes(metal)) return { error: 'Choose a metal.' };
+  const weightUnit = entry.weightUnit === 'gb' ? 'gb' : 'oz';
+  const weight = parseFloat(entry.weight);
+  if (!(weight > 0)) return { error: 'Weight must be greater than zero.' };
+  const purity = entry.purity === '' || entry.purity == null ? 1 : parseFloat(entry.purity);
+  if (!(purity > 0 && purity <= 1)) return { error: 'Purity must be between 0 and 1 (e.g. 0.999).' };
+  const yearFrom = parseInt(entry.yearFrom, 10) || null;
+  const yearTo = parseInt(entry.yearTo, 10) || null;
+  if (yearFrom && yearTo && yearTo < yearFrom) return { error: 'The last year is before the first.' };
+  const numistaId = String(entry.numistaId || '').replace(/^N#\s*/i, '').trim();
+  if (numistaId && !/^\d+$/.test(numistaId)) return { error: 'Numista N# must be a number.' };
+
+  return {
+    entry: {
+      name,
+      aliases: Array.isArray(entry.aliases) ? entry.aliases.filter(Boolean).map(String) : [],
+      metal,
+      type: String(entry.type || 'Other'),
+      weight,
+      weightUnit,
+      purity,
+      mint: String(entry.mint || '').trim(),
+      country: String(entry.country || '').trim(),
+      denomination: String(entry.denomination || '').trim(),
+      yearFrom,
+      yearTo,
+      numistaId: numistaId || null,
+    },
+  };
+};
+
+/**
+ * Add a user catalog entry, or update one when `entry.id` matches.
+ * @param {Object} entry - Entry fields (name, metal, type, weight, purity, mint, numistaId, …)
+ * @returns {{ success: boolean, id: (string|undefined), error: (string|undefined) }}
+ */
+const saveUserCatalogEntry = (entry) => {
+  const { entry: clean, error } = _normalizeUserCatalogEntry(entry || {});
+  if (error) return { success: false, error };
+
+  const list = getUserCatalogEntries();
+  const existing = entry.id ? list.findIndex(e => e.id === entry.id) : -1;
+  const id = existing >= 0 ? entry.id : 'user-' + generateUUID();
+  const record = { id, ...clean, updatedAt: new Date().toISOString() };
+  if (existing >= 0) list[existing] = record;
+  else list.push(record);
+
+  saveDataSync(USER_CATALOG_KEY, list);
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+  if (typeof registerName === 'function') registerName(record.name);
+  if (typeof clearLookupCache === 'function') clearLookupCache();
+  return { success: true, id };
+};
+
+/**
+ * Delete a user catalog entry.
+ * @param {string} id
+ */
+const removeUserCatalogEntry = (id) => {
+  saveDataSync(USER_CATALOG_KEY, getUserCatalogEntries().filter(e => e.id !== id));
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+  if (typeof clearLookupCache === 'function') clearLookupCache();
+};
+
+// =============================================================================
+// SEARCH
+// =============================================================================
+
+/**
+ * All local entries, user entries first.
+ * @returns {Array<Object>}
+ */
+const getLocalCatalogEntries = () => [
+  ...getUserCatalogEntries().map(e => ({ ...e, source: 'user' })),
+  ...BULLION_CATALOG.map(e => ({ ...e, source: 'bundled' })),
+];
+
+/**
+ * Entry names for autocomplete suggestions.
+ * @returns {string[]}
+ */
+const getLocalCatalogNames = () => [...new Set(getLocalCatalogEntries().map(e => e.name))];
+
+/**
+ * Split a search query into lower-case match tokens. Quotes and Numista
+ * filler words ("Bullion", "Coinage") are dropped, so the rewritten queries
+ * from numista-lookup.js match too.
+ * @param {string} query
+ * @returns {string[]}
+ */
+const _localCatalogTokens = (query) => String(query || '')
+  .toLowerCase()
+  .replace(/["“”()]/g, ' ')
+  .split(/\s+/)
+  .filter(t => t && !_BULLION_CATALOG_STOP_WORDS.has(t));
+
+/**
+ * Search the local catalog. Every query word must appear in the entry's name,
+ * aliases, metal, type, mint, country or denomination.
+ * @param {string} query - Search text
+ * @param {Object} [filters={}]
+ * @param {string} [filters.metal] - Only entries of this metal
+ * @param {number} [filters.limit=20]
+ * @returns {Array<Object>} Matching entries, best first
+ */
+const searchLocalCatalog = (query, filters = {}) => {
+  const tokens = _localCatalogTokens(query);
+  if (!tokens.length) return [];
+  const phrase = tokens.join(' ');
+  const metal = filters.metal ? String(filters.metal).toLowerCase() : '';
+
+  return getLocalCatalogEntries()
+    .filter(e => !metal || e.metal.toLowerCase() === metal)
+    .map((e, order) => {
+      const name = e.name.toLowerCase();
+      const haystack = [name, ...(e.aliases || []), e.metal, e.type, e.mint, e.country, e.denomination]
+        .join(' ').toLowerCase();
+      if (!tokens.every(t => haystack.includes(t))) return null;
+      const score = (name.startsWith(phrase) ? 3 : name.includes(phrase) ? 2 : 0)
+        + tokens.filter(t => name.includes(t)).length / tokens.length;
+      return { entry: e, score, order };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, filters.limit || 20)
+    .map(m => m.entry);
+};
+
+/**
+ * Find a local entry by its id or Numista N#.
+ * @param {string} idOrNumistaId - 'local-…' / 'user-…' id, or an N#
+ * @returns {Object|null}
+ */
+const findLocalCatalogEntry = (idOrNumistaId) => {
+  const key = String(idOrNumistaId || '').replace(/^N#\s*/i, '').trim();
+  if (!key) return null;
+  const entries = getLocalCatalogEntries();
+  return entries.find(e => e.id === key) || entries.find(e => e.numistaId && e.numistaId === key) || null;
+};
+
+/**
+ * Year range label, e.g. "1986–2021" or "2021–".
+ * @param {Object} entry
+ * @returns {string}
+ */
+const formatLocalCatalogYears = (entry) => {
+  if (!entry.yearFrom) return '';
+  if (entry.yearTo === entry.yearFrom) return String(entry.yearFrom);
+  return `${entry.yearFrom}–${entry.yearTo || ''}`;
+};
+
+/**
+ * Convert a local entry to the standardized catalog item shape used for
+ * Numista results (see NumistaProvider.normalizeItemData). `catalogId` is the
+ * Numista N# (empty when unknown); `localCatalogId` is the entry id. Weight
+ * stays in the entry's unit — `weightUnit` is 'oz' or 'gb' — where Numista
+ * results carry grams and no unit.
+ * @param {Object} entry
+ * @returns {Object}
+ */
+const localCatalogEntryToItem = (entry) => ({
+  catalogId: entry.numistaId || '',
+  localCatalogId: entry.id,
+  name: entry.name,
+  year: '',
+  yearRange: formatLocalCatalogYears(entry),
+  country: entry.country || '',
+  metal: entry.metal,
+  weight: entry.weight,
+  weightUnit: entry.weightUnit === 'gb' ? 'gb' : 'oz',
+  purity: entry.purity,
+  mint: entry.mint || '',
+  type: entry.type,
+  denomination: entry.denomination || '',
+  estimatedValue: 0,
+  imageUrl: '',
+  reverseImageUrl: '',
+  description: [entry.mint, entry.country].filter(Boolean).join(', '),
+  tags: [],
+  provider: 'Local',
+  source: entry.source || 'bundled',
+  catalogVersion: entry.source === 'user' ? '' : BULLION_CATALOG_VERSION,
+  lastUpdated: new Date().toISOString(),
+});
+
+// =============================================================================
+// SETTINGS — Settings → Search → Local catalog
+// =============================================================================
+
+/**
+ * Render the local catalog summary and the user entry table.
+ */
+const renderLocalCatalogSettings = () => {
+  const count = document.getElementById('localCatalogCount');
+  if (count) count.textContent = `${BULLION_CATALOG.length} built-in entries · v${BULLION_CATALOG_VERSION}`;
+
+  const container = document.getElementById('userCatalogTableContainer');
+  if (!container) return;
+  const entries = getUserCatalogEntries();
+  container.textContent = '';
+
+  if (!entries.length) {
+    const empty = document.createElement('div');
+    empty.className = 'chip-grouping-empty';
+    empty.textContent = 'No custom entries';
+    container.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'chip-grouping-table';
+  const tbody = document.createElement('tbody');
+  for (const entry of entries) {
+    const tr = document.createElement('tr');
+
+    const tdName = document.createElement('td');
+    tdName.textContent = entry.name;
+
+    const tdDetail = document.createElement('td');
+    tdDetail.style.cssText = 'font-size:0.85rem;opacity:0.7';
+    tdDetail.textContent = [
+      entry.metal,
+      `${entry.weight} ${entry.weightUnit === 'gb' ? 'gb' : 'oz'}`,
+      entry.purity < 1 ? `.${String(entry.purity).split('.')[1] || ''}` : '',
+      entry.numistaId ? `N#${entry.numistaId}` : '',
+    ].filter(Boolean).join(' · ');
+
+    const tdDelete = document.createElement('td');
+    tdDelete.style.cssText = 'width:2rem;text-align:center';
+    const delBtn = document.createElement('button');
+    delBtn.type = 'button';
+    delBtn.className = 'inline-chip-move';
+    delBtn.textContent = '✕';
+    delBtn.title = 'Delete entry';
+    delBtn.addEventListener('click', () => {
+      removeUserCatalogEntry(entry.id);
+      renderLocalCatalogSettings();
+    });
+    tdDelete.appendChild(delBtn);
+
+    tr.append(tdName, tdDetail, tdDelete);
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  container.appendChild(table);
+};
+
+/**
+ * Wires the local catalog settings form. Called once from events.js.
+ */
+const setupLocalCatalogSettings = () => {
+  const addBtn = document.getElementById('addUserCatalogBtn');
+  if (!addBtn) return;
+  const field = (id) => document.getElementById(id);
+
+  addBtn.addEventListener('click', () => {
+    const years = (field('userCatalogYears')?.value || '').match(/^\s*(\d{4})\s*(?:[-–]\s*(\d{4})?)?\s*$/);
+    if (field('userCatalogYears')?.value.trim() && !years) {
+      appAlert('Years should look like 2015 or 2015-2020.');
+      return;
+    }
+    const result = saveUserCatalogEntry({
+      name: field('userCatalogName')?.value,
+      metal: field('userCatalogMetal')?.value,
+      type: field('userCatalogType')?.value,
+      weight: field('userCatalogWeight')?.value,
+      purity: field('userCatalogPurity')?.value,
+      mint: field('userCatalogMint')?.value,
+      yearFrom: years ? years[1] : null,
+      yearTo: years ? (years[2] || (/[-–]/.test(years[0]) ? null : years[1])) : null,
+      numistaId: field('userCatalogNumistaId')?.value,
+    });
+    if (!result.success) {
+      appAlert(result.error);
+      return;
+    }
+    ['userCatalogName', 'userCatalogWeight', 'userCatalogPurity', 'userCatalogMint', 'userCatalogYears', 'userCatalogNumistaId']
+      .forEach(id => { if (field(id)) field(id).value = ''; });
+    renderLocalCatalogSettings();
+  });
+};
+
+// Expose globally
+window.BULLION_CATALOG_VERSION = BULLION_CATALOG_VERSION;
+window.BULLION_CATALOG = BULLION_CATALOG;
+window.getUserCatalogEntries = getUserCatalogEntries;
+window.saveUserCatalogEntry = saveUserCatalogEntry;
+window.removeUserCatalogEntry = removeUserCatalogEntry;
+window.getLocalCatalogEntries = getLocalCatalogEntries;
+window.getLocalCatalogNames = getLocalCatalogNames;
+window.searchLocalCatalog = searchLocalCatalog;
+window.findLocalCatalogEntry = findLocalCatalogEntry;
+window.formatLocalCatalogYears = formatLocalCatalogYears;
+window.localCatalogEntryToItem = localCatalogEntryToItem;
+window.renderLocalCatalogSettings = renderLocalCatalogSettings;
+window.setupLocalCatalogSettings = setupLocalCatalogSettings;
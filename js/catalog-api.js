@@ -678,9 +678,9 @@ class NumistaProvider extends CatalogProvider {
 }
 
 /**
-/**
- * Local Provider (Fallback)
- * Uses local data when external APIs are unavailable
+ * Local Provider
+ * Searches the bundled and user bullion catalog (bullion-catalog.js) plus
+ * Numista items cached from earlier lookups. Needs no network or API key.
  */
 class LocalProvider extends CatalogProvider {
   constructor() {
@@ -704,19 +704,25 @@ class LocalProvider extends CatalogProvider {
   }
 
   async lookupItem(catalogId) {
+    // Cached Numista data is richer (images, tags), so it wins over the catalog
     const item = this.localData[catalogId];
-    if (!item) {
-      throw new Error(`Item ${catalogId} not found in local cache`);
-    }
-    return item;
+    if (item) return item;
+    const entry = typeof findLocalCatalogEntry === 'function' ? findLocalCatalogEntry(catalogId) : null;
+    if (entry) return localCatalogEntryToItem(entry);
+    throw new Error(`Item ${catalogId} not found in local catalog`);
   }
 
   async searchItems(query, filters = {}) {
-    const results = Object.values(this.localData).filter(item => 
-      item.name.toLowerCase().includes(query.toLowerCase()) ||
-      item.description.toLowerCase().includes(query.toLowerCase())
+    const limit = filters.limit || 20;
+    const q = query.toLowerCase();
+    const catalog = typeof searchLocalCatalog === 'function'
+      ? searchLocalCatalog(query, { metal: filters.metal, limit }).map(localCatalogEntryToItem)
+      : [];
+    const cached = Object.values(this.localData).filter(item =>
+      (item.name || '').toLowerCase().includes(q) ||
+      (item.description || '').toLowerCase().includes(q)
     );
-    return results.slice(0, filters.limit || 20);
+    return [...catalog, ...cached].slice(0, limit);
   }
 
   async getMarketValue(catalogId) {
@@ -839,7 +845,8 @@ class CatalogAPI {
   }
 
   /**
-   * Lookup item with fallback chain
+   * Lookup item with fallback chain. Local catalog ids ('local-…', 'user-…')
+   * and lookups made while offline go straight to the local provider.
    * @param {string} catalogId - Catalog identifier
    * @param {Object} [options={}] - Options (e.g. { action: 'test' })
    * @returns {Promise<Object>} Standardized item data
@@ -847,9 +854,12 @@ class CatalogAPI {
   async lookupItem(catalogId, options = {}) {
     const startTime = Date.now();
     const action = options.action || 'lookup';
-    const providers = this.settings.enableFallback ?
-      [this.activeProvider, ...this.providers.filter(p => p !== this.activeProvider), this.localProvider] :
-      [this.activeProvider];
+    const localOnly = /^(local|user)-/.test(String(catalogId))
+      || (typeof navigator !== 'undefined' && navigator.onLine === false);
+    const providers = localOnly ? [this.localProvider]
+      : this.settings.enableFallback !== false ?
+        [this.activeProvider, ...this.providers.filter(p => p !== this.activeProvider), this.localProvider] :
+        [this.activeProvider];
 
     let lastError;
 
@@ -896,48 +906,60 @@ class CatalogAPI {
   }
 
   /**
-   * Search items with active provider
+   * Search items, local catalog first. Local matches (bullion-catalog.js and
+   * cached Numista items) lead the results, up to half the limit; the active
+   * provider's results follow when it is configured and the browser is
+   * online. A provider failure only throws when there were no local matches.
    * @param {string} query - Search term
    * @param {Object} filters - Search filters
    * @returns {Promise<Array>} Array of standardized item data
    */
   async searchItems(query, filters = {}) {
     const startTime = Date.now();
+    const limit = filters.limit || 20;
+    const local = await this.localProvider.searchItems(query, filters);
+    const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+    const remote = online ? this.activeProvider : null;
 
-    if (!this.activeProvider) {
+    if (!remote) {
       recordCatalogHistory({
         action: 'search',
         query,
-        result: 'fail',
-        itemCount: 0,
-        provider: '',
+        result: local.length ? 'success' : 'fail',
+        itemCount: local.length,
+        provider: this.localProvider.name,
         duration: Date.now() - startTime,
-        error: 'No catalog provider available',
+        error: local.length ? undefined : 'No local matches',
       });
-      throw new Error('No catalog provider available');
+      return local;
     }
 
     try {
-      const results = await this.activeProvider.searchItems(query, filters);
+      const results = await remote.searchItems(query, filters);
+      // Local matches take at most half the list so broad queries still show Numista
+      const lead = local.slice(0, Math.ceil(limit / 2));
+      const seen = new Set(lead.map(r => r.catalogId).filter(Boolean));
+      const merged = [...lead, ...results.filter(r => !r.catalogId || !seen.has(r.catalogId))].slice(0, limit);
       recordCatalogHistory({
         action: 'search',
         query,
         result: 'success',
-        itemCount: results.length,
-        provider: this.activeProvider.name,
+        itemCount: merged.length,
+        provider: local.length ? `${this.localProvider.name} + ${remote.name}` : remote.name,
         duration: Date.now() - startTime,
       });
-      return results;
+      return merged;
     } catch (error) {
       recordCatalogHistory({
         action: 'search',
         query,
-        result: 'fail',
-        itemCount: 0,
-        provider: this.activeProvider.name,
+        result: local.length ? 'success' : 'fail',
+        itemCount: local.length,
+        provider: local.length ? this.localProvider.name : remote.name,
         duration: Date.now() - startTime,
         error: error.message,
       });
+      if (local.length) return local;
       throw error;
     }
   }
@@ -1213,9 +1235,13 @@ const buildNumistaCatalogUrl = (catalogId) => {
 /**
  * Render catalog ID as a clickable link (when URL is available) or plain span.
  * @param {string} catalogId - Raw catalog ID from Numista
+ * @param {Object} [result] - The result, to label local catalog entries without an N#
  * @returns {string} HTML string
  */
-const renderCatalogIdAction = (catalogId) => {
+const renderCatalogIdAction = (catalogId, result = {}) => {
+  if (!catalogId && result.provider === 'Local') {
+    return `<span class="numista-result-id">Local catalog</span>`;
+  }
   const numistaUrl = buildNumistaCatalogUrl(catalogId);
   const catalogIdLabel = `N#${escapeHtmlCatalog(catalogId)}`;
   return numistaUrl
@@ -1223,6 +1249,19 @@ const renderCatalogIdAction = (catalogId) => {
     : `<span class="numista-result-id">${catalogIdLabel}</span>`;
 };
 
+/**
+ * Weight label for a result card. Numista results carry grams; local catalog
+ * results carry `weightUnit` ('oz' or 'gb').
+ * @param {Object} result - Standardized item data
+ * @returns {string}
+ */
+const formatCatalogResultWeight = (result) => {
+  if (!result.weight) return '';
+  if (result.weightUnit === 'gb') return `${result.weight} gb`;
+  if (result.weightUnit === 'oz') return `${result.weight} oz`;
+  return `${result.weight}g`;
+};
+
 const renderNumistaResultCard = (result, index) => {
   const placeholder = `<div class="numista-img-placeholder">🪙</div>`;
   const obverseImg = result.imageUrl
@@ -1232,13 +1271,13 @@ const renderNumistaResultCard = (result, index) => {
     ? `<img src="${escapeHtmlCatalog(result.reverseImageUrl)}" alt="Reverse" loading="lazy">`
     : '';
   const meta = [
-    result.year,
+    result.year || result.yearRange,
     result.country,
     result.metal,
-    result.weight ? `${result.weight}g` : '',
+    formatCatalogResultWeight(result),
     result.type
   ].filter(Boolean).join(' · ');
-  const catalogIdAction = renderCatalogIdAction(result.catalogId);
+  const catalogIdAction = renderCatalogIdAction(result.catalogId, result);
 
   return `<div class="numista-result-card" data-result-index="${index}">
     <div class="numista-result-images">${obverseImg}${reverseImg}</div>
@@ -1266,13 +1305,13 @@ const renderNumistaSelectedItem = (result) => {
     ? `<img src="${escapeHtmlCatalog(result.reverseImageUrl)}" alt="Reverse" loading="lazy">`
     : '';
   const meta = [
-    result.year,
+    result.year || result.yearRange,
     result.country,
     result.metal,
-    result.weight ? `${result.weight}g` : '',
+    formatCatalogResultWeight(result),
     result.type
   ].filter(Boolean).join(' · ');
-  const catalogIdAction = renderCatalogIdAction(result.catalogId);
+  const catalogIdAction = renderCatalogIdAction(result.catalogId, result);
 
   return `<div class="numista-result-images">${obverseImg}${reverseImg}</div>
     <div class="numista-result-info">
@@ -1320,9 +1359,18 @@ const renderNumistaFieldCheckboxes = (result) => {
       defaultOn: false,
       warn: result.type && !typeValid ? `"${result.type}" — not in form options` : ''
     },
-    { key: 'weight', label: 'Weight (g)', value: result.weight ? String(result.weight) : '', available: result.weight > 0, defaultOn: result.weight > 0 },
+    { key: 'weight', label: `Weight (${result.weightUnit || 'g'})`, value: result.weight ? String(result.weight) : '', available: result.weight > 0, defaultOn: result.weight > 0 },
   ];
 
+  // Local catalog entries also know metal and purity
+  if (result.provider === 'Local') {
+    fields.push(
+      { key: 'metal', label: 'Metal', value: result.metal || '', available: !!result.metal && isValidSelectOption('itemMetal', result.metal), defaultOn: true },
+      { key: 'purity', label: 'Purity', value: result.purity ? String(result.purity) : '', available: result.purity > 0, defaultOn: true },
+    );
+    fields.find(f => f.key === 'type').defaultOn = typeValid;
+  }
+
   // Keep the heading, rebuild field rows
   const heading = container.querySelector('.numista-fields-heading');
   container.innerHTML = '';
@@ -1342,6 +1390,8 @@ const renderNumistaFieldCheckboxes = (result) => {
     year: (elements.itemYear || document.getElementById('itemYear'))?.value?.trim() || '',
     type: (elements.itemType || document.getElementById('itemType'))?.value || '',
     weight: (elements.itemWeight || document.getElementById('itemWeight'))?.value?.trim() || '',
+    metal: (elements.itemMetal || document.getElementById('itemMetal'))?.value || '',
+    purity: (elements.itemPuritySelect || document.getElementById('itemPuritySelect'))?.value || '',
   };
 
   fields.forEach(f => {
@@ -1625,11 +1675,33 @@ const fillFormFromNumistaResult = () => {
         const unitEl = document.getElementById('itemWeightUnit');
         const num = parseFloat(val);
         if (el && !isNaN(num) && num > 0) {
+          // Local catalog results carry 'oz' or 'gb'; Numista weights are grams
+          const unit = selectedNumistaResult?.weightUnit || 'g';
           el.value = num;
-          if (unitEl) unitEl.value = 'g';
+          if (unitEl) unitEl.value = unit;
+          const denomEl = elements.itemGbDenom || document.getElementById('itemGbDenom');
+          if (unit === 'gb' && denomEl) denomEl.value = String(num);
+          if (typeof toggleGbDenomPicker === 'function') toggleGbDenomPicker();
         }
         break;
       }
+      case 'metal': {
+        const el = elements.itemMetal || document.getElementById('itemMetal');
+        if (el && Array.from(el.options).some(o => o.value === val)) el.value = val;
+        break;
+      }
+      case 'purity': {
+        const num = parseFloat(val);
+        const select = elements.itemPuritySelect || document.getElementById('itemPuritySelect');
+        const custom = elements.purityCustomWrapper || document.getElementById('purityCustomWrapper');
+        const input = elements.itemPurity || document.getElementById('itemPurity');
+        if (!select || !(num > 0 && num <= 1)) break;
+        const preset = Array.from(select.options).find(o => o.value !== 'custom' && parseFloat(o.value) === num);
+        select.value = preset ? preset.value : 'custom';
+        if (custom) custom.style.display = preset ? 'none' : '';
+        if (input) input.value = preset ? '' : num;
+        break;
+      }
       case 'catalog': {
         const el = elements.itemCatalog || document.getElementById('itemCatalog');
         if (el) el.value = val;
@@ -1638,8 +1710,9 @@ const fillFormFromNumistaResult = () => {
     }
   });
 
-  // Auto-populate Numista Data fields from the selected result (STAK-173)
-  if (selectedNumistaResult && typeof populateNumistaDataFields === 'function') {
+  // Auto-populate Numista Data fields from the selected result (STAK-173).
+  // Local catalog results are not Numista metadata, so they are not cached.
+  if (selectedNumistaResult && selectedNumistaResult.provider !== 'Local' && typeof populateNumistaDataFields === 'function') {
     // Cache the metadata first so populateNumistaDataFields can read it
     const catId = selectedNumistaResult.catalogId;
     if (catId && window.imageCache?.isAvailable()) {
@@ -0,0 +1,169 @@
+// NGC & ANACS — Cert Lookup
+// =============================================================================
+// Cert lookup for NGC and ANACS slabs, alongside pcgs-api.js. Neither service
+// publishes a verification API, so their certs are validated here and then
+// checked on the service's public lookup page (CERT_LOOKUP_URLS); only PCGS
+// certs are verified in-app.
+//
+// verifyCert() and lookupCertFromForm() pick the provider from the item's
+// grading service; PCGS still goes through pcgs-api.js.
+
+// ---------------------------------------------------------------------------
+// Providers
+// ---------------------------------------------------------------------------
+
+/**
+ * Cert lookup providers other than PCGS. Their lookup pages come from
+ * certLookupUrl().
+ *   pattern     — valid cert number after normalizeCertNumber()
+ *   example     — shown in validation errors
+ * @constant {Object<string, {label: string, pattern: RegExp, example: string}>}
+ */
+const CERT_PROVIDERS = {
+  NGC: {
+    label: 'NGC',
+    pattern: /^\d{6,8}-\d{3}$/,
+    example: '1234567-001',
+  },
+  ANACS: {
+    label: 'ANACS',
+    pattern: /^\d{5,9}$/,
+    example: '7654321',
+  },
+};
+
+/** PCGS cert numbers, for validation only (verification is in pcgs-api.js) */
+const PCGS_CERT_PATTERN = /^\d{7,9}$/;
+
+/**
+ * Normalize a cert number as printed on the slab label.
+ * NGC certs keep their "-NNN" suffix ("1234567001" → "1234567-001"); others
+ * are digits only.
+ * @param {string} authority - Grading service
+ * @param {string} certNumber
+ * @returns {string}
+ */
+const normalizeCertNumber = (authority, certNumber) => {
+  const raw = String(certNumber || '').trim();
+  if (authority === 'NGC') {
+    const m = raw.replace(/[\s-]/g, '').match(/^(\d{6,8})(\d{3})$/);
+    return m ? `${m[1]}-${m[2]}` : raw;
+  }
+  return raw.replace(/[\s-]/g, '');
+};
+
+/**
+ * Check a cert number against the grading service's format.
+ * @param {string} authority - Grading service
+ * @param {string} certNumber
+ * @returns {{valid: boolean, certNumber: string, error?: string}} Normalized number or an error
+ */
+const validateCertNumber = (authority, certNumber) => {
+  const normalized = normalizeCertNumber(authority, certNumber);
+  if (!normalized) return { valid: false, certNumber: '', error: 'Enter a cert number to look up.' };
+  const provider = CERT_PROVIDERS[authority];
+  const pattern = authority === 'PCGS' ? PCGS_CERT_PATTERN : provider?.pattern;
+  if (!pattern) return { valid: false, certNumber: normalized, error: `Cert lookup is not available for ${authority || 'this grading service'}.` };
+  if (!pattern.test(normalized)) {
+    const example = authority === 'PCGS' ? '12345678' : provider.example;
+    return { valid: false, certNumber: normalized, error: `"${certNumber}" is not a valid ${authority} cert number (e.g. ${example}).` };
+  }
+  return { valid: true, certNumber: normalized };
+};
+
+/**
+ * Guess the grading service from a cert number's shape — NGC's "-NNN"
+ * suffix is the only unambiguous one. Used when the grading service is blank.
+ * @param {string} certNumber
+ * @returns {string} "NGC" or "PCGS"
+ */
+const guessCertAuthority = (certNumber) =>
+  (/^\d{6,8}-\d{3}$/.test(String(certNumber || '').trim()) ? 'NGC' : 'PCGS');
+
+/**
+ * Public cert lookup page for a grading service, from CERT_LOOKUP_URLS.
+ * @param {string} authority - Grading service
+ * @param {string} certNumber
+ * @param {string} [grade] - Item grade; NGC's page takes its numeric part
+ * @returns {string} URL, or '' when the service has no lookup page
+ */
+const certLookupUrl = (authority, certNumber, grade) => {
+  const template = typeof CERT_LOOKUP_URLS !== 'undefined' ? CERT_LOOKUP_URLS[authority] : '';
+  if (!template) return '';
+  const gradeNumber = String(grade || '').match(/\d+/)?.[0] || '';
+  return template
+    .replaceAll('{certNumber}', encodeURIComponent(certNumber))
+    .replaceAll('{grade}', encodeURIComponent(gradeNumber));
+};
+
+/**
+ * Validated NGC or ANACS cert as a lookup-only result: not verified, with the
+ * public page to check it on.
+ * @param {string} authority - "NGC" or "ANACS"
+ * @param {string} certNumber
+ * @param {string} [grade]
+ * @returns {Object} { verified: false, lookupOnly, authority, certNumber, certUrl, error }
+ */
+const _certLookupResult = (authority, certNumber, grade) => {
+  const valid = validateCertNumber(authority, certNumber);
+  if (!valid.valid) return { verified: false, error: valid.error };
+  return {
+    verified: false,
+    lookupOnly: true,
+    authority,
+    certNumber: valid.certNumber,
+    certUrl: certLookupUrl(authority, valid.certNumber, grade),
+    error: `${authority} has no public verification API — check the cert on the ${authority} lookup page.`,
+  };
+};
+
+/**
+ * Verify a cert with whichever service graded the item.
+ * @param {string} authority - "PCGS", "NGC" or "ANACS"
+ * @param {string} certNumber
+ * @param {string} [grade] - Item grade, for NGC
+ * @returns {Promise<Object>}
+ */
+const verifyCert = async (authority, certNumber, grade) => {
+  if (authority === 'PCGS') {
+    const result = await verifyPcgsCert(certNumber);
+    return result.verified ? { authority: 'PCGS', ...result } : result;
+  }
+  if (CERT_PROVIDERS[authority]) return _certLookupResult(authority, certNumber, grade);
+  return { verified: false, error: `Cert lookup is not available for ${authority || 'this grading service'}.` };
+};
+
+/**
+ * Smart cert lookup from the item form. The grading service field picks the
+ * provider (guessed from the cert format when blank); PCGS keeps its
+ * Cert#-then-PCGS# fallback from lookupPcgsFromForm().
+ * @returns {Promise<Object>} Lookup result with coin details
+ */
+const lookupCertFromForm = async () => {
+  const certNumber = (document.getElementById('itemCertNumber')?.value || '').trim();
+  const pcgsNumber = (document.getElementById('itemPcgsNumber')?.value || '').trim();
+  const grade = document.getElementById('itemGrade')?.value || '';
+  const authority = document.getElementById('itemGradingAuthority')?.value
+    || (certNumber ? guessCertAuthority(certNumber) : 'PCGS');
+
+  if (authority === 'PCGS') {
+    const result = await lookupPcgsFromForm();
+    return result.verified ? { authority: 'PCGS', ...result } : result;
+  }
+  if (!CERT_PROVIDERS[authority]) {
+    // ICG and others have no lookup, but a PCGS# still identifies the coin
+    return pcgsNumber ? lookupPcgsByNumber(pcgsNumber) : verifyCert(authority, certNumber, grade);
+  }
+  if (!certNumber) return { verified: false, error: `Enter an ${authority} Cert# to look up.` };
+  return verifyCert(authority, certNumber, grade);
+};
+
+// Expose globally
+if (typeof window !== 'undefined') {
+  window.CERT_PROVIDERS = CERT_PROVIDERS;
+  window.normalizeCertNumber = normalizeCertNumber;
+  window.validateCertNumber = validateCertNumber;
+  window.certLookupUrl = certLookupUrl;
+  window.verifyCert = verifyCert;
+  window.lookupCertFromForm = lookupCertFromForm;
+}
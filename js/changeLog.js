@@ -58,6 +58,7 @@ const logItemChanges = (oldItem, newItem) => {
     'marketValue',
     'purchaseLocation',
     'notes',
+    'portfolio',
   ];
 
   const refItem = newItem || oldItem;
@@ -1,5 +1,6 @@
 // =============================================================================
-// CLOUD STORAGE — Dropbox, pCloud, Box OAuth + vault backup/restore
+// CLOUD STORAGE — Dropbox, pCloud, Box OAuth, self-hosted WebDAV / S3
+// + vault backup/restore
 // =============================================================================
 
 // ---------------------------------------------------------------------------
@@ -196,6 +197,20 @@ const CLOUD_PROVIDERS = {
     usePKCE: false,
     refreshable: true,
   },
+  // Self-hosted stores: no OAuth — credentials entered in Settings → Cloud are
+  // stored as the "token" and handed to the backend (sync-backends.js)
+  webdav: {
+    name: 'WebDAV',
+    folder: '/StakTrakr',
+    selfHosted: true,
+    fields: ['url', 'username', 'password'],
+  },
+  s3: {
+    name: 'S3-compatible',
+    folder: '/StakTrakr',
+    selfHosted: true,
+    fields: ['endpoint', 'region', 'bucket', 'accessKeyId', 'secretAccessKey'],
+  },
 };
 
 const CLOUD_REDIRECT_URI = window.location.origin + '/oauth-callback.html';
@@ -265,6 +280,9 @@ async function cloudGetToken(provider) {
 
   var config = CLOUD_PROVIDERS[provider];
 
+  // Self-hosted credentials are used as-is by the storage backend
+  if (config.selfHosted) return stored;
+
   // pCloud tokens never expire
   if (!config.refreshable) return stored.access_token;
 
@@ -569,6 +587,19 @@ if (document.readyState === 'complete') {
 function cloudDisconnect(provider) {
   cloudClearToken(provider);
 
+  // A store that is not the sync target only owns its credentials and backup pointer
+  var syncProvider = localStorage.getItem('cloud_sync_provider') || 'dropbox';
+  if (provider !== syncProvider) {
+    if (provider === 'dropbox') localStorage.removeItem('cloud_dropbox_account_id');
+    try {
+      var lastBackup = JSON.parse(localStorage.getItem('cloud_last_backup') || 'null');
+      if (lastBackup && lastBackup.provider === provider) localStorage.removeItem('cloud_last_backup');
+    } catch (_) { /* ignore */ }
+    recordCloudActivity({ action: 'disconnect', provider: provider, result: 'success', detail: 'Disconnected from ' + CLOUD_PROVIDERS[provider].name });
+    if (typeof syncCloudUI === 'function') syncCloudUI();
+    return;
+  }
+
   // Clear all cloud state keys
   var keysToRemove = [
     'cloud_last_backup',
@@ -580,14 +611,19 @@ function cloudDisconnect(provider) {
     'cloud_sync_last_push',
     'cloud_sync_last_pull',
     'cloud_sync_override_backup',
+    'cloud_sync_base_snapshot',
     'cloud_sync_mode',
     'cloud_sync_local_modified',
     'cloud_sync_migrated',
+    'cloud_sync_rekey_from',
     'staktrakr_oauth_result',
   ];
   for (var i = 0; i < keysToRemove.length; i++) {
+    // The Dropbox identity stays while Dropbox itself is still connected
+    if (keysToRemove[i] === 'cloud_dropbox_account_id' && provider !== 'dropbox') continue;
     localStorage.removeItem(keysToRemove[i]);
   }
+  if (typeof clearVaultKeyCache === 'function') clearVaultKeyCache();
 
   // Cancel any pending sync push
   if (typeof scheduleSyncPush === 'function' && typeof scheduleSyncPush.cancel === 'function') {
@@ -599,6 +635,51 @@ function cloudDisconnect(provider) {
   if (typeof syncCloudUI === 'function') syncCloudUI();
 }
 
+// ---------------------------------------------------------------------------
+// Self-hosted connect (WebDAV / S3-compatible)
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate and store credentials for a self-hosted provider. The store is
+ * probed (create backups folder + list it) before anything is saved so a typo
+ * or missing CORS header fails here rather than on the first sync push.
+ * @param {string} provider - 'webdav' | 's3'
+ * @param {Object<string, string>} config - Field values keyed by CLOUD_PROVIDERS[provider].fields
+ */
+async function cloudConnectSelfHosted(provider, config) {
+  var spec = CLOUD_PROVIDERS[provider];
+  var backend = typeof getSyncBackend === 'function' ? getSyncBackend(provider) : null;
+  if (!spec || !spec.selfHosted || !backend) throw new Error('Unknown provider: ' + provider);
+
+  var creds = {};
+  for (var i = 0; i < spec.fields.length; i++) {
+    var field = spec.fields[i];
+    var value = String((config && config[field]) || '').trim();
+    if (!value) throw new Error('Missing ' + field);
+    creds[field] = value;
+  }
+  // Credentials travel with every request — plain http only for a server on this machine
+  var serverUrl = creds.url || creds.endpoint;
+  if (!/^https:\/\//i.test(serverUrl) && !/^http:\/\/(localhost|127\.0\.0\.1)(:|\/|$)/i.test(serverUrl)) {
+    throw new Error('Server URL must use https://');
+  }
+
+  var connectStart = Date.now();
+  try {
+    await backend.ensureFolder(creds, SYNC_BACKUP_FOLDER);
+    await backend.list(creds, SYNC_BACKUP_FOLDER);
+  } catch (err) {
+    recordCloudActivity({ action: 'connect', provider: provider, result: 'fail', detail: err.message, duration: Date.now() - connectStart });
+    // fetch() rejects with a TypeError for network and CORS failures alike
+    if (err instanceof TypeError) throw new Error('Could not reach the server — check the URL and that it allows cross-origin requests from this site');
+    throw err;
+  }
+
+  cloudStoreToken(provider, creds);
+  recordCloudActivity({ action: 'connect', provider: provider, result: 'success', detail: 'Connected to ' + spec.name, duration: Date.now() - connectStart });
+  if (typeof syncCloudUI === 'function') syncCloudUI();
+}
+
 // ---------------------------------------------------------------------------
 // Folder management (provider-specific)
 // ---------------------------------------------------------------------------
@@ -671,46 +752,22 @@ async function cloudUploadVault(provider, fileBytes, opts) {
   var config = CLOUD_PROVIDERS[provider];
   var filename = cloudBuildVersionedFilename();
   var now = Date.now();
+  var backend = getSyncBackend(provider);
 
   await cloudEnsureFolder(provider, token);
 
-  if (provider === 'dropbox') {
-    // Ensure /backups/ subfolder exists (ignore 409 = already exists)
-    const backupsPath = config.folder + '/backups';
+  if (backend) {
+    // Ensure /backups/ subfolder exists (already-exists is not an error)
+    var backupsPath = config.folder + '/backups';
     try {
-      const ensureResp = await fetch('https://api.dropboxapi.com/2/files/create_folder_v2', {
-        method: 'POST',
-        headers: {
-          Authorization: 'Bearer ' + token,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ path: backupsPath, autorename: false }),
-      });
-      if (ensureResp.ok || ensureResp.status === 409) {
-        debugLog('[CloudStorage] Backups folder OK:', backupsPath);
-      } else {
-        debugLog('[CloudStorage] Backups folder create returned', ensureResp.status);
-      }
+      await backend.ensureFolder(token, backupsPath);
+      debugLog('[CloudStorage] Backups folder OK:', backupsPath);
     } catch (ensureErr) {
       debugLog('[CloudStorage] Backups folder ensure failed:', ensureErr.message);
     }
 
     // Upload versioned backup
-    var apiArg = JSON.stringify({
-      path: config.folder + '/backups/' + filename,
-      mode: 'add',
-      autorename: true,
-      mute: true,
-    });
-    var vaultResp = await fetch('https://content.dropboxapi.com/2/files/upload', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Content-Type': 'application/octet-stream',
-        'Dropbox-API-Arg': apiArg,
-      },
-      body: fileBytes,
-    });
+    var vaultResp = await backend.upload(token, backupsPath + '/' + filename, fileBytes, { mode: 'add' });
     if (!vaultResp.ok) throw new Error('Vault upload failed: ' + vaultResp.status);
 
     // Upload latest.json pointer (skip for manual backups — STAK-419)
@@ -722,21 +779,7 @@ async function cloudUploadVault(provider, fileBytes, opts) {
         itemCount: cloudSafeItemCount(),
       };
       var latestBytes = new TextEncoder().encode(JSON.stringify(latestData));
-      var latestArg = JSON.stringify({
-        path: config.folder + '/backups/' + CLOUD_LATEST_FILENAME,
-        mode: 'overwrite',
-        autorename: false,
-        mute: true,
-      });
-      var latestResp = await fetch('https://content.dropboxapi.com/2/files/upload', {
-        method: 'POST',
-        headers: {
-          Authorization: 'Bearer ' + token,
-          'Content-Type': 'application/octet-stream',
-          'Dropbox-API-Arg': latestArg,
-        },
-        body: latestBytes,
-      });
+      var latestResp = await backend.upload(token, backupsPath + '/' + CLOUD_LATEST_FILENAME, latestBytes);
       if (!latestResp.ok) throw new Error('Latest pointer upload failed: ' + latestResp.status);
     }
   } else if (provider === 'pcloud') {
@@ -789,39 +832,24 @@ async function cloudGetRemoteLatest(provider) {
   if (!token) return null;
 
   var config = CLOUD_PROVIDERS[provider];
+  var backend = getSyncBackend(provider);
+  if (!backend) return null;
 
   try {
-    if (provider === 'dropbox') {
-      // Try v2 path first (/backups/ subfolder)
-      var apiArg = JSON.stringify({ path: config.folder + '/backups/' + CLOUD_LATEST_FILENAME });
-      var resp = await fetch('https://content.dropboxapi.com/2/files/download', {
-        method: 'POST',
-        headers: {
-          Authorization: 'Bearer ' + token,
-          'Dropbox-API-Arg': apiArg,
-        },
-      });
-      if (resp.ok) return resp.json();
-
-      // Fallback: legacy flat path (pre-v2 migration)
-      if (resp.status === 409 || resp.status === 404) {
-        var legacyArg = JSON.stringify({ path: config.folder + '/' + CLOUD_LATEST_FILENAME });
-        var legacyResp = await fetch('https://content.dropboxapi.com/2/files/download', {
-          method: 'POST',
-          headers: {
-            Authorization: 'Bearer ' + token,
-            'Dropbox-API-Arg': legacyArg,
-          },
-        });
-        if (legacyResp.ok) return legacyResp.json();
-      }
-      return null;
+    // Try v2 path first (/backups/ subfolder)
+    var resp = await backend.download(token, config.folder + '/backups/' + CLOUD_LATEST_FILENAME);
+    if (resp.ok) return resp.json();
+
+    // Fallback: legacy flat path (pre-v2 migration, Dropbox only)
+    if (provider === 'dropbox' && syncIsNotFound(resp)) {
+      var legacyResp = await backend.download(token, config.folder + '/' + CLOUD_LATEST_FILENAME);
+      if (legacyResp.ok) return legacyResp.json();
     }
+    return null;
   } catch (e) {
     debugLog('[CloudStorage] Failed to fetch remote latest', e);
     return null;
   }
-  return null;
 }
 
 // ---------------------------------------------------------------------------
@@ -834,51 +862,14 @@ async function cloudListBackups(provider, type) {
   if (!token) throw new Error('Not connected to ' + CLOUD_PROVIDERS[provider].name);
 
   var config = CLOUD_PROVIDERS[provider];
+  var backend = getSyncBackend(provider);
   var backups = [];
 
-  if (provider === 'dropbox') {
-    var resp = await fetch('https://api.dropboxapi.com/2/files/list_folder', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ path: config.folder + '/backups', recursive: false }),
-    });
-    if (!resp.ok) {
-      // Folder may not exist yet
-      if (resp.status === 409) return [];
-      throw new Error('List failed: ' + resp.status);
-    }
-    var data = await resp.json();
-    var entries = data.entries || [];
-
-    // Pagination: fetch remaining pages if Dropbox has more
-    while (data.has_more) {
-      try {
-        var contResp = await fetch('https://api.dropboxapi.com/2/files/list_folder/continue', {
-          method: 'POST',
-          headers: {
-            Authorization: 'Bearer ' + token,
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({ cursor: data.cursor }),
-        });
-        if (!contResp.ok) {
-          debugLog('[CloudStorage] Pagination failed at', entries.length, 'entries:', contResp.status);
-          break;
-        }
-        data = await contResp.json();
-        entries = entries.concat(data.entries || []);
-      } catch (pageErr) {
-        debugLog('[CloudStorage] Pagination error:', pageErr.message);
-        break;
-      }
-    }
-
+  if (backend) {
+    var entries = await backend.list(token, config.folder + '/backups');
     for (var i = 0; i < entries.length; i++) {
       var entry = entries[i];
-      if (entry['.tag'] === 'file' && entry.name.endsWith('.stvault')) {
+      if (entry.name.endsWith('.stvault')) {
         backups.push({
           name: entry.name,
           server_modified: entry.server_modified,
@@ -915,16 +906,10 @@ async function cloudDownloadVaultByName(provider, filename) {
   if (!token) throw new Error('Not connected to ' + CLOUD_PROVIDERS[provider].name);
 
   var config = CLOUD_PROVIDERS[provider];
+  var backend = getSyncBackend(provider);
 
-  if (provider === 'dropbox') {
-    var apiArg = JSON.stringify({ path: config.folder + '/backups/' + filename });
-    var resp = await fetch('https://content.dropboxapi.com/2/files/download', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Dropbox-API-Arg': apiArg,
-      },
-    });
+  if (backend) {
+    var resp = await backend.download(token, config.folder + '/backups/' + filename);
     if (!resp.ok) throw new Error('Download failed: ' + resp.status);
     var bytes = new Uint8Array(await resp.arrayBuffer());
     var sizeKB = Math.round(bytes.byteLength / 1024);
@@ -935,6 +920,26 @@ async function cloudDownloadVaultByName(provider, filename) {
   throw new Error('Download by name not supported for ' + provider);
 }
 
+/**
+ * Overwrite a backup in the provider's backups folder, keeping its name —
+ * used to upgrade a restored v1 vault in place.
+ * @param {string} provider
+ * @param {string} filename - Name as listed by cloudListBackups
+ * @param {Uint8Array} fileBytes
+ * @returns {Promise<void>}
+ */
+async function cloudReplaceBackup(provider, filename, fileBytes) {
+  var token = await cloudGetToken(provider);
+  if (!token) throw new Error('Not connected to ' + CLOUD_PROVIDERS[provider].name);
+
+  var backend = getSyncBackend(provider);
+  if (!backend) throw new Error('Replacing backups not supported for ' + provider);
+
+  var resp = await backend.upload(token, CLOUD_PROVIDERS[provider].folder + '/backups/' + filename, fileBytes);
+  if (!resp.ok) throw new Error('Upload failed: ' + resp.status);
+  recordCloudActivity({ action: 'backup_upgrade', provider: provider, result: 'success', detail: filename + ' upgraded to vault format v2' });
+}
+
 // ---------------------------------------------------------------------------
 // Delete a backup file from cloud
 // ---------------------------------------------------------------------------
@@ -945,16 +950,10 @@ async function cloudDeleteBackup(provider, filename) {
   if (!token) throw new Error('Not connected to ' + CLOUD_PROVIDERS[provider].name);
 
   var config = CLOUD_PROVIDERS[provider];
+  var backend = getSyncBackend(provider);
 
-  if (provider === 'dropbox') {
-    var resp = await fetch('https://api.dropboxapi.com/2/files/delete_v2', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ path: config.folder + '/backups/' + filename }),
-    });
+  if (backend) {
+    var resp = await backend.remove(token, config.folder + '/backups/' + filename);
     if (!resp.ok) throw new Error('Delete failed: ' + resp.status);
 
     // If this was also the latest pointer, clear the pointer too
@@ -966,6 +965,7 @@ async function cloudDeleteBackup(provider, filename) {
       localStorage.removeItem('cloud_last_backup');
 
       // Update remote latest pointer: point to next most recent, or delete
+      var latestPath = config.folder + '/backups/' + CLOUD_LATEST_FILENAME;
       try {
         var remaining = await cloudListBackups(provider);
         if (remaining.length > 0) {
@@ -977,21 +977,7 @@ async function cloudDeleteBackup(provider, filename) {
             itemCount: cloudSafeItemCount(),
           };
           var updatedBytes = new TextEncoder().encode(JSON.stringify(updatedLatest));
-          var updatedArg = JSON.stringify({
-            path: config.folder + '/backups/' + CLOUD_LATEST_FILENAME,
-            mode: 'overwrite',
-            autorename: false,
-            mute: true,
-          });
-          var latResp = await fetch('https://content.dropboxapi.com/2/files/upload', {
-            method: 'POST',
-            headers: {
-              Authorization: 'Bearer ' + token,
-              'Content-Type': 'application/octet-stream',
-              'Dropbox-API-Arg': updatedArg,
-            },
-            body: updatedBytes,
-          });
+          var latResp = await backend.upload(token, latestPath, updatedBytes);
           if (latResp.ok) {
             localStorage.setItem('cloud_last_backup', JSON.stringify({
               provider: provider,
@@ -1005,14 +991,7 @@ async function cloudDeleteBackup(provider, filename) {
           }
         } else {
           // No backups remain — delete the latest.json pointer
-          var delLatestResp = await fetch('https://api.dropboxapi.com/2/files/delete_v2', {
-            method: 'POST',
-            headers: {
-              Authorization: 'Bearer ' + token,
-              'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ path: config.folder + '/backups/' + CLOUD_LATEST_FILENAME }),
-          });
+          var delLatestResp = await backend.remove(token, latestPath);
           if (!delLatestResp.ok) {
             debugLog('[CloudStorage] Failed to delete latest pointer:', delLatestResp.status);
           }
@@ -1124,6 +1103,8 @@ function syncCloudUI() {
     // Hide only the Connect button when connected — Backup/Restore remain visible in the same row
     var connectBtn = loginArea ? loginArea.querySelector('.cloud-connect-btn') : null;
     if (connectBtn) connectBtn.style.display = connected ? 'none' : '';
+    var credFields = card.querySelector('.cloud-credential-fields');
+    if (credFields) credFields.style.display = connected ? 'none' : '';
     if (connectedBadge) connectedBadge.style.display = connected ? '' : 'none';
     if (disconnectBtn) disconnectBtn.style.display = connected ? '' : 'none';
 
@@ -1311,6 +1292,7 @@ function showKrakenToastIfFirst() {
 window.CLOUD_PROVIDERS = CLOUD_PROVIDERS;
 window.cloudAuthStart = cloudAuthStart;
 window.cloudDisconnect = cloudDisconnect;
+window.cloudConnectSelfHosted = cloudConnectSelfHosted;
 window.cloudUploadVault = cloudUploadVault;
 window.cloudDownloadVault = cloudDownloadVault;
 // ---------------------------------------------------------------------------
@@ -1325,6 +1307,12 @@ window.cloudDownloadVault = cloudDownloadVault;
  * @param {string} provider - Cloud provider name (e.g. 'dropbox')
  */
 async function cloudMigrateToV2(provider) {
+  // Self-hosted stores were never written with the flat layout — the sync and
+  // backup folders are created on first upload
+  if (provider && provider !== 'dropbox') {
+    saveData('cloud_sync_migrated', 'v2');
+    return;
+  }
   debugLog('[CloudMigrate] Starting v2 folder migration…');
   var token = typeof cloudGetToken === 'function' ? await cloudGetToken(provider) : null;
   if (!token) {
@@ -1479,6 +1467,7 @@ async function cloudPruneBackups(provider, maxKeep, type) {
 window.cloudPruneBackups = cloudPruneBackups;
 window.cloudMigrateToV2 = cloudMigrateToV2;
 window.cloudDownloadVaultByName = cloudDownloadVaultByName;
+window.cloudReplaceBackup = cloudReplaceBackup;
 window.cloudDeleteBackup = cloudDeleteBackup;
 window.cloudListBackups = cloudListBackups;
 window.cloudGetRemoteLatest = cloudGetRemoteLatest;
@@ -3,14 +3,15 @@
 // =============================================================================
 //
 // Automatic background sync: when inventory changes, pushes an encrypted
-// .stvault to Dropbox. On other devices, a background poller detects the
+// .stvault to the sync storage (Dropbox, WebDAV or S3-compatible — see
+// sync-backends.js). On other devices, a background poller detects the
 // new file via staktrakr-sync.json and prompts the user to pull.
 //
 // Sync file:  /StakTrakr/sync/staktrakr-sync.stvault  (full encrypted snapshot)
 // Metadata:   /StakTrakr/sync/staktrakr-sync.json     (lightweight pointer, polled)
 // Backups:    /StakTrakr/backups/                      (pre-sync + manual backups)
 //
-// Depends on: cloud-storage.js, vault.js, constants.js, utils.js
+// Depends on: sync-backends.js, cloud-storage.js, vault.js, constants.js, utils.js
 // =============================================================================
 
 // ---------------------------------------------------------------------------
@@ -32,6 +33,9 @@ var _syncRemoteChangeActive = false;
 /** @type {boolean} Whether vault password was just changed — skip pre-push metadata decryption */
 var _syncPasswordJustChanged = false;
 
+/** @type {boolean} Whether a pull opened a v1 sync vault — the next recorded pull schedules a push, which writes it back as v2 */
+var _syncUpgradePending = false;
+
 /** @type {boolean} Set true when user explicitly chose Keep Mine or Push My Data — bypasses the pre-push conflict re-detection exactly once. */
 var _syncConflictUserOverride = false;
 
@@ -41,8 +45,10 @@ var _syncRetryDelay = 2000;
 /** @type {Function} Debounced version of pushSyncVault */
 var scheduleSyncPush = null;
 
-/** @type {string} Currently active sync provider */
-var _syncProvider = 'dropbox';
+/** @type {string} Currently active sync provider (persisted in cloud_sync_provider) */
+var _syncProvider = (function () {
+  try { return localStorage.getItem('cloud_sync_provider') || 'dropbox'; } catch (_) { return 'dropbox'; }
+}());
 
 /** @type {BroadcastChannel|null} Multi-tab coordination channel */
 var _syncChannel = null;
@@ -284,6 +290,41 @@ function syncGetLastPull() {
 
 function syncSetLastPull(meta) {
   try { localStorage.setItem('cloud_sync_last_pull', JSON.stringify(meta)); } catch (_) { /* ignore */ }
+  // Local now matches remote, so a push rewrites the v1 file unchanged but as
+  // v2 — through the usual pre-push conflict check rather than a blind upload.
+  if (_syncUpgradePending && typeof scheduleSyncPush === 'function') {
+    _syncUpgradePending = false;
+    debugLog('[CloudSync] Remote vault is v1 — scheduling a push to upgrade it');
+    scheduleSyncPush();
+  }
+}
+
+/**
+ * @param {Uint8Array} bytes - Remote .stvault bytes
+ * @returns {boolean} true for a v1 vault (PBKDF2, no key slots)
+ */
+function _syncIsVaultV1(bytes) {
+  try { return parseVaultFile(bytes).version === VAULT_VERSION_V1; } catch (_) { return false; }
+}
+
+/**
+ * Upgrade the remote image vault in place after it was pulled as v1. Pushes
+ * only upload photos when they change, so it would otherwise stay v1.
+ * Non-fatal — a v1 image vault still opens.
+ * @param {string|Object} token
+ * @param {Uint8Array} bytes - Image vault bytes just restored
+ * @param {string} key - Sync key that opened them
+ * @returns {Promise<void>}
+ */
+async function _syncUpgradeImageVault(token, bytes, key) {
+  if (!_syncIsVaultV1(bytes)) return;
+  try {
+    var upResp = await _syncBackend().upload(token, SYNC_IMAGES_PATH, await vaultUpgradeFile(bytes, key));
+    if (!upResp.ok) throw new Error('Image vault upload failed: ' + upResp.status);
+    logCloudSyncActivity('image_vault_upgrade', 'success', 'Image vault upgraded to vault format v2');
+  } catch (err) {
+    debugLog('[CloudSync] Image vault upgrade failed (non-fatal):', err.message);
+  }
 }
 
 function syncGetCursor() {
@@ -294,6 +335,70 @@ function syncSetCursor(rev) {
   try { localStorage.setItem('cloud_sync_cursor', rev || ''); } catch (_) { /* ignore */ }
 }
 
+// ---------------------------------------------------------------------------
+// Sync storage (sync-backends.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * Storage backend for the active sync provider.
+ * @returns {Object}
+ */
+function _syncBackend() {
+  var backend = typeof getSyncBackend === 'function' ? getSyncBackend(_syncProvider) : null;
+  if (!backend) throw new Error('No sync storage backend for ' + _syncProvider);
+  return backend;
+}
+
+/**
+ * Display name of the active sync provider ("Dropbox", "WebDAV", …).
+ * @returns {string}
+ */
+function _syncProviderName() {
+  return (typeof CLOUD_PROVIDERS !== 'undefined' && CLOUD_PROVIDERS[_syncProvider] && CLOUD_PROVIDERS[_syncProvider].name) || _syncProvider;
+}
+
+/**
+ * Storage identity mixed into the composite sync key: the Dropbox account_id,
+ * or the endpoint of a self-hosted store. Every device connected to the same
+ * store derives the same value.
+ * @returns {string|null}
+ */
+function getSyncAccountId() {
+  var backend = typeof getSyncBackend === 'function' ? getSyncBackend(_syncProvider) : null;
+  if (!backend || _syncProvider === 'dropbox') return localStorage.getItem('cloud_dropbox_account_id');
+  var auth = typeof cloudGetStoredToken === 'function' ? cloudGetStoredToken(_syncProvider) : null;
+  return auth ? backend.accountId(auth) : null;
+}
+
+/** @returns {string} Active sync provider key */
+function getSyncProvider() {
+  return _syncProvider;
+}
+
+/**
+ * Switch the storage auto-sync pushes to and polls. Cursors and last push/pull
+ * records describe one store, so they are reset; auto-sync restarts against
+ * the new store when it was on.
+ * @param {string} provider - 'dropbox' | 'webdav' | 's3'
+ * @returns {Promise<void>}
+ */
+async function setSyncProvider(provider) {
+  if (!provider || provider === _syncProvider) return;
+  var wasEnabled = syncIsEnabled();
+  if (wasEnabled) stopSyncPoller();
+  _syncProvider = provider;
+  try {
+    localStorage.setItem('cloud_sync_provider', provider);
+    ['cloud_sync_cursor', 'cloud_sync_last_push', 'cloud_sync_last_pull', 'cloud_sync_migrated'].forEach(function (key) {
+      localStorage.removeItem(key);
+    });
+  } catch (_) { /* ignore */ }
+  logCloudSyncActivity('sync_provider', 'success', 'Sync storage set to ' + _syncProviderName());
+  refreshSyncUI();
+  if (wasEnabled && cloudIsConnected(provider)) await enableCloudSync(provider);
+  else if (wasEnabled) disableCloudSync();
+}
+
 function syncIsEnabled() {
   return localStorage.getItem('cloud_sync_enabled') === 'true';
 }
@@ -327,6 +432,64 @@ function syncSaveOverrideBackup() {
   }
 }
 
+/**
+ * Keys merged per item instead of as raw settings. Their last synced values
+ * are kept as the common ancestor for DiffEngine.mergeItems().
+ */
+var SYNC_BASE_KEYS = ['metalInventory', 'itemTags'];
+
+/**
+ * Parse a raw localStorage / vault payload string (may be CMP1-compressed).
+ * @param {string} raw
+ * @returns {*}
+ */
+function _syncParseRaw(raw) {
+  return JSON.parse(typeof __decompressIfNeeded === 'function' ? __decompressIfNeeded(raw) : raw);
+}
+
+/**
+ * Record the last synced state of SYNC_BASE_KEYS — the base for the next
+ * three-way merge. Called after a push (what was uploaded) and after a pull
+ * (what the remote held).
+ * @param {object|null} data - Raw localStorage strings keyed like a vault payload; null reads current localStorage
+ * @param {string|null} [syncId]
+ */
+function syncSaveBaseSnapshot(data, syncId) {
+  try {
+    var snap = {};
+    for (var i = 0; i < SYNC_BASE_KEYS.length; i++) {
+      var raw = data ? data[SYNC_BASE_KEYS[i]] : localStorage.getItem(SYNC_BASE_KEYS[i]);
+      if (raw !== null && raw !== undefined) snap[SYNC_BASE_KEYS[i]] = raw;
+    }
+    localStorage.setItem('cloud_sync_base_snapshot', JSON.stringify({
+      timestamp: Date.now(),
+      syncId: syncId || null,
+      data: snap
+    }));
+  } catch (err) {
+    // Quota errors only cost the next pull its three-way merge
+    debugLog('[CloudSync] Base snapshot save failed:', err);
+  }
+}
+
+/**
+ * Read the base snapshot as parsed items and tags.
+ * @returns {{ items: object[], tags: object, timestamp: number, syncId: string|null }|null}
+ */
+function syncGetBaseSnapshot() {
+  try {
+    var snap = JSON.parse(localStorage.getItem('cloud_sync_base_snapshot') || 'null');
+    if (!snap || !snap.data || !snap.data.metalInventory) return null;
+    var items = _syncParseRaw(snap.data.metalInventory);
+    var tags = snap.data.itemTags ? _syncParseRaw(snap.data.itemTags) : {};
+    if (!Array.isArray(items)) return null;
+    return { items: items, tags: tags && typeof tags === 'object' ? tags : {}, timestamp: snap.timestamp, syncId: snap.syncId || null };
+  } catch (err) {
+    debugLog('[CloudSync] Base snapshot unreadable — falling back to two-way diff:', err.message);
+    return null;
+  }
+}
+
 /**
  * Restore the pre-pull local snapshot saved by syncSaveOverrideBackup().
  * Prompts for confirmation, writes raw strings back, and refreshes the UI.
@@ -420,7 +583,7 @@ function updateSyncStatusIndicator(state, detail) {
 
 /**
  * Updates the header cloud sync button state (green/orange/gray) based on
- * connection status, vault password, and Dropbox account ID presence.
+ * connection status, vault password, and sync account identity presence.
  * Called on init, password change, and sync enable/disable.
  */
 function updateCloudSyncHeaderBtn() {
@@ -437,7 +600,7 @@ function updateCloudSyncHeaderBtn() {
   dot.className = 'cloud-sync-dot header-cloud-dot';
 
   var hasPw = !!localStorage.getItem('cloud_vault_password');
-  var hasAccountId = !!localStorage.getItem('cloud_dropbox_account_id');
+  var hasAccountId = !!getSyncAccountId();
   var autoSyncOn = syncIsEnabled();
 
   if (connected && hasPw && hasAccountId && autoSyncOn) {
@@ -475,6 +638,10 @@ function refreshSyncUI() {
   var toggle = safeGetElement('cloudAutoSyncToggle');
   if (toggle) toggle.checked = syncIsEnabled();
 
+  // Sync destination
+  var providerSelect = safeGetElement('cloudSyncProviderSelect');
+  if (providerSelect) providerSelect.value = _syncProvider;
+
   // Last synced label
   var lastPush = syncGetLastPush();
   var lastSyncEl = safeGetElement('cloudAutoSyncLastSync');
@@ -542,7 +709,7 @@ function getSyncPassword(forcePrompt) {
     if (silent) return Promise.resolve(silent);
   }
 
-  var accountId = localStorage.getItem('cloud_dropbox_account_id');
+  var accountId = getSyncAccountId();
   var isNewAccount = !localStorage.getItem('cloud_vault_password');
 
   return new Promise(function (resolve) {
@@ -560,7 +727,7 @@ function getSyncPassword(forcePrompt) {
       if (typeof appPrompt === 'function') {
         appPrompt(prompt, '', 'Cloud Sync').then(function (pw) {
           if (pw && pw.length >= 8) {
-            var freshId = localStorage.getItem('cloud_dropbox_account_id');
+            var freshId = getSyncAccountId();
             try { localStorage.setItem('cloud_vault_password', pw); } catch (_) {}
             resolve(freshId ? pw + ':' + freshId : null);
           } else {
@@ -576,7 +743,7 @@ function getSyncPassword(forcePrompt) {
     // Update modal copy based on new vs returning user
     if (titleEl) titleEl.textContent = isNewAccount ? 'Set Vault Password' : 'Enter Vault Password';
     if (subtitleEl) subtitleEl.textContent = isNewAccount
-      ? 'Choose a password to encrypt your Dropbox backups. It will be remembered in this browser.'
+      ? 'Choose a password to encrypt your ' + _syncProviderName() + ' backups. It will be remembered in this browser.'
       : 'Enter your vault password to unlock cloud sync on this device.';
 
     input.value = '';
@@ -603,10 +770,10 @@ function getSyncPassword(forcePrompt) {
       }
       // Re-read accountId at confirm time — it may have been stored after the modal opened
       // (e.g., async Dropbox token exchange completing while the user types their password).
-      var freshAccountId = localStorage.getItem('cloud_dropbox_account_id');
+      var freshAccountId = getSyncAccountId();
       if (!freshAccountId) {
         if (errorEl) {
-          errorEl.textContent = 'No Dropbox account ID found. Please cancel and reconnect your Dropbox account.';
+          errorEl.textContent = 'No ' + _syncProviderName() + ' account identity found. Please cancel and reconnect your ' + _syncProviderName() + ' account.';
           errorEl.style.display = '';
         }
         return;
@@ -643,7 +810,7 @@ function getSyncPassword(forcePrompt) {
  */
 function _logDecryptAttempt(artifact, candidates) {
   var _diagPw  = !!localStorage.getItem('cloud_vault_password');
-  var _diagAid = localStorage.getItem('cloud_dropbox_account_id');
+  var _diagAid = getSyncAccountId();
   console.warn('[CloudSync] decrypt attempt:',
     'artifact=' + artifact,
     'vaultPw:', _diagPw,
@@ -652,18 +819,18 @@ function _logDecryptAttempt(artifact, candidates) {
 }
 
 /**
- * Guard that cloud_dropbox_account_id is present before any pull/poll operation.
+ * Guard that the sync account identity (getSyncAccountId) is present before any pull/poll operation.
  * Logs a warning and shows a reconnect toast when the accountId is missing.
  * Returns true when the accountId is present (safe to proceed), false when absent (caller must return).
  * @param {string} context - Caller label for the console warning (e.g. 'Poll', 'pullSyncVault')
  * @returns {boolean}
  */
 function _assertSyncAccountId(context) {
-  if (localStorage.getItem('cloud_dropbox_account_id')) return true;
-  console.warn('[CloudSync]', context + ': cloud_dropbox_account_id missing — aborting');
+  if (getSyncAccountId()) return true;
+  console.warn('[CloudSync]', context + ': sync account identity missing — aborting');
   if (typeof showCloudToast === 'function') {
     showCloudToast(
-      'Cloud sync setup is incomplete on this device. Please reconnect Dropbox to refresh your account identity.'
+      'Cloud sync setup is incomplete on this device. Please reconnect ' + _syncProviderName() + ' to refresh your account identity.'
     );
   }
   return false;
@@ -683,6 +850,7 @@ async function _tryDecryptVault(fileBytes, artifactLabel) {
     try {
       var payload = await vaultDecryptToData(fileBytes, candidates[i].key);
       console.warn('[CloudSync] Vault decrypted with', candidates[i].label, 'key');
+      if (_syncIsVaultV1(fileBytes)) _syncUpgradePending = true;
       return payload;
     } catch (_) {
       // Next candidate
@@ -698,7 +866,7 @@ async function _tryDecryptVault(fileBytes, artifactLabel) {
  */
 function _getSyncKeyCandidates() {
   var vaultPw = localStorage.getItem('cloud_vault_password');
-  var accountId = localStorage.getItem('cloud_dropbox_account_id');
+  var accountId = getSyncAccountId();
   var candidates = [];
   if (vaultPw && accountId) candidates.push({ key: vaultPw + ':' + accountId, label: 'composite' });
   if (vaultPw) candidates.push({ key: vaultPw, label: 'password-only' });
@@ -709,7 +877,7 @@ function _getSyncKeyCandidates() {
 /**
  * Try to decrypt a parsed .stvault structure using all known key variants.
  * Returns { meta, keyUsed } on success, throws on total failure.
- * @param {Object} parsed - Output of parseVaultFile (salt, iv, iterations, ciphertext)
+ * @param {Object} parsed - Output of parseVaultFile (v1 or v2)
  * @returns {Promise<{meta: Object, keyUsed: string}>}
  */
 async function _tryDecryptMetadata(parsed) {
@@ -717,8 +885,7 @@ async function _tryDecryptMetadata(parsed) {
   _logDecryptAttempt('metadata', candidates);
   for (var i = 0; i < candidates.length; i++) {
     try {
-      var derivedKey = await vaultDeriveKey(candidates[i].key, parsed.salt, parsed.iterations);
-      var decrypted = await vaultDecrypt(parsed.ciphertext, derivedKey, parsed.iv);
+      var decrypted = await vaultDecryptParsed(parsed, candidates[i].key);
       var meta = JSON.parse(new TextDecoder().decode(decrypted));
       console.warn('[CloudSync] Metadata decrypted with', candidates[i].label, 'key (attempt', i + 1 + '/' + candidates.length + ')');
       return { meta: meta, keyUsed: candidates[i].label };
@@ -731,14 +898,14 @@ async function _tryDecryptMetadata(parsed) {
 
 /**
  * Get the sync password/key without any user interaction.
- * Unified mode: combines vault_password (localStorage) + account_id (Dropbox OAuth).
+ * Unified mode: combines vault_password (localStorage) + account identity (getSyncAccountId).
  * Returns null if either value is missing — caller must prompt user.
  * Never opens a modal or popover — safe to call from background processes.
  * @returns {string|null}
  */
 function getSyncPasswordSilent() {
   var vaultPw = localStorage.getItem('cloud_vault_password');
-  var accountId = localStorage.getItem('cloud_dropbox_account_id');
+  var accountId = getSyncAccountId();
 
   debugLog('[CloudSync] getSyncPasswordSilent:',
     'vaultPw:', vaultPw ? 'present' : 'NULL',
@@ -759,7 +926,7 @@ function getSyncPasswordSilent() {
 }
 
 /**
- * Change the stored vault password and re-encrypt the vault on Dropbox.
+ * Change the stored vault password and re-encrypt the vault in sync storage.
  * Called from the Advanced sub-modal "Change Password" flow.
  * @param {string} newPassword
  * @returns {Promise<boolean>} true on success
@@ -771,6 +938,11 @@ async function changeVaultPassword(newPassword) {
     // Write new password first; next push will re-encrypt the vault with the new key.
     // If the page closes before the push fires, the next session's getSyncPasswordSilent()
     // will use the new password — the remote vault remains decryptable with the old key until overwritten.
+    // Keep the oldest key not yet re-keyed away from, for the image vault.
+    // Persisted (cloud_sync_rekey_from) so a reload before the next push does
+    // not strand the photos under a key this device no longer knows.
+    var previousKey = getSyncPasswordSilent();
+    if (!localStorage.getItem('cloud_sync_rekey_from') && previousKey) localStorage.setItem('cloud_sync_rekey_from', previousKey);
     localStorage.setItem('cloud_vault_password', newPassword);
     logCloudSyncActivity('password_change', 'success', 'Vault password updated');
     if (typeof updateCloudSyncHeaderBtn === 'function') updateCloudSyncHeaderBtn();
@@ -797,6 +969,25 @@ async function changeVaultPassword(newPassword) {
   }
 }
 
+/**
+ * Re-key the remote image vault after a password change. Only the key slots
+ * are rewritten, so the photos are not re-encrypted or re-collected; a v1
+ * image vault is upgraded to v2 on the way.
+ * @param {string} token
+ * @param {string} oldKey - Sync key the remote file was written with
+ * @param {string} newKey - Current sync key
+ * @returns {Promise<void>}
+ */
+async function _syncRekeyImageVault(token, oldKey, newKey) {
+  var resp = await _syncBackend().download(token, SYNC_IMAGES_PATH);
+  if (syncIsNotFound(resp)) return;
+  if (!resp.ok) throw new Error('Image vault download failed: ' + resp.status);
+  var rekeyed = await vaultRekeyFile(new Uint8Array(await resp.arrayBuffer()), oldKey, { password: newKey });
+  var upResp = await _syncBackend().upload(token, SYNC_IMAGES_PATH, rekeyed);
+  if (!upResp.ok) throw new Error('Image vault upload failed: ' + upResp.status);
+  logCloudSyncActivity('image_vault_rekey', 'success', 'Image vault re-keyed for the new password');
+}
+
 // ---------------------------------------------------------------------------
 // Activity logging
 // ---------------------------------------------------------------------------
@@ -861,14 +1052,14 @@ function pruneManifestEntries(entries, maxSyncs) {
 }
 
 /**
- * Build a sync manifest from the changeLog and upload it encrypted to Dropbox.
+ * Build a sync manifest from the changeLog and upload it encrypted to sync storage.
  * The manifest captures field-level changes since the last push so that
  * diff-merge can resolve conflicts without downloading the full vault.
  *
  * Failure here is non-blocking — the caller wraps this in try/catch so that
  * a manifest error never prevents the vault push from completing.
  *
- * @param {string} token   - Dropbox OAuth bearer token
+ * @param {string|Object} token - Auth from cloudGetToken (Dropbox bearer token or self-hosted credentials)
  * @param {string} password - Vault encryption password (composite key)
  * @param {string} syncId  - The syncId generated for this push
  * @returns {Promise<void>}
@@ -978,23 +1169,9 @@ async function buildAndUploadManifest(token, password, syncId) {
   }
   var manifestBytes = await encryptManifest(manifestPayload, password);
 
-  // 6. Upload encrypted manifest to Dropbox
+  // 6. Upload encrypted manifest
   debugLog('[CloudSync] Uploading manifest to', SYNC_MANIFEST_PATH, '…');
-  var manifestArg = JSON.stringify({
-    path: SYNC_MANIFEST_PATH,
-    mode: 'overwrite',
-    autorename: false,
-    mute: true,
-  });
-  var manifestResp = await fetch('https://content.dropboxapi.com/2/files/upload', {
-    method: 'POST',
-    headers: {
-      Authorization: 'Bearer ' + token,
-      'Content-Type': 'application/octet-stream',
-      'Dropbox-API-Arg': manifestArg,
-    },
-    body: manifestBytes,
-  });
+  var manifestResp = await _syncBackend().upload(token, SYNC_MANIFEST_PATH, manifestBytes);
 
   if (!manifestResp.ok) {
     var respBody = await manifestResp.text().catch(function () { return ''; });
@@ -1005,11 +1182,56 @@ async function buildAndUploadManifest(token, password, syncId) {
 }
 
 // ---------------------------------------------------------------------------
-// Push (upload encrypted vault to Dropbox)
+// Per-portfolio vault files
 // ---------------------------------------------------------------------------
 
 /**
- * Encrypt the sync-scoped inventory and upload to Dropbox.
+ * Upload one encrypted vault file per portfolio to SYNC_PORTFOLIOS_FOLDER
+ * (<portfolio id>.stvault) so each owner's holdings can be restored or handed
+ * over on their own. Only runs once more than one portfolio exists; files are
+ * re-uploaded when that portfolio's items change and removed when the
+ * portfolio is deleted. Callers treat failures as non-fatal.
+ * @param {string|Object} token - Auth from cloudGetToken
+ * @param {string} password - Vault password / composite key
+ * @returns {Promise<Object<string, string>|null>} Map of portfolio id → content hash
+ */
+async function pushPortfolioVaults(token, password) {
+  if (typeof hasMultiplePortfolios !== 'function' || !hasMultiplePortfolios()) return null;
+
+  var lastPush = syncGetLastPush();
+  var lastHashes = (lastPush && lastPush.portfolioHashes) || {};
+  var hashes = {};
+  var portfolios = getPortfolios();
+
+  for (var i = 0; i < portfolios.length; i++) {
+    var pid = portfolios[i].id;
+    // Content hash (not just item keys) so edits inside a portfolio trigger a re-upload
+    var hash = simpleHash(JSON.stringify([portfolios[i].name, getPortfolioItems(pid)]));
+    hashes[pid] = hash;
+    if (hash === lastHashes[pid]) continue;
+
+    var bytes = await vaultEncryptPortfolioToBytes(password, pid);
+    var resp = await _syncBackend().upload(token, SYNC_PORTFOLIOS_FOLDER + '/' + pid + '.stvault', bytes);
+    if (!resp.ok) throw new Error('Portfolio vault upload failed (' + pid + '): ' + resp.status);
+    debugLog('[CloudSync] Portfolio vault uploaded:', pid);
+  }
+
+  // Remove files for portfolios deleted since the last push
+  var staleIds = Object.keys(lastHashes).filter(function (id) { return !hashes.hasOwnProperty(id); });
+  for (var j = 0; j < staleIds.length; j++) {
+    var delResp = await _syncBackend().remove(token, SYNC_PORTFOLIOS_FOLDER + '/' + staleIds[j] + '.stvault');
+    debugLog('[CloudSync] Portfolio vault delete', staleIds[j], 'status:', delResp.status);
+  }
+
+  return hashes;
+}
+
+// ---------------------------------------------------------------------------
+// Push (upload encrypted vault to sync storage)
+// ---------------------------------------------------------------------------
+
+/**
+ * Encrypt the sync-scoped inventory and upload to the sync storage backend.
  * Also updates the lightweight staktrakr-sync.json metadata pointer.
  * Skips silently if not connected or sync is disabled.
  */
@@ -1082,27 +1304,13 @@ async function pushSyncVault() {
       var _prePushOverride = _syncConflictUserOverride;
       _syncConflictUserOverride = false;
       console.warn('[CloudSync] Pre-push check: starting metadata download from', SYNC_META_PATH);
-      var prePushApiArg = JSON.stringify({ path: SYNC_META_PATH });
-      var prePushResp = await fetch('https://content.dropboxapi.com/2/files/download', {
-        method: 'POST',
-        headers: {
-          Authorization: 'Bearer ' + token,
-          'Dropbox-API-Arg': prePushApiArg,
-        },
-      });
+      var prePushResp = await _syncBackend().download(token, SYNC_META_PATH);
       console.warn('[CloudSync] Pre-push check: metadata response status:', prePushResp.status);
 
       // Try legacy path if new path not found
       if (prePushResp.status === 409 || prePushResp.status === 404) {
         console.warn('[CloudSync] Pre-push check: new path not found, trying legacy path', SYNC_META_PATH_LEGACY);
-        var prePushLegacyArg = JSON.stringify({ path: SYNC_META_PATH_LEGACY });
-        var prePushLegacyResp = await fetch('https://content.dropboxapi.com/2/files/download', {
-          method: 'POST',
-          headers: {
-            Authorization: 'Bearer ' + token,
-            'Dropbox-API-Arg': prePushLegacyArg,
-          },
-        });
+        var prePushLegacyResp = await _syncBackend().download(token, SYNC_META_PATH_LEGACY);
         console.warn('[CloudSync] Pre-push check: legacy response status:', prePushLegacyResp.status);
         if (prePushLegacyResp.ok) prePushResp = prePushLegacyResp;
       }
@@ -1231,15 +1439,8 @@ async function pushSyncVault() {
       debugLog('[CloudSync] Empty-vault guard: local inventory is 0 — checking remote metadata');
       var guardBlocked = false;
       try {
-        var guardApiArg = JSON.stringify({ path: SYNC_META_PATH });
-        var guardResp = await fetch('https://content.dropboxapi.com/2/files/download', {
-          method: 'POST',
-          headers: {
-            Authorization: 'Bearer ' + token,
-            'Dropbox-API-Arg': guardApiArg,
-          },
-        });
-        if (guardResp.status === 409) {
+        var guardResp = await _syncBackend().download(token, SYNC_META_PATH);
+        if (syncIsNotFound(guardResp)) {
           // No remote meta file — first push, allow
           debugLog('[CloudSync] Empty-vault guard: no remote meta (first push) — allowing');
         } else if (guardResp.ok) {
@@ -1299,8 +1500,13 @@ async function pushSyncVault() {
       }
     }
 
-    // Encrypt sync-scoped payload
+    // Encrypt sync-scoped payload. Capture the merge base from the same
+    // moment so edits made during the upload aren't mistaken as synced.
     debugLog('[CloudSync] Encrypting payload…');
+    var pushedBase = {};
+    for (var pb = 0; pb < SYNC_BASE_KEYS.length; pb++) {
+      pushedBase[SYNC_BASE_KEYS[pb]] = localStorage.getItem(SYNC_BASE_KEYS[pb]);
+    }
     var fileBytes = typeof vaultEncryptToBytesScoped === 'function'
       ? await vaultEncryptToBytesScoped(password)
       : await vaultEncryptToBytes(password);
@@ -1319,21 +1525,7 @@ async function pushSyncVault() {
       debugLog('[CloudSync] Full backup-before-overwrite: encrypting…');
       var fullBackupBytes = await vaultEncryptToBytes(password);
       debugLog('[CloudSync] Full backup-before-overwrite: uploading', fullBackupBytes.byteLength, 'bytes to', backupPath);
-      var backupArg = JSON.stringify({
-        path: backupPath,
-        mode: 'add',
-        autorename: true,
-        mute: true,
-      });
-      var backupResp = await fetch('https://content.dropboxapi.com/2/files/upload', {
-        method: 'POST',
-        headers: {
-          Authorization: 'Bearer ' + token,
-          'Content-Type': 'application/octet-stream',
-          'Dropbox-API-Arg': backupArg,
-        },
-        body: fullBackupBytes,
-      });
+      var backupResp = await _syncBackend().upload(token, backupPath, fullBackupBytes, { mode: 'add' });
       if (backupResp.ok) {
         debugLog('[CloudSync] Full backup-before-overwrite: created', backupPath);
       } else {
@@ -1351,21 +1543,7 @@ async function pushSyncVault() {
 
     // Upload the vault file (overwrite)
     debugLog('[CloudSync] Uploading vault to', SYNC_FILE_PATH, '…');
-    var vaultArg = JSON.stringify({
-      path: SYNC_FILE_PATH,
-      mode: 'overwrite',
-      autorename: false,
-      mute: true,
-    });
-    var vaultResp = await fetch('https://content.dropboxapi.com/2/files/upload', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Content-Type': 'application/octet-stream',
-        'Dropbox-API-Arg': vaultArg,
-      },
-      body: fileBytes,
-    });
+    var vaultResp = await _syncBackend().upload(token, SYNC_FILE_PATH, fileBytes);
     debugLog('[CloudSync] Vault upload response:', vaultResp.status);
 
     if (vaultResp.status === 429) {
@@ -1379,8 +1557,7 @@ async function pushSyncVault() {
     }
     _syncRetryDelay = 2000; // reset backoff on success
 
-    var vaultResult = await vaultResp.json();
-    var rev = vaultResult.rev || '';
+    var rev = await _syncBackend().revision(vaultResp);
     debugLog('[CloudSync] Vault uploaded, rev:', rev);
 
     // Upload image vault if user photos exist and have changed (STAK-181)
@@ -1394,33 +1571,26 @@ async function pushSyncVault() {
           if (imgData.hash !== lastImageHash) {
             debugLog('[CloudSync] Image vault changed — uploading', imgData.imageCount, 'photos');
             var imageBytes = await vaultEncryptImageVault(password, imgData.payload);
-            var imgArg = JSON.stringify({ path: SYNC_IMAGES_PATH, mode: 'overwrite', autorename: false, mute: true });
-            var imgResp = await fetch('https://content.dropboxapi.com/2/files/upload', {
-              method: 'POST',
-              headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/octet-stream', 'Dropbox-API-Arg': imgArg },
-              body: imageBytes,
-            });
+            var imgResp = await _syncBackend().upload(token, SYNC_IMAGES_PATH, imageBytes);
             if (!imgResp.ok) throw new Error('Image vault upload failed: ' + imgResp.status);
             imageVaultMeta = { imageCount: imgData.imageCount, hash: imgData.hash };
+            localStorage.removeItem('cloud_sync_rekey_from');
             debugLog('[CloudSync] Image vault uploaded:', imgData.imageCount, 'photos');
           } else {
             // Hash unchanged — carry forward existing meta so other devices can still detect it
             imageVaultMeta = lastImageHash ? { imageCount: imgData.imageCount, hash: imgData.hash } : null;
             debugLog('[CloudSync] Image vault unchanged — skipping upload');
+            var rekeyFrom = localStorage.getItem('cloud_sync_rekey_from');
+            if (lastImageHash && rekeyFrom && rekeyFrom !== password) {
+              await _syncRekeyImageVault(token, rekeyFrom, password);
+            }
+            localStorage.removeItem('cloud_sync_rekey_from');
           }
         } else if (lastImageHash) {
           // STAK-426: All local photos deleted — propagate deletion to remote
           try {
-            var delArg = JSON.stringify({ path: SYNC_IMAGES_PATH });
-            var delResp = await fetch('https://api.dropboxapi.com/2/files/delete_v2', {
-              method: 'POST',
-              headers: {
-                Authorization: 'Bearer ' + token,
-                'Content-Type': 'application/json',
-              },
-              body: delArg,
-            });
-            if (delResp.ok || delResp.status === 409) {
+            var delResp = await _syncBackend().remove(token, SYNC_IMAGES_PATH);
+            if (delResp.ok || syncIsNotFound(delResp)) {
               debugLog('[CloudSync] Remote image vault deleted (all local photos removed)');
             } else {
               debugLog('[CloudSync] Image vault deletion returned status:', delResp.status);
@@ -1438,6 +1608,16 @@ async function pushSyncVault() {
       logCloudSyncActivity('image_vault_push', 'fail', imgErrMsg);
     }
 
+    // Upload per-portfolio vault files (non-fatal, like the image vault)
+    var portfolioHashes = null;
+    try {
+      portfolioHashes = await pushPortfolioVaults(token, password);
+    } catch (pfErr) {
+      var pfErrMsg = String(pfErr.message || pfErr);
+      console.warn('[CloudSync] Portfolio vault push error (non-fatal):', pfErrMsg);
+      logCloudSyncActivity('portfolio_vault_push', 'fail', pfErrMsg);
+    }
+
     // Upload the metadata pointer JSON
     var metaPayload = {
       rev: rev,
@@ -1448,6 +1628,11 @@ async function pushSyncVault() {
       deviceId: deviceId,
     };
     if (imageVaultMeta) metaPayload.imageVault = imageVaultMeta;
+    if (portfolioHashes) {
+      metaPayload.portfolios = getPortfolios().map(function (p) {
+        return { id: p.id, name: p.name, itemCount: getPortfolioItems(p.id).length };
+      });
+    }
 
     // Layer 4 — Manifest schema v2 enrichment (REQ-4)
     metaPayload.manifestVersion = 2;
@@ -1478,21 +1663,7 @@ async function pushSyncVault() {
     var metaCiphertext = await vaultEncrypt(new TextEncoder().encode(metaJson), metaKey, metaIv);
     var metaBytes = serializeVaultFile(metaSalt, metaIv, VAULT_PBKDF2_ITERATIONS, metaCiphertext);
 
-    var metaArg = JSON.stringify({
-      path: SYNC_META_PATH,
-      mode: 'overwrite',
-      autorename: false,
-      mute: true,
-    });
-    var metaResp = await fetch('https://content.dropboxapi.com/2/files/upload', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Content-Type': 'application/octet-stream',
-        'Dropbox-API-Arg': metaArg,
-      },
-      body: metaBytes,
-    });
+    var metaResp = await _syncBackend().upload(token, SYNC_META_PATH, metaBytes);
     if (!metaResp.ok) throw new Error('Metadata upload failed: ' + metaResp.status);
 
     // Upload manifest (non-blocking — failure must NOT prevent push completion)
@@ -1505,8 +1676,11 @@ async function pushSyncVault() {
     // Persist push state
     var pushMeta = { syncId: syncId, timestamp: now, rev: rev, itemCount: itemCount };
     if (imageVaultMeta) pushMeta.imageHash = imageVaultMeta.hash;
+    if (portfolioHashes) pushMeta.portfolioHashes = portfolioHashes;
     syncSetLastPush(pushMeta);
+    _syncUpgradePending = false; // the vault just written is v2
     syncSetCursor(rev);
+    syncSaveBaseSnapshot(pushedBase, syncId);
 
     var duration = Date.now() - pushStart;
     logCloudSyncActivity('auto_sync_push', 'success', itemCount + ' items, ' + Math.round(fileBytes.byteLength / 1024) + ' KB', duration);
@@ -1571,26 +1745,12 @@ async function pollForRemoteChanges() {
   }
 
   try {
-    var apiArg = JSON.stringify({ path: SYNC_META_PATH });
-    var resp = await fetch('https://content.dropboxapi.com/2/files/download', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Dropbox-API-Arg': apiArg,
-      },
-    });
+    var resp = await _syncBackend().download(token, SYNC_META_PATH);
 
     // Layer 3d — Legacy fallback: if new path returns 404/409, retry at legacy path
     if (resp.status === 409 || resp.status === 404) {
       debugLog('[CloudSync] Poll: new meta path not found — trying legacy path');
-      var legacyApiArg = JSON.stringify({ path: SYNC_META_PATH_LEGACY });
-      var legacyResp = await fetch('https://content.dropboxapi.com/2/files/download', {
-        method: 'POST',
-        headers: {
-          Authorization: 'Bearer ' + token,
-          'Dropbox-API-Arg': legacyApiArg,
-        },
-      });
+      var legacyResp = await _syncBackend().download(token, SYNC_META_PATH_LEGACY);
       if (legacyResp.ok) {
         debugLog('[CloudSync] Poll: found metadata at legacy path');
         resp = legacyResp;
@@ -1819,14 +1979,7 @@ async function pullSyncVault(remoteMeta) {
   updateSyncStatusIndicator('syncing');
 
   try {
-    var apiArg = JSON.stringify({ path: SYNC_FILE_PATH });
-    var resp = await fetch('https://content.dropboxapi.com/2/files/download', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Dropbox-API-Arg': apiArg,
-      },
-    });
+    var resp = await _syncBackend().download(token, SYNC_FILE_PATH);
 
     if (!resp.ok) throw new Error('Vault download failed: ' + resp.status);
 
@@ -1851,6 +2004,7 @@ async function pullSyncVault(remoteMeta) {
         }
       }
       if (!vaultDecrypted) throw new Error('All key variants failed to decrypt vault');
+      if (_syncIsVaultV1(bytes)) _syncUpgradePending = true;
     } else {
       throw new Error('vaultDecryptAndRestore not available');
     }
@@ -1863,14 +2017,11 @@ async function pullSyncVault(remoteMeta) {
         var localImageHash = lastPull ? lastPull.imageHash : null;
         if (remoteMeta.imageVault.hash !== localImageHash) {
           debugLog('[CloudSync] Image vault changed — pulling', remoteMeta.imageVault.imageCount, 'photos');
-          var imgApiArg = JSON.stringify({ path: SYNC_IMAGES_PATH });
-          var imgPullResp = await fetch('https://content.dropboxapi.com/2/files/download', {
-            method: 'POST',
-            headers: { Authorization: 'Bearer ' + token, 'Dropbox-API-Arg': imgApiArg },
-          });
+          var imgPullResp = await _syncBackend().download(token, SYNC_IMAGES_PATH);
           if (imgPullResp.ok) {
             var imgBytes = new Uint8Array(await imgPullResp.arrayBuffer());
             var restoredCount = await vaultDecryptAndRestoreImages(imgBytes, password);
+            await _syncUpgradeImageVault(token, imgBytes, password);
             pulledImageHash = remoteMeta.imageVault.hash;
             debugLog('[CloudSync] Image vault restored:', restoredCount, 'photos');
           } else if (imgPullResp.status === 404) {
@@ -1901,6 +2052,7 @@ async function pullSyncVault(remoteMeta) {
     };
     if (pulledImageHash) pullMeta.imageHash = pulledImageHash;
     syncSetLastPull(pullMeta);
+    syncSaveBaseSnapshot(null, pullMeta.syncId);  // full overwrite — local now equals remote
 
     var duration = Date.now() - pullStart;
     logCloudSyncActivity('auto_sync_pull', 'success', (remoteMeta ? remoteMeta.itemCount : '?') + ' items restored', duration);
@@ -1944,9 +2096,11 @@ async function pullSyncVault(remoteMeta) {
  * @param {object[]|null} settingsChanges - Array of {key, remoteVal} for checked settings, or null
  * @param {object|null} remoteMeta - For syncSetLastPull() recording, or null
  * @param {object} [options] - Configuration options
- * @param {string} [options.source='sync'] - 'sync' or 'vault' — controls toast prefix
+ * @param {string} [options.source='sync'] - 'sync', 'vault' or 'device' — controls toast prefix
  * @param {boolean} [options.showToast=true] - Whether to show the summary toast
  * @param {boolean} [options.broadcastPull=true] - Whether to broadcast pull-complete to other tabs
+ * @param {boolean} [options.recordPull=true] - Whether to record remoteMeta as the last cloud pull
+ * @param {object} [options.baseData] - Remote vault payload data to keep as the three-way merge base
  */
 function _applyAndFinalize(newInventory, selectedChanges, settingsChanges, remoteMeta, options) {
   // Normalize options with defaults
@@ -1954,14 +2108,23 @@ function _applyAndFinalize(newInventory, selectedChanges, settingsChanges, remot
   var source = opts.source || 'sync';
   var shouldToast = opts.showToast !== false;
   var shouldBroadcast = opts.broadcastPull !== false;
+  var shouldRecordPull = opts.recordPull !== false;
 
   // 1. Pre-apply backup
   if (typeof syncSaveOverrideBackup === 'function') {
     syncSaveOverrideBackup();
   }
 
-  // 2. Assign new inventory
+  // 2. Assign new inventory. Items that carry a `tags` field (attached by
+  // DiffEngine.attachTags for per-item merging) hand it back to itemTags.
   if (typeof newInventory !== 'undefined' && newInventory !== null) {
+    var carriesTags = newInventory.some(function (it) { return it && Object.prototype.hasOwnProperty.call(it, 'tags'); });
+    if (carriesTags && typeof DiffEngine !== 'undefined' && DiffEngine.detachTags && typeof itemTags !== 'undefined') {
+      var detached = DiffEngine.detachTags(newInventory, itemTags);
+      newInventory = detached.items;
+      itemTags = detached.tags;
+      if (typeof saveItemTags === 'function') saveItemTags();
+    }
     inventory = newInventory;
   }
 
@@ -1986,14 +2149,20 @@ function _applyAndFinalize(newInventory, selectedChanges, settingsChanges, remot
   if (typeof updateStorageStats === 'function') updateStorageStats();
 
   // 5. Record pull metadata — prefer explicit remoteMeta arg, fall back to global _previewPullMeta
+  // Skipped for transfers that did not come from the cloud (e.g. device sync)
   var meta = remoteMeta || (typeof _previewPullMeta !== 'undefined' ? _previewPullMeta : null);
-  if (meta) {
+  if (meta && shouldRecordPull) {
     if (typeof syncSetLastPull === 'function') {
       syncSetLastPull(meta);
     }
     if (typeof _previewPullMeta !== 'undefined') _previewPullMeta = null;
   }
 
+  // 5b. The remote state just merged becomes the base for the next three-way merge
+  if (opts.baseData && shouldRecordPull) {
+    syncSaveBaseSnapshot(opts.baseData, meta ? meta.syncId : null);
+  }
+
   // 6. Toast summary
   if (shouldToast && typeof showCloudToast === 'function') {
     var addCount = 0;
@@ -2014,7 +2183,7 @@ function _applyAndFinalize(newInventory, selectedChanges, settingsChanges, remot
     if (modCount > 0) parts.push(modCount + ' modified');
     if (delCount > 0) parts.push(delCount + ' removed');
 
-    var prefix = source === 'vault' ? 'Backup applied: ' : 'Sync applied: ';
+    var prefix = source === 'vault' ? 'Backup applied: ' : source === 'device' ? 'Device sync applied: ' : 'Sync applied: ';
     var summary = parts.length > 0 ? parts.join(', ') : 'no changes';
     showCloudToast(prefix + summary);
   }
@@ -2049,8 +2218,12 @@ function _applyAndFinalize(newInventory, selectedChanges, settingsChanges, remot
  * @param {object} settingsDiff - From DiffEngine.compareSettings()
  * @param {object} remotePayload - Decrypted remote vault payload
  * @param {object} remoteMeta - Remote sync metadata
+ * @param {object[]|null} [conflicts] - Conflicts to surface in the review
+ * @param {object} [options]
+ * @param {string} [options.label] - Source label shown in the modal (defaults to the sync provider)
+ * @param {boolean} [options.recordPull=true] - false when the payload did not come from the cloud
  */
-function showRestorePreviewModal(diffResult, settingsDiff, remotePayload, remoteMeta, conflicts) {
+function showRestorePreviewModal(diffResult, settingsDiff, remotePayload, remoteMeta, conflicts, options) {
   // Delegate to DiffModal (STAK-184) — falls back to null if unavailable.
   // Returns a Promise that resolves when the user completes their modal action
   // (Apply or Cancel), so callers can await the full pull before clearing
@@ -2064,9 +2237,12 @@ function showRestorePreviewModal(diffResult, settingsDiff, remotePayload, remote
   var removedCount = diffResult.deleted ? diffResult.deleted.length : 0;
   var modifiedCount = diffResult.modified ? diffResult.modified.length : 0;
 
+  var previewOpts = options || {};
+  var recordPull = previewOpts.recordPull !== false;
+
   return new Promise(function (resolve) {
     DiffModal.show({
-      source: { type: 'sync', label: _syncProvider || 'Cloud' },
+      source: { type: 'sync', label: previewOpts.label || _syncProvider || 'Cloud' },
       diff: diffResult,
       settingsDiff: settingsDiff || null,
       conflicts: conflicts || null,
@@ -2120,7 +2296,11 @@ function showRestorePreviewModal(diffResult, settingsDiff, remotePayload, remote
             }
 
             // Delegate everything to _applyAndFinalize (backup, save, render, toast, status, broadcast)
-            _applyAndFinalize(newInv, selectedChanges, settingsChanges, remoteMeta, { source: 'sync' });
+            _applyAndFinalize(newInv, selectedChanges, settingsChanges, remoteMeta, {
+              source: recordPull ? 'sync' : 'device',
+              recordPull: recordPull,
+              baseData: remotePayload && remotePayload.data
+            });
             debugLog('[CloudSync] Restore preview: applied selected changes via DiffEngine');
             p = Promise.resolve();
           }
@@ -2186,7 +2366,7 @@ function _buildDiffFromManifest(manifest) {
  * selective merge (only the user-approved changes). Otherwise falls back to
  * the legacy full-overwrite path.
  *
- * @param {string} token - Dropbox OAuth bearer token
+ * @param {string|Object} token - Auth from cloudGetToken
  * @param {string} password - Vault encryption password
  * @param {object} remoteMeta - Remote sync metadata
  * @param {Array} [selectedChanges] - User-approved changes from DiffModal
@@ -2195,14 +2375,7 @@ function _buildDiffFromManifest(manifest) {
 async function _deferredVaultRestore(token, password, remoteMeta, selectedChanges) {
   try {
     updateSyncStatusIndicator('syncing');
-    var apiArg = JSON.stringify({ path: SYNC_FILE_PATH });
-    var resp = await fetch('https://content.dropboxapi.com/2/files/download', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Dropbox-API-Arg': apiArg,
-      },
-    });
+    var resp = await _syncBackend().download(token, SYNC_FILE_PATH);
     if (!resp.ok) throw new Error('Vault download failed: ' + resp.status);
     var bytes = new Uint8Array(await resp.arrayBuffer());
 
@@ -2275,7 +2448,7 @@ async function _deferredVaultRestore(token, password, remoteMeta, selectedChange
               _dvSettingsChanges = _dvsDiff.changed;
             }
           }
-          _applyAndFinalize(newInv, selectedChanges, _dvSettingsChanges, remoteMeta, { source: 'sync' });
+          _applyAndFinalize(newInv, selectedChanges, _dvSettingsChanges, remoteMeta, { source: 'sync', baseData: payload.data });
           debugLog('[CloudSync] Deferred vault restore complete (selective apply, settings:', _dvSettingsChanges ? _dvSettingsChanges.length + ' changes' : 'none', ')');
 
           // STAK-426: Restore image vault on manifest-first path (previously skipped)
@@ -2285,17 +2458,11 @@ async function _deferredVaultRestore(token, password, remoteMeta, selectedChange
               var _dvLocalImageHash = _dvLastPull ? _dvLastPull.imageHash : null;
               if (remoteMeta.imageVault.hash !== _dvLocalImageHash) {
                 debugLog('[CloudSync] Manifest-path: image vault changed — pulling', remoteMeta.imageVault.imageCount, 'photos');
-                var _dvImgArg = JSON.stringify({ path: SYNC_IMAGES_PATH });
-                var _dvImgResp = await fetch('https://content.dropboxapi.com/2/files/download', {
-                  method: 'POST',
-                  headers: {
-                    Authorization: 'Bearer ' + token,
-                    'Dropbox-API-Arg': _dvImgArg,
-                  },
-                });
+                var _dvImgResp = await _syncBackend().download(token, SYNC_IMAGES_PATH);
                 if (_dvImgResp.ok) {
                   var _dvImgBytes = new Uint8Array(await _dvImgResp.arrayBuffer());
                   await vaultDecryptAndRestoreImages(_dvImgBytes, password);
+                  await _syncUpgradeImageVault(token, _dvImgBytes, password);
                   debugLog('[CloudSync] Manifest-path: image vault restored');
                 }
               }
@@ -2315,6 +2482,7 @@ async function _deferredVaultRestore(token, password, remoteMeta, selectedChange
     syncSaveOverrideBackup();
     var fbPayload = await _tryDecryptVault(bytes, 'stvault');
     await restoreVaultData(fbPayload);
+    syncSaveBaseSnapshot(fbPayload.data, remoteMeta ? remoteMeta.syncId : null);
     debugLog('[CloudSync] Deferred vault restore complete (full overwrite)');
 
     if (_previewPullMeta) {
@@ -2369,16 +2537,12 @@ async function pullWithPreview(remoteMeta) {
     // diff preview without fetching the full vault. If the manifest is
     // unavailable (404, decrypt failure, DiffModal missing) we fall through
     // to the vault-first path below.
+    // With a base snapshot the vault-first path can do a true three-way merge;
+    // the manifest only lists the pushing device's edits, so skip it then.
+    var baseSnapshot = syncGetBaseSnapshot();
     try {
-      if (typeof decryptManifest === 'function' && typeof DiffModal !== 'undefined' && DiffModal.show) {
-        var manifestApiArg = JSON.stringify({ path: SYNC_MANIFEST_PATH });
-        var manifestResp = await fetch('https://content.dropboxapi.com/2/files/download', {
-          method: 'POST',
-          headers: {
-            Authorization: 'Bearer ' + token,
-            'Dropbox-API-Arg': manifestApiArg,
-          },
-        });
+      if (!baseSnapshot && typeof decryptManifest === 'function' && typeof DiffModal !== 'undefined' && DiffModal.show) {
+        var manifestResp = await _syncBackend().download(token, SYNC_MANIFEST_PATH);
 
         if (manifestResp.ok) {
           var manifestBytes = new Uint8Array(await manifestResp.arrayBuffer());
@@ -2531,14 +2695,7 @@ async function pullWithPreview(remoteMeta) {
     }
 
     // ── Vault-first fallback (existing path) ──
-    var apiArg = JSON.stringify({ path: SYNC_FILE_PATH });
-    var resp = await fetch('https://content.dropboxapi.com/2/files/download', {
-      method: 'POST',
-      headers: {
-        Authorization: 'Bearer ' + token,
-        'Dropbox-API-Arg': apiArg,
-      },
-    });
+    var resp = await _syncBackend().download(token, SYNC_FILE_PATH);
 
     if (!resp.ok) throw new Error('Vault download failed: ' + resp.status);
 
@@ -2562,9 +2719,28 @@ async function pullWithPreview(remoteMeta) {
       }
       var localItems = typeof inventory !== 'undefined' ? inventory : [];
 
-      var diffResult = typeof DiffEngine !== 'undefined'
+      // Three-way merge against the last synced state when we have it. Tags
+      // ride along as a per-item field so they merge instead of overwriting
+      // the whole itemTags map.
+      var merged = null;
+      if (baseSnapshot && typeof DiffEngine !== 'undefined' && DiffEngine.mergeItems) {
+        var remoteTags = {};
+        try {
+          if (remotePayload.data && remotePayload.data.itemTags) remoteTags = _syncParseRaw(remotePayload.data.itemTags) || {};
+        } catch (_tagErr) {
+          debugLog('[CloudSync] Vault-first: could not parse itemTags:', _tagErr.message);
+        }
+        merged = DiffEngine.mergeItems(
+          DiffEngine.attachTags(baseSnapshot.items, baseSnapshot.tags),
+          DiffEngine.attachTags(localItems, typeof itemTags !== 'undefined' ? itemTags : {}),
+          DiffEngine.attachTags(remoteItems, remoteTags)
+        );
+        debugLog('[CloudSync] Three-way merge:', merged.modified.length, 'remote edits,', merged.localOnly, 'local edits kept,', merged.conflicts.length, 'conflicts');
+      }
+
+      var diffResult = merged || (typeof DiffEngine !== 'undefined'
         ? DiffEngine.compareItems(localItems, remoteItems)
-        : { added: [], deleted: [], modified: [], unchanged: [] };
+        : { added: [], deleted: [], modified: [], unchanged: [] });
 
       // Compare settings — settings are stored inside remotePayload.data as
       // individual localStorage keys (everything except metalInventory).
@@ -2573,7 +2749,7 @@ async function pullWithPreview(remoteMeta) {
       if (remotePayload.data) {
         var _rsKeys = Object.keys(remotePayload.data);
         for (var rs = 0; rs < _rsKeys.length; rs++) {
-          if (_rsKeys[rs] !== 'metalInventory') {
+          if (_rsKeys[rs] !== 'metalInventory' && !(merged && _rsKeys[rs] === 'itemTags')) {
             remoteSettings[_rsKeys[rs]] = remotePayload.data[_rsKeys[rs]];
           }
         }
@@ -2581,6 +2757,7 @@ async function pullWithPreview(remoteMeta) {
       if (typeof SYNC_SCOPE_KEYS !== 'undefined') {
         for (var i = 0; i < SYNC_SCOPE_KEYS.length; i++) {
           if (SYNC_SCOPE_KEYS[i] === 'metalInventory') continue;
+          if (merged && SYNC_SCOPE_KEYS[i] === 'itemTags') continue;
           var v = loadDataSync(SYNC_SCOPE_KEYS[i], null);
           if (v !== null && v !== undefined) localSettings[SYNC_SCOPE_KEYS[i]] = v;
         }
@@ -2596,10 +2773,11 @@ async function pullWithPreview(remoteMeta) {
         rev: remoteMeta ? remoteMeta.rev : null,
       };
 
-      // Detect bidirectional conflicts (vault-first path)
-      var conflicts = null;
+      // Detect bidirectional conflicts (vault-first path). The three-way merge
+      // already found them; otherwise fall back to the changelog heuristic.
+      var conflicts = merged && merged.conflicts.length > 0 ? { conflicts: merged.conflicts, clean: [] } : null;
       try {
-        if (typeof DiffEngine !== 'undefined' && DiffEngine.detectConflicts && typeof getManifestEntries === 'function') {
+        if (!merged && typeof DiffEngine !== 'undefined' && DiffEngine.detectConflicts && typeof getManifestEntries === 'function') {
           var lastPull = syncGetLastPull();
           var lastPullTimestamp = lastPull ? lastPull.timestamp : null;
           var localEntries = getManifestEntries(lastPullTimestamp) || [];
@@ -2654,11 +2832,13 @@ async function pullWithPreview(remoteMeta) {
       // are already in sync but the poll fell through the hash comparison.
       var _noItemChanges = (diffResult.added || []).length === 0
         && (diffResult.deleted || []).length === 0
-        && (diffResult.modified || []).length === 0;
+        && (diffResult.modified || []).length === 0
+        && !conflicts;
       var _noSettingsChanges = !settingsDiff || !settingsDiff.changed || settingsDiff.changed.length === 0;
       if (_noItemChanges && _noSettingsChanges) {
         console.warn('[CloudSync] Pull preview: diff is EMPTY (no item or settings changes) — silently recording pull');
         syncSetLastPull(_previewPullMeta);
+        syncSaveBaseSnapshot(remotePayload.data, _previewPullMeta.syncId);
         _previewPullMeta = null;
         logCloudSyncActivity('auto_sync_pull', 'success', 'No changes — pull recorded silently');
         updateSyncStatusIndicator('idle', 'just now');
@@ -2674,6 +2854,7 @@ async function pullWithPreview(remoteMeta) {
         syncSaveOverrideBackup();
         var fbPayload2 = await _tryDecryptVault(bytes, 'stvault');
         await restoreVaultData(fbPayload2);
+        syncSaveBaseSnapshot(fbPayload2.data, _previewPullMeta.syncId);
         syncSetLastPull(_previewPullMeta);
         _previewPullMeta = null;
       } else {
@@ -2765,11 +2946,14 @@ function stopSyncPoller() {
 
 /**
  * Enable auto-sync: do an initial push, then start the poller.
- * @param {string} [provider='dropbox']
+ * @param {string} [provider] - Defaults to the current sync provider
  */
 async function enableCloudSync(provider) {
-  _syncProvider = provider || 'dropbox';
-  try { localStorage.setItem('cloud_sync_enabled', 'true'); } catch (_) { /* ignore */ }
+  _syncProvider = provider || _syncProvider;
+  try {
+    localStorage.setItem('cloud_sync_provider', _syncProvider);
+    localStorage.setItem('cloud_sync_enabled', 'true');
+  } catch (_) { /* ignore */ }
 
   debugWarn('[CloudSync] Enabling auto-sync for', _syncProvider);
 
@@ -2786,7 +2970,7 @@ async function enableCloudSync(provider) {
   // This prevents silently reusing a wrong/stale password from a prior session.
   // -----------------------------------------------------------------------
   var password = await getSyncPassword(true);
-  var hasAccountId = !!localStorage.getItem('cloud_dropbox_account_id');
+  var hasAccountId = !!getSyncAccountId();
   debugWarn('[CloudSync] enableCloudSync: password obtained:', !!password, 'accountId:', hasAccountId);
   if (!password) {
     // User cancelled password prompt — revert sync enabled flag
@@ -2804,7 +2988,7 @@ async function enableCloudSync(provider) {
     try { localStorage.setItem('cloud_sync_enabled', 'false'); } catch (_) { /* ignore */ }
     refreshSyncUI();
     if (typeof showCloudToast === 'function') {
-      showCloudToast('Cloud sync setup incomplete — please reconnect your Dropbox account.');
+      showCloudToast('Cloud sync setup incomplete — please reconnect your ' + _syncProviderName() + ' account.');
     }
     return;
   }
@@ -2885,7 +3069,7 @@ function initCloudSync() {
 
   var hasPw = getSyncPasswordSilent();
   debugWarn('[CloudSync] initCloudSync: password available:', !!hasPw,
-    'accountId:', !!localStorage.getItem('cloud_dropbox_account_id'));
+    'accountId:', !!getSyncAccountId());
   updateCloudSyncHeaderBtn();
 
   if (!hasPw) {
@@ -2990,6 +3174,9 @@ window.refreshSyncUI = refreshSyncUI;
 window.updateSyncStatusIndicator = updateSyncStatusIndicator;
 window.updateCloudSyncHeaderBtn = updateCloudSyncHeaderBtn;
 window.getSyncDeviceId = getSyncDeviceId;
+window.getSyncProvider = getSyncProvider;
+window.setSyncProvider = setSyncProvider;
+window.getSyncAccountId = getSyncAccountId;
 window.getSyncPasswordSilent = getSyncPasswordSilent;
 window.syncIsEnabled = syncIsEnabled;
 window.syncSaveOverrideBackup = syncSaveOverrideBackup;
@@ -480,13 +480,16 @@ function getEnvironmentLabel() {
   return null;
 }
 
-/** @constant {Object} DISPOSITION_TYPES - Disposition types for realized gains tracking (STAK-72) */
+/**
+ * @constant {Object} DISPOSITION_TYPES - Disposition types for realized gains tracking (STAK-72).
+ * `taxReportable` marks sales/exchanges that belong on the capital gains report.
+ */
 const DISPOSITION_TYPES = Object.freeze({
-  sold: { label: "Sold", requiresAmount: true },
-  traded: { label: "Traded", requiresAmount: true },
-  lost: { label: "Lost", requiresAmount: false },
-  gifted: { label: "Gifted", requiresAmount: false },
-  returned: { label: "Returned", requiresAmount: true },
+  sold: { label: "Sold", requiresAmount: true, taxReportable: true },
+  traded: { label: "Traded", requiresAmount: true, taxReportable: true },
+  lost: { label: "Lost", requiresAmount: false, taxReportable: false },
+  gifted: { label: "Gifted", requiresAmount: false, taxReportable: false },
+  returned: { label: "Returned", requiresAmount: true, taxReportable: true },
 });
 
 /**
@@ -498,6 +501,65 @@ function isDisposed(item) {
   return !!item?.disposition;
 }
 
+/**
+ * @constant {Object} LOT_METHODS - Cost-basis matching methods for partial
+ * dispositions. Lots are active items sharing the same metal and name.
+ */
+const LOT_METHODS = Object.freeze({
+  specific: { label: "Specific lots" },
+  fifo: { label: "FIFO (oldest first)" },
+  lifo: { label: "LIFO (newest first)" },
+  hifo: { label: "HIFO (highest cost first)" },
+});
+
+/** @constant {string} LOT_METHOD_KEY - LocalStorage key for the default lot matching method */
+const LOT_METHOD_KEY = "taxLotMethod";
+
+/** @constant {string} REALIZED_YEAR_KEY - LocalStorage key for the tax year shown in the Realized summary row */
+const REALIZED_YEAR_KEY = "realizedSummaryYear";
+
+/** @constant {string} PORTFOLIOS_KEY - LocalStorage key for the named portfolio list [{ id, name }] */
+const PORTFOLIOS_KEY = "portfolios";
+
+/** @constant {string} ACTIVE_PORTFOLIO_KEY - LocalStorage key for the portfolio shown in the table and totals */
+const ACTIVE_PORTFOLIO_KEY = "activePortfolio";
+
+/** @constant {string} DEFAULT_PORTFOLIO_ID - Portfolio holding items that predate portfolios */
+const DEFAULT_PORTFOLIO_ID = "default";
+
+/** @constant {string} PRICE_ALERTS_KEY - LocalStorage key for user-defined price alert rules */
+const PRICE_ALERTS_KEY = "priceAlerts";
+
+/** @constant {string} PRICE_ALERT_LOG_KEY - LocalStorage key for the triggered price alert log */
+const PRICE_ALERT_LOG_KEY = "priceAlertLog";
+
+/** @constant {string} WANT_LIST_KEY - LocalStorage key for want list entries evaluated against retail prices (want-list.js) */
+const WANT_LIST_KEY = "wantList";
+
+/** @constant {string} STACKING_GOALS_KEY - LocalStorage key for weight/value goals and the target metal allocation (stacking-goals.js) */
+const STACKING_GOALS_KEY = "stackingGoals";
+
+/** @constant {string} DCA_PLANS_KEY - LocalStorage key for recurring purchase plans and their recorded buys (dca-planner.js) */
+const DCA_PLANS_KEY = "dcaPlans";
+
+/** @constant {string} STORAGE_LOCATIONS_KEY - LocalStorage key for storage location records (metadata, insured limit, audits) */
+const STORAGE_LOCATIONS_KEY = "storageLocations";
+
+/** @constant {string} SHARED_COLLECTIONS_KEY - LocalStorage key for read-only shared collections imported from share bundles */
+const SHARED_COLLECTIONS_KEY = "sharedCollections";
+
+/** @constant {string} CSV_MAPPING_PROFILES_KEY - LocalStorage key for saved CSV column-mapping profiles */
+const CSV_MAPPING_PROFILES_KEY = "csvMappingProfiles";
+
+/** @constant {string} USER_CATALOG_KEY - LocalStorage key for user-added local catalog entries (bullion-catalog.js) */
+const USER_CATALOG_KEY = "userCatalogEntries";
+
+/** @constant {string} SMART_FILTERS_KEY - LocalStorage key for saved search-bar queries shown as smart filter chips (search-query.js) */
+const SMART_FILTERS_KEY = "smartFilters";
+
+/** @constant {string} SMART_COLLECTIONS_KEY - LocalStorage key for saved views (filters, sort, columns, card style) listed in the collections sidebar (smart-collections.js) */
+const SMART_COLLECTIONS_KEY = "smartCollections";
+
 /** @constant {string} LS_KEY - LocalStorage key for inventory data */
 const LS_KEY = "metalInventory";
 
@@ -746,6 +808,9 @@ const VAULT_FILE_EXTENSION = '.stvault';
 /** Filename suffix for the companion image vault file exported alongside a backup */
 const VAULT_IMAGE_FILE_SUFFIX = '-images';
 
+/** LocalStorage key for this device's printable recovery key (second key slot in exported vaults) */
+const VAULT_RECOVERY_KEY_KEY = 'vault_recovery_key';
+
 // =============================================================================
 // CLOUD AUTO-SYNC CONSTANTS (STAK-149)
 // =============================================================================
@@ -773,6 +838,9 @@ const SYNC_IMAGES_PATH = '/StakTrakr/sync/staktrakr-images.stvault';
 /** Dropbox path for the encrypted change manifest (v2 — /sync/ subfolder) */
 const SYNC_MANIFEST_PATH = '/StakTrakr/sync/staktrakr-sync.stmanifest';
 
+/** Dropbox folder for per-portfolio vault files (<portfolio id>.stvault) */
+const SYNC_PORTFOLIOS_FOLDER = '/StakTrakr/sync/portfolios';
+
 /** Legacy Dropbox path for the encrypted change manifest (flat root) */
 const SYNC_MANIFEST_PATH_LEGACY = '/StakTrakr/staktrakr-sync.stmanifest';
 
@@ -802,6 +870,10 @@ const SYNC_SCOPE_KEYS = [
   // ── Core data ──
   'metalInventory',            // LS_KEY — inventory items
   'itemTags',                  // ITEM_TAGS_KEY — per-item tags
+  'portfolios',                // PORTFOLIOS_KEY — named portfolio list
+  'storageLocations',          // STORAGE_LOCATIONS_KEY — storage location records and audits
+  'csvMappingProfiles',        // CSV_MAPPING_PROFILES_KEY — saved CSV import mappings
+  'userCatalogEntries',        // USER_CATALOG_KEY — user-added local catalog entries
 
   // ── Display preferences ──
   'displayCurrency',           // DISPLAY_CURRENCY_KEY — active display currency
@@ -811,6 +883,8 @@ const SYNC_SCOPE_KEYS = [
   'defaultSortColumn',         // DEFAULT_SORT_COL_KEY
   'defaultSortDir',            // DEFAULT_SORT_DIR_KEY
   'showRealizedGainLoss',      // SHOW_REALIZED_KEY
+  'realizedSummaryYear',       // REALIZED_YEAR_KEY
+  'taxLotMethod',              // LOT_METHOD_KEY
   'metalOrderConfig',          // METAL_ORDER_KEY
   'settingsItemsPerPage',      // ITEMS_PER_PAGE_KEY
   'appTimeZone',               // TIMEZONE_KEY
@@ -822,6 +896,11 @@ const SYNC_SCOPE_KEYS = [
   'chipMinCount',              // minimum count for filter chips
   'chipMaxCount',              // maximum count for filter chips
   'chipCustomGroups',          // custom chip groupings
+  'smartFilters',              // SMART_FILTERS_KEY — saved structured search queries
+  'smartCollections',          // SMART_COLLECTIONS_KEY — saved views in the collections sidebar
+  'wantList',                  // WANT_LIST_KEY — want list entries and progress
+  'stackingGoals',             // STACKING_GOALS_KEY — stacking goals and target allocation
+  'dcaPlans',                  // DCA_PLANS_KEY — recurring purchase plans
   'chipBlacklist',             // hidden chips
   'chipSortOrder',             // chip sort preference
 
@@ -950,6 +1029,21 @@ const ALLOWED_STORAGE_KEYS = [
   DEFAULT_SORT_COL_KEY,                  // number string: default sort column index
   DEFAULT_SORT_DIR_KEY,                  // string: "asc"|"desc" — default sort direction
   SHOW_REALIZED_KEY,                     // boolean string: "true"/"false" — show realized G/L in summary cards (STAK-72)
+  REALIZED_YEAR_KEY,                     // string: "all" | "YYYY" — tax year shown in the Realized summary row
+  LOT_METHOD_KEY,                        // string: "specific"|"fifo"|"lifo"|"hifo" — default lot matching method
+  PORTFOLIOS_KEY,                        // JSON array: named portfolios [{ id, name }]
+  ACTIVE_PORTFOLIO_KEY,                  // string: "all" | portfolio id — portfolio shown in table and totals (device-local)
+  PRICE_ALERTS_KEY,                      // JSON array: price alert rules (spot, 24h move, ratio, retail) — device-local
+  PRICE_ALERT_LOG_KEY,                   // JSON array: triggered alert log, newest first (capped)
+  WANT_LIST_KEY,                         // JSON array: wants [{ id, name, slug, numistaId, targetQty, acquiredQty, maxPrice, maxPremiumPct, priority, met, itemIds, createdAt }]
+  DCA_PLANS_KEY,                         // JSON array: DCA plans [{ id, name, metal, product, type, qty, weight, vendor, frequency, startDate, endDate, purchases: [{ date, itemUuid }], skipped, createdAt }]
+  STACKING_GOALS_KEY,                    // JSON object: { goals: [{ id, metal, type, measure, target, deadline, createdAt }], allocation: { silver: 60, … } }
+  CSV_MAPPING_PROFILES_KEY,              // JSON array: saved CSV column-mapping profiles keyed by header fingerprint
+  SMART_FILTERS_KEY,                     // JSON array: saved smart filters [{ id, label, query, createdAt }]
+  SMART_COLLECTIONS_KEY,                 // JSON array: saved views [{ id, name, view: { filters, query, disposedMode }, sortColumn, sortDirection, hiddenColumns, cardStyle, createdAt }]
+  USER_CATALOG_KEY,                      // JSON array: user local catalog entries [{ id, name, metal, type, weight, weightUnit, purity, mint, yearFrom, yearTo, numistaId }]
+  STORAGE_LOCATIONS_KEY,                 // JSON array: storage locations [{ id, name, kind, address, accessNotes, insuredLimit, auditIntervalDays, audits, auditDraft }]
+  SHARED_COLLECTIONS_KEY,                // JSON array: read-only shared collections (items only; photos in userImages)
   METAL_ORDER_KEY,                       // JSON array: metal order/visibility config
   ITEM_TAGS_KEY,                           // JSON object: per-item tags keyed by UUID (STAK-126)
   "enabledSeedRules",                        // JSON array: enabled built-in Numista lookup rule IDs
@@ -957,6 +1051,8 @@ const ALLOWED_STORAGE_KEYS = [
   "cloud_token_dropbox",                       // JSON: Dropbox OAuth token data
   "cloud_token_pcloud",                        // JSON: pCloud OAuth token data
   "cloud_token_box",                           // JSON: Box OAuth token data
+  "cloud_token_webdav",                        // JSON: WebDAV credentials { url, username, password }
+  "cloud_token_s3",                            // JSON: S3-compatible credentials { endpoint, region, bucket, accessKeyId, secretAccessKey }
   "cloud_last_backup",                         // JSON: { provider, timestamp } last cloud backup info
   "cloud_kraken_seen",                         // boolean string: easter egg flag
   "staktrakr_oauth_result",                    // JSON: transient OAuth callback relay (cleared after read)
@@ -967,11 +1063,15 @@ const ALLOWED_STORAGE_KEYS = [
   "cloud_sync_last_pull",                      // JSON: { syncId, timestamp, rev } — last pull on this device
   "cloud_sync_device_id",                      // UUID string: stable per-device identifier
   "cloud_sync_cursor",                         // Dropbox rev string: for efficient change detection
+  "cloud_sync_provider",                       // string: "dropbox"|"webdav"|"s3" — storage auto-sync pushes to and polls
   "cloud_sync_override_backup",                // JSON: { timestamp, itemCount, appVersion, data: {...} } — pre-pull local snapshot
+  "cloud_sync_base_snapshot",                  // JSON: { timestamp, syncId, data: { metalInventory, itemTags } } — last synced state, base for three-way merge
   CLOUD_VAULT_IDLE_TIMEOUT_KEY,                // number string: vault password idle lock timeout in minutes (15|30|60|120|0=never)
   "cloud_sync_mode",                           // DEPRECATED: kept for migration only — will be removed after v3.33
   "cloud_dropbox_account_id",                  // string: Dropbox account_id for Simple mode key derivation
   "cloud_vault_password",                      // string: user vault password stored for persistent unlock
+  "cloud_sync_rekey_from",                     // string: sync key the remote image vault still uses after a password change (cleared once re-keyed)
+  VAULT_RECOVERY_KEY_KEY,                      // string: printable vault recovery key ("XXXX-XXXX-…", Crockford base32)
   STORAGE_PERSIST_GRANTED_KEY,                         // boolean string: "true"/"false" — storage persistence grant flag
   "headerBtnOrder",                                    // JSON array: header button card order (STAK-320)
   "headerAboutBtnVisible",                             // boolean string: "true"/"false" — about button visibility (STAK-320)
@@ -994,13 +1094,19 @@ const VAULT_EXCLUDE_KEYS = [
   'cloud_token_dropbox',
   'cloud_token_pcloud',
   'cloud_token_box',
+  'cloud_token_webdav',
+  'cloud_token_s3',
   'cloud_dropbox_account_id',
   'cloud_vault_password',
+  'cloud_sync_rekey_from',
+  'vault_recovery_key',
   'cloud_sync_device_id',
   'cloud_sync_cursor',
+  'cloud_sync_provider',
   'cloud_sync_last_push',
   'cloud_sync_last_pull',
   'cloud_sync_override_backup',
+  'cloud_sync_base_snapshot',
   'cloud_sync_mode',
   'cloud_sync_local_modified',
   'cloud_sync_migrated',
@@ -1816,6 +1922,7 @@ if (typeof window !== "undefined") {
   window.SYNC_IMAGES_PATH_LEGACY = SYNC_IMAGES_PATH_LEGACY;
   window.SYNC_MANIFEST_PATH = SYNC_MANIFEST_PATH;
   window.SYNC_MANIFEST_PATH_LEGACY = SYNC_MANIFEST_PATH_LEGACY;
+  window.SYNC_PORTFOLIOS_FOLDER = SYNC_PORTFOLIOS_FOLDER;
   window.SYNC_BACKUP_FOLDER = SYNC_BACKUP_FOLDER;
   window.MANUAL_BACKUP_PREFIX = MANUAL_BACKUP_PREFIX;
   window.SYNC_BACKUP_PREFIX = SYNC_BACKUP_PREFIX;
@@ -1872,6 +1979,7 @@ if (typeof window !== "undefined") {
   // Multi-currency support (STACK-50)
   window.SUPPORTED_CURRENCIES = SUPPORTED_CURRENCIES;
   window.CLOUD_VAULT_IDLE_TIMEOUT_KEY = CLOUD_VAULT_IDLE_TIMEOUT_KEY;
+  window.VAULT_RECOVERY_KEY_KEY = VAULT_RECOVERY_KEY_KEY;
   window.STAKTRAKR_SIMPLE_SALT = STAKTRAKR_SIMPLE_SALT;
   window.DISPLAY_CURRENCY_KEY = DISPLAY_CURRENCY_KEY;
   window.EXCHANGE_RATES_KEY = EXCHANGE_RATES_KEY;
@@ -1895,6 +2003,7 @@ if (typeof window !== "undefined") {
   // Disposition types for realized gains (STAK-72)
   window.DISPOSITION_TYPES = DISPOSITION_TYPES;
   window.isDisposed = isDisposed;
+  window.LOT_METHODS = LOT_METHODS;
 }
 
 // Expose APP_VERSION globally for non-module usage
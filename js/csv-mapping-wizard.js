@@ -0,0 +1,369 @@
+// CSV MAPPING WIZARD
+// =============================================================================
+// Generic CSV import for dealer invoices and spreadsheets that don't use
+// StakTrakr's own headers. The wizard previews the first rows, lets the user
+// map each source column to an item field and pick unit/currency/date
+// transforms, then hands the mapped items to showImportDiffReview like every
+// other merge import.
+//
+// Mappings are saved as profiles in CustomMapping (customMapping.js), keyed by
+// a fingerprint of the header row, so the next file with the same layout opens
+// already mapped.
+// =============================================================================
+
+/** @constant {number} Source rows shown as samples per column */
+const CSV_MAPPING_SAMPLE_ROWS = 3;
+
+/** @constant {number} Mapped items shown in the preview table */
+const CSV_MAPPING_PREVIEW_ROWS = 5;
+
+/** @constant {Object<string, string>} Transform select id → MappingTransforms key */
+const CSV_MAPPING_TRANSFORM_INPUTS = {
+  csvMappingWeightUnit: 'weightUnit',
+  csvMappingCurrency: 'currency',
+  csvMappingDateFormat: 'dateFormat',
+  csvMappingDefaultMetal: 'defaultMetal',
+};
+
+/**
+ * Wizard state for the file being mapped.
+ * @type {{fileName: string, headers: string[], rows: Object[], columns: Object<string,string>,
+ *   transforms: Object, profile: Object|null}|null}
+ */
+let csvMappingState = null;
+
+/**
+ * Opens the mapping wizard for a CSV file.
+ * @param {File} file - CSV file selected by the user
+ */
+const importMappedCsv = (file) => {
+  if (typeof Papa === 'undefined') {
+    appAlert('CSV library (PapaParse) failed to load. Please check your internet connection and reload the page.');
+    return;
+  }
+  Papa.parse(file, {
+    header: true,
+    skipEmptyLines: 'greedy',
+    transformHeader: (h) => h.trim(),
+    complete: (results) => {
+      const headers = (results.meta.fields || []).filter(Boolean);
+      const rows = results.data || [];
+      if (headers.length === 0 || rows.length === 0) {
+        appAlert('No rows found in this file. The first row must contain column headers.', 'Map CSV Columns');
+        return;
+      }
+      const profile = CustomMapping.findProfile(headers);
+      csvMappingState = {
+        fileName: file.name,
+        headers,
+        rows,
+        profile,
+        columns: {},
+        transforms: { ...CustomMapping.DEFAULT_TRANSFORMS },
+      };
+      _applyCsvMappingProfile(profile);
+      debugLog('importMappedCsv', file.name, rows.length, 'rows', profile ? `profile "${profile.name}"` : 'new layout');
+      renderCsvMappingWizard();
+      if (window.openModalById) openModalById('csvMappingModal');
+    },
+    error: (error) => handleError(error, 'CSV mapping import'),
+  });
+};
+
+/**
+ * Loads a profile's columns and transforms into the wizard state. Headers the
+ * profile doesn't cover (or all of them, without a profile) get a suggestion.
+ * @param {Object|null} profile - Saved mapping profile
+ */
+const _applyCsvMappingProfile = (profile) => {
+  const state = csvMappingState;
+  state.profile = profile;
+  state.transforms = { ...CustomMapping.DEFAULT_TRANSFORMS, ...(profile ? profile.transforms : {}) };
+  state.columns = {};
+  for (const header of state.headers) {
+    state.columns[header] = profile && profile.columns[header]
+      ? profile.columns[header]
+      : CustomMapping.suggestField(header);
+  }
+};
+
+/**
+ * Whether the applied profile was saved from this exact header layout.
+ * @returns {boolean}
+ */
+const _isCsvMappingProfileExact = () => {
+  const state = csvMappingState;
+  return !!(state && state.profile && state.profile.fingerprint === CustomMapping.fingerprintHeaders(state.headers));
+};
+
+/**
+ * Maps every source row with the current wizard settings.
+ * @param {number} [limit] - Only map the first N rows (preview)
+ * @returns {{items: Object[], skipped: string[], tags: string[][]}}
+ */
+const _mapCsvRows = (limit) => {
+  const { rows, columns, transforms } = csvMappingState;
+  const result = { items: [], skipped: [], tags: [] };
+  const source = limit ? rows.slice(0, limit) : rows;
+  for (const row of source) {
+    const mapped = CustomMapping.mapRow(row, columns, transforms);
+    if (mapped.item) {
+      result.items.push(mapped.item);
+      result.tags.push(mapped.tags);
+    } else {
+      result.skipped.push(mapped.reason);
+    }
+  }
+  return result;
+};
+
+/**
+ * Renders the column table for the current state.
+ */
+const _renderCsvMappingColumns = () => {
+  const tbody = document.querySelector('#csvMappingColumns tbody');
+  if (!tbody) return;
+  const { headers, rows, columns } = csvMappingState;
+  const options = CustomMapping.TARGET_FIELDS;
+  tbody.innerHTML = headers.map((header, i) => {
+    const samples = rows.slice(0, CSV_MAPPING_SAMPLE_ROWS)
+      .map((row) => String(row[header] == null ? '' : row[header]).trim())
+      .filter(Boolean);
+    const opts = options.map((o) =>
+      `<option value="${o.field}"${columns[header] === o.field ? ' selected' : ''}>${escapeHtml(o.label)}</option>`
+    ).join('');
+    return `<tr>
+      <td class="csv-mapping-header">${escapeHtml(header)}</td>
+      <td class="csv-mapping-samples">${samples.map((v) => `<span>${escapeHtml(v)}</span>`).join('') || '<em>empty</em>'}</td>
+      <td><select class="csv-mapping-select" data-col="${i}" aria-label="Map ${escapeAttribute(header)}">${opts}</select></td>
+    </tr>`;
+  }).join('');
+};
+
+/**
+ * Renders the mapped-item preview and the import count.
+ */
+const renderCsvMappingPreview = () => {
+  const tbody = document.querySelector('#csvMappingPreview tbody');
+  const summary = document.getElementById('csvMappingSummary');
+  if (!tbody || !csvMappingState) return;
+
+  const preview = _mapCsvRows(CSV_MAPPING_PREVIEW_ROWS);
+  tbody.innerHTML = preview.items.map((item) => `<tr>
+      <td>${escapeHtml(item.name || '—')}</td>
+      <td>${escapeHtml(item.metal)}</td>
+      <td>${escapeHtml(item.type)}</td>
+      <td class="num">${item.qty}</td>
+      <td class="num">${item.weight === '' || item.weight == null ? '—' : `${item.weight} ${item.weightUnit === 'gb' ? 'gb' : 'oz'}`}</td>
+      <td class="num">${formatCurrency(item.price || 0)}</td>
+      <td>${escapeHtml(item.date)}</td>
+    </tr>`).join('') || '<tr><td colspan="7" class="settings-subtext">No rows map to a precious metal item yet.</td></tr>';
+
+  if (summary) {
+    const all = _mapCsvRows();
+    const hasName = Object.values(csvMappingState.columns).includes('name');
+    let text = `${all.items.length} of ${csvMappingState.rows.length} rows will be reviewed for import.`;
+    if (all.skipped.length) text += ` ${all.skipped.length} skipped: no precious metal found.`;
+    if (!hasName) text += ' Map a column to Name to continue.';
+    summary.textContent = text;
+    const importBtn = document.getElementById('csvMappingImportBtn');
+    if (importBtn) importBtn.disabled = !hasName || all.items.length === 0;
+  }
+};
+
+/**
+ * Renders the whole wizard from csvMappingState.
+ */
+const renderCsvMappingWizard = () => {
+  const state = csvMappingState;
+  if (!state) return;
+
+  const info = document.getElementById('csvMappingFileInfo');
+  if (info) info.textContent = `${state.fileName} — ${state.rows.length} row${state.rows.length === 1 ? '' : 's'}, ${state.headers.length} columns`;
+
+  const status = document.getElementById('csvMappingProfileStatus');
+  if (status) {
+    if (_isCsvMappingProfileExact()) {
+      status.textContent = `Mapped automatically with saved profile "${state.profile.name}". Check the preview and continue.`;
+    } else if (state.profile) {
+      status.textContent = `Using matching columns from "${state.profile.name}". This layout will be saved as its own profile.`;
+    } else {
+      status.textContent = 'New column layout — choose a field for each column. Saving a profile maps this layout automatically next time.';
+    }
+  }
+
+  const profileSelect = document.getElementById('csvMappingProfile');
+  if (profileSelect) {
+    const profiles = CustomMapping.getProfiles();
+    profileSelect.innerHTML = '<option value="">New mapping</option>' + profiles.map((p) =>
+      `<option value="${escapeAttribute(p.id)}"${state.profile && state.profile.id === p.id ? ' selected' : ''}>${escapeHtml(p.name)}</option>`
+    ).join('');
+  }
+  const deleteBtn = document.getElementById('csvMappingDeleteProfileBtn');
+  if (deleteBtn) deleteBtn.style.display = state.profile ? '' : 'none';
+
+  const nameInput = document.getElementById('csvMappingProfileName');
+  if (nameInput) nameInput.value = _isCsvMappingProfileExact() ? state.profile.name : state.fileName.replace(/\.[^.]+$/, '');
+
+  const currencySelect = document.getElementById('csvMappingCurrency');
+  if (currencySelect && currencySelect.options.length === 0 && typeof SUPPORTED_CURRENCIES !== 'undefined') {
+    currencySelect.innerHTML = SUPPORTED_CURRENCIES.map((c) =>
+      `<option value="${c.code}">${c.code} — ${escapeHtml(c.name)}</option>`
+    ).join('');
+  }
+  for (const [id, key] of Object.entries(CSV_MAPPING_TRANSFORM_INPUTS)) {
+    const el = document.getElementById(id);
+    if (el) el.value = state.transforms[key];
+  }
+
+  _renderCsvMappingColumns();
+  renderCsvMappingPreview();
+};
+
+/**
+ * Applies the mapping: optionally saves the profile, then opens the import
+ * diff review with the mapped items.
+ */
+const confirmCsvMapping = () => {
+  const state = csvMappingState;
+  if (!state) return;
+  if (!Object.values(state.columns).includes('name')) {
+    appAlert('Map one column to Name before importing.', 'Map CSV Columns');
+    return;
+  }
+
+  const saveBox = document.getElementById('csvMappingSaveProfile');
+  if (!saveBox || saveBox.checked) {
+    const nameInput = document.getElementById('csvMappingProfileName');
+    state.profile = CustomMapping.saveProfile({
+      // A profile picked for a different layout is a template, not the one to overwrite
+      id: _isCsvMappingProfileExact() ? state.profile.id : undefined,
+      name: nameInput ? nameInput.value : state.fileName,
+      headers: state.headers,
+      columns: state.columns,
+      transforms: state.transforms,
+    });
+  }
+
+  const { items, skipped, tags } = _mapCsvRows();
+  const pendingTagsByUuid = new Map();
+  items.forEach((item, i) => {
+    item.serial = getNextSerial();
+    if (tags[i].length) {
+      const tagKey = typeof DiffEngine !== 'undefined' ? DiffEngine.computeItemKey(item) : item.serial;
+      pendingTagsByUuid.set(tagKey, tags[i]);
+    }
+    addCompositionOption(item.composition);
+  });
+
+  closeCsvMappingWizard();
+
+  let imported = items;
+  let validationResult = null;
+  if (typeof buildImportValidationResult === 'function') {
+    validationResult = buildImportValidationResult(items, skipped);
+    if (validationResult.valid.length === 0) {
+      const firstReason = validationResult.invalid.length > 0 ? validationResult.invalid[0].reasons[0] : 'Unknown error';
+      showToast('No items could be imported: ' + firstReason);
+      return;
+    }
+    if (validationResult.skippedCount > 0) {
+      showToast(validationResult.skippedCount + ' item(s) could not be imported and were skipped.');
+    }
+    imported = validationResult.valid;
+  }
+
+  showImportDiffReview(imported, { type: 'csv', label: state.fileName }, {
+    validationResult,
+    pendingTagsByUuid,
+    additiveOnly: true,
+  }, (summary) => {
+    debugLog('importMappedCsv complete', summary.added, 'added', summary.modified, 'modified');
+  });
+};
+
+/**
+ * Deletes the profile currently applied in the wizard and falls back to suggestions.
+ */
+const deleteCsvMappingProfile = async () => {
+  const state = csvMappingState;
+  if (!state || !state.profile) return;
+  const confirmed = await appConfirm(`Delete the saved mapping "${state.profile.name}"?`, 'Map CSV Columns');
+  if (!confirmed) return;
+  CustomMapping.deleteProfile(state.profile.id);
+  _applyCsvMappingProfile(null);
+  renderCsvMappingWizard();
+};
+
+/**
+ * Closes the wizard and drops the parsed file.
+ */
+const closeCsvMappingWizard = () => {
+  if (window.closeModalById) closeModalById('csvMappingModal');
+  csvMappingState = null;
+};
+
+/**
+ * Wires wizard controls. Called once from events.js.
+ */
+const setupCsvMappingWizard = () => {
+  const modal = document.getElementById('csvMappingModal');
+  if (!modal) return;
+
+  const columns = document.getElementById('csvMappingColumns');
+  if (columns) {
+    columns.addEventListener('change', (e) => {
+      const select = e.target.closest('.csv-mapping-select');
+      if (!select || !csvMappingState) return;
+      csvMappingState.columns[csvMappingState.headers[Number(select.dataset.col)]] = select.value;
+      renderCsvMappingPreview();
+    });
+  }
+
+  for (const [id, key] of Object.entries(CSV_MAPPING_TRANSFORM_INPUTS)) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    el.addEventListener('change', () => {
+      if (!csvMappingState) return;
+      csvMappingState.transforms[key] = el.value;
+      renderCsvMappingPreview();
+    });
+  }
+
+  const profileSelect = document.getElementById('csvMappingProfile');
+  if (profileSelect) {
+    profileSelect.addEventListener('change', () => {
+      if (!csvMappingState) return;
+      const profile = CustomMapping.getProfiles().find((p) => p.id === profileSelect.value) || null;
+      _applyCsvMappingProfile(profile);
+      renderCsvMappingWizard();
+    });
+  }
+
+  const bind = (id, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('click', handler);
+  };
+  bind('csvMappingImportBtn', confirmCsvMapping);
+  bind('csvMappingDeleteProfileBtn', deleteCsvMappingProfile);
+  bind('csvMappingCancelBtn', closeCsvMappingWizard);
+  bind('csvMappingCloseBtn', closeCsvMappingWizard);
+
+  const fileInput = document.getElementById('importMappedCsvFile');
+  bind('importMappedCsvBtn', () => { if (fileInput) fileInput.click(); });
+  if (fileInput) {
+    fileInput.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (file) importMappedCsv(file);
+      fileInput.value = '';
+    });
+  }
+};
+
+// Expose globally
+window.importMappedCsv = importMappedCsv;
+window.renderCsvMappingWizard = renderCsvMappingWizard;
+window.renderCsvMappingPreview = renderCsvMappingPreview;
+window.confirmCsvMapping = confirmCsvMapping;
+window.closeCsvMappingWizard = closeCsvMappingWizard;
+window.setupCsvMappingWizard = setupCsvMappingWizard;
@@ -1,7 +1,11 @@
 /**
  * Custom Mapping Module
  * Provides a simple regex-based rule engine for mapping imported
- * field names to application fields.
+ * field names to application fields, plus saved column-mapping profiles
+ * used by the generic CSV import wizard (csv-mapping-wizard.js).
+ *
+ * A profile is keyed by a fingerprint of the file's header row, so the
+ * next export from the same dealer or spreadsheet maps automatically.
  */
 
 /**
@@ -10,6 +14,25 @@
  * @property {string} field Target field identifier
  */
 
+/**
+ * @typedef {Object} MappingTransforms
+ * @property {string} weightUnit Unit of the weight column: "oz" | "g" | "kg" | "gb"
+ * @property {string} currency ISO code prices are written in (converted to USD)
+ * @property {string} dateFormat "auto" | "mdy" | "dmy" | "ymd"
+ * @property {string} defaultMetal Metal when no column is mapped: "auto" (from name) or a metal name
+ */
+
+/**
+ * @typedef {Object} MappingProfile
+ * @property {string} id Unique profile id
+ * @property {string} name User-facing profile name
+ * @property {string} fingerprint Header fingerprint (see fingerprintHeaders)
+ * @property {string[]} headers Header row the profile was saved from
+ * @property {Object<string, string>} columns Source header → target field
+ * @property {MappingTransforms} transforms Value transforms
+ * @property {string} updatedAt ISO timestamp
+ */
+
 const CustomMapping = (() => {
   /** @type {MappingRule[]} */
   let mappings = [];
@@ -59,7 +82,302 @@ const CustomMapping = (() => {
     return mappings.map((m) => ({ regex: m.regex.toString(), field: m.field }));
   }
 
-  return { addMapping, mapField, clear, list };
+  // ---------------------------------------------------------------------------
+  // Column-mapping profiles
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Item fields a source column can be mapped to. "ignore" drops the column;
+   * "totalPrice" is a line total divided by quantity; "tags" is split on ; or ,.
+   * @type {Array<{field: string, label: string}>}
+   */
+  const TARGET_FIELDS = [
+    { field: 'ignore', label: '— Ignore —' },
+    { field: 'name', label: 'Name' },
+    { field: 'metal', label: 'Metal / Composition' },
+    { field: 'type', label: 'Type' },
+    { field: 'qty', label: 'Quantity' },
+    { field: 'weight', label: 'Weight' },
+    { field: 'purity', label: 'Purity' },
+    { field: 'price', label: 'Unit Price' },
+    { field: 'totalPrice', label: 'Line Total' },
+    { field: 'date', label: 'Purchase Date' },
+    { field: 'purchaseLocation', label: 'Purchase Location' },
+    { field: 'storageLocation', label: 'Storage Location' },
+    { field: 'year', label: 'Year' },
+    { field: 'grade', label: 'Grade' },
+    { field: 'gradingAuthority', label: 'Grading Authority' },
+    { field: 'certNumber', label: 'Cert #' },
+    { field: 'pcgsNumber', label: 'PCGS #' },
+    { field: 'serialNumber', label: 'Serial Number' },
+    { field: 'numistaId', label: 'Numista #' },
+    { field: 'marketValue', label: 'Retail Price' },
+    { field: 'notes', label: 'Notes' },
+    { field: 'tags', label: 'Tags' },
+  ];
+
+  /** @type {MappingTransforms} */
+  const DEFAULT_TRANSFORMS = { weightUnit: 'oz', currency: 'USD', dateFormat: 'auto', defaultMetal: 'auto' };
+
+  /**
+   * Built-in header guesses used when no user rule matches. Order matters:
+   * the first matching pattern wins, so specific patterns come first.
+   * @type {Array<[RegExp, string]>}
+   */
+  const BUILTIN_RULES = [
+    [/(line|ext(ended)?|row)\s*(total|amount)|^total$|^amount$|subtotal/i, 'totalPrice'],
+    [/unit\s*price|price\s*(each|per)|^price$|purchase\s*price|cost|paid/i, 'price'],
+    [/^(qty|quantity|count|units?)$/i, 'qty'],
+    [/weight|^oz$|ounces?|grams?/i, 'weight'],
+    [/purity|fineness/i, 'purity'],
+    [/^(metal|composition)$/i, 'metal'],
+    [/^(type|category|form)$/i, 'type'],
+    [/date|ordered|purchased/i, 'date'],
+    [/dealer|vendor|seller|source|purchase\s*location/i, 'purchaseLocation'],
+    [/storage|location|vault/i, 'storageLocation'],
+    [/^year$|mint\s*year/i, 'year'],
+    [/authority|grader|service/i, 'gradingAuthority'],
+    [/^grade$/i, 'grade'],
+    [/pcgs/i, 'pcgsNumber'],
+    [/cert/i, 'certNumber'],
+    [/serial/i, 'serialNumber'],
+    [/numista|^n#$/i, 'numistaId'],
+    [/retail|market\s*value/i, 'marketValue'],
+    [/notes?|comments?|memo/i, 'notes'],
+    [/tags?/i, 'tags'],
+    [/name|description|product|item|title/i, 'name'],
+  ];
+
+  /**
+   * Guesses the target field for a source header: user rules first, then built-ins.
+   * @param {string} header Source column header
+   * @returns {string} Target field, or "ignore"
+   */
+  function suggestField(header) {
+    const h = String(header || '').trim();
+    if (!h) return 'ignore';
+    const userField = mapField(h);
+    if (userField && TARGET_FIELDS.some((f) => f.field === userField)) return userField;
+    for (const [regex, field] of BUILTIN_RULES) {
+      if (regex.test(h)) return field;
+    }
+    return 'ignore';
+  }
+
+  /**
+   * Builds a stable fingerprint for a header row. Case, surrounding
+   * whitespace and column order are ignored.
+   * @param {string[]} headers Header row
+   * @returns {string} Fingerprint such as "h7:3f2a9c1b"
+   */
+  function fingerprintHeaders(headers) {
+    const norm = (headers || [])
+      .map((h) => String(h || '').trim().toLowerCase().replace(/\s+/g, ' '))
+      .filter(Boolean)
+      .sort();
+    let hash = 5381;
+    const text = norm.join('|');
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return `h${norm.length}:${hash.toString(16).padStart(8, '0')}`;
+  }
+
+  /**
+   * Returns all saved profiles.
+   * @returns {MappingProfile[]}
+   */
+  function getProfiles() {
+    const profiles = loadDataSync(CSV_MAPPING_PROFILES_KEY, []);
+    return Array.isArray(profiles) ? profiles : [];
+  }
+
+  /**
+   * Finds the saved profile for a header row, if any.
+   * @param {string[]} headers Header row
+   * @returns {MappingProfile|null}
+   */
+  function findProfile(headers) {
+    const fingerprint = fingerprintHeaders(headers);
+    return getProfiles().find((p) => p.fingerprint === fingerprint) || null;
+  }
+
+  /**
+   * Saves a profile. An existing profile with the same fingerprint or id is replaced.
+   * @param {{id?: string, name: string, headers: string[], columns: Object<string,string>, transforms?: MappingTransforms}} profile
+   * @returns {MappingProfile} The stored profile
+   */
+  function saveProfile(profile) {
+    const fingerprint = fingerprintHeaders(profile.headers);
+    const stored = {
+      id: profile.id || `map-${Date.now().toString(36)}`,
+      name: String(profile.name || '').trim() || 'Untitled mapping',
+      fingerprint,
+      headers: profile.headers.slice(),
+      columns: { ...profile.columns },
+      transforms: { ...DEFAULT_TRANSFORMS, ...(profile.transforms || {}) },
+      updatedAt: new Date().toISOString(),
+    };
+    const profiles = getProfiles().filter((p) => p.id !== stored.id && p.fingerprint !== fingerprint);
+    profiles.push(stored);
+    saveDataSync(CSV_MAPPING_PROFILES_KEY, profiles);
+    return stored;
+  }
+
+  /**
+   * Deletes a saved profile.
+   * @param {string} id Profile id
+   * @returns {void}
+   */
+  function deleteProfile(id) {
+    saveDataSync(CSV_MAPPING_PROFILES_KEY, getProfiles().filter((p) => p.id !== id));
+  }
+
+  /**
+   * Parses a number from a formatted cell ("$1,234.50", "(12.00)", "1.234,50").
+   * @param {*} value Cell value
+   * @returns {number} Parsed number, or NaN
+   */
+  function parseNumber(value) {
+    if (typeof value === 'number') return value;
+    let text = String(value == null ? '' : value).trim();
+    if (!text) return NaN;
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    text = text.replace(/[^\d.,]/g, '');
+    // "1.234,50" and a lone "12,5" use a decimal comma; otherwise commas group thousands
+    if (text.lastIndexOf(',') > text.lastIndexOf('.') && (text.includes('.') || /^\d+,\d{1,2}$/.test(text))) {
+      text = text.replace(/\./g, '').replace(',', '.');
+    }
+    text = text.replace(/,/g, '');
+    const n = parseFloat(text);
+    return isNaN(n) ? NaN : (negative ? -n : n);
+  }
+
+  /**
+   * Parses a date cell using an explicit format, falling back to parseDate.
+   * @param {string} value Cell value
+   * @param {string} format "auto" | "mdy" | "dmy" | "ymd"
+   * @returns {string} YYYY-MM-DD, or parseDate's placeholder
+   */
+  function parseDateWithFormat(value, format) {
+    const text = String(value || '').trim();
+    const parts = text.split(/[\/.\-\s]+/).map((p) => parseInt(p, 10));
+    if (format !== 'auto' && parts.length >= 3 && parts.slice(0, 3).every((n) => !isNaN(n))) {
+      const [a, b, c] = parts;
+      let y, m, d;
+      if (format === 'ymd') { y = a; m = b; d = c; }
+      else if (format === 'dmy') { d = a; m = b; y = c; }
+      else { m = a; d = b; y = c; }
+      if (y < 100) y += 2000;
+      if (m >= 1 && m <= 12 && d >= 1 && d <= 31) {
+        return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+      }
+    }
+    // Strip a trailing time so "2025-03-04 10:12" still parses
+    return parseDate(text.replace(/[ T]\d{1,2}:\d{2}.*$/, ''));
+  }
+
+  /**
+   * Converts one CSV row into an import item using a column mapping.
+   * @param {Object<string,string>} row Parsed CSV row keyed by header
+   * @param {Object<string,string>} columns Source header → target field
+   * @param {MappingTransforms} [transforms]
+   * @returns {{item: Object|null, tags: string[], reason?: string}}
+   *   item is null when the row has no precious metal content. No serial is
+   *   assigned, so previews do not consume the serial counter.
+   */
+  function mapRow(row, columns, transforms) {
+    const t = { ...DEFAULT_TRANSFORMS, ...(transforms || {}) };
+    const raw = {};
+    for (const [header, field] of Object.entries(columns || {})) {
+      if (!field || field === 'ignore') continue;
+      const value = row[header];
+      if (value === undefined || value === null || String(value).trim() === '') continue;
+      // Multiple columns mapped to notes are joined; other fields keep the first
+      if (field === 'notes' && raw.notes) raw.notes += `\n${value}`;
+      else if (raw[field] === undefined) raw[field] = String(value).trim();
+    }
+
+    const name = raw.name || '';
+    const metalSource = raw.metal || (t.defaultMetal === 'auto' ? '' : t.defaultMetal);
+    let metal = metalSource ? parseNumistaMetal(getCompositionFirstWords(metalSource)) : '';
+    if (!metal || metal === 'Alloy') {
+      const m = `${metalSource} ${name}`.match(/\b(gold|silver|platinum|palladium)\b/i);
+      metal = m ? m[1].charAt(0).toUpperCase() + m[1].slice(1).toLowerCase() : '';
+    }
+    if (!['Silver', 'Gold', 'Platinum', 'Palladium'].includes(metal)) {
+      return { item: null, tags: [], reason: `${name || 'Unnamed row'} (${metalSource || 'no metal'})` };
+    }
+
+    const qtyParsed = parseNumber(raw.qty);
+    const qty = qtyParsed > 0 ? Math.round(qtyParsed) : 1;
+
+    let weight = parseNumber(raw.weight);
+    let weightUnit = 'oz';
+    if (!isNaN(weight)) {
+      if (t.weightUnit === 'g') weight = gramsToOzt(weight);
+      else if (t.weightUnit === 'kg') weight = gramsToOzt(weight * 1000);
+      else if (t.weightUnit === 'gb') weightUnit = 'gb';
+      weight = parseFloat(weight.toFixed(6));
+    } else {
+      weight = '';
+    }
+
+    const rate = t.currency && t.currency !== 'USD' ? (getExchangeRate(t.currency) || 1) : 1;
+    const toUsd = (n) => (isNaN(n) ? NaN : parseFloat((n / rate).toFixed(2)));
+    let price = toUsd(parseNumber(raw.price));
+    if (isNaN(price)) {
+      const total = toUsd(parseNumber(raw.totalPrice));
+      price = isNaN(total) ? 0 : parseFloat((total / qty).toFixed(2));
+    }
+    const marketValue = toUsd(parseNumber(raw.marketValue));
+
+    let purity = parseNumber(raw.purity);
+    if (purity > 1 && purity <= 1000) purity = purity / 1000; // 999 / 999.9 fineness
+    const composition = raw.metal ? getCompositionFirstWords(raw.metal) || metal : metal;
+    const typeRaw = raw.type || name;
+    const type = VALID_TYPES.some((v) => v.toLowerCase() === String(typeRaw).trim().toLowerCase())
+      ? normalizeType(typeRaw) : mapNumistaType(typeRaw);
+    const numistaMatch = String(raw.numistaId || '').match(/\d+/);
+
+    const item = sanitizeImportedItem({
+      metal,
+      composition,
+      name,
+      qty,
+      type,
+      weight,
+      weightUnit,
+      price: price < 0 ? 0 : price,
+      marketValue: isNaN(marketValue) ? 0 : marketValue,
+      date: raw.date ? parseDateWithFormat(raw.date, t.dateFormat) : parseDate(''),
+      purchaseLocation: raw.purchaseLocation || '',
+      storageLocation: raw.storageLocation || '',
+      notes: raw.notes || '',
+      year: raw.year || '',
+      grade: raw.grade || '',
+      gradingAuthority: raw.gradingAuthority || '',
+      certNumber: raw.certNumber || '',
+      pcgsNumber: raw.pcgsNumber || '',
+      purity: isNaN(purity) ? 1.0 : purity,
+      spotPriceAtPurchase: 0,
+      premiumPerOz: 0,
+      totalPremium: 0,
+      numistaId: numistaMatch ? numistaMatch[0] : '',
+      serialNumber: raw.serialNumber || '',
+      uuid: '',
+    });
+    const tags = (raw.tags || '').split(/[;,]/).map((tag) => tag.trim()).filter(Boolean);
+    return { item, tags };
+  }
+
+  return {
+    addMapping, mapField, clear, list,
+    TARGET_FIELDS, DEFAULT_TRANSFORMS,
+    suggestField, fingerprintHeaders,
+    getProfiles, findProfile, saveProfile, deleteProfile,
+    parseNumber, parseDateWithFormat, mapRow,
+  };
 })();
 
 // Expose globally for prototype UI hooks
@@ -0,0 +1,524 @@
+// DCA PLANNER
+// =============================================================================
+// Recurring purchase plans ("2 × 1 oz silver on the 1st of every month from
+// vendor X"). Each plan expands into scheduled buy dates; the calendar in
+// Settings → DCA marks each date bought, skipped, missed, due or upcoming.
+// "Buy" opens Add Item with the plan's product, vendor, today's date and
+// today's spot (spotPrices from spot.js) filled in; saving the item records
+// it against that scheduled date.
+//
+// The performance report compares what the plan's purchases actually cost
+// per fine ounce with investing the same dollars on the plan's start date.
+// Spot on past dates comes from spotHistory, then the bundled
+// data/spot-history-{year}.json files (spotLookup.js).
+// =============================================================================
+
+/** @constant {Object<string, {label: string, months: number, days: number}>} Plan frequencies */
+const DCA_FREQUENCIES = {
+  weekly: { label: 'Weekly', months: 0, days: 7 },
+  biweekly: { label: 'Every 2 weeks', months: 0, days: 14 },
+  monthly: { label: 'Monthly', months: 1, days: 0 },
+  quarterly: { label: 'Quarterly', months: 3, days: 0 },
+};
+
+/** @constant {number} Days ahead the calendar lists upcoming buys */
+const DCA_CALENDAR_HORIZON_DAYS = 60;
+
+/** Scheduled buy whose Add Item form is open: { planId, date } */
+let pendingDcaBuy = null;
+
+/**
+ * Load DCA plans.
+ * @returns {Array<Object>} Plans: { id, name, metal, product, type, qty, weight, vendor,
+ *   frequency, startDate, endDate, purchases: [{ date, itemUuid }], skipped: [date], createdAt }
+ */
+const getDcaPlans = () => {
+  const stored = loadDataSync(DCA_PLANS_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter(p => p && typeof p.id === 'string' && DCA_FREQUENCIES[p.frequency] && /^\d{4}-\d{2}-\d{2}$/.test(p.startDate || ''))
+    .map(p => ({
+      ...p,
+      qty: Math.max(1, parseInt(p.qty, 10) || 1),
+      weight: Number(p.weight) > 0 ? Number(p.weight) : 1,
+      endDate: /^\d{4}-\d{2}-\d{2}$/.test(p.endDate || '') ? p.endDate : '',
+      purchases: Array.isArray(p.purchases) ? p.purchases : [],
+      skipped: Array.isArray(p.skipped) ? p.skipped : [],
+    }));
+};
+
+/**
+ * Persist DCA plans and queue a cloud push.
+ * @param {Array<Object>} plans
+ */
+const saveDcaPlans = (plans) => {
+  saveDataSync(DCA_PLANS_KEY, plans);
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+};
+
+/**
+ * YYYY-MM-DD for a local date.
+ * @param {Date} d
+ * @returns {string}
+ */
+const _dcaDateStr = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+/**
+ * Scheduled buy dates from the plan start through `until` (and the plan end).
+ * Monthly and quarterly plans keep the start date's day of month, clamped to
+ * shorter months.
+ * @param {Object} plan
+ * @param {string} until - Last date to include (YYYY-MM-DD)
+ * @returns {string[]} Dates, oldest first
+ */
+const getDcaScheduleDates = (plan, until) => {
+  const freq = DCA_FREQUENCIES[plan.frequency];
+  const last = plan.endDate && plan.endDate < until ? plan.endDate : until;
+  const [y, m, d] = plan.startDate.split('-').map(Number);
+  const dates = [];
+  for (let n = 0; n < 1000; n++) {
+    let date;
+    if (freq.months) {
+      const monthIndex = m - 1 + n * freq.months;
+      const daysInMonth = new Date(y, monthIndex + 1, 0).getDate();
+      date = new Date(y, monthIndex, Math.min(d, daysInMonth));
+    } else {
+      date = new Date(y, m - 1, d + n * freq.days);
+    }
+    const str = _dcaDateStr(date);
+    if (str > last) break;
+    dates.push(str);
+  }
+  return dates;
+};
+
+/**
+ * Calendar of a plan's buys: every past scheduled date and upcoming dates
+ * within DCA_CALENDAR_HORIZON_DAYS.
+ * @param {Object} plan
+ * @param {string} [today=todayStr()]
+ * @returns {Array<{date: string, status: 'bought'|'skipped'|'missed'|'due'|'upcoming', itemUuid: string|null}>}
+ */
+const getDcaCalendar = (plan, today = todayStr()) => {
+  const horizon = new Date(`${today}T00:00:00`);
+  horizon.setDate(horizon.getDate() + DCA_CALENDAR_HORIZON_DAYS);
+  return getDcaScheduleDates(plan, _dcaDateStr(horizon)).map(date => {
+    const purchase = plan.purchases.find(p => p.date === date);
+    let status;
+    if (purchase) status = 'bought';
+    else if (plan.skipped.includes(date)) status = 'skipped';
+    else if (date < today) status = 'missed';
+    else if (date === today) status = 'due';
+    else status = 'upcoming';
+    return { date, status, itemUuid: purchase ? purchase.itemUuid : null };
+  });
+};
+
+/**
+ * Create a plan.
+ * @param {Object} fields - { name?, metal, product, type, qty, weight, vendor?, frequency, startDate, endDate? }
+ * @returns {{plan?: Object, error?: string}}
+ */
+const addDcaPlan = (fields) => {
+  const metal = Object.values(METALS).find(m => m.name === fields.metal);
+  if (!metal) return { error: 'Choose a metal.' };
+  const product = String(fields.product || '').trim();
+  if (!product) return { error: 'Enter the product to buy.' };
+  const qty = parseInt(fields.qty, 10);
+  if (!(qty >= 1)) return { error: 'Quantity per buy must be at least 1.' };
+  const weight = parseFloat(fields.weight);
+  if (!(weight > 0)) return { error: 'Weight must be greater than zero.' };
+  if (!DCA_FREQUENCIES[fields.frequency]) return { error: 'Choose how often to buy.' };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(fields.startDate || '')) return { error: 'Choose a start date.' };
+  const endDate = String(fields.endDate || '');
+  if (endDate && (!/^\d{4}-\d{2}-\d{2}$/.test(endDate) || endDate < fields.startDate)) {
+    return { error: 'End date must be on or after the start date.' };
+  }
+
+  const ounces = +(qty * weight).toFixed(4);
+  const plan = {
+    id: 'dca_' + generateUUID(),
+    name: String(fields.name || '').trim() || `${ounces} oz ${metal.name} ${DCA_FREQUENCIES[fields.frequency].label.toLowerCase()}`,
+    metal: metal.name,
+    product,
+    type: String(fields.type || 'Coin'),
+    qty,
+    weight,
+    vendor: String(fields.vendor || '').trim(),
+    frequency: fields.frequency,
+    startDate: fields.startDate,
+    endDate,
+    purchases: [],
+    skipped: [],
+    createdAt: new Date().toISOString(),
+  };
+  saveDcaPlans([...getDcaPlans(), plan]);
+  return { plan };
+};
+
+/**
+ * Delete a plan. Items already bought stay in the inventory.
+ * @param {string} id
+ */
+const deleteDcaPlan = (id) => {
+  saveDcaPlans(getDcaPlans().filter(p => p.id !== id));
+};
+
+/**
+ * Mark a scheduled buy as skipped, or un-skip it.
+ * @param {string} id
+ * @param {string} date
+ */
+const toggleDcaSkip = (id, date) => {
+  const plans = getDcaPlans();
+  const plan = plans.find(p => p.id === id);
+  if (!plan) return;
+  plan.skipped = plan.skipped.includes(date) ? plan.skipped.filter(d => d !== date) : [...plan.skipped, date];
+  saveDcaPlans(plans);
+};
+
+/**
+ * Open Add Item for a scheduled buy with the plan's product, quantity,
+ * vendor, today's date and today's spot filled in. Saving the item records
+ * it against the scheduled date.
+ * @param {string} id
+ * @param {string} date - Scheduled date being bought
+ */
+const startDcaPurchase = (id, date) => {
+  const plan = getDcaPlans().find(p => p.id === id);
+  if (!plan) return;
+  const metalKey = Object.values(METALS).find(m => m.name === plan.metal)?.key;
+
+  if (typeof hideSettingsModal === 'function') hideSettingsModal();
+  document.getElementById('newItemBtn')?.click();
+
+  if (elements.itemName) elements.itemName.value = plan.product;
+  if (elements.itemMetal) elements.itemMetal.value = plan.metal;
+  if (elements.itemType) elements.itemType.value = plan.type;
+  if (elements.itemQty) elements.itemQty.value = plan.qty;
+  if (elements.itemWeight) elements.itemWeight.value = plan.weight;
+  if (elements.purchaseLocation && plan.vendor) elements.purchaseLocation.value = plan.vendor;
+  if (elements.itemDate) elements.itemDate.value = todayStr();
+  // Spot at purchase (USD/oz) — saved with the item like a spot lookup result
+  const spot = metalKey ? spotPrices[metalKey] : 0;
+  if (elements.itemSpotPrice && spot > 0) elements.itemSpotPrice.value = spot;
+  pendingDcaBuy = { planId: plan.id, date };
+};
+
+/**
+ * Record a newly added item against the scheduled buy it was started from.
+ * Called by the item form after an add; ignored otherwise.
+ * @param {Object} item - The added inventory item
+ */
+const recordDcaPurchase = (item) => {
+  const pending = pendingDcaBuy;
+  pendingDcaBuy = null;
+  if (!pending || !item) return;
+  const plans = getDcaPlans();
+  const plan = plans.find(p => p.id === pending.planId);
+  if (!plan) return;
+  plan.purchases = [...plan.purchases.filter(p => p.date !== pending.date), { date: pending.date, itemUuid: item.uuid }];
+  plan.skipped = plan.skipped.filter(d => d !== pending.date);
+  saveDcaPlans(plans);
+};
+
+/**
+ * Forget the pending scheduled buy (the Add Item form was opened some other
+ * way or closed without saving).
+ */
+const clearPendingDcaBuy = () => {
+  pendingDcaBuy = null;
+};
+
+/**
+ * Spot price on a date: spotHistory first, then the bundled year files.
+ * @param {string} metalName
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<number|null>}
+ */
+const getDcaSpotOnDate = async (metalName, date) => {
+  const local = typeof searchSpotByDate === 'function' ? searchSpotByDate(metalName, date) : [];
+  if (local.length) return local[0].spot;
+  const historical = typeof searchHistoricalByDate === 'function' ? await searchHistoricalByDate(metalName, date) : [];
+  return historical.length ? historical[0].spot : null;
+};
+
+/**
+ * Compare a plan's purchases with a lump sum on its start date. The lump sum
+ * spends the same dollars at start-date spot with the same average premium,
+ * so the difference reflects timing only.
+ * @param {Object} plan
+ * @returns {Promise<Object>} { purchases, ounces, cost, avgCostPerOz, avgSpotPerOz, startSpot,
+ *   lumpSumOunces, ounceDifference, timingPct, currentValue, lumpSumValue, missing }
+ */
+const computeDcaReport = async (plan) => {
+  const metalKey = Object.values(METALS).find(m => m.name === plan.metal)?.key;
+  const rows = [];
+  let missing = 0;
+  for (const purchase of plan.purchases) {
+    const item = inventory.find(i => i.uuid === purchase.itemUuid);
+    if (!item) {
+      missing++;
+      continue;
+    }
+    const qty = Number(item.qty) || 0;
+    const weight = parseFloat(item.weight) || 0;
+    const weightOz = item.weightUnit === 'gb' ? weight * GB_TO_OZT : weight;
+    const ounces = qty * weightOz * (parseFloat(item.purity) || 1);
+    const cost = computeItemValuation(item, 0).purchaseTotal;
+    const spot = Number(item.spotPriceAtPurchase) > 0
+      ? Number(item.spotPriceAtPurchase)
+      : await getDcaSpotOnDate(plan.metal, item.date || purchase.date);
+    rows.push({ ounces, cost, spot });
+  }
+
+  const ounces = rows.reduce((s, r) => s + r.ounces, 0);
+  const cost = rows.reduce((s, r) => s + r.cost, 0);
+  const priced = rows.filter(r => r.spot > 0);
+  const pricedOz = priced.reduce((s, r) => s + r.ounces, 0);
+  const avgSpotPerOz = pricedOz > 0 ? priced.reduce((s, r) => s + r.spot * r.ounces, 0) / pricedOz : null;
+  const avgCostPerOz = ounces > 0 ? cost / ounces : null;
+  const startSpot = await getDcaSpotOnDate(plan.metal, plan.startDate);
+
+  const report = {
+    purchases: rows.length,
+    ounces,
+    cost,
+    avgCostPerOz,
+    avgSpotPerOz,
+    startSpot,
+    lumpSumOunces: null,
+    ounceDifference: null,
+    timingPct: null,
+    currentValue: ounces * (spotPrices[metalKey] || 0),
+    lumpSumValue: null,
+    missing,
+  };
+  if (startSpot > 0 && avgSpotPerOz > 0 && avgCostPerOz > 0) {
+    const premiumFactor = avgCostPerOz / avgSpotPerOz;
+    report.lumpSumOunces = cost / (startSpot * premiumFactor);
+    report.ounceDifference = ounces - report.lumpSumOunces;
+    report.timingPct = ((startSpot - avgSpotPerOz) / startSpot) * 100;
+    report.lumpSumValue = report.lumpSumOunces * (spotPrices[metalKey] || 0);
+  }
+  return report;
+};
+
+// =============================================================================
+// SETTINGS — DCA
+// =============================================================================
+
+/** @constant {Object<string, string>} Calendar statuses → labels */
+const DCA_STATUS_LABELS = {
+  bought: 'Bought',
+  skipped: 'Skipped',
+  missed: 'Missed',
+  due: 'Due today',
+  upcoming: 'Upcoming',
+};
+
+/**
+ * Read the plan form and create a plan.
+ */
+const addDcaPlanFromForm = () => {
+  const value = (id) => document.getElementById(id)?.value ?? '';
+  const result = addDcaPlan({
+    name: value('dcaName'),
+    metal: value('dcaMetal'),
+    product: value('dcaProduct'),
+    type: value('dcaType'),
+    qty: value('dcaQty'),
+    weight: value('dcaWeight'),
+    vendor: value('dcaVendor'),
+    frequency: value('dcaFrequency'),
+    startDate: value('dcaStartDate'),
+    endDate: value('dcaEndDate'),
+  });
+  if (result.error) {
+    appAlert(result.error, 'DCA Planner');
+    return;
+  }
+  ['dcaName', 'dcaProduct', 'dcaVendor', 'dcaEndDate'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = '';
+  });
+  renderDcaSection();
+};
+
+/**
+ * Render a plan's performance report into its container.
+ * @param {Object} plan
+ * @param {HTMLElement} container
+ */
+const renderDcaReport = async (plan, container) => {
+  container.textContent = 'Loading spot history…';
+  const r = await computeDcaReport(plan);
+  container.textContent = '';
+  const lines = [];
+  if (r.purchases === 0) {
+    lines.push('No purchases recorded yet.');
+  } else {
+    lines.push(`${r.purchases} buys · ${r.ounces.toFixed(2)} oz for ${formatCurrency(r.cost)} · average ${formatCurrency(r.avgCostPerOz)}/oz (spot ${r.avgSpotPerOz ? formatCurrency(r.avgSpotPerOz) : 'n/a'}/oz)`);
+    if (r.timingPct === null) {
+      lines.push('No spot price found for the start date or purchases — lump-sum comparison unavailable.');
+    } else {
+      const better = r.ounceDifference >= 0 ? 'more' : 'fewer';
+      lines.push(`Lump sum on ${plan.startDate} at ${formatCurrency(r.startSpot)}/oz: ${r.lumpSumOunces.toFixed(2)} oz. DCA bought ${Math.abs(r.ounceDifference).toFixed(2)} oz ${better} (${r.timingPct >= 0 ? '+' : ''}${r.timingPct.toFixed(1)}% on average spot).`);
+      lines.push(`Melt today: DCA ${formatCurrency(r.currentValue)} vs lump sum ${formatCurrency(r.lumpSumValue)}.`);
+    }
+    if (r.missing) lines.push(`${r.missing} recorded buy(s) no longer in the inventory are excluded.`);
+  }
+  lines.forEach(text => {
+    const p = document.createElement('p');
+    p.className = 'settings-subtext';
+    p.textContent = text;
+    container.appendChild(p);
+  });
+};
+
+/**
+ * Calendar row for a scheduled buy.
+ * @param {Object} plan
+ * @param {Object} entry - From getDcaCalendar()
+ * @returns {HTMLElement}
+ */
+const _buildDcaCalendarRow = (plan, entry) => {
+  const row = document.createElement('div');
+  row.className = `dca-calendar-row dca-calendar-row--${entry.status}`;
+  const date = document.createElement('span');
+  date.className = 'dca-calendar-date';
+  date.textContent = entry.date;
+  const status = document.createElement('span');
+  status.className = 'dca-calendar-status';
+  status.textContent = DCA_STATUS_LABELS[entry.status];
+  row.append(date, status);
+
+  if (entry.status === 'missed' || entry.status === 'due' || entry.status === 'upcoming') {
+    const buy = document.createElement('button');
+    buy.type = 'button';
+    buy.className = 'btn secondary';
+    buy.textContent = 'Buy';
+    buy.title = 'Open Add Item with this plan and today\'s spot filled in';
+    buy.addEventListener('click', () => startDcaPurchase(plan.id, entry.date));
+    row.appendChild(buy);
+  }
+  if (entry.status !== 'bought') {
+    const skip = document.createElement('button');
+    skip.type = 'button';
+    skip.className = 'btn secondary';
+    skip.textContent = entry.status === 'skipped' ? 'Unskip' : 'Skip';
+    skip.addEventListener('click', () => {
+      toggleDcaSkip(plan.id, entry.date);
+      renderDcaSection();
+    });
+    row.appendChild(skip);
+  }
+  return row;
+};
+
+/**
+ * Calendar entries worth listing: every open buy (missed, due, upcoming)
+ * plus the last few settled ones.
+ * @param {Array<Object>} entries - From getDcaCalendar(), oldest first
+ * @returns {Array<Object>}
+ */
+const _visibleDcaEntries = (entries) => {
+  const settled = entries.filter(e => e.status === 'bought' || e.status === 'skipped').slice(-3);
+  return entries.filter(e => settled.includes(e) || (e.status !== 'bought' && e.status !== 'skipped'));
+};
+
+/**
+ * Render Settings → DCA: each plan with its calendar and report button.
+ */
+const renderDcaSection = () => {
+  const listEl = document.getElementById('dcaPlanList');
+  if (!listEl) return;
+  listEl.textContent = '';
+  const startInput = document.getElementById('dcaStartDate');
+  if (startInput && !startInput.value) startInput.value = todayStr();
+
+  const plans = getDcaPlans();
+  if (plans.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-subtext';
+    empty.textContent = 'No purchase plans yet.';
+    listEl.appendChild(empty);
+    return;
+  }
+
+  plans.forEach(plan => {
+    const card = document.createElement('div');
+    card.className = 'dca-plan';
+
+    const header = document.createElement('div');
+    header.className = 'dca-plan-header';
+    const title = document.createElement('div');
+    title.className = 'price-alert-text';
+    const name = document.createElement('span');
+    name.className = 'price-alert-desc';
+    name.textContent = plan.name;
+    const detail = document.createElement('span');
+    detail.className = 'price-alert-status';
+    detail.textContent = [
+      `${plan.qty} × ${plan.weight} oz ${plan.product}`,
+      DCA_FREQUENCIES[plan.frequency].label,
+      plan.vendor ? `from ${plan.vendor}` : '',
+      `since ${plan.startDate}${plan.endDate ? ` until ${plan.endDate}` : ''}`,
+    ].filter(Boolean).join(' · ');
+    title.append(name, detail);
+
+    const report = document.createElement('div');
+    report.className = 'dca-report';
+    const reportBtn = document.createElement('button');
+    reportBtn.type = 'button';
+    reportBtn.className = 'btn secondary';
+    reportBtn.textContent = 'Report';
+    reportBtn.addEventListener('click', () => renderDcaReport(plan, report));
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'btn danger';
+    del.textContent = 'Delete';
+    del.addEventListener('click', async () => {
+      const ok = await showAppConfirm(`Delete the plan "${plan.name}"? Items already bought stay in the inventory.`, 'DCA Planner');
+      if (!ok) return;
+      deleteDcaPlan(plan.id);
+      renderDcaSection();
+    });
+    header.append(title, reportBtn, del);
+
+    const calendar = document.createElement('div');
+    calendar.className = 'dca-calendar';
+    _visibleDcaEntries(getDcaCalendar(plan)).forEach(entry => calendar.appendChild(_buildDcaCalendarRow(plan, entry)));
+
+    card.append(header, calendar, report);
+    listEl.appendChild(card);
+  });
+};
+
+/**
+ * Wires the DCA form and the item form hooks. Called once from events.js.
+ */
+const setupDcaPlanner = () => {
+  document.getElementById('dcaAddBtn')?.addEventListener('click', addDcaPlanFromForm);
+
+  // Capture phase runs before the Add Item handler, so only a scheduled buy sets a pending buy
+  document.getElementById('newItemBtn')?.addEventListener('click', clearPendingDcaBuy, true);
+  ['itemCloseBtn', 'cancelItem'].forEach(id => {
+    document.getElementById(id)?.addEventListener('click', clearPendingDcaBuy);
+  });
+};
+
+// Expose globally
+window.DCA_FREQUENCIES = DCA_FREQUENCIES;
+window.getDcaPlans = getDcaPlans;
+window.getDcaScheduleDates = getDcaScheduleDates;
+window.getDcaCalendar = getDcaCalendar;
+window.addDcaPlan = addDcaPlan;
+window.deleteDcaPlan = deleteDcaPlan;
+window.toggleDcaSkip = toggleDcaSkip;
+window.startDcaPurchase = startDcaPurchase;
+window.recordDcaPurchase = recordDcaPurchase;
+window.getDcaSpotOnDate = getDcaSpotOnDate;
+window.computeDcaReport = computeDcaReport;
+window.renderDcaSection = renderDcaSection;
+window.setupDcaPlanner = setupDcaPlanner;
@@ -317,6 +317,14 @@ const showDetailsModal = (metal) => {
   // Initial chart render (no-op on mobile)
   renderCharts();
 
+  // Value-over-time chart loads spot history asynchronously
+  if (typeof renderPortfolioTimeline === 'function') {
+    renderPortfolioTimeline(metal).catch(err => debugLog('renderPortfolioTimeline failed', err));
+  }
+  if (typeof renderPremiumReport === 'function') {
+    renderPremiumReport(metal).catch(err => debugLog('renderPremiumReport failed', err));
+  }
+
   // Build color maps matching pie chart segment order (by insertion order)
   const buildColorMap = (breakdown) => {
     const keys = Object.keys(breakdown);
@@ -374,6 +382,7 @@ const closeDetailsModal = () => {
     try { document.body.style.overflow = ''; } catch (e) {}
   }
   destroyCharts();
+  if (typeof destroyPortfolioTimelineChart === 'function') destroyPortfolioTimelineChart();
 };
 
 // =============================================================================
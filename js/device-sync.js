@@ -0,0 +1,667 @@
+// DEVICE SYNC (PEER-TO-PEER, LAN)
+// =============================================================================
+// Moves the vault from one device to another on the same network with no
+// cloud account and no signaling server. The two browsers connect over a
+// WebRTC data channel; the offer and answer are exchanged by hand as QR codes
+// (or copy-paste text):
+//
+//   Sender   → shows an offer code: one-time key + compressed SDP offer
+//   Receiver → scans/pastes it, shows an answer code
+//   Sender   → scans/pastes the answer; the channel opens
+//   Sender   → vaultEncryptToBytes(one-time key), streamed in chunks
+//   Receiver → decrypts, diffs with DiffEngine and opens the usual
+//              restore review (showRestorePreviewModal) — nothing is
+//              applied until the user confirms
+//
+// No ICE servers are configured, so only host candidates are gathered and
+// the devices must reach each other directly. The data channel is already
+// DTLS-encrypted; the one-time key additionally keeps the vault sealed from
+// anything that relays the SDP, and is never reused.
+// =============================================================================
+
+/** @constant {string} Prefix identifying StakTrakr device-sync codes (version 1) */
+const DEVICE_SYNC_PREFIX = 'STAKP2P1';
+
+/** @constant {number} Data channel message size (bytes) */
+const DEVICE_SYNC_CHUNK_SIZE = 16 * 1024;
+
+/** @constant {number} Longest wait for ICE gathering before using what we have (ms) */
+const DEVICE_SYNC_ICE_TIMEOUT_MS = 4000;
+
+/** @constant {number} Longest wait for a final control message to leave the send buffer (ms) */
+const DEVICE_SYNC_FLUSH_TIMEOUT_MS = 2000;
+
+/**
+ * Active pairing session, or null.
+ * @type {{role: string, pc: RTCPeerConnection, channel: RTCDataChannel|null, key: string}|null}
+ */
+let deviceSyncSession = null;
+
+/** @type {MediaStream|null} Camera stream while scanning */
+let deviceSyncCameraStream = null;
+
+/**
+ * Base64url-encode bytes (no padding).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+const _deviceSyncToB64url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode base64url (padding optional).
+ * @param {string} str
+ * @returns {Uint8Array}
+ */
+const _deviceSyncFromB64url = (str) => {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(b64 + '==='.slice((b64.length + 3) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+/**
+ * Run bytes through a CompressionStream / DecompressionStream.
+ * @param {Uint8Array} bytes
+ * @param {Function} StreamCtor - CompressionStream or DecompressionStream
+ * @returns {Promise<Uint8Array>}
+ */
+const _deviceSyncTransform = async (bytes, StreamCtor) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new StreamCtor('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Pack an SDP blob for a QR code: deflate + base64url when the browser has
+ * CompressionStream ('z'), plain base64url otherwise ('p').
+ * @param {string} sdp
+ * @returns {Promise<string>}
+ */
+const packDeviceSyncSdp = async (sdp) => {
+  const bytes = new TextEncoder().encode(sdp);
+  if (typeof CompressionStream === 'function') {
+    return 'z' + _deviceSyncToB64url(await _deviceSyncTransform(bytes, CompressionStream));
+  }
+  return 'p' + _deviceSyncToB64url(bytes);
+};
+
+/**
+ * Reverse of packDeviceSyncSdp.
+ * @param {string} packed
+ * @returns {Promise<string>}
+ */
+const unpackDeviceSyncSdp = async (packed) => {
+  const bytes = _deviceSyncFromB64url(packed.slice(1));
+  if (packed[0] === 'z') {
+    if (typeof DecompressionStream !== 'function') throw new Error('This browser cannot read compressed codes — update it or use a newer browser.');
+    return new TextDecoder().decode(await _deviceSyncTransform(bytes, DecompressionStream));
+  }
+  if (packed[0] === 'p') return new TextDecoder().decode(bytes);
+  throw new Error('Unknown code format.');
+};
+
+/**
+ * Build the text of an offer or answer code.
+ *   offer:  STAKP2P1.O.<key>.<packed sdp>
+ *   answer: STAKP2P1.A.<packed sdp>
+ * @param {{kind: string, key?: string, sdp: string}} code - kind 'offer' | 'answer'
+ * @returns {Promise<string>}
+ */
+const encodeDeviceSyncCode = async ({ kind, key, sdp }) => {
+  const packed = await packDeviceSyncSdp(sdp);
+  return kind === 'offer'
+    ? [DEVICE_SYNC_PREFIX, 'O', key, packed].join('.')
+    : [DEVICE_SYNC_PREFIX, 'A', packed].join('.');
+};
+
+/**
+ * Parse an offer or answer code (whitespace from copy-paste is ignored).
+ * @param {string} text
+ * @returns {Promise<{kind: string, key: string|null, sdp: string}>}
+ * @throws {Error} When the text is not a device-sync code
+ */
+const parseDeviceSyncCode = async (text) => {
+  const parts = String(text || '').replace(/\s+/g, '').split('.');
+  if (parts[0] !== DEVICE_SYNC_PREFIX) throw new Error('That is not a StakTrakr device sync code.');
+  if (parts[1] === 'O' && parts.length === 4 && parts[2]) {
+    return { kind: 'offer', key: parts[2], sdp: await unpackDeviceSyncSdp(parts[3]) };
+  }
+  if (parts[1] === 'A' && parts.length === 3) {
+    return { kind: 'answer', key: null, sdp: await unpackDeviceSyncSdp(parts[2]) };
+  }
+  throw new Error('Incomplete device sync code — copy the whole code and try again.');
+};
+
+/**
+ * Resolve once ICE gathering has finished (or after the timeout), so the
+ * local description carries every candidate — there is no trickle channel.
+ * @param {RTCPeerConnection} pc
+ * @returns {Promise<void>}
+ */
+const _deviceSyncWaitForIce = (pc) => new Promise((resolve) => {
+  if (pc.iceGatheringState === 'complete') return resolve();
+  const timer = setTimeout(done, DEVICE_SYNC_ICE_TIMEOUT_MS);
+  function done() {
+    clearTimeout(timer);
+    pc.removeEventListener('icegatheringstatechange', onChange);
+    resolve();
+  }
+  function onChange() {
+    if (pc.iceGatheringState === 'complete') done();
+  }
+  pc.addEventListener('icegatheringstatechange', onChange);
+});
+
+/**
+ * Show a status line in the device sync modal.
+ * @param {string} message
+ * @param {string} [state] - 'error' | 'success' | undefined
+ */
+const _deviceSyncStatus = (message, state) => {
+  const el = document.getElementById('deviceSyncStatus');
+  if (!el) return;
+  el.textContent = message;
+  if (state) el.dataset.state = state;
+  else delete el.dataset.state;
+};
+
+/**
+ * New peer connection with a failure watcher.
+ * @returns {RTCPeerConnection}
+ */
+const _deviceSyncCreatePeer = () => {
+  if (typeof RTCPeerConnection !== 'function') throw new Error('This browser does not support direct device connections (WebRTC).');
+  const pc = new RTCPeerConnection({ iceServers: [] });
+  pc.addEventListener('connectionstatechange', () => {
+    if (pc.connectionState === 'failed') {
+      _deviceSyncStatus('Connection failed — both devices must be on the same network. Start again to retry.', 'error');
+    }
+  });
+  return pc;
+};
+
+/**
+ * Parse a control message from the data channel.
+ * @param {string} text
+ * @returns {Object|null} Message, or null when it is not valid JSON
+ */
+const _deviceSyncParseMessage = (text) => {
+  try {
+    const msg = JSON.parse(text);
+    return msg && typeof msg === 'object' ? msg : null;
+  } catch (err) {
+    debugLog('[DeviceSync] Ignoring malformed message:', err.message);
+    return null;
+  }
+};
+
+/**
+ * Wait until everything queued on the channel has been handed to the
+ * network, the peer closes it, or DEVICE_SYNC_FLUSH_TIMEOUT_MS passes —
+ * closing the connection earlier can drop the last message.
+ * @param {RTCDataChannel} channel
+ * @returns {Promise<void>}
+ */
+const _deviceSyncFlush = (channel) => new Promise((resolve) => {
+  if (channel.bufferedAmount === 0 || channel.readyState !== 'open') {
+    resolve();
+    return;
+  }
+  const done = () => {
+    clearTimeout(timer);
+    channel.removeEventListener('bufferedamountlow', done);
+    channel.removeEventListener('close', done);
+    resolve();
+  };
+  const timer = setTimeout(done, DEVICE_SYNC_FLUSH_TIMEOUT_MS);
+  channel.bufferedAmountLowThreshold = 0;
+  channel.addEventListener('bufferedamountlow', done);
+  channel.addEventListener('close', done);
+});
+
+/**
+ * Close the active session and release the camera.
+ */
+const endDeviceSyncSession = () => {
+  stopDeviceSyncScan();
+  if (!deviceSyncSession) return;
+  try { if (deviceSyncSession.channel) deviceSyncSession.channel.close(); } catch (_) { /* ignore */ }
+  try { deviceSyncSession.pc.close(); } catch (_) { /* ignore */ }
+  deviceSyncSession = null;
+};
+
+/**
+ * Sender step 1: new one-time key, data channel and offer.
+ * @returns {Promise<string>} Offer code to show as QR / text
+ */
+const createDeviceSyncOffer = async () => {
+  endDeviceSyncSession();
+  const key = _deviceSyncToB64url(vaultRandomBytes(18));
+  const pc = _deviceSyncCreatePeer();
+  const channel = pc.createDataChannel('staktrakr-vault', { ordered: true });
+  channel.binaryType = 'arraybuffer';
+  deviceSyncSession = { role: 'send', pc, channel, key };
+
+  channel.addEventListener('open', () => {
+    _deviceSyncSendVault(channel, key).catch((err) => {
+      debugLog('[DeviceSync] Send failed:', err.message);
+      _deviceSyncStatus('Send failed: ' + err.message, 'error');
+    });
+  });
+
+  await pc.setLocalDescription(await pc.createOffer());
+  await _deviceSyncWaitForIce(pc);
+  return encodeDeviceSyncCode({ kind: 'offer', key, sdp: pc.localDescription.sdp });
+};
+
+/**
+ * Sender step 2: apply the receiver's answer. The vault is sent as soon as
+ * the channel opens.
+ * @param {string} text - Answer code
+ * @returns {Promise<void>}
+ */
+const acceptDeviceSyncAnswer = async (text) => {
+  if (!deviceSyncSession || deviceSyncSession.role !== 'send') throw new Error('Start a new sync on this device first.');
+  const code = await parseDeviceSyncCode(text);
+  if (code.kind !== 'answer') throw new Error('That is a sending code — scan the reply shown on the receiving device.');
+  await deviceSyncSession.pc.setRemoteDescription({ type: 'answer', sdp: code.sdp });
+  _deviceSyncStatus('Connecting…');
+};
+
+/**
+ * Receiver: accept an offer code and produce the answer code. The incoming
+ * vault is reviewed via applyDeviceSyncVault once it has fully arrived.
+ * @param {string} text - Offer code
+ * @returns {Promise<string>} Answer code to show to the sender
+ */
+const acceptDeviceSyncOffer = async (text) => {
+  const code = await parseDeviceSyncCode(text);
+  if (code.kind !== 'offer') throw new Error('That is a reply code — scan the code shown on the sending device.');
+  endDeviceSyncSession();
+  const pc = _deviceSyncCreatePeer();
+  deviceSyncSession = { role: 'receive', pc, channel: null, key: code.key };
+
+  pc.addEventListener('datachannel', (e) => {
+    const channel = e.channel;
+    channel.binaryType = 'arraybuffer';
+    if (deviceSyncSession) deviceSyncSession.channel = channel;
+    _deviceSyncReceiveVault(channel, code.key);
+  });
+
+  await pc.setRemoteDescription({ type: 'offer', sdp: code.sdp });
+  await pc.setLocalDescription(await pc.createAnswer());
+  await _deviceSyncWaitForIce(pc);
+  return encodeDeviceSyncCode({ kind: 'answer', sdp: pc.localDescription.sdp });
+};
+
+/**
+ * Encrypt the full vault with the one-time key and stream it: a JSON header,
+ * then binary chunks. Resolves when the receiver acknowledges.
+ * @param {RTCDataChannel} channel
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+const _deviceSyncSendVault = async (channel, key) => {
+  _deviceSyncStatus('Connected — encrypting vault…');
+  const bytes = await vaultEncryptToBytes(key);
+  const acked = new Promise((resolve, reject) => {
+    channel.addEventListener('message', (e) => {
+      if (typeof e.data !== 'string') return;
+      const msg = _deviceSyncParseMessage(e.data);
+      if (!msg) return;
+      if (msg.type === 'ack') resolve();
+      else if (msg.type === 'error') reject(new Error(msg.message || 'Receiver rejected the vault.'));
+    });
+    channel.addEventListener('close', () => reject(new Error('The other device disconnected.')));
+  });
+
+  channel.send(JSON.stringify({
+    type: 'vault',
+    size: bytes.length,
+    meta: {
+      deviceId: typeof getSyncDeviceId === 'function' ? getSyncDeviceId() : null,
+      timestamp: Date.now(),
+      itemCount: typeof inventory !== 'undefined' ? inventory.length : 0,
+      appVersion: typeof APP_VERSION !== 'undefined' ? APP_VERSION : null,
+    },
+  }));
+
+  // Keep the send buffer shallow so large vaults don't overflow it
+  channel.bufferedAmountLowThreshold = DEVICE_SYNC_CHUNK_SIZE * 4;
+  for (let offset = 0; offset < bytes.length; offset += DEVICE_SYNC_CHUNK_SIZE) {
+    if (channel.bufferedAmount > DEVICE_SYNC_CHUNK_SIZE * 16) {
+      await new Promise((resolve) => channel.addEventListener('bufferedamountlow', resolve, { once: true }));
+    }
+    channel.send(bytes.slice(offset, offset + DEVICE_SYNC_CHUNK_SIZE));
+    _deviceSyncStatus(`Sending… ${Math.round(Math.min(offset + DEVICE_SYNC_CHUNK_SIZE, bytes.length) / bytes.length * 100)}%`);
+  }
+
+  _deviceSyncStatus('Waiting for the other device to confirm…');
+  await acked;
+  _deviceSyncStatus('Sent. Review and apply the changes on the other device.', 'success');
+  if (typeof showCloudToast === 'function') showCloudToast('Vault sent to the other device.');
+  endDeviceSyncSession();
+};
+
+/**
+ * Collect the streamed vault, acknowledge it and hand it to the review.
+ * @param {RTCDataChannel} channel
+ * @param {string} key
+ */
+const _deviceSyncReceiveVault = (channel, key) => {
+  let buffer = null;
+  let received = 0;
+  let meta = null;
+  channel.addEventListener('open', () => _deviceSyncStatus('Connected — waiting for the vault…'));
+  channel.addEventListener('message', async (e) => {
+    if (typeof e.data === 'string') {
+      const msg = _deviceSyncParseMessage(e.data);
+      if (msg && msg.type === 'vault') {
+        buffer = new Uint8Array(msg.size);
+        received = 0;
+        meta = msg.meta || {};
+      }
+      return;
+    }
+    if (!buffer) return;
+    const chunk = new Uint8Array(e.data);
+    buffer.set(chunk, received);
+    received += chunk.length;
+    _deviceSyncStatus(`Receiving… ${Math.round(received / buffer.length * 100)}%`);
+    if (received < buffer.length) return;
+
+    const bytes = buffer;
+    buffer = null;
+    let payload;
+    try {
+      _deviceSyncStatus('Decrypting…');
+      payload = await vaultDecryptToData(bytes, key);
+    } catch (err) {
+      debugLog('[DeviceSync] Receive failed:', err.message);
+      try { channel.send(JSON.stringify({ type: 'error', message: err.message })); } catch (_) { /* ignore */ }
+      _deviceSyncStatus('Could not open the vault: ' + err.message, 'error');
+      return;
+    }
+
+    channel.send(JSON.stringify({ type: 'ack' }));
+    await _deviceSyncFlush(channel);
+    closeDeviceSyncModal();
+    try {
+      await applyDeviceSyncVault(payload, meta);
+    } catch (err) {
+      debugLog('[DeviceSync] Apply failed:', err.message);
+      if (typeof showCloudToast === 'function') showCloudToast('Could not apply the received vault: ' + err.message);
+    }
+  });
+};
+
+/**
+ * Diff a received vault payload against this device and open the restore
+ * review. Only what the user selects there is applied; the cloud sync pull
+ * record is left alone.
+ * @param {Object} payload - Decrypted vault payload ({ data, _meta })
+ * @param {Object} [meta] - Sender info { deviceId, timestamp, itemCount, appVersion }
+ * @returns {Promise<void>} Resolves when the review is closed
+ * @throws {Error} When the restore review cannot be shown — a received vault
+ *   is never applied without it
+ */
+const applyDeviceSyncVault = async (payload, meta = {}) => {
+  const data = (payload && payload.data) || {};
+  let remoteItems = [];
+  try {
+    const raw = data[LS_KEY] || '[]';
+    remoteItems = JSON.parse(typeof __decompressIfNeeded === 'function' ? __decompressIfNeeded(raw) : raw);
+  } catch (err) {
+    debugLog('[DeviceSync] Could not parse received inventory:', err.message);
+  }
+
+  const diff = DiffEngine.compareItems(typeof inventory !== 'undefined' ? inventory : [], remoteItems);
+
+  // Vault payloads hold raw localStorage strings — compare raw against raw
+  const localSettings = {};
+  const remoteSettings = {};
+  Object.keys(data).forEach((key) => {
+    if (key === LS_KEY) return;
+    remoteSettings[key] = data[key];
+    const local = localStorage.getItem(key);
+    if (local !== null) localSettings[key] = local;
+  });
+  const settingsDiff = DiffEngine.compareSettings(localSettings, remoteSettings);
+
+  const noChanges = !diff.added.length && !diff.modified.length && !diff.deleted.length && !settingsDiff.changed.length;
+  if (noChanges) {
+    if (typeof showCloudToast === 'function') showCloudToast('Received vault matches this device — nothing to apply.');
+    return;
+  }
+
+  const remoteMeta = {
+    deviceId: meta.deviceId || null,
+    timestamp: meta.timestamp || Date.now(),
+    itemCount: meta.itemCount != null ? meta.itemCount : remoteItems.length,
+    appVersion: meta.appVersion || null,
+  };
+  const shown = showRestorePreviewModal(diff, settingsDiff, payload, remoteMeta, null, { label: 'Nearby device', recordPull: false });
+  if (!shown) throw new Error('The restore review is unavailable, so nothing was applied. Reload the page and try again.');
+  await shown;
+};
+
+/**
+ * Stop the camera scan, if one is running.
+ */
+const stopDeviceSyncScan = () => {
+  if (deviceSyncCameraStream) {
+    deviceSyncCameraStream.getTracks().forEach((t) => t.stop());
+    deviceSyncCameraStream = null;
+  }
+  const video = document.getElementById('deviceSyncVideo');
+  if (video) {
+    video.srcObject = null;
+    video.style.display = 'none';
+  }
+};
+
+/**
+ * Scan a QR code with the camera (BarcodeDetector + getUserMedia).
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<string>} Decoded text
+ */
+const scanDeviceSyncQr = async (video) => {
+  if (typeof BarcodeDetector !== 'function' || !navigator.mediaDevices) {
+    throw new Error('This browser cannot scan QR codes — paste the code instead.');
+  }
+  const detector = new BarcodeDetector({ formats: ['qr_code'] });
+  stopDeviceSyncScan();
+  deviceSyncCameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+  video.srcObject = deviceSyncCameraStream;
+  video.style.display = '';
+  await video.play();
+
+  while (deviceSyncCameraStream) {
+    const codes = await detector.detect(video).catch(() => []);
+    const hit = codes.find((c) => String(c.rawValue).indexOf(DEVICE_SYNC_PREFIX) === 0);
+    if (hit) {
+      stopDeviceSyncScan();
+      return hit.rawValue;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+  throw new Error('Scan cancelled.');
+};
+
+/**
+ * Show a code as QR + copyable text.
+ * @param {string} code
+ * @param {string} hint
+ */
+const _deviceSyncShowCode = (code, hint) => {
+  const panel = document.getElementById('deviceSyncCodePanel');
+  const hintEl = document.getElementById('deviceSyncCodeHint');
+  const out = document.getElementById('deviceSyncCodeOut');
+  const canvas = document.getElementById('deviceSyncQr');
+  if (hintEl) hintEl.textContent = hint;
+  if (out) out.value = code;
+  if (canvas) {
+    try {
+      renderQrCode(canvas, code, { ecc: 'L' });
+      canvas.style.display = '';
+    } catch (err) {
+      // Too long for a QR code — copy-paste still works
+      debugLog('[DeviceSync] QR render failed:', err.message);
+      canvas.style.display = 'none';
+    }
+  }
+  if (panel) panel.style.display = '';
+};
+
+/**
+ * Ask for a code (scan or paste).
+ * @param {string} hint
+ */
+const _deviceSyncAskForCode = (hint) => {
+  const panel = document.getElementById('deviceSyncInputPanel');
+  const hintEl = document.getElementById('deviceSyncInputHint');
+  const input = document.getElementById('deviceSyncCodeIn');
+  if (hintEl) hintEl.textContent = hint;
+  if (input) input.value = '';
+  const scanBtn = document.getElementById('deviceSyncScanBtn');
+  if (scanBtn) scanBtn.style.display = typeof BarcodeDetector === 'function' ? '' : 'none';
+  if (panel) panel.style.display = '';
+};
+
+/**
+ * Reset the modal to the role choice.
+ */
+const _deviceSyncResetUi = () => {
+  ['deviceSyncCodePanel', 'deviceSyncInputPanel'].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = 'none';
+  });
+  const roles = document.getElementById('deviceSyncRoles');
+  if (roles) roles.style.display = '';
+  _deviceSyncStatus('');
+};
+
+/**
+ * Start as the sending device.
+ */
+const startDeviceSyncSend = async () => {
+  const roles = document.getElementById('deviceSyncRoles');
+  if (roles) roles.style.display = 'none';
+  _deviceSyncStatus('Preparing connection…');
+  try {
+    const offer = await createDeviceSyncOffer();
+    _deviceSyncShowCode(offer, 'On the other device open Sync to Device, choose Receive and scan this code.');
+    _deviceSyncAskForCode('Then scan or paste the reply code it shows:');
+    _deviceSyncStatus('Waiting for the reply code…');
+  } catch (err) {
+    _deviceSyncStatus(err.message, 'error');
+  }
+};
+
+/**
+ * Start as the receiving device.
+ */
+const startDeviceSyncReceive = () => {
+  endDeviceSyncSession();
+  const roles = document.getElementById('deviceSyncRoles');
+  if (roles) roles.style.display = 'none';
+  _deviceSyncAskForCode('Scan or paste the code shown on the sending device:');
+  _deviceSyncStatus('');
+};
+
+/**
+ * Handle the Connect button: an answer on the sender, an offer on the receiver.
+ */
+const submitDeviceSyncCode = async () => {
+  const input = document.getElementById('deviceSyncCodeIn');
+  const text = input ? input.value : '';
+  if (!text.trim()) return;
+  try {
+    if (deviceSyncSession && deviceSyncSession.role === 'send') {
+      await acceptDeviceSyncAnswer(text);
+    } else {
+      _deviceSyncStatus('Preparing reply…');
+      const answer = await acceptDeviceSyncOffer(text);
+      const panel = document.getElementById('deviceSyncInputPanel');
+      if (panel) panel.style.display = 'none';
+      _deviceSyncShowCode(answer, 'Scan this reply on the sending device, or copy it across.');
+      _deviceSyncStatus('Waiting for the sending device…');
+    }
+  } catch (err) {
+    _deviceSyncStatus(err.message, 'error');
+  }
+};
+
+/**
+ * Open the device sync modal at the role choice.
+ */
+const showDeviceSyncModal = () => {
+  endDeviceSyncSession();
+  _deviceSyncResetUi();
+  if (window.openModalById) openModalById('deviceSyncModal');
+};
+
+/**
+ * Close the modal and drop any pairing in progress. A receiver that is
+ * already reviewing keeps its payload — only the connection is closed.
+ */
+const closeDeviceSyncModal = () => {
+  endDeviceSyncSession();
+  if (window.closeModalById) closeModalById('deviceSyncModal');
+};
+
+/**
+ * Wires the device sync modal. Called once from events.js.
+ */
+const setupDeviceSync = () => {
+  const bind = (id, event, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(event, handler);
+  };
+  bind('deviceSyncBtn', 'click', showDeviceSyncModal);
+  bind('deviceSyncCloseBtn', 'click', closeDeviceSyncModal);
+  bind('deviceSyncCancelBtn', 'click', closeDeviceSyncModal);
+  bind('deviceSyncSendBtn', 'click', startDeviceSyncSend);
+  bind('deviceSyncReceiveBtn', 'click', startDeviceSyncReceive);
+  bind('deviceSyncConnectBtn', 'click', submitDeviceSyncCode);
+  bind('deviceSyncCopyBtn', 'click', async () => {
+    const out = document.getElementById('deviceSyncCodeOut');
+    if (!out || !out.value) return;
+    try {
+      await navigator.clipboard.writeText(out.value);
+      if (typeof showCloudToast === 'function') showCloudToast('Code copied.');
+    } catch (_) {
+      out.select();
+    }
+  });
+  bind('deviceSyncScanBtn', 'click', async () => {
+    const video = document.getElementById('deviceSyncVideo');
+    const input = document.getElementById('deviceSyncCodeIn');
+    if (!video || !input) return;
+    try {
+      input.value = await scanDeviceSyncQr(video);
+      await submitDeviceSyncCode();
+    } catch (err) {
+      stopDeviceSyncScan();
+      _deviceSyncStatus(err.message, 'error');
+    }
+  });
+};
+
+// Expose globally
+window.packDeviceSyncSdp = packDeviceSyncSdp;
+window.unpackDeviceSyncSdp = unpackDeviceSyncSdp;
+window.encodeDeviceSyncCode = encodeDeviceSyncCode;
+window.parseDeviceSyncCode = parseDeviceSyncCode;
+window.createDeviceSyncOffer = createDeviceSyncOffer;
+window.acceptDeviceSyncOffer = acceptDeviceSyncOffer;
+window.acceptDeviceSyncAnswer = acceptDeviceSyncAnswer;
+window.applyDeviceSyncVault = applyDeviceSyncVault;
+window.endDeviceSyncSession = endDeviceSyncSession;
+window.showDeviceSyncModal = showDeviceSyncModal;
+window.closeDeviceSyncModal = closeDeviceSyncModal;
+window.setupDeviceSync = setupDeviceSync;
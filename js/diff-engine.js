@@ -11,7 +11,17 @@
  * Fields compared in item diff mirror logItemChanges() in changeLog.js plus
  * the additional fields relevant to cloud sync:
  *   date, type, metal, name, qty, weight, price, marketValue,
- *   purchaseLocation, notes, purity, purchasePrice, retailPrice, grade
+ *   purchaseLocation, notes, purity, purchasePrice, retailPrice, grade,
+ *   disposition, tags
+ *
+ * `tags` is virtual: tags live in the itemTags map (tags.js), not on items.
+ * attachTags() copies them onto item clones before diffing and detachTags()
+ * moves them back out after changes are applied.
+ *
+ * mergeItems() is the three-way variant used by cloud sync when a
+ * common-ancestor snapshot (the last synced state) is available: edits made
+ * on only one side merge automatically, and only fields both sides changed
+ * differently are reported as conflicts.
  */
 
 /* eslint-disable no-unused-vars */
@@ -43,8 +53,18 @@ const DIFF_FIELDS = [
   'marketValue',
   'purchaseLocation',
   'weightUnit',
+  'portfolio',
+  'disposition',
+  'tags',
 ];
 
+/**
+ * DIFF_FIELDS that compareItems() only checks when the incoming item carries
+ * the property, so sources that never record them (CSV, order emails) don't
+ * clear local dispositions or tags. Sync attaches both explicitly.
+ */
+const PRESENCE_FIELDS = ['disposition', 'tags'];
+
 // ---------------------------------------------------------------------------
 // Internal helpers
 // ---------------------------------------------------------------------------
@@ -52,15 +72,75 @@ const DIFF_FIELDS = [
 /**
  * Returns true when two values are considered equal for diff purposes.
  * Uses strict equality after normalising undefined/null to null so that
- * a missing field and an explicit null are treated identically.
+ * a missing field and an explicit null are treated identically. Objects and
+ * arrays (disposition records, tag lists) compare by content, ignoring key
+ * order; an empty tag list equals no tags.
  *
  * @param {*} a
  * @param {*} b
  * @returns {boolean}
  */
 function _valuesEqual(a, b) {
-  const norm = (v) => (v === undefined ? null : v);
-  return norm(a) === norm(b);
+  const norm = (v) => (v === undefined || (Array.isArray(v) && v.length === 0) ? null : v);
+  const na = norm(a);
+  const nb = norm(b);
+  if (na === nb) return true;
+  if (na === null || nb === null || typeof na !== 'object' || typeof nb !== 'object') return false;
+  return _stableStringify(na) === _stableStringify(nb);
+}
+
+/**
+ * JSON.stringify with object keys sorted, so content-equal objects produce
+ * the same string regardless of insertion order.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function _stableStringify(value) {
+  if (Array.isArray(value)) return '[' + value.map(_stableStringify).join(',') + ']';
+  if (value !== null && typeof value === 'object') {
+    return '{' + Object.keys(value).sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => JSON.stringify(k) + ':' + _stableStringify(value[k]))
+      .join(',') + '}';
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Field value with undefined normalised to null (for change records).
+ *
+ * @param {object} item
+ * @param {string} field
+ * @returns {*}
+ */
+function _fieldVal(item, field) {
+  return item[field] !== undefined ? item[field] : null;
+}
+
+/**
+ * Builds a key → item Map using DiffEngine.computeItemKey.
+ *
+ * @param {object[]} items
+ * @returns {Map<string, object>}
+ */
+function _indexItems(items) {
+  const map = new Map();
+  for (const item of Array.isArray(items) ? items : []) {
+    map.set(DiffEngine.computeItemKey(item), item);
+  }
+  return map;
+}
+
+/**
+ * True when any DIFF_FIELDS value differs between two versions of an item.
+ *
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function _itemChanged(a, b) {
+  return DIFF_FIELDS.some((field) => !_valuesEqual(a[field], b[field]));
 }
 
 // ---------------------------------------------------------------------------
@@ -191,6 +271,7 @@ const DiffEngine = {
       const changes = [];
 
       for (const field of DIFF_FIELDS) {
+        if (PRESENCE_FIELDS.includes(field) && !Object.prototype.hasOwnProperty.call(remote, field)) continue;
         if (!_valuesEqual(local[field], remote[field])) {
           changes.push({
             field,
@@ -210,6 +291,171 @@ const DiffEngine = {
     return result;
   },
 
+  // -------------------------------------------------------------------------
+  // mergeItems
+  // -------------------------------------------------------------------------
+
+  /**
+   * Three-way merge of local and remote inventories against their common
+   * ancestor (`baseItems` — the state at the last successful sync).
+   *
+   * Returns the compareItems() shape, holding only what should change
+   * locally, plus the conflicts that need a decision:
+   *
+   * "added"    — new on remote, or deleted locally but edited remotely is
+   *              NOT here (that is a conflict)
+   * "modified" — fields only remote changed since base, or that both sides
+   *              changed to the same value; local-only edits are kept as-is
+   * "deleted"  — deleted on remote and untouched locally
+   * "conflicts"— per field: both sides changed it differently since base.
+   *              Per item (`field: 'item'`, `kind: 'delete'|'restore'`): one
+   *              side deleted an item the other side edited.
+   *
+   * Conflict entries carry { itemKey, itemName, field, baseVal, localVal,
+   * remoteVal } and, for kind 'restore', the remote `item` to re-add.
+   *
+   * Without a base (null/undefined) this falls back to compareItems() with
+   * no conflicts, since nothing can tell which side made a change.
+   *
+   * @param {object[]|null} baseItems
+   * @param {object[]} localItems
+   * @param {object[]} remoteItems
+   * @returns {{ added: object[], modified: Array<{item:object, changes:Array<{field:string,localVal:*,remoteVal:*,baseVal:*}>}>, deleted: object[], unchanged: object[], conflicts: object[], localOnly: number }}
+   */
+  mergeItems(baseItems, localItems, remoteItems) {
+    if (!Array.isArray(baseItems)) {
+      return Object.assign(DiffEngine.compareItems(localItems, remoteItems), { conflicts: [], localOnly: 0 });
+    }
+
+    const result = {
+      added: [],
+      modified: [],
+      deleted: [],
+      unchanged: [],
+      conflicts: [],
+      localOnly: 0,  // items/fields changed only locally — kept, nothing to apply
+    };
+
+    const base = _indexItems(baseItems);
+    const local = _indexItems(localItems);
+    const remote = _indexItems(remoteItems);
+
+    for (const [key, localItem] of local) {
+      const remoteItem = remote.get(key);
+      const baseItem = base.get(key);
+      const itemName = (remoteItem || localItem).name || key;
+
+      if (!remoteItem) {
+        if (!baseItem) {
+          result.localOnly++;                    // added locally
+        } else if (_itemChanged(baseItem, localItem)) {
+          // Remote deleted it, but it was edited here since the last sync
+          result.conflicts.push({
+            itemKey: key, itemName, field: 'item', kind: 'delete',
+            baseVal: null, localVal: 'Kept (edited here)', remoteVal: 'Deleted',
+          });
+        } else {
+          result.deleted.push(localItem);
+        }
+        continue;
+      }
+
+      const changes = [];
+      for (const field of DIFF_FIELDS) {
+        const l = localItem[field];
+        const r = remoteItem[field];
+        if (_valuesEqual(l, r)) continue;
+
+        const b = baseItem ? baseItem[field] : undefined;
+        if (baseItem && _valuesEqual(l, b)) {
+          // Only remote changed this field
+          changes.push({ field, localVal: _fieldVal(localItem, field), remoteVal: _fieldVal(remoteItem, field), baseVal: b !== undefined ? b : null });
+        } else if (baseItem && _valuesEqual(r, b)) {
+          result.localOnly++;                    // only local changed — keep it
+        } else {
+          result.conflicts.push({
+            itemKey: key, itemName, field,
+            baseVal: b !== undefined ? b : null,
+            localVal: _fieldVal(localItem, field),
+            remoteVal: _fieldVal(remoteItem, field),
+          });
+        }
+      }
+
+      if (changes.length > 0) {
+        result.modified.push({ item: remoteItem, changes });
+      } else {
+        result.unchanged.push(localItem);
+      }
+    }
+
+    for (const [key, remoteItem] of remote) {
+      if (local.has(key)) continue;
+      const baseItem = base.get(key);
+      if (!baseItem) {
+        result.added.push(remoteItem);           // added remotely
+      } else if (_itemChanged(baseItem, remoteItem)) {
+        // Deleted here, but edited on the other device since the last sync
+        result.conflicts.push({
+          itemKey: key, itemName: remoteItem.name || key, field: 'item', kind: 'restore',
+          baseVal: null, localVal: 'Deleted', remoteVal: 'Restore (edited remotely)',
+          item: remoteItem,
+        });
+      } else {
+        result.localOnly++;                      // deleted locally — stays deleted
+      }
+    }
+
+    return result;
+  },
+
+  // -------------------------------------------------------------------------
+  // attachTags / detachTags
+  // -------------------------------------------------------------------------
+
+  /**
+   * Returns shallow clones of `items` carrying their tags from an itemTags
+   * map as a `tags` array (empty when untagged), so tags diff and merge like
+   * any other field. Items without a UUID are returned unchanged.
+   *
+   * @param {object[]} items
+   * @param {Object<string, string[]>} tagMap - uuid → tags (tags.js shape)
+   * @returns {object[]}
+   */
+  attachTags(items, tagMap) {
+    const map = tagMap != null && typeof tagMap === 'object' ? tagMap : {};
+    return (Array.isArray(items) ? items : []).map((item) => {
+      if (!item || !item.uuid) return item;
+      const tags = Array.isArray(map[item.uuid]) ? map[item.uuid].slice() : [];
+      return Object.assign({}, item, { tags });
+    });
+  },
+
+  /**
+   * Reverse of attachTags(): strips `tags` from items that carry it and
+   * writes those lists into `tagMap` (an empty list removes the entry).
+   * Items without the property keep whatever tagMap already holds.
+   *
+   * @param {object[]} items
+   * @param {Object<string, string[]>} tagMap - uuid → tags; not mutated
+   * @returns {{ items: object[], tags: Object<string, string[]> }}
+   */
+  detachTags(items, tagMap) {
+    const tags = Object.assign({}, tagMap || {});
+    const out = (Array.isArray(items) ? items : []).map((item) => {
+      if (!item || !Object.prototype.hasOwnProperty.call(item, 'tags')) return item;
+      const copy = Object.assign({}, item);
+      const list = Array.isArray(copy.tags) ? copy.tags : [];
+      delete copy.tags;
+      if (copy.uuid) {
+        if (list.length > 0) tags[copy.uuid] = list.slice();
+        else delete tags[copy.uuid];
+      }
+      return copy;
+    });
+    return { items: out, tags };
+  },
+
   // -------------------------------------------------------------------------
   // compareSettings
   // -------------------------------------------------------------------------
@@ -15,7 +15,7 @@
  */
 
 /* eslint-disable no-var */
-/* global safeGetElement, sanitizeHtml, openModalById, closeModalById, DiffEngine */
+/* global safeGetElement, sanitizeHtml, openModalById, closeModalById, DiffEngine, DISPOSITION_TYPES */
 
 (function () {
   'use strict';
@@ -44,6 +44,23 @@
       .replace(/"/g, '&quot;');
   }
 
+  /**
+   * Display text for a field value: tag lists joined, disposition records as
+   * their type label, other objects as JSON, empty as an em dash.
+   */
+  function _displayVal(v) {
+    if (v == null || v === '') return '\u2014';
+    if (Array.isArray(v)) return v.length ? v.join(', ') : '\u2014';
+    if (typeof v === 'object') {
+      if (v.type) {
+        var label = typeof DISPOSITION_TYPES !== 'undefined' && DISPOSITION_TYPES[v.type] ? DISPOSITION_TYPES[v.type].label : v.type;
+        return label + (v.date ? ' ' + v.date : '');
+      }
+      return JSON.stringify(v);
+    }
+    return String(v);
+  }
+
   /** Derive a display key for an item */
   function _itemKey(item) {
     if (typeof DiffEngine !== 'undefined' && DiffEngine.computeItemKey) {
@@ -134,6 +151,7 @@
       case 'sync': return 'Review Sync Changes';
       case 'csv':  return 'Review CSV Import';
       case 'json': return 'Review JSON Import';
+      case 'email': return 'Review Order Import';
       default:     return 'Review Changes';
     }
   }
@@ -145,6 +163,7 @@
       case 'sync': return '&#9729; ';  // cloud
       case 'csv':  return '&#128196; '; // page
       case 'json': return '&#128230; '; // package
+      case 'email': return '&#9993; ';  // envelope
       default:     return '';
     }
   }
@@ -203,6 +222,7 @@
       if (modified.length > 0) chips.push('<span style="display:inline-flex;align-items:center;gap:0.2rem;padding:0.2rem 0.5rem;border-radius:20px;font-size:0.73rem;font-weight:600;background:rgba(217,119,6,0.12);color:var(--warning,#d97706)">&#9998; ' + modified.length + ' modified</span>');
       if (deleted.length > 0) chips.push('<span style="display:inline-flex;align-items:center;gap:0.2rem;padding:0.2rem 0.5rem;border-radius:20px;font-size:0.73rem;font-weight:600;background:rgba(220,38,38,0.12);color:var(--danger,#dc2626)">&minus;' + deleted.length + ' deleted</span>');
       if (unchanged.length > 0) chips.push('<span style="display:inline-flex;align-items:center;gap:0.2rem;padding:0.2rem 0.5rem;border-radius:20px;font-size:0.73rem;font-weight:600;background:rgba(107,114,128,0.1);color:#6b7280">' + unchanged.length + ' unchanged</span>');
+      if (diff.localOnly > 0) chips.push('<span style="display:inline-flex;align-items:center;gap:0.2rem;padding:0.2rem 0.5rem;border-radius:20px;font-size:0.73rem;font-weight:600;background:rgba(107,114,128,0.1);color:#6b7280" title="Changed only on this device since the last sync — kept">' + diff.localOnly + ' local edit' + (diff.localOnly > 1 ? 's' : '') + ' kept</span>');
       if (settingsDiff && settingsDiff.changed && settingsDiff.changed.length > 0) {
         chips.push('<span style="display:inline-flex;align-items:center;gap:0.2rem;padding:0.2rem 0.5rem;border-radius:20px;font-size:0.73rem;font-weight:600;background:rgba(59,130,246,0.1);color:var(--primary,#3b82f6)">' + settingsDiff.changed.length + ' setting' + (settingsDiff.changed.length > 1 ? 's' : '') + '</span>');
       }
@@ -221,10 +241,15 @@
           var res = _conflictResolutions['c' + ci] || 'remote';
           cHtml += '<div style="padding:0.5rem;border-radius:6px;margin-bottom:0.35rem;font-size:0.8rem;background:rgba(0,0,0,0.06)">';
           cHtml += '<div style="font-weight:600">' + _esc(cf.itemName || cf.itemKey || 'Item') + '</div>';
-          cHtml += '<div style="font-size:0.73rem;opacity:0.6;margin-bottom:0.35rem">' + _esc(cf.field) + '</div>';
+          if (cf.field === 'item') {
+            cHtml += '<div style="font-size:0.73rem;opacity:0.6;margin-bottom:0.35rem">Deleted on one device, edited on the other</div>';
+          } else {
+            cHtml += '<div style="font-size:0.73rem;opacity:0.6;margin-bottom:0.35rem">' + _esc(cf.field)
+              + (cf.baseVal !== undefined ? ' &middot; was ' + _esc(_displayVal(cf.baseVal)) : '') + '</div>';
+          }
           cHtml += '<div style="display:flex;gap:0.75rem">';
-          cHtml += '<label style="display:flex;align-items:center;gap:0.3rem;cursor:pointer;font-size:0.8rem"><input type="radio" name="diffConflict' + ci + '" value="local" ' + (res === 'local' ? 'checked' : '') + ' data-conflict="' + ci + '" style="width:16px;height:16px;padding:0;border:none;accent-color:var(--primary,#3b82f6)"> Local: <strong>' + _esc(String(cf.localVal != null ? cf.localVal : '\u2014')) + '</strong></label>';
-          cHtml += '<label style="display:flex;align-items:center;gap:0.3rem;cursor:pointer;font-size:0.8rem"><input type="radio" name="diffConflict' + ci + '" value="remote" ' + (res === 'remote' ? 'checked' : '') + ' data-conflict="' + ci + '" style="width:16px;height:16px;padding:0;border:none;accent-color:var(--primary,#3b82f6)"> Remote: <strong>' + _esc(String(cf.remoteVal != null ? cf.remoteVal : '\u2014')) + '</strong></label>';
+          cHtml += '<label style="display:flex;align-items:center;gap:0.3rem;cursor:pointer;font-size:0.8rem"><input type="radio" name="diffConflict' + ci + '" value="local" ' + (res === 'local' ? 'checked' : '') + ' data-conflict="' + ci + '" style="width:16px;height:16px;padding:0;border:none;accent-color:var(--primary,#3b82f6)"> Local: <strong>' + _esc(_displayVal(cf.localVal)) + '</strong></label>';
+          cHtml += '<label style="display:flex;align-items:center;gap:0.3rem;cursor:pointer;font-size:0.8rem"><input type="radio" name="diffConflict' + ci + '" value="remote" ' + (res === 'remote' ? 'checked' : '') + ' data-conflict="' + ci + '" style="width:16px;height:16px;padding:0;border:none;accent-color:var(--primary,#3b82f6)"> Remote: <strong>' + _esc(_displayVal(cf.remoteVal)) + '</strong></label>';
           cHtml += '</div></div>';
         }
         cHtml += '</div>';
@@ -352,9 +377,9 @@
             var ch = mod.changes[c];
             html += '<div style="padding:0.15rem 0;display:flex;gap:0.3rem;align-items:baseline">';
             html += '<span style="opacity:0.5;min-width:80px">' + _esc(ch.field) + '</span>';
-            html += '<span style="text-decoration:line-through;opacity:0.45">' + _esc(String(ch.localVal != null ? ch.localVal : '\u2014')) + '</span>';
+            html += '<span style="text-decoration:line-through;opacity:0.45">' + _esc(_displayVal(ch.localVal)) + '</span>';
             html += '<span style="opacity:0.35;font-size:0.7rem">&rarr;</span>';
-            html += '<span style="font-weight:500;color:var(--warning,#d97706)">' + _esc(String(ch.remoteVal != null ? ch.remoteVal : '\u2014')) + '</span>';
+            html += '<span style="font-weight:500;color:var(--warning,#d97706)">' + _esc(_displayVal(ch.remoteVal)) + '</span>';
             html += '</div>';
           }
           html += '</div>';
@@ -516,6 +541,28 @@
       }
     }
 
+    // Conflict resolutions. Three-way merge conflicts are not in diff.modified,
+    // so 'remote' adds the change; detectConflicts() conflicts are, so 'local'
+    // drops the matching modify entry.
+    var conflictList = _options.conflicts && _options.conflicts.conflicts ? _options.conflicts.conflicts : [];
+    for (var ci = 0; ci < conflictList.length; ci++) {
+      var cf = conflictList[ci];
+      if (_conflictResolutions['c' + ci] === 'local') {
+        result = result.filter(function (r) {
+          return !(r.type === 'modify' && r.itemKey === cf.itemKey && r.field === cf.field);
+        });
+      } else if (cf.kind === 'delete') {
+        result.push({ type: 'delete', itemKey: cf.itemKey });
+      } else if (cf.kind === 'restore') {
+        if (cf.item) result.push({ type: 'add', item: cf.item });
+      } else {
+        var dup = result.some(function (r) {
+          return r.type === 'modify' && r.itemKey === cf.itemKey && r.field === cf.field;
+        });
+        if (!dup) result.push({ type: 'modify', itemKey: cf.itemKey, field: cf.field, value: cf.remoteVal });
+      }
+    }
+
     // Settings changes — always included (no per-setting checkboxes)
     var settingsDiff = _options.settingsDiff || {};
     var changedSettings = settingsDiff.changed || [];
@@ -534,7 +581,9 @@
     // check `selectedChanges &&` treat null as "no selective picks, do full restore".
     // This differs from the intentional "deselect all" case where _checkedItems has
     // entries but they are all false (then selected is [] and apply-nothing is correct).
-    if (Object.keys(_checkedItems).length === 0) selected = null;
+    // Conflict-only reviews still carry the chosen resolutions.
+    var hasConflicts = _options && _options.conflicts && _options.conflicts.conflicts && _options.conflicts.conflicts.length > 0;
+    if (Object.keys(_checkedItems).length === 0 && !hasConflicts) selected = null;
     // Capture callback before close() — close() nullifies _options
     var callback = _options && _options.onApply;
     DiffModal.close();
@@ -636,7 +685,7 @@
      * @param {object} options.source - { type: 'sync'|'csv'|'json', label: string }
      * @param {object} options.diff - DiffEngine.compareItems() result
      * @param {object} [options.settingsDiff] - DiffEngine.compareSettings() result
-     * @param {object} [options.conflicts] - DiffEngine.detectConflicts() result
+     * @param {object} [options.conflicts] - { conflicts: [...] } from DiffEngine.detectConflicts() or mergeItems()
      * @param {object} [options.meta] - { deviceId, timestamp, itemCount, appVersion }
      * @param {function} options.onApply - Called with array of selected changes
      * @param {function} options.onCancel - Called when user cancels
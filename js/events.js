@@ -576,6 +576,11 @@ const updateColumnVisibility = () => {
     && typeof featureFlags !== 'undefined' && featureFlags.isEnabled('COIN_IMAGES');
   if (!_imgOn) hidden.add('image');
 
+  // Columns hidden by the active smart collection (smart-collections.js)
+  if (typeof getSmartCollectionHiddenColumns === 'function') {
+    getSmartCollectionHiddenColumns().forEach((c) => hidden.add(c));
+  }
+
   const allColumns = [
     "date",
     "type",
@@ -585,6 +590,9 @@ const updateColumnVisibility = () => {
     "name",
     "weight",
     "purchasePrice",
+    "meltValue",
+    "retailPrice",
+    "gainLoss",
     "spot",
     "premium",
     "purchaseLocation",
@@ -624,7 +632,8 @@ const setupSearchAndChipListeners = () => {
   // Search Input
   if (elements.searchInput) {
     const debouncedSearch = debounce(() => {
-      searchQuery = elements.searchInput.value.replace(/[<>]/g, "").trim();
+      // < and > are kept — they are comparison operators in the query syntax
+      searchQuery = elements.searchInput.value.trim();
       renderTable();
       if (typeof renderActiveFilters === "function") {
         renderActiveFilters();
@@ -1020,6 +1029,7 @@ const parseItemFormFields = (isEditing, existingItem) => {
     price: parsePriceToUSD(elements.itemPrice.value.trim(), fxRate, isEditing, existingItem.price),
     purchaseLocation: elements.purchaseLocation.value.trim(),
     storageLocation: elements.storageLocation.value.trim(),
+    portfolio: elements.itemPortfolio?.value || (isEditing ? getItemPortfolioId(existingItem) : getNewItemPortfolioId()),
     serialNumber: elements.itemSerialNumber?.value?.trim() ?? '',
     notes: elements.itemNotes.value.trim(),
     date: elements.itemDateNABtn?.classList.contains('active') ? '' : (elements.itemDate.value || (isEditing ? (existingItem.date || '') : todayStr())),
@@ -1115,6 +1125,7 @@ const buildItemFields = (f) => ({
   storageLocation: f.storageLocation, serialNumber: f.serialNumber, notes: f.notes,
   year: f.year, grade: f.grade, gradingAuthority: f.gradingAuthority,
   certNumber: f.certNumber, pcgsNumber: f.pcgsNumber, purity: f.purity,
+  portfolio: f.portfolio,
 });
 
 /**
@@ -1318,6 +1329,9 @@ const setupItemFormListeners = () => {
         // Capture index before commit — commitItemToInventory nulls editingIndex
         const savedEditIdx = editingIndex;
         commitItemToInventory(fields, isEditing, editingIndex);
+        if (typeof warnStorageLocationLimit === 'function') warnStorageLocationLimit(fields.storageLocation);
+        if (!isEditing && typeof recordWantPurchase === 'function') recordWantPurchase(inventory[inventory.length - 1]);
+        if (!isEditing && typeof recordDcaPurchase === 'function') recordDcaPurchase(inventory[inventory.length - 1]);
 
         // Clone mode handling — intercept post-commit flow (STAK-375)
         if (window._cloneMode) {
@@ -1745,8 +1759,10 @@ const setupItemFormListeners = () => {
           return;
         }
 
-        if (!catalogAPI || !catalogAPI.activeProvider) {
-          appAlert('Configure Numista API key in Settings first.');
+        // No Numista key needed — searches start with the local catalog
+        // (bullion-catalog.js) and add Numista results when configured
+        if (!catalogAPI) {
+          appAlert('Catalog search is not available.');
           return;
         }
 
@@ -1801,8 +1817,9 @@ const setupItemFormListeners = () => {
               const seen = new Set();
               const merged = [];
               const addUnique = (item) => {
-                if (item && item.catalogId && !seen.has(item.catalogId)) {
-                  seen.add(item.catalogId);
+                const key = item && (item.catalogId || item.localCatalogId);
+                if (key && !seen.has(key)) {
+                  seen.add(key);
                   merged.push(item);
                 }
               };
@@ -1827,14 +1844,15 @@ const setupItemFormListeners = () => {
     );
   }
 
-  // LOOKUP PCGS BUTTON — verify by Cert# or look up by PCGS#
+  // LOOKUP CERT BUTTON — verify a PCGS Cert#, look up by PCGS#, or open the
+  // NGC / ANACS cert page (provider from the grading service field — cert-api.js)
   if (elements.lookupPcgsBtn) {
     safeAttachListener(
       elements.lookupPcgsBtn,
       "click",
       async () => {
-        if (typeof lookupPcgsFromForm !== 'function') {
-          appAlert('PCGS lookup is not available.');
+        if (typeof lookupCertFromForm !== 'function') {
+          appAlert('Cert lookup is not available.');
           return;
         }
 
@@ -1848,10 +1866,22 @@ const setupItemFormListeners = () => {
         }
 
         try {
-          const result = await lookupPcgsFromForm();
+          const result = await lookupCertFromForm();
+
+          // NGC / ANACS have no verification API — open their public cert page
+          if (result.lookupOnly && result.certUrl) {
+            const popup = window.open(result.certUrl, `cert_${result.authority}_${result.certNumber}`,
+              'width=1250,height=800,scrollbars=yes,resizable=yes,toolbar=no,location=no,menubar=no,status=no');
+            if (!popup) {
+              appAlert(`Popup blocked! Please allow popups or manually visit:\n${result.certUrl}`);
+            } else {
+              popup.focus();
+            }
+            return;
+          }
 
           if (!result.verified) {
-            appAlert(result.error || 'PCGS lookup failed.');
+            appAlert(result.error || 'Cert lookup failed.');
             return;
           }
 
@@ -1859,11 +1889,11 @@ const setupItemFormListeners = () => {
           if (typeof showPcgsFieldPicker === 'function') {
             showPcgsFieldPicker(result);
           } else {
-            appAlert('PCGS field picker not available.');
+            appAlert('Cert field picker not available.');
           }
         } catch (error) {
-          console.error('PCGS lookup error:', error);
-          appAlert('PCGS lookup failed: ' + error.message);
+          console.error('Cert lookup error:', error);
+          appAlert('Cert lookup failed: ' + error.message);
         } finally {
           setButtonLoading(btn, false);
         }
@@ -2308,6 +2338,10 @@ const setupVaultListeners = () => {
     }
   }, "Vault confirm password toggle");
 
+  optionalListener(document.getElementById('vaultRecoveryPrintBtn'), "click", () => {
+    if (typeof printVaultRecoveryKey === 'function') printVaultRecoveryKey();
+  }, "Vault recovery key print button");
+
   // Vault modal live password events
   const pw = document.getElementById("vaultPassword");
   const cpw = document.getElementById("vaultConfirmPassword");
@@ -2464,6 +2498,12 @@ const setupImportExportListeners = () => {
     if (typeof createBackupZip === "function") createBackupZip();
   }, "ZIP export");
 
+  // Capital gains tax report (tax-report.js)
+  optionalListener(document.getElementById("exportTaxCsvBtn"), "click", () => exportTaxReportCsv(), "Tax report CSV export");
+  optionalListener(document.getElementById("exportTaxPdfBtn"), "click", () => exportTaxReportPdf(), "Tax report PDF export");
+  optionalListener(document.getElementById("exportInsurancePdfBtn"), "click", () => exportInsuranceReportPdf(), "Insurance report PDF export");
+  optionalListener(document.getElementById("exportInsuranceHtmlBtn"), "click", () => exportInsuranceReportHtml(), "Insurance report HTML export");
+
   // ZIP import
   const importZipBtn = document.getElementById("importZipBtn");
   const importZipFile = document.getElementById("importZipFile");
@@ -2645,7 +2685,7 @@ const setupSearch = () => {
   try {
     if (elements.searchInput) {
       const handleSearchInput = debounce(function () {
-        searchQuery = this.value.replace(/[<>]/g, '').trim();
+        searchQuery = this.value.trim();
         renderTable();
       }, 300);
       safeAttachListener(
@@ -2669,6 +2709,7 @@ const setupSearch = () => {
           }
           searchQuery = "";
           if (elements.searchInput) elements.searchInput.value = "";
+          if (typeof refreshSearchQueryHighlight === 'function') refreshSearchQueryHighlight();
           renderTable();
           renderActiveFilters();
         },
@@ -2689,6 +2730,7 @@ const setupSearch = () => {
           }
           searchQuery = "";
           if (elements.searchInput) elements.searchInput.value = "";
+          if (typeof refreshSearchQueryHighlight === 'function') refreshSearchQueryHighlight();
           renderTable();
           renderActiveFilters();
         },
@@ -2720,6 +2762,8 @@ const setupSearch = () => {
             elements.itemDate.value = todayStr();
           }
           if (elements.itemSerial) elements.itemSerial.value = '';
+          // New items land in the active portfolio (default while viewing all)
+          populatePortfolioSelect(elements.itemPortfolio, getNewItemPortfolioId());
           // Reset spot lookup state (STACK-49)
           if (elements.itemSpotPrice) elements.itemSpotPrice.value = '';
           if (elements.spotLookupBtn) elements.spotLookupBtn.disabled = !elements.itemDate.value;
@@ -3128,6 +3172,31 @@ const setupApiEvents = () => {
             quotaModal.style.display === "flex"
           ) {
             quotaModal.style.display = "none";
+          } else if (
+            document.getElementById("itemScanModal")?.style.display === "flex" &&
+            typeof closeItemScanModal === "function"
+          ) {
+            closeItemScanModal();
+          } else if (
+            document.getElementById("itemLabelsModal")?.style.display === "flex" &&
+            typeof closeItemLabelsModal === "function"
+          ) {
+            closeItemLabelsModal();
+          } else if (
+            document.getElementById("shareExportModal")?.style.display === "flex" &&
+            typeof closeShareExportModal === "function"
+          ) {
+            closeShareExportModal();
+          } else if (
+            document.getElementById("sharedCollectionsModal")?.style.display === "flex" &&
+            typeof closeSharedCollectionsModal === "function"
+          ) {
+            closeSharedCollectionsModal();
+          } else if (
+            document.getElementById("storageLocationsModal")?.style.display === "flex" &&
+            typeof closeStorageLocationsModal === "function"
+          ) {
+            closeStorageLocationsModal();
           } else if (
             bulkEditModal &&
             bulkEditModal.style.display !== "none" &&
@@ -3162,6 +3231,26 @@ const setupApiEvents = () => {
             typeof closeDetailsModal === "function"
           ) {
             closeDetailsModal();
+          } else if (
+            document.getElementById("ratioModal")?.style.display === "flex" &&
+            typeof closeRatioModal === "function"
+          ) {
+            closeRatioModal();
+          } else if (
+            document.getElementById("csvMappingModal")?.style.display === "flex" &&
+            typeof closeCsvMappingWizard === "function"
+          ) {
+            closeCsvMappingWizard();
+          } else if (
+            document.getElementById("orderEmailModal")?.style.display === "flex" &&
+            typeof closeOrderEmailModal === "function"
+          ) {
+            closeOrderEmailModal();
+          } else if (
+            document.getElementById("deviceSyncModal")?.style.display === "flex" &&
+            typeof closeDeviceSyncModal === "function"
+          ) {
+            closeDeviceSyncModal();
           }
         }
       },
@@ -3208,15 +3297,15 @@ function _openCloudSyncPopover() {
     }
     cleanup();
     try { localStorage.setItem('cloud_vault_password', pw); } catch (_) {}
-    if (typeof cloudCachePassword === 'function') cloudCachePassword('dropbox', pw);
+    if (typeof cloudCachePassword === 'function') cloudCachePassword(typeof getSyncProvider === 'function' ? getSyncProvider() : 'dropbox', pw);
     if (typeof updateCloudSyncHeaderBtn === 'function') updateCloudSyncHeaderBtn();
     // STAK-398: poll for remote changes first, then push. Check account_id is present.
-    var hasAccountId = !!localStorage.getItem('cloud_dropbox_account_id');
+    var hasAccountId = !!(typeof getSyncAccountId === 'function' ? getSyncAccountId() : localStorage.getItem('cloud_dropbox_account_id'));
     debugWarn('[CloudSync] Popover unlock: password set, accountId:', hasAccountId);
     if (!hasAccountId) {
       debugWarn('[CloudSync] Popover unlock: no account_id — sync key incomplete, skipping sync');
       if (typeof showCloudToast === 'function') {
-        showCloudToast('Cloud sync setup incomplete — please reconnect your Dropbox account.');
+        showCloudToast('Cloud sync setup incomplete — please reconnect your cloud storage account.');
       }
       return;
     }
@@ -3314,6 +3403,16 @@ if (dispositionTypeSelect) {
   });
 }
 
+// Lot method / quantity / picker changes re-render the lot preview
+const dispositionLotMethodSelect = document.getElementById('dispositionLotMethod');
+const dispositionQtyInput = document.getElementById('dispositionQty');
+const _rerenderDispositionLots = () => {
+  const idx = parseInt(document.getElementById('removeItemIdx')?.value, 10);
+  if (!isNaN(idx) && typeof renderDispositionLotPicker === 'function') renderDispositionLotPicker(idx);
+};
+if (dispositionLotMethodSelect) dispositionLotMethodSelect.addEventListener('change', _rerenderDispositionLots);
+if (dispositionQtyInput) dispositionQtyInput.addEventListener('input', _rerenderDispositionLots);
+
 // Delete/dispose from edit modal — close edit modal, open remove item modal
 const deleteFromEditBtn = document.getElementById('deleteFromEditBtn');
 if (deleteFromEditBtn) {
@@ -3354,6 +3453,165 @@ if (settingsShowRealized) {
   });
 }
 
+// Realized tax year (options are repopulated by syncSettingsUI on open)
+const settingsRealizedYear = document.getElementById('settingsRealizedYear');
+if (settingsRealizedYear) {
+  settingsRealizedYear.addEventListener('change', () => {
+    saveData(REALIZED_YEAR_KEY, settingsRealizedYear.value);
+    updateSummary();
+  });
+}
+
+// Default lot matching method for partial dispositions
+const settingsLotMethod = document.getElementById('settingsLotMethod');
+if (settingsLotMethod) {
+  settingsLotMethod.value = getDefaultLotMethod();
+  settingsLotMethod.addEventListener('change', () => {
+    saveData(LOT_METHOD_KEY, settingsLotMethod.value);
+  });
+}
+
+// =============================================================================
+// Portfolios — header switcher and Settings list (list rendered by syncSettingsUI)
+// =============================================================================
+
+const portfolioSwitcher = document.getElementById('portfolioSwitcher');
+if (portfolioSwitcher) {
+  portfolioSwitcher.addEventListener('change', () => setActivePortfolio(portfolioSwitcher.value));
+}
+
+const portfolioAddBtn = document.getElementById('portfolioAddBtn');
+if (portfolioAddBtn) {
+  portfolioAddBtn.addEventListener('click', addPortfolioFromSettings);
+}
+
+const portfolioNewName = document.getElementById('portfolioNewName');
+if (portfolioNewName) {
+  portfolioNewName.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addPortfolioFromSettings();
+    }
+  });
+}
+
+// =============================================================================
+// Metal ratios — spot ratio strip and ratio modal
+// =============================================================================
+
+if (typeof setupRatioModal === 'function') setupRatioModal();
+
+// =============================================================================
+// Price alerts — Settings → Alerts (section rendered by switchSettingsSection)
+// =============================================================================
+
+const priceAlertType = document.getElementById('priceAlertType');
+if (priceAlertType) {
+  priceAlertType.addEventListener('change', updatePriceAlertForm);
+}
+
+const priceAlertAddBtn = document.getElementById('priceAlertAddBtn');
+if (priceAlertAddBtn) {
+  priceAlertAddBtn.addEventListener('click', addPriceAlertFromForm);
+}
+
+const priceAlertThreshold = document.getElementById('priceAlertThreshold');
+if (priceAlertThreshold) {
+  priceAlertThreshold.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addPriceAlertFromForm();
+    }
+  });
+}
+
+const priceAlertNotifyBtn = document.getElementById('priceAlertNotifyBtn');
+if (priceAlertNotifyBtn) {
+  priceAlertNotifyBtn.addEventListener('click', requestPriceAlertPermission);
+}
+
+const priceAlertLogClearBtn = document.getElementById('priceAlertLogClearBtn');
+if (priceAlertLogClearBtn) {
+  priceAlertLogClearBtn.addEventListener('click', clearPriceAlertLog);
+}
+
+// =============================================================================
+// Want list — Settings → Want List (section rendered by switchSettingsSection)
+// =============================================================================
+
+if (typeof setupWantList === 'function') setupWantList();
+
+// =============================================================================
+// Stacking goals — Settings → Goals (section rendered by switchSettingsSection)
+// =============================================================================
+
+if (typeof setupStackingGoals === 'function') setupStackingGoals();
+
+// =============================================================================
+// DCA planner — Settings → DCA (section rendered by switchSettingsSection)
+// =============================================================================
+
+if (typeof setupDcaPlanner === 'function') setupDcaPlanner();
+
+// =============================================================================
+// CSV mapping wizard — Settings → Import → Map Spreadsheet CSV
+// =============================================================================
+
+if (typeof setupCsvMappingWizard === 'function') setupCsvMappingWizard();
+
+// =============================================================================
+// Order email import — Settings → Import → Paste Order Email
+// =============================================================================
+
+if (typeof setupOrderEmailImport === 'function') setupOrderEmailImport();
+
+// =============================================================================
+// Device sync — Settings → Inventory → Encrypted Backup → Sync to Device
+// =============================================================================
+
+if (typeof setupDeviceSync === 'function') setupDeviceSync();
+
+// =============================================================================
+// Share bundles — bulk edit → Share Selected, Settings → Encrypted Backup →
+// Share Items / Shared With Me
+// =============================================================================
+
+if (typeof setupShareBundles === 'function') setupShareBundles();
+
+// =============================================================================
+// Storage locations — Settings → Storage Locations → Manage Locations
+// =============================================================================
+
+if (typeof setupStorageLocations === 'function') setupStorageLocations();
+
+// =============================================================================
+// Local catalog — Settings → Search → Local catalog
+// =============================================================================
+
+if (typeof setupLocalCatalogSettings === 'function') setupLocalCatalogSettings();
+
+// =============================================================================
+// Search query syntax — search bar highlighting and autocomplete,
+// Settings → Filter Chips → Smart filters
+// =============================================================================
+
+if (typeof setupSearchQueryInput === 'function') setupSearchQueryInput();
+if (typeof setupSmartFilterSettings === 'function') setupSmartFilterSettings();
+
+// =============================================================================
+// Smart collections — saved views in the sidebar opened by search bar → Views
+// =============================================================================
+
+if (typeof setupSmartCollections === 'function') setupSmartCollections();
+
+// =============================================================================
+// Item labels and scanning — bulk edit → Print Labels, search bar → Scan,
+// item form → scan button beside the cert number
+// =============================================================================
+
+if (typeof setupItemLabels === 'function') setupItemLabels();
+if (typeof setupItemScanner === 'function') setupItemScanner();
+
 // =============================================================================
 
 // Early cleanup of stray localStorage entries before application initialization
@@ -45,6 +45,7 @@ const clearAllFilters = () => {
   if (typeof window.updateSaveSearchButton === 'function') {
     window.updateSaveSearchButton('', false);
   }
+  if (typeof window.refreshSearchQueryHighlight === 'function') window.refreshSearchQueryHighlight();
 
   const typeFilter = document.getElementById('typeFilter');
   if (typeFilter) typeFilter.value = '';
@@ -64,14 +65,15 @@ const clearAllFilters = () => {
  * @param {string} value - The value to remove from filter
  */
 const removeFilter = (field, value) => {
-  if (field === 'search') {
-    // Clear search query
+  if (field === 'search' || field === 'smartFilter') {
+    // Clear search query (a smart filter chip is active while its query is the search)
     searchQuery = '';
     const searchInput = document.getElementById('searchInput');
     if (searchInput) searchInput.value = '';
     if (typeof window.updateSaveSearchButton === 'function') {
       window.updateSaveSearchButton('', false);
     }
+    if (typeof window.refreshSearchQueryHighlight === 'function') window.refreshSearchQueryHighlight();
   } else if (activeFilters[field]) {
     if (activeFilters[field].values && Array.isArray(activeFilters[field].values)) {
       // Remove specific value from array
@@ -345,6 +347,13 @@ const renderActiveFilters = () => {
     chips.push({ field: 'disposed-mode', value: 'show-only' });
   }
 
+  // Saved smart filters (search-query.js) — always listed, even at zero matches
+  if (typeof window.countSmartFilters === 'function') {
+    Object.entries(window.countSmartFilters()).forEach(([id, info]) => {
+      chips.push({ field: 'smartFilter', value: id, displayLabel: info.label, query: info.query, count: info.count, isSmartFilter: true });
+    });
+  }
+
   // Generate category summary chips from filtered inventory
   const categorySummary = generateCategorySummary(filteredInventory);
   
@@ -453,8 +462,8 @@ const renderActiveFilters = () => {
     ? parseInt(chipMaxCountEl.value, 10)
     : parseInt(localStorage.getItem('chipMaxCount') || '0', 10);
   if (maxCount > 0) {
-    const uncappedChips = chips.filter(c => c && c.field === 'search');
-    const cappedCandidates = chips.filter(c => !c || c.field !== 'search');
+    const uncappedChips = chips.filter(c => c && (c.field === 'search' || c.field === 'smartFilter'));
+    const cappedCandidates = chips.filter(c => !c || (c.field !== 'search' && c.field !== 'smartFilter'));
     if (cappedCandidates.length > maxCount) {
       cappedCandidates.splice(maxCount);
     }
@@ -505,14 +514,17 @@ const renderActiveFilters = () => {
     if (f.exclude) chip.classList.add('filter-chip-excluded');
     // All chip categories render visually identical — no italic/bold distinction
     const firstValue = String(f.value).split(', ')[0];
-    const colorKey = f.field === 'customGroup' ? (f.displayLabel || firstValue) : firstValue;
+    const colorKey = (f.field === 'customGroup' || f.field === 'smartFilter') ? (f.displayLabel || firstValue) : firstValue;
     const { bg, text: textColor } = getChipColors(f.field, colorKey, i);
     chip.style.backgroundColor = bg;
     chip.style.color = textColor || getContrastColor(bg);
 
     // Determine if this chip represents a currently active filter
     let isActiveFilter = false;
-    if (f.count !== undefined && f.total !== undefined) {
+    if (f.isSmartFilter) {
+      // Smart filter chip — active while its query is the current search
+      isActiveFilter = typeof window.isSmartFilterActive === 'function' && window.isSmartFilterActive(f.value);
+    } else if (f.count !== undefined && f.total !== undefined) {
       // Summary chip — active only if its value is in activeFilters
       const criteria = activeFilters[f.field];
       if (criteria && Array.isArray(criteria.values) && !criteria.exclude) {
@@ -538,7 +550,7 @@ const renderActiveFilters = () => {
 
     // Display simplified value for most chips, but keep full base name for name chips
     // Custom groups use their display label; dynamic chips are italic (via CSS class)
-    const displayValue = f.isCustomGroup ? f.displayLabel
+    const displayValue = (f.isCustomGroup || f.isSmartFilter) ? f.displayLabel
       : f.isDynamic ? f.value
       : f.field === 'name' ? f.value
       : f.field === 'numistaId' ? `N#${f.value}`
@@ -549,7 +561,7 @@ const renderActiveFilters = () => {
       label = 'Showing: Disposed Items';
     } else if (f.field === 'search') {
       label = displayValue;
-    } else if (f.count !== undefined && f.total !== undefined) {
+    } else if (f.isSmartFilter || (f.count !== undefined && f.total !== undefined)) {
       // For category summary chips, show count badge if enabled
       const showQty = window.featureFlags && window.featureFlags.isEnabled('CHIP_QTY_BADGE');
       label = showQty ? `${displayValue} (${f.count})` : displayValue;
@@ -582,7 +594,11 @@ const renderActiveFilters = () => {
     }
 
     // Different tooltip and click behavior for different chip types
-    if (f.count !== undefined && f.total !== undefined) {
+    if (f.isSmartFilter) {
+      // Smart filter chip — clicking runs (or clears) its saved query
+      chip.title = `Smart filter: ${f.query} (${f.count} items)`;
+      chip.addEventListener('click', () => applyQuickFilter(f.field, f.value));
+    } else if (f.count !== undefined && f.total !== undefined) {
       // Category summary chips - clicking adds filter; shift+click blacklists supported chip names.
       const canBlacklist = f.field === 'name' || f.field === 'dynamicName' || f.field === 'customGroup' || f.field === 'tags';
       const chipNameForBlacklist = f.field === 'customGroup' ? (f.displayLabel || f.value) : f.value;
@@ -640,7 +656,7 @@ const renderActiveFilters = () => {
         // Active filter chip × — always removes the filter (de-activate, not exclude)
         removeFilter(f.field, f.value);
         renderActiveFilters();
-      } else if (f.count !== undefined && f.total !== undefined && f.field !== 'search') {
+      } else if (f.isSmartFilter || (f.count !== undefined && f.total !== undefined && f.field !== 'search')) {
         // Idle summary chip × — exclude this value while keeping other filters intact
         applyQuickFilter(f.field, f.value, f.isGrouped || f.isCustomGroup || f.isDynamic || false, true);
       } else {
@@ -657,7 +673,7 @@ const renderActiveFilters = () => {
         } else if (isActiveFilter) {
           removeFilter(f.field, f.value);
           renderActiveFilters();
-        } else if (f.count !== undefined && f.total !== undefined && f.field !== 'search') {
+        } else if (f.isSmartFilter || (f.count !== undefined && f.total !== undefined && f.field !== 'search')) {
           applyQuickFilter(f.field, f.value, f.isGrouped || f.isCustomGroup || f.isDynamic || false, true);
         } else {
           removeFilter(f.field, f.value);
@@ -800,6 +816,7 @@ const getChipColors = (field, value, index) => {
       color = getColor(nameColors, value);
       break;
     case 'customGroup':
+    case 'smartFilter':
       color = getColor(nameColors, value);
       break;
     case 'tags':
@@ -822,15 +839,30 @@ const getChipColors = (field, value, index) => {
  * Enhanced filter inventory function that includes advanced filters.
  * Applies all active filters in `activeFilters` to the inventory.
  *
+ * @param {Object} [view] - Saved view to evaluate instead of the live one (smart-collections.js)
+ * @param {Object} [view.filters] - Filters in the `activeFilters` shape
+ * @param {string} [view.query] - Search text
+ * @param {string} [view.disposedMode] - 'hide' | 'show-all' | 'show-only'
  * @returns {Array<InventoryItem>} Filtered inventory items
  */
-const filterInventoryAdvanced = () => {
-  let result = inventory;
+const filterInventoryAdvanced = (view = {}) => {
+  const filters = view.filters || activeFilters;
+  const viewQuery = typeof view.query === 'string' ? view.query : searchQuery;
+
+  // Scope to the active portfolio ("all" returns the full inventory)
+  let result = typeof getPortfolioItems === 'function' ? getPortfolioItems() : inventory;
 
-  // Three-state disposed filter (STAK-388)
+  // Structured query syntax (search-query.js); plain searches use the matcher below
+  const structuredQuery = typeof isStructuredSearchQuery === 'function' && isStructuredSearchQuery(viewQuery)
+    ? parseSearchQuery(viewQuery)
+    : null;
+
+  // Three-state disposed filter (STAK-388). Queries about dispositions
+  // (is:disposed, disposition:sold) need the disposed items to match against.
   var activeDisposedBtn = document.querySelector('#disposedFilterGroup .chip-sort-btn.active');
-  var disposedMode = (activeDisposedBtn && activeDisposedBtn.dataset && activeDisposedBtn.dataset.disposedMode) || 'hide';
-  if (disposedMode === 'hide') {
+  var disposedMode = view.disposedMode || (activeDisposedBtn && activeDisposedBtn.dataset && activeDisposedBtn.dataset.disposedMode) || 'hide';
+  var queryShowsDisposed = !!structuredQuery && searchQueryReferencesDisposition(structuredQuery.ast);
+  if (disposedMode === 'hide' && !queryShowsDisposed) {
     result = result.filter(function(item) { return !item.disposition; });
   } else if (disposedMode === 'show-only') {
     result = result.filter(function(item) { return isDisposed(item); });
@@ -838,7 +870,7 @@ const filterInventoryAdvanced = () => {
   // 'show-all' → no filter applied
 
   // Apply advanced filters
-  Object.entries(activeFilters).forEach(([field, criteria]) => {
+  Object.entries(filters).forEach(([field, criteria]) => {
     if (criteria && typeof criteria === 'object' && Array.isArray(criteria.values)) {
       const { values, exclude } = criteria;
       switch (field) {
@@ -918,9 +950,14 @@ const filterInventoryAdvanced = () => {
   });
 
   // Apply text search
-  if (!searchQuery.trim()) return result;
+  if (!viewQuery.trim()) return result;
+
+  // A query that fails to parse matches nothing; the search bar shows the error
+  if (structuredQuery) {
+    return structuredQuery.ast ? result.filter(item => evaluateSearchQuery(structuredQuery.ast, item)) : [];
+  }
 
-  let query = searchQuery.toLowerCase().trim();
+  let query = viewQuery.toLowerCase().trim();
 
   const terms = query.split(',').map(t => t.trim()).filter(t => t);
 
@@ -1125,6 +1162,12 @@ const applyQuickFilter = (field, value, isGrouped = false, exclude = false) => {
   // Fields that support OR-logic multi-select (filter engine already handles these natively)
   const isMultiSelect = field === 'tags' || field === 'metal' || field === 'type';
 
+  // Smart filter chip click — run its saved query (exclude searches for the complement)
+  if (field === 'smartFilter') {
+    if (typeof window.applySmartFilter === 'function') window.applySmartFilter(value, exclude);
+    return;
+  }
+
   // Handle custom group chip click
   if (field === 'customGroup') {
     const groups = typeof window.loadCustomGroups === 'function' ? window.loadCustomGroups() : [];
@@ -0,0 +1,174 @@
+// URL HASH COMMANDS
+// =============================================================================
+// Lets bookmarklets, home-screen shortcuts and other tools drive common
+// workflows through the URL hash — no server needed:
+//
+//   #/import?url=<https URL>[&format=json|csv][&mode=merge|replace]
+//   #/export/json      #/export/csv      #/export/pdf
+//   #/spot/refresh
+//   #/item?id=<uuid>   (item label QR codes — item-labels.js)
+//
+// Commands run once on load (init.js Phase 17) and on every hashchange, then
+// the hash is cleared so a reload does not repeat them. Imports always ask
+// first — a link can come from anyone — and replace mode carries the same
+// overwrite warning as the Settings import buttons. Merge imports still end in
+// the import diff review before anything is written.
+// =============================================================================
+
+/** @constant {string} Prefix that marks a hash as a command ("#/") */
+const HASH_COMMAND_PREFIX = '#/';
+
+/**
+ * Split a command hash into a path and query parameters.
+ * @param {string} hash - e.g. "#/import?url=https%3A%2F%2F…&mode=merge"
+ * @returns {{path: string, params: URLSearchParams}|null} null when not a command
+ */
+const parseHashCommand = (hash) => {
+  if (typeof hash !== 'string' || !hash.startsWith(HASH_COMMAND_PREFIX)) return null;
+  const body = hash.slice(HASH_COMMAND_PREFIX.length);
+  const q = body.indexOf('?');
+  const path = (q >= 0 ? body.slice(0, q) : body).replace(/\/+$/, '').toLowerCase();
+  const params = new URLSearchParams(q >= 0 ? body.slice(q + 1) : '');
+  return { path, params };
+};
+
+/**
+ * Infer the import format from an explicit param, the URL path or the content type.
+ * @param {string} url - Source URL
+ * @param {string|null} formatParam - "json" | "csv" | null
+ * @param {string} [contentType] - Response Content-Type
+ * @returns {'json'|'csv'}
+ */
+const _hashImportFormat = (url, formatParam, contentType = '') => {
+  if (formatParam === 'csv' || formatParam === 'json') return formatParam;
+  let pathname = '';
+  try { pathname = new URL(url, window.location.href).pathname.toLowerCase(); } catch (e) { /* ignore */ }
+  if (pathname.endsWith('.csv') || /text\/csv/i.test(contentType)) return 'csv';
+  return 'json';
+};
+
+/**
+ * #/import — download a JSON or CSV export and hand it to importJson/importCsv.
+ * @param {URLSearchParams} params - url (required), format, mode
+ * @returns {Promise<void>}
+ */
+const _hashImport = async (params) => {
+  const url = params.get('url');
+  if (!url) {
+    appAlert('The import link is missing its url parameter.', 'Import from Link');
+    return;
+  }
+  let parsed;
+  try {
+    parsed = new URL(url, window.location.href);
+  } catch (e) {
+    appAlert(`"${url}" is not a valid URL.`, 'Import from Link');
+    return;
+  }
+  if (parsed.protocol !== 'https:' && parsed.origin !== window.location.origin) {
+    appAlert('Import links must use https.', 'Import from Link');
+    return;
+  }
+
+  const replace = params.get('mode') === 'replace';
+  const formatName = _hashImportFormat(parsed.href, params.get('format')) === 'csv' ? 'CSV' : 'JSON';
+  const message = replace
+    ? `Import ${formatName} from ${parsed.host} and overwrite all existing data in the active portfolio? To combine data, use mode=merge instead.`
+    : `Import ${formatName} from ${parsed.host}? You will review the changes before anything is saved.`;
+  const confirmed = await appConfirm(message, 'Import from Link');
+  if (!confirmed) return;
+
+  let response;
+  try {
+    response = await fetch(parsed.href, { credentials: 'omit' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (err) {
+    appAlert(`Could not download ${parsed.href}: ${err.message}. The server must allow cross-origin requests.`, 'Import from Link');
+    return;
+  }
+  const blob = await response.blob();
+  const format = _hashImportFormat(parsed.href, params.get('format'), response.headers.get('content-type') || '');
+  const name = parsed.pathname.split('/').pop() || `import.${format}`;
+  const file = new File([blob], name, { type: format === 'csv' ? 'text/csv' : 'application/json' });
+  debugLog(`[hash] import ${format} ${parsed.href} (${replace ? 'replace' : 'merge'})`, 'info');
+  if (format === 'csv') importCsv(file, replace);
+  else importJson(file, replace);
+};
+
+/**
+ * #/spot/refresh — force a spot sync through the provider chain
+ * (fetchLatestPrices for keyed providers, the hourly feed for StakTrakr).
+ * @returns {Promise<void>}
+ */
+const _hashSpotRefresh = async () => {
+  const { updatedCount, anySucceeded } = await syncProviderChain({ showProgress: true, forceSync: true });
+  if (typeof updateProviderHistoryTables === 'function') updateProviderHistoryTables();
+  if (typeof showToast === 'function') {
+    showToast(updatedCount > 0
+      ? `Spot prices refreshed (${updatedCount} updated)`
+      : anySucceeded ? 'Spot prices are already current' : 'Spot refresh failed — check API settings');
+  }
+};
+
+/**
+ * #/item?id=<uuid> — open an item's view modal. Printed item labels encode
+ * this link, so a phone camera outside the app lands on the item.
+ * @param {URLSearchParams} params
+ */
+const _hashOpenItem = (params) => {
+  const id = params.get('id');
+  const index = id ? inventory.findIndex(item => item.uuid === id) : -1;
+  if (index < 0) {
+    appAlert('That item is not in this inventory — it may have been deleted or live on another device.', 'Link Command');
+    return;
+  }
+  showViewModal(index);
+};
+
+/**
+ * Command table: path → handler(params). Handlers may be async.
+ * @type {Object<string, function(URLSearchParams): (void|Promise<void>)>}
+ */
+const HASH_COMMANDS = {
+  'import': _hashImport,
+  'export/json': () => exportJson(),
+  'export/csv': () => exportCsv(),
+  'export/pdf': () => exportPdf(),
+  'spot/refresh': _hashSpotRefresh,
+  'item': _hashOpenItem,
+};
+
+/**
+ * Run the command in a hash, if any, and clear it from the address bar.
+ * @param {string} [hash=window.location.hash]
+ * @returns {Promise<boolean>} True when the hash was a command (known or not)
+ */
+const runHashCommand = async (hash = window.location.hash) => {
+  const command = parseHashCommand(hash);
+  if (!command) return false;
+
+  // Clear first so a reload, or a failing handler, never re-runs the command
+  try {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  } catch (e) {
+    window.location.hash = '';
+  }
+
+  const handler = HASH_COMMANDS[command.path];
+  if (!handler) {
+    appAlert(`Unknown command "${command.path}". Available: ${Object.keys(HASH_COMMANDS).join(', ')}.`, 'Link Command');
+    return true;
+  }
+  try {
+    await handler(command.params);
+  } catch (err) {
+    console.error(`[hash] ${command.path} failed:`, err);
+    appAlert(`Command "${command.path}" failed: ${err.message}`, 'Link Command');
+  }
+  return true;
+};
+
+// Expose globally
+window.parseHashCommand = parseHashCommand;
+window.runHashCommand = runHashCommand;
+window.HASH_COMMANDS = HASH_COMMANDS;
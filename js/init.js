@@ -116,6 +116,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     elements.dateField = safeGetElement("dateField");
     elements.purchaseLocation = safeGetElement("purchaseLocation", true);
     elements.storageLocation = safeGetElement("storageLocation");
+    elements.itemPortfolio = document.getElementById("itemPortfolio");
     elements.itemNotes = safeGetElement("itemNotes");
     elements.itemDate = safeGetElement("itemDate", true);
     elements.itemSpotPrice = safeGetElement("itemSpotPrice");
@@ -692,7 +693,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     if (typeof optimizeStoragePhase1C === 'function') { optimizeStoragePhase1C(); }
 
     // Phase 17: Hash deep-link handling (runs after event listeners are wired)
-    // Supports privacy.html redirect shim and any direct #privacy / #faq links.
+    // Supports privacy.html redirect shim, direct #privacy / #faq links and
+    // #/… automation commands (hash-commands.js) from bookmarklets/shortcuts.
     setTimeout(() => { // nosemgrep: javascript.lang.security.detect-eval-with-expression.detect-eval-with-expression
       const hash = window.location.hash;
       if (hash === '#privacy') {
@@ -701,8 +703,13 @@ document.addEventListener("DOMContentLoaded", async () => {
       } else if (hash === '#faq') {
         window.location.hash = '';
         if (typeof showSettingsModal === 'function') showSettingsModal('faq');
+      } else if (typeof runHashCommand === 'function') {
+        runHashCommand(hash);
       }
     }, 250);
+    if (typeof runHashCommand === 'function') {
+      window.addEventListener('hashchange', () => runHashCommand(window.location.hash));
+    }
 
   } catch (error) {
     console.error("=== CRITICAL INITIALIZATION ERROR ===");
@@ -0,0 +1,428 @@
+// INSURANCE / ESTATE INVENTORY REPORT
+// =============================================================================
+// A formal inventory for an insurance rider or estate file: a cover page with
+// totals by storage location, one page per item with its obverse/reverse
+// photos, certification and cert verification status, and purchase, melt and
+// retail values side by side, then a signature and date block.
+//
+// Exported as a printable PDF (jsPDF + autoTable, like the tax report) and as
+// a single self-contained HTML file — photos are embedded as JPEG data URLs so
+// the file still opens years later without StakTrakr or a network.
+//
+// Covers the items of the active portfolio that are still held (disposed
+// items are left out). Values use today's spot and the same retail hierarchy
+// as the summary cards (computeItemValuation in utils.js).
+// =============================================================================
+
+/** @constant {string} Label for items without a storage location */
+const INSURANCE_UNASSIGNED_LOCATION = 'Unassigned';
+
+/** @constant {number} Longest side, in pixels, of photos embedded in the report */
+const INSURANCE_IMAGE_MAX_PX = 600;
+
+/**
+ * Certification line for an item: authority, grade, cert number and whether
+ * the cert was verified with its grading authority.
+ * @param {Object} item - Inventory item
+ * @returns {{text: string, status: 'verified'|'unverified'|'none'}}
+ */
+const getInsuranceCertInfo = (item) => {
+  const parts = [item.gradingAuthority, item.grade].filter(Boolean).join(' ');
+  const cert = item.certNumber ? `Cert #${item.certNumber}` : '';
+  const text = [parts, cert].filter(Boolean).join(', ');
+  if (!item.certNumber) return { text, status: 'none' };
+  return { text, status: item.pcgsVerified ? 'verified' : 'unverified' };
+};
+
+/**
+ * Human-readable verification status.
+ * @param {'verified'|'unverified'|'none'} status
+ * @param {string} [authority] - Grading service that verified the cert
+ * @returns {string}
+ */
+const _insuranceCertStatusLabel = (status, authority) => {
+  if (status === 'verified') return authority ? `${authority} verified` : 'Verified';
+  if (status === 'unverified') return 'Not verified';
+  return '—';
+};
+
+/**
+ * Build the report data: held items grouped by storage location, with
+ * per-item and per-location totals.
+ *
+ * @param {Array<Object>} [items] - Items to include; defaults to the active portfolio
+ * @param {Object} [spot] - Spot per lowercase metal, e.g. { silver: 30 }; defaults to spotPrices
+ * @returns {{groups: Array<{location: string, rows: Object[], totals: Object}>, totals: Object, generatedAt: string}}
+ */
+const buildInsuranceReport = (items, spot) => {
+  const source = items || (typeof getPortfolioItems === 'function' ? getPortfolioItems() : inventory);
+  const currentSpot = spot || spotPrices;
+
+  const emptyTotals = () => ({ count: 0, units: 0, purchase: 0, melt: 0, retail: 0 });
+  const addTo = (totals, row) => {
+    totals.count++;
+    totals.units += row.qty;
+    totals.purchase += row.purchase;
+    totals.melt += row.melt;
+    totals.retail += row.retail;
+  };
+
+  const byLocation = new Map();
+  const totals = emptyTotals();
+  source.filter(item => !isDisposed(item)).forEach((item) => {
+    const valuation = computeItemValuation(item, currentSpot[String(item.metal || '').toLowerCase()] || 0);
+    const row = {
+      item,
+      uuid: item.uuid,
+      name: item.name || '',
+      metal: item.metal || '',
+      type: item.type || '',
+      year: item.year || '',
+      qty: valuation.qty,
+      weight: formatWeight(item.weight, item.weightUnit),
+      purity: parseFloat(item.purity) || 1,
+      cert: getInsuranceCertInfo(item),
+      serialNumber: item.serialNumber || '',
+      purchaseLocation: item.purchaseLocation || '',
+      date: item.date || '',
+      notes: item.notes || '',
+      purchase: valuation.purchaseTotal,
+      melt: valuation.meltValue,
+      retail: valuation.retailTotal,
+    };
+    const location = String(item.storageLocation || '').trim() || INSURANCE_UNASSIGNED_LOCATION;
+    if (!byLocation.has(location)) byLocation.set(location, { location, rows: [], totals: emptyTotals() });
+    const group = byLocation.get(location);
+    group.rows.push(row);
+    addTo(group.totals, row);
+    addTo(totals, row);
+  });
+
+  const groups = [...byLocation.values()]
+    .sort((a, b) => {
+      if (a.location === INSURANCE_UNASSIGNED_LOCATION) return 1;
+      if (b.location === INSURANCE_UNASSIGNED_LOCATION) return -1;
+      return a.location.localeCompare(b.location);
+    });
+  groups.forEach(g => g.rows.sort((a, b) => b.retail - a.retail));
+
+  return { groups, totals, generatedAt: new Date().toISOString() };
+};
+
+/**
+ * Re-encode an image URL as a JPEG data URL no larger than
+ * INSURANCE_IMAGE_MAX_PX, so PDF and HTML embed one compact format.
+ * @param {string} url
+ * @returns {Promise<string|null>}
+ */
+const _insuranceImageToDataUrl = (url) => new Promise((resolve) => {
+  const img = new Image();
+  img.onload = () => {
+    const scale = Math.min(1, INSURANCE_IMAGE_MAX_PX / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    resolve(canvas.toDataURL('image/jpeg', 0.85));
+  };
+  img.onerror = () => resolve(null);
+  img.src = url;
+});
+
+/**
+ * Load obverse/reverse photos for the report rows from the image cache.
+ * @param {Object} report - From buildInsuranceReport()
+ * @returns {Promise<Map<string, {obverse: string|null, reverse: string|null}>>} Keyed by item uuid
+ */
+const loadInsuranceReportImages = async (report) => {
+  const images = new Map();
+  if (!window.imageCache?.isAvailable()) return images;
+  for (const group of report.groups) {
+    for (const row of group.rows) {
+      if (!row.uuid) continue;
+      const entry = { obverse: null, reverse: null };
+      for (const side of ['obverse', 'reverse']) {
+        const url = await imageCache.resolveImageUrlForItem(row.item, side);
+        if (!url) continue;
+        entry[side] = await _insuranceImageToDataUrl(url);
+        URL.revokeObjectURL(url);
+      }
+      if (entry.obverse || entry.reverse) images.set(row.uuid, entry);
+    }
+  }
+  return images;
+};
+
+/**
+ * Name entered in the export card's "Prepared for" field.
+ * @returns {string}
+ */
+const _getInsuranceOwner = () => (document.getElementById('insuranceReportOwner')?.value || '').trim();
+
+/**
+ * File name stem: staktrakr_insurance_report_<portfolio>YYYYMMDD
+ * @returns {string}
+ */
+const _insuranceFileStem = () => `staktrakr_insurance_report_${typeof getPortfolioFileTag === 'function' ? getPortfolioFileTag() : ''}`
+  + new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+/**
+ * Detail rows for one item, shared by the PDF and HTML layouts.
+ * @param {Object} row
+ * @param {string} location
+ * @returns {Array<[string, string]>}
+ */
+const _insuranceDetailRows = (row, location) => [
+  ['Storage location', location],
+  ['Metal / type', [row.metal, row.type].filter(Boolean).join(' · ')],
+  ['Year', row.year || '—'],
+  ['Quantity', String(row.qty)],
+  ['Weight (each)', row.weight],
+  ['Purity', String(row.purity)],
+  ['Certification', row.cert.text || '—'],
+  ['Verification', _insuranceCertStatusLabel(row.cert.status, row.item.gradingAuthority)],
+  ['Serial number', row.serialNumber || '—'],
+  ['Purchased', [row.date, row.purchaseLocation].filter(Boolean).join(' · ') || '—'],
+  ['Purchase cost', formatCurrency(row.purchase)],
+  ['Melt value today', formatCurrency(row.melt)],
+  ['Retail value today', formatCurrency(row.retail)],
+  ['Notes', row.notes || '—'],
+];
+
+/**
+ * Export the report as a printable PDF.
+ * @returns {Promise<void>}
+ */
+const exportInsuranceReportPdf = async () => {
+  if (!window.jspdf || !window.jspdf.jsPDF) {
+    appAlert('PDF library (jsPDF) failed to load. Please check your internet connection and reload the page.');
+    return;
+  }
+  const report = buildInsuranceReport();
+  if (report.totals.count === 0) {
+    appAlert('No held items to include in the report.', 'Insurance Report');
+    return;
+  }
+  showToast('Building insurance report…');
+  const images = await loadInsuranceReportImages(report);
+  const owner = _getInsuranceOwner();
+  const generated = typeof formatTimestamp === 'function' ? formatTimestamp(new Date()) : new Date().toLocaleString();
+
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF({ format: 'letter' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const headStyles = { fillColor: [25, 118, 210] };
+
+  // Cover page
+  doc.setFontSize(22);
+  doc.text('Precious Metals Inventory', 14, 30);
+  doc.setFontSize(13);
+  doc.text('For insurance and estate records', 14, 38);
+  doc.setFontSize(10);
+  let y = 50;
+  if (owner) { doc.text(`Prepared for: ${owner}`, 14, y); y += 6; }
+  doc.text(`Prepared: ${generated}`, 14, y);
+  y += 6;
+  doc.text('Values use spot prices as of the preparation date.', 14, y);
+
+  doc.autoTable({
+    head: [['', 'Items', 'Units', 'Purchase Cost', 'Melt Value', 'Retail Value']],
+    body: [['All locations', String(report.totals.count), String(report.totals.units),
+      formatCurrency(report.totals.purchase), formatCurrency(report.totals.melt), formatCurrency(report.totals.retail)]],
+    startY: y + 8,
+    theme: 'grid',
+    styles: { fontSize: 9 },
+    headStyles,
+  });
+  doc.setFontSize(12);
+  doc.text('Totals by storage location', 14, doc.lastAutoTable.finalY + 10);
+  doc.autoTable({
+    head: [['Location', 'Items', 'Units', 'Purchase Cost', 'Melt Value', 'Retail Value']],
+    body: report.groups.map(g => [g.location, String(g.totals.count), String(g.totals.units),
+      formatCurrency(g.totals.purchase), formatCurrency(g.totals.melt), formatCurrency(g.totals.retail)]),
+    startY: doc.lastAutoTable.finalY + 13,
+    theme: 'striped',
+    styles: { fontSize: 9 },
+    headStyles,
+  });
+
+  // One page per item
+  const imgSize = 80;
+  report.groups.forEach((group) => {
+    group.rows.forEach((row, i) => {
+      doc.addPage();
+      doc.setFontSize(9);
+      doc.text(`${group.location} — item ${i + 1} of ${group.rows.length}`, 14, 14);
+      doc.setFontSize(15);
+      doc.text(doc.splitTextToSize(row.name, pageWidth - 28), 14, 24);
+
+      const photos = images.get(row.uuid);
+      let top = 34;
+      if (photos) {
+        ['obverse', 'reverse'].forEach((side, s) => {
+          if (!photos[side]) return;
+          const x = 14 + s * (imgSize + 8);
+          doc.addImage(photos[side], 'JPEG', x, top, imgSize, imgSize);
+          doc.setFontSize(8);
+          doc.text(side === 'obverse' ? 'Obverse' : 'Reverse', x, top + imgSize + 4);
+        });
+        top += imgSize + 10;
+      }
+      doc.autoTable({
+        body: _insuranceDetailRows(row, group.location),
+        startY: top,
+        theme: 'grid',
+        styles: { fontSize: 9 },
+        columnStyles: { 0: { fontStyle: 'bold', cellWidth: 45 } },
+      });
+    });
+  });
+
+  // Signature / date block
+  doc.addPage();
+  doc.setFontSize(14);
+  doc.text('Declaration', 14, 24);
+  doc.setFontSize(10);
+  doc.text(doc.splitTextToSize(
+    `I declare that the ${report.totals.count} item(s) listed in this inventory are in my possession `
+    + 'and that the descriptions and certification numbers are accurate to the best of my knowledge.',
+    pageWidth - 28), 14, 34);
+  [['Owner', 56], ['Witness / appraiser', 92]].forEach(([label, lineY]) => {
+    doc.line(14, lineY, 120, lineY);
+    doc.line(134, lineY, pageWidth - 14, lineY);
+    doc.setFontSize(9);
+    doc.text(`${label} signature`, 14, lineY + 5);
+    doc.text('Date', 134, lineY + 5);
+    doc.line(14, lineY + 20, 120, lineY + 20);
+    doc.text(`${label} printed name`, 14, lineY + 25);
+  });
+
+  const pages = doc.getNumberOfPages();
+  for (let p = 1; p <= pages; p++) {
+    doc.setPage(p);
+    doc.setFontSize(8);
+    doc.text(`StakTrakr inventory report · ${generated} · Page ${p} of ${pages}`, 14, doc.internal.pageSize.getHeight() - 8);
+  }
+
+  doc.save(`${_insuranceFileStem()}.pdf`);
+};
+
+/**
+ * Render the report as a self-contained HTML document.
+ * @param {Object} report - From buildInsuranceReport()
+ * @param {Map} images - From loadInsuranceReportImages()
+ * @param {Object} [options]
+ * @param {string} [options.owner] - "Prepared for" name
+ * @returns {string}
+ */
+const generateInsuranceReportHtml = (report, images, options = {}) => {
+  const generated = typeof formatTimestamp === 'function' ? formatTimestamp(new Date(report.generatedAt)) : report.generatedAt;
+  const money = (v) => escapeHtml(formatCurrency(v));
+  const totalsRow = (label, t) => `<tr><th>${escapeHtml(label)}</th><td>${t.count}</td><td>${t.units}</td>`
+    + `<td>${money(t.purchase)}</td><td>${money(t.melt)}</td><td>${money(t.retail)}</td></tr>`;
+
+  const itemSections = report.groups.map(group => `
+  <h2 class="location">${escapeHtml(group.location)}</h2>
+  ${group.rows.map((row) => {
+    const photos = images.get(row.uuid) || {};
+    const figures = ['obverse', 'reverse'].filter(side => photos[side]).map(side => `
+      <figure><img src="${photos[side]}" alt="${escapeHtml(row.name)} ${side}"><figcaption>${side === 'obverse' ? 'Obverse' : 'Reverse'}</figcaption></figure>`).join('');
+    return `
+  <section class="item">
+    <h3>${escapeHtml(row.name)}</h3>
+    ${figures ? `<div class="photos">${figures}</div>` : ''}
+    <table class="details">
+      ${_insuranceDetailRows(row, group.location).map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td${k === 'Verification' ? ` class="cert-${row.cert.status}"` : ''}>${escapeHtml(v)}</td></tr>`).join('')}
+    </table>
+  </section>`;
+  }).join('')}`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Precious Metals Inventory — ${escapeHtml(generated)}</title>
+  <style>
+    body { font-family: Georgia, 'Times New Roman', serif; color: #111; margin: 2rem auto; max-width: 52rem; padding: 0 1rem; }
+    h1 { font-size: 2rem; margin-bottom: 0.25rem; }
+    h2.location { border-bottom: 2px solid #1976d2; padding-bottom: 0.25rem; margin-top: 2.5rem; }
+    table { width: 100%; border-collapse: collapse; margin: 0.75rem 0; font-size: 0.9rem; }
+    th, td { border: 1px solid #ccc; padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }
+    .totals td { text-align: right; font-variant-numeric: tabular-nums; }
+    .details th { width: 12rem; background: #f5f5f5; }
+    .photos { display: flex; gap: 1rem; }
+    .photos figure { margin: 0; }
+    .photos img { width: 14rem; height: 14rem; object-fit: contain; border: 1px solid #ddd; }
+    figcaption { font-size: 0.8rem; color: #555; }
+    .cert-verified { color: #1b5e20; font-weight: bold; }
+    .cert-unverified { color: #b26a00; }
+    .item { margin-top: 1.5rem; }
+    .signatures { display: grid; grid-template-columns: 2fr 1fr; gap: 2.5rem 2rem; margin-top: 2.5rem; }
+    .signatures div { border-top: 1px solid #111; padding-top: 0.25rem; font-size: 0.85rem; }
+    .meta { color: #444; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .cover, .declaration { break-after: page; }
+      .item { break-before: page; }
+      .declaration { break-before: page; }
+    }
+  </style>
+</head>
+<body>
+  <section class="cover">
+    <h1>Precious Metals Inventory</h1>
+    <p class="meta">For insurance and estate records</p>
+    ${options.owner ? `<p><strong>Prepared for:</strong> ${escapeHtml(options.owner)}</p>` : ''}
+    <p><strong>Prepared:</strong> ${escapeHtml(generated)}<br>Values use spot prices as of the preparation date.</p>
+    <table class="totals">
+      <thead><tr><th></th><th>Items</th><th>Units</th><th>Purchase Cost</th><th>Melt Value</th><th>Retail Value</th></tr></thead>
+      <tbody>${totalsRow('All locations', report.totals)}</tbody>
+    </table>
+    <h2>Totals by storage location</h2>
+    <table class="totals">
+      <thead><tr><th>Location</th><th>Items</th><th>Units</th><th>Purchase Cost</th><th>Melt Value</th><th>Retail Value</th></tr></thead>
+      <tbody>${report.groups.map(g => totalsRow(g.location, g.totals)).join('')}</tbody>
+    </table>
+  </section>
+  ${itemSections}
+  <section class="declaration">
+    <h2>Declaration</h2>
+    <p>I declare that the ${report.totals.count} item(s) listed in this inventory are in my possession and that the descriptions and certification numbers are accurate to the best of my knowledge.</p>
+    <div class="signatures">
+      <div>Owner signature</div><div>Date</div>
+      <div>Owner printed name</div><div></div>
+      <div>Witness / appraiser signature</div><div>Date</div>
+      <div>Witness / appraiser printed name</div><div></div>
+    </div>
+  </section>
+</body>
+</html>`;
+};
+
+/**
+ * Export the report as a self-contained HTML file.
+ * @returns {Promise<void>}
+ */
+const exportInsuranceReportHtml = async () => {
+  const report = buildInsuranceReport();
+  if (report.totals.count === 0) {
+    appAlert('No held items to include in the report.', 'Insurance Report');
+    return;
+  }
+  showToast('Building insurance report…');
+  const images = await loadInsuranceReportImages(report);
+  const html = generateInsuranceReportHtml(report, images, { owner: _getInsuranceOwner() });
+  downloadFile(`${_insuranceFileStem()}.html`, html, 'text/html');
+};
+
+// Expose globally
+window.getInsuranceCertInfo = getInsuranceCertInfo;
+window.buildInsuranceReport = buildInsuranceReport;
+window.loadInsuranceReportImages = loadInsuranceReportImages;
+window.generateInsuranceReportHtml = generateInsuranceReportHtml;
+window.exportInsuranceReportPdf = exportInsuranceReportPdf;
+window.exportInsuranceReportHtml = exportInsuranceReportHtml;
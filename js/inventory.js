@@ -855,7 +855,8 @@ const loadInventory = async () => {
         premiumPerOz,
         totalPremium,
         composition: item.composition || item.metal || "",
-        purity: parseFloat(item.purity) || 1.0
+        purity: parseFloat(item.purity) || 1.0,
+        portfolio: item.portfolio || DEFAULT_PORTFOLIO_ID
       };
     } else {
       // Ensure all items have required properties
@@ -873,7 +874,8 @@ const loadInventory = async () => {
         pcgsNumber: item.pcgsNumber || '',
         pcgsVerified: item.pcgsVerified || false,
         composition: item.composition || item.metal || "",
-        purity: parseFloat(item.purity) || 1.0
+        purity: parseFloat(item.purity) || 1.0,
+        portfolio: item.portfolio || DEFAULT_PORTFOLIO_ID
       };
     }
     return sanitizeImportedItem(normalized);
@@ -1852,13 +1854,20 @@ const updateSummary = () => {
       totalGainLoss: 0,
       disposedItems: 0,
       realizedGainLoss: 0,
+      realizedShortTerm: 0,
+      realizedLongTerm: 0,
       totalDisposedCost: 0
     };
     metalNameMap[metalConfig.name] = metalConfig.key;
   });
 
+  // Realized row covers either all dispositions or a single tax year
+  const realizedYear = getRealizedSummaryYear();
+
   // Single pass optimization: O(N) instead of O(N*M)
-  for (const item of inventory) {
+  // Totals cover the active portfolio, or every portfolio in the combined view
+  const summaryItems = typeof getPortfolioItems === 'function' ? getPortfolioItems() : inventory;
+  for (const item of summaryItems) {
     const metalKey = metalNameMap[item.metal];
     // Skip items with unknown metal types
     if (metalKey && metalTotals[metalKey]) {
@@ -1868,8 +1877,13 @@ const updateSummary = () => {
       if (isDisposed(item)) {
         const qty = Number(item.qty) || 0;
         totals.disposedItems += qty;
-        totals.realizedGainLoss += (item.disposition?.realizedGainLoss || 0);
-        totals.totalDisposedCost += (parseFloat(item.price) || 0) * (Number(item.qty) || 0);
+        if (realizedYear === 'all' || getDispositionYear(item) === realizedYear) {
+          const rgl = item.disposition?.realizedGainLoss || 0;
+          totals.realizedGainLoss += rgl;
+          if (getDispositionHoldingPeriod(item) === 'long') totals.realizedLongTerm += rgl;
+          else totals.realizedShortTerm += rgl;
+          totals.totalDisposedCost += getDispositionCostBasis(item);
+        }
         continue;
       }
 
@@ -1941,6 +1955,7 @@ const updateSummary = () => {
       const rglPct = totals.totalDisposedCost > 0 ? (rgl / totals.totalDisposedCost) * 100 : 0;
       // nosemgrep: javascript.browser.security.insecure-innerhtml.insecure-innerhtml
       realizedGlEl.innerHTML = rgl === 0 ? '$0.00' : formatLossProfit(rgl, rglPct);
+      _applyRealizedLabel(realizedGlEl, realizedYear, totals);
     }
   });
 
@@ -1954,6 +1969,8 @@ const updateSummary = () => {
     totalGainLoss: 0,
     disposedItems: 0,
     realizedGainLoss: 0,
+    realizedShortTerm: 0,
+    realizedLongTerm: 0,
     totalDisposedCost: 0
   };
 
@@ -1966,6 +1983,8 @@ const updateSummary = () => {
     allTotals.totalGainLoss += totals.totalGainLoss;
     allTotals.disposedItems += totals.disposedItems;
     allTotals.realizedGainLoss += totals.realizedGainLoss;
+    allTotals.realizedShortTerm += totals.realizedShortTerm;
+    allTotals.realizedLongTerm += totals.realizedLongTerm;
     allTotals.totalDisposedCost += totals.totalDisposedCost;
   });
 
@@ -2001,13 +2020,43 @@ const updateSummary = () => {
     const rglPct = allTotals.totalDisposedCost > 0 ? (rgl / allTotals.totalDisposedCost) * 100 : 0;
     // nosemgrep: javascript.browser.security.insecure-innerhtml.insecure-innerhtml
     allRealizedGl.innerHTML = rgl === 0 ? '$0.00' : formatLossProfit(rgl, rglPct);
+    _applyRealizedLabel(allRealizedGl, realizedYear, allTotals);
   }
 
+  // Header switcher + per-portfolio breakdown on the "All" card (combined view only).
+  // Refreshed here so restores and cloud pulls that change the portfolio list show up.
+  if (typeof renderPortfolioSwitcher === 'function') {
+    renderPortfolioSwitcher();
+    renderPortfolioBreakdown();
+  }
+
+  // Current Au/Ag, Au/Pt, Pt/Pd under the spot cards (spot changes always end in updateSummary)
+  if (typeof renderRatioStrip === 'function') renderRatioStrip();
+
+  // Live counts and totals in the smart collections sidebar (when open)
+  if (typeof renderSmartCollectionsSidebar === 'function') renderSmartCollectionsSidebar();
+
+  // Goal progress bars and allocation drift on the totals cards (live spot)
+  if (typeof renderGoalProgress === 'function') renderGoalProgress();
+
   // Respect show/hide realized setting (STAK-72)
   const showRealized = loadDataSync(SHOW_REALIZED_KEY, 'true') !== 'false';
   applyRealizedVisibility(showRealized);
 };
 
+/**
+ * Label the Realized row with the selected tax year and attach a
+ * short-term / long-term breakdown tooltip.
+ * @param {HTMLElement} valueEl - The realizedGainLoss{Metal} value element
+ * @param {string} year - "all" or "YYYY"
+ * @param {Object} totals - Accumulator with realizedShortTerm / realizedLongTerm
+ */
+const _applyRealizedLabel = (valueEl, year, totals) => {
+  const label = valueEl.parentElement && valueEl.parentElement.querySelector('.total-label');
+  if (label) label.textContent = year === 'all' ? 'Realized:' : `Realized ${year}:`;
+  valueEl.title = `Short-term: ${formatCurrency(totals.realizedShortTerm || 0)} · Long-term: ${formatCurrency(totals.realizedLongTerm || 0)}`;
+};
+
 /**
  * Opens the combined Remove Item modal (STAK-72).
  * Handles both delete and dispose flows via checkbox toggle.
@@ -2043,6 +2092,8 @@ const openRemoveItemModal = (idx, preDispose = false) => {
   if (notesInput) notesInput.value = '';
   const amountGroup = document.getElementById('dispositionAmountGroup');
   if (amountGroup) amountGroup.style.display = '';
+  // Quantity, lot method and specific-lot picker (tax-lots.js)
+  if (typeof setupDispositionLotFields === 'function') setupDispositionLotFields(idx);
 
   // Set checkbox state and toggle fields/buttons
   if (checkbox) checkbox.checked = preDispose;
@@ -2097,22 +2148,27 @@ const confirmRemoveItem = () => {
       return;
     }
 
-    const purchaseTotal = (parseFloat(item.price) || 0) * (Number(item.qty) || 1);
-    const realizedGainLoss = amount - purchaseTotal;
+    // Match the disposed quantity against lots (partial rows are split)
+    const plan = readDispositionLotPlan(idx);
+    if (plan.error) {
+      showToast(plan.error);
+      return;
+    }
 
-    const disposition = {
+    const disposed = applyLotDisposition(plan.allocations, {
       type, date, amount,
       currency: (typeof displayCurrency !== 'undefined' ? displayCurrency : 'USD'),
       recipient, notes,
-      realizedGainLoss,
-      disposedAt: new Date().toISOString()
-    };
+      lotMethod: plan.method
+    });
 
-    inventory[idx].disposition = disposition;
     saveInventory();
     closeModalById('removeItemModal');
-    logChange(item.name, 'Disposed', '', JSON.stringify(disposition), idx);
-    showToast(`${item.name} marked as ${DISPOSITION_TYPES[type].label.toLowerCase()}.`);
+    disposed.forEach(({ idx: rowIdx, item: row }) => {
+      logChange(row.name, 'Disposed', '', JSON.stringify(row.disposition), rowIdx);
+    });
+    const qtyLabel = plan.totalQty > 1 ? `${plan.totalQty} × ` : '';
+    showToast(`${qtyLabel}${item.name} marked as ${DISPOSITION_TYPES[type].label.toLowerCase()}.`);
   } else {
     // Plain delete flow
     inventory.splice(idx, 1);
@@ -2152,9 +2208,10 @@ const undoDisposition = async (idx) => {
     : false;
   if (confirmed) {
     const oldDisposition = JSON.stringify(item.disposition);
-    inventory[idx].disposition = null;
+    // Split rows merge back into their source lot when it is still active
+    const { targetIdx } = revertLotDisposition(idx);
     saveInventory();
-    logChange(item.name, 'Disposition Undone', oldDisposition, '', idx);
+    logChange(item.name, 'Disposition Undone', oldDisposition, '', targetIdx);
     showToast(`${item.name} restored to active inventory.`);
     renderTable();
     renderActiveFilters();
@@ -2342,6 +2399,7 @@ const editItem = (idx, logIdx = null) => {
   if (elements.itemMarketValue) elements.itemMarketValue.value = displayMv;
   elements.purchaseLocation.value = item.purchaseLocation || '';
   elements.storageLocation.value = item.storageLocation && item.storageLocation !== 'Unknown' ? item.storageLocation : '';
+  if (typeof populatePortfolioSelect === 'function') populatePortfolioSelect(elements.itemPortfolio, getItemPortfolioId(item));
   if (elements.itemSerialNumber) elements.itemSerialNumber.value = item.serialNumber || '';
   if (elements.itemNotes) elements.itemNotes.value = item.notes || '';
   elements.itemDate.value = item.date || '';
@@ -2657,6 +2715,7 @@ const duplicateItem = (idx) => {
   if (elements.itemMarketValue) elements.itemMarketValue.value = dupDisplayMv;
   elements.purchaseLocation.value = item.purchaseLocation || '';
   elements.storageLocation.value = item.storageLocation && item.storageLocation !== 'Unknown' ? item.storageLocation : '';
+  if (typeof populatePortfolioSelect === 'function') populatePortfolioSelect(elements.itemPortfolio, getItemPortfolioId(item));
   if (elements.itemSerialNumber) elements.itemSerialNumber.value = item.serialNumber || '';
   if (elements.itemNotes) elements.itemNotes.value = item.notes || '';
   elements.itemDate.value = item.date || todayStr();
@@ -2773,16 +2832,17 @@ const _postImportCleanup = (newItems, pendingTagsByUuid) => {
 
 /**
  * Shared import review helper — DiffEngine + DiffModal pattern.
- * Used by importCsv, importJson, and importNumistaCsv to deduplicate
- * the diff-review workflow.
+ * Used by importCsv, importJson, importNumistaCsv, the CSV mapping wizard and
+ * the order email parser to deduplicate the diff-review workflow.
  *
  * @param {Array} parsedItems - Parsed items to import
- * @param {object} sourceInfo - { type: 'csv'|'json', label: string }
- * @param {object} [options] - Optional: { settingsDiff, pendingTagsByUuid }
+ * @param {object} sourceInfo - { type: 'csv'|'json'|'email', label: string }
+ * @param {object} [options] - Optional: { settingsDiff, pendingTagsByUuid, additiveOnly }
  * @param {function} onComplete - Called after apply with summary { added, modified, deleted }
  */
 const showImportDiffReview = (parsedItems, sourceInfo, options, onComplete) => {
   options = options || {};
+  if (typeof assignImportPortfolio === 'function') assignImportPortfolio(parsedItems);
 
   // Guard: if DiffEngine or DiffModal unavailable, fall back to concat-all
   if (typeof DiffEngine === 'undefined' || typeof DiffModal === 'undefined') {
@@ -2811,7 +2871,38 @@ const showImportDiffReview = (parsedItems, sourceInfo, options, onComplete) => {
     }
   }
 
-  const diffResult = DiffEngine.compareItems(inventory, parsedItems);
+  // Imports are scoped to the active portfolio: only its items are compared,
+  // so holdings in other portfolios never show up as deletions
+  const scopedInventory = typeof getPortfolioItems === 'function' ? getPortfolioItems() : inventory;
+
+  // Items that already live in another portfolio would come back as adds and
+  // duplicate their UUID — leave them where they are
+  if (scopedInventory !== inventory) {
+    const scopedSet = new Set(scopedInventory);
+    const outsideUuids = new Set();
+    const outsideSerials = new Set();
+    for (const item of inventory) {
+      if (scopedSet.has(item)) continue;
+      if (item.uuid) outsideUuids.add(item.uuid);
+      if (item.serial) outsideSerials.add(String(item.serial));
+    }
+    const keep = parsedItems.filter(item => !(
+      (item.uuid && outsideUuids.has(item.uuid)) || (!item.uuid && item.serial && outsideSerials.has(String(item.serial)))
+    ));
+    const outsideCount = parsedItems.length - keep.length;
+    if (outsideCount > 0) {
+      debugLog('showImportDiffReview', outsideCount, 'item(s) already in other portfolios skipped');
+      if (typeof showToast === 'function') {
+        showToast(`${outsideCount} item(s) already in another portfolio were skipped. Switch to All portfolios to update them.`);
+      }
+      parsedItems = keep;
+    }
+  }
+
+  const diffResult = DiffEngine.compareItems(scopedInventory, parsedItems);
+  // Partial sources (order emails, dealer invoices) only add or update —
+  // items missing from them are not deletions
+  if (options.additiveOnly) diffResult.deleted = [];
 
   // Build settings diff if provided via options (JSON imports only)
   const settingsDiff = options.settingsDiff || null;
@@ -2825,7 +2916,7 @@ const showImportDiffReview = (parsedItems, sourceInfo, options, onComplete) => {
 
   // Compute count header values for DiffModal (STAK-374)
   const _backupCount = parsedItems.length + (options.validationResult ? (options.validationResult.skippedCount || 0) : 0);
-  const _localCount = (typeof inventory !== 'undefined' && Array.isArray(inventory)) ? inventory.length : 0;
+  const _localCount = Array.isArray(scopedInventory) ? scopedInventory.length : 0;
 
   // Cross-domain origin warning (STAK-374): warn when importing from a different domain
   const _parsedOrigin = options.exportMeta && options.exportMeta.exportOrigin ? options.exportMeta.exportOrigin : null;
@@ -2968,6 +3059,8 @@ const importCsv = (file, override = false) => {
           if (price < 0) price = 0;
           const purchaseLocation = row['Purchase Location'] || '';
           const storageLocation = row['Storage Location'] || '';
+          // Portfolio column holds the display name; unknown names fall back to the active portfolio
+          const portfolio = typeof getPortfolioIdByName === 'function' ? getPortfolioIdByName(row['Portfolio']) : null;
           const notes = row['Notes'] || '';
           const year = row['Year'] || row['year'] || row['issuedYear'] || '';
           const grade = row['Grade'] || row['grade'] || '';
@@ -3037,7 +3130,8 @@ const importCsv = (file, override = false) => {
             serial,
             uuid,
             obverseImageUrl,
-            reverseImageUrl
+            reverseImageUrl,
+            ...(portfolio ? { portfolio } : {})
           });
 
           imported.push(item);
@@ -3091,7 +3185,7 @@ const importCsv = (file, override = false) => {
 
         // --- Override path: skip DiffEngine, import all items directly ---
         if (override) {
-          inventory = imported;
+          inventory = typeof replaceActivePortfolioItems === 'function' ? replaceActivePortfolioItems(imported) : imported;
 
           // Synchronize all items with catalog manager
           if (typeof catalogManager !== 'undefined' && catalogManager.syncInventory) {
@@ -3352,7 +3446,7 @@ const importNumistaCsv = (file, override = false) => {
 
         // --- Override path: skip DiffEngine, import all items directly ---
         if (override) {
-          inventory = imported;
+          inventory = typeof replaceActivePortfolioItems === 'function' ? replaceActivePortfolioItems(imported) : imported;
 
           for (const item of imported) {
             if (typeof registerName === 'function') registerName(item.name);
@@ -3491,17 +3585,19 @@ const exportCsv = () => {
     appAlert('CSV library (PapaParse) failed to load. Please check your internet connection and reload the page.');
     return;
   }
-  debugLog('exportCsv start', inventory.length, 'items');
+  const exportItems = typeof getPortfolioItems === 'function' ? getPortfolioItems() : inventory;
+  debugLog('exportCsv start', exportItems.length, 'items');
   const timestamp = new Date().toISOString().slice(0,10).replace(/-/g,'');
   const headers = [
     "Date","Metal","Type","Name","Year","Qty","Weight(oz)","Weight Unit","Purity",
     "Purchase Price","Melt Value","Retail Price","Gain/Loss",
     "Purchase Location","Storage Location","N#","PCGS #","Grade","Grading Authority","Cert #","Serial Number","Notes","Tags","UUID",
     "Obverse Image URL","Reverse Image URL",
-    "Disposition Type","Disposition Date","Disposition Amount","Realized Gain/Loss"
+    "Disposition Type","Disposition Date","Disposition Amount","Realized Gain/Loss",
+    "Portfolio"
   ];
 
-  const sortedInventory = sortInventoryByDateNewestFirst();
+  const sortedInventory = sortInventoryByDateNewestFirst(exportItems);
   const rows = [];
 
   for (const i of sortedInventory) {
@@ -3543,7 +3639,8 @@ const exportCsv = () => {
       i.disposition ? (DISPOSITION_TYPES[i.disposition.type]?.label || i.disposition.type) : '',
       i.disposition?.date || '',
       i.disposition ? (i.disposition.amount || 0) : '',
-      i.disposition ? (i.disposition.realizedGainLoss || 0) : ''
+      i.disposition ? (i.disposition.realizedGainLoss || 0) : '',
+      typeof getPortfolioName === 'function' ? getPortfolioName(getItemPortfolioId(i)) : ''
     ]);
   }
 
@@ -3555,7 +3652,7 @@ const exportCsv = () => {
 
   const a = document.createElement('a');
   a.href = url;
-  a.download = `metal_inventory_${timestamp}.csv`;
+  a.download = `metal_inventory_${getPortfolioFileTag()}${timestamp}.csv`;
   document.body.appendChild(a);
   a.click();
   a.remove();
@@ -3670,6 +3767,7 @@ const importJson = (file, override = false) => {
         const reverseImageUrl = raw.reverseImageUrl || raw['Reverse Image URL'] || '';
         const numistaData = raw.numistaData || undefined;
         const fieldMeta = raw.fieldMeta || undefined;
+        const portfolio = typeof raw.portfolio === 'string' ? raw.portfolio : '';
 
         const processedItem = sanitizeImportedItem({
           metal,
@@ -3702,7 +3800,8 @@ const importJson = (file, override = false) => {
           obverseImageUrl,
           reverseImageUrl,
           ...(numistaData ? { numistaData } : {}),
-          ...(fieldMeta ? { fieldMeta } : {})
+          ...(fieldMeta ? { fieldMeta } : {}),
+          ...(portfolio ? { portfolio } : {})
         });
 
         const validation = validateInventoryItem(processedItem);
@@ -3789,7 +3888,7 @@ const importJson = (file, override = false) => {
           if (typeof registerName === 'function') registerName(item.name);
         }
 
-        inventory = imported;
+        inventory = typeof replaceActivePortfolioItems === 'function' ? replaceActivePortfolioItems(imported) : imported;
         if (typeof catalogManager !== 'undefined' && catalogManager.syncInventory) {
           inventory = catalogManager.syncInventory(inventory);
         }
@@ -3857,10 +3956,11 @@ const importJson = (file, override = false) => {
  * Exports current inventory to JSON format
  */
 const exportJson = () => {
-  debugLog('exportJson start', inventory.length, 'items');
+  const exportItems = typeof getPortfolioItems === 'function' ? getPortfolioItems() : inventory;
+  debugLog('exportJson start', exportItems.length, 'items');
   const timestamp = new Date().toISOString().slice(0,10).replace(/-/g,'');
 
-  const sortedInventory = sortInventoryByDateNewestFirst();
+  const sortedInventory = sortInventoryByDateNewestFirst(exportItems);
 
   const exportData = sortedInventory.map(item => ({
     date: item.date,
@@ -3893,7 +3993,8 @@ const exportJson = () => {
     spotPriceAtPurchase: item.spotPriceAtPurchase,
     composition: item.composition,
     numistaData: item.numistaData || null,
-    fieldMeta: item.fieldMeta || null
+    fieldMeta: item.fieldMeta || null,
+    portfolio: typeof getItemPortfolioId === 'function' ? getItemPortfolioId(item) : (item.portfolio || '')
   }));
 
   // Wrap in metadata envelope so importJson can detect export origin (STAK-374)
@@ -3904,7 +4005,8 @@ const exportJson = () => {
       exportOrigin: _exportOrigin,
       exportDate: new Date().toISOString(),
       version: (typeof APP_VERSION !== 'undefined') ? APP_VERSION : '',
-      itemCount: exportData.length
+      itemCount: exportData.length,
+      portfolio: typeof getActivePortfolioId === 'function' ? getActivePortfolioId() : 'all'
     }
   };
 
@@ -3914,7 +4016,7 @@ const exportJson = () => {
 
   const a = document.createElement('a');
   a.href = url;
-  a.download = `metal_inventory_${timestamp}.json`;
+  a.download = `metal_inventory_${getPortfolioFileTag()}${timestamp}.json`;
   document.body.appendChild(a);
   a.click();
   a.remove();
@@ -3932,12 +4034,15 @@ const exportPdf = () => {
   const { jsPDF } = window.jspdf;
   const doc = new jsPDF('landscape');
 
-  // Sort inventory by date (newest first) for export
-  const sortedInventory = sortInventoryByDateNewestFirst();
+  // Sort inventory by date (newest first) for export, scoped to the active portfolio
+  const activePortfolio = typeof getActivePortfolioId === 'function' ? getActivePortfolioId() : 'all';
+  const sortedInventory = sortInventoryByDateNewestFirst(
+    typeof getPortfolioItems === 'function' ? getPortfolioItems(activePortfolio) : inventory
+  );
 
   // Add title
   doc.setFontSize(16);
-  doc.text("StakTrakr", 14, 15);
+  doc.text(activePortfolio === 'all' ? "StakTrakr" : `StakTrakr — ${getPortfolioName(activePortfolio)}`, 14, 15);
 
   // Add date
   doc.setFontSize(10);
@@ -4037,7 +4142,7 @@ const exportPdf = () => {
   doc.text(`Gain/Loss: ${txt(elements.totals.palladium.lossProfit)}`, 25, finalY + 96);
 
   // Save PDF
-  doc.save(`metal_inventory_${new Date().toISOString().slice(0,10).replace(/-/g,'')}.pdf`);
+  doc.save(`metal_inventory_${getPortfolioFileTag()}${new Date().toISOString().slice(0,10).replace(/-/g,'')}.pdf`);
 };
 /**
  * Show or hide the "Realized:" row on all summary cards (STAK-72).
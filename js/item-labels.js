@@ -0,0 +1,184 @@
+// ITEM LABELS
+// =============================================================================
+// Printable label sheets for physical items. Each label carries a QR code
+// linking back to the item (#/item?id=<uuid>, see item-scanner.js), the item
+// name shortened to fit, and its serial. Layouts follow common Avery US Letter
+// sheets; a start position lets a partly used sheet go back through the
+// printer.
+// =============================================================================
+
+/**
+ * Label sheet layouts, in inches on US Letter (8.5 × 11).
+ * @constant {Object<string, {label: string, cols: number, rows: number, width: number, height: number, top: number, left: number, pitchX: number, pitchY: number}>}
+ */
+const ITEM_LABEL_LAYOUTS = {
+  5160: { label: 'Avery 5160 — 30 per sheet (2⅝″ × 1″)', cols: 3, rows: 10, width: 2.625, height: 1, top: 0.5, left: 0.1875, pitchX: 2.75, pitchY: 1 },
+  5167: { label: 'Avery 5167 — 80 per sheet (1¾″ × ½″)', cols: 4, rows: 20, width: 1.75, height: 0.5, top: 0.5, left: 0.3, pitchX: 2.05, pitchY: 0.5 },
+  5163: { label: 'Avery 5163 — 10 per sheet (4″ × 2″)', cols: 2, rows: 5, width: 4, height: 2, top: 0.5, left: 0.15625, pitchX: 4.1875, pitchY: 2 },
+};
+
+/** @constant {string} Layout used until the user picks another */
+const ITEM_LABEL_DEFAULT_LAYOUT = '5160';
+
+/** @type {Object[]} Items queued in the labels modal */
+let itemLabelQueue = [];
+
+/**
+ * Item name shortened for a label.
+ * @param {string} name
+ * @param {number} max - Character budget
+ * @returns {string}
+ */
+const shortenLabelName = (name, max) => {
+  const text = String(name || '').replace(/\s+/g, ' ').trim();
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > max / 2 ? cut.slice(0, space) : cut) + '…';
+};
+
+/**
+ * Lay labels out on sheets.
+ * @param {Object[]} items - Inventory items, one label each
+ * @param {string} layoutId - Key of ITEM_LABEL_LAYOUTS
+ * @param {number} [startAt=1] - First free position on the first sheet (1-based, row by row)
+ * @returns {Array<Array<Object|null>>} Sheets of label slots; null slots stay blank
+ */
+const layoutItemLabels = (items, layoutId, startAt = 1) => {
+  const layout = ITEM_LABEL_LAYOUTS[layoutId] || ITEM_LABEL_LAYOUTS[ITEM_LABEL_DEFAULT_LAYOUT];
+  const perSheet = layout.cols * layout.rows;
+  const skip = Math.min(Math.max(1, Math.floor(startAt) || 1), perSheet) - 1;
+  const slots = [...new Array(skip).fill(null), ...items];
+  const sheets = [];
+  for (let i = 0; i < slots.length; i += perSheet) sheets.push(slots.slice(i, i + perSheet));
+  return sheets;
+};
+
+/**
+ * Printable HTML page of label sheets.
+ * @param {Object[]} items - Inventory items
+ * @param {Object} [opts]
+ * @param {string} [opts.layout] - Key of ITEM_LABEL_LAYOUTS
+ * @param {number} [opts.startAt=1] - First free position on the first sheet
+ * @returns {string}
+ */
+const generateItemLabelSheetHtml = (items, { layout: layoutId = ITEM_LABEL_DEFAULT_LAYOUT, startAt = 1 } = {}) => {
+  const layout = ITEM_LABEL_LAYOUTS[layoutId] || ITEM_LABEL_LAYOUTS[ITEM_LABEL_DEFAULT_LAYOUT];
+  const qrSize = Math.min(layout.height - 0.08, layout.width / 2);
+  const fontSize = Math.max(5, Math.min(10, layout.height * 9));
+  const nameChars = Math.floor(((layout.width - qrSize - 0.12) * 72 / (fontSize * 0.55)) * Math.max(1, Math.floor(layout.height / 0.5)));
+
+  const sheets = layoutItemLabels(items, layoutId, startAt).map((slots) => {
+    const labels = slots.map((item, i) => {
+      if (!item) return '';
+      const col = i % layout.cols;
+      const row = Math.floor(i / layout.cols);
+      return `<div class="label" style="left:${layout.left + col * layout.pitchX}in;top:${layout.top + row * layout.pitchY}in">`
+        + `<div class="qr">${qrCodeToSvg(getItemLabelUrl(item), { ecc: 'M' })}</div>`
+        + `<div class="text"><div class="name">${escapeHtml(shortenLabelName(item.name, nameChars))}</div>`
+        + `<div class="serial">#${escapeHtml(String(item.serial ?? ''))}</div></div></div>`;
+    }).join('');
+    return `<div class="sheet">${labels}</div>`;
+  }).join('');
+
+  return '<!DOCTYPE html><html><head><meta charset="utf-8"><title>StakTrakr Item Labels</title><style>'
+    + '@page{size:letter;margin:0}'
+    + '*{box-sizing:border-box}body{margin:0;font-family:Helvetica,Arial,sans-serif;color:#000}'
+    + '.sheet{position:relative;width:8.5in;height:11in;overflow:hidden;page-break-after:always}'
+    + `.label{position:absolute;width:${layout.width}in;height:${layout.height}in;display:flex;align-items:center;gap:0.06in;padding:0.04in 0.08in;overflow:hidden}`
+    + `.qr{flex:none;width:${qrSize}in;height:${qrSize}in}.qr svg{width:100%;height:100%;display:block}`
+    + `.text{min-width:0;font-size:${fontSize}pt;line-height:1.15}.name{font-weight:bold;overflow:hidden}`
+    + '.serial{font-family:monospace;margin-top:0.02in}'
+    + '</style></head><body>' + sheets + '</body></html>';
+};
+
+/**
+ * Open the label sheets in a new window and print them.
+ * @param {Object[]} items - Inventory items
+ * @param {Object} [opts] - As generateItemLabelSheetHtml()
+ * @returns {boolean} False when the pop-up was blocked
+ */
+const printItemLabels = (items, opts = {}) => {
+  const win = window.open('', '_blank');
+  if (!win) {
+    appAlert('Pop-up blocked — allow pop-ups to print labels.', 'Print Labels');
+    return false;
+  }
+  win.document.write(generateItemLabelSheetHtml(items, opts));
+  win.document.close();
+  win.focus();
+  win.print();
+  return true;
+};
+
+// =============================================================================
+// LABELS MODAL
+// =============================================================================
+
+/**
+ * Refresh the sheet count under the layout picker.
+ */
+const _updateItemLabelSummary = () => {
+  const summary = document.getElementById('itemLabelSummary');
+  if (!summary) return;
+  const layoutId = document.getElementById('itemLabelLayout')?.value || ITEM_LABEL_DEFAULT_LAYOUT;
+  const startAt = parseInt(document.getElementById('itemLabelStart')?.value, 10) || 1;
+  const sheets = layoutItemLabels(itemLabelQueue, layoutId, startAt).length;
+  summary.textContent = `${itemLabelQueue.length} label${itemLabelQueue.length === 1 ? '' : 's'} on `
+    + `${sheets} sheet${sheets === 1 ? '' : 's'}. Scan a label with Scan Item to open its item.`;
+};
+
+/**
+ * Open the labels modal for some items.
+ * @param {Object[]} items - Inventory items
+ */
+const openItemLabelsModal = (items) => {
+  if (!items || items.length === 0) {
+    showToast('No items selected.');
+    return;
+  }
+  itemLabelQueue = items;
+  const select = document.getElementById('itemLabelLayout');
+  if (select && !select.options.length) {
+    select.innerHTML = Object.entries(ITEM_LABEL_LAYOUTS)
+      .map(([id, layout]) => `<option value="${id}">${escapeHtml(layout.label)}</option>`).join('');
+    select.value = ITEM_LABEL_DEFAULT_LAYOUT;
+  }
+  const start = document.getElementById('itemLabelStart');
+  if (start) start.value = '1';
+  _updateItemLabelSummary();
+  if (window.openModalById) openModalById('itemLabelsModal');
+};
+
+const closeItemLabelsModal = () => {
+  itemLabelQueue = [];
+  if (window.closeModalById) closeModalById('itemLabelsModal');
+};
+
+/**
+ * Wires the labels modal. Called once from events.js.
+ */
+const setupItemLabels = () => {
+  const bind = (id, event, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(event, handler);
+  };
+  bind('itemLabelsCloseBtn', 'click', closeItemLabelsModal);
+  bind('itemLabelsCancelBtn', 'click', closeItemLabelsModal);
+  bind('itemLabelLayout', 'change', _updateItemLabelSummary);
+  bind('itemLabelStart', 'input', _updateItemLabelSummary);
+  bind('itemLabelsPrintBtn', 'click', () => {
+    const layout = document.getElementById('itemLabelLayout')?.value || ITEM_LABEL_DEFAULT_LAYOUT;
+    const startAt = parseInt(document.getElementById('itemLabelStart')?.value, 10) || 1;
+    if (printItemLabels(itemLabelQueue, { layout, startAt })) closeItemLabelsModal();
+  });
+};
+
+// Expose globally
+window.ITEM_LABEL_LAYOUTS = ITEM_LABEL_LAYOUTS;
+window.layoutItemLabels = layoutItemLabels;
+window.generateItemLabelSheetHtml = generateItemLabelSheetHtml;
+window.printItemLabels = printItemLabels;
+window.openItemLabelsModal = openItemLabelsModal;
+window.closeItemLabelsModal = closeItemLabelsModal;
+window.setupItemLabels = setupItemLabels;
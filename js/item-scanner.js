@@ -0,0 +1,458 @@
+// ITEM SCANNER
+// =============================================================================
+// Camera scanning for physical items. Two kinds of code are recognised:
+//
+//   - StakTrakr labels (item-labels.js): a QR link ending in #/item?id=<uuid>
+//     opens the matching item in the view modal.
+//   - Grading slab codes: PCGS/NGC cert barcodes and the QR links on newer
+//     holders. A slab already in the inventory opens; otherwise the Add Item
+//     form opens with authority and cert number filled in, plus name and year
+//     from PCGS when the code carries a PCGS coin number.
+//
+// Frames go through the browser's BarcodeDetector where it exists. Elsewhere
+// the fallback decoders run on canvas frames: decodeQrCode (qr-code.js) and
+// the Code 128 reader below, which covers the 1D cert barcodes. Handheld USB
+// scanners type into the manual entry field, which takes the same path.
+// =============================================================================
+
+/** @constant {string} Hash command path that label QR codes point at */
+const ITEM_LABEL_HASH_PATH = '#/item?id=';
+
+/** @constant {string[]} Formats asked of BarcodeDetector */
+const ITEM_SCAN_FORMATS = ['qr_code', 'code_128', 'code_39', 'ean_13', 'upc_a'];
+
+/** @constant {number} Milliseconds between camera frames */
+const ITEM_SCAN_INTERVAL_MS = 250;
+
+/** @type {MediaStream|null} Camera stream while the scanner is open */
+let itemScanStream = null;
+
+/** @type {'any'|'slab'} What the open scanner is for ("slab" fills the open item form) */
+let itemScanMode = 'any';
+
+// =============================================================================
+// CODE 128 FALLBACK DECODER
+// =============================================================================
+
+/** @constant {string[]} Code 128 bar/space widths by symbol value (106 = stop) */
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '233111',
+].map((p) => p.split('').map(Number));
+
+/**
+ * Closest Code 128 symbol to six measured run widths.
+ * @param {number[]} widths - Pixel widths, bar first
+ * @returns {number} Symbol value, or -1 when nothing is close
+ */
+const _code128Symbol = (widths) => {
+  const unit = widths.reduce((a, b) => a + b, 0) / 11;
+  let best = -1;
+  let bestError = 1.5;
+  CODE128_PATTERNS.forEach((pattern, value) => {
+    const error = pattern.reduce((acc, w, i) => acc + Math.abs(widths[i] / unit - w), 0);
+    if (error < bestError) {
+      bestError = error;
+      best = value;
+    }
+  });
+  return best;
+};
+
+/**
+ * Turn checked Code 128 symbol values into text (code sets A, B and C).
+ * @param {number[]} values - Start symbol first, checksum and stop excluded
+ * @returns {string}
+ */
+const _code128Text = (values) => {
+  let set = { 103: 'A', 104: 'B', 105: 'C' }[values[0]];
+  let text = '';
+  for (let i = 1; i < values.length; i++) {
+    const v = values[i];
+    if (set === 'C') {
+      if (v < 100) text += String(v).padStart(2, '0');
+      else if (v === 100) set = 'B';
+      else if (v === 101) set = 'A';
+    } else if (v < 96) {
+      text += set === 'A' && v >= 64 ? String.fromCharCode(v - 64) : String.fromCharCode(v + 32);
+    } else if (v === 99) {
+      set = 'C';
+    } else if (v === 100 && set === 'A') {
+      set = 'B';
+    } else if (v === 101 && set === 'B') {
+      set = 'A';
+    }
+    // FNC1–4 and shift carry nothing a cert barcode needs
+  }
+  return text;
+};
+
+/**
+ * Decode a Code 128 symbol from a row of run widths.
+ * @param {number[]} runs - Alternating widths, starting with a bar
+ * @returns {string|null}
+ */
+const _code128FromRuns = (runs) => {
+  for (let start = 0; start + 6 <= runs.length; start += 2) {
+    const first = _code128Symbol(runs.slice(start, start + 6));
+    if (first < 103 || first > 105) continue;
+    const values = [first];
+    for (let i = start + 6; i + 6 <= runs.length; i += 6) {
+      const v = _code128Symbol(runs.slice(i, i + 6));
+      if (v < 0) break;
+      if (v === 106) {
+        const check = values.pop();
+        const sum = values.reduce((acc, value, n) => acc + value * Math.max(1, n), 0);
+        if (values.length > 1 && sum % 103 === check) return _code128Text(values);
+        break;
+      }
+      values.push(v);
+    }
+  }
+  return null;
+};
+
+/**
+ * Decode a Code 128 barcode from image pixels by scanning rows across the
+ * middle of the frame, in both directions (the code may be upside down).
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - ImageData
+ * @returns {string|null}
+ */
+const decodeCode128 = (image) => {
+  const { width, height, data } = image;
+  for (let n = 0; n < 15; n++) {
+    const y = Math.floor(height * (0.2 + (0.6 * n) / 14));
+    const lum = new Array(width);
+    let min = 255;
+    let max = 0;
+    for (let x = 0; x < width; x++) {
+      const p = (y * width + x) * 4;
+      lum[x] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+      if (lum[x] < min) min = lum[x];
+      if (lum[x] > max) max = lum[x];
+    }
+    if (max - min < 48) continue;
+    const threshold = (min + max) / 2;
+    const runs = [];
+    let dark = false;
+    lum.forEach((l) => {
+      const isDark = l < threshold;
+      if (runs.length && isDark === dark) runs[runs.length - 1]++;
+      else {
+        if (!runs.length && !isDark) return;
+        runs.push(1);
+        dark = isDark;
+      }
+    });
+    const text = _code128FromRuns(runs) || _code128FromRuns(runs.slice(0, runs.length - (runs.length % 2 ? 0 : 1)).reverse());
+    if (text) return text;
+  }
+  return null;
+};
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Label QR payload for an item: a link back into the app.
+ * @param {Object} item - Inventory item
+ * @returns {string}
+ */
+const getItemLabelUrl = (item) => {
+  const base = /^https?:/.test(window.location.protocol) ? window.location.origin + window.location.pathname : 'https://staktrakr.com/';
+  return base + ITEM_LABEL_HASH_PATH + encodeURIComponent(item.uuid);
+};
+
+/**
+ * Classify scanned text.
+ *
+ * Slab formats recognised:
+ *   https://www.pcgs.com/cert/<cert>           — PCGS holder QR
+ *   https://www.ngccoin.com/certlookup/<cert>/ — NGC holder QR
+ *   <pcgs#>.<grade>/<cert>                     — PCGS label line, e.g. "9970.65/28456432"
+ *   1234567-001 or 1234567001                  — NGC cert
+ *   7–9 digits                                 — PCGS cert
+ *
+ * @param {string} text
+ * @returns {{kind: 'item', uuid: string}|{kind: 'slab', authority: string, certNumber: string, pcgsNumber?: string, grade?: string}|{kind: 'unknown', text: string}}
+ */
+const parseScannedCode = (text) => {
+  const raw = String(text || '').trim();
+  const labelAt = raw.indexOf(ITEM_LABEL_HASH_PATH);
+  if (labelAt >= 0) {
+    const uuid = decodeURIComponent(raw.slice(labelAt + ITEM_LABEL_HASH_PATH.length).split(/[&#\s]/)[0]);
+    if (uuid) return { kind: 'item', uuid };
+  }
+
+  let m = raw.match(/pcgs\.com\/cert\/(\d{6,9})/i);
+  if (m) return { kind: 'slab', authority: 'PCGS', certNumber: m[1] };
+  m = raw.match(/ngccoin\.com\/certlookup\/(\d{6,8})-?(\d{3})/i);
+  if (m) return { kind: 'slab', authority: 'NGC', certNumber: `${m[1]}-${m[2]}` };
+
+  const compact = raw.replace(/\s+/g, '');
+  m = compact.match(/^(\d{1,7})\.(\d{1,2})\/(\d{6,9})$/);
+  if (m) return { kind: 'slab', authority: 'PCGS', certNumber: m[3], pcgsNumber: m[1], grade: m[2] };
+  m = compact.match(/^(\d{7})-?(\d{3})$/);
+  if (m) return { kind: 'slab', authority: 'NGC', certNumber: `${m[1]}-${m[2]}` };
+  if (/^\d{7,9}$/.test(compact)) return { kind: 'slab', authority: 'PCGS', certNumber: compact.replace(/^0+(?=\d{8})/, '') };
+
+  return { kind: 'unknown', text: raw };
+};
+
+/**
+ * Inventory index of a scanned item label or slab, or -1.
+ * @param {Object} code - From parseScannedCode()
+ * @returns {number}
+ */
+const findScannedItemIndex = (code) => {
+  if (code.kind === 'item') return inventory.findIndex((item) => item.uuid === code.uuid);
+  if (code.kind === 'slab') {
+    const cert = code.certNumber.replace(/\D/g, '');
+    return inventory.findIndex((item) => item.certNumber && String(item.certNumber).replace(/\D/g, '') === cert);
+  }
+  return -1;
+};
+
+// =============================================================================
+// ACTIONS
+// =============================================================================
+
+/**
+ * Select the grade option matching a PCGS grade ("MS65", "PR70DCAM", "65").
+ * @param {HTMLSelectElement} select
+ * @param {string} grade
+ */
+const _selectScannedGrade = (select, grade) => {
+  const m = String(grade || '').toUpperCase().match(/^(MS|PF|PR)?\s*-?(\d{2})/);
+  if (!select || !m) return;
+  const value = `${m[1] === 'PR' || m[1] === 'PF' ? 'PF' : 'MS'}-${m[2]}`;
+  if ([...select.options].some((o) => o.value === value)) select.value = value;
+};
+
+/**
+ * Fill the item form's grading fields from a slab code. With a PCGS coin
+ * number, name and year come from PCGS (when an API key is set) and only
+ * fill fields that are still empty.
+ * @param {Object} slab - Slab result from parseScannedCode()
+ * @returns {Promise<void>}
+ */
+const applySlabToItemForm = async (slab) => {
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && value) el.value = value;
+  };
+  set('itemGradingAuthority', slab.authority);
+  set('itemCertNumber', slab.certNumber);
+  set('itemPcgsNumber', slab.pcgsNumber);
+  if (slab.grade) _selectScannedGrade(document.getElementById('itemGrade'), slab.grade);
+  if (!slab.pcgsNumber || typeof lookupPcgsByNumber !== 'function') return;
+
+  const result = await lookupPcgsByNumber(slab.pcgsNumber, slab.grade);
+  if (!result.verified) {
+    debugLog(`[ItemScanner] PCGS lookup skipped: ${result.error}`);
+    return;
+  }
+  const fillEmpty = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && !el.value.trim() && value) el.value = value;
+  };
+  fillEmpty('itemName', result.name);
+  fillEmpty('itemYear', result.year);
+  if (result.grade) _selectScannedGrade(document.getElementById('itemGrade'), result.grade);
+};
+
+/**
+ * Act on a scanned code: open a labelled item, open or add a slab, or fill
+ * the item form when the scanner was opened from it.
+ * @param {string} text - Decoded text
+ * @returns {Promise<boolean>} True when the code was recognised
+ */
+const handleScannedCode = async (text) => {
+  const code = parseScannedCode(text);
+  if (code.kind === 'unknown') {
+    setItemScanStatus(`Not a StakTrakr label or slab code: ${code.text.slice(0, 60)}`, 'error');
+    return false;
+  }
+
+  if (itemScanMode === 'slab') {
+    if (code.kind !== 'slab') {
+      setItemScanStatus('That is an item label — scan the slab barcode instead.', 'error');
+      return false;
+    }
+    closeItemScanModal();
+    await applySlabToItemForm(code);
+    showToast(`${code.authority} cert ${code.certNumber} filled in`);
+    return true;
+  }
+
+  const index = findScannedItemIndex(code);
+  closeItemScanModal();
+  if (index >= 0) {
+    showViewModal(index);
+    return true;
+  }
+  if (code.kind === 'item') {
+    appAlert('This label belongs to an item that is not in this inventory — it may have been deleted or live on another device.', 'Scan Item');
+    return true;
+  }
+  // New slab: start an Add Item form with the cert details
+  document.getElementById('newItemBtn')?.click();
+  await applySlabToItemForm(code);
+  showToast(`New ${code.authority} slab — cert ${code.certNumber}`);
+  return true;
+};
+
+// =============================================================================
+// SCANNER MODAL
+// =============================================================================
+
+/**
+ * Status line under the camera view.
+ * @param {string} message
+ * @param {'info'|'error'} [type='info']
+ */
+const setItemScanStatus = (message, type = 'info') => {
+  const el = document.getElementById('itemScanStatus');
+  if (!el) return;
+  el.style.display = message ? '' : 'none';
+  el.innerHTML = message
+    ? `<div class="status-indicator status-${type}"><span class="status-dot${type === 'info' ? ' vault-dot-pulse' : ''}"></span>`
+      + `<span class="status-text">${escapeHtml(message)}</span></div>`
+    : '';
+};
+
+/**
+ * Stop the camera, if it is running.
+ */
+const stopItemScan = () => {
+  if (itemScanStream) {
+    itemScanStream.getTracks().forEach((t) => t.stop());
+    itemScanStream = null;
+  }
+  const video = document.getElementById('itemScanVideo');
+  if (video) video.srcObject = null;
+};
+
+/**
+ * Read codes from the camera until one is recognised or the scanner closes.
+ * @returns {Promise<void>}
+ */
+const _runItemScanLoop = async () => {
+  const video = document.getElementById('itemScanVideo');
+  if (!video || !navigator.mediaDevices?.getUserMedia) {
+    setItemScanStatus('No camera available — type or paste the code below.', 'error');
+    return;
+  }
+  let detector = null;
+  if (typeof BarcodeDetector === 'function') {
+    const supported = await BarcodeDetector.getSupportedFormats().catch(() => []);
+    const formats = ITEM_SCAN_FORMATS.filter((f) => supported.includes(f));
+    if (formats.length) detector = new BarcodeDetector({ formats });
+  }
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  try {
+    itemScanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+  } catch (err) {
+    setItemScanStatus(`Camera unavailable (${err.message}) — type or paste the code below.`, 'error');
+    return;
+  }
+  const stream = itemScanStream;
+  video.srcObject = stream;
+  await video.play().catch(() => {});
+  setItemScanStatus(itemScanMode === 'slab' ? 'Point the camera at the slab barcode or QR code.' : 'Point the camera at an item label or slab barcode.');
+
+  let lastMiss = '';
+  while (itemScanStream === stream) {
+    let text = null;
+    if (video.readyState >= 2) {
+      if (detector) {
+        const codes = await detector.detect(video).catch(() => []);
+        text = codes.length ? String(codes[0].rawValue) : null;
+      } else {
+        // Fallback decoders work on a downscaled frame
+        const scale = Math.min(1, 640 / Math.max(video.videoWidth, video.videoHeight));
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        const frame = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        text = decodeQrCode(frame) || decodeCode128(frame);
+      }
+    }
+    // Unrecognised codes stay on screen; keep scanning for a better one
+    if (text && text !== lastMiss) {
+      if (await handleScannedCode(text)) return;
+      lastMiss = text;
+    }
+    await new Promise((resolve) => setTimeout(resolve, ITEM_SCAN_INTERVAL_MS));
+  }
+};
+
+/**
+ * Open the scanner.
+ * @param {'any'|'slab'} [mode='any'] - "slab" fills the item form that is open
+ */
+const openItemScanModal = (mode = 'any') => {
+  itemScanMode = mode;
+  const title = document.getElementById('itemScanTitle');
+  if (title) title.textContent = mode === 'slab' ? 'Scan Slab' : 'Scan Item';
+  const input = document.getElementById('itemScanManual');
+  if (input) input.value = '';
+  setItemScanStatus('Starting camera…');
+  if (window.openModalById) openModalById('itemScanModal');
+  _runItemScanLoop().catch((err) => setItemScanStatus(err.message || 'Scanning failed.', 'error'));
+};
+
+const closeItemScanModal = () => {
+  stopItemScan();
+  if (window.closeModalById) closeModalById('itemScanModal');
+};
+
+/**
+ * Wires the scanner modal and its entry points. Called once from events.js.
+ */
+const setupItemScanner = () => {
+  const bind = (id, event, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(event, handler);
+  };
+  bind('scanItemBtn', 'click', () => openItemScanModal('any'));
+  bind('scanSlabBtn', 'click', () => openItemScanModal('slab'));
+  bind('itemScanCloseBtn', 'click', closeItemScanModal);
+  bind('itemScanCancelBtn', 'click', closeItemScanModal);
+
+  const submitManual = () => {
+    const input = document.getElementById('itemScanManual');
+    if (input && input.value.trim()) handleScannedCode(input.value);
+  };
+  bind('itemScanManualBtn', 'click', submitManual);
+  // USB barcode scanners type the code and press Enter
+  bind('itemScanManual', 'keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submitManual();
+    }
+  });
+};
+
+// Expose globally
+window.decodeCode128 = decodeCode128;
+window.getItemLabelUrl = getItemLabelUrl;
+window.parseScannedCode = parseScannedCode;
+window.findScannedItemIndex = findScannedItemIndex;
+window.applySlabToItemForm = applySlabToItemForm;
+window.handleScannedCode = handleScannedCode;
+window.openItemScanModal = openItemScanModal;
+window.closeItemScanModal = closeItemScanModal;
+window.setupItemScanner = setupItemScanner;
@@ -0,0 +1,583 @@
+// METAL RATIOS
+// =============================================================================
+// Cross-metal price ratios (Au/Ag, Au/Pt, Pt/Pd): a strip of current values
+// under the spot cards and a modal with the historical ratio chart, percentile
+// bands and a "what if I swapped" calculator based on actual holdings.
+//
+// History is built from the yearly spot-history files (back to 1968 for gold
+// and silver; platinum and palladium start later) merged with live spot
+// history via getHistoricalSparklineData(). A ratio exists only on days both
+// metals have a price.
+// =============================================================================
+
+/** @constant {Object<string, Object>} Supported ratio pairs (numerator / denominator metal names) */
+const RATIO_PAIRS = {
+  'gold-silver':        { label: 'Au/Ag', title: 'Gold/Silver',        numerator: 'Gold',     denominator: 'Silver' },
+  'gold-platinum':      { label: 'Au/Pt', title: 'Gold/Platinum',      numerator: 'Gold',     denominator: 'Platinum' },
+  'platinum-palladium': { label: 'Pt/Pd', title: 'Platinum/Palladium', numerator: 'Platinum', denominator: 'Palladium' },
+};
+
+/** @constant {Object<string, {label: string, years: number|null}>} Chart ranges (null = all history) */
+const RATIO_RANGES = {
+  '1y':  { label: '1Y', years: 1 },
+  '5y':  { label: '5Y', years: 5 },
+  '10y': { label: '10Y', years: 10 },
+  '20y': { label: '20Y', years: 20 },
+  'all': { label: 'All', years: null },
+};
+
+/** @constant {number} First year of bundled spot history */
+const RATIO_HISTORY_START_YEAR = 1968;
+
+/** @constant {number} Maximum points drawn on the ratio chart (longer ranges are thinned) */
+const RATIO_CHART_MAX_POINTS = 1500;
+
+/** @type {Chart|null} Active ratio chart */
+let ratioChart = null;
+
+/** @type {number} Incremented per renderRatioModal() call; stale renders bail out */
+let _ratioRenderToken = 0;
+
+/** @type {{pair: string, range: string}} Current modal selection */
+const ratioModalState = { pair: 'gold-silver', range: 'all' };
+
+/** @type {Object<string, {labels: string[], data: number[]}>} Full ratio history per pair (session cache) */
+const ratioHistoryCache = {};
+
+/**
+ * Spot price for a metal name from current spotPrices.
+ * @param {string} metalName - 'Gold', 'Silver', …
+ * @returns {number} 0 when unknown
+ */
+const _ratioSpot = (metalName) => {
+  const metal = Object.values(METALS).find(m => m.name === metalName);
+  return metal ? Number(spotPrices[metal.key]) || 0 : 0;
+};
+
+/**
+ * Current ratio for a pair from live spot prices.
+ * @param {string} pairKey - Key of RATIO_PAIRS
+ * @returns {number|null} null when either spot price is missing
+ */
+const getCurrentRatio = (pairKey) => {
+  const pair = RATIO_PAIRS[pairKey];
+  if (!pair) return null;
+  const num = _ratioSpot(pair.numerator);
+  const den = _ratioSpot(pair.denominator);
+  return num > 0 && den > 0 ? num / den : null;
+};
+
+/**
+ * Divide two daily spot series on the days both have a price.
+ * @param {{labels: string[], data: number[]}} numerator - Daily series, ascending
+ * @param {{labels: string[], data: number[]}} denominator - Daily series, ascending
+ * @returns {{labels: string[], data: number[]}}
+ */
+const buildRatioSeries = (numerator, denominator) => {
+  const denByDay = new Map();
+  denominator.labels.forEach((day, i) => denByDay.set(day, denominator.data[i]));
+  const labels = [];
+  const data = [];
+  numerator.labels.forEach((day, i) => {
+    const den = denByDay.get(day);
+    const num = numerator.data[i];
+    if (den > 0 && num > 0) {
+      labels.push(day);
+      data.push(num / den);
+    }
+  });
+  return { labels, data };
+};
+
+/**
+ * Linear-interpolated percentile of an ascending array.
+ * @param {number[]} sorted - Ascending values
+ * @param {number} p - Percentile 0–100
+ * @returns {number}
+ */
+const _percentileOf = (sorted, p) => {
+  if (sorted.length === 0) return NaN;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+};
+
+/**
+ * Percentile bands and where a value ranks within a ratio history.
+ * @param {number[]} values - Ratio history
+ * @param {number|null} current - Value to rank (usually today's ratio)
+ * @returns {{p10: number, p25: number, p50: number, p75: number, p90: number,
+ *   min: number, max: number, rank: number|null}} rank = % of history below current
+ */
+const getRatioStats = (values, current) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  let rank = null;
+  if (current != null && sorted.length > 0) {
+    const below = sorted.filter(v => v < current).length;
+    rank = (below / sorted.length) * 100;
+  }
+  return {
+    p10: _percentileOf(sorted, 10),
+    p25: _percentileOf(sorted, 25),
+    p50: _percentileOf(sorted, 50),
+    p75: _percentileOf(sorted, 75),
+    p90: _percentileOf(sorted, 90),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    rank,
+  };
+};
+
+/**
+ * Load (and cache) the full ratio history for a pair.
+ * @param {string} pairKey - Key of RATIO_PAIRS
+ * @returns {Promise<{labels: string[], data: number[]}>}
+ */
+const loadRatioHistory = async (pairKey) => {
+  if (ratioHistoryCache[pairKey]) return ratioHistoryCache[pairKey];
+  const pair = RATIO_PAIRS[pairKey];
+  const days = Math.ceil((Date.now() - new Date(RATIO_HISTORY_START_YEAR, 0, 1).getTime()) / 86400000);
+  const [num, den] = await Promise.all([
+    getHistoricalSparklineData(pair.numerator, days),
+    getHistoricalSparklineData(pair.denominator, days),
+  ]);
+  const series = buildRatioSeries(num, den);
+  if (series.data.length > 0) ratioHistoryCache[pairKey] = series;
+  return series;
+};
+
+/**
+ * Keep the series within a trailing range.
+ * @param {{labels: string[], data: number[]}} series
+ * @param {string} rangeKey - Key of RATIO_RANGES
+ * @returns {{labels: string[], data: number[]}}
+ */
+const _sliceRatioRange = (series, rangeKey) => {
+  const years = RATIO_RANGES[rangeKey]?.years;
+  if (!years) return series;
+  const cutoff = new Date();
+  cutoff.setFullYear(cutoff.getFullYear() - years);
+  const cutoffDay = cutoff.toISOString().slice(0, 10);
+  const start = series.labels.findIndex(day => day >= cutoffDay);
+  if (start < 0) return { labels: [], data: [] };
+  return { labels: series.labels.slice(start), data: series.data.slice(start) };
+};
+
+/**
+ * Thin a long series to at most `max` points, always keeping the last one.
+ * @param {{labels: string[], data: number[]}} series
+ * @param {number} max
+ * @returns {{labels: string[], data: number[]}}
+ */
+const _thinRatioSeries = (series, max) => {
+  const n = series.labels.length;
+  if (n <= max) return series;
+  const step = Math.ceil(n / max);
+  const labels = [];
+  const data = [];
+  for (let i = 0; i < n; i += step) {
+    labels.push(series.labels[i]);
+    data.push(series.data[i]);
+  }
+  if (labels[labels.length - 1] !== series.labels[n - 1]) {
+    labels.push(series.labels[n - 1]);
+    data.push(series.data[n - 1]);
+  }
+  return { labels, data };
+};
+
+/**
+ * Fine troy ounces held per metal (active, non-disposed items).
+ * @param {Array<Object>} [items] - Defaults to the active portfolio
+ * @returns {Object<string, number>} Keyed by metal name
+ */
+const getMetalHoldingsOz = (items = getPortfolioItems()) => {
+  const totals = {};
+  items.forEach(item => {
+    if (isDisposed(item) || !item.metal) return;
+    totals[item.metal] = (totals[item.metal] || 0) + computeMeltValue(item, 1);
+  });
+  return totals;
+};
+
+/**
+ * Simulate swapping one metal of a pair into the other and back.
+ *
+ * @param {Object} params
+ * @param {'numerator'|'denominator'} params.from - Side being sold
+ * @param {number} params.ounces - Fine ounces sold
+ * @param {number} params.ratio - Ratio at the first swap
+ * @param {number} params.targetRatio - Ratio at the swap back
+ * @param {number} [params.costPct=0] - Round-trip friction per swap (spreads, premiums), percent
+ * @returns {{received: number, returned: number, gainOz: number, gainPct: number}}
+ *   received = ounces of the other metal after the first swap;
+ *   returned = ounces of the original metal after swapping back
+ */
+const computeRatioSwap = ({ from, ounces, ratio, targetRatio, costPct = 0 }) => {
+  const keep = 1 - (Number(costPct) || 0) / 100;
+  const oz = Number(ounces) || 0;
+  if (!(ratio > 0) || !(targetRatio > 0) || oz <= 0) {
+    return { received: 0, returned: 0, gainOz: 0, gainPct: 0 };
+  }
+  // Selling the numerator metal (e.g. gold) buys `ratio` ounces of the denominator per ounce
+  const received = from === 'numerator' ? oz * ratio * keep : (oz / ratio) * keep;
+  const returned = from === 'numerator' ? (received / targetRatio) * keep : received * targetRatio * keep;
+  return { received, returned, gainOz: returned - oz, gainPct: ((returned - oz) / oz) * 100 };
+};
+
+/**
+ * Format a ratio for display.
+ * @param {number|null} value
+ * @returns {string}
+ */
+const formatRatio = (value) => (value == null || !isFinite(value) ? '—' : value.toFixed(2));
+
+/**
+ * Format an ounce amount for display.
+ * @param {number} oz
+ * @returns {string}
+ */
+const _formatRatioOz = (oz) => `${(Number(oz) || 0).toLocaleString(undefined, { maximumFractionDigits: 3 })} oz`;
+
+/**
+ * Ordinal suffix for a percentile rank ("82nd").
+ * @param {number} n
+ * @returns {string}
+ */
+const _ordinal = (n) => {
+  const r = Math.round(n);
+  const mod100 = r % 100;
+  const suffix = mod100 >= 11 && mod100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[r % 10] || 'th');
+  return `${r}${suffix}`;
+};
+
+/**
+ * Update the ratio strip under the spot cards with current values.
+ */
+const renderRatioStrip = () => {
+  const strip = document.getElementById('spotRatioStrip');
+  if (!strip) return;
+  strip.querySelectorAll('[data-ratio-pair]').forEach(btn => {
+    const value = btn.querySelector('.ratio-chip-value');
+    if (value) value.textContent = formatRatio(getCurrentRatio(btn.dataset.ratioPair));
+  });
+};
+
+/**
+ * Render the stats row for the selected pair and range.
+ * @param {Object} stats - From getRatioStats()
+ * @param {number|null} current - Current ratio
+ * @param {string} since - First date in range
+ */
+const _renderRatioStats = (stats, current, since) => {
+  const el = document.getElementById('ratioStats');
+  if (!el) return;
+  el.textContent = '';
+  const cells = [
+    ['Current', formatRatio(current)],
+    ['Percentile', stats.rank == null ? '—' : _ordinal(stats.rank)],
+    ['Median', formatRatio(stats.p50)],
+    ['10th–90th', `${formatRatio(stats.p10)} – ${formatRatio(stats.p90)}`],
+    ['Range', `${formatRatio(stats.min)} – ${formatRatio(stats.max)}`],
+  ];
+  cells.forEach(([label, value]) => {
+    const cell = document.createElement('div');
+    cell.className = 'ratio-stat';
+    const lbl = document.createElement('span');
+    lbl.className = 'ratio-stat-label';
+    lbl.textContent = label;
+    const val = document.createElement('span');
+    val.className = 'ratio-stat-value';
+    val.textContent = value;
+    cell.append(lbl, val);
+    el.appendChild(cell);
+  });
+  const note = document.getElementById('ratioStatsNote');
+  if (note) note.textContent = since ? `Percentiles over daily closes since ${since}.` : '';
+};
+
+/**
+ * Draw the ratio line with percentile bands.
+ * @param {HTMLCanvasElement} canvas
+ * @param {{labels: string[], data: number[]}} series - Thinned series to draw
+ * @param {Object} stats - From getRatioStats()
+ * @param {string} title - Pair title for the legend
+ * @returns {Chart}
+ */
+const _createRatioChart = (canvas, series, stats, title) => {
+  const textColor = getChartTextColor();
+  const bgColor = getChartBackgroundColor();
+  const flat = (value) => series.labels.map(() => value);
+  const band = (label, value, color, dash, fill) => ({
+    label,
+    data: flat(value),
+    borderColor: color,
+    backgroundColor: fill || 'transparent',
+    borderDash: dash,
+    borderWidth: 1,
+    pointRadius: 0,
+    pointHoverRadius: 0,
+    fill: fill ? '-1' : false,
+  });
+
+  return new Chart(canvas, {
+    type: 'line',
+    data: {
+      labels: series.labels,
+      datasets: [
+        band('10th pct', stats.p10, 'rgba(239, 68, 68, 0.6)', [4, 4]),
+        band('25th–75th pct', stats.p25, 'rgba(128, 128, 128, 0.4)', [2, 3]),
+        band('75th pct', stats.p75, 'rgba(128, 128, 128, 0.4)', [2, 3], 'rgba(128, 128, 128, 0.10)'),
+        band('90th pct', stats.p90, 'rgba(16, 185, 129, 0.6)', [4, 4]),
+        band('Median', stats.p50, 'rgba(128, 128, 128, 0.8)', [6, 3]),
+        {
+          label: title,
+          data: series.data,
+          borderColor: '#3b82f6',
+          backgroundColor: 'transparent',
+          borderWidth: 1.5,
+          pointRadius: 0,
+          pointHoverRadius: 4,
+          tension: 0,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: { duration: 300 },
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: { ticks: { color: textColor, maxTicksLimit: 8, autoSkip: true, font: { size: 10 } }, grid: { display: false } },
+        y: { ticks: { color: textColor, font: { size: 10 } }, grid: { color: 'rgba(128,128,128,0.1)' } },
+      },
+      plugins: {
+        legend: {
+          position: 'bottom',
+          labels: {
+            color: textColor,
+            usePointStyle: true,
+            pointStyle: 'line',
+            padding: 10,
+            font: { size: 10 },
+            // The 75th line only carries the 25th–75th fill
+            filter: (item) => item.text !== '75th pct',
+          },
+        },
+        tooltip: {
+          backgroundColor: bgColor,
+          titleColor: textColor,
+          bodyColor: textColor,
+          borderColor: textColor,
+          borderWidth: 1,
+          filter: (ctx) => ctx.datasetIndex === 5,
+          callbacks: { label: (ctx) => `${title}: ${formatRatio(ctx.parsed.y)}` },
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Recompute the swap calculator from its inputs.
+ */
+const renderRatioSwap = () => {
+  const pair = RATIO_PAIRS[ratioModalState.pair];
+  const fromSelect = document.getElementById('ratioSwapFrom');
+  const ozInput = document.getElementById('ratioSwapOz');
+  const targetInput = document.getElementById('ratioSwapTarget');
+  const costInput = document.getElementById('ratioSwapCost');
+  const result = document.getElementById('ratioSwapResult');
+  const holdingsEl = document.getElementById('ratioSwapHoldings');
+  if (!pair || !fromSelect || !result) return;
+
+  const from = fromSelect.value === 'denominator' ? 'denominator' : 'numerator';
+  const fromMetal = pair[from];
+  const toMetal = from === 'numerator' ? pair.denominator : pair.numerator;
+  const held = getMetalHoldingsOz()[fromMetal] || 0;
+  if (holdingsEl) holdingsEl.textContent = `You hold ${_formatRatioOz(held)} fine ${fromMetal.toLowerCase()}.`;
+
+  const ratio = getCurrentRatio(ratioModalState.pair);
+  const ounces = parseFloat(ozInput?.value);
+  const targetRatio = parseFloat(targetInput?.value);
+  if (ratio == null) {
+    result.textContent = 'Spot prices for both metals are needed to price a swap.';
+    return;
+  }
+  if (!(ounces > 0) || !(targetRatio > 0)) {
+    result.textContent = 'Enter ounces and a target ratio.';
+    return;
+  }
+
+  const swap = computeRatioSwap({
+    from,
+    ounces,
+    ratio,
+    targetRatio,
+    costPct: parseFloat(costInput?.value) || 0,
+  });
+  const sign = swap.gainOz >= 0 ? '+' : '−';
+  result.textContent =
+    `Swap ${_formatRatioOz(ounces)} ${fromMetal.toLowerCase()} → ${_formatRatioOz(swap.received)} ${toMetal.toLowerCase()} at ${formatRatio(ratio)}. ` +
+    `Swapping back at ${formatRatio(targetRatio)} returns ${_formatRatioOz(swap.returned)} ${fromMetal.toLowerCase()} ` +
+    `(${sign}${_formatRatioOz(Math.abs(swap.gainOz))}, ${sign}${Math.abs(swap.gainPct).toFixed(1)}%).`;
+};
+
+/**
+ * Prefill the swap calculator for the selected pair: sell whichever side is
+ * rich versus the median, with the held ounces and the median as the target.
+ * @param {Object|null} stats - From getRatioStats(), or null before history loads
+ */
+const _resetRatioSwap = (stats) => {
+  const pair = RATIO_PAIRS[ratioModalState.pair];
+  const fromSelect = document.getElementById('ratioSwapFrom');
+  const ozInput = document.getElementById('ratioSwapOz');
+  const targetInput = document.getElementById('ratioSwapTarget');
+  if (!fromSelect) return;
+
+  fromSelect.textContent = '';
+  [['numerator', pair.numerator, pair.denominator], ['denominator', pair.denominator, pair.numerator]]
+    .forEach(([value, fromMetal, toMetal]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = `${fromMetal} → ${toMetal}`;
+      fromSelect.appendChild(opt);
+    });
+
+  const current = getCurrentRatio(ratioModalState.pair);
+  // High ratio = numerator expensive: sell it for more of the denominator
+  const from = stats && current != null && current < stats.p50 ? 'denominator' : 'numerator';
+  fromSelect.value = from;
+  if (ozInput) {
+    const held = getMetalHoldingsOz()[pair[from]] || 0;
+    ozInput.value = held > 0 ? String(Math.round(held * 1000) / 1000) : '';
+  }
+  if (targetInput) targetInput.value = stats && isFinite(stats.p50) ? stats.p50.toFixed(2) : '';
+  renderRatioSwap();
+};
+
+/**
+ * Render the modal for the current pair and range.
+ * @returns {Promise<void>}
+ */
+const renderRatioModal = async () => {
+  const token = ++_ratioRenderToken;
+  const { pair: pairKey, range } = ratioModalState;
+  const pair = RATIO_PAIRS[pairKey];
+  const canvas = document.getElementById('ratioChart');
+  const status = document.getElementById('ratioChartStatus');
+
+  document.querySelectorAll('#ratioPairToggle .chart-metric-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.pair === pairKey);
+  });
+  document.querySelectorAll('#ratioRangeToggle .chart-metric-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.range === range);
+  });
+
+  if (ratioChart) {
+    ratioChart.destroy();
+    ratioChart = null;
+  }
+  if (status) status.textContent = 'Loading spot history…';
+  _resetRatioSwap(null);
+
+  const history = await loadRatioHistory(pairKey);
+  // A newer render started while loading (even for the same selection) — it owns the chart
+  if (token !== _ratioRenderToken) return;
+
+  const ranged = _sliceRatioRange(history, range);
+  const current = getCurrentRatio(pairKey);
+  if (ranged.data.length === 0) {
+    if (status) status.textContent = `No ${pair.title} history available for this range.`;
+    _renderRatioStats(getRatioStats([], current), current, '');
+    return;
+  }
+  if (status) status.textContent = '';
+
+  const stats = getRatioStats(ranged.data, current ?? ranged.data[ranged.data.length - 1]);
+  _renderRatioStats(stats, current, ranged.labels[0]);
+  if (canvas) {
+    if (ratioChart) ratioChart.destroy();
+    ratioChart = _createRatioChart(canvas, _thinRatioSeries(ranged, RATIO_CHART_MAX_POINTS), stats, pair.title);
+  }
+  _resetRatioSwap(stats);
+};
+
+/**
+ * Open the ratio modal.
+ * @param {string} [pairKey] - Key of RATIO_PAIRS to show first
+ */
+const showRatioModal = (pairKey) => {
+  if (RATIO_PAIRS[pairKey]) ratioModalState.pair = pairKey;
+  openModalById('ratioModal');
+  renderRatioModal().catch(err => debugLog(`[ratios] Render failed: ${err.message}`, 'warn'));
+};
+
+/**
+ * Close the ratio modal and release its chart.
+ */
+const closeRatioModal = () => {
+  closeModalById('ratioModal');
+  if (ratioChart) {
+    ratioChart.destroy();
+    ratioChart = null;
+  }
+};
+
+/**
+ * Build the pair/range toggles and wire the modal controls (called once from events.js).
+ */
+const setupRatioModal = () => {
+  const pairToggle = document.getElementById('ratioPairToggle');
+  const rangeToggle = document.getElementById('ratioRangeToggle');
+  const addButtons = (container, entries, dataKey, onPick) => {
+    if (!container) return;
+    container.textContent = '';
+    entries.forEach(([key, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'chart-metric-btn';
+      btn.dataset[dataKey] = key;
+      btn.textContent = label;
+      btn.addEventListener('click', () => onPick(key));
+      container.appendChild(btn);
+    });
+  };
+  addButtons(pairToggle, Object.entries(RATIO_PAIRS).map(([k, p]) => [k, p.label]), 'pair', (key) => {
+    ratioModalState.pair = key;
+    renderRatioModal();
+  });
+  addButtons(rangeToggle, Object.entries(RATIO_RANGES).map(([k, r]) => [k, r.label]), 'range', (key) => {
+    ratioModalState.range = key;
+    renderRatioModal();
+  });
+
+  document.getElementById('ratioSwapFrom')?.addEventListener('change', () => {
+    const pair = RATIO_PAIRS[ratioModalState.pair];
+    const ozInput = document.getElementById('ratioSwapOz');
+    const from = document.getElementById('ratioSwapFrom').value;
+    const held = getMetalHoldingsOz()[pair[from]] || 0;
+    if (ozInput) ozInput.value = held > 0 ? String(Math.round(held * 1000) / 1000) : '';
+    renderRatioSwap();
+  });
+  ['ratioSwapOz', 'ratioSwapTarget', 'ratioSwapCost'].forEach(id => {
+    document.getElementById(id)?.addEventListener('input', renderRatioSwap);
+  });
+  document.getElementById('ratioCloseBtn')?.addEventListener('click', closeRatioModal);
+  document.querySelectorAll('#spotRatioStrip [data-ratio-pair]').forEach(btn => {
+    btn.addEventListener('click', () => showRatioModal(btn.dataset.ratioPair));
+  });
+};
+
+// Expose globally
+window.RATIO_PAIRS = RATIO_PAIRS;
+window.getCurrentRatio = getCurrentRatio;
+window.buildRatioSeries = buildRatioSeries;
+window.getRatioStats = getRatioStats;
+window.getMetalHoldingsOz = getMetalHoldingsOz;
+window.computeRatioSwap = computeRatioSwap;
+window.renderRatioStrip = renderRatioStrip;
+window.showRatioModal = showRatioModal;
+window.closeRatioModal = closeRatioModal;
+window.setupRatioModal = setupRatioModal;
@@ -0,0 +1,643 @@
+// ORDER EMAIL IMPORT
+// =============================================================================
+// Turns a dealer order-confirmation email — pasted text or a saved .eml file —
+// into draft inventory items: line items (name, qty, unit price), the order
+// date, the vendor as purchaseLocation, and shipping/tax spread across lines
+// in proportion to their cost. Drafts go through showImportDiffReview like any
+// other merge import, so nothing is saved until the user applies them.
+//
+// Vendors are recognised from the retail feed's vendor list
+// (RETAIL_VENDOR_NAMES / RETAIL_VENDOR_URLS in retail.js). Parsing is
+// heuristic and layout-agnostic: a line item is a product-looking name plus a
+// quantity and $ amounts, either on one line or spread over the next few lines
+// (HTML tables flatten that way).
+// =============================================================================
+
+/**
+ * Purchase-location labels for vendors whose retail column label is an
+ * abbreviation. Others fall back to RETAIL_VENDOR_NAMES.
+ * @constant {Object<string, string>}
+ */
+const ORDER_EMAIL_VENDOR_LABELS = {
+  jmbullion: 'JM Bullion',
+  sdbullion: 'SD Bullion',
+  monumentmetals: 'Monument Metals',
+  herobullion: 'Hero Bullion',
+  bullionexchanges: 'Bullion Exchanges',
+  summitmetals: 'Summit Metals',
+};
+
+/** @constant {number} Lines after a product name that may still hold its qty/prices */
+const ORDER_EMAIL_ITEM_LOOKAHEAD = 5;
+
+/** @constant {RegExp} Words that make a line look like a bullion product name */
+const ORDER_PRODUCT_HINT = /\b(oz|ozt|ounces?|grams?|gram|kilo|kg|coins?|bars?|rounds?|eagles?|maples?|krugerrands?|britannias?|philharmonics?|pandas?|buffalo|kangaroos?|libertads?|lunar|silver|gold|platinum|palladium|goldbacks?)\b/i;
+
+/** @constant {RegExp} $ amounts, including "(12.00)" and "-$5.00" discounts */
+const ORDER_MONEY = /(-|\()?\s?\$\s?([\d,]+(?:\.\d{1,2})?)\)?/g;
+
+/** @constant {RegExp} Order-level charge lines: captures the label */
+const ORDER_CHARGE_LINE = /^(shipping(?:\s*(?:&|and)\s*handling)?|handling|insurance|(?:estimated\s+|sales\s+)?tax(?:es)?|discount|coupon|promo(?:tion|\s*code)?|savings|(?:processing|payment|card|credit\s*card)\s*fee)\b/i;
+
+/** @constant {RegExp} Totals and payment lines that are never line items */
+const ORDER_SUMMARY_LINE = /^(sub\s*-?\s*total|order\s*total|grand\s*total|total|amount\s*(?:paid|due|charged)|payment|paid\s+(?:with|by)|balance|items?\s*total|merchandise\s*total)\b/i;
+
+/** @constant {RegExp} Labelled quantity ("Qty: 10", "Quantity 2") */
+const ORDER_QTY_LABEL = /\b(?:qty|quantity)\s*[:#]?\s*(\d{1,5})\b/i;
+
+// ---------------------------------------------------------------------------
+// Email decoding
+// ---------------------------------------------------------------------------
+
+/**
+ * Decodes quoted-printable text into bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+const _decodeQuotedPrintable = (text) => {
+  const clean = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < clean.length; i++) {
+    const ch = clean[i];
+    if (ch === '=' && /^[0-9A-F]{2}$/i.test(clean.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(clean.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      const code = clean.charCodeAt(i);
+      if (code < 0x80) {
+        bytes.push(code);
+      } else {
+        bytes.push(...new TextEncoder().encode(ch));
+      }
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Decodes a MIME part body according to its transfer encoding and charset.
+ * @param {string} body
+ * @param {string} encoding - Content-Transfer-Encoding
+ * @param {string} charset
+ * @returns {string}
+ */
+const _decodeMimeBody = (body, encoding, charset) => {
+  const enc = (encoding || '').toLowerCase();
+  let bytes = null;
+  try {
+    if (enc === 'base64') {
+      const bin = atob(body.replace(/\s+/g, ''));
+      bytes = Uint8Array.from(bin, (c) => c.charCodeAt(0));
+    } else if (enc === 'quoted-printable') {
+      bytes = _decodeQuotedPrintable(body);
+    }
+    if (!bytes) return body;
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch (e) {
+    debugLog('[order-email] could not decode part', enc, charset, e.message);
+    return body;
+  }
+};
+
+/**
+ * Decodes RFC 2047 encoded-words in a header value (=?utf-8?Q?…?=).
+ * @param {string} value
+ * @returns {string}
+ */
+const _decodeHeaderWords = (value) => String(value || '').replace(
+  /=\?([^?]+)\?([QB])\?([^?]*)\?=/gi,
+  (match, charset, type, text) => (type.toUpperCase() === 'B'
+    ? _decodeMimeBody(text, 'base64', charset)
+    : _decodeMimeBody(text.replace(/_/g, ' '), 'quoted-printable', charset)),
+);
+
+/**
+ * Splits a raw message (or MIME part) into lower-cased headers and body.
+ * @param {string} raw
+ * @returns {{headers: Object<string, string>, body: string}}
+ */
+const _splitMimeHeaders = (raw) => {
+  const match = raw.match(/\r?\n\r?\n/);
+  const head = match ? raw.slice(0, match.index) : raw;
+  const body = match ? raw.slice(match.index + match[0].length) : '';
+  const headers = {};
+  head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach((line) => {
+    const idx = line.indexOf(':');
+    if (idx > 0) headers[line.slice(0, idx).trim().toLowerCase()] = line.slice(idx + 1).trim();
+  });
+  return { headers, body };
+};
+
+/**
+ * Extracts a parameter (boundary, charset) from a Content-Type header.
+ * @param {string} header
+ * @param {string} name
+ * @returns {string}
+ */
+const _mimeParam = (header, name) => {
+  const m = String(header || '').match(new RegExp(`${name}\\s*=\\s*"?([^";]+)"?`, 'i'));
+  return m ? m[1].trim() : '';
+};
+
+/**
+ * Finds the best text body in a MIME entity: text/plain preferred, else HTML.
+ * @param {string} raw - MIME entity including headers
+ * @param {number} [depth=0]
+ * @returns {{type: 'text'|'html', text: string}|null}
+ */
+const _extractMimeText = (raw, depth = 0) => {
+  const { headers, body } = _splitMimeHeaders(raw);
+  const contentType = (headers['content-type'] || 'text/plain').toLowerCase();
+  if (contentType.startsWith('multipart/') && depth < 5) {
+    const boundary = _mimeParam(headers['content-type'], 'boundary');
+    if (!boundary) return null;
+    const parts = body.split(`--${boundary}`).slice(1).filter((p) => !p.startsWith('--'));
+    let html = null;
+    for (const part of parts) {
+      const found = _extractMimeText(part.replace(/^\r?\n/, ''), depth + 1);
+      if (found && found.type === 'text' && found.text.trim()) return found;
+      if (found && found.type === 'html' && !html) html = found;
+    }
+    return html;
+  }
+  if (!contentType.startsWith('text/')) return null;
+  const text = _decodeMimeBody(body, headers['content-transfer-encoding'], _mimeParam(headers['content-type'], 'charset'));
+  return { type: contentType.startsWith('text/html') ? 'html' : 'text', text };
+};
+
+/**
+ * Flattens HTML to text lines; table cells stay on their row's line.
+ * @param {string} html
+ * @returns {string}
+ */
+const _orderHtmlToText = (html) => {
+  const marked = html
+    .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(tr|p|div|li|h[1-6]|table|section)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '  ')
+    .replace(/<[^>]+>/g, '');
+  const doc = new DOMParser().parseFromString(`<!doctype html><body><pre>${marked.replace(/</g, '&lt;')}</pre>`, 'text/html');
+  return doc.body.textContent || '';
+};
+
+/**
+ * Normalises pasted text, HTML or a raw .eml message into plain text plus
+ * the useful headers.
+ * @param {string} raw
+ * @returns {{text: string, subject: string, from: string, date: string}}
+ */
+const readOrderEmail = (raw) => {
+  const source = String(raw || '');
+  const looksLikeEml = /^(?:[\w-]+:.*\r?\n)+/.test(source) && /^(?:content-type|mime-version|from|received|return-path|delivered-to):/im.test(source.slice(0, 4000));
+  if (looksLikeEml) {
+    const { headers } = _splitMimeHeaders(source);
+    const found = _extractMimeText(source) || { type: 'text', text: '' };
+    return {
+      text: found.type === 'html' ? _orderHtmlToText(found.text) : found.text,
+      subject: _decodeHeaderWords(headers.subject),
+      from: _decodeHeaderWords(headers.from),
+      date: headers.date || '',
+    };
+  }
+  const isHtml = /<(html|table|body|div|td)\b/i.test(source);
+  return { text: isHtml ? _orderHtmlToText(source) : source, subject: '', from: '', date: '' };
+};
+
+// ---------------------------------------------------------------------------
+// Order parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Recognises the dealer from the sender and body using the retail vendor list.
+ * @param {string} text - Email body text
+ * @param {string} [from] - From header
+ * @returns {string|null} Vendor id (RETAIL_VENDOR_NAMES key)
+ */
+const detectOrderVendor = (text, from = '') => {
+  if (typeof RETAIL_VENDOR_NAMES === 'undefined') return null;
+  const ids = Object.keys(RETAIL_VENDOR_NAMES);
+  const needles = ids.map((id) => {
+    let host = '';
+    try { host = new URL(RETAIL_VENDOR_URLS[id]).hostname.replace(/^www\./, ''); } catch (e) { /* no URL */ }
+    const label = (ORDER_EMAIL_VENDOR_LABELS[id] || RETAIL_VENDOR_NAMES[id]).toLowerCase();
+    return { id, host, label };
+  });
+  for (const haystack of [String(from).toLowerCase(), String(text).toLowerCase()]) {
+    if (!haystack) continue;
+    const hit = needles.find((n) => (n.host && haystack.includes(n.host)) || (n.label.length > 3 && haystack.includes(n.label)));
+    if (hit) return hit.id;
+  }
+  return null;
+};
+
+/**
+ * Purchase-location label for a vendor id.
+ * @param {string|null} vendorId
+ * @returns {string}
+ */
+const getOrderVendorLabel = (vendorId) => {
+  if (!vendorId) return '';
+  return ORDER_EMAIL_VENDOR_LABELS[vendorId]
+    || (typeof RETAIL_VENDOR_NAMES !== 'undefined' && RETAIL_VENDOR_NAMES[vendorId])
+    || vendorId;
+};
+
+/**
+ * Parses a date as written in an email ("March 4, 2025", "03/04/2025",
+ * RFC 2822 header dates) into YYYY-MM-DD.
+ * @param {string} value
+ * @returns {string} YYYY-MM-DD, or '' when unparseable
+ */
+const _parseOrderDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return '';
+  if (/^\d{1,4}[/-]\d{1,2}[/-]\d{1,4}$/.test(text)) {
+    const parsed = parseDate(text);
+    return /^\d{4}-\d{2}-\d{2}$/.test(parsed) ? parsed : '';
+  }
+  const d = new Date(text.replace(/(\d)(st|nd|rd|th)\b/, '$1'));
+  if (isNaN(d)) return '';
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Reads $ amounts from a line.
+ * @param {string} line
+ * @returns {number[]}
+ */
+const _lineAmounts = (line) => {
+  const amounts = [];
+  for (const m of line.matchAll(ORDER_MONEY)) {
+    const n = parseFloat(m[2].replace(/,/g, ''));
+    if (!isNaN(n)) amounts.push(m[1] ? -n : n);
+  }
+  return amounts;
+};
+
+/**
+ * Weight in troy ounces from a product name ("1/10 oz", "10 oz", "1 kilo",
+ * "100 gram"). Goldback names return their count in the "gb" unit.
+ * @param {string} name
+ * @returns {{weight: number, weightUnit: string}|null}
+ */
+const parseOrderItemWeight = (name) => {
+  const text = String(name || '');
+  const gb = text.match(/\b(\d+(?:\.\d+)?)\s*(?:gb\b|goldbacks?\b)/i);
+  if (gb) return { weight: parseFloat(gb[1]), weightUnit: 'gb' };
+  const m = text.match(/(\d+\s*\/\s*\d+|\d+(?:\.\d+)?)\s*-?\s*(troy\s*oz|ozt|oz|ounces?|kilos?|kg|grams?|gr?)\b/i);
+  if (!m) return null;
+  const [num, den] = m[1].split('/').map((n) => parseFloat(n));
+  const qty = den ? num / den : num;
+  const unit = m[2].toLowerCase();
+  let oz = qty;
+  if (unit.startsWith('kilo') || unit === 'kg') oz = gramsToOzt(qty * 1000);
+  else if (unit.startsWith('g')) oz = gramsToOzt(qty);
+  return { weight: parseFloat(oz.toFixed(6)), weightUnit: 'oz' };
+};
+
+/**
+ * Strips $ amounts, quantity labels and price labels from an item line,
+ * leaving the product name.
+ * @param {string} line
+ * @returns {string}
+ */
+const _orderItemName = (line) => line
+  .replace(ORDER_MONEY, ' ')
+  .replace(ORDER_QTY_LABEL, ' ')
+  .replace(/^\s*\d{1,5}\s*[x×]\s+/i, '')
+  .replace(/\b(unit\s*price|price|each|ea|total|line\s*total|subtotal|item|product|description|sku)\b\s*:?/gi, ' ')
+  .replace(/\s[x×@]\s*$/i, '')
+  .replace(/\s\d{1,5}\s*$/, '')
+  .replace(/\s+/g, ' ')
+  .replace(/^[\s:|–-]+|[\s:|–-]+$/g, '')
+  .trim();
+
+/**
+ * Parses order text into line items, charges and order metadata.
+ * @param {string} text - Plain email body
+ * @param {{from?: string, date?: string, subject?: string}} [meta] - Email headers
+ * @returns {{vendor: string|null, purchaseLocation: string, orderNumber: string, date: string,
+ *   lines: Array<{name: string, qty: number, unitPrice: number, lineTotal: number}>,
+ *   charges: {shipping: number, tax: number, fees: number, discount: number}}}
+ */
+const parseOrderEmail = (text, meta = {}) => {
+  const body = String(text || '');
+  const lines = body.split(/\r?\n/).map((l) => l.replace(/[\t\u00a0 ]+/g, ' ').trim()).filter(Boolean);
+  const vendor = detectOrderVendor(`${meta.subject || ''}\n${body}`, meta.from || '');
+  const charges = { shipping: 0, tax: 0, fees: 0, discount: 0 };
+  const items = [];
+
+  const orderNoMatch = `${meta.subject || ''}\n${body}`.match(/order(?:\s+confirmation)?\s*(?:#|number|no\.?|num(?:ber)?)\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,})/i);
+  const dateMatch = body.match(/(?:order(?:ed)?\s*(?:date|placed)|date\s*(?:ordered|placed)|placed\s+on|purchase\s*date|order\s*date)\s*[:-]?\s*([A-Z][a-z]{2,8}\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+\d{4}|\d{1,2}[/-]\d{1,2}[/-]\d{2,4}|\d{4}-\d{2}-\d{2})/i);
+  const date = (dateMatch && _parseOrderDate(dateMatch[1])) || _parseOrderDate(meta.date) || '';
+
+  let pending = null;
+  const flush = () => {
+    if (pending && pending.name && (pending.unit || pending.total)) {
+      let qty = pending.qty;
+      // Unit and line total together pin the quantity down better than a stray number
+      if (pending.unit && pending.total) {
+        const ratio = pending.total / pending.unit;
+        if (Math.round(ratio) >= 1 && Math.abs(ratio - Math.round(ratio)) < 0.01) qty = Math.round(ratio);
+      }
+      qty = qty || 1;
+      const lineTotal = pending.total || pending.unit * qty;
+      items.push({
+        name: pending.name,
+        qty,
+        unitPrice: parseFloat((pending.unit || lineTotal / qty).toFixed(2)),
+        lineTotal: parseFloat(lineTotal.toFixed(2)),
+      });
+    }
+    pending = null;
+  };
+
+  for (const line of lines) {
+    const chargeMatch = line.match(ORDER_CHARGE_LINE);
+    if (chargeMatch) {
+      flush();
+      const amount = _lineAmounts(line).pop() || 0;
+      const label = chargeMatch[1].toLowerCase();
+      if (/tax/.test(label)) charges.tax += amount;
+      else if (/discount|coupon|promo|savings/.test(label)) charges.discount -= Math.abs(amount);
+      else if (/fee/.test(label)) charges.fees += amount;
+      else charges.shipping += amount;
+      continue;
+    }
+    if (ORDER_SUMMARY_LINE.test(line)) {
+      flush();
+      continue;
+    }
+
+    const amounts = _lineAmounts(line).filter((n) => n > 0);
+    const qtyLabel = line.match(ORDER_QTY_LABEL);
+    const leadingQty = line.match(/^(\d{1,5})\s*[x×]\s+/i);
+    const trailingQty = amounts.length ? line.match(/\s(\d{1,5})\s*(?:[x×@]\s*)?\$/i) : null;
+    const name = _orderItemName(line);
+    const isProductLine = name.length > 4 && ORDER_PRODUCT_HINT.test(name);
+
+    if (!amounts.length && !qtyLabel) {
+      if (isProductLine) {
+        flush();
+        pending = { name, qty: leadingQty ? parseInt(leadingQty[1], 10) : 0, unit: 0, total: 0, age: 0 };
+      } else if (pending && ++pending.age > ORDER_EMAIL_ITEM_LOOKAHEAD) {
+        flush();
+      }
+      continue;
+    }
+
+    if (isProductLine) {
+      flush();
+      pending = { name, qty: 0, unit: 0, total: 0, age: 0 };
+    }
+    if (!pending) continue;
+
+    const qtyText = (qtyLabel || leadingQty || trailingQty || [])[1];
+    if (qtyText && !pending.qty) pending.qty = parseInt(qtyText, 10);
+    if (amounts.length >= 2) {
+      pending.unit = pending.unit || amounts[0];
+      pending.total = amounts[amounts.length - 1];
+    } else if (amounts.length === 1) {
+      const amount = amounts[0];
+      if (/\b(unit\s*price|price\s*(?:each|per)|each|ea\b|per\s*(?:unit|coin|bar|item))|@/i.test(line) || (/\bprice\b/i.test(line) && !/total/i.test(line))) {
+        pending.unit = amount;
+      } else {
+        pending.total = amount;
+      }
+    }
+  }
+  flush();
+
+  return {
+    vendor,
+    purchaseLocation: getOrderVendorLabel(vendor),
+    orderNumber: orderNoMatch ? orderNoMatch[1] : '',
+    date,
+    lines: items,
+    charges,
+  };
+};
+
+/**
+ * Spreads shipping, tax, fees and discounts across lines by line total.
+ * @param {Array<{lineTotal: number}>} lines
+ * @param {{shipping: number, tax: number, fees: number, discount: number}} charges
+ * @returns {number[]} Extra cost per line (sums to the charge total)
+ */
+const allocateOrderCharges = (lines, charges) => {
+  const extra = charges.shipping + charges.tax + charges.fees + charges.discount;
+  const base = lines.reduce((sum, l) => sum + l.lineTotal, 0);
+  if (!extra || !base) return lines.map(() => 0);
+  const shares = lines.map((l) => Math.round((extra * l.lineTotal / base) * 100) / 100);
+  // Put any rounding remainder on the largest line so the shares add up exactly
+  const remainder = Math.round((extra - shares.reduce((a, b) => a + b, 0)) * 100) / 100;
+  if (remainder) {
+    const largest = lines.reduce((best, l, i) => (l.lineTotal > lines[best].lineTotal ? i : best), 0);
+    shares[largest] = Math.round((shares[largest] + remainder) * 100) / 100;
+  }
+  return shares;
+};
+
+/**
+ * Builds draft inventory items from a parsed order.
+ * @param {ReturnType<typeof parseOrderEmail>} order
+ * @param {{allocate?: boolean}} [opts] - allocate: spread charges into unit prices (default true)
+ * @returns {{items: Object[], skipped: string[], allocated: number[]}}
+ */
+const buildOrderDraftItems = (order, { allocate = true } = {}) => {
+  const columns = { name: 'name', qty: 'qty', price: 'price', date: 'date', purchaseLocation: 'purchaseLocation', notes: 'notes' };
+  const items = [];
+  const skipped = [];
+  const metalLines = [];
+  const mapped = order.lines.map((line) => {
+    const result = CustomMapping.mapRow({ name: line.name, qty: String(line.qty) }, columns, { dateFormat: 'ymd' });
+    if (result.item) metalLines.push(line);
+    return result;
+  });
+  // Only bullion lines share the charges — accessories are skipped below
+  const shares = allocate ? allocateOrderCharges(metalLines, order.charges) : metalLines.map(() => 0);
+
+  let m = 0;
+  order.lines.forEach((line, i) => {
+    if (!mapped[i].item) {
+      skipped.push(mapped[i].reason);
+      return;
+    }
+    const share = shares[m++];
+    const weight = parseOrderItemWeight(line.name);
+    const noteParts = [];
+    if (order.orderNumber) noteParts.push(`Order #${order.orderNumber}`);
+    if (share) noteParts.push(`includes ${formatCurrency(share, 'USD')} allocated shipping/tax`);
+    const row = {
+      name: line.name,
+      qty: String(line.qty),
+      price: String(parseFloat(((line.lineTotal + share) / line.qty).toFixed(2))),
+      date: order.date,
+      purchaseLocation: order.purchaseLocation,
+      notes: noteParts.join(' — '),
+    };
+    const { item } = CustomMapping.mapRow(row, columns, { dateFormat: 'ymd' });
+    if (weight) {
+      item.weight = weight.weight;
+      item.weightUnit = weight.weightUnit;
+    }
+    items.push(item);
+  });
+  return { items, skipped, allocated: shares };
+};
+
+// ---------------------------------------------------------------------------
+// Modal
+// ---------------------------------------------------------------------------
+
+/** @type {{order: Object, items: Object[], skipped: string[]}|null} */
+let orderEmailState = null;
+
+/**
+ * Parses the textarea contents and renders the draft preview.
+ */
+const renderOrderEmailPreview = () => {
+  const input = document.getElementById('orderEmailText');
+  const preview = document.getElementById('orderEmailPreview');
+  const importBtn = document.getElementById('orderEmailImportBtn');
+  if (!input || !preview) return;
+
+  const raw = input.value.trim();
+  if (!raw) {
+    orderEmailState = null;
+    preview.innerHTML = '';
+    if (importBtn) importBtn.disabled = true;
+    return;
+  }
+  const email = readOrderEmail(raw);
+  const order = parseOrderEmail(email.text, email);
+  const allocateBox = document.getElementById('orderEmailAllocate');
+  const { items, skipped, allocated } = buildOrderDraftItems(order, { allocate: !allocateBox || allocateBox.checked });
+  orderEmailState = { order, items, skipped };
+  if (importBtn) importBtn.disabled = items.length === 0;
+
+  const c = order.charges;
+  const chargeText = [
+    c.shipping ? `Shipping ${formatCurrency(c.shipping, 'USD')}` : '',
+    c.tax ? `Tax ${formatCurrency(c.tax, 'USD')}` : '',
+    c.fees ? `Fees ${formatCurrency(c.fees, 'USD')}` : '',
+    c.discount ? `Discount ${formatCurrency(c.discount, 'USD')}` : '',
+  ].filter(Boolean).join(' · ') || 'No shipping or tax found';
+  const meta = [
+    order.purchaseLocation || 'Vendor not recognised',
+    order.date || 'No order date (today will be used)',
+    order.orderNumber ? `Order #${order.orderNumber}` : '',
+  ].filter(Boolean).map((t) => `<span>${escapeHtml(t)}</span>`).join('');
+
+  const rows = items.map((item, i) => `<tr>
+      <td>${escapeHtml(item.name)}</td>
+      <td>${escapeHtml(item.metal)}</td>
+      <td class="num">${item.qty}</td>
+      <td class="num">${item.weight ? `${item.weight} ${item.weightUnit}` : '—'}</td>
+      <td class="num">${formatCurrency(item.price, 'USD')}</td>
+      <td class="num">${allocated[i] ? formatCurrency(allocated[i], 'USD') : '—'}</td>
+    </tr>`).join('');
+
+  preview.innerHTML = `
+    <div class="order-email-meta">${meta}</div>
+    <p class="settings-subtext">${escapeHtml(chargeText)}</p>
+    ${items.length ? `<div class="csv-mapping-table-wrap"><table class="csv-mapping-table">
+      <thead><tr><th>Item</th><th>Metal</th><th>Qty</th><th>Weight</th><th>Unit cost</th><th>Allocated</th></tr></thead>
+      <tbody>${rows}</tbody></table></div>`
+    : '<p class="settings-subtext">No line items found. Paste the full confirmation email, including quantities and $ prices.</p>'}
+    ${skipped.length ? `<p class="settings-subtext">Skipped (no precious metal): ${skipped.map(escapeHtml).join(', ')}</p>` : ''}`;
+};
+
+/**
+ * Sends the drafts to the import diff review.
+ */
+const confirmOrderEmailImport = () => {
+  if (!orderEmailState || orderEmailState.items.length === 0) return;
+  const { order, items } = orderEmailState;
+  const today = todayStr();
+  items.forEach((item) => {
+    item.serial = getNextSerial();
+    if (!order.date) item.date = today;
+  });
+  closeOrderEmailModal();
+
+  let imported = items;
+  let validationResult = null;
+  if (typeof buildImportValidationResult === 'function') {
+    validationResult = buildImportValidationResult(items, []);
+    if (validationResult.valid.length === 0) {
+      const firstReason = validationResult.invalid.length > 0 ? validationResult.invalid[0].reasons[0] : 'Unknown error';
+      showToast('No items could be imported: ' + firstReason);
+      return;
+    }
+    imported = validationResult.valid;
+  }
+  const label = [order.purchaseLocation, order.orderNumber ? `order #${order.orderNumber}` : 'order'].filter(Boolean).join(' ');
+  showImportDiffReview(imported, { type: 'email', label }, { validationResult, additiveOnly: true }, (summary) => {
+    debugLog('order email import complete', summary.added, 'added');
+  });
+};
+
+/**
+ * Opens the order email modal with an empty form.
+ */
+const showOrderEmailModal = () => {
+  const input = document.getElementById('orderEmailText');
+  if (input) input.value = '';
+  renderOrderEmailPreview();
+  if (window.openModalById) openModalById('orderEmailModal');
+  if (input) input.focus();
+};
+
+/**
+ * Closes the order email modal and drops the drafts.
+ */
+const closeOrderEmailModal = () => {
+  if (window.closeModalById) closeModalById('orderEmailModal');
+  orderEmailState = null;
+};
+
+/**
+ * Wires the order email modal. Called once from events.js.
+ */
+const setupOrderEmailImport = () => {
+  const bind = (id, event, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(event, handler);
+  };
+  bind('importOrderEmailBtn', 'click', showOrderEmailModal);
+  bind('orderEmailCloseBtn', 'click', closeOrderEmailModal);
+  bind('orderEmailCancelBtn', 'click', closeOrderEmailModal);
+  bind('orderEmailImportBtn', 'click', confirmOrderEmailImport);
+  bind('orderEmailAllocate', 'change', renderOrderEmailPreview);
+
+  let timer = null;
+  bind('orderEmailText', 'input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(renderOrderEmailPreview, 300);
+  });
+
+  const fileInput = document.getElementById('orderEmailFile');
+  bind('orderEmailFileBtn', 'click', () => { if (fileInput) fileInput.click(); });
+  if (fileInput) {
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files && e.target.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      const input = document.getElementById('orderEmailText');
+      if (input) input.value = await file.text();
+      renderOrderEmailPreview();
+    });
+  }
+};
+
+// Expose globally
+window.readOrderEmail = readOrderEmail;
+window.parseOrderEmail = parseOrderEmail;
+window.parseOrderItemWeight = parseOrderItemWeight;
+window.allocateOrderCharges = allocateOrderCharges;
+window.buildOrderDraftItems = buildOrderDraftItems;
+window.showOrderEmailModal = showOrderEmailModal;
+window.closeOrderEmailModal = closeOrderEmailModal;
+window.setupOrderEmailImport = setupOrderEmailImport;
@@ -0,0 +1,416 @@
+// PORTFOLIO VALUE TIMELINE
+// =============================================================================
+// Reconstructs what the stack was worth on past dates by replaying purchases
+// and dispositions against the daily spot series (data/spot-history-*.json
+// plus live spotHistory, via getHistoricalSparklineData in spot.js).
+//
+// Each item enters the timeline on its purchase date and leaves on its
+// disposition date; split lots from the lot engine (js/tax-lots.js) are
+// separate rows, so partial sales replay correctly. Values are melt-based —
+// historical retail premiums are not recorded — and cost basis is price × qty.
+// Items without a usable purchase date are left out and counted separately.
+// =============================================================================
+
+/** @constant {Object<string, string>} Timeline granularities → button labels */
+const TIMELINE_GRANULARITIES = { day: 'Day', week: 'Week', month: 'Month' };
+
+/** @type {Chart|null} Active timeline chart in the details modal */
+let portfolioTimelineChart = null;
+
+/** @type {number} Render generation — stale async renders bail out when it changes */
+let portfolioTimelineRenderId = 0;
+
+/**
+ * Normalize a date string to "YYYY-MM-DD", or '' when it is not a real date
+ * (placeholders like "—" or "Unknown").
+ * @param {string} dateStr - Item or disposition date
+ * @returns {string}
+ */
+const _timelineDay = (dateStr) => {
+  const m = typeof dateStr === 'string' ? dateStr.trim().match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : '';
+};
+
+/**
+ * Today's date as "YYYY-MM-DD" in local time.
+ * @returns {string}
+ */
+const _timelineToday = () => {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+};
+
+/**
+ * Shift a "YYYY-MM-DD" date by a number of days (UTC arithmetic, DST-safe).
+ * @param {string} day - Start date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+const _timelineAddDays = (day, days) => {
+  const d = new Date(`${day}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * Bucket end dates between start and end (inclusive). The final bucket is
+ * always the end date so the last point matches today's totals.
+ * @param {string} start - First date "YYYY-MM-DD"
+ * @param {string} end - Last date "YYYY-MM-DD"
+ * @param {'day'|'week'|'month'} granularity
+ * @returns {string[]}
+ */
+const getTimelineBucketDates = (start, end, granularity) => {
+  const dates = [];
+  if (!start || !end || start > end) return end ? [end] : dates;
+  if (granularity === 'month') {
+    let [y, m] = start.split('-').map(Number);
+    for (;;) {
+      // Last day of month m (day 0 of the following month)
+      const last = new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+      if (last >= end) break;
+      dates.push(last);
+      m += 1;
+      if (m > 12) { m = 1; y += 1; }
+    }
+  } else {
+    const step = granularity === 'week' ? 7 : 1;
+    for (let day = start; day < end; day = _timelineAddDays(day, step)) dates.push(day);
+  }
+  dates.push(end);
+  return dates;
+};
+
+/**
+ * Pick a granularity that keeps the chart readable for the span covered.
+ * @param {string} start - First date "YYYY-MM-DD"
+ * @param {string} end - Last date "YYYY-MM-DD"
+ * @returns {'day'|'week'|'month'}
+ */
+const getDefaultTimelineGranularity = (start, end) => {
+  const days = (new Date(`${end}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / 86400000;
+  if (days <= 180) return 'day';
+  if (days <= 3 * 365) return 'week';
+  return 'month';
+};
+
+/**
+ * Build the add/remove events the timeline replays.
+ * @param {Array<Object>} items - Inventory items (active and disposed)
+ * @returns {{events: Array<Object>, start: string, undatedCount: number}}
+ *   events sorted by date: { date, metal, oz, cost, sign }
+ */
+const buildTimelineEvents = (items) => {
+  const events = [];
+  let start = '';
+  let undatedCount = 0;
+  items.forEach(item => {
+    const disposed = isDisposed(item);
+    const acquired = _timelineDay((disposed && item.disposition.acquiredDate) || item.date);
+    const disposedOn = disposed ? _timelineDay(item.disposition.date) : '';
+    if (!acquired || (disposed && !disposedOn)) {
+      undatedCount += 1;
+      return;
+    }
+    // Fine ounces: melt value at a spot of 1
+    const oz = computeMeltValue(item, 1);
+    const cost = (parseFloat(item.price) || 0) * (Number(item.qty) || 0);
+    events.push({ date: acquired, metal: item.metal, oz, cost, sign: 1 });
+    if (disposed) events.push({ date: disposedOn, metal: item.metal, oz, cost, sign: -1 });
+    if (!start || acquired < start) start = acquired;
+  });
+  events.sort((a, b) => a.date.localeCompare(b.date));
+  return { events, start, undatedCount };
+};
+
+/**
+ * Replay inventory against historical spot prices.
+ *
+ * @param {Array<Object>} items - Items to replay (active and disposed)
+ * @param {Object<string, {labels: string[], data: number[]}>} spotSeries - Daily spot
+ *   per metal name, ascending (shape of getHistoricalSparklineData())
+ * @param {Object} [options]
+ * @param {'day'|'week'|'month'} [options.granularity] - Defaults by span
+ * @param {string} [options.endDate] - Last date "YYYY-MM-DD" (default today)
+ * @param {Object<string, number>} [options.currentSpot] - Spot by metal name used
+ *   for the final point, so it matches the summary cards
+ * @returns {{labels: string[], granularity: string, undatedCount: number,
+ *   total: {melt: Array<number|null>, cost: number[], gain: Array<number|null>},
+ *   metals: Object<string, {melt: Array<number|null>, cost: number[], gain: Array<number|null>}>}}
+ *   Melt/gain are null where no spot price is known on or before that date.
+ */
+const buildPortfolioTimeline = (items, spotSeries, options = {}) => {
+  const { events, start, undatedCount } = buildTimelineEvents(items);
+  const endDate = options.endDate || _timelineToday();
+  const granularity = TIMELINE_GRANULARITIES[options.granularity]
+    ? options.granularity
+    : (start ? getDefaultTimelineGranularity(start, endDate) : 'month');
+  const labels = start ? getTimelineBucketDates(start, endDate, granularity) : [];
+
+  const metalNames = [...new Set(events.map(e => e.metal))];
+  const holdings = {};
+  const cursors = {};
+  const metals = {};
+  metalNames.forEach(name => {
+    holdings[name] = { oz: 0, cost: 0 };
+    cursors[name] = { idx: -1, spot: null };
+    metals[name] = { melt: [], cost: [], gain: [] };
+  });
+  const total = { melt: [], cost: [], gain: [] };
+
+  let eventIdx = 0;
+  labels.forEach(day => {
+    while (eventIdx < events.length && events[eventIdx].date <= day) {
+      const e = events[eventIdx++];
+      holdings[e.metal].oz += e.sign * e.oz;
+      holdings[e.metal].cost += e.sign * e.cost;
+    }
+
+    let totalMelt = 0;
+    let totalCost = 0;
+    let totalKnown = true;
+    metalNames.forEach(name => {
+      // Advance to the last spot on or before this bucket (carry forward over weekends/holidays)
+      const series = spotSeries[name] || { labels: [], data: [] };
+      const cursor = cursors[name];
+      while (cursor.idx + 1 < series.labels.length && series.labels[cursor.idx + 1] <= day) {
+        cursor.idx += 1;
+        cursor.spot = series.data[cursor.idx];
+      }
+      const live = day === endDate ? Number(options.currentSpot?.[name]) : 0;
+      const spot = live > 0 ? live : cursor.spot;
+
+      const { oz, cost } = holdings[name];
+      // Floating-point residue from add/remove pairs reads as "nothing held"
+      const held = Math.abs(oz) > 1e-9 || Math.abs(cost) > 1e-6;
+      const melt = !held ? 0 : (spot == null ? null : oz * spot);
+      const heldCost = held ? cost : 0;
+      metals[name].melt.push(melt);
+      metals[name].cost.push(heldCost);
+      metals[name].gain.push(melt == null ? null : melt - heldCost);
+
+      if (melt == null) totalKnown = false;
+      else totalMelt += melt;
+      totalCost += heldCost;
+    });
+    total.melt.push(totalKnown ? totalMelt : null);
+    total.cost.push(totalCost);
+    total.gain.push(totalKnown ? totalMelt - totalCost : null);
+  });
+
+  return { labels, granularity, undatedCount, total, metals };
+};
+
+/**
+ * Load daily spot series for each metal back to the given date.
+ * @param {string[]} metalNames - Metal names ('Silver', 'Gold', …)
+ * @param {string} start - Earliest date needed "YYYY-MM-DD"
+ * @returns {Promise<Object<string, {labels: string[], data: number[]}>>}
+ */
+const loadTimelineSpotSeries = async (metalNames, start) => {
+  // Reach a few days further back so a weekend purchase still has a prior close
+  const days = Math.ceil((Date.now() - new Date(`${start}T00:00:00Z`)) / 86400000) + 7;
+  const series = await Promise.all(metalNames.map(name => getHistoricalSparklineData(name, days)));
+  const result = {};
+  metalNames.forEach((name, i) => { result[name] = series[i]; });
+  return result;
+};
+
+/**
+ * Destroy the timeline chart (modal close / re-render).
+ */
+const destroyPortfolioTimelineChart = () => {
+  portfolioTimelineRenderId += 1;
+  if (portfolioTimelineChart) {
+    portfolioTimelineChart.destroy();
+    portfolioTimelineChart = null;
+  }
+};
+
+/**
+ * Draw the timeline line chart for one series (a metal or the total).
+ * @param {HTMLCanvasElement} canvas - Target canvas
+ * @param {string[]} labels - Bucket dates
+ * @param {{melt: Array<number|null>, cost: number[], gain: Array<number|null>}} series
+ * @returns {Chart}
+ */
+const createPortfolioTimelineChart = (canvas, labels, series) => {
+  const textColor = getChartTextColor();
+  const bgColor = getChartBackgroundColor();
+  const fmt = (value) => (typeof formatCurrency === 'function' ? formatCurrency(value) : '$' + value);
+
+  return new Chart(canvas, {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        {
+          label: 'Melt Value',
+          data: series.melt,
+          borderColor: '#10b981',
+          backgroundColor: 'rgba(16, 185, 129, 0.12)',
+          fill: 'origin',
+          tension: 0.2,
+          pointRadius: 0,
+          pointHoverRadius: 4,
+          borderWidth: 2,
+        },
+        {
+          label: 'Cost Basis',
+          data: series.cost,
+          borderColor: '#ef4444',
+          backgroundColor: 'transparent',
+          borderDash: [6, 3],
+          stepped: true,
+          pointRadius: 0,
+          pointHoverRadius: 4,
+          borderWidth: 1.5,
+        },
+        {
+          label: 'Unrealized Gain/Loss',
+          data: series.gain,
+          borderColor: '#3b82f6',
+          backgroundColor: 'transparent',
+          tension: 0.2,
+          pointRadius: 0,
+          pointHoverRadius: 4,
+          borderWidth: 1.5,
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: { duration: 400 },
+      interaction: { mode: 'index', intersect: false },
+      scales: {
+        x: {
+          ticks: { color: textColor, maxTicksLimit: 8, autoSkip: true, font: { size: 10 } },
+          grid: { display: false }
+        },
+        y: {
+          ticks: { color: textColor, font: { size: 10 }, callback: (value) => fmt(value) },
+          grid: { color: 'rgba(128,128,128,0.1)' }
+        }
+      },
+      plugins: {
+        legend: {
+          position: 'bottom',
+          labels: { color: textColor, usePointStyle: true, pointStyle: 'line', padding: 12, font: { size: 10 } }
+        },
+        tooltip: {
+          backgroundColor: bgColor,
+          titleColor: textColor,
+          bodyColor: textColor,
+          borderColor: textColor,
+          borderWidth: 1,
+          callbacks: {
+            label: (ctx) => (ctx.parsed.y === null ? null : `${ctx.dataset.label}: ${fmt(ctx.parsed.y)}`)
+          }
+        }
+      }
+    }
+  });
+};
+
+/**
+ * Render the "Value Over Time" panel in the details modal.
+ * Uses the active portfolio; a single-metal modal shows only that metal,
+ * the All Metals modal offers a Total / per-metal selector.
+ *
+ * @param {string} metal - 'All' or a metal name
+ * @param {Object} [options]
+ * @param {string} [options.granularity] - 'day' | 'week' | 'month' (default by span)
+ * @param {string} [options.series] - 'total' or a metal name (All view only)
+ * @returns {Promise<void>}
+ */
+const renderPortfolioTimeline = async (metal, options = {}) => {
+  const panel = document.getElementById('portfolioTimelinePanel');
+  const canvas = document.getElementById('portfolioTimelineChart');
+  const note = document.getElementById('portfolioTimelineNote');
+  const toggle = document.getElementById('portfolioTimelineGranularity');
+  const seriesSelect = document.getElementById('portfolioTimelineSeries');
+  if (!panel || !canvas) return;
+
+  destroyPortfolioTimelineChart();
+  const renderId = portfolioTimelineRenderId;
+  const isAll = metal === 'All';
+  const items = getPortfolioItems().filter(item => isAll || item.metal === metal);
+  const { start } = buildTimelineEvents(items);
+
+  panel.style.display = '';
+  if (!start) {
+    if (toggle) toggle.style.display = 'none';
+    if (seriesSelect) seriesSelect.style.display = 'none';
+    canvas.style.display = 'none';
+    if (note) note.textContent = 'Add purchase dates to your items to see how the stack’s value changed over time.';
+    return;
+  }
+  canvas.style.display = '';
+  if (note) note.textContent = 'Loading spot history…';
+
+  const metalNames = [...new Set(items.map(item => item.metal).filter(Boolean))];
+  const spotSeries = await loadTimelineSpotSeries(metalNames, start);
+  if (renderId !== portfolioTimelineRenderId) return;
+
+  const currentSpot = {};
+  Object.values(METALS).forEach(m => { currentSpot[m.name] = spotPrices[m.key]; });
+  const timeline = buildPortfolioTimeline(items, spotSeries, {
+    granularity: options.granularity,
+    currentSpot,
+  });
+
+  // Granularity buttons
+  if (toggle) {
+    toggle.style.display = '';
+    toggle.textContent = '';
+    Object.entries(TIMELINE_GRANULARITIES).forEach(([key, label]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'chart-metric-btn' + (key === timeline.granularity ? ' active' : '');
+      btn.dataset.granularity = key;
+      btn.textContent = label;
+      btn.addEventListener('click', () => {
+        renderPortfolioTimeline(metal, { ...options, granularity: key });
+      });
+      toggle.appendChild(btn);
+    });
+  }
+
+  // Total / per-metal selector (All Metals view only)
+  let seriesKey = isAll ? (options.series || 'total') : metal;
+  if (!timeline.metals[seriesKey] && seriesKey !== 'total') seriesKey = 'total';
+  if (seriesSelect) {
+    seriesSelect.style.display = isAll && metalNames.length > 1 ? '' : 'none';
+    seriesSelect.textContent = '';
+    ['total', ...Object.keys(timeline.metals)].forEach(key => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = key === 'total' ? 'All metals' : key;
+      seriesSelect.appendChild(opt);
+    });
+    seriesSelect.value = seriesKey;
+    seriesSelect.onchange = () => {
+      renderPortfolioTimeline(metal, { granularity: timeline.granularity, series: seriesSelect.value });
+    };
+  }
+
+  const series = seriesKey === 'total' ? timeline.total : timeline.metals[seriesKey];
+  portfolioTimelineChart = createPortfolioTimelineChart(canvas, timeline.labels, series);
+
+  if (note) {
+    const scope = typeof getActivePortfolioId === 'function' && getActivePortfolioId() !== 'all'
+      ? `${getPortfolioName(getActivePortfolioId())} portfolio. ` : '';
+    const undated = timeline.undatedCount > 0
+      ? ` ${timeline.undatedCount} item${timeline.undatedCount === 1 ? '' : 's'} without a purchase or disposition date not included.`
+      : '';
+    note.textContent = `${scope}Melt value at historical spot; retail premiums are not included.${undated}`;
+  }
+};
+
+// Expose globally
+window.getTimelineBucketDates = getTimelineBucketDates;
+window.buildPortfolioTimeline = buildPortfolioTimeline;
+window.renderPortfolioTimeline = renderPortfolioTimeline;
+window.destroyPortfolioTimelineChart = destroyPortfolioTimelineChart;
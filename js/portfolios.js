@@ -0,0 +1,433 @@
+// PORTFOLIOS
+// =============================================================================
+// Named portfolios ("Personal", "IRA", "Business") inside one inventory.
+// Every item carries a `portfolio` id; the portfolio list is synced with the
+// rest of the preferences while the active selection stays on this device.
+//
+// The active portfolio scopes the table, summary totals, imports and exports.
+// "all" is the combined view across every portfolio.
+// =============================================================================
+
+/**
+ * Returns the portfolio list, always starting with the default portfolio.
+ * @returns {Array<{id: string, name: string}>}
+ */
+const getPortfolios = () => {
+  const stored = loadDataSync(PORTFOLIOS_KEY, []);
+  const list = Array.isArray(stored)
+    ? stored.filter(p => p && typeof p.id === 'string' && p.id && typeof p.name === 'string')
+    : [];
+  if (!list.some(p => p.id === DEFAULT_PORTFOLIO_ID)) {
+    list.unshift({ id: DEFAULT_PORTFOLIO_ID, name: 'Personal' });
+  }
+  return list;
+};
+
+/**
+ * Persist the portfolio list and queue a cloud push.
+ * @param {Array<{id: string, name: string}>} list
+ */
+const savePortfolios = (list) => {
+  saveDataSync(PORTFOLIOS_KEY, list);
+  _portfolioIdCache = null;
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+};
+
+/**
+ * Whether more than one portfolio exists (switcher and per-item field are
+ * hidden until then).
+ * @returns {boolean}
+ */
+const hasMultiplePortfolios = () => getPortfolios().length > 1;
+
+/** Known portfolio ids, kept for the current task only (see _getPortfolioIdSet) */
+let _portfolioIdCache = null;
+
+/**
+ * Known portfolio ids. Table renders, totals and filter counts resolve every
+ * item's portfolio, so the list is read once and reused until the current
+ * task ends; restores and cloud pulls that rewrite the key are picked up by
+ * the next render.
+ * @returns {Set<string>}
+ */
+const _getPortfolioIdSet = () => {
+  if (!_portfolioIdCache) {
+    _portfolioIdCache = new Set(getPortfolios().map(p => p.id));
+    queueMicrotask(() => { _portfolioIdCache = null; });
+  }
+  return _portfolioIdCache;
+};
+
+/**
+ * Resolve an item's portfolio id. Unknown or missing ids (e.g. a portfolio
+ * deleted on another device) fall back to the default portfolio.
+ * @param {Object} item - Inventory item
+ * @returns {string}
+ */
+const getItemPortfolioId = (item) => {
+  const id = item && item.portfolio;
+  return id && _getPortfolioIdSet().has(id) ? id : DEFAULT_PORTFOLIO_ID;
+};
+
+/**
+ * Display name for a portfolio id.
+ * @param {string} id - Portfolio id or "all"
+ * @returns {string}
+ */
+const getPortfolioName = (id) => {
+  if (id === 'all') return 'All portfolios';
+  const match = getPortfolios().find(p => p.id === id);
+  return match ? match.name : getPortfolios()[0].name;
+};
+
+/**
+ * Look up a portfolio id by its display name (case-insensitive).
+ * @param {string} name
+ * @returns {string|null}
+ */
+const getPortfolioIdByName = (name) => {
+  const needle = String(name || '').trim().toLowerCase();
+  if (!needle) return null;
+  const match = getPortfolios().find(p => p.name.toLowerCase() === needle);
+  return match ? match.id : null;
+};
+
+/**
+ * Returns the active portfolio id, or "all" for the combined view.
+ * @returns {string}
+ */
+const getActivePortfolioId = () => {
+  const stored = String(loadDataSync(ACTIVE_PORTFOLIO_KEY, 'all'));
+  if (stored === 'all') return 'all';
+  return getPortfolios().some(p => p.id === stored) ? stored : 'all';
+};
+
+/**
+ * Portfolio that newly added or imported items land in: the active portfolio,
+ * or the default one while viewing all portfolios.
+ * @returns {string}
+ */
+const getNewItemPortfolioId = () => {
+  const active = getActivePortfolioId();
+  return active === 'all' ? DEFAULT_PORTFOLIO_ID : active;
+};
+
+/**
+ * Items belonging to a portfolio.
+ * @param {string} [portfolioId] - Portfolio id or "all"; defaults to the active portfolio
+ * @param {Array<Object>} [items=inventory] - Items to scan
+ * @returns {Array<Object>}
+ */
+const getPortfolioItems = (portfolioId = getActivePortfolioId(), items = inventory) => {
+  if (portfolioId === 'all') return items;
+  return items.filter(item => getItemPortfolioId(item) === portfolioId);
+};
+
+/**
+ * Filename fragment for exports of the active portfolio ("business_"), or an
+ * empty string in the combined view.
+ * @returns {string}
+ */
+const getPortfolioFileTag = () => {
+  const active = getActivePortfolioId();
+  return active === 'all' ? '' : `${active}_`;
+};
+
+/**
+ * Assign imported items to a portfolio before they are diffed. With a
+ * portfolio active everything goes there; in the combined view items keep a
+ * known `portfolio` id from the file and the rest go to the default portfolio.
+ * @param {Array<Object>} items - Parsed import items (mutated)
+ * @returns {Array<Object>} The same array
+ */
+const assignImportPortfolio = (items) => {
+  const active = getActivePortfolioId();
+  const known = new Set(getPortfolios().map(p => p.id));
+  items.forEach(item => {
+    if (active !== 'all') item.portfolio = active;
+    else if (!known.has(item.portfolio)) item.portfolio = DEFAULT_PORTFOLIO_ID;
+  });
+  return items;
+};
+
+/**
+ * Build the inventory for an override import: the imported items replace the
+ * active portfolio only, leaving other portfolios untouched. In the combined
+ * view the import replaces everything.
+ * @param {Array<Object>} items - Imported items (assigned to a portfolio)
+ * @returns {Array<Object>} New inventory array
+ */
+const replaceActivePortfolioItems = (items) => {
+  assignImportPortfolio(items);
+  const active = getActivePortfolioId();
+  if (active === 'all') return items;
+  return inventory.filter(item => getItemPortfolioId(item) !== active).concat(items);
+};
+
+/**
+ * Switch the active portfolio and refresh everything scoped to it.
+ * @param {string} id - Portfolio id or "all"
+ */
+const setActivePortfolio = (id) => {
+  const next = id === 'all' || getPortfolios().some(p => p.id === id) ? id : 'all';
+  saveDataSync(ACTIVE_PORTFOLIO_KEY, next);
+  renderPortfolioSwitcher();
+  renderTable();
+  if (typeof renderActiveFilters === 'function') renderActiveFilters();
+};
+
+/**
+ * Build a readable, unique id from a portfolio name (also used as the cloud
+ * vault filename).
+ * @param {string} name
+ * @returns {string}
+ */
+const _portfolioIdFromName = (name) => {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 32) || 'portfolio';
+  const taken = new Set(getPortfolios().map(p => p.id).concat('all'));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  return id;
+};
+
+/**
+ * Create a portfolio.
+ * @param {string} name - Display name
+ * @returns {{id?: string, error?: string}}
+ */
+const createPortfolio = (name) => {
+  const clean = String(name || '').trim();
+  if (!clean) return { error: 'Enter a portfolio name.' };
+  if (getPortfolioIdByName(clean)) return { error: `A portfolio named "${clean}" already exists.` };
+  const id = _portfolioIdFromName(clean);
+  savePortfolios([...getPortfolios(), { id, name: clean }]);
+  return { id };
+};
+
+/**
+ * Rename a portfolio.
+ * @param {string} id - Portfolio id
+ * @param {string} name - New display name
+ * @returns {{error?: string}}
+ */
+const renamePortfolio = (id, name) => {
+  const clean = String(name || '').trim();
+  if (!clean) return { error: 'Enter a portfolio name.' };
+  const existing = getPortfolioIdByName(clean);
+  if (existing && existing !== id) return { error: `A portfolio named "${clean}" already exists.` };
+  savePortfolios(getPortfolios().map(p => (p.id === id ? { ...p, name: clean } : p)));
+  return {};
+};
+
+/**
+ * Delete a portfolio. Its items move to the default portfolio.
+ * @param {string} id - Portfolio id (the default portfolio cannot be deleted)
+ * @returns {number} Number of items moved
+ */
+const deletePortfolio = (id) => {
+  if (id === DEFAULT_PORTFOLIO_ID) return 0;
+  let moved = 0;
+  inventory.forEach(item => {
+    if (item.portfolio === id) {
+      item.portfolio = DEFAULT_PORTFOLIO_ID;
+      moved++;
+    }
+  });
+  savePortfolios(getPortfolios().filter(p => p.id !== id));
+  if (moved > 0) saveInventory();
+  return moved;
+};
+
+/**
+ * Per-portfolio totals of active (non-disposed) holdings at current spot.
+ * @returns {Array<{id: string, name: string, items: number, purchased: number, retailValue: number, gainLoss: number}>}
+ */
+const summarizePortfolios = () => {
+  const metalKeys = {};
+  Object.values(METALS).forEach(m => { metalKeys[m.name] = m.key; });
+  const rows = getPortfolios().map(p => ({ id: p.id, name: p.name, items: 0, purchased: 0, retailValue: 0, gainLoss: 0 }));
+  const byId = new Map(rows.map(r => [r.id, r]));
+
+  inventory.forEach(item => {
+    if (isDisposed(item)) return;
+    const metalKey = metalKeys[item.metal];
+    if (!metalKey) return;
+    const row = byId.get(getItemPortfolioId(item));
+    const valuation = computeItemValuation(item, spotPrices[metalKey] || 0);
+    row.items += Number(item.qty) || 0;
+    row.purchased += valuation.purchaseTotal;
+    row.retailValue += valuation.retailTotal;
+    row.gainLoss += valuation.retailTotal - valuation.purchaseTotal;
+  });
+  return rows;
+};
+
+/**
+ * Fill a <select> with the portfolio list.
+ * @param {HTMLSelectElement} select - Target select element
+ * @param {string} selectedId - Id to select
+ * @param {boolean} [includeAll=false] - Prepend the "All portfolios" option
+ */
+const populatePortfolioSelect = (select, selectedId, includeAll = false) => {
+  if (!select) return;
+  select.textContent = '';
+  const options = includeAll ? [{ id: 'all', name: 'All portfolios' }, ...getPortfolios()] : getPortfolios();
+  options.forEach(p => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = p.name;
+    select.appendChild(opt);
+  });
+  select.value = options.some(p => p.id === selectedId) ? selectedId : options[0].id;
+};
+
+/**
+ * Render the header switcher (hidden while only one portfolio exists) and
+ * the item form's portfolio field.
+ */
+const renderPortfolioSwitcher = () => {
+  const multiple = hasMultiplePortfolios();
+  const wrap = document.getElementById('portfolioSwitcherWrap');
+  if (wrap) wrap.style.display = multiple ? '' : 'none';
+  populatePortfolioSelect(document.getElementById('portfolioSwitcher'), getActivePortfolioId(), true);
+
+  const fieldWrap = document.getElementById('itemPortfolioField');
+  if (fieldWrap) fieldWrap.style.display = multiple ? '' : 'none';
+
+  const allTitle = document.querySelector('.total-card-all .total-title');
+  if (allTitle) {
+    const active = getActivePortfolioId();
+    allTitle.textContent = active === 'all' ? 'All Metals' : `All Metals · ${getPortfolioName(active)}`;
+  }
+};
+
+/**
+ * Render the per-portfolio breakdown on the "All Metals" card. Only shown in
+ * the combined view when more than one portfolio exists.
+ */
+const renderPortfolioBreakdown = () => {
+  const container = document.getElementById('portfolioBreakdown');
+  if (!container) return;
+  if (getActivePortfolioId() !== 'all' || !hasMultiplePortfolios()) {
+    container.style.display = 'none';
+    return;
+  }
+  container.textContent = '';
+  summarizePortfolios().forEach(row => {
+    const line = document.createElement('div');
+    line.className = 'total-item';
+    const label = document.createElement('span');
+    label.className = 'total-label';
+    label.textContent = `${row.name}:`;
+    const value = document.createElement('span');
+    value.className = 'total-value';
+    value.textContent = formatCurrency(row.retailValue);
+    value.title = `${row.items} items · Purchase ${formatCurrency(row.purchased)} · Gain/Loss ${formatCurrency(row.gainLoss)}`;
+    line.append(label, value);
+    container.appendChild(line);
+  });
+  container.style.display = '';
+};
+
+/**
+ * Render the Settings → Portfolios list with rename and delete controls.
+ */
+const renderPortfolioSettings = () => {
+  const list = document.getElementById('portfolioSettingsList');
+  if (!list) return;
+  list.textContent = '';
+  const counts = {};
+  inventory.forEach(item => {
+    const id = getItemPortfolioId(item);
+    counts[id] = (counts[id] || 0) + 1;
+  });
+
+  getPortfolios().forEach(p => {
+    const row = document.createElement('div');
+    row.className = 'portfolio-settings-row';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = p.name;
+    input.setAttribute('aria-label', `Portfolio name: ${p.name}`);
+    input.addEventListener('change', () => {
+      const result = renamePortfolio(p.id, input.value);
+      if (result.error) {
+        appAlert(result.error, 'Portfolios');
+        input.value = p.name;
+        return;
+      }
+      renderPortfolioSwitcher();
+      renderPortfolioSettings();
+      updateSummary();
+    });
+
+    const count = document.createElement('span');
+    count.className = 'portfolio-settings-count';
+    const n = counts[p.id] || 0;
+    count.textContent = `${n} item${n === 1 ? '' : 's'}`;
+
+    row.append(input, count);
+
+    if (p.id !== DEFAULT_PORTFOLIO_ID) {
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'btn danger';
+      del.textContent = 'Delete';
+      del.addEventListener('click', async () => {
+        const defaultName = getPortfolioName(DEFAULT_PORTFOLIO_ID);
+        const ok = await showAppConfirm(
+          `Delete portfolio "${p.name}"? Its ${counts[p.id] || 0} items move to "${defaultName}".`,
+          'Delete Portfolio'
+        );
+        if (!ok) return;
+        deletePortfolio(p.id);
+        renderPortfolioSettings();
+        renderPortfolioSwitcher();
+        renderTable();
+      });
+      row.appendChild(del);
+    }
+
+    list.appendChild(row);
+  });
+};
+
+/**
+ * Handle the Settings → Portfolios "Add" button.
+ */
+const addPortfolioFromSettings = () => {
+  const input = safeGetElement('portfolioNewName');
+  const result = createPortfolio(input.value);
+  if (result.error) {
+    appAlert(result.error, 'Portfolios');
+    return;
+  }
+  input.value = '';
+  renderPortfolioSettings();
+  renderPortfolioSwitcher();
+  updateSummary();
+};
+
+// Expose globally
+window.getPortfolios = getPortfolios;
+window.hasMultiplePortfolios = hasMultiplePortfolios;
+window.getItemPortfolioId = getItemPortfolioId;
+window.getPortfolioName = getPortfolioName;
+window.getPortfolioIdByName = getPortfolioIdByName;
+window.getActivePortfolioId = getActivePortfolioId;
+window.getNewItemPortfolioId = getNewItemPortfolioId;
+window.getPortfolioItems = getPortfolioItems;
+window.getPortfolioFileTag = getPortfolioFileTag;
+window.assignImportPortfolio = assignImportPortfolio;
+window.replaceActivePortfolioItems = replaceActivePortfolioItems;
+window.setActivePortfolio = setActivePortfolio;
+window.createPortfolio = createPortfolio;
+window.renamePortfolio = renamePortfolio;
+window.deletePortfolio = deletePortfolio;
+window.summarizePortfolios = summarizePortfolios;
+window.populatePortfolioSelect = populatePortfolioSelect;
+window.renderPortfolioSwitcher = renderPortfolioSwitcher;
+window.renderPortfolioBreakdown = renderPortfolioBreakdown;
+window.renderPortfolioSettings = renderPortfolioSettings;
+window.addPortfolioFromSettings = addPortfolioFromSettings;
@@ -0,0 +1,375 @@
+// PREMIUM-OVER-SPOT REPORT
+// =============================================================================
+// What each purchase cost above melt, grouped by product. Products are keyed
+// by the base name from normalizeItemName (autocomplete.js) plus metal and
+// fine weight, so "2024 American Silver Eagle BU" and "2025 American Silver
+// Eagle PCGS MS70" land in one group while 1 oz and 1/10 oz Eagles stay apart.
+//
+// Spot at purchase comes from the item's spotPriceAtPurchase; imports often
+// leave it at 0, so those fall back to the daily spot series for the purchase
+// date (getHistoricalSparklineData in spot.js, last close on or before).
+// Each group is compared with today's retail premium for the matching coin
+// in the retail feed (retail.js), and purchases above the median premium
+// for their metal are highlighted.
+// =============================================================================
+
+/** @constant {string[]} Words in retail coin names that carry no product identity */
+const PREMIUM_RETAIL_NOISE_WORDS = ['generic', 'silver', 'gold', 'platinum', 'palladium', 'goldback', 'coin'];
+
+/** @type {number} Render generation — stale async renders bail out when it changes */
+let premiumReportRenderId = 0;
+
+/**
+ * Normalize a date string to "YYYY-MM-DD", or '' for placeholders.
+ * @param {string} dateStr
+ * @returns {string}
+ */
+const _premiumDay = (dateStr) => {
+  const m = typeof dateStr === 'string' ? dateStr.trim().match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : '';
+};
+
+/**
+ * Median of a list of numbers, or null when empty.
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+const _premiumMedian = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Identity words of a product name: lowercase, without metal names, weights
+ * and filler, so "Generic 10oz Silver Bar" → ['bar'].
+ * @param {string} name
+ * @returns {string[]}
+ */
+const _premiumNameTokens = (name) => String(name || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !/^\d/.test(word) && !PREMIUM_RETAIL_NOISE_WORDS.includes(word));
+
+/**
+ * Spot price on a date: the last close on or before it, so weekend and
+ * holiday purchases use the prior trading day.
+ * @param {{labels: string[], data: number[]}} series - Daily spot, ascending
+ * @param {string} day - "YYYY-MM-DD"
+ * @returns {number|null} null when the date predates the series
+ */
+const lookupSpotOnDate = (series, day) => {
+  if (!series || !Array.isArray(series.labels) || !day) return null;
+  let lo = 0;
+  let hi = series.labels.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (series.labels[mid] <= day) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  const spot = found >= 0 ? Number(series.data[found]) : NaN;
+  return spot > 0 ? spot : null;
+};
+
+/**
+ * Premium one unit of an item carried over melt at a given spot.
+ * @param {Object} item - Inventory item (price is per unit)
+ * @param {number} spot - Spot per troy oz at purchase
+ * @returns {{ozPerUnit: number, perOz: number, pct: number}|null} null when the
+ *   item has no price, weight or spot to compare
+ */
+const getItemPremium = (item, spot) => {
+  const price = parseFloat(item.price) || 0;
+  const ozPerUnit = computeMeltValue({ ...item, qty: 1 }, 1);
+  if (price <= 0 || ozPerUnit <= 0 || !(spot > 0)) return null;
+  const perOz = price / ozPerUnit - spot;
+  return { ozPerUnit, perOz, pct: (perOz / spot) * 100 };
+};
+
+/**
+ * Find the retail-feed coin that matches a product group: same metal and
+ * fine weight, and every identity word of the retail name appears in the
+ * product name. The most specific match wins, so an "American Silver Eagle"
+ * product matches "ase" rather than the generic round.
+ * @param {string} productName - Base name from normalizeItemName
+ * @param {string} metal - Item metal name ('Silver', …)
+ * @param {number} ozPerUnit - Fine troy oz per unit
+ * @returns {string|null} Retail slug
+ */
+const findRetailSlugForProduct = (productName, metal, ozPerUnit) => {
+  if (typeof getActiveRetailSlugs !== 'function' || typeof getRetailCoinMeta !== 'function') return null;
+  const words = new Set(_premiumNameTokens(productName));
+  const metalKey = String(metal || '').toLowerCase();
+  let best = null;
+  let bestScore = 0;
+  getActiveRetailSlugs().forEach(slug => {
+    const meta = getRetailCoinMeta(slug);
+    if (!meta || meta.metal !== metalKey || !(meta.weight > 0)) return;
+    if (Math.abs(meta.weight - ozPerUnit) > meta.weight * 0.01) return;
+    const tokens = _premiumNameTokens(meta.name);
+    if (!tokens.length || !tokens.every(word => words.has(word))) return;
+    if (tokens.length > bestScore) {
+      best = slug;
+      bestScore = tokens.length;
+    }
+  });
+  return best;
+};
+
+/**
+ * Today's retail premium for a product group, from the retail feed's median
+ * price (lowest price when no median is published).
+ * @param {string} productName - Base name from normalizeItemName
+ * @param {string} metal - Item metal name
+ * @param {number} ozPerUnit - Fine troy oz per unit
+ * @param {number} spot - Current spot per troy oz
+ * @returns {{slug: string, name: string, price: number, perOz: number, pct: number}|null}
+ */
+const getRetailPremiumForProduct = (productName, metal, ozPerUnit, spot) => {
+  if (!(spot > 0) || typeof retailPrices === 'undefined' || !retailPrices?.prices) return null;
+  const slug = findRetailSlugForProduct(productName, metal, ozPerUnit);
+  const entry = slug ? retailPrices.prices[slug] : null;
+  const price = entry ? Number(entry.median_price) || Number(entry.lowest_price) || 0 : 0;
+  if (price <= 0) return null;
+  const meta = getRetailCoinMeta(slug);
+  const perOz = price / meta.weight - spot;
+  return { slug, name: meta.name, price, perOz, pct: (perOz / spot) * 100 };
+};
+
+/**
+ * Group purchases by product and measure premiums paid.
+ *
+ * @param {Array<Object>} items - Inventory items (active and disposed)
+ * @param {Object<string, {labels: string[], data: number[]}>} spotSeries - Daily spot
+ *   per metal name, used when an item has no spotPriceAtPurchase
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.currentSpot] - Spot by metal name for the
+ *   retail comparison
+ * @param {Function} [options.retailPremium] - (name, metal, ozPerUnit, spot) → retail
+ *   premium; defaults to getRetailPremiumForProduct
+ * @returns {{groups: Array<Object>, medians: Object<string, number>,
+ *   excluded: {noPrice: number, noSpot: number}}}
+ *   Groups are sorted by total premium paid, largest first. Each purchase has
+ *   { item, day, qty, price, spot, spotSource: 'item'|'history', perOz, pct, aboveMedian }.
+ */
+const buildPremiumReport = (items, spotSeries = {}, options = {}) => {
+  const retailPremium = options.retailPremium || getRetailPremiumForProduct;
+  const normalize = window.autocomplete && typeof window.autocomplete.normalizeItemName === 'function'
+    ? window.autocomplete.normalizeItemName
+    : (name) => name;
+  const excluded = { noPrice: 0, noSpot: 0 };
+  const purchases = [];
+
+  items.forEach(item => {
+    if (!((parseFloat(item.price) || 0) > 0) || !(computeMeltValue({ ...item, qty: 1 }, 1) > 0)) {
+      excluded.noPrice += 1;
+      return;
+    }
+    const day = _premiumDay((isDisposed(item) && item.disposition.acquiredDate) || item.date);
+    const recorded = parseFloat(item.spotPriceAtPurchase) || 0;
+    const spot = recorded > 0 ? recorded : lookupSpotOnDate(spotSeries[item.metal], day);
+    const premium = getItemPremium(item, spot);
+    if (!premium) {
+      excluded.noSpot += 1;
+      return;
+    }
+    purchases.push({
+      item,
+      day,
+      qty: Number(item.qty) || 1,
+      price: parseFloat(item.price),
+      spot,
+      spotSource: recorded > 0 ? 'item' : 'history',
+      ...premium,
+    });
+  });
+
+  // Median premium % per metal — silver and gold premiums differ too much to share one
+  const medians = {};
+  [...new Set(purchases.map(p => p.item.metal))].forEach(metal => {
+    medians[metal] = _premiumMedian(purchases.filter(p => p.item.metal === metal).map(p => p.pct));
+  });
+
+  const byKey = new Map();
+  purchases.forEach(p => {
+    p.aboveMedian = p.pct > medians[p.item.metal];
+    const name = normalize(p.item.name) || p.item.name || 'Unnamed';
+    const key = `${p.item.metal}|${name.toLowerCase()}|${p.ozPerUnit.toFixed(4)}`;
+    if (!byKey.has(key)) {
+      byKey.set(key, { key, name, metal: p.item.metal, ozPerUnit: p.ozPerUnit, purchases: [] });
+    }
+    byKey.get(key).purchases.push(p);
+  });
+
+  const groups = [...byKey.values()].map(group => {
+    let units = 0;
+    let oz = 0;
+    let premiumPaid = 0;
+    let spotValue = 0;
+    group.purchases.sort((a, b) => b.day.localeCompare(a.day));
+    group.purchases.forEach(p => {
+      units += p.qty;
+      oz += p.ozPerUnit * p.qty;
+      premiumPaid += p.perOz * p.ozPerUnit * p.qty;
+      spotValue += p.spot * p.ozPerUnit * p.qty;
+    });
+    const spotNow = Number(options.currentSpot?.[group.metal]) || 0;
+    return {
+      ...group,
+      units,
+      oz,
+      premiumPaid,
+      perOz: premiumPaid / oz,
+      pct: (premiumPaid / spotValue) * 100,
+      aboveMedianCount: group.purchases.filter(p => p.aboveMedian).length,
+      retail: retailPremium(group.name, group.metal, group.ozPerUnit, spotNow),
+    };
+  });
+  groups.sort((a, b) => b.premiumPaid - a.premiumPaid);
+
+  return { groups, medians, excluded };
+};
+
+/**
+ * Load spot history back to the oldest purchase that has no recorded spot.
+ * @param {Array<Object>} items
+ * @returns {Promise<Object<string, {labels: string[], data: number[]}>>}
+ */
+const loadPremiumSpotSeries = async (items) => {
+  const missing = items.filter(item => !(parseFloat(item.spotPriceAtPurchase) > 0));
+  const days = missing
+    .map(item => _premiumDay((isDisposed(item) && item.disposition.acquiredDate) || item.date))
+    .filter(Boolean)
+    .sort();
+  if (!days.length) return {};
+  const metalNames = [...new Set(missing.map(item => item.metal).filter(Boolean))];
+  return loadTimelineSpotSeries(metalNames, days[0]);
+};
+
+/**
+ * Format a premium as "$/oz (±%)" in the display currency.
+ * @param {number} perOz
+ * @param {number} pct
+ * @returns {string}
+ */
+const _formatPremium = (perOz, pct) => `${formatCurrency(perOz)}/oz (${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%)`;
+
+/**
+ * Fine weight label for a group: "1 oz", "0.1 oz", "10 oz".
+ * @param {number} oz
+ * @returns {string}
+ */
+const _formatPremiumWeight = (oz) => `${parseFloat(oz.toFixed(4))} oz`;
+
+/**
+ * Render the Premiums Paid panel in the details modal.
+ * @param {string} metal - 'All' or a metal name
+ * @returns {Promise<void>}
+ */
+const renderPremiumReport = async (metal) => {
+  const panel = document.getElementById('premiumReportPanel');
+  const table = document.getElementById('premiumReportTable');
+  const summary = document.getElementById('premiumReportSummary');
+  const note = document.getElementById('premiumReportNote');
+  if (!panel || !table) return;
+
+  premiumReportRenderId += 1;
+  const renderId = premiumReportRenderId;
+  const items = getPortfolioItems().filter(item => metal === 'All' || item.metal === metal);
+  panel.style.display = '';
+  table.innerHTML = '';
+  if (summary) summary.innerHTML = '';
+  if (note) note.textContent = 'Loading spot history…';
+
+  const spotSeries = await loadPremiumSpotSeries(items);
+  if (renderId !== premiumReportRenderId) return;
+
+  const currentSpot = {};
+  Object.values(METALS).forEach(m => { currentSpot[m.name] = spotPrices[m.key]; });
+  const report = buildPremiumReport(items, spotSeries, { currentSpot });
+
+  if (!report.groups.length) {
+    if (note) note.textContent = 'Add purchase prices and dates to your items to see the premiums you paid over spot.';
+    return;
+  }
+
+  if (summary) {
+    summary.innerHTML = Object.entries(report.medians)
+      .map(([name, pct]) => `<span class="premium-report-median">${escapeHtml(name)} median: <strong>${pct >= 0 ? '+' : ''}${pct.toFixed(1)}%</strong></span>`)
+      .join('');
+  }
+
+  const rows = report.groups.map((group, idx) => {
+    const retail = group.retail
+      ? `${_formatPremium(group.retail.perOz, group.retail.pct)}<span class="premium-report-sub">${escapeHtml(group.retail.name)}</span>`
+      : '<span class="premium-report-sub">No retail match</span>';
+    const above = group.aboveMedianCount
+      ? `<span class="premium-report-flag">${group.aboveMedianCount} of ${group.purchases.length}</span>`
+      : `0 of ${group.purchases.length}`;
+    const purchaseRows = group.purchases.map(p => `
+      <tr class="premium-report-purchase${p.aboveMedian ? ' premium-above-median' : ''}" data-group="${idx}" hidden>
+        <td>${escapeHtml(p.day ? parseDate(p.day) : '—')} · ${escapeHtml(p.item.name || '')}</td>
+        <td>${p.qty}</td>
+        <td>${formatCurrency(p.price)}</td>
+        <td title="${p.spotSource === 'item' ? 'Spot recorded with the item' : 'Spot from price history'}">${p.spotSource === 'history' ? '≈ ' : ''}${formatCurrency(p.spot)}</td>
+        <td>${_formatPremium(p.perOz, p.pct)}</td>
+        <td>${p.aboveMedian ? '<span class="premium-report-flag">Above median</span>' : ''}</td>
+      </tr>`).join('');
+    return `
+      <tr class="premium-report-group${group.aboveMedianCount ? ' premium-above-median' : ''}">
+        <td>
+          <button type="button" class="premium-report-toggle" data-group="${idx}" aria-expanded="false">
+            ${escapeHtml(group.name)} <span class="premium-report-sub">${escapeHtml(group.metal)} · ${_formatPremiumWeight(group.ozPerUnit)}</span>
+          </button>
+        </td>
+        <td>${group.units}</td>
+        <td>${formatCurrency(group.premiumPaid)}</td>
+        <td>${_formatPremium(group.perOz, group.pct)}</td>
+        <td>${retail}</td>
+        <td>${above}</td>
+      </tr>${purchaseRows}`;
+  }).join('');
+
+  table.innerHTML = `
+    <table class="premium-report-table">
+      <thead>
+        <tr>
+          <th>Product</th><th>Units</th><th>Premium paid</th><th>Avg premium</th><th>Retail today</th><th>Above median</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+
+  table.querySelectorAll('.premium-report-toggle').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const open = btn.getAttribute('aria-expanded') !== 'true';
+      btn.setAttribute('aria-expanded', String(open));
+      table.querySelectorAll(`.premium-report-purchase[data-group="${btn.dataset.group}"]`)
+        .forEach(row => { row.hidden = !open; });
+    });
+  });
+
+  if (note) {
+    const { noPrice, noSpot } = report.excluded;
+    const skipped = [
+      noPrice ? `${noPrice} without a price or weight` : '',
+      noSpot ? `${noSpot} without spot at purchase or a purchase date` : '',
+    ].filter(Boolean).join(', ');
+    note.textContent = 'Premium = price per fine oz minus spot on the purchase date (≈ from price history). '
+      + 'Highlighted purchases are above the median premium for their metal.'
+      + (skipped ? ` Not included: ${skipped}.` : '');
+  }
+};
+
+// Expose globally
+window.lookupSpotOnDate = lookupSpotOnDate;
+window.getItemPremium = getItemPremium;
+window.findRetailSlugForProduct = findRetailSlugForProduct;
+window.buildPremiumReport = buildPremiumReport;
+window.renderPremiumReport = renderPremiumReport;
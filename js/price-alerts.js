@@ -0,0 +1,512 @@
+// PRICE ALERTS
+// =============================================================================
+// User-defined alert rules evaluated after every spot sync (syncProviderChain,
+// which drives autoSyncSpotPrices and the background tick) and every retail
+// sync (syncRetailPrices):
+//
+//   spot    — metal spot above/below a USD price
+//   change  — metal up/down at least N% over 24h (get24hChange in spot.js)
+//   ratio   — gold/silver ratio above/below a value
+//   retail  — a retail slug's lowest ask above/below a USD price
+//
+// Rules are edge-triggered: an alert fires when its condition becomes true and
+// re-arms once the condition clears, so an hourly sync does not repeat it.
+// Snoozed rules are skipped entirely until the snooze expires. Delivery is a
+// toast, an entry in the alert log and — when permission is granted and the
+// service worker controls the page — a system notification.
+// =============================================================================
+
+/** @constant {Object<string, Object>} Alert rule types → labels and direction wording */
+const PRICE_ALERT_TYPES = {
+  spot:   { label: 'Spot price',        above: 'above',    below: 'below',      unit: 'usd' },
+  change: { label: '24h move',          above: 'up by',    below: 'down by',    unit: 'pct' },
+  ratio:  { label: 'Gold/Silver ratio', above: 'above',    below: 'below',      unit: 'ratio' },
+  retail: { label: 'Retail price',      above: 'above',    below: 'below',      unit: 'usd' },
+};
+
+/** @constant {Object<string, number>} Snooze choices → duration in ms */
+const PRICE_ALERT_SNOOZE_OPTIONS = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+};
+
+/** @constant {number} Maximum entries kept in the alert log */
+const PRICE_ALERT_LOG_MAX = 100;
+
+/**
+ * Load alert rules.
+ * @returns {Array<Object>} Rules: { id, type, metal, slug, direction, threshold,
+ *   enabled, triggered, snoozedUntil, lastTriggeredAt, createdAt }
+ */
+const getPriceAlerts = () => {
+  const rules = loadDataSync(PRICE_ALERTS_KEY, []);
+  return Array.isArray(rules) ? rules.filter(r => r && PRICE_ALERT_TYPES[r.type]) : [];
+};
+
+/**
+ * Persist alert rules.
+ * @param {Array<Object>} rules
+ */
+const savePriceAlerts = (rules) => {
+  saveDataSync(PRICE_ALERTS_KEY, rules);
+};
+
+/**
+ * Load the triggered-alert log (newest first).
+ * @returns {Array<{ts: string, ruleId: string, message: string, value: number}>}
+ */
+const getPriceAlertLog = () => {
+  const log = loadDataSync(PRICE_ALERT_LOG_KEY, []);
+  return Array.isArray(log) ? log : [];
+};
+
+/**
+ * Format a rule value for display in its unit.
+ * @param {number} value
+ * @param {string} unit - 'usd' | 'pct' | 'ratio'
+ * @returns {string}
+ */
+const _formatAlertValue = (value, unit) => {
+  const num = Number(value) || 0;
+  if (unit === 'pct') return `${num.toFixed(2)}%`;
+  if (unit === 'ratio') return num.toFixed(2);
+  return formatCurrency(num, 'USD');
+};
+
+/**
+ * Display name for the rule's subject (metal, ratio or retail product).
+ * @param {Object} rule
+ * @returns {string}
+ */
+const _alertSubject = (rule) => {
+  if (rule.type === 'ratio') return 'Gold/Silver ratio';
+  if (rule.type === 'retail') {
+    const meta = typeof getRetailCoinMeta === 'function' ? getRetailCoinMeta(rule.slug) : null;
+    return `${meta?.name || rule.slug} retail`;
+  }
+  return rule.type === 'change' ? rule.metal : `${rule.metal} spot`;
+};
+
+/**
+ * Human-readable description of a rule, e.g. "Silver down by 5.00% in 24h".
+ * @param {Object} rule
+ * @returns {string}
+ */
+const describePriceAlert = (rule) => {
+  const info = PRICE_ALERT_TYPES[rule.type];
+  const suffix = rule.type === 'change' ? ' in 24h' : '';
+  return `${_alertSubject(rule)} ${info[rule.direction] || rule.direction} ${_formatAlertValue(rule.threshold, info.unit)}${suffix}`;
+};
+
+/**
+ * Current value watched by a rule.
+ * @param {Object} rule
+ * @returns {number|null} null when no data is available yet
+ */
+const getPriceAlertValue = (rule) => {
+  const metal = Object.values(METALS).find(m => m.name === rule.metal);
+  switch (rule.type) {
+    case 'spot':
+      return metal && spotPrices[metal.key] > 0 ? spotPrices[metal.key] : null;
+    case 'change': {
+      if (!metal || typeof get24hChange !== 'function') return null;
+      const change = get24hChange(metal.name);
+      return change.valid ? change.pct : null;
+    }
+    case 'ratio':
+      return spotPrices.gold > 0 && spotPrices.silver > 0 ? spotPrices.gold / spotPrices.silver : null;
+    case 'retail': {
+      const entry = retailPrices?.prices?.[rule.slug];
+      const price = entry ? (entry.lowest_price ?? entry.median_price) : null;
+      return price != null && Number(price) > 0 ? Number(price) : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Whether a rule's condition holds for a value.
+ * @param {Object} rule
+ * @param {number} value - From getPriceAlertValue()
+ * @returns {boolean}
+ */
+const isPriceAlertConditionMet = (rule, value) => {
+  const threshold = Number(rule.threshold);
+  if (rule.type === 'change') {
+    return rule.direction === 'above' ? value >= threshold : value <= -threshold;
+  }
+  return rule.direction === 'above' ? value >= threshold : value <= threshold;
+};
+
+/**
+ * Whether a rule is currently snoozed.
+ * @param {Object} rule
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+const isPriceAlertSnoozed = (rule, now = Date.now()) =>
+  !!rule.snoozedUntil && new Date(rule.snoozedUntil).getTime() > now;
+
+/**
+ * Show a system notification through the service worker registration.
+ * Silently does nothing without permission or an active service worker.
+ * @param {string} title
+ * @param {string} body
+ * @param {string} tag - Collapses repeat notifications for the same rule
+ * @returns {Promise<boolean>} True when a notification was shown
+ */
+const showPriceAlertNotification = async (title, body, tag) => {
+  try {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return false;
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return false;
+    const reg = await navigator.serviceWorker.ready;
+    await reg.showNotification(title, { body, tag, icon: './images/icon-192.png', badge: './images/icon-192.png' });
+    return true;
+  } catch (err) {
+    debugLog(`[alerts] Notification failed: ${err.message}`, 'warn');
+    return false;
+  }
+};
+
+/**
+ * Evaluate alert rules against current prices and deliver any that fire.
+ *
+ * @param {'spot'|'retail'|'all'} [source='all'] - Which rules to check:
+ *   'spot' → spot/change/ratio rules, 'retail' → retail rules
+ * @returns {Array<Object>} Log entries for the alerts that fired
+ */
+const evaluatePriceAlerts = (source = 'all') => {
+  const rules = getPriceAlerts();
+  if (rules.length === 0) return [];
+  const now = Date.now();
+  const fired = [];
+  let changed = false;
+
+  rules.forEach(rule => {
+    if (!rule.enabled || isPriceAlertSnoozed(rule, now)) return;
+    const isRetail = rule.type === 'retail';
+    if ((source === 'spot' && isRetail) || (source === 'retail' && !isRetail)) return;
+
+    const value = getPriceAlertValue(rule);
+    if (value == null) return;
+    const met = isPriceAlertConditionMet(rule, value);
+
+    if (met && !rule.triggered) {
+      rule.triggered = true;
+      rule.lastTriggeredAt = new Date(now).toISOString();
+      fired.push({
+        ts: rule.lastTriggeredAt,
+        ruleId: rule.id,
+        message: `${describePriceAlert(rule)} — now ${_formatAlertValue(value, PRICE_ALERT_TYPES[rule.type].unit)}`,
+        value,
+      });
+      changed = true;
+    } else if (!met && rule.triggered) {
+      rule.triggered = false;
+      changed = true;
+    }
+  });
+
+  if (changed) savePriceAlerts(rules);
+  if (fired.length === 0) return fired;
+
+  const log = [...fired.slice().reverse(), ...getPriceAlertLog()].slice(0, PRICE_ALERT_LOG_MAX);
+  saveDataSync(PRICE_ALERT_LOG_KEY, log);
+
+  fired.forEach(entry => {
+    debugLog(`[alerts] ${entry.message}`, 'info');
+    if (typeof showToast === 'function') showToast(`🔔 ${entry.message}`, 6000);
+    showPriceAlertNotification('StakTrakr price alert', entry.message, `staktrakr-alert-${entry.ruleId}`);
+  });
+
+  const panel = document.getElementById('settingsPanel_alerts');
+  if (panel && panel.style.display !== 'none') renderPriceAlertsSection();
+  return fired;
+};
+
+/**
+ * Create an alert rule.
+ * @param {Object} fields - { type, metal?, slug?, direction, threshold }
+ * @returns {{rule?: Object, error?: string}}
+ */
+const addPriceAlert = (fields) => {
+  const type = fields.type;
+  if (!PRICE_ALERT_TYPES[type]) return { error: 'Choose an alert type.' };
+  const threshold = parseFloat(fields.threshold);
+  if (!isFinite(threshold) || threshold <= 0) return { error: 'Enter a threshold greater than zero.' };
+  if ((type === 'spot' || type === 'change') && !Object.values(METALS).some(m => m.name === fields.metal)) {
+    return { error: 'Choose a metal.' };
+  }
+  if (type === 'retail' && !fields.slug) return { error: 'Choose a retail product.' };
+
+  const rule = {
+    id: `alert_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    metal: type === 'spot' || type === 'change' ? fields.metal : '',
+    slug: type === 'retail' ? fields.slug : '',
+    direction: fields.direction === 'below' ? 'below' : 'above',
+    threshold,
+    enabled: true,
+    triggered: false,
+    snoozedUntil: null,
+    lastTriggeredAt: null,
+    createdAt: new Date().toISOString(),
+  };
+  // Arm against the current value so a rule that is already true does not fire immediately
+  const value = getPriceAlertValue(rule);
+  if (value != null) rule.triggered = isPriceAlertConditionMet(rule, value);
+
+  savePriceAlerts([...getPriceAlerts(), rule]);
+  return { rule };
+};
+
+/**
+ * Update fields on an existing rule.
+ * @param {string} id - Rule id
+ * @param {Object} patch - Fields to merge
+ */
+const updatePriceAlert = (id, patch) => {
+  savePriceAlerts(getPriceAlerts().map(r => (r.id === id ? { ...r, ...patch } : r)));
+};
+
+/**
+ * Delete a rule.
+ * @param {string} id - Rule id
+ */
+const deletePriceAlert = (id) => {
+  savePriceAlerts(getPriceAlerts().filter(r => r.id !== id));
+};
+
+/**
+ * Snooze a rule, or clear its snooze.
+ * @param {string} id - Rule id
+ * @param {string} choice - Key of PRICE_ALERT_SNOOZE_OPTIONS, or '' to unsnooze
+ */
+const snoozePriceAlert = (id, choice) => {
+  const ms = PRICE_ALERT_SNOOZE_OPTIONS[choice];
+  updatePriceAlert(id, { snoozedUntil: ms ? new Date(Date.now() + ms).toISOString() : null });
+};
+
+/**
+ * Ask for notification permission and report the result in Settings.
+ * @returns {Promise<void>}
+ */
+const requestPriceAlertPermission = async () => {
+  if (typeof Notification === 'undefined') {
+    appAlert('This browser does not support notifications.', 'Price Alerts');
+    return;
+  }
+  await Notification.requestPermission();
+  renderPriceAlertNotifyStatus();
+};
+
+/**
+ * Show notification availability next to the Enable button.
+ */
+const renderPriceAlertNotifyStatus = () => {
+  const status = document.getElementById('priceAlertNotifyStatus');
+  const btn = document.getElementById('priceAlertNotifyBtn');
+  if (!status) return;
+  let text;
+  if (typeof Notification === 'undefined') text = 'Not supported in this browser.';
+  else if (Notification.permission === 'denied') text = 'Blocked — allow notifications for this site in browser settings.';
+  else if (Notification.permission !== 'granted') text = 'Off — alerts show in the app only.';
+  else if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) text = 'Allowed, but the offline app (service worker) is not active — alerts show in the app only.';
+  else text = 'On — alerts also appear as system notifications.';
+  status.textContent = text;
+  if (btn) btn.style.display = typeof Notification !== 'undefined' && Notification.permission === 'default' ? '' : 'none';
+};
+
+/**
+ * Show/hide the metal and retail selectors and relabel the direction options
+ * for the selected alert type.
+ */
+const updatePriceAlertForm = () => {
+  const type = document.getElementById('priceAlertType')?.value || 'spot';
+  const info = PRICE_ALERT_TYPES[type];
+  const metal = document.getElementById('priceAlertMetal');
+  const slug = document.getElementById('priceAlertSlug');
+  const direction = document.getElementById('priceAlertDirection');
+  const threshold = document.getElementById('priceAlertThreshold');
+
+  if (metal) metal.style.display = type === 'spot' || type === 'change' ? '' : 'none';
+  if (slug) {
+    slug.style.display = type === 'retail' ? '' : 'none';
+    if (type === 'retail' && slug.options.length === 0) {
+      const slugs = typeof getActiveRetailSlugs === 'function' ? getActiveRetailSlugs() : [];
+      slugs.forEach(s => {
+        const opt = document.createElement('option');
+        opt.value = s;
+        opt.textContent = getRetailCoinMeta(s)?.name || s;
+        slug.appendChild(opt);
+      });
+    }
+  }
+  if (direction) {
+    direction.querySelector('option[value="above"]').textContent = info.above;
+    direction.querySelector('option[value="below"]').textContent = info.below;
+  }
+  if (threshold) {
+    threshold.placeholder = info.unit === 'pct' ? '% move' : info.unit === 'ratio' ? 'Ratio' : 'Price (USD)';
+  }
+};
+
+/**
+ * Read the Settings form and create a rule.
+ */
+const addPriceAlertFromForm = () => {
+  const thresholdInput = document.getElementById('priceAlertThreshold');
+  const result = addPriceAlert({
+    type: document.getElementById('priceAlertType')?.value,
+    metal: document.getElementById('priceAlertMetal')?.value,
+    slug: document.getElementById('priceAlertSlug')?.value,
+    direction: document.getElementById('priceAlertDirection')?.value,
+    threshold: thresholdInput?.value,
+  });
+  if (result.error) {
+    appAlert(result.error, 'Price Alerts');
+    return;
+  }
+  if (thresholdInput) thresholdInput.value = '';
+  renderPriceAlertsSection();
+};
+
+/**
+ * Status text for a rule row.
+ * @param {Object} rule
+ * @returns {string}
+ */
+const _priceAlertStatus = (rule) => {
+  if (!rule.enabled) return 'Paused';
+  if (isPriceAlertSnoozed(rule)) {
+    const until = typeof formatTimestamp === 'function' ? formatTimestamp(rule.snoozedUntil) : rule.snoozedUntil;
+    return `Snoozed until ${until}`;
+  }
+  if (rule.triggered) return 'Triggered — re-arms when the condition clears';
+  const value = getPriceAlertValue(rule);
+  return value == null ? 'Waiting for data' : `Watching · now ${_formatAlertValue(value, PRICE_ALERT_TYPES[rule.type].unit)}`;
+};
+
+/**
+ * Render Settings → Alerts: rule list, notification status and log.
+ */
+const renderPriceAlertsSection = () => {
+  updatePriceAlertForm();
+  renderPriceAlertNotifyStatus();
+
+  const list = document.getElementById('priceAlertList');
+  if (list) {
+    list.textContent = '';
+    const rules = getPriceAlerts();
+    if (rules.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'settings-subtext';
+      empty.textContent = 'No alerts yet.';
+      list.appendChild(empty);
+    }
+    rules.forEach(rule => {
+      const row = document.createElement('div');
+      row.className = 'price-alert-row' + (rule.triggered && rule.enabled ? ' price-alert-row--triggered' : '');
+
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = !!rule.enabled;
+      toggle.setAttribute('aria-label', `Enable alert: ${describePriceAlert(rule)}`);
+      toggle.addEventListener('change', () => {
+        updatePriceAlert(rule.id, { enabled: toggle.checked });
+        renderPriceAlertsSection();
+      });
+
+      const text = document.createElement('div');
+      text.className = 'price-alert-text';
+      const desc = document.createElement('span');
+      desc.className = 'price-alert-desc';
+      desc.textContent = describePriceAlert(rule);
+      const status = document.createElement('span');
+      status.className = 'price-alert-status';
+      status.textContent = _priceAlertStatus(rule);
+      text.append(desc, status);
+
+      const snooze = document.createElement('select');
+      snooze.className = 'price-alert-snooze';
+      snooze.setAttribute('aria-label', 'Snooze alert');
+      [['', isPriceAlertSnoozed(rule) ? 'Unsnooze' : 'Snooze…'], ['1h', '1 hour'], ['24h', '24 hours'], ['7d', '7 days']]
+        .forEach(([value, label]) => {
+          const opt = document.createElement('option');
+          opt.value = value;
+          opt.textContent = label;
+          snooze.appendChild(opt);
+        });
+      snooze.addEventListener('change', () => {
+        if (!snooze.value && !isPriceAlertSnoozed(rule)) return;
+        snoozePriceAlert(rule.id, snooze.value);
+        renderPriceAlertsSection();
+      });
+
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'btn danger';
+      del.textContent = 'Delete';
+      del.addEventListener('click', () => {
+        deletePriceAlert(rule.id);
+        renderPriceAlertsSection();
+      });
+
+      row.append(toggle, text, snooze, del);
+      list.appendChild(row);
+    });
+  }
+
+  const tbody = document.querySelector('#priceAlertLogTable tbody');
+  if (tbody) {
+    tbody.textContent = '';
+    const log = getPriceAlertLog();
+    if (log.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 2;
+      td.className = 'settings-subtext';
+      td.textContent = 'No alerts have fired yet.';
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+    }
+    log.forEach(entry => {
+      const tr = document.createElement('tr');
+      const when = document.createElement('td');
+      when.textContent = typeof formatTimestamp === 'function' ? formatTimestamp(entry.ts) : entry.ts;
+      const msg = document.createElement('td');
+      msg.textContent = entry.message;
+      tr.append(when, msg);
+      tbody.appendChild(tr);
+    });
+  }
+};
+
+/**
+ * Clear the alert log after confirmation.
+ * @returns {Promise<void>}
+ */
+const clearPriceAlertLog = async () => {
+  if (getPriceAlertLog().length === 0) return;
+  const ok = await showAppConfirm('Clear the price alert log?', 'Price Alerts');
+  if (!ok) return;
+  saveDataSync(PRICE_ALERT_LOG_KEY, []);
+  renderPriceAlertsSection();
+};
+
+// Expose globally
+window.getPriceAlerts = getPriceAlerts;
+window.getPriceAlertLog = getPriceAlertLog;
+window.describePriceAlert = describePriceAlert;
+window.evaluatePriceAlerts = evaluatePriceAlerts;
+window.addPriceAlert = addPriceAlert;
+window.updatePriceAlert = updatePriceAlert;
+window.deletePriceAlert = deletePriceAlert;
+window.snoozePriceAlert = snoozePriceAlert;
+window.requestPriceAlertPermission = requestPriceAlertPermission;
+window.updatePriceAlertForm = updatePriceAlertForm;
+window.addPriceAlertFromForm = addPriceAlertFromForm;
+window.renderPriceAlertsSection = renderPriceAlertsSection;
+window.clearPriceAlertLog = clearPriceAlertLog;
@@ -0,0 +1,1040 @@
+// QR CODE ENCODER / DECODER
+// =============================================================================
+// Minimal QR Code Model 2 encoder (ISO/IEC 18004) for on-screen codes: byte
+// mode only, versions 1–40, all four error-correction levels, automatic mask
+// selection.
+//
+// The construction follows the reference layout: function patterns first,
+// then data + Reed-Solomon codewords in the zig-zag order, then the mask
+// with the lowest penalty score.
+//
+// The decoder is the fallback for browsers without BarcodeDetector: it finds
+// the three finder patterns in a camera frame, maps the grid through the
+// bottom-right alignment pattern (perspective), reads format information,
+// corrects errors per block and decodes numeric, alphanumeric and byte
+// segments. It expects a flat code (any rotation, mild perspective) filling
+// part of the frame — enough for labels and slab codes held up to a camera.
+// =============================================================================
+
+/** @constant {Object<string, {bits: number, eccPerBlock: number[], blocks: number[]}>} Error-correction tables by level (index = version) */
+const QR_ECC_LEVELS = {
+  L: {
+    bits: 1,
+    eccPerBlock: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  },
+  M: {
+    bits: 0,
+    eccPerBlock: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  },
+  Q: {
+    bits: 3,
+    eccPerBlock: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  },
+  H: {
+    bits: 2,
+    eccPerBlock: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+  },
+};
+
+/**
+ * Data modules available in a symbol of the given version (everything that
+ * is not a function pattern or format/version information).
+ * @param {number} version - 1..40
+ * @returns {number}
+ */
+const _qrRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+/**
+ * Data codewords (excluding error correction) for a version and level.
+ * @param {number} version
+ * @param {string} ecl - 'L' | 'M' | 'Q' | 'H'
+ * @returns {number}
+ */
+const _qrDataCodewords = (version, ecl) =>
+  Math.floor(_qrRawDataModules(version) / 8) -
+  QR_ECC_LEVELS[ecl].eccPerBlock[version] * QR_ECC_LEVELS[ecl].blocks[version];
+
+/**
+ * Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+const _qrGfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+/**
+ * Reed-Solomon generator polynomial of the given degree (leading term omitted).
+ * @param {number} degree
+ * @returns {number[]}
+ */
+const _qrRsDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = _qrGfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = _qrGfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+/**
+ * Reed-Solomon error-correction codewords for one block.
+ * @param {number[]} data
+ * @param {number[]} divisor
+ * @returns {number[]}
+ */
+const _qrRsRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((b) => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= _qrGfMultiply(coef, factor); });
+  });
+  return result;
+};
+
+/**
+ * Split data codewords into blocks, append error correction and interleave.
+ * @param {number[]} data
+ * @param {number} version
+ * @param {string} ecl
+ * @returns {number[]}
+ */
+const _qrAddEccAndInterleave = (data, version, ecl) => {
+  const numBlocks = QR_ECC_LEVELS[ecl].blocks[version];
+  const blockEccLen = QR_ECC_LEVELS[ecl].eccPerBlock[version];
+  const rawCodewords = Math.floor(_qrRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = _qrRsDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = _qrRsRemainder(dat, divisor);
+    // Short blocks get a placeholder so every block has the same length
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+/**
+ * Centre coordinates of the alignment patterns for a version.
+ * @param {number} version
+ * @returns {number[]}
+ */
+const _qrAlignmentPositions = (version) => {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+};
+
+/** @constant {Array<function(number, number): boolean>} Mask conditions by pattern number (x = column, y = row) */
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/**
+ * Penalty score of a finished matrix (lower is easier to scan).
+ * @param {boolean[][]} modules - [row][column]
+ * @returns {number}
+ */
+const _qrPenalty = (modules) => {
+  const size = modules.length;
+  let result = 0;
+
+  // Finder-like 1:1:3:1:1 runs with four light modules on one side
+  const countPatterns = (h) => {
+    const n = h[1];
+    const core = n > 0 && h[2] === n && h[3] === n * 3 && h[4] === n && h[5] === n;
+    return (core && h[0] >= n * 4 && h[6] >= n ? 1 : 0) + (core && h[6] >= n * 4 && h[0] >= n ? 1 : 0);
+  };
+  const addHistory = (runLength, history) => {
+    // The light border counts towards the first run
+    if (history[0] === 0) runLength += size;
+    history.pop();
+    history.unshift(runLength);
+  };
+
+  const scanLine = (get) => {
+    let runColor = false;
+    let run = 0;
+    const history = [0, 0, 0, 0, 0, 0, 0];
+    for (let i = 0; i < size; i++) {
+      if (get(i) === runColor) {
+        run++;
+        if (run === 5) result += 3;
+        else if (run > 5) result++;
+      } else {
+        addHistory(run, history);
+        if (!runColor) result += countPatterns(history) * 40;
+        runColor = get(i);
+        run = 1;
+      }
+    }
+    if (runColor) {
+      addHistory(run, history);
+      run = 0;
+    }
+    addHistory(run + size, history);
+    result += countPatterns(history) * 40;
+  };
+
+  for (let y = 0; y < size; y++) scanLine((x) => modules[y][x]);
+  for (let x = 0; x < size; x++) scanLine((y) => modules[y][x]);
+
+  // 2×2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) result += 3;
+    }
+  }
+
+  // Dark/light balance
+  let dark = 0;
+  modules.forEach((row) => row.forEach((m) => { if (m) dark++; }));
+  const total = size * size;
+  result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return result;
+};
+
+/**
+ * Encode text (UTF-8, byte mode) as a QR code.
+ * Picks the smallest version that fits at the requested error-correction level.
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string} [opts.ecc='M'] - 'L' | 'M' | 'Q' | 'H'
+ * @param {number} [opts.mask] - Force a mask pattern 0–7 (default: lowest penalty)
+ * @returns {{version: number, size: number, mask: number, modules: boolean[][]}} modules[row][column], true = dark
+ * @throws {Error} When the text does not fit in a version 40 symbol
+ */
+const encodeQrCode = (text, opts = {}) => {
+  const ecl = QR_ECC_LEVELS[opts.ecc] ? opts.ecc : 'M';
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+
+  let version = 1;
+  for (; version <= 40; version++) {
+    const countBits = version <= 9 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 <= _qrDataCodewords(version, ecl) * 8) break;
+  }
+  if (version > 40) throw new Error('Data too long for a QR code');
+
+  // Bit stream: byte-mode indicator, character count, data, terminator, padding
+  const capacityBits = _qrDataCodewords(version, ecl) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0x4, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach((b) => append(b, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const dataCodewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    dataCodewords.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+  }
+  const codewords = _qrAddEccAndInterleave(dataCodewords, version, ecl);
+
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+
+  // Alignment patterns (none where they would overlap a finder)
+  const align = _qrAlignmentPositions(version);
+  align.forEach((ay, i) => {
+    align.forEach((ax, j) => {
+      const last = align.length - 1;
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) setFunction(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    });
+  });
+
+  const drawFormatBits = (mask) => {
+    const data = (QR_ECC_LEVELS[ecl].bits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const fmt = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((fmt >>> i) & 1) !== 0;
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+    setFunction(8, 7, bit(6));
+    setFunction(8, 8, bit(7));
+    setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+    setFunction(8, size - 8, true);
+  };
+  // Reserve the format areas before placing data
+  drawFormatBits(0);
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const verBits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((verBits >>> i) & 1) !== 0;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  // Data in two-column zig-zag strips from the bottom-right, skipping the vertical timing column
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) !== 0;
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && QR_MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+
+  // Masks are self-inverse: apply, score, undo
+  let bestMask = Number.isInteger(opts.mask) && opts.mask >= 0 && opts.mask < 8 ? opts.mask : -1;
+  if (bestMask < 0) {
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      applyMask(mask);
+      drawFormatBits(mask);
+      const penalty = _qrPenalty(modules);
+      if (penalty < bestPenalty) {
+        bestPenalty = penalty;
+        bestMask = mask;
+      }
+      applyMask(mask);
+    }
+  }
+  applyMask(bestMask);
+  drawFormatBits(bestMask);
+
+  return { version, size, mask: bestMask, modules };
+};
+
+/**
+ * Render text as a QR code onto a canvas (with the 4-module quiet zone).
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string} [opts.ecc='M']
+ * @param {number} [opts.scale] - Pixels per module (default: fit the canvas's current width)
+ * @returns {{version: number, size: number, modules: boolean[][]}}
+ */
+const renderQrCode = (canvas, text, opts = {}) => {
+  const qr = encodeQrCode(text, opts);
+  const quiet = 4;
+  const total = qr.size + quiet * 2;
+  const scale = opts.scale || Math.max(2, Math.floor((canvas.width || 256) / total));
+  canvas.width = total * scale;
+  canvas.height = total * scale;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) ctx.fillRect((x + quiet) * scale, (y + quiet) * scale, scale, scale);
+    });
+  });
+  return qr;
+};
+
+/**
+ * Render text as an SVG string (one path, quiet zone included) — for print
+ * and PDF output where a canvas is awkward.
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {string} [opts.ecc='M']
+ * @returns {string}
+ */
+const qrCodeToSvg = (text, opts = {}) => {
+  const qr = encodeQrCode(text, opts);
+  const total = qr.size + 8;
+  let path = '';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + 4},${y + 4}h1v1h-1z`;
+    });
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+    `<rect width="${total}" height="${total}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+};
+
+// =============================================================================
+// DECODER
+// =============================================================================
+
+/** GF(2^8) exp/log tables for error correction (generator 0x02) */
+const _QR_GF_EXP = new Array(512);
+const _QR_GF_LOG = new Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    _QR_GF_EXP[i] = x;
+    _QR_GF_LOG[x] = i;
+    x = _qrGfMultiply(x, 0x02);
+  }
+  for (let i = 255; i < 512; i++) _QR_GF_EXP[i] = _QR_GF_EXP[i - 255];
+})();
+
+const _qrGfDiv = (x, y) => (x === 0 ? 0 : _QR_GF_EXP[(_QR_GF_LOG[x] + 255 - _QR_GF_LOG[y]) % 255]);
+
+/**
+ * Correct a Reed-Solomon block in place (Berlekamp-Massey, Chien search,
+ * Forney). Generator roots are α^0…α^(n-1), as in _qrRsDivisor.
+ * @param {number[]} block - Data + ECC codewords, highest degree first
+ * @param {number} eccLen
+ * @returns {boolean} False when the block has more errors than it can correct
+ */
+const _qrRsCorrect = (block, eccLen) => {
+  const n = block.length;
+  const syndromes = new Array(eccLen).fill(0);
+  let clean = true;
+  for (let i = 0; i < eccLen; i++) {
+    let s = 0;
+    const root = _QR_GF_EXP[i];
+    block.forEach((c) => { s = _qrGfMultiply(s, root) ^ c; });
+    syndromes[i] = s;
+    if (s) clean = false;
+  }
+  if (clean) return true;
+
+  // Berlekamp-Massey: error locator Λ(x), lowest degree first
+  let locator = [1];
+  let prev = [1];
+  let len = 0;
+  let shift = 1;
+  let prevDisc = 1;
+  for (let k = 0; k < eccLen; k++) {
+    let disc = syndromes[k];
+    for (let i = 1; i <= len; i++) disc ^= _qrGfMultiply(locator[i] || 0, syndromes[k - i]);
+    if (disc === 0) {
+      shift++;
+      continue;
+    }
+    const coef = _qrGfDiv(disc, prevDisc);
+    const next = locator.slice();
+    prev.forEach((p, i) => {
+      while (next.length <= i + shift) next.push(0);
+      next[i + shift] ^= _qrGfMultiply(coef, p);
+    });
+    if (2 * len <= k) {
+      prev = locator;
+      len = k + 1 - len;
+      prevDisc = disc;
+      shift = 1;
+    } else {
+      shift++;
+    }
+    locator = next;
+  }
+  if (len * 2 > eccLen) return false;
+
+  // Chien search: position j (from the front) has degree n-1-j
+  const evalPoly = (poly, x) => poly.reduceRight((acc, c) => _qrGfMultiply(acc, x) ^ c, 0);
+  const positions = [];
+  for (let j = 0; j < n; j++) {
+    const inv = _QR_GF_EXP[(255 - ((n - 1 - j) % 255)) % 255];
+    if (evalPoly(locator, inv) === 0) positions.push(j);
+  }
+  if (positions.length !== len) return false;
+
+  // Forney: Ω(x) = S(x)Λ(x) mod x^eccLen; magnitude = X·Ω(X⁻¹)/Λ'(X⁻¹)
+  const omega = new Array(eccLen).fill(0);
+  for (let i = 0; i < eccLen; i++) {
+    for (let j = 0; j <= i && j < locator.length; j++) omega[i] ^= _qrGfMultiply(syndromes[i - j], locator[j]);
+  }
+  const derivative = locator.map((c, i) => (i % 2 === 1 ? c : 0)).slice(1);
+  for (const j of positions) {
+    const x = _QR_GF_EXP[(n - 1 - j) % 255];
+    const inv = _qrGfDiv(1, x);
+    const denom = evalPoly(derivative, inv);
+    if (denom === 0) return false;
+    block[j] ^= _qrGfMultiply(x, _qrGfDiv(evalPoly(omega, inv), denom));
+  }
+  return true;
+};
+
+/**
+ * Which modules of a symbol are function patterns (mirrors encodeQrCode).
+ * @param {number} version
+ * @returns {boolean[][]} [row][column]
+ */
+const _qrFunctionModules = (version) => {
+  const size = version * 4 + 17;
+  const fn = Array.from({ length: size }, () => new Array(size).fill(false));
+  const mark = (x, y) => { if (x >= 0 && x < size && y >= 0 && y < size) fn[y][x] = true; };
+  for (let i = 0; i < size; i++) {
+    mark(6, i);
+    mark(i, 6);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) for (let dx = -4; dx <= 4; dx++) mark(cx + dx, cy + dy);
+  });
+  const align = _qrAlignmentPositions(version);
+  const last = align.length - 1;
+  align.forEach((ay, i) => align.forEach((ax, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) mark(ax + dx, ay + dy);
+  }));
+  for (let i = 0; i < 9; i++) {
+    mark(8, i);
+    mark(i, 8);
+  }
+  for (let i = 0; i < 8; i++) {
+    mark(size - 1 - i, 8);
+    mark(8, size - 1 - i);
+  }
+  if (version >= 7) {
+    for (let i = 0; i < 18; i++) {
+      mark(size - 11 + (i % 3), Math.floor(i / 3));
+      mark(Math.floor(i / 3), size - 11 + (i % 3));
+    }
+  }
+  return fn;
+};
+
+/**
+ * Read the format information (error-correction level and mask), trying both
+ * copies and accepting up to three bit errors.
+ * @param {boolean[][]} grid
+ * @returns {{ecl: string, mask: number}|null}
+ */
+const _qrReadFormat = (grid) => {
+  const size = grid.length;
+  const read = (coords) => coords.reduce((acc, [x, y], i) => acc | ((grid[y][x] ? 1 : 0) << i), 0);
+  const first = [];
+  for (let i = 0; i <= 5; i++) first.push([8, i]);
+  first.push([8, 7], [8, 8], [7, 8]);
+  for (let i = 9; i < 15; i++) first.push([14 - i, 8]);
+  const second = [];
+  for (let i = 0; i < 8; i++) second.push([size - 1 - i, 8]);
+  for (let i = 8; i < 15; i++) second.push([8, size - 15 + i]);
+
+  let best = null;
+  let bestDistance = 4;
+  [read(first), read(second)].forEach((word) => {
+    Object.entries(QR_ECC_LEVELS).forEach(([ecl, level]) => {
+      for (let mask = 0; mask < 8; mask++) {
+        const data = (level.bits << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        let diff = (((data << 10) | rem) ^ 0x5412) ^ word;
+        let distance = 0;
+        for (; diff; diff &= diff - 1) distance++;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = { ecl, mask };
+        }
+      }
+    });
+  });
+  return best;
+};
+
+/**
+ * Decode the segments of a corrected data stream.
+ * @param {number[]} data - Data codewords
+ * @param {number} version
+ * @returns {string|null}
+ */
+const _qrDecodeSegments = (data, version) => {
+  let pos = 0;
+  const total = data.length * 8;
+  const take = (n) => {
+    if (pos + n > total) throw new Error('QR data overrun');
+    let v = 0;
+    for (let i = 0; i < n; i++, pos++) v = (v << 1) | ((data[pos >>> 3] >>> (7 - (pos & 7))) & 1);
+    return v;
+  };
+  const sizeClass = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+  const ALNUM = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+  const bytes = [];
+  let text = '';
+  const flushBytes = () => {
+    if (bytes.length) text += new TextDecoder().decode(new Uint8Array(bytes.splice(0)));
+  };
+
+  while (pos + 4 <= total) {
+    const mode = take(4);
+    if (mode === 0) break;
+    if (mode === 0x7) {
+      // ECI designator: only UTF-8 / Latin-1 make sense here; skip it
+      const first = take(8);
+      if ((first & 0xc0) === 0x80) take(8);
+      else if ((first & 0xe0) === 0xc0) take(16);
+      continue;
+    }
+    if (mode === 0x1) {
+      flushBytes();
+      let count = take([10, 12, 14][sizeClass]);
+      for (; count >= 3; count -= 3) text += String(take(10)).padStart(3, '0');
+      if (count === 2) text += String(take(7)).padStart(2, '0');
+      else if (count === 1) text += String(take(4));
+    } else if (mode === 0x2) {
+      flushBytes();
+      let count = take([9, 11, 13][sizeClass]);
+      for (; count >= 2; count -= 2) {
+        const v = take(11);
+        text += ALNUM[Math.floor(v / 45)] + ALNUM[v % 45];
+      }
+      if (count === 1) text += ALNUM[take(6)];
+    } else if (mode === 0x4) {
+      const count = take([8, 16, 16][sizeClass]);
+      for (let i = 0; i < count; i++) bytes.push(take(8));
+    } else {
+      // Kanji and structured append are not used by anything we scan
+      return null;
+    }
+  }
+  flushBytes();
+  return text;
+};
+
+/**
+ * Decode a sampled module grid.
+ * @param {boolean[][]} grid - [row][column], true = dark
+ * @returns {string|null}
+ */
+const decodeQrGrid = (grid) => {
+  const size = grid.length;
+  const version = (size - 17) / 4;
+  if (!Number.isInteger(version) || version < 1 || version > 40) return null;
+  const format = _qrReadFormat(grid);
+  if (!format) return null;
+  const fn = _qrFunctionModules(version);
+  const rawCodewords = Math.floor(_qrRawDataModules(version) / 8);
+
+  const codewords = new Array(rawCodewords).fill(0);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (fn[y][x] || bitIndex >= rawCodewords * 8) continue;
+        const dark = grid[y][x] !== QR_MASKS[format.mask](x, y);
+        if (dark) codewords[bitIndex >>> 3] |= 0x80 >>> (bitIndex & 7);
+        bitIndex++;
+      }
+    }
+  }
+
+  // De-interleave (inverse of _qrAddEccAndInterleave) and correct each block
+  const level = QR_ECC_LEVELS[format.ecl];
+  const numBlocks = level.blocks[version];
+  const eccLen = level.eccPerBlock[version];
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const blocks = Array.from({ length: numBlocks }, () => []);
+  let k = 0;
+  for (let i = 0; i <= shortBlockLen; i++) {
+    for (let j = 0; j < numBlocks; j++) {
+      if (i === shortBlockLen - eccLen && j < numShortBlocks) continue;
+      blocks[j].push(codewords[k++]);
+    }
+  }
+  const data = [];
+  for (const block of blocks) {
+    if (!_qrRsCorrect(block, eccLen)) return null;
+    data.push(...block.slice(0, block.length - eccLen));
+  }
+  try {
+    return _qrDecodeSegments(data, version);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Black/white image from RGBA pixels, thresholded against the local mean
+ * (integral image) so uneven lighting across the frame does not matter.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image
+ * @returns {{width: number, height: number, dark: Uint8Array}}
+ */
+const _qrBinarize = ({ width, height, data }) => {
+  const lum = new Uint8Array(width * height);
+  for (let i = 0, p = 0; i < lum.length; i++, p += 4) lum[i] = (data[p] * 77 + data[p + 1] * 150 + data[p + 2] * 29) >> 8;
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += lum[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  const half = Math.max(7, Math.floor(Math.min(width, height) / 16));
+  const dark = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+        - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+      const mean = sum / ((x1 - x0) * (y1 - y0));
+      dark[y * width + x] = lum[y * width + x] < mean * 0.88 ? 1 : 0;
+    }
+  }
+  return { width, height, dark };
+};
+
+/**
+ * Whether five run lengths look like a finder pattern (1:1:3:1:1).
+ * @param {number[]} runs
+ * @returns {boolean}
+ */
+const _qrFinderRatio = (runs) => {
+  const total = runs.reduce((a, b) => a + b, 0);
+  if (total < 7 || runs.some((r) => r === 0)) return false;
+  const module = total / 7;
+  const tolerance = module / 2;
+  return Math.abs(module - runs[0]) < tolerance && Math.abs(module - runs[1]) < tolerance
+    && Math.abs(3 * module - runs[2]) < 3 * tolerance
+    && Math.abs(module - runs[3]) < tolerance && Math.abs(module - runs[4]) < tolerance;
+};
+
+/**
+ * Measure the 1:1:3:1:1 runs through a point along one direction.
+ * @param {Object} bin - From _qrBinarize
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} dx - Step (one of -1, 0, 1)
+ * @param {number} dy
+ * @param {number} maxRun - Longest run to accept
+ * @returns {{center: number, runs: number[]}|null} Offset of the centre from (cx, cy) along the direction
+ */
+const _qrCrossCheck = (bin, cx, cy, dx, dy, maxRun) => {
+  const at = (i) => {
+    const x = Math.round(cx + dx * i);
+    const y = Math.round(cy + dy * i);
+    if (x < 0 || y < 0 || x >= bin.width || y >= bin.height) return -1;
+    return bin.dark[y * bin.width + x];
+  };
+  if (at(0) !== 1) return null;
+  const walk = (sign) => {
+    const runs = [0, 0, 0];
+    let i = 0;
+    for (const [state, color] of [[0, 1], [1, 0], [2, 1]]) {
+      while (at(i) === color && runs[state] <= maxRun) {
+        runs[state]++;
+        i += sign;
+      }
+      if (runs[state] === 0 || runs[state] > maxRun) return null;
+    }
+    return runs;
+  };
+  const back = walk(-1);
+  const fwd = walk(1);
+  if (!back || !fwd) return null;
+  // The centre run is counted from both sides
+  const runs = [back[2], back[1], back[0] + fwd[0] - 1, fwd[1], fwd[2]];
+  if (!_qrFinderRatio(runs)) return null;
+  return { center: (fwd[0] - back[0]) / 2, runs };
+};
+
+/**
+ * Find finder pattern candidates by scanning rows, confirmed vertically and
+ * horizontally through the estimated centre.
+ * @param {Object} bin
+ * @returns {Array<{x: number, y: number, module: number, count: number}>}
+ */
+const _qrFindFinders = (bin) => {
+  const { width, height, dark } = bin;
+  const found = [];
+  const step = Math.max(1, Math.floor(height / 300));
+  for (let y = 0; y < height; y += step) {
+    // Run-length encode the row: [start, length, isDark]
+    const runs = [];
+    for (let x = 0; x < width; x++) {
+      const px = dark[y * width + x];
+      const lastRun = runs[runs.length - 1];
+      if (lastRun && lastRun[2] === px) lastRun[1]++;
+      else runs.push([x, 1, px]);
+    }
+    for (let i = 0; i + 4 < runs.length; i++) {
+      if (runs[i][2] !== 1) continue;
+      const lengths = runs.slice(i, i + 5).map((r) => r[1]);
+      if (!_qrFinderRatio(lengths)) continue;
+      const total = lengths.reduce((a, b) => a + b, 0);
+      const cx = runs[i + 2][0] + runs[i + 2][1] / 2 - 0.5;
+      const v = _qrCrossCheck(bin, cx, y, 0, 1, total);
+      if (!v) continue;
+      const cy = y + v.center;
+      const h = _qrCrossCheck(bin, cx, cy, 1, 0, total);
+      if (!h) continue;
+      const fx = cx + h.center;
+      const module = (total + v.runs.reduce((a, b) => a + b, 0) + h.runs.reduce((a, b) => a + b, 0)) / 21;
+      const near = found.find((f) => Math.abs(f.x - fx) <= module * 2 && Math.abs(f.y - cy) <= module * 2
+        && Math.abs(f.module - module) <= f.module * 0.5);
+      if (near) {
+        near.x = (near.x * near.count + fx) / (near.count + 1);
+        near.y = (near.y * near.count + cy) / (near.count + 1);
+        near.module = (near.module * near.count + module) / (near.count + 1);
+        near.count++;
+      } else {
+        found.push({ x: fx, y: cy, module, count: 1 });
+      }
+    }
+  }
+  return found;
+};
+
+/**
+ * Perspective transform mapping four source points onto four destination
+ * points (solves the 8-unknown homography).
+ * @param {number[][]} src - [[x, y] × 4]
+ * @param {number[][]} dst - [[x, y] × 4]
+ * @returns {function(number, number): number[]}
+ */
+const _qrPerspective = (src, dst) => {
+  const rows = [];
+  src.forEach(([x, y], i) => {
+    const [u, v] = dst[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+    rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+  });
+  // Gaussian elimination with partial pivoting
+  for (let c = 0; c < 8; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < 8; r++) if (Math.abs(rows[r][c]) > Math.abs(rows[pivot][c])) pivot = r;
+    [rows[c], rows[pivot]] = [rows[pivot], rows[c]];
+    for (let r = 0; r < 8; r++) {
+      if (r === c || rows[c][c] === 0) continue;
+      const f = rows[r][c] / rows[c][c];
+      for (let k = c; k < 9; k++) rows[r][k] -= f * rows[c][k];
+    }
+  }
+  const [a, b, c, d, e, f, g, h] = rows.map((row, i) => row[8] / row[i]);
+  return (x, y) => {
+    const w = g * x + h * y + 1;
+    return [(a * x + b * y + c) / w, (d * x + e * y + f) / w];
+  };
+};
+
+/**
+ * Look for the bottom-right alignment pattern (dark centre, light ring,
+ * dark ring) near its expected position.
+ * @param {Object} bin
+ * @param {number} ex - Expected centre
+ * @param {number} ey
+ * @param {number} module - Module size in pixels
+ * @returns {number[]|null} [x, y]
+ */
+const _qrFindAlignment = (bin, ex, ey, module) => {
+  const at = (x, y) => {
+    const ix = Math.round(x);
+    const iy = Math.round(y);
+    if (ix < 0 || iy < 0 || ix >= bin.width || iy >= bin.height) return 0;
+    return bin.dark[iy * bin.width + ix];
+  };
+  const radius = Math.ceil(module * 4);
+  let best = null;
+  let bestScore = 20;
+  for (let y = ey - radius; y <= ey + radius; y += Math.max(1, module / 4)) {
+    for (let x = ex - radius; x <= ex + radius; x += Math.max(1, module / 4)) {
+      if (!at(x, y)) continue;
+      let score = 0;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const wantDark = Math.max(Math.abs(dx), Math.abs(dy)) !== 1;
+          if (at(x + dx * module, y + dy * module) === (wantDark ? 1 : 0)) score++;
+        }
+      }
+      const distance = Math.hypot(x - ex, y - ey) / module;
+      if (score > bestScore || (score === bestScore && best && distance < best[2])) {
+        bestScore = score;
+        best = [x, y, distance];
+      }
+    }
+  }
+  return best ? [best[0], best[1]] : null;
+};
+
+/**
+ * Sample the module grid given three ordered finder centres.
+ * @param {Object} bin
+ * @param {Object} tl - Top-left finder
+ * @param {Object} tr - Top-right finder
+ * @param {Object} bl - Bottom-left finder
+ * @returns {boolean[][]|null}
+ */
+const _qrSampleGrid = (bin, tl, tr, bl) => {
+  // Module size measured along the grid axes (row-scan estimates are
+  // stretched when the code is rotated)
+  const along = (p, q) => {
+    const len = Math.hypot(q.x - p.x, q.y - p.y);
+    const r = _qrCrossCheck(bin, p.x, p.y, (q.x - p.x) / len, (q.y - p.y) / len, p.module * 14);
+    return r ? r.runs.reduce((a, b) => a + b, 0) / 7 : p.module;
+  };
+  const moduleX = (along(tl, tr) + along(tr, tl)) / 2;
+  const moduleY = (along(tl, bl) + along(bl, tl)) / 2;
+  const module = (moduleX + moduleY) / 2;
+  let size = Math.round((Math.hypot(tr.x - tl.x, tr.y - tl.y) / moduleX + Math.hypot(bl.x - tl.x, bl.y - tl.y) / moduleY) / 2) + 7;
+  if (size % 4 === 0) size++;
+  else if (size % 4 === 2) size--;
+  else if (size % 4 === 3) size -= 2;
+  const version = (size - 17) / 4;
+  if (version < 1 || version > 40) return null;
+
+  // Fourth point: the alignment pattern, or the projected corner for version 1
+  let corner = [tr.x + bl.x - tl.x, tr.y + bl.y - tl.y];
+  let cornerModule = [size - 3.5, size - 3.5];
+  if (version >= 2) {
+    const affine = (mx, my) => [
+      tl.x + (tr.x - tl.x) * (mx - 3.5) / (size - 7) + (bl.x - tl.x) * (my - 3.5) / (size - 7),
+      tl.y + (tr.y - tl.y) * (mx - 3.5) / (size - 7) + (bl.y - tl.y) * (my - 3.5) / (size - 7),
+    ];
+    const expected = affine(size - 6.5, size - 6.5);
+    const found = _qrFindAlignment(bin, expected[0], expected[1], module);
+    corner = found || expected;
+    cornerModule = [size - 6.5, size - 6.5];
+  }
+
+  const map = _qrPerspective(
+    [[3.5, 3.5], [size - 3.5, 3.5], [3.5, size - 3.5], cornerModule],
+    [[tl.x, tl.y], [tr.x, tr.y], [bl.x, bl.y], corner],
+  );
+  const grid = [];
+  for (let y = 0; y < size; y++) {
+    const row = [];
+    for (let x = 0; x < size; x++) {
+      const [px, py] = map(x + 0.5, y + 0.5);
+      const ix = Math.round(px);
+      const iy = Math.round(py);
+      if (ix < 0 || iy < 0 || ix >= bin.width || iy >= bin.height) return null;
+      row.push(bin.dark[iy * bin.width + ix] === 1);
+    }
+    grid.push(row);
+  }
+  return grid;
+};
+
+/**
+ * Decode a QR code from image pixels (e.g. a camera frame drawn to a canvas).
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} image - ImageData
+ * @returns {string|null} Decoded text, or null when no readable code was found
+ */
+const decodeQrCode = (image) => {
+  const bin = _qrBinarize(image);
+  const finders = _qrFindFinders(bin).sort((a, b) => b.count - a.count).slice(0, 6);
+  if (finders.length < 3) return null;
+
+  // Try every triple of candidates, most-confirmed first
+  for (let i = 0; i < finders.length; i++) {
+    for (let j = i + 1; j < finders.length; j++) {
+      for (let k = j + 1; k < finders.length; k++) {
+        const pts = [finders[i], finders[j], finders[k]];
+        const modules = pts.map((p) => p.module);
+        if (Math.max(...modules) > Math.min(...modules) * 1.5) continue;
+        // The top-left finder is opposite the longest side
+        const d = (p, q) => Math.hypot(p.x - q.x, p.y - q.y);
+        const sides = [d(pts[1], pts[2]), d(pts[0], pts[2]), d(pts[0], pts[1])];
+        const tlIndex = sides.indexOf(Math.max(...sides));
+        const tl = pts[tlIndex];
+        let [a, b] = pts.filter((_, n) => n !== tlIndex);
+        // In image coordinates (y down) top-right × bottom-left is positive
+        if ((a.x - tl.x) * (b.y - tl.y) - (a.y - tl.y) * (b.x - tl.x) < 0) [a, b] = [b, a];
+        const grid = _qrSampleGrid(bin, tl, a, b);
+        const text = grid ? decodeQrGrid(grid) : null;
+        if (text !== null) return text;
+      }
+    }
+  }
+  return null;
+};
+
+window.encodeQrCode = encodeQrCode;
+window.renderQrCode = renderQrCode;
+window.qrCodeToSvg = qrCodeToSvg;
+window.decodeQrGrid = decodeQrGrid;
+window.decodeQrCode = decodeQrCode;
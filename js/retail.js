@@ -547,6 +547,8 @@ const syncRetailPrices = async ({ ui = true } = {}) => {
       saveRetailPriceHistory();
       saveRetailIntradayData();
       saveRetailAvailability();
+      if (typeof evaluatePriceAlerts === "function") evaluatePriceAlerts("retail");
+      if (typeof evaluateWantList === "function") evaluateWantList();
     }
 
     const statusMsg = `Synced ${successCount} coin(s) · ${manifest.latest_window || "unknown window"}`;
@@ -0,0 +1,849 @@
+// SEARCH QUERY LANGUAGE
+// =============================================================================
+// Structured queries for the search bar, e.g.
+//
+//   metal:gold weight>=1 year:2020..2024 -tag:junk location:"bank box" (type:coin OR type:round)
+//
+// Terms separated by spaces must all match. OR (or a comma) joins
+// alternatives, NOT or a leading "-" negates, and parentheses group. A term is
+// field:value (substring match; field=value for an exact one; quote values
+// with spaces), a comparison (weight>=1, price:<500), a range
+// (year:2020..2024, either end optional), an is: flag (is:disposed), or plain
+// text matched against the usual fields.
+//
+// filterInventoryAdvanced() evaluates the parsed query when
+// isStructuredSearchQuery() sees the syntax. Plain comma-separated searches
+// keep the legacy matcher. Named queries are saved as smart filters
+// (SMART_FILTERS_KEY) and shown as chips beside the custom group chips.
+// =============================================================================
+
+/**
+ * @constant {Object<string, {kind: string, label: string, aliases: (string[]|undefined), get: Function}>}
+ * Queryable fields. `kind` picks the matcher: text (substring, or exact with
+ * field=value), number (comparisons and ranges) or date (YYYY, YYYY-MM or
+ * YYYY-MM-DD prefixes, compared the same way).
+ */
+const SEARCH_QUERY_FIELDS = Object.freeze({
+  name:        { kind: 'text',   label: 'Item name', get: item => item.name },
+  metal:       { kind: 'text',   label: 'Metal or composition', get: item => [item.metal, item.composition] },
+  type:        { kind: 'text',   label: 'Coin, Round, Bar…', get: item => item.type },
+  year:        { kind: 'number', label: 'Year of issue', get: item => parseInt(item.year, 10) },
+  weight:      { kind: 'number', label: 'Troy oz per unit', aliases: ['oz'], get: item => (item.weightUnit === 'gb' ? Number(item.weight) * GB_TO_OZT : Number(item.weight)) },
+  qty:         { kind: 'number', label: 'Quantity', aliases: ['quantity'], get: item => Number(item.qty) },
+  price:       { kind: 'number', label: 'Total purchase price', aliases: ['cost'], get: item => Number(item.price) },
+  purity:      { kind: 'number', label: 'Purity (0–1)', aliases: ['fineness'], get: item => Number(item.purity) },
+  date:        { kind: 'date',   label: 'Purchase date', aliases: ['bought'], get: item => item.date },
+  vendor:      { kind: 'text',   label: 'Purchase location', aliases: ['from', 'source'], get: item => item.purchaseLocation },
+  location:    { kind: 'text',   label: 'Storage location', aliases: ['storage', 'stored'], get: item => item.storageLocation },
+  portfolio:   { kind: 'text',   label: 'Portfolio name', get: item => (typeof getPortfolioName === 'function' ? getPortfolioName(getItemPortfolioId(item)) : item.portfolio) },
+  tag:         { kind: 'text',   label: 'Item tag', aliases: ['tags'], get: item => _searchQueryTags(item) },
+  notes:       { kind: 'text',   label: 'Notes', aliases: ['note'], get: item => item.notes },
+  grade:       { kind: 'text',   label: 'Grade (MS70, PR69…)', get: item => item.grade },
+  authority:   { kind: 'text',   label: 'Grading service', aliases: ['grader'], get: item => item.gradingAuthority },
+  cert:        { kind: 'text',   label: 'Cert number', get: item => item.certNumber },
+  serial:      { kind: 'text',   label: 'Serial number', get: item => [item.serialNumber, item.serial] },
+  numista:     { kind: 'text',   label: 'Numista N#', get: item => item.numistaId },
+  pcgs:        { kind: 'text',   label: 'PCGS number', get: item => item.pcgsNumber },
+  disposition: { kind: 'text',   label: 'sold, traded, lost, gifted, returned', get: item => item.disposition && item.disposition.type },
+  disposed:    { kind: 'date',   label: 'Disposition date', get: item => item.disposition && item.disposition.date },
+});
+
+/** @constant {Object<string, {label: string, test: Function}>} Flags accepted by is: */
+const SEARCH_QUERY_FLAGS = Object.freeze({
+  disposed:    { label: 'Sold, traded, lost, gifted or returned', test: item => isDisposed(item) },
+  graded:      { label: 'Has a grade or grading service', test: item => !!(item.grade || item.gradingAuthority) },
+  verified:    { label: 'Cert verified with the grading service', test: item => !!item.pcgsVerified },
+  collectable: { label: 'Marked collectable', test: item => !!item.collectable },
+  tagged:      { label: 'Has at least one tag', test: item => _searchQueryTags(item).length > 0 },
+});
+
+/** Fields whose terms should see disposed items even when the disposed filter hides them */
+const _SEARCH_QUERY_DISPOSITION_FIELDS = new Set(['disposition', 'disposed']);
+
+/** field:value, field:>=value or field>=value */
+const _SEARCH_QUERY_TERM = /^([a-z]+)(?::(>=|<=|>|<|=)?|(>=|<=|>|<|=))(.*)$/is;
+
+/** @type {Map<string, string>} Field names and aliases → canonical field key */
+const _SEARCH_QUERY_FIELD_NAMES = new Map();
+Object.entries(SEARCH_QUERY_FIELDS).forEach(([key, def]) => {
+  _SEARCH_QUERY_FIELD_NAMES.set(key, key);
+  (def.aliases || []).forEach(alias => _SEARCH_QUERY_FIELD_NAMES.set(alias, key));
+});
+_SEARCH_QUERY_FIELD_NAMES.set('is', 'is');
+
+/**
+ * Tags for an item, tolerating tags.js not being loaded.
+ * @param {Object} item
+ * @returns {string[]}
+ */
+const _searchQueryTags = (item) => (typeof getItemTags === 'function' ? getItemTags(item.uuid) : []);
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Split a query into tokens with their source positions (used for
+ * highlighting). Quoted text stays inside its token.
+ * @param {string} query
+ * @returns {Array<{type: string, raw: string, start: number, end: number}>}
+ *   type is term, lparen, rparen, or, and or not
+ */
+const tokenizeSearchQuery = (query) => {
+  const src = String(query || '');
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch === '(' ? 'lparen' : 'rparen', raw: ch, start: i, end: i + 1 });
+      i++;
+    } else if (ch === ',') {
+      tokens.push({ type: 'or', raw: ch, start: i, end: i + 1 });
+      i++;
+    } else if (ch === '-' && i + 1 < src.length && !/[\s),]/.test(src[i + 1])) {
+      tokens.push({ type: 'not', raw: ch, start: i, end: i + 1 });
+      i++;
+    } else {
+      const start = i;
+      let inQuote = false;
+      while (i < src.length) {
+        if (src[i] === '"') inQuote = !inQuote;
+        else if (!inQuote && /[\s(),]/.test(src[i])) break;
+        i++;
+      }
+      const raw = src.slice(start, i);
+      const keyword = raw === 'OR' || raw === 'AND' || raw === 'NOT';
+      tokens.push({ type: keyword ? raw.toLowerCase() : 'term', raw, start, end: i });
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Match a term against the field:value shape and resolve its field name.
+ * @param {string} raw - Term text
+ * @returns {{field: string, op: string, value: string, valueOffset: number}|null}
+ */
+const _splitSearchQueryTerm = (raw) => {
+  const m = raw.match(_SEARCH_QUERY_TERM);
+  if (!m) return null;
+  const field = _SEARCH_QUERY_FIELD_NAMES.get(m[1].toLowerCase());
+  if (!field) return null;
+  return { field, op: m[2] || m[3] || ':', value: m[4], valueOffset: raw.length - m[4].length };
+};
+
+/**
+ * Parse a number, allowing "$1,200" and fractions such as 1/10.
+ * @param {string} text
+ * @returns {number} NaN when unparseable
+ */
+const _parseSearchQueryNumber = (text) => {
+  const clean = String(text).replace(/[$,\s]/g, '');
+  const fraction = clean.match(/^(\d+(?:\.\d+)?)\/(\d+(?:\.\d+)?)$/);
+  if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+  return clean === '' ? NaN : Number(clean);
+};
+
+/**
+ * Turn one term token into an AST node.
+ * @param {{raw: string}} token
+ * @returns {{node: (Object|undefined), error: (string|undefined)}}
+ */
+const _parseSearchQueryTerm = (token) => {
+  const parts = _splitSearchQueryTerm(token.raw);
+  if (!parts) return { node: { type: 'text', value: token.raw.replace(/^"|"$/g, '') } };
+
+  const { field, op } = parts;
+  const quoted = /^".*"$/s.test(parts.value) && parts.value.length >= 2;
+  const value = quoted ? parts.value.slice(1, -1) : parts.value.replace(/^"/, '');
+  if (!value.trim()) return { error: `"${field}" needs a value` };
+
+  if (field === 'is') {
+    const flag = value.toLowerCase();
+    if (op !== ':' || !SEARCH_QUERY_FLAGS[flag]) {
+      return { error: `Unknown flag "${value}" — try ${Object.keys(SEARCH_QUERY_FLAGS).map(f => 'is:' + f).join(', ')}` };
+    }
+    return { node: { type: 'field', field, op: ':', value: flag } };
+  }
+
+  const def = SEARCH_QUERY_FIELDS[field];
+  const range = !quoted && value.includes('..') ? value.split('..') : null;
+  if (def.kind === 'text') {
+    if (range || (op !== ':' && op !== '=')) return { error: `"${field}" can't be compared — use ${field}:value` };
+    return { node: { type: 'field', field, op, value } };
+  }
+
+  const parseBound = def.kind === 'number'
+    ? (text) => _parseSearchQueryNumber(text)
+    : (text) => (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text) ? text : NaN);
+  const invalid = def.kind === 'number' ? `"${field}" expects a number` : `"${field}" expects YYYY, YYYY-MM or YYYY-MM-DD`;
+
+  if (range) {
+    if (range.length !== 2 || op !== ':') return { error: `Ranges look like ${field}:low..high` };
+    const [lo, hi] = range.map(s => s.trim());
+    const min = lo ? parseBound(lo) : null;
+    const max = hi ? parseBound(hi) : null;
+    if ((lo && Number.isNaN(min)) || (hi && Number.isNaN(max)) || (!lo && !hi)) return { error: invalid };
+    return { node: { type: 'field', field, op: 'range', min, max } };
+  }
+
+  const bound = parseBound(value.trim());
+  if (Number.isNaN(bound)) return { error: invalid };
+  return { node: { type: 'field', field, op: op === ':' ? '=' : op, value: bound } };
+};
+
+/**
+ * Parse a search query into an AST.
+ *
+ * Precedence, loosest first: OR (or comma), AND (implicit between terms),
+ * NOT (or leading "-"). Nodes are { type: 'or'|'and', children },
+ * { type: 'not', child }, { type: 'field', field, op, value|min/max } and
+ * { type: 'text', value }.
+ *
+ * @param {string} query
+ * @returns {{ast: (Object|null), error: ({message: string, start: number, end: number}|null), tokens: Array<Object>}}
+ */
+const parseSearchQuery = (query) => {
+  const tokens = tokenizeSearchQuery(query);
+  if (!tokens.length) return { ast: null, error: null, tokens };
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const fail = (message, token) => {
+    const err = new Error(message);
+    err.token = token || tokens[tokens.length - 1];
+    throw err;
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) fail('Expected a search term', tokens[pos - 1]);
+    if (token.type === 'not') {
+      pos++;
+      if (!peek()) fail(`Expected a search term after ${token.raw}`, token);
+      return { type: 'not', child: parseUnary() };
+    }
+    if (token.type === 'lparen') {
+      pos++;
+      const node = parseOr();
+      if (!peek() || peek().type !== 'rparen') fail('Missing closing parenthesis', token);
+      pos++;
+      return node;
+    }
+    if (token.type !== 'term') fail(`Unexpected ${token.raw}`, token);
+    pos++;
+    const { node, error } = _parseSearchQueryTerm(token);
+    if (error) fail(error, token);
+    return node;
+  };
+
+  const parseAnd = () => {
+    const children = [];
+    while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+      if (peek().type === 'and') {
+        pos++;
+        continue;
+      }
+      children.push(parseUnary());
+    }
+    if (!children.length) fail('Expected a search term', peek() || tokens[pos - 1]);
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek() && peek().type === 'or') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  try {
+    const ast = parseOr();
+    if (pos < tokens.length) fail('Unmatched closing parenthesis', tokens[pos]);
+    return { ast, error: null, tokens };
+  } catch (err) {
+    return { ast: null, error: { message: err.message, start: err.token.start, end: err.token.end }, tokens };
+  }
+};
+
+/**
+ * Whether a query uses the structured syntax. Plain words and comma lists
+ * stay on the legacy matcher so existing searches behave as before.
+ * @param {string} query
+ * @returns {boolean}
+ */
+const isStructuredSearchQuery = (query) => tokenizeSearchQuery(query).some(t =>
+  (t.type === 'term' ? !!_splitSearchQueryTerm(t.raw) : (t.type !== 'or' || t.raw !== ',')));
+
+/**
+ * Whether a query asks about dispositions (is:disposed, disposition:sold,
+ * disposed:2024…), in which case disposed items must not be hidden.
+ * @param {Object|null} node - AST from parseSearchQuery
+ * @returns {boolean}
+ */
+const searchQueryReferencesDisposition = (node) => {
+  if (!node) return false;
+  if (node.children) return node.children.some(searchQueryReferencesDisposition);
+  if (node.child) return searchQueryReferencesDisposition(node.child);
+  if (node.type !== 'field') return false;
+  return _SEARCH_QUERY_DISPOSITION_FIELDS.has(node.field) || (node.field === 'is' && node.value === 'disposed');
+};
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+/**
+ * Apply a comparison node given a comparator against the item's value.
+ * @param {Function} cmp - bound => negative, 0 or positive
+ * @param {Object} node
+ * @returns {boolean}
+ */
+const _searchQueryCompare = (cmp, node) => {
+  switch (node.op) {
+    case 'range': return (node.min === null || cmp(node.min) >= 0) && (node.max === null || cmp(node.max) <= 0);
+    case '>': return cmp(node.value) > 0;
+    case '>=': return cmp(node.value) >= 0;
+    case '<': return cmp(node.value) < 0;
+    case '<=': return cmp(node.value) <= 0;
+    default: return cmp(node.value) === 0;
+  }
+};
+
+/**
+ * Evaluate a field node against an item.
+ * @param {Object} node
+ * @param {Object} item
+ * @returns {boolean}
+ */
+const _matchSearchQueryField = (node, item) => {
+  if (node.field === 'is') return SEARCH_QUERY_FLAGS[node.value].test(item);
+
+  const def = SEARCH_QUERY_FIELDS[node.field];
+  const raw = def.get(item);
+  const values = (Array.isArray(raw) ? raw : [raw]).filter(v => v !== undefined && v !== null && v !== '');
+
+  if (def.kind === 'text') {
+    const needle = node.value.toLowerCase();
+    return values.some(v => (node.op === '=' ? String(v).toLowerCase() === needle : String(v).toLowerCase().includes(needle)));
+  }
+  if (def.kind === 'number') {
+    return values.some(v => {
+      const n = Number(v);
+      if (!Number.isFinite(n)) return false;
+      return _searchQueryCompare(bound => (Math.abs(n - bound) < 1e-6 ? 0 : n - bound), node);
+    });
+  }
+  return values.some(v => _searchQueryCompare((bound) => {
+    const prefix = String(v).slice(0, bound.length);
+    return prefix === bound ? 0 : (prefix < bound ? -1 : 1);
+  }, node));
+};
+
+/**
+ * Evaluate a plain-text node against the fields the legacy search covers.
+ * Metal abbreviations (ase, age…) expand as they do there.
+ * @param {Object} node
+ * @param {Object} item
+ * @returns {boolean}
+ */
+const _matchSearchQueryText = (node, item) => {
+  const text = [
+    item.name, item.metal, item.composition, item.type,
+    item.purchaseLocation, item.storageLocation, item.notes,
+    item.year, item.grade, item.gradingAuthority, item.certNumber,
+    item.numistaId, item.serialNumber, item.pcgsNumber,
+    ..._searchQueryTags(item),
+  ].filter(v => v !== undefined && v !== null && v !== '').join(' ').toLowerCase();
+
+  const needle = node.value.toLowerCase();
+  if (text.includes(needle)) return true;
+  const expansion = typeof METAL_ABBREVIATIONS !== 'undefined' ? METAL_ABBREVIATIONS[needle] : null;
+  return !!expansion && text.includes(expansion.toLowerCase());
+};
+
+/**
+ * Evaluate a parsed query against an inventory item.
+ * @param {Object|null} node - AST from parseSearchQuery (null matches everything)
+ * @param {Object} item
+ * @returns {boolean}
+ */
+const evaluateSearchQuery = (node, item) => {
+  if (!node) return true;
+  switch (node.type) {
+    case 'and': return node.children.every(child => evaluateSearchQuery(child, item));
+    case 'or': return node.children.some(child => evaluateSearchQuery(child, item));
+    case 'not': return !evaluateSearchQuery(node.child, item);
+    case 'field': return _matchSearchQueryField(node, item);
+    default: return _matchSearchQueryText(node, item);
+  }
+};
+
+// =============================================================================
+// SMART FILTERS
+// =============================================================================
+
+/**
+ * Saved smart filters, in the order they were added.
+ * @returns {Array<{id: string, label: string, query: string}>}
+ */
+const getSmartFilters = () => {
+  const stored = loadDataSync(SMART_FILTERS_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored.filter(f => f && typeof f.id === 'string' && typeof f.query === 'string' && f.query.trim());
+};
+
+/**
+ * Save a named query as a smart filter.
+ * @param {string} label - Chip label
+ * @param {string} query - Query text; must parse
+ * @returns {{ success: boolean, id: (string|undefined), error: (string|undefined) }}
+ */
+const saveSmartFilter = (label, query) => {
+  const name = String(label || '').trim();
+  if (!name) return { success: false, error: 'Give the smart filter a name.' };
+  const text = String(query || '').trim();
+  const { ast, error } = parseSearchQuery(text);
+  if (error) return { success: false, error: error.message };
+  if (!ast) return { success: false, error: 'Enter a query to save.' };
+
+  const list = getSmartFilters();
+  if (list.some(f => f.query === text)) return { success: false, error: 'This query is already saved.' };
+  const id = 'sf_' + generateUUID();
+  list.push({ id, label: name, query: text, createdAt: new Date().toISOString() });
+  saveDataSync(SMART_FILTERS_KEY, list);
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+  return { success: true, id };
+};
+
+/**
+ * Delete a smart filter.
+ * @param {string} id
+ */
+const removeSmartFilter = (id) => {
+  saveDataSync(SMART_FILTERS_KEY, getSmartFilters().filter(f => f.id !== id));
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+};
+
+/**
+ * Whether the search bar can save this query as a new smart filter.
+ * @param {string} query
+ * @returns {boolean}
+ */
+const canSaveSmartFilter = (query) => {
+  const text = String(query || '').trim();
+  const { ast, error } = parseSearchQuery(text);
+  return !!ast && !error && !getSmartFilters().some(f => f.query === text);
+};
+
+/**
+ * Item counts for each smart filter, over the active portfolio. Disposed
+ * items are counted only by filters that ask about dispositions.
+ * @returns {Object<string, {label: string, query: string, count: number}>}
+ */
+const countSmartFilters = () => {
+  const items = typeof getPortfolioItems === 'function' ? getPortfolioItems() : inventory;
+  const results = {};
+  getSmartFilters().forEach(filter => {
+    const { ast } = parseSearchQuery(filter.query);
+    if (!ast) return;
+    const includeDisposed = searchQueryReferencesDisposition(ast);
+    const count = items.filter(item => (includeDisposed || !item.disposition) && evaluateSearchQuery(ast, item)).length;
+    results[filter.id] = { label: filter.label, query: filter.query, count };
+  });
+  return results;
+};
+
+/**
+ * Whether a smart filter's query is the current search.
+ * @param {string} id
+ * @returns {boolean}
+ */
+const isSmartFilterActive = (id) => {
+  const filter = getSmartFilters().find(f => f.id === id);
+  return !!filter && searchQuery.trim() === filter.query;
+};
+
+/**
+ * Replace the search bar text and re-filter immediately.
+ * @param {string} query
+ */
+const setSearchQueryText = (query) => {
+  const input = document.getElementById('searchInput');
+  if (input) input.value = query;
+  searchQuery = query;
+  refreshSearchQueryHighlight();
+  if (typeof renderTable === 'function') renderTable();
+  if (typeof renderActiveFilters === 'function') renderActiveFilters();
+  if (typeof updateSaveSearchButton === 'function') updateSaveSearchButton(query, false);
+};
+
+/**
+ * Run a smart filter from its chip. Clicking the active one clears the search.
+ * @param {string} id
+ * @param {boolean} [exclude=false] - Search for items the filter does not match
+ */
+const applySmartFilter = (id, exclude = false) => {
+  const filter = getSmartFilters().find(f => f.id === id);
+  if (!filter) return;
+  const query = exclude ? `-(${filter.query})` : filter.query;
+  setSearchQueryText(searchQuery.trim() === query ? '' : query);
+};
+
+// =============================================================================
+// SEARCH BAR — HIGHLIGHTING AND AUTOCOMPLETE
+// =============================================================================
+
+/**
+ * Distinct values of a text field across the inventory, for suggestions.
+ * @param {string} field - Canonical field key or 'is'
+ * @returns {string[]}
+ */
+const _searchQueryFieldValues = (field) => {
+  if (field === 'is') return Object.keys(SEARCH_QUERY_FLAGS);
+  if (field === 'disposition') return Object.keys(DISPOSITION_TYPES);
+  const def = SEARCH_QUERY_FIELDS[field];
+  if (!def || def.kind !== 'text') return [];
+  const values = new Set();
+  (typeof inventory !== 'undefined' ? inventory : []).forEach(item => {
+    const raw = def.get(item);
+    (Array.isArray(raw) ? raw : [raw]).forEach(v => {
+      if (v !== undefined && v !== null && String(v).trim()) values.add(String(v).trim());
+    });
+  });
+  return [...values].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Completions for the word at the caret: field names while typing a bare
+ * word, or known values after "field:".
+ * @param {string} query - Search bar text
+ * @param {number} [caret] - Caret position (defaults to the end)
+ * @returns {{from: number, to: number, items: Array<{insert: string, label: string, hint: string}>}|null}
+ */
+const getSearchQuerySuggestions = (query, caret = String(query || '').length) => {
+  const before = String(query || '').slice(0, caret);
+  const fragment = before.match(/[^\s(),]*$/)[0].replace(/^-/, '');
+  if (!fragment) return null;
+  const from = caret - fragment.length;
+
+  const parts = _splitSearchQueryTerm(fragment);
+  if (!parts) {
+    if (fragment.includes(':') || fragment.startsWith('"')) return null;
+    const lower = fragment.toLowerCase();
+    const items = [...Object.keys(SEARCH_QUERY_FIELDS), 'is']
+      .filter(key => key.startsWith(lower))
+      .map(key => ({ insert: key + ':', label: key + ':', hint: key === 'is' ? 'disposed, graded, verified…' : SEARCH_QUERY_FIELDS[key].label }));
+    return items.length ? { from, to: caret, items } : null;
+  }
+
+  if (parts.op !== ':') return null;
+  const typed = parts.value.replace(/^"/, '').toLowerCase();
+  const prefix = fragment.slice(0, parts.valueOffset);
+  const values = _searchQueryFieldValues(parts.field)
+    .filter(v => v.toLowerCase() !== typed && v.toLowerCase().includes(typed))
+    .sort((a, b) => Number(!a.toLowerCase().startsWith(typed)) - Number(!b.toLowerCase().startsWith(typed)))
+    .slice(0, AUTOCOMPLETE_CONFIG.maxSuggestions);
+  if (!values.length) return null;
+  const items = values.map(v => ({
+    insert: prefix + (/[\s(),"]/.test(v) ? `"${v.replace(/"/g, '')}"` : v) + ' ',
+    label: v,
+    hint: parts.field === 'is' ? SEARCH_QUERY_FLAGS[v].label : '',
+  }));
+  return { from, to: caret, items };
+};
+
+/**
+ * Append the highlighted form of a query to an element: field names,
+ * values, operators and the term holding a parse error get their own
+ * classes. Whitespace is kept so the text lines up with the input.
+ * @param {HTMLElement} el
+ * @param {string} query
+ * @returns {Object} parseSearchQuery() result
+ */
+const _renderSearchQueryTokens = (el, query) => {
+  const parsed = parseSearchQuery(query);
+  const span = (className, text) => {
+    const s = document.createElement('span');
+    s.className = className;
+    s.textContent = text;
+    el.appendChild(s);
+  };
+
+  let cursor = 0;
+  parsed.tokens.forEach(token => {
+    if (token.start > cursor) el.appendChild(document.createTextNode(query.slice(cursor, token.start)));
+    cursor = token.end;
+
+    const isError = parsed.error && token.start === parsed.error.start && token.end === parsed.error.end;
+    if (token.type !== 'term') {
+      span(isError ? 'sq-error' : (token.type.endsWith('paren') ? 'sq-paren' : 'sq-op'), token.raw);
+      return;
+    }
+    const parts = _splitSearchQueryTerm(token.raw);
+    if (isError || (parts && _parseSearchQueryTerm(token).error)) {
+      span('sq-error', token.raw);
+    } else if (parts) {
+      span('sq-field', token.raw.slice(0, parts.valueOffset));
+      span('sq-value', token.raw.slice(parts.valueOffset));
+    } else {
+      span('sq-text', token.raw);
+    }
+  });
+  if (cursor < query.length) el.appendChild(document.createTextNode(query.slice(cursor)));
+  return parsed;
+};
+
+/**
+ * Redraw the search bar highlight. Structured queries are drawn over the
+ * input (whose own text turns transparent); parse errors go in its tooltip.
+ */
+const refreshSearchQueryHighlight = () => {
+  const input = document.getElementById('searchInput');
+  const overlay = document.getElementById('searchQueryHighlight');
+  if (!input || !overlay) return;
+  const wrapper = overlay.parentElement;
+  const query = input.value || '';
+  overlay.textContent = '';
+
+  if (!isStructuredSearchQuery(query)) {
+    wrapper.classList.remove('search-query-active');
+    input.removeAttribute('aria-invalid');
+    input.title = '';
+    return;
+  }
+
+  // Mirror the input's box and font so the overlay text sits exactly on top
+  const cs = getComputedStyle(input);
+  ['fontFamily', 'fontSize', 'fontWeight', 'letterSpacing', 'paddingLeft', 'paddingRight',
+    'borderLeftWidth', 'borderRightWidth', 'borderTopWidth', 'borderBottomWidth'].forEach(prop => {
+    overlay.style[prop] = cs[prop];
+  });
+
+  const text = document.createElement('span');
+  text.className = 'search-query-text';
+  const { error } = _renderSearchQueryTokens(text, query);
+  overlay.appendChild(text);
+  overlay.scrollLeft = input.scrollLeft;
+  wrapper.classList.add('search-query-active');
+  if (error) input.setAttribute('aria-invalid', 'true');
+  else input.removeAttribute('aria-invalid');
+  input.title = error ? error.message : '';
+};
+
+/**
+ * Wires highlighting and field/value autocomplete on the search bar.
+ * Called once from events.js.
+ */
+const setupSearchQueryInput = () => {
+  const input = document.getElementById('searchInput');
+  const overlay = document.getElementById('searchQueryHighlight');
+  if (!input || !overlay) return;
+  input.setAttribute('autocomplete', 'staktrakr-no-autofill');
+
+  let dropdown = null;
+  let suggestions = null;
+  let activeIndex = -1;
+
+  const hide = () => {
+    if (dropdown) dropdown.remove();
+    dropdown = null;
+    suggestions = null;
+    activeIndex = -1;
+  };
+
+  const setActive = (index) => {
+    activeIndex = index;
+    dropdown.querySelectorAll('.autocomplete-item').forEach((el, i) => {
+      el.classList.toggle('active', i === index);
+      if (i === index) el.scrollIntoView({ block: 'nearest' });
+    });
+  };
+
+  const accept = (index) => {
+    const choice = suggestions && suggestions.items[index];
+    if (!choice) return;
+    const value = input.value;
+    input.value = value.slice(0, suggestions.from) + choice.insert + value.slice(suggestions.to);
+    const caret = suggestions.from + choice.insert.length;
+    input.setSelectionRange(caret, caret);
+    hide();
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.focus();
+  };
+
+  const show = () => {
+    suggestions = getSearchQuerySuggestions(input.value, input.selectionStart ?? input.value.length);
+    if (!suggestions) {
+      hide();
+      return;
+    }
+    if (!dropdown) {
+      dropdown = document.createElement('div');
+      dropdown.className = 'autocomplete-dropdown search-query-suggestions';
+      dropdown.setAttribute('role', 'listbox');
+      document.body.appendChild(dropdown);
+    }
+    const rect = overlay.parentElement.getBoundingClientRect();
+    dropdown.style.top = `${rect.bottom}px`;
+    dropdown.style.left = `${rect.left}px`;
+    dropdown.style.width = `${Math.min(rect.width, 360)}px`;
+    dropdown.textContent = '';
+    activeIndex = -1;
+    suggestions.items.forEach((s, i) => {
+      const row = document.createElement('div');
+      row.className = 'autocomplete-item';
+      row.setAttribute('role', 'option');
+      row.textContent = s.label;
+      if (s.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'search-query-hint';
+        hint.textContent = s.hint;
+        row.appendChild(hint);
+      }
+      row.addEventListener('mousedown', (e) => {
+        e.preventDefault(); // keep focus in the search bar
+        accept(i);
+      });
+      row.addEventListener('mouseenter', () => setActive(i));
+      dropdown.appendChild(row);
+    });
+  };
+
+  input.addEventListener('input', () => {
+    refreshSearchQueryHighlight();
+    show();
+  });
+  ['scroll', 'keyup', 'click', 'select'].forEach(type => {
+    input.addEventListener(type, () => { overlay.scrollLeft = input.scrollLeft; });
+  });
+  input.addEventListener('blur', hide);
+  window.addEventListener('resize', hide);
+
+  // Capture phase so an accepted suggestion doesn't also trigger the
+  // Enter-to-blur handler in search.js
+  input.addEventListener('keydown', (e) => {
+    if (!dropdown || !suggestions) return;
+    const count = suggestions.items.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActive(e.key === 'ArrowDown' ? (activeIndex + 1) % count : (activeIndex - 1 + count) % count);
+    } else if (e.key === 'Tab' || (e.key === 'Enter' && activeIndex >= 0)) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      accept(activeIndex >= 0 ? activeIndex : 0);
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      hide();
+    }
+  }, true);
+
+  refreshSearchQueryHighlight();
+};
+
+// =============================================================================
+// SETTINGS — Filter Chips → Smart filters
+// =============================================================================
+
+/**
+ * Render the smart filter table inside #smartFilterTableContainer.
+ */
+const renderSmartFilterTable = () => {
+  const container = document.getElementById('smartFilterTableContainer');
+  if (!container) return;
+  const filters = getSmartFilters();
+  container.textContent = '';
+
+  if (!filters.length) {
+    const empty = document.createElement('div');
+    empty.className = 'chip-grouping-empty';
+    empty.textContent = 'No smart filters';
+    container.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'chip-grouping-table';
+  const tbody = document.createElement('tbody');
+  filters.forEach(filter => {
+    const tr = document.createElement('tr');
+
+    const tdLabel = document.createElement('td');
+    tdLabel.textContent = filter.label;
+
+    const tdQuery = document.createElement('td');
+    tdQuery.className = 'chip-grouping-patterns';
+    const code = document.createElement('code');
+    code.textContent = filter.query;
+    tdQuery.appendChild(code);
+
+    const tdDelete = document.createElement('td');
+    tdDelete.style.cssText = 'width:2rem;text-align:center';
+    const delBtn = document.createElement('button');
+    delBtn.type = 'button';
+    delBtn.className = 'inline-chip-move';
+    delBtn.textContent = '✕';
+    delBtn.title = 'Delete smart filter';
+    delBtn.addEventListener('click', () => {
+      removeSmartFilter(filter.id);
+      renderSmartFilterTable();
+      if (typeof renderActiveFilters === 'function') renderActiveFilters();
+      if (typeof updateSaveSearchButton === 'function') updateSaveSearchButton(searchQuery, false);
+    });
+    tdDelete.appendChild(delBtn);
+
+    tr.append(tdLabel, tdQuery, tdDelete);
+    tbody.appendChild(tr);
+  });
+  table.appendChild(tbody);
+  container.appendChild(table);
+};
+
+/**
+ * Wires the smart filter settings form. Called once from events.js.
+ */
+const setupSmartFilterSettings = () => {
+  const addBtn = document.getElementById('addSmartFilterBtn');
+  const labelInput = document.getElementById('smartFilterLabelInput');
+  const queryInput = document.getElementById('smartFilterQueryInput');
+  if (!addBtn || !labelInput || !queryInput) return;
+
+  addBtn.addEventListener('click', () => {
+    const result = saveSmartFilter(labelInput.value, queryInput.value);
+    if (!result.success) {
+      appAlert(result.error);
+      return;
+    }
+    labelInput.value = '';
+    queryInput.value = '';
+    renderSmartFilterTable();
+    if (typeof renderActiveFilters === 'function') renderActiveFilters();
+  });
+};
+
+// Expose globally
+window.SEARCH_QUERY_FIELDS = SEARCH_QUERY_FIELDS;
+window.SEARCH_QUERY_FLAGS = SEARCH_QUERY_FLAGS;
+window.tokenizeSearchQuery = tokenizeSearchQuery;
+window.parseSearchQuery = parseSearchQuery;
+window.isStructuredSearchQuery = isStructuredSearchQuery;
+window.searchQueryReferencesDisposition = searchQueryReferencesDisposition;
+window.evaluateSearchQuery = evaluateSearchQuery;
+window.getSmartFilters = getSmartFilters;
+window.saveSmartFilter = saveSmartFilter;
+window.removeSmartFilter = removeSmartFilter;
+window.canSaveSmartFilter = canSaveSmartFilter;
+window.countSmartFilters = countSmartFilters;
+window.isSmartFilterActive = isSmartFilterActive;
+window.setSearchQueryText = setSearchQueryText;
+window.applySmartFilter = applySmartFilter;
+window.getSearchQuerySuggestions = getSearchQuerySuggestions;
+window.refreshSearchQueryHighlight = refreshSearchQueryHighlight;
+window.setupSearchQueryInput = setupSearchQueryInput;
+window.renderSmartFilterTable = renderSmartFilterTable;
+window.setupSmartFilterSettings = setupSmartFilterSettings;
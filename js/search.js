@@ -425,12 +425,17 @@ const searchPatternMatchesAutoChip = (patterns) => {
 
 /**
  * Determines whether the "Save Search" button should be displayed.
+ * Structured queries (search-query.js) save as smart filters instead of
+ * pattern chips.
  *
  * @param {string} query - The current search query
  * @param {boolean} fuzzyUsed - Whether fuzzy matching was used for this query
  * @returns {boolean} True if the save button should be shown
  */
 const shouldShowSearchSaveButton = (query, fuzzyUsed) => {
+  if (typeof isStructuredSearchQuery === 'function' && isStructuredSearchQuery(query)) {
+    return canSaveSmartFilter(query);
+  }
   const patterns = parseSearchPatterns(query);
   if (patterns.length < 2) return false;
   if (fuzzyUsed) return false;
@@ -466,7 +471,8 @@ const deriveSearchLabel = (patterns) => {
 
 /**
  * Handles the "Save Search" button click event.
- * Prompts the user for a label and creates a new custom group.
+ * Prompts the user for a label and creates a new custom group, or a smart
+ * filter when the search uses the query syntax.
  */
 const handleSaveSearchPattern = async () => {
   const input = resolveElement('searchInput');
@@ -478,6 +484,23 @@ const handleSaveSearchPattern = async () => {
     return;
   }
 
+  if (typeof isStructuredSearchQuery === 'function' && isStructuredSearchQuery(query)) {
+    const name = typeof showAppPrompt === 'function'
+      ? await showAppPrompt('Name for this smart filter:', '', 'Save Smart Filter')
+      : null;
+    if (name && name.trim()) {
+      const result = saveSmartFilter(name, query);
+      if (!result.success) {
+        if (typeof appAlert === 'function') appAlert(result.error);
+      } else {
+        if (typeof renderActiveFilters === 'function') renderActiveFilters();
+        if (typeof renderSmartFilterTable === 'function') renderSmartFilterTable();
+      }
+    }
+    updateSaveSearchButton(query, fuzzyUsed);
+    return;
+  }
+
   const patterns = parseSearchPatterns(query);
   const defaultLabel = deriveSearchLabel(patterns);
   const label = typeof showAppPrompt === 'function'
@@ -1099,12 +1099,14 @@ const _cloudBackupWithCachedPw = (provider, password, btn) =>
 
 /**
  * Perform a cached-password cloud restore (decrypt + restore, no vault modal).
+ * A v1 backup is upgraded in place afterwards.
  */
-const _cloudRestoreWithCachedPw = async (provider, password, fileBytes) => {
+const _cloudRestoreWithCachedPw = async (provider, password, fileBytes, filename) => {
   try {
     if (typeof vaultRestoreWithPreview === 'function') {
       await vaultRestoreWithPreview(fileBytes, password);
       // DiffModal now showing (or fallback applied if unavailable)
+      if (typeof vaultUpgradeImportedFile === 'function') vaultUpgradeImportedFile(fileBytes, password, { provider, filename });
     } else {
       await vaultDecryptAndRestore(fileBytes, password);
       if (typeof showCloudToast === 'function') showCloudToast('Restore complete. Reloading\u2026');
@@ -1115,6 +1117,7 @@ const _cloudRestoreWithCachedPw = async (provider, password, fileBytes) => {
     openVaultModal('cloud-import', {
       provider: provider,
       fileBytes: fileBytes,
+      filename: filename,
     });
   }
 };
@@ -1158,7 +1161,21 @@ const bindCloudStorageListeners = () => {
     if (!provider) return;
 
     if (btn.classList.contains('cloud-connect-btn')) {
-      if (typeof cloudAuthStart === 'function') cloudAuthStart(provider);
+      var spec = CLOUD_PROVIDERS[provider];
+      if (spec && spec.selfHosted) {
+        // Self-hosted stores: credentials come from the card's inputs, no OAuth
+        var card = btn.closest('.cloud-provider-card');
+        var fieldEls = card ? card.querySelectorAll('[data-cloud-field]') : [];
+        var fields = {};
+        fieldEls.forEach((el) => { fields[el.dataset.cloudField] = el.value; });
+        await _cloudBtnAction(btn, 'Connecting\u2026', async () => {
+          await cloudConnectSelfHosted(provider, fields);
+          fieldEls.forEach((el) => { el.value = ''; });
+          if (typeof showCloudToast === 'function') showCloudToast('Connected to ' + spec.name + '.');
+        }, 'Connection failed: ');
+      } else if (typeof cloudAuthStart === 'function') {
+        cloudAuthStart(provider);
+      }
 
     } else if (btn.classList.contains('cloud-disconnect-btn')) {
       if (typeof cloudDisconnect === 'function') cloudDisconnect(provider);
@@ -1214,7 +1231,7 @@ const bindCloudStorageListeners = () => {
         var fileBytes = await cloudDownloadVaultByName(provider, filename);
         var savedPw = typeof cloudGetCachedPassword === 'function' ? cloudGetCachedPassword(provider) : null;
         if (savedPw) {
-          await _cloudRestoreWithCachedPw(provider, savedPw, fileBytes);
+          await _cloudRestoreWithCachedPw(provider, savedPw, fileBytes, filename);
           return;
         }
         openVaultModal('cloud-import', {
@@ -3,7 +3,7 @@
 
 /**
  * Opens the unified Settings modal, optionally navigating to a section.
- * @param {string} [section='site'] - Section to display: 'site', 'system', 'table', 'grouping', 'api', 'cloud', 'images', 'storage', 'goldback', 'changelog', 'market'
+ * @param {string} [section='site'] - Section to display: 'site', 'system', 'table', 'grouping', 'api', 'cloud', 'images', 'storage', 'goldback', 'changelog', 'market', 'alerts', 'wants', 'goals', 'dca'
  */
 const showSettingsModal = (section = 'site') => {
   const modal = document.getElementById('settingsModal');
@@ -35,7 +35,7 @@ const hideSettingsModal = () => {
 
 /**
  * Switches the visible section panel in the Settings modal.
- * @param {string} name - Section key: 'site', 'system', 'table', 'grouping', 'api', 'cloud', 'images', 'storage', 'goldback', 'changelog', 'market'
+ * @param {string} name - Section key: 'site', 'system', 'table', 'grouping', 'api', 'cloud', 'images', 'storage', 'goldback', 'changelog', 'market', 'alerts', 'wants', 'goals', 'dca'
  */
 const switchSettingsSection = (name) => {
   const targetName = document.getElementById(`settingsPanel_${name}`) ? name : 'system';
@@ -82,6 +82,26 @@ const switchSettingsSection = (name) => {
     renderRetailCards();
   }
 
+  // Render alert rules and log when switching to the alerts section
+  if (targetName === 'alerts' && typeof renderPriceAlertsSection === 'function') {
+    renderPriceAlertsSection();
+  }
+
+  // Evaluate the want list against current retail prices when switching to it
+  if (targetName === 'wants' && typeof renderWantListSection === 'function') {
+    renderWantListSection();
+  }
+
+  // Refresh goal progress and allocation drift when switching to goals
+  if (targetName === 'goals' && typeof renderStackingGoalsSection === 'function') {
+    renderStackingGoalsSection();
+  }
+
+  // Rebuild plan calendars (missed/due depend on today) when switching to DCA
+  if (targetName === 'dca' && typeof renderDcaSection === 'function') {
+    renderDcaSection();
+  }
+
   // Populate Storage section when switching to it
   if (targetName === 'storage' && typeof renderStorageSection === 'function') {
     renderStorageSection();
@@ -228,6 +248,17 @@ const syncSettingsUI = () => {
     ippSelect.value = itemsPerPage === Infinity ? 'all' : String(itemsPerPage);
   }
 
+  // Realized tax year + per-year breakdown (tax-lots.js)
+  if (typeof populateRealizedYearSelect === 'function') {
+    populateRealizedYearSelect(document.getElementById('settingsRealizedYear'));
+    renderRealizedYearSummary(document.getElementById('realizedYearSummary'));
+  }
+  if (typeof populateTaxReportYearSelect === 'function') {
+    populateTaxReportYearSelect(document.getElementById('taxReportYear'));
+  }
+  if (typeof renderPortfolioSettings === 'function') renderPortfolioSettings();
+  if (typeof renderStorageLocationSettings === 'function') renderStorageLocationSettings();
+
   // Cloud backup history depth
   var historySelect = safeGetElement('cloudBackupHistoryDepth');
   if (historySelect) {
@@ -296,11 +327,13 @@ const syncSettingsUI = () => {
   // Numista lookup rule tables
   renderSeedRuleTable();
   renderCustomRuleTable();
+  if (typeof renderLocalCatalogSettings === 'function') renderLocalCatalogSettings();
 
   // Chip grouping tables and dropdown
   if (typeof window.populateBlacklistDropdown === 'function') window.populateBlacklistDropdown();
   if (typeof window.renderBlacklistTable === 'function') window.renderBlacklistTable();
   if (typeof window.renderCustomGroupTable === 'function') window.renderCustomGroupTable();
+  if (typeof renderSmartFilterTable === 'function') renderSmartFilterTable();
 
   // Inline chip config table
   renderInlineChipConfigTable();
@@ -1980,6 +2013,9 @@ const STORAGE_KEY_LABELS = {
   cloud_token_dropbox:             { label: 'Dropbox Token',              icon: '☁️', category: 'Cloud & Auth' },
   cloud_token_pcloud:              { label: 'pCloud Token',               icon: '☁️', category: 'Cloud & Auth' },
   cloud_token_box:                 { label: 'Box Token',                  icon: '☁️', category: 'Cloud & Auth' },
+  cloud_token_webdav:              { label: 'WebDAV Credentials',         icon: '☁️', category: 'Cloud & Auth' },
+  cloud_token_s3:                  { label: 'S3 Credentials',             icon: '☁️', category: 'Cloud & Auth' },
+  cloud_sync_provider:             { label: 'Sync Storage',               icon: '☁️', category: 'Cloud & Auth' },
   cloud_last_backup:               { label: 'Last Cloud Backup',          icon: '☁️', category: 'Cloud & Auth' },
   cloud_activity_log:              { label: 'Cloud Activity Log',         icon: '☁️', category: 'Cloud & Auth' },
   cloud_kraken_seen:               { label: 'Cloud Onboarding Seen',      icon: '☁️', category: 'Cloud & Auth' },
@@ -0,0 +1,606 @@
+// SHARE BUNDLES & SHARED COLLECTIONS
+// =============================================================================
+// Exports a chosen subset of items — selected in bulk edit, or the items the
+// table currently shows — as a share bundle for an insurance appraiser, an
+// heir or another collector. The sender picks which field groups go along
+// (purchase price and storage location are left out by default) and whether
+// photos from the userImages store are included.
+//
+// A bundle is a JSON payload { _meta: { type: SHARE_BUNDLE_TYPE, … }, items,
+// images }. It is written either sealed as a v2 .stvault (vaultSealBytes in
+// vault.js, so the recipient needs the password) or as plain .json.
+//
+// On the receiving side a bundle becomes a read-only "shared collection": it
+// is stored under SHARED_COLLECTIONS_KEY, never merged into the inventory,
+// and its photos live in userImages under "share:<collectionId>:<uuid>" keys
+// so they can't collide with the recipient's own items.
+// =============================================================================
+
+/** @constant {string} SHARE_BUNDLE_TYPE - _meta.type of a share bundle payload */
+const SHARE_BUNDLE_TYPE = 'staktrakr-share';
+
+/** @constant {number} SHARE_BUNDLE_VERSION - Payload schema version */
+const SHARE_BUNDLE_VERSION = 1;
+
+/** @constant {string[]} Item fields every bundle carries — what the item is */
+const SHARE_CORE_FIELDS = [
+  'uuid', 'name', 'metal', 'composition', 'type', 'qty', 'weight', 'weightUnit', 'purity',
+  'year', 'country', 'denomination', 'numistaId', 'obverseImageUrl', 'reverseImageUrl',
+];
+
+/**
+ * Optional field groups the sender can include. `tags` is not an item field —
+ * tags come from getItemTags (tags.js).
+ * @constant {Array<{id: string, label: string, fields: string[], include: boolean}>}
+ */
+const SHARE_FIELD_GROUPS = [
+  { id: 'purchase', label: 'Purchase price, date & vendor', fields: ['price', 'date', 'purchaseLocation', 'spotPriceAtPurchase', 'premiumPerOz', 'totalPremium'], include: false },
+  { id: 'storage', label: 'Storage location', fields: ['storageLocation'], include: false },
+  { id: 'grading', label: 'Grade & certification', fields: ['grade', 'gradingAuthority', 'certNumber', 'pcgsNumber', 'pcgsVerified'], include: true },
+  { id: 'serial', label: 'Serial numbers', fields: ['serialNumber'], include: true },
+  { id: 'value', label: 'Market value', fields: ['marketValue'], include: true },
+  { id: 'notes', label: 'Notes', fields: ['notes'], include: false },
+  { id: 'tags', label: 'Tags', fields: [], include: true },
+];
+
+/** @type {{items: Object[], source: string}|null} Items waiting in the share modal */
+let shareExportState = null;
+
+/** @type {Uint8Array|null} Encrypted bundle waiting for its password in the shared collections modal */
+let sharePendingFile = null;
+
+/** @type {Set<string>} Object URLs created for shared collection thumbnails */
+const _shareBlobUrls = new Set();
+
+// =============================================================================
+// BUILDING BUNDLES
+// =============================================================================
+
+/**
+ * Copy of an item holding only the core fields plus the chosen groups.
+ * @param {Object} item - Inventory item
+ * @param {string[]} groupIds - Ids from SHARE_FIELD_GROUPS
+ * @returns {Object}
+ */
+const buildShareItem = (item, groupIds) => {
+  const fields = SHARE_CORE_FIELDS.concat(...SHARE_FIELD_GROUPS
+    .filter(g => groupIds.includes(g.id))
+    .map(g => g.fields));
+  const shared = {};
+  fields.forEach((key) => {
+    if (item[key] !== undefined && item[key] !== null && item[key] !== '') shared[key] = item[key];
+  });
+  if (groupIds.includes('tags') && typeof getItemTags === 'function') {
+    const tags = getItemTags(item.uuid);
+    if (tags.length) shared.tags = tags.slice();
+  }
+  return shared;
+};
+
+/**
+ * Build a share bundle payload for a set of items.
+ * @param {Object[]} items - Inventory items
+ * @param {Object} [options]
+ * @param {string} [options.title] - Name the recipient sees
+ * @param {string[]} [options.groups] - Field groups to include (default: groups with include: true)
+ * @param {boolean} [options.includeImages=true] - Attach photos from the userImages store
+ * @returns {Promise<Object>} Share bundle payload
+ */
+const buildShareBundle = async (items, options = {}) => {
+  const groups = options.groups || SHARE_FIELD_GROUPS.filter(g => g.include).map(g => g.id);
+  const sharedItems = items.map(item => buildShareItem(item, groups));
+
+  const images = [];
+  if (options.includeImages !== false && window.imageCache?.isAvailable()) {
+    for (const item of items) {
+      const record = item.uuid ? await imageCache.getUserImage(item.uuid) : null;
+      if (!record) continue;
+      const entry = { uuid: item.uuid };
+      if (record.obverse instanceof Blob) {
+        entry.obverse = await _blobToBase64(record.obverse);
+        entry.obverseType = record.obverse.type;
+      }
+      if (record.reverse instanceof Blob) {
+        entry.reverse = await _blobToBase64(record.reverse);
+        entry.reverseType = record.reverse.type;
+      }
+      if (entry.obverse || entry.reverse) images.push(entry);
+    }
+  }
+
+  return {
+    _meta: {
+      type: SHARE_BUNDLE_TYPE,
+      version: SHARE_BUNDLE_VERSION,
+      appVersion: typeof APP_VERSION !== 'undefined' ? APP_VERSION : 'unknown',
+      exportTimestamp: new Date().toISOString(),
+      title: (options.title || '').trim() || 'Shared collection',
+      groups,
+      itemCount: sharedItems.length,
+      imageCount: images.length,
+    },
+    items: sharedItems,
+    images,
+  };
+};
+
+/**
+ * @param {*} payload
+ * @returns {boolean} true for a share bundle payload (as opposed to a vault backup)
+ */
+const isShareBundle = (payload) => !!(payload && payload._meta && payload._meta.type === SHARE_BUNDLE_TYPE && Array.isArray(payload.items));
+
+/**
+ * Serialize a bundle: sealed as a v2 vault when a password is given, plain JSON otherwise.
+ * @param {Object} bundle
+ * @param {string} [password]
+ * @returns {Promise<Uint8Array>}
+ */
+const encodeShareBundle = async (bundle, password) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(bundle));
+  return password ? vaultSealBytes(bytes, password) : bytes;
+};
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {boolean} true when the bytes start with the .stvault magic
+ */
+const isEncryptedShareFile = (bytes) => VAULT_MAGIC.every((b, i) => bytes[i] === b);
+
+/**
+ * Read a share file of either kind.
+ * @param {Uint8Array|ArrayBuffer} fileBytes
+ * @param {string} [password] - Required for encrypted bundles
+ * @returns {Promise<Object>} Share bundle payload
+ * @throws {Error} When the file is not a share bundle or the password is wrong
+ */
+const readShareFile = async (fileBytes, password) => {
+  const bytes = new Uint8Array(fileBytes);
+  let text;
+  if (isEncryptedShareFile(bytes)) {
+    if (!password) throw new Error('This shared collection is encrypted — enter its password.');
+    text = new TextDecoder().decode(await vaultDecryptBytes(bytes, password));
+  } else {
+    text = new TextDecoder().decode(bytes);
+  }
+  let payload = null;
+  try { payload = JSON.parse(text); } catch (_) { /* handled below */ }
+  if (!isShareBundle(payload)) {
+    throw new Error('Not a StakTrakr shared collection.');
+  }
+  if (payload._meta.version > SHARE_BUNDLE_VERSION) {
+    throw new Error('Created by a newer StakTrakr version. Please update.');
+  }
+  return payload;
+};
+
+// =============================================================================
+// SHARED COLLECTIONS (read-only, receiving side)
+// =============================================================================
+
+/**
+ * Imported shared collections, newest first.
+ * @returns {Array<{id: string, title: string, sharedAt: string, importedAt: string, groups: string[], items: Object[], imageCount: number}>}
+ */
+const getSharedCollections = () => {
+  const list = loadDataSync(SHARED_COLLECTIONS_KEY, []);
+  return Array.isArray(list) ? list : [];
+};
+
+/**
+ * @param {Array} list
+ */
+const saveSharedCollections = (list) => {
+  saveDataSync(SHARED_COLLECTIONS_KEY, list);
+};
+
+/**
+ * userImages key for a photo belonging to a shared collection.
+ * @param {string} collectionId
+ * @param {string} uuid - Item uuid inside the bundle
+ * @returns {string}
+ */
+const getSharedImageKey = (collectionId, uuid) => `share:${collectionId}:${uuid}`;
+
+/**
+ * Store a share bundle as a read-only shared collection.
+ * @param {Object} bundle - Share bundle payload
+ * @returns {Promise<Object>} The stored collection
+ */
+const importSharedCollection = async (bundle) => {
+  if (!isShareBundle(bundle)) throw new Error('Not a StakTrakr shared collection.');
+  const collection = {
+    id: 'sc_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    title: String(bundle._meta.title || 'Shared collection'),
+    sharedAt: bundle._meta.exportTimestamp || '',
+    importedAt: new Date().toISOString(),
+    groups: Array.isArray(bundle._meta.groups) ? bundle._meta.groups : [],
+    items: bundle.items.map(item => sanitizeObjectFields({ ...item })),
+    imageCount: 0,
+  };
+
+  const images = Array.isArray(bundle.images) ? bundle.images : [];
+  if (images.length && window.imageCache?.isAvailable()) {
+    for (const img of images) {
+      if (!img.uuid) continue;
+      const obverse = img.obverse ? _base64ToBlob(img.obverse, img.obverseType) : null;
+      const reverse = img.reverse ? _base64ToBlob(img.reverse, img.reverseType) : null;
+      if (await imageCache.cacheUserImage(getSharedImageKey(collection.id, img.uuid), obverse, reverse)) {
+        collection.imageCount++;
+      }
+    }
+  }
+
+  saveSharedCollections([collection, ...getSharedCollections()]);
+  return collection;
+};
+
+/**
+ * Remove a shared collection and its photos.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+const deleteSharedCollection = async (id) => {
+  const collection = getSharedCollections().find(c => c.id === id);
+  if (!collection) return;
+  if (collection.imageCount && window.imageCache?.isAvailable()) {
+    for (const item of collection.items) {
+      if (item.uuid) await imageCache.deleteUserImage(getSharedImageKey(id, item.uuid));
+    }
+  }
+  saveSharedCollections(getSharedCollections().filter(c => c.id !== id));
+};
+
+/**
+ * Melt value of a shared item at today's spot, or null for unknown metals.
+ * @param {Object} item
+ * @returns {number|null}
+ */
+const getSharedItemMelt = (item) => {
+  const metal = Object.values(METALS).find(m => m.name === item.metal);
+  const spot = metal && typeof spotPrices !== 'undefined' ? spotPrices[metal.key] : 0;
+  return spot ? computeMeltValue(item, spot) : null;
+};
+
+// =============================================================================
+// SHARE EXPORT MODAL
+// =============================================================================
+
+/**
+ * Open the share modal for a set of items.
+ * @param {Object[]} items
+ * @param {string} [source] - Where the items came from, shown in the summary
+ */
+const openShareExportModal = (items, source = 'selected') => {
+  if (!items || items.length === 0) {
+    showToast('No items to share.');
+    return;
+  }
+  shareExportState = { items, source };
+
+  const groupsEl = document.getElementById('shareFieldGroups');
+  if (groupsEl) {
+    groupsEl.innerHTML = SHARE_FIELD_GROUPS.map(g => `<label class="csv-mapping-save-toggle">
+        <input type="checkbox" data-share-group="${g.id}"${g.include ? ' checked' : ''}>
+        ${escapeHtml(g.label)}
+      </label>`).join('');
+  }
+  const summary = document.getElementById('shareExportSummary');
+  if (summary) {
+    summary.textContent = `${items.length} ${source} item${items.length === 1 ? '' : 's'}. `
+      + 'Name, metal, type, weight and quantity are always included.';
+  }
+  const title = document.getElementById('shareTitle');
+  if (title) title.value = '';
+  ['sharePassword', 'sharePasswordConfirm'].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.value = '';
+  });
+  const encrypt = document.getElementById('shareEncrypt');
+  if (encrypt) encrypt.checked = true;
+  const photos = document.getElementById('shareIncludeImages');
+  if (photos) photos.checked = true;
+  syncShareEncryptRow();
+  setShareStatus('shareExportStatus', '');
+
+  if (window.openModalById) openModalById('shareExportModal');
+};
+
+/**
+ * Share the items the table currently shows (search and filters applied).
+ */
+const openShareFilteredItems = () => {
+  const items = typeof filterInventory === 'function' ? filterInventory() : inventory;
+  openShareExportModal(items, 'shown');
+};
+
+const closeShareExportModal = () => {
+  if (window.closeModalById) closeModalById('shareExportModal');
+  shareExportState = null;
+};
+
+/**
+ * Show the password fields only while "Encrypt" is checked.
+ */
+const syncShareEncryptRow = () => {
+  const encrypt = document.getElementById('shareEncrypt');
+  const row = document.getElementById('sharePasswordRow');
+  const warning = document.getElementById('sharePlainWarning');
+  const on = !encrypt || encrypt.checked;
+  if (row) row.style.display = on ? '' : 'none';
+  if (warning) warning.style.display = on ? 'none' : '';
+};
+
+/**
+ * Status line in the same style as the vault modal (showVaultStatus).
+ * @param {string} id - Status element id
+ * @param {string} message - Empty hides the element
+ * @param {'info'|'error'|'success'} [type='info']
+ */
+const setShareStatus = (id, message, type = 'info') => {
+  const el = document.getElementById(id);
+  if (!el) return;
+  el.style.display = message ? '' : 'none';
+  el.innerHTML = message
+    ? `<div class="status-indicator status-${type}"><span class="status-dot${type === 'info' ? ' vault-dot-pulse' : ''}"></span>`
+      + `<span class="status-text">${escapeHtml(message)}</span></div>`
+    : '';
+};
+
+/**
+ * Build, serialize and download the bundle configured in the share modal.
+ * @returns {Promise<void>}
+ */
+const confirmShareExport = async () => {
+  if (!shareExportState) return;
+  const encrypt = document.getElementById('shareEncrypt')?.checked;
+  const password = document.getElementById('sharePassword')?.value || '';
+  const confirm = document.getElementById('sharePasswordConfirm')?.value || '';
+  if (encrypt) {
+    if (password.length < VAULT_MIN_PASSWORD_LENGTH) {
+      setShareStatus('shareExportStatus', `Password must be at least ${VAULT_MIN_PASSWORD_LENGTH} characters.`, 'error');
+      return;
+    }
+    if (password !== confirm) {
+      setShareStatus('shareExportStatus', 'Passwords do not match.', 'error');
+      return;
+    }
+  }
+
+  const groups = Array.from(document.querySelectorAll('#shareFieldGroups [data-share-group]'))
+    .filter(cb => cb.checked)
+    .map(cb => cb.getAttribute('data-share-group'));
+  const title = document.getElementById('shareTitle')?.value || '';
+  const includeImages = document.getElementById('shareIncludeImages')?.checked !== false;
+
+  const btn = document.getElementById('shareExportBtn');
+  if (btn) btn.disabled = true;
+  setShareStatus('shareExportStatus', encrypt ? 'Encrypting…' : 'Preparing…');
+  try {
+    const bundle = await buildShareBundle(shareExportState.items, { title, groups, includeImages });
+    const bytes = await encodeShareBundle(bundle, encrypt ? password : '');
+    const slug = bundle._meta.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+    const stamp = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const filename = `staktrakr-share-${slug}-${stamp}${encrypt ? VAULT_FILE_EXTENSION : '.json'}`;
+    downloadFile(filename, bytes, encrypt ? 'application/octet-stream' : 'application/json');
+    closeShareExportModal();
+    showToast(`Shared ${bundle._meta.itemCount} item(s)` + (bundle._meta.imageCount ? ` with ${bundle._meta.imageCount} photo(s).` : '.'));
+  } catch (err) {
+    setShareStatus('shareExportStatus', err.message || 'Share export failed.', 'error');
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+};
+
+// =============================================================================
+// SHARED COLLECTIONS MODAL
+// =============================================================================
+
+const _revokeShareBlobUrls = () => {
+  _shareBlobUrls.forEach(url => URL.revokeObjectURL(url));
+  _shareBlobUrls.clear();
+};
+
+/**
+ * Render the list of imported shared collections.
+ */
+const renderSharedCollectionList = () => {
+  const listEl = document.getElementById('sharedCollectionList');
+  const viewEl = document.getElementById('sharedCollectionView');
+  if (viewEl) viewEl.innerHTML = '';
+  _revokeShareBlobUrls();
+  if (!listEl) return;
+
+  const collections = getSharedCollections();
+  if (collections.length === 0) {
+    listEl.innerHTML = '<p class="settings-subtext">No shared collections yet. Open a share file someone sent you.</p>';
+    return;
+  }
+  listEl.innerHTML = collections.map(c => `<div class="shared-collection-row">
+      <button type="button" class="shared-collection-open" data-shared-open="${escapeHtml(c.id)}">
+        <strong>${escapeHtml(c.title)}</strong>
+        <span>${c.items.length} item${c.items.length === 1 ? '' : 's'}${c.sharedAt ? ' · shared ' + escapeHtml(c.sharedAt.slice(0, 10)) : ''}</span>
+      </button>
+      <button type="button" class="btn btn-danger" data-shared-delete="${escapeHtml(c.id)}" aria-label="Remove ${escapeHtml(c.title)}">Remove</button>
+    </div>`).join('');
+};
+
+/**
+ * Render one shared collection as a read-only table with today's melt value.
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+const renderSharedCollection = async (id) => {
+  const viewEl = document.getElementById('sharedCollectionView');
+  const collection = getSharedCollections().find(c => c.id === id);
+  if (!viewEl || !collection) return;
+  _revokeShareBlobUrls();
+
+  const has = (groupId) => collection.groups.includes(groupId);
+  let meltTotal = 0;
+  const rows = collection.items.map((item) => {
+    const melt = getSharedItemMelt(item);
+    if (melt) meltTotal += melt;
+    const details = [
+      item.year,
+      has('grading') && item.grade ? [item.gradingAuthority, item.grade].filter(Boolean).join(' ') : '',
+      has('grading') && item.certNumber ? 'Cert #' + item.certNumber : '',
+      has('serial') && item.serialNumber ? 'S/N ' + item.serialNumber : '',
+      has('storage') ? item.storageLocation : '',
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+    return `<tr data-shared-uuid="${escapeHtml(item.uuid || '')}">
+        <td class="shared-collection-thumb"></td>
+        <td>${escapeHtml(item.name || '')}${details ? `<br><small>${details}</small>` : ''}${has('notes') && item.notes ? `<br><small>${escapeHtml(item.notes)}</small>` : ''}</td>
+        <td>${escapeHtml(item.metal || '')}</td>
+        <td class="num">${Number(item.qty) || 1}</td>
+        <td class="num">${item.weight ? escapeHtml(`${item.weight} ${item.weightUnit || 'oz'}`) : '—'}</td>
+        ${has('purchase') ? `<td class="num">${item.price ? formatCurrency(item.price) : '—'}</td>` : ''}
+        ${has('value') ? `<td class="num">${item.marketValue ? formatCurrency(item.marketValue) : '—'}</td>` : ''}
+        <td class="num">${melt !== null ? formatCurrency(melt) : '—'}</td>
+      </tr>`;
+  }).join('');
+
+  viewEl.innerHTML = `
+    <div class="order-email-meta">
+      <span>${escapeHtml(collection.title)}</span>
+      <span>${collection.items.length} item${collection.items.length === 1 ? '' : 's'}</span>
+      <span>Melt today ${formatCurrency(meltTotal)}</span>
+      <span>Read-only</span>
+    </div>
+    <div class="csv-mapping-table-wrap"><table class="csv-mapping-table">
+      <thead><tr><th></th><th>Item</th><th>Metal</th><th>Qty</th><th>Weight</th>
+        ${has('purchase') ? '<th>Unit cost</th>' : ''}${has('value') ? '<th>Market value</th>' : ''}<th>Melt today</th></tr></thead>
+      <tbody>${rows}</tbody></table></div>`;
+
+  if (!collection.imageCount || !window.imageCache?.isAvailable()) return;
+  for (const tr of viewEl.querySelectorAll('tr[data-shared-uuid]')) {
+    const uuid = tr.getAttribute('data-shared-uuid');
+    const record = uuid ? await imageCache.getUserImage(getSharedImageKey(id, uuid)) : null;
+    const blob = record && (record.obverse || record.reverse);
+    if (!blob) continue;
+    const url = URL.createObjectURL(blob);
+    _shareBlobUrls.add(url);
+    const img = document.createElement('img');
+    img.src = url;
+    img.alt = '';
+    tr.querySelector('.shared-collection-thumb').appendChild(img);
+  }
+};
+
+/**
+ * Open the shared collections modal.
+ */
+const openSharedCollectionsModal = () => {
+  sharePendingFile = null;
+  const pwRow = document.getElementById('sharedImportPasswordRow');
+  if (pwRow) pwRow.style.display = 'none';
+  setShareStatus('sharedImportStatus', '');
+  renderSharedCollectionList();
+  if (window.openModalById) openModalById('sharedCollectionsModal');
+};
+
+const closeSharedCollectionsModal = () => {
+  if (window.closeModalById) closeModalById('sharedCollectionsModal');
+  sharePendingFile = null;
+  _revokeShareBlobUrls();
+};
+
+/**
+ * Import a share file picked in the shared collections modal, asking for the
+ * password first when it is encrypted.
+ * @param {Uint8Array} bytes
+ * @param {string} [password]
+ * @returns {Promise<void>}
+ */
+const importShareFile = async (bytes, password) => {
+  const pwRow = document.getElementById('sharedImportPasswordRow');
+  if (isEncryptedShareFile(bytes) && !password) {
+    sharePendingFile = bytes;
+    if (pwRow) pwRow.style.display = '';
+    document.getElementById('sharedImportPassword')?.focus();
+    setShareStatus('sharedImportStatus', 'This collection is encrypted — enter the password it was shared with.');
+    return;
+  }
+  try {
+    setShareStatus('sharedImportStatus', 'Opening…');
+    const collection = await importSharedCollection(await readShareFile(bytes, password));
+    sharePendingFile = null;
+    if (pwRow) pwRow.style.display = 'none';
+    setShareStatus('sharedImportStatus', `Added "${collection.title}".`, 'success');
+    renderSharedCollectionList();
+    renderSharedCollection(collection.id);
+  } catch (err) {
+    setShareStatus('sharedImportStatus', err.message || 'Could not open the shared collection.', 'error');
+  }
+};
+
+/**
+ * Wires the share and shared collection modals. Called once from events.js.
+ */
+const setupShareBundles = () => {
+  const bind = (id, event, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(event, handler);
+  };
+  bind('shareItemsBtn', 'click', openShareFilteredItems);
+  bind('shareExportCloseBtn', 'click', closeShareExportModal);
+  bind('shareExportCancelBtn', 'click', closeShareExportModal);
+  bind('shareExportBtn', 'click', confirmShareExport);
+  bind('shareEncrypt', 'change', syncShareEncryptRow);
+
+  bind('sharedCollectionsBtn', 'click', openSharedCollectionsModal);
+  bind('sharedCollectionsCloseBtn', 'click', closeSharedCollectionsModal);
+  bind('sharedCollectionsDoneBtn', 'click', closeSharedCollectionsModal);
+  bind('sharedImportUnlockBtn', 'click', () => {
+    if (sharePendingFile) importShareFile(sharePendingFile, document.getElementById('sharedImportPassword')?.value || '');
+  });
+
+  const fileInput = document.getElementById('sharedImportFile');
+  bind('sharedImportFileBtn', 'click', () => { if (fileInput) fileInput.click(); });
+  if (fileInput) {
+    fileInput.addEventListener('change', async (e) => {
+      const file = e.target.files && e.target.files[0];
+      fileInput.value = '';
+      if (!file) return;
+      if (file.size > VAULT_MAX_FILE_SIZE) {
+        setShareStatus('sharedImportStatus', 'File exceeds 50MB limit.', 'error');
+        return;
+      }
+      const pw = document.getElementById('sharedImportPassword');
+      if (pw) pw.value = '';
+      importShareFile(new Uint8Array(await file.arrayBuffer()));
+    });
+  }
+
+  const listEl = document.getElementById('sharedCollectionList');
+  if (listEl) {
+    listEl.addEventListener('click', async (e) => {
+      const openBtn = e.target.closest('[data-shared-open]');
+      if (openBtn) {
+        renderSharedCollection(openBtn.getAttribute('data-shared-open'));
+        return;
+      }
+      const deleteBtn = e.target.closest('[data-shared-delete]');
+      if (deleteBtn) {
+        await deleteSharedCollection(deleteBtn.getAttribute('data-shared-delete'));
+        renderSharedCollectionList();
+      }
+    });
+  }
+};
+
+// Expose globally
+window.SHARE_FIELD_GROUPS = SHARE_FIELD_GROUPS;
+window.buildShareItem = buildShareItem;
+window.buildShareBundle = buildShareBundle;
+window.isShareBundle = isShareBundle;
+window.encodeShareBundle = encodeShareBundle;
+window.readShareFile = readShareFile;
+window.getSharedCollections = getSharedCollections;
+window.importSharedCollection = importSharedCollection;
+window.deleteSharedCollection = deleteSharedCollection;
+window.openShareExportModal = openShareExportModal;
+window.closeShareExportModal = closeShareExportModal;
+window.openSharedCollectionsModal = openSharedCollectionsModal;
+window.closeSharedCollectionsModal = closeSharedCollectionsModal;
+window.setupShareBundles = setupShareBundles;
@@ -0,0 +1,379 @@
+// SMART COLLECTIONS
+// =============================================================================
+// Saved views of the inventory. A collection stores the filters (filter chips,
+// search text and the disposed mode), the sort column and direction, the
+// table columns to hide and the card style. Custom groups and smart filters
+// only narrow the table; a collection brings back the whole view.
+//
+// Collections are listed in the sidebar opened from the search bar's Views
+// button, each with its live item count and melt, purchase and gain/loss
+// totals over the active portfolio. Clicking one switches to it. Records live
+// in SMART_COLLECTIONS_KEY, which is in vault backups and cloud sync.
+// =============================================================================
+
+/** @constant {Array<{id: string, label: string}>} Table columns a collection can hide (Name and actions always show) */
+const SMART_COLLECTION_COLUMNS = [
+  { id: 'date', label: 'Date' },
+  { id: 'metal', label: 'Metal' },
+  { id: 'type', label: 'Type' },
+  { id: 'image', label: 'Image' },
+  { id: 'qty', label: 'Qty' },
+  { id: 'weight', label: 'Weight' },
+  { id: 'purchasePrice', label: 'Purchase' },
+  { id: 'meltValue', label: 'Melt' },
+  { id: 'retailPrice', label: 'Retail' },
+  { id: 'gainLoss', label: 'Gain/Loss' },
+  { id: 'purchaseLocation', label: 'Source' },
+];
+
+/** Disposed filter modes a collection may store */
+const _SMART_COLLECTION_DISPOSED_MODES = new Set(['hide', 'show-all', 'show-only']);
+
+/** Id of the collection currently applied (null for the plain view) */
+let activeSmartCollectionId = null;
+
+/**
+ * Returns the saved collections, in the order they were added.
+ * @returns {Array<Object>}
+ */
+const getSmartCollections = () => {
+  const stored = loadDataSync(SMART_COLLECTIONS_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  const columnIds = new Set(SMART_COLLECTION_COLUMNS.map(c => c.id));
+  return stored
+    .filter(c => c && typeof c.id === 'string' && typeof c.name === 'string' && c.name.trim())
+    .map(c => {
+      const view = c.view && typeof c.view === 'object' ? c.view : {};
+      return {
+        ...c,
+        view: {
+          filters: view.filters && typeof view.filters === 'object' ? view.filters : {},
+          query: typeof view.query === 'string' ? view.query : '',
+          disposedMode: _SMART_COLLECTION_DISPOSED_MODES.has(view.disposedMode) ? view.disposedMode : 'hide',
+        },
+        sortColumn: Number.isInteger(c.sortColumn) ? c.sortColumn : null,
+        sortDirection: c.sortDirection === 'desc' ? 'desc' : 'asc',
+        hiddenColumns: Array.isArray(c.hiddenColumns) ? c.hiddenColumns.filter(id => columnIds.has(id)) : [],
+        cardStyle: ['A', 'B', 'C', 'D'].includes(c.cardStyle) ? c.cardStyle : null,
+      };
+    });
+};
+
+/**
+ * Persist the collections and queue a cloud push.
+ * @param {Array<Object>} list
+ */
+const _saveSmartCollections = (list) => {
+  saveDataSync(SMART_COLLECTIONS_KEY, list);
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+};
+
+/**
+ * Active disposed filter mode from the search bar toggle.
+ * @returns {string} 'hide' | 'show-all' | 'show-only'
+ */
+const _currentDisposedMode = () => {
+  const btn = document.querySelector('#disposedFilterGroup .chip-sort-btn.active');
+  return (btn && btn.dataset.disposedMode) || 'hide';
+};
+
+/**
+ * Snapshot of the current view, in the shape stored on a collection.
+ * @param {Array<string>} hiddenColumns - Column ids to hide
+ * @returns {Object}
+ */
+const _captureSmartCollectionView = (hiddenColumns) => ({
+  view: {
+    filters: JSON.parse(JSON.stringify(activeFilters)),
+    query: searchQuery.trim(),
+    disposedMode: _currentDisposedMode(),
+  },
+  sortColumn,
+  sortDirection,
+  hiddenColumns: hiddenColumns.filter(id => SMART_COLLECTION_COLUMNS.some(c => c.id === id)),
+  cardStyle: typeof getCardStyle === 'function' ? getCardStyle() : null,
+});
+
+/**
+ * Save the current view as a new collection.
+ * @param {string} name
+ * @param {Array<string>} [hiddenColumns] - Defaults to the active collection's hidden columns
+ * @returns {{ success: boolean, id: (string|undefined), error: (string|undefined) }}
+ */
+const saveSmartCollection = (name, hiddenColumns = getSmartCollectionHiddenColumns()) => {
+  const label = String(name || '').trim();
+  if (!label) return { success: false, error: 'Give the collection a name.' };
+  if (searchQuery.trim() && isStructuredSearchQuery(searchQuery) && parseSearchQuery(searchQuery).error) {
+    return { success: false, error: 'Fix the search query before saving the view.' };
+  }
+  const list = getSmartCollections();
+  if (list.some(c => c.name.toLowerCase() === label.toLowerCase())) {
+    return { success: false, error: `A collection named "${label}" already exists.` };
+  }
+  const id = 'sc_' + generateUUID();
+  list.push({ id, name: label, ..._captureSmartCollectionView(hiddenColumns), createdAt: new Date().toISOString() });
+  _saveSmartCollections(list);
+  activeSmartCollectionId = id;
+  return { success: true, id };
+};
+
+/**
+ * Replace a collection's saved view with the current one. Its name and
+ * hidden columns are kept.
+ * @param {string} id
+ * @returns {boolean} Whether the collection was found
+ */
+const updateSmartCollection = (id) => {
+  const list = getSmartCollections();
+  const index = list.findIndex(c => c.id === id);
+  if (index < 0) return false;
+  list[index] = { ...list[index], ..._captureSmartCollectionView(list[index].hiddenColumns), updatedAt: new Date().toISOString() };
+  _saveSmartCollections(list);
+  activeSmartCollectionId = id;
+  return true;
+};
+
+/**
+ * Delete a collection. The current view is left as it is.
+ * @param {string} id
+ */
+const removeSmartCollection = (id) => {
+  _saveSmartCollections(getSmartCollections().filter(c => c.id !== id));
+  if (activeSmartCollectionId === id) activeSmartCollectionId = null;
+};
+
+/**
+ * Items a collection selects, over the active portfolio.
+ * @param {Object} collection
+ * @returns {Array<Object>}
+ */
+const getSmartCollectionItems = (collection) => filterInventoryAdvanced(collection.view);
+
+/**
+ * Count and value totals for a set of items at current spot. Gain/loss is
+ * retail minus purchase, as on the summary cards. Disposed items are counted
+ * but left out of the value totals, which the summary cards also skip.
+ * @param {Array<Object>} items
+ * @returns {{items: number, units: number, melt: number, purchase: number, retail: number, gainLoss: number}}
+ */
+const computeSmartCollectionTotals = (items) => {
+  const totals = items.reduce((sum, item) => {
+    const valuation = computeItemValuation(item, spotPrices[String(item.metal || '').toLowerCase()] || 0);
+    sum.items++;
+    sum.units += valuation.qty;
+    if (isDisposed(item)) return sum;
+    sum.melt += valuation.meltValue;
+    sum.purchase += valuation.purchaseTotal;
+    sum.retail += valuation.retailTotal;
+    return sum;
+  }, { items: 0, units: 0, melt: 0, purchase: 0, retail: 0 });
+  return { ...totals, gainLoss: totals.retail - totals.purchase };
+};
+
+/**
+ * Column ids hidden by the active collection (read by updateColumnVisibility).
+ * @returns {Array<string>}
+ */
+const getSmartCollectionHiddenColumns = () => {
+  if (!activeSmartCollectionId) return [];
+  const active = getSmartCollections().find(c => c.id === activeSmartCollectionId);
+  return active ? active.hiddenColumns : [];
+};
+
+/**
+ * Switch the table to a collection's saved view. Applying the active
+ * collection again, or passing null, returns to the plain view.
+ * @param {string|null} id
+ */
+const applySmartCollection = (id) => {
+  const collection = id ? getSmartCollections().find(c => c.id === id) : null;
+  if (!collection || collection.id === activeSmartCollectionId) {
+    activeSmartCollectionId = null;
+    clearAllFilters();
+    renderSmartCollectionsSidebar();
+    return;
+  }
+
+  activeSmartCollectionId = collection.id;
+  activeFilters = JSON.parse(JSON.stringify(collection.view.filters));
+  document.querySelectorAll('#disposedFilterGroup .chip-sort-btn').forEach((b) => {
+    b.classList.toggle('active', b.dataset.disposedMode === collection.view.disposedMode);
+  });
+  localStorage.setItem('disposedFilterMode', collection.view.disposedMode);
+
+  if (collection.sortColumn !== null) {
+    sortColumn = collection.sortColumn;
+    sortDirection = collection.sortDirection;
+  }
+  if (collection.cardStyle) {
+    localStorage.setItem(CARD_STYLE_KEY, collection.cardStyle);
+    // Settings lists A–C only; D is the table
+    const styleSelect = document.getElementById('settingsCardStyle');
+    if (styleSelect && collection.cardStyle !== 'D') styleSelect.value = collection.cardStyle;
+  }
+  if (typeof updateCardSortBar === 'function') updateCardSortBar();
+
+  // Re-renders the table and chips
+  setSearchQueryText(collection.view.query);
+  renderSmartCollectionsSidebar();
+};
+
+// =============================================================================
+// SIDEBAR
+// =============================================================================
+
+/**
+ * Whether the collections sidebar is open.
+ * @returns {boolean}
+ */
+const _smartCollectionsSidebarOpen = () => {
+  const sidebar = document.getElementById('smartCollectionsSidebar');
+  return !!sidebar && sidebar.classList.contains('open');
+};
+
+/**
+ * Render the collection list with live counts and totals. Skipped while the
+ * sidebar is closed; updateSummary() calls this after every change.
+ */
+const renderSmartCollectionsSidebar = () => {
+  const listEl = document.getElementById('smartCollectionsList');
+  if (!listEl || !_smartCollectionsSidebarOpen()) return;
+  const collections = getSmartCollections();
+  if (activeSmartCollectionId && !collections.some(c => c.id === activeSmartCollectionId)) {
+    activeSmartCollectionId = null;
+  }
+
+  const row = (id, name, totals, actions) => {
+    const active = (id || null) === activeSmartCollectionId;
+    const gainClass = totals.gainLoss > 0 ? 'gain' : totals.gainLoss < 0 ? 'loss' : '';
+    return `<div class="smart-collection-row${active ? ' active' : ''}">
+        <button type="button" class="smart-collection-open" data-collection-open="${escapeHtml(id)}" aria-pressed="${active}">
+          <strong>${escapeHtml(name)}</strong>
+          <span class="smart-collection-count">${totals.items} item${totals.items === 1 ? '' : 's'} · ${totals.units} pcs</span>
+          <span class="smart-collection-totals">
+            <span>Melt ${escapeHtml(formatCurrency(totals.melt))}</span>
+            <span>Cost ${escapeHtml(formatCurrency(totals.purchase))}</span>
+            <span class="smart-collection-gain ${gainClass}">G/L ${escapeHtml(formatCurrency(totals.gainLoss))}</span>
+          </span>
+        </button>${actions}
+      </div>`;
+  };
+
+  const allTotals = computeSmartCollectionTotals(filterInventoryAdvanced({ filters: {}, query: '', disposedMode: 'hide' }));
+  const rows = [row('', 'All items', allTotals, '')];
+  collections.forEach((c) => {
+    const actions = `<span class="smart-collection-actions">
+        <button type="button" class="inline-chip-move" data-collection-update="${escapeHtml(c.id)}" title="Replace with the current view">↻</button>
+        <button type="button" class="inline-chip-move" data-collection-delete="${escapeHtml(c.id)}" title="Delete collection">✕</button>
+      </span>`;
+    rows.push(row(c.id, c.name, computeSmartCollectionTotals(getSmartCollectionItems(c)), actions));
+  });
+  if (!collections.length) {
+    rows.push('<p class="settings-subtext">No collections yet. Set up filters, sort and card style, then save the view below.</p>');
+  }
+  listEl.innerHTML = rows.join('');
+};
+
+/**
+ * Fill the column checkboxes of the save form from the active collection.
+ */
+const _renderSmartCollectionColumnPicker = () => {
+  const picker = document.getElementById('smartCollectionColumns');
+  if (!picker) return;
+  const hidden = new Set(getSmartCollectionHiddenColumns());
+  picker.innerHTML = SMART_COLLECTION_COLUMNS.map(col => `<label class="smart-collection-column">
+      <input type="checkbox" value="${escapeHtml(col.id)}"${hidden.has(col.id) ? '' : ' checked'} /> ${escapeHtml(col.label)}
+    </label>`).join('');
+};
+
+/**
+ * Open or close the collections sidebar.
+ * @param {boolean} [open] - Omit to toggle
+ */
+const toggleSmartCollectionsSidebar = (open) => {
+  const sidebar = document.getElementById('smartCollectionsSidebar');
+  if (!sidebar) return;
+  const show = typeof open === 'boolean' ? open : !sidebar.classList.contains('open');
+  sidebar.classList.toggle('open', show);
+  sidebar.setAttribute('aria-hidden', String(!show));
+  const btn = document.getElementById('smartCollectionsBtn');
+  if (btn) btn.setAttribute('aria-expanded', String(show));
+  if (show) {
+    renderSmartCollectionsSidebar();
+    _renderSmartCollectionColumnPicker();
+  }
+};
+
+/**
+ * Wires the Views button and the sidebar. Called once from events.js.
+ */
+const setupSmartCollections = () => {
+  const btn = document.getElementById('smartCollectionsBtn');
+  const sidebar = document.getElementById('smartCollectionsSidebar');
+  if (!btn || !sidebar) return;
+
+  btn.addEventListener('click', () => toggleSmartCollectionsSidebar());
+  const closeBtn = document.getElementById('smartCollectionsCloseBtn');
+  if (closeBtn) closeBtn.addEventListener('click', () => toggleSmartCollectionsSidebar(false));
+  sidebar.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') toggleSmartCollectionsSidebar(false);
+  });
+
+  const listEl = document.getElementById('smartCollectionsList');
+  if (listEl) {
+    listEl.addEventListener('click', async (e) => {
+      const target = e.target.closest('[data-collection-open], [data-collection-update], [data-collection-delete]');
+      if (!target) return;
+      if (target.hasAttribute('data-collection-open')) {
+        applySmartCollection(target.getAttribute('data-collection-open') || null);
+        _renderSmartCollectionColumnPicker();
+      } else if (target.hasAttribute('data-collection-update')) {
+        updateSmartCollection(target.getAttribute('data-collection-update'));
+        renderTable();
+        renderSmartCollectionsSidebar();
+      } else {
+        const id = target.getAttribute('data-collection-delete');
+        const collection = getSmartCollections().find(c => c.id === id);
+        if (!collection) return;
+        const ok = await showAppConfirm(`Delete the collection "${collection.name}"? Items are not affected.`, 'Delete Collection');
+        if (!ok) return;
+        removeSmartCollection(id);
+        renderTable();
+        renderSmartCollectionsSidebar();
+        _renderSmartCollectionColumnPicker();
+      }
+    });
+  }
+
+  const saveBtn = document.getElementById('smartCollectionSaveBtn');
+  const nameInput = document.getElementById('smartCollectionNameInput');
+  if (saveBtn && nameInput) {
+    saveBtn.addEventListener('click', () => {
+      const hidden = Array.from(document.querySelectorAll('#smartCollectionColumns input[type="checkbox"]'))
+        .filter(cb => !cb.checked)
+        .map(cb => cb.value);
+      const result = saveSmartCollection(nameInput.value, hidden);
+      if (!result.success) {
+        appAlert(result.error);
+        return;
+      }
+      nameInput.value = '';
+      renderTable();
+      renderSmartCollectionsSidebar();
+    });
+  }
+};
+
+// Expose globally
+window.SMART_COLLECTION_COLUMNS = SMART_COLLECTION_COLUMNS;
+window.getSmartCollections = getSmartCollections;
+window.saveSmartCollection = saveSmartCollection;
+window.updateSmartCollection = updateSmartCollection;
+window.removeSmartCollection = removeSmartCollection;
+window.getSmartCollectionItems = getSmartCollectionItems;
+window.computeSmartCollectionTotals = computeSmartCollectionTotals;
+window.getSmartCollectionHiddenColumns = getSmartCollectionHiddenColumns;
+window.applySmartCollection = applySmartCollection;
+window.renderSmartCollectionsSidebar = renderSmartCollectionsSidebar;
+window.toggleSmartCollectionsSidebar = toggleSmartCollectionsSidebar;
+window.setupSmartCollections = setupSmartCollections;
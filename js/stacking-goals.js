@@ -0,0 +1,469 @@
+// STACKING GOALS
+// =============================================================================
+// Weight and value targets per metal (optionally per product type) and a
+// target allocation across metals by melt value. updateSummary() calls
+// renderGoalProgress() so each totals card shows progress bars for its goals
+// and its drift from the target allocation at live spot. Settings → Goals
+// manages both and suggests how many ounces of each metal to buy with a
+// budget to move back toward the target allocation.
+//
+// Weight counts fine troy ounces (weight × purity, Goldbacks converted);
+// value counts melt value at current spot. Disposed items are excluded and
+// the active portfolio is respected, matching the totals cards.
+// =============================================================================
+
+/** @constant {Object<string, string>} Goal measures → unit labels */
+const GOAL_MEASURES = {
+  weight: 'oz',
+  value: 'USD',
+};
+
+/**
+ * Load goals and allocation targets.
+ * @returns {{goals: Array<Object>, allocation: Object<string, number>}}
+ *   goals: [{ id, metal ('silver'…|'all'), type, measure, target, deadline, createdAt }];
+ *   allocation: percent by metal key (empty when unset)
+ */
+const getStackingGoals = () => {
+  const stored = loadDataSync(STACKING_GOALS_KEY, {});
+  const data = stored && typeof stored === 'object' ? stored : {};
+  const metalKeys = Object.values(METALS).map(m => m.key);
+  const goals = (Array.isArray(data.goals) ? data.goals : [])
+    .filter(g => g && typeof g.id === 'string' && GOAL_MEASURES[g.measure] && Number(g.target) > 0)
+    .map(g => ({
+      ...g,
+      metal: metalKeys.includes(g.metal) ? g.metal : 'all',
+      type: typeof g.type === 'string' ? g.type : '',
+      target: Number(g.target),
+      deadline: /^\d{4}-\d{2}-\d{2}$/.test(g.deadline || '') ? g.deadline : '',
+    }));
+  const allocation = {};
+  if (data.allocation && typeof data.allocation === 'object') {
+    metalKeys.forEach(k => {
+      const pct = Number(data.allocation[k]);
+      if (pct > 0) allocation[k] = pct;
+    });
+  }
+  return { goals, allocation };
+};
+
+/**
+ * Persist goals and allocation targets and queue a cloud push.
+ * @param {{goals: Array<Object>, allocation: Object<string, number>}} data
+ */
+const saveStackingGoals = (data) => {
+  saveDataSync(STACKING_GOALS_KEY, data);
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+};
+
+/**
+ * Metal config for a metal key.
+ * @param {string} key
+ * @returns {Object|undefined}
+ */
+const _goalMetal = (key) => Object.values(METALS).find(m => m.key === key);
+
+/**
+ * Fine ounces and melt value held, by metal key and by metal key + type.
+ * @returns {{metals: Object<string, {weight: number, value: number}>,
+ *   byType: Object<string, {weight: number, value: number}>, total: {weight: number, value: number}}}
+ */
+const computeStackHoldings = () => {
+  const metals = {};
+  const byType = {};
+  const total = { weight: 0, value: 0 };
+  Object.values(METALS).forEach(m => { metals[m.key] = { weight: 0, value: 0 }; });
+
+  const items = typeof getPortfolioItems === 'function' ? getPortfolioItems() : inventory;
+  items.forEach(item => {
+    if (typeof isDisposed === 'function' && isDisposed(item)) return;
+    const metal = Object.values(METALS).find(m => m.name === item.metal);
+    if (!metal) return;
+    const qty = Number(item.qty) || 0;
+    const weight = parseFloat(item.weight) || 0;
+    const weightOz = item.weightUnit === 'gb' ? weight * GB_TO_OZT : weight;
+    const fineOz = qty * weightOz * (parseFloat(item.purity) || 1);
+    const value = computeItemValuation(item, spotPrices[metal.key] || 0).meltValue || 0;
+
+    const typeKey = `${metal.key}:${item.type || ''}`;
+    byType[typeKey] = byType[typeKey] || { weight: 0, value: 0 };
+    [metals[metal.key], byType[typeKey], total].forEach(acc => {
+      acc.weight += fineOz;
+      acc.value += value;
+    });
+  });
+  return { metals, byType, total };
+};
+
+/**
+ * Progress toward one goal.
+ * @param {Object} goal
+ * @param {Object} [holdings] - From computeStackHoldings()
+ * @returns {{goal: Object, current: number, pct: number, remaining: number, daysLeft: number|null}}
+ */
+const computeGoalProgress = (goal, holdings = computeStackHoldings()) => {
+  let bucket;
+  if (goal.metal === 'all') {
+    bucket = goal.type
+      ? Object.entries(holdings.byType).filter(([k]) => k.endsWith(`:${goal.type}`))
+        .reduce((acc, [, v]) => ({ weight: acc.weight + v.weight, value: acc.value + v.value }), { weight: 0, value: 0 })
+      : holdings.total;
+  } else {
+    bucket = goal.type ? holdings.byType[`${goal.metal}:${goal.type}`] || { weight: 0, value: 0 } : holdings.metals[goal.metal];
+  }
+  const current = bucket[goal.measure];
+  const daysLeft = goal.deadline
+    ? Math.ceil((new Date(`${goal.deadline}T23:59:59`) - Date.now()) / 86400000)
+    : null;
+  return {
+    goal,
+    current,
+    pct: Math.min(100, (current / goal.target) * 100),
+    remaining: Math.max(0, goal.target - current),
+    daysLeft,
+  };
+};
+
+/**
+ * Current allocation by melt value against the target allocation.
+ * @param {Object} [holdings] - From computeStackHoldings()
+ * @returns {Array<{metal: string, name: string, value: number, currentPct: number,
+ *   targetPct: number, driftPct: number, driftValue: number}>} One row per targeted metal
+ */
+const computeAllocationDrift = (holdings = computeStackHoldings()) => {
+  const { allocation } = getStackingGoals();
+  const total = holdings.total.value;
+  return Object.entries(allocation).map(([key, targetPct]) => {
+    const value = holdings.metals[key].value;
+    const currentPct = total > 0 ? (value / total) * 100 : 0;
+    return {
+      metal: key,
+      name: _goalMetal(key).name,
+      value,
+      currentPct,
+      targetPct,
+      driftPct: currentPct - targetPct,
+      driftValue: value - (total * targetPct) / 100,
+    };
+  });
+};
+
+/**
+ * Split a budget across metals to move toward the target allocation without
+ * selling. Each underweight metal gets a share of the budget in proportion
+ * to its shortfall against the post-purchase total.
+ * @param {number} budget - USD to spend
+ * @param {Object} [holdings] - From computeStackHoldings()
+ * @returns {{rows?: Array<{metal: string, name: string, amount: number, ounces: number|null}>, error?: string}}
+ */
+const suggestRebalance = (budget, holdings = computeStackHoldings()) => {
+  const { allocation } = getStackingGoals();
+  if (Object.keys(allocation).length === 0) return { error: 'Set a target allocation first.' };
+  if (!(budget > 0)) return { error: 'Enter a budget greater than zero.' };
+
+  const targetTotal = Object.values(allocation).reduce((sum, pct) => sum + pct, 0);
+  const newTotal = holdings.total.value + budget;
+  const shortfalls = Object.entries(allocation).map(([key, pct]) => ({
+    key,
+    shortfall: Math.max(0, (newTotal * pct) / targetTotal - holdings.metals[key].value),
+  }));
+  const totalShortfall = shortfalls.reduce((sum, s) => sum + s.shortfall, 0);
+
+  const rows = shortfalls
+    .filter(s => s.shortfall > 0)
+    .map(s => {
+      const amount = totalShortfall > 0 ? (s.shortfall / totalShortfall) * budget : 0;
+      const spot = spotPrices[s.key] || 0;
+      return { metal: s.key, name: _goalMetal(s.key).name, amount, ounces: spot > 0 ? amount / spot : null };
+    })
+    .sort((a, b) => b.amount - a.amount);
+  return { rows };
+};
+
+/**
+ * Add a goal.
+ * @param {Object} fields - { metal, type?, measure, target, deadline? }
+ * @returns {{goal?: Object, error?: string}}
+ */
+const addStackingGoal = (fields) => {
+  const metal = fields.metal === 'all' || _goalMetal(fields.metal) ? fields.metal : null;
+  if (!metal) return { error: 'Choose a metal.' };
+  if (!GOAL_MEASURES[fields.measure]) return { error: 'Choose weight or value.' };
+  const target = parseFloat(fields.target);
+  if (!(target > 0)) return { error: 'Target must be greater than zero.' };
+  const deadline = String(fields.deadline || '');
+  if (deadline && !/^\d{4}-\d{2}-\d{2}$/.test(deadline)) return { error: 'Deadline must be a date.' };
+
+  const goal = {
+    id: 'goal_' + generateUUID(),
+    metal,
+    type: String(fields.type || ''),
+    measure: fields.measure,
+    target,
+    deadline,
+    createdAt: new Date().toISOString(),
+  };
+  const data = getStackingGoals();
+  saveStackingGoals({ ...data, goals: [...data.goals, goal] });
+  return { goal };
+};
+
+/**
+ * Delete a goal.
+ * @param {string} id
+ */
+const removeStackingGoal = (id) => {
+  const data = getStackingGoals();
+  saveStackingGoals({ ...data, goals: data.goals.filter(g => g.id !== id) });
+};
+
+/**
+ * Set the target allocation. Percentages must add up to 100; all zero clears it.
+ * @param {Object<string, number|string>} targets - Percent by metal key
+ * @returns {{error?: string}}
+ */
+const setAllocationTargets = (targets) => {
+  const allocation = {};
+  for (const m of Object.values(METALS)) {
+    const raw = targets[m.key];
+    const pct = raw === '' || raw == null ? 0 : parseFloat(raw);
+    if (!Number.isFinite(pct) || pct < 0) return { error: `${m.name} target must be zero or more.` };
+    if (pct > 0) allocation[m.key] = pct;
+  }
+  const sum = Object.values(allocation).reduce((a, b) => a + b, 0);
+  if (sum > 0 && Math.abs(sum - 100) > 0.01) return { error: `Targets add up to ${+sum.toFixed(2)}% — they must total 100%.` };
+  saveStackingGoals({ ...getStackingGoals(), allocation });
+  return {};
+};
+
+/**
+ * Short description of a goal, e.g. "Silver Coin 500 oz by 2026-12-31".
+ * @param {Object} goal
+ * @returns {string}
+ */
+const describeStackingGoal = (goal) => {
+  const metal = goal.metal === 'all' ? 'All metals' : _goalMetal(goal.metal).name;
+  const target = goal.measure === 'value' ? formatCurrency(goal.target) : `${goal.target} oz`;
+  return [metal, goal.type, target, goal.deadline ? `by ${goal.deadline}` : ''].filter(Boolean).join(' ');
+};
+
+/**
+ * Amount for a goal's measure.
+ * @param {number} amount
+ * @param {string} measure
+ * @returns {string}
+ */
+const _formatGoalAmount = (amount, measure) => (measure === 'value' ? formatCurrency(amount) : `${amount.toFixed(2)} oz`);
+
+/**
+ * Progress bar element for a goal.
+ * @param {Object} p - From computeGoalProgress()
+ * @returns {HTMLElement}
+ */
+const _buildGoalBar = (p) => {
+  const wrap = document.createElement('div');
+  wrap.className = 'goal-progress';
+  wrap.title = p.daysLeft === null ? '' : p.daysLeft >= 0 ? `${p.daysLeft} days left` : 'Deadline passed';
+
+  const label = document.createElement('div');
+  label.className = 'goal-progress-label';
+  const name = document.createElement('span');
+  name.textContent = describeStackingGoal(p.goal);
+  const pct = document.createElement('span');
+  pct.textContent = `${Math.floor(p.pct)}%`;
+  label.append(name, pct);
+
+  const track = document.createElement('div');
+  track.className = 'goal-progress-track';
+  track.setAttribute('role', 'progressbar');
+  track.setAttribute('aria-valuemin', '0');
+  track.setAttribute('aria-valuemax', '100');
+  track.setAttribute('aria-valuenow', String(Math.floor(p.pct)));
+  track.setAttribute('aria-label', describeStackingGoal(p.goal));
+  const fill = document.createElement('div');
+  fill.className = `goal-progress-fill${p.pct >= 100 ? ' goal-progress-fill--done' : ''}`;
+  fill.style.width = `${p.pct}%`;
+  track.appendChild(fill);
+
+  const detail = document.createElement('div');
+  detail.className = 'goal-progress-detail';
+  detail.textContent = `${_formatGoalAmount(p.current, p.goal.measure)} of ${_formatGoalAmount(p.goal.target, p.goal.measure)}`;
+
+  wrap.append(label, track, detail);
+  return wrap;
+};
+
+/**
+ * Render goal progress bars and allocation drift on the totals cards.
+ * Called from updateSummary(), so it follows inventory and spot changes.
+ */
+const renderGoalProgress = () => {
+  const { goals, allocation } = getStackingGoals();
+  const holdings = computeStackHoldings();
+  const drift = Object.keys(allocation).length ? computeAllocationDrift(holdings) : [];
+
+  [...Object.values(METALS), { key: 'all', name: 'All' }].forEach(m => {
+    const container = document.getElementById(`goalProgress${m.name}`);
+    if (!container) return;
+    container.textContent = '';
+    goals.filter(g => g.metal === m.key).forEach(g => container.appendChild(_buildGoalBar(computeGoalProgress(g, holdings))));
+
+    const row = drift.find(d => d.metal === m.key);
+    if (row) {
+      const line = document.createElement('div');
+      line.className = 'total-item';
+      const label = document.createElement('span');
+      label.className = 'total-label';
+      label.textContent = 'Allocation:';
+      const value = document.createElement('span');
+      value.className = 'total-value';
+      const sign = row.driftPct > 0 ? '+' : '';
+      value.textContent = `${row.currentPct.toFixed(1)}% / ${row.targetPct}% (${sign}${row.driftPct.toFixed(1)})`;
+      value.title = `Target ${row.targetPct}% by melt value · ${row.driftValue >= 0 ? 'over' : 'under'} by ${formatCurrency(Math.abs(row.driftValue))}`;
+      if (Math.abs(row.driftPct) >= 5) value.classList.add('goal-drift--off');
+      line.append(label, value);
+      container.appendChild(line);
+    }
+    container.style.display = container.childNodes.length ? '' : 'none';
+  });
+};
+
+// =============================================================================
+// SETTINGS — Goals
+// =============================================================================
+
+/**
+ * Render Settings → Goals: goal list, allocation inputs and drift.
+ */
+const renderStackingGoalsSection = () => {
+  const { goals, allocation } = getStackingGoals();
+  const holdings = computeStackHoldings();
+
+  const list = document.getElementById('stackingGoalList');
+  if (list) {
+    list.textContent = '';
+    if (goals.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'settings-subtext';
+      empty.textContent = 'No goals yet.';
+      list.appendChild(empty);
+    }
+    goals.forEach(g => {
+      const row = document.createElement('div');
+      row.className = 'goal-row';
+      row.appendChild(_buildGoalBar(computeGoalProgress(g, holdings)));
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'btn danger';
+      del.textContent = 'Delete';
+      del.addEventListener('click', () => {
+        removeStackingGoal(g.id);
+        renderStackingGoalsSection();
+        updateSummary();
+      });
+      row.appendChild(del);
+      list.appendChild(row);
+    });
+  }
+
+  Object.values(METALS).forEach(m => {
+    const input = document.getElementById(`goalAlloc_${m.key}`);
+    if (input && document.activeElement !== input) input.value = allocation[m.key] || '';
+  });
+
+  const driftEl = document.getElementById('stackingGoalDrift');
+  if (driftEl) {
+    driftEl.textContent = '';
+    computeAllocationDrift(holdings).forEach(d => {
+      const line = document.createElement('p');
+      line.className = 'settings-subtext';
+      const sign = d.driftPct > 0 ? '+' : '';
+      line.textContent = `${d.name}: ${d.currentPct.toFixed(1)}% of ${formatCurrency(holdings.total.value)} melt, target ${d.targetPct}% (${sign}${d.driftPct.toFixed(1)} pts, ${formatCurrency(d.driftValue)})`;
+      driftEl.appendChild(line);
+    });
+  }
+};
+
+/**
+ * Read the goal form and add a goal.
+ */
+const addStackingGoalFromForm = () => {
+  const value = (id) => document.getElementById(id)?.value ?? '';
+  const result = addStackingGoal({
+    metal: value('goalMetal'),
+    type: value('goalType'),
+    measure: value('goalMeasure'),
+    target: value('goalTarget'),
+    deadline: value('goalDeadline'),
+  });
+  if (result.error) {
+    appAlert(result.error, 'Goals');
+    return;
+  }
+  ['goalTarget', 'goalDeadline'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = '';
+  });
+  renderStackingGoalsSection();
+  updateSummary();
+};
+
+/**
+ * Read the allocation inputs and save them.
+ */
+const saveAllocationFromForm = () => {
+  const targets = {};
+  Object.values(METALS).forEach(m => {
+    targets[m.key] = document.getElementById(`goalAlloc_${m.key}`)?.value.trim() ?? '';
+  });
+  const result = setAllocationTargets(targets);
+  if (result.error) {
+    appAlert(result.error, 'Goals');
+    return;
+  }
+  renderStackingGoalsSection();
+  updateSummary();
+};
+
+/**
+ * Read the budget and list the suggested purchase per metal.
+ */
+const showRebalanceSuggestion = () => {
+  const out = document.getElementById('goalRebalanceResult');
+  if (!out) return;
+  out.textContent = '';
+  const result = suggestRebalance(parseFloat(document.getElementById('goalRebalanceBudget')?.value));
+  if (result.error) {
+    appAlert(result.error, 'Goals');
+    return;
+  }
+  result.rows.forEach(r => {
+    const line = document.createElement('p');
+    line.className = 'settings-subtext';
+    const oz = r.ounces === null ? 'no spot price' : `≈ ${r.ounces.toFixed(2)} oz at ${formatCurrency(spotPrices[r.metal])}/oz`;
+    line.textContent = `${r.name}: ${formatCurrency(r.amount)} (${oz})`;
+    out.appendChild(line);
+  });
+};
+
+/**
+ * Wires the Settings → Goals controls. Called once from events.js.
+ */
+const setupStackingGoals = () => {
+  document.getElementById('goalAddBtn')?.addEventListener('click', addStackingGoalFromForm);
+  document.getElementById('goalAllocSaveBtn')?.addEventListener('click', saveAllocationFromForm);
+  document.getElementById('goalRebalanceBtn')?.addEventListener('click', showRebalanceSuggestion);
+};
+
+// Expose globally
+window.getStackingGoals = getStackingGoals;
+window.computeStackHoldings = computeStackHoldings;
+window.computeGoalProgress = computeGoalProgress;
+window.computeAllocationDrift = computeAllocationDrift;
+window.suggestRebalance = suggestRebalance;
+window.addStackingGoal = addStackingGoal;
+window.removeStackingGoal = removeStackingGoal;
+window.setAllocationTargets = setAllocationTargets;
+window.renderGoalProgress = renderGoalProgress;
+window.renderStackingGoalsSection = renderStackingGoalsSection;
+window.setupStackingGoals = setupStackingGoals;
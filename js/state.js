@@ -64,6 +64,7 @@ const elements = {
   dateField: null,
   purchaseLocation: null,
   storageLocation: null,
+  itemPortfolio: null,
   itemSerialNumber: null,
   itemNotes: null,
   itemDate: null,
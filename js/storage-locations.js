@@ -0,0 +1,568 @@
+// STORAGE LOCATIONS
+// =============================================================================
+// First-class storage locations ("Home safe", "Bank box A", a vault provider)
+// on top of the free-text `storageLocation` field. Items still carry the
+// location name as plain text; a location record adds metadata (kind,
+// address, access notes, insured value limit), and is matched to items by
+// name, case-insensitively. Renaming a location renames it on its items.
+//
+// Locations describe physical places, so contents and totals span every
+// portfolio. Each record also keeps its physical audits: tick items off as
+// they are seen, and finishing the audit records the date and anything that
+// was not found. An optional interval flags locations that are due.
+// =============================================================================
+
+/** @constant {Object<string, string>} Location kinds and their labels */
+const STORAGE_LOCATION_KINDS = {
+  home: 'Home',
+  bank: 'Bank box',
+  vault: 'Vault provider',
+  other: 'Other',
+};
+
+/** @constant {number} Completed audits kept per location, newest first */
+const STORAGE_AUDIT_HISTORY_MAX = 20;
+
+/** Placeholder values that mean "no storage location" */
+const _STORAGE_LOCATION_BLANKS = new Set(['', '—', 'unknown', 'numista import']);
+
+/** Id of the location open in the detail panel (null for an unsaved name) */
+let storageLocationOpenId = null;
+
+/**
+ * Normalise a location name for matching.
+ * @param {string} name
+ * @returns {string} Trimmed, lower-cased name ('' for placeholders)
+ */
+const _storageLocationKey = (name) => {
+  const key = String(name || '').trim().toLowerCase();
+  return _STORAGE_LOCATION_BLANKS.has(key) ? '' : key;
+};
+
+/**
+ * Returns the saved storage location records.
+ * @returns {Array<Object>}
+ */
+const getStorageLocations = () => {
+  const stored = loadDataSync(STORAGE_LOCATIONS_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter(loc => loc && typeof loc.id === 'string' && typeof loc.name === 'string' && loc.name.trim())
+    .map(loc => ({
+      ...loc,
+      kind: STORAGE_LOCATION_KINDS[loc.kind] ? loc.kind : 'other',
+      insuredLimit: Number(loc.insuredLimit) > 0 ? Number(loc.insuredLimit) : null,
+      auditIntervalDays: Number(loc.auditIntervalDays) > 0 ? Math.round(Number(loc.auditIntervalDays)) : 0,
+      audits: Array.isArray(loc.audits) ? loc.audits : [],
+    }));
+};
+
+/**
+ * Persist the location records and queue a cloud push.
+ * @param {Array<Object>} list
+ */
+const saveStorageLocations = (list) => {
+  saveDataSync(STORAGE_LOCATIONS_KEY, list);
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+};
+
+/**
+ * Find the record for a location name.
+ * @param {string} name - Location name as stored on items
+ * @returns {Object|null}
+ */
+const findStorageLocation = (name) => {
+  const key = _storageLocationKey(name);
+  if (!key) return null;
+  return getStorageLocations().find(loc => _storageLocationKey(loc.name) === key) || null;
+};
+
+/**
+ * Held items stored at a location, across all portfolios.
+ * @param {string} name - Location name
+ * @param {Array<Object>} [items=inventory]
+ * @returns {Array<Object>}
+ */
+const getStorageLocationContents = (name, items = inventory) => {
+  const key = _storageLocationKey(name);
+  if (!key) return [];
+  return items.filter(item => !isDisposed(item) && _storageLocationKey(item.storageLocation) === key);
+};
+
+/**
+ * Purchase, melt and retail totals for a set of items at current spot.
+ * @param {Array<Object>} items
+ * @returns {{items: number, units: number, purchase: number, melt: number, retail: number}}
+ */
+const _storageLocationTotals = (items) => items.reduce((totals, item) => {
+  const valuation = computeItemValuation(item, spotPrices[String(item.metal || '').toLowerCase()] || 0);
+  totals.items++;
+  totals.units += valuation.qty;
+  totals.purchase += valuation.purchaseTotal;
+  totals.melt += valuation.meltValue;
+  totals.retail += valuation.retailTotal;
+  return totals;
+}, { items: 0, units: 0, purchase: 0, melt: 0, retail: 0 });
+
+/**
+ * Most recent completed audit of a location.
+ * @param {Object|null} loc - Location record
+ * @returns {Object|null} { startedAt, completedAt, verified, missing }
+ */
+const getLastStorageAudit = (loc) => (loc && loc.audits.length ? loc.audits[0] : null);
+
+/**
+ * Whether a location's periodic audit is due. Locations without an interval
+ * are never due; with one, a location that was never audited is.
+ * @param {Object} loc - Location record
+ * @param {number} [now=Date.now()]
+ * @returns {boolean}
+ */
+const isStorageAuditDue = (loc, now = Date.now()) => {
+  if (!loc || !loc.auditIntervalDays) return false;
+  const last = getLastStorageAudit(loc);
+  if (!last) return true;
+  return now - new Date(last.completedAt).getTime() >= loc.auditIntervalDays * 86400000;
+};
+
+/**
+ * One row per location: every saved record plus names used on items that
+ * have no record yet, with totals, insured-limit and audit status.
+ * @param {Array<Object>} [items=inventory]
+ * @returns {Array<{name: string, record: Object|null, totals: Object, overLimit: boolean, auditDue: boolean}>}
+ */
+const summarizeStorageLocations = (items = inventory) => {
+  const rows = new Map();
+  getStorageLocations().forEach(loc => rows.set(_storageLocationKey(loc.name), { name: loc.name, record: loc }));
+  items.forEach(item => {
+    const key = _storageLocationKey(item.storageLocation);
+    if (key && !isDisposed(item) && !rows.has(key)) rows.set(key, { name: item.storageLocation.trim(), record: null });
+  });
+  return [...rows.values()]
+    .map(row => {
+      const totals = _storageLocationTotals(getStorageLocationContents(row.name, items));
+      const limit = row.record && row.record.insuredLimit;
+      return {
+        ...row,
+        totals,
+        overLimit: !!limit && totals.retail > limit,
+        auditDue: isStorageAuditDue(row.record),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Locations whose held retail value exceeds their insured limit.
+ * @param {Array<Object>} [items=inventory]
+ * @returns {Array<Object>} Rows from summarizeStorageLocations()
+ */
+const getStorageLocationWarnings = (items = inventory) => summarizeStorageLocations(items).filter(row => row.overLimit);
+
+/**
+ * Toast when a location is over its insured limit. Called after an item is
+ * saved to that location.
+ * @param {string} name - Location name
+ */
+const warnStorageLocationLimit = (name) => {
+  const record = findStorageLocation(name);
+  if (!record || !record.insuredLimit) return;
+  const { retail } = _storageLocationTotals(getStorageLocationContents(record.name));
+  if (retail > record.insuredLimit && typeof showToast === 'function') {
+    showToast(`⚠ ${record.name} holds ${formatCurrency(retail)}, over its ${formatCurrency(record.insuredLimit)} insured limit`);
+  }
+};
+
+/**
+ * Create or update a location record. Renaming a location renames it on
+ * every item stored there.
+ * @param {Object} fields - { name, kind, address, accessNotes, insuredLimit, auditIntervalDays }
+ * @param {string|null} [id] - Record to update; omitted to create one
+ * @returns {{id?: string, renamed?: number, error?: string}}
+ */
+const saveStorageLocation = (fields, id = null) => {
+  const name = String(fields.name || '').trim();
+  if (!_storageLocationKey(name)) return { error: 'Enter a location name.' };
+  if (name.length > 50) return { error: 'Location names are limited to 50 characters.' };
+  const limit = fields.insuredLimit === '' || fields.insuredLimit == null ? null : Number(fields.insuredLimit);
+  if (limit !== null && (!isFinite(limit) || limit < 0)) return { error: 'Insured limit must be a positive amount.' };
+  const interval = Number(fields.auditIntervalDays) || 0;
+  if (interval < 0) return { error: 'Audit interval must be a positive number of days.' };
+
+  const list = getStorageLocations();
+  const clash = list.find(loc => _storageLocationKey(loc.name) === _storageLocationKey(name) && loc.id !== id);
+  if (clash) return { error: `A location named "${clash.name}" already exists.` };
+
+  const record = {
+    name,
+    kind: STORAGE_LOCATION_KINDS[fields.kind] ? fields.kind : 'other',
+    address: String(fields.address || '').trim(),
+    accessNotes: String(fields.accessNotes || '').trim(),
+    insuredLimit: limit || null,
+    auditIntervalDays: Math.round(interval),
+  };
+
+  const existing = id ? list.find(loc => loc.id === id) : null;
+  let renamed = 0;
+  if (existing) {
+    if (existing.name !== name) {
+      inventory.forEach(item => {
+        if (_storageLocationKey(item.storageLocation) === _storageLocationKey(existing.name)) {
+          item.storageLocation = name;
+          renamed++;
+        }
+      });
+      if (renamed > 0) saveInventory();
+    }
+    saveStorageLocations(list.map(loc => (loc.id === id ? { ...loc, ...record } : loc)));
+    return { id, renamed };
+  }
+  const newId = generateUUID();
+  saveStorageLocations([...list, { id: newId, ...record, audits: [] }]);
+  return { id: newId, renamed };
+};
+
+/**
+ * Delete a location record. Items keep their storage location text.
+ * @param {string} id
+ */
+const deleteStorageLocation = (id) => {
+  saveStorageLocations(getStorageLocations().filter(loc => loc.id !== id));
+};
+
+/**
+ * Update one record in place.
+ * @param {string} id
+ * @param {function(Object): Object} fn - Returns the updated record
+ * @returns {Object|null} Updated record
+ */
+const _updateStorageLocation = (id, fn) => {
+  let updated = null;
+  const list = getStorageLocations().map(loc => {
+    if (loc.id !== id) return loc;
+    updated = fn(loc);
+    return updated;
+  });
+  if (updated) saveStorageLocations(list);
+  return updated;
+};
+
+/**
+ * Start (or resume) a physical audit of a location.
+ * @param {string} id - Location id
+ * @returns {Object|null} The audit draft { startedAt, verified: uuid[] }
+ */
+const startStorageAudit = (id) => {
+  const loc = _updateStorageLocation(id, l => ({ ...l, auditDraft: l.auditDraft || { startedAt: new Date().toISOString(), verified: [] } }));
+  return loc ? loc.auditDraft : null;
+};
+
+/**
+ * Tick an item off (or back on) in the running audit.
+ * @param {string} id - Location id
+ * @param {string} uuid - Item uuid
+ * @param {boolean} verified
+ */
+const setStorageAuditItem = (id, uuid, verified) => {
+  _updateStorageLocation(id, (loc) => {
+    if (!loc.auditDraft) return loc;
+    const set = new Set(loc.auditDraft.verified);
+    if (verified) set.add(uuid);
+    else set.delete(uuid);
+    return { ...loc, auditDraft: { ...loc.auditDraft, verified: [...set] } };
+  });
+};
+
+/**
+ * Finish the running audit: every held item at the location that was not
+ * ticked off is recorded as missing.
+ * @param {string} id - Location id
+ * @returns {Object|null} The audit record { startedAt, completedAt, verified, missing }
+ */
+const completeStorageAudit = (id) => {
+  let audit = null;
+  _updateStorageLocation(id, (loc) => {
+    if (!loc.auditDraft) return loc;
+    const contents = getStorageLocationContents(loc.name);
+    const ticked = new Set(loc.auditDraft.verified);
+    audit = {
+      startedAt: loc.auditDraft.startedAt,
+      completedAt: new Date().toISOString(),
+      verified: contents.filter(item => ticked.has(item.uuid)).map(item => item.uuid),
+      missing: contents.filter(item => !ticked.has(item.uuid)).map(item => ({ uuid: item.uuid, name: item.name, qty: Number(item.qty) || 1 })),
+    };
+    const rest = { ...loc, audits: [audit, ...loc.audits].slice(0, STORAGE_AUDIT_HISTORY_MAX) };
+    delete rest.auditDraft;
+    return rest;
+  });
+  return audit;
+};
+
+/**
+ * Discard the running audit.
+ * @param {string} id - Location id
+ */
+const cancelStorageAudit = (id) => {
+  _updateStorageLocation(id, (loc) => {
+    const rest = { ...loc };
+    delete rest.auditDraft;
+    return rest;
+  });
+};
+
+// =============================================================================
+// STORAGE LOCATIONS MODAL
+// =============================================================================
+
+/**
+ * Short date for audit and status lines.
+ * @param {string} iso
+ * @returns {string}
+ */
+const _storageDate = (iso) => (iso ? String(iso).slice(0, 10) : '—');
+
+/**
+ * Render the Settings line summarising locations over their limit or due for audit.
+ */
+const renderStorageLocationSettings = () => {
+  const el = document.getElementById('storageLocationStatus');
+  if (!el) return;
+  const rows = summarizeStorageLocations();
+  const over = rows.filter(r => r.overLimit).map(r => r.name);
+  const due = rows.filter(r => r.auditDue).map(r => r.name);
+  const parts = [];
+  if (over.length) parts.push(`Over insured limit: ${over.join(', ')}`);
+  if (due.length) parts.push(`Audit due: ${due.join(', ')}`);
+  el.textContent = parts.join(' · ');
+  el.style.display = parts.length ? '' : 'none';
+};
+
+/**
+ * Render the location list.
+ */
+const renderStorageLocationList = () => {
+  const listEl = document.getElementById('storageLocationList');
+  if (!listEl) return;
+  const rows = summarizeStorageLocations();
+  if (rows.length === 0) {
+    listEl.innerHTML = '<p class="settings-subtext">No storage locations yet. Add one, or set a storage location on an item.</p>';
+    return;
+  }
+  listEl.innerHTML = rows.map((row) => {
+    const limit = row.record && row.record.insuredLimit;
+    const last = getLastStorageAudit(row.record);
+    const meta = [
+      row.record ? STORAGE_LOCATION_KINDS[row.record.kind] : 'No details yet',
+      `${row.totals.items} item${row.totals.items === 1 ? '' : 's'}`,
+      `${formatCurrency(row.totals.retail)}${limit ? ' of ' + formatCurrency(limit) + ' insured' : ''}`,
+      last ? `audited ${_storageDate(last.completedAt)}` : '',
+    ].filter(Boolean).map(escapeHtml).join(' · ');
+    const badges = [
+      row.overLimit ? '<span class="storage-location-badge warning">Over limit</span>' : '',
+      row.auditDue ? '<span class="storage-location-badge">Audit due</span>' : '',
+      row.record && row.record.auditDraft ? '<span class="storage-location-badge">Audit in progress</span>' : '',
+    ].join('');
+    return `<button type="button" class="storage-location-row${row.overLimit ? ' over-limit' : ''}" data-storage-open="${escapeHtml(row.record ? row.record.id : '')}" data-storage-name="${escapeHtml(row.name)}">
+        <strong>${escapeHtml(row.name)}</strong>${badges}
+        <span>${meta}</span>
+      </button>`;
+  }).join('');
+};
+
+/**
+ * Render the detail panel: metadata form, contents with totals, and the
+ * audit checklist or history.
+ * @param {string|null} id - Location id, or null for a new/unsaved location
+ * @param {string} [name] - Prefill for a location used on items without a record
+ */
+const renderStorageLocationDetail = (id, name = '') => {
+  const viewEl = document.getElementById('storageLocationDetail');
+  if (!viewEl) return;
+  const loc = id ? getStorageLocations().find(l => l.id === id) : null;
+  storageLocationOpenId = loc ? loc.id : null;
+  const locName = loc ? loc.name : name;
+  const contents = locName ? getStorageLocationContents(locName) : [];
+  const totals = _storageLocationTotals(contents);
+  const draft = loc && loc.auditDraft;
+  const ticked = new Set(draft ? draft.verified : []);
+
+  const kindOptions = Object.entries(STORAGE_LOCATION_KINDS)
+    .map(([value, label]) => `<option value="${value}"${(loc ? loc.kind : 'home') === value ? ' selected' : ''}>${label}</option>`).join('');
+
+  const contentRows = contents.map(item => `<tr>
+      ${draft ? `<td><input type="checkbox" data-storage-audit="${escapeHtml(item.uuid)}"${ticked.has(item.uuid) ? ' checked' : ''} aria-label="Verified ${escapeHtml(item.name)}"></td>` : ''}
+      <td>${escapeHtml(item.name || '')}${item.serialNumber ? `<br><small>S/N ${escapeHtml(item.serialNumber)}</small>` : ''}</td>
+      <td>${escapeHtml(item.metal || '')}</td>
+      <td class="num">${Number(item.qty) || 1}</td>
+      <td class="num">${formatCurrency(computeItemValuation(item, spotPrices[String(item.metal || '').toLowerCase()] || 0).retailTotal)}</td>
+    </tr>`).join('');
+
+  const history = loc ? loc.audits.slice(0, 5).map(a => `<li>${escapeHtml(_storageDate(a.completedAt))}: ${a.verified.length} verified${a.missing.length
+    ? `, <strong>${a.missing.length} missing</strong> (${a.missing.map(m => escapeHtml(m.name)).join(', ')})` : ', nothing missing'}</li>`).join('') : '';
+
+  let auditControls = '';
+  if (loc && draft) {
+    auditControls = `<span class="settings-subtext">Audit started ${escapeHtml(_storageDate(draft.startedAt))} · ${ticked.size} of ${contents.length} verified</span>
+      <button type="button" class="btn" id="storageAuditFinishBtn">Finish Audit</button>
+      <button type="button" class="btn secondary" id="storageAuditCancelBtn">Discard</button>`;
+  } else if (loc && contents.length) {
+    auditControls = '<button type="button" class="btn info" id="storageAuditStartBtn">Start Audit</button>';
+  }
+
+  viewEl.innerHTML = `
+    <div class="storage-location-form">
+      <label>Name<input type="text" id="storageLocName" maxlength="50" value="${escapeHtml(locName)}"></label>
+      <label>Kind<select id="storageLocKind">${kindOptions}</select></label>
+      <label>Address<input type="text" id="storageLocAddress" value="${escapeHtml(loc ? loc.address : '')}"></label>
+      <label>Insured limit<input type="number" id="storageLocLimit" min="0" step="1" value="${loc && loc.insuredLimit ? loc.insuredLimit : ''}" placeholder="None"></label>
+      <label>Audit every (days)<input type="number" id="storageLocInterval" min="0" step="1" value="${loc && loc.auditIntervalDays ? loc.auditIntervalDays : ''}" placeholder="Never"></label>
+      <label class="storage-location-notes">Access notes<textarea id="storageLocNotes" rows="2" placeholder="Box number, hours, who holds the keys">${escapeHtml(loc ? loc.accessNotes : '')}</textarea></label>
+      <div class="storage-location-actions">
+        <button type="button" class="btn" id="storageLocSaveBtn">${loc ? 'Save' : 'Add Location'}</button>
+        ${loc ? '<button type="button" class="btn danger" id="storageLocDeleteBtn">Delete</button>' : ''}
+      </div>
+    </div>
+    ${locName ? `<div class="order-email-meta">
+      <span>${totals.items} item${totals.items === 1 ? '' : 's'} · ${totals.units} unit${totals.units === 1 ? '' : 's'}</span>
+      <span>Purchase ${formatCurrency(totals.purchase)}</span>
+      <span>Melt ${formatCurrency(totals.melt)}</span>
+      <span>Retail ${formatCurrency(totals.retail)}</span>
+      ${loc && loc.insuredLimit ? `<span class="${totals.retail > loc.insuredLimit ? 'storage-location-over' : ''}">Insured ${formatCurrency(loc.insuredLimit)}</span>` : ''}
+    </div>` : ''}
+    ${auditControls ? `<div class="storage-location-audit">${auditControls}</div>` : ''}
+    ${contents.length ? `<div class="csv-mapping-table-wrap"><table class="csv-mapping-table">
+      <thead><tr>${draft ? '<th>Seen</th>' : ''}<th>Item</th><th>Metal</th><th>Qty</th><th>Retail</th></tr></thead>
+      <tbody>${contentRows}</tbody></table></div>` : ''}
+    ${history ? `<div class="settings-group-label">Audit history</div><ul class="storage-location-history">${history}</ul>` : ''}`;
+};
+
+/**
+ * Open the storage locations modal.
+ */
+const openStorageLocationsModal = () => {
+  renderStorageLocationList();
+  renderStorageLocationDetail(null);
+  if (window.openModalById) openModalById('storageLocationsModal');
+};
+
+const closeStorageLocationsModal = () => {
+  if (window.closeModalById) closeModalById('storageLocationsModal');
+  storageLocationOpenId = null;
+  renderStorageLocationSettings();
+};
+
+/**
+ * Save the detail form.
+ */
+const _saveStorageLocationForm = () => {
+  const value = (elId) => document.getElementById(elId)?.value ?? '';
+  const result = saveStorageLocation({
+    name: value('storageLocName'),
+    kind: value('storageLocKind'),
+    address: value('storageLocAddress'),
+    accessNotes: value('storageLocNotes'),
+    insuredLimit: value('storageLocLimit'),
+    auditIntervalDays: value('storageLocInterval'),
+  }, storageLocationOpenId);
+  if (result.error) {
+    appAlert(result.error, 'Storage Locations');
+    return;
+  }
+  if (result.renamed) renderTable();
+  renderStorageLocationList();
+  renderStorageLocationDetail(result.id);
+  showToast(result.renamed ? `Location saved — ${result.renamed} item(s) updated` : 'Location saved');
+};
+
+/**
+ * Wires the storage locations modal. Called once from events.js.
+ */
+const setupStorageLocations = () => {
+  const bind = (id, event, handler) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener(event, handler);
+  };
+  bind('storageLocationsBtn', 'click', openStorageLocationsModal);
+  bind('storageLocationsCloseBtn', 'click', closeStorageLocationsModal);
+  bind('storageLocationsDoneBtn', 'click', closeStorageLocationsModal);
+  bind('storageLocationAddBtn', 'click', () => renderStorageLocationDetail(null));
+
+  const listEl = document.getElementById('storageLocationList');
+  if (listEl) {
+    listEl.addEventListener('click', (e) => {
+      const row = e.target.closest('[data-storage-name]');
+      if (row) renderStorageLocationDetail(row.getAttribute('data-storage-open') || null, row.getAttribute('data-storage-name'));
+    });
+  }
+
+  const viewEl = document.getElementById('storageLocationDetail');
+  if (!viewEl) return;
+  viewEl.addEventListener('click', async (e) => {
+    const id = storageLocationOpenId;
+    switch (e.target.id) {
+      case 'storageLocSaveBtn':
+        _saveStorageLocationForm();
+        break;
+      case 'storageLocDeleteBtn': {
+        const loc = getStorageLocations().find(l => l.id === id);
+        if (!loc) return;
+        const ok = await showAppConfirm(`Delete the details and audit history for "${loc.name}"? Items stored there keep their location.`, 'Delete Location');
+        if (!ok) return;
+        deleteStorageLocation(id);
+        renderStorageLocationList();
+        renderStorageLocationDetail(null);
+        break;
+      }
+      case 'storageAuditStartBtn':
+        startStorageAudit(id);
+        renderStorageLocationList();
+        renderStorageLocationDetail(id);
+        break;
+      case 'storageAuditFinishBtn': {
+        const audit = completeStorageAudit(id);
+        renderStorageLocationList();
+        renderStorageLocationDetail(id);
+        if (audit && audit.missing.length) {
+          appAlert(`${audit.missing.length} item(s) were not found: ${audit.missing.map(m => m.name).join(', ')}`, 'Audit Complete');
+        } else if (audit) {
+          showToast(`✓ Audit complete — all ${audit.verified.length} item(s) verified`);
+        }
+        break;
+      }
+      case 'storageAuditCancelBtn':
+        cancelStorageAudit(id);
+        renderStorageLocationList();
+        renderStorageLocationDetail(id);
+        break;
+      default:
+        break;
+    }
+  });
+  viewEl.addEventListener('change', (e) => {
+    const uuid = e.target.getAttribute && e.target.getAttribute('data-storage-audit');
+    if (!uuid || !storageLocationOpenId) return;
+    setStorageAuditItem(storageLocationOpenId, uuid, e.target.checked);
+    renderStorageLocationList();
+    renderStorageLocationDetail(storageLocationOpenId);
+  });
+};
+
+// Expose globally
+window.STORAGE_LOCATION_KINDS = STORAGE_LOCATION_KINDS;
+window.getStorageLocations = getStorageLocations;
+window.findStorageLocation = findStorageLocation;
+window.getStorageLocationContents = getStorageLocationContents;
+window.isStorageAuditDue = isStorageAuditDue;
+window.summarizeStorageLocations = summarizeStorageLocations;
+window.getStorageLocationWarnings = getStorageLocationWarnings;
+window.warnStorageLocationLimit = warnStorageLocationLimit;
+window.saveStorageLocation = saveStorageLocation;
+window.deleteStorageLocation = deleteStorageLocation;
+window.startStorageAudit = startStorageAudit;
+window.setStorageAuditItem = setStorageAuditItem;
+window.completeStorageAudit = completeStorageAudit;
+window.cancelStorageAudit = cancelStorageAudit;
+window.renderStorageLocationSettings = renderStorageLocationSettings;
+window.openStorageLocationsModal = openStorageLocationsModal;
+window.closeStorageLocationsModal = closeStorageLocationsModal;
+window.setupStorageLocations = setupStorageLocations;
@@ -0,0 +1,538 @@
+// =============================================================================
+// SYNC STORAGE BACKENDS — Dropbox, WebDAV, S3-compatible
+// =============================================================================
+//
+// Cloud sync (cloud-sync.js) and cloud backups (cloud-storage.js) reach
+// storage only through a backend object, so the encrypted .stvault +
+// manifest flow is identical on every store. Paths are the Dropbox-style
+// absolute paths from constants.js (SYNC_FILE_PATH, SYNC_BACKUP_FOLDER, …);
+// each backend maps them onto its own namespace.
+//
+// Backend interface — every method takes the auth value from cloudGetToken():
+//   download(auth, path)            → Response (404 or 409 = not found)
+//   upload(auth, path, body, opts)  → Response; opts.mode 'overwrite' | 'add'
+//   remove(auth, path)              → Response
+//   list(auth, folder)              → [{ name, path, server_modified, size }], [] when missing
+//   ensureFolder(auth, folder)      → creates the folder chain if the store needs it
+//   revision(resp)                  → revision id of a successful upload response
+//   accountId(auth)                 → identity mixed into the composite sync key
+//
+// WebDAV (Nextcloud, ownCloud, Apache mod_dav …) and S3-compatible stores
+// (MinIO, Backblaze B2, Wasabi …) use credentials entered in Settings → Cloud,
+// stored like OAuth tokens under cloud_token_webdav / cloud_token_s3. Both
+// need CORS enabled on the server for this origin.
+//
+// Depends on: constants.js, utils.js (debugLog)
+// =============================================================================
+
+// ---------------------------------------------------------------------------
+// Shared helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize an upload body to bytes (hashing and fetch both accept this).
+ * @param {Uint8Array|ArrayBuffer|string} body
+ * @returns {Uint8Array}
+ */
+function _syncBodyBytes(body) {
+  if (body == null) return new Uint8Array(0);
+  if (typeof body === 'string') return new TextEncoder().encode(body);
+  if (body instanceof ArrayBuffer) return new Uint8Array(body);
+  return body;
+}
+
+/**
+ * Parent folder of an absolute path ("/a/b/c.json" → "/a/b").
+ * @param {string} path
+ * @returns {string}
+ */
+function _syncParentFolder(path) {
+  var idx = path.lastIndexOf('/');
+  return idx > 0 ? path.slice(0, idx) : '';
+}
+
+/**
+ * Parse an XML response body. Returns null when it is not well-formed.
+ * @param {string} text
+ * @returns {Document|null}
+ */
+function _syncParseXml(text) {
+  var doc = new DOMParser().parseFromString(text, 'application/xml');
+  return doc.getElementsByTagName('parsererror').length ? null : doc;
+}
+
+// ---------------------------------------------------------------------------
+// Dropbox (OAuth bearer token)
+// ---------------------------------------------------------------------------
+
+var DropboxSyncBackend = {
+  download: function (token, path) {
+    return fetch('https://content.dropboxapi.com/2/files/download', {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer ' + token,
+        'Dropbox-API-Arg': JSON.stringify({ path: path }),
+      },
+    });
+  },
+
+  upload: function (token, path, body, opts) {
+    var add = !!(opts && opts.mode === 'add');
+    return fetch('https://content.dropboxapi.com/2/files/upload', {
+      method: 'POST',
+      headers: {
+        Authorization: 'Bearer ' + token,
+        'Content-Type': 'application/octet-stream',
+        'Dropbox-API-Arg': JSON.stringify({ path: path, mode: add ? 'add' : 'overwrite', autorename: add, mute: true }),
+      },
+      body: body,
+    });
+  },
+
+  remove: function (token, path) {
+    return fetch('https://api.dropboxapi.com/2/files/delete_v2', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: path }),
+    });
+  },
+
+  list: async function (token, folder) {
+    var resp = await fetch('https://api.dropboxapi.com/2/files/list_folder', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: folder, recursive: false }),
+    });
+    if (!resp.ok) {
+      // Folder may not exist yet
+      if (resp.status === 409) return [];
+      throw new Error('List failed: ' + resp.status);
+    }
+    var data = await resp.json();
+    var entries = data.entries || [];
+
+    // Pagination: fetch remaining pages if Dropbox has more
+    while (data.has_more) {
+      try {
+        var contResp = await fetch('https://api.dropboxapi.com/2/files/list_folder/continue', {
+          method: 'POST',
+          headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ cursor: data.cursor }),
+        });
+        if (!contResp.ok) {
+          debugLog('[SyncBackend] Dropbox pagination failed at', entries.length, 'entries:', contResp.status);
+          break;
+        }
+        data = await contResp.json();
+        entries = entries.concat(data.entries || []);
+      } catch (pageErr) {
+        debugLog('[SyncBackend] Dropbox pagination error:', pageErr.message);
+        break;
+      }
+    }
+
+    return entries
+      .filter(function (e) { return e['.tag'] === 'file'; })
+      .map(function (e) {
+        return { name: e.name, path: e.path_lower || (folder + '/' + e.name), server_modified: e.server_modified, size: e.size };
+      });
+  },
+
+  ensureFolder: async function (token, folder) {
+    // 409 = already exists
+    var resp = await fetch('https://api.dropboxapi.com/2/files/create_folder_v2', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: folder, autorename: false }),
+    });
+    if (!resp.ok && resp.status !== 409) debugLog('[SyncBackend] Dropbox folder create returned', resp.status, 'for', folder);
+  },
+
+  /** Dropbox only — used by the legacy folder migration (cloudMigrateToV2). */
+  move: function (token, fromPath, toPath) {
+    return fetch('https://api.dropboxapi.com/2/files/move_v2', {
+      method: 'POST',
+      headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ from_path: fromPath, to_path: toPath, autorename: false, allow_ownership_transfer: false }),
+    });
+  },
+
+  revision: async function (resp) {
+    var result = await resp.json().catch(function () { return {}; });
+    return result.rev || '';
+  },
+
+  accountId: function () {
+    return localStorage.getItem('cloud_dropbox_account_id');
+  },
+};
+
+// ---------------------------------------------------------------------------
+// WebDAV (HTTP Basic auth; app passwords recommended)
+// ---------------------------------------------------------------------------
+
+/**
+ * Full URL for a path under the configured WebDAV root, one encoded segment at a time.
+ * @param {{url: string}} auth
+ * @param {string} path - Absolute path ("/StakTrakr/sync/…")
+ * @returns {string}
+ */
+function _webdavUrl(auth, path) {
+  var base = String(auth.url || '').replace(/\/+$/, '');
+  return base + path.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Basic auth header value (UTF-8 safe).
+ * @param {{username: string, password: string}} auth
+ * @returns {string}
+ */
+function _webdavAuthHeader(auth) {
+  var bytes = new TextEncoder().encode((auth.username || '') + ':' + (auth.password || ''));
+  var binary = '';
+  for (var i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return 'Basic ' + btoa(binary);
+}
+
+/**
+ * Read files from a PROPFIND (Depth: 1) multistatus body. The folder itself
+ * and sub-collections are skipped.
+ * @param {string} xml
+ * @param {string} folder - Folder that was listed
+ * @returns {Array<{name: string, path: string, server_modified: string, size: number}>}
+ */
+function parseWebdavListing(xml, folder) {
+  var doc = _syncParseXml(xml);
+  if (!doc) throw new Error('WebDAV listing is not valid XML');
+  var files = [];
+  var responses = doc.getElementsByTagNameNS('DAV:', 'response');
+  for (var i = 0; i < responses.length; i++) {
+    var r = responses[i];
+    if (r.getElementsByTagNameNS('DAV:', 'collection').length) continue;
+    var hrefEl = r.getElementsByTagNameNS('DAV:', 'href')[0];
+    if (!hrefEl) continue;
+    var href = hrefEl.textContent.replace(/\/+$/, '');
+    var name = decodeURIComponent(href.slice(href.lastIndexOf('/') + 1));
+    if (!name) continue;
+    var modifiedEl = r.getElementsByTagNameNS('DAV:', 'getlastmodified')[0];
+    var sizeEl = r.getElementsByTagNameNS('DAV:', 'getcontentlength')[0];
+    var modified = modifiedEl ? new Date(modifiedEl.textContent) : null;
+    files.push({
+      name: name,
+      path: folder + '/' + name,
+      server_modified: modified && !isNaN(modified) ? modified.toISOString() : '',
+      size: sizeEl ? parseInt(sizeEl.textContent, 10) || 0 : 0,
+    });
+  }
+  return files;
+}
+
+var WebdavSyncBackend = {
+  download: function (auth, path) {
+    return fetch(_webdavUrl(auth, path), {
+      method: 'GET',
+      headers: { Authorization: _webdavAuthHeader(auth) },
+      cache: 'no-store',
+    });
+  },
+
+  upload: async function (auth, path, body) {
+    var send = function () {
+      return fetch(_webdavUrl(auth, path), {
+        method: 'PUT',
+        headers: { Authorization: _webdavAuthHeader(auth), 'Content-Type': 'application/octet-stream' },
+        body: body,
+      });
+    };
+    var resp = await send();
+    // 409 Conflict = parent collection missing; create it once and retry
+    if (resp.status === 409) {
+      await WebdavSyncBackend.ensureFolder(auth, _syncParentFolder(path));
+      resp = await send();
+    }
+    return resp;
+  },
+
+  remove: function (auth, path) {
+    return fetch(_webdavUrl(auth, path), {
+      method: 'DELETE',
+      headers: { Authorization: _webdavAuthHeader(auth) },
+    });
+  },
+
+  list: async function (auth, folder) {
+    var resp = await fetch(_webdavUrl(auth, folder) + '/', {
+      method: 'PROPFIND',
+      headers: {
+        Authorization: _webdavAuthHeader(auth),
+        Depth: '1',
+        'Content-Type': 'application/xml; charset=utf-8',
+      },
+      body: '<?xml version="1.0" encoding="utf-8"?><d:propfind xmlns:d="DAV:"><d:prop>' +
+        '<d:resourcetype/><d:getlastmodified/><d:getcontentlength/></d:prop></d:propfind>',
+    });
+    if (resp.status === 404) return [];
+    if (!resp.ok) throw new Error('List failed: ' + resp.status);
+    return parseWebdavListing(await resp.text(), folder);
+  },
+
+  ensureFolder: async function (auth, folder) {
+    var parts = folder.split('/').filter(Boolean);
+    var path = '';
+    for (var i = 0; i < parts.length; i++) {
+      path += '/' + parts[i];
+      var resp = await fetch(_webdavUrl(auth, path) + '/', {
+        method: 'MKCOL',
+        headers: { Authorization: _webdavAuthHeader(auth) },
+      });
+      // 405 Method Not Allowed = collection already exists
+      if (!resp.ok && resp.status !== 405) throw new Error('Folder create failed: ' + resp.status + ' (' + path + ')');
+    }
+  },
+
+  revision: async function (resp) {
+    return resp.headers.get('ETag') || '';
+  },
+
+  accountId: function (auth) {
+    return 'webdav:' + String(auth.url || '').replace(/\/+$/, '');
+  },
+};
+
+// ---------------------------------------------------------------------------
+// S3-compatible (AWS Signature Version 4, path-style addressing)
+// ---------------------------------------------------------------------------
+
+/**
+ * RFC 3986 encoding as required by SigV4 canonical requests.
+ * @param {string} str
+ * @returns {string}
+ */
+function _s3Encode(str) {
+  return encodeURIComponent(str).replace(/[!'()*]/g, function (c) {
+    return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+  });
+}
+
+/**
+ * Lowercase hex of a byte buffer.
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+function _s3Hex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(function (b) { return b.toString(16).padStart(2, '0'); }).join('');
+}
+
+/**
+ * @param {Uint8Array|string} data
+ * @returns {Promise<string>} SHA-256 hex digest
+ */
+async function _s3Sha256Hex(data) {
+  return _s3Hex(await crypto.subtle.digest('SHA-256', _syncBodyBytes(data)));
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} key
+ * @param {string} data
+ * @returns {Promise<ArrayBuffer>} HMAC-SHA256
+ */
+async function _s3Hmac(key, data) {
+  var cryptoKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(data));
+}
+
+/**
+ * Sign a request with AWS Signature Version 4.
+ *
+ * Every header passed in is signed, plus `host`, `x-amz-date` and
+ * `x-amz-content-sha256`. The returned headers (minus `host`, which the
+ * browser sets) are what fetch must send.
+ *
+ * @param {{accessKeyId: string, secretAccessKey: string, region: string}} auth
+ * @param {string} method - HTTP method
+ * @param {string} url - Full request URL (path already encoded, query optional)
+ * @param {Object<string, string>} [headers] - Extra headers to sign
+ * @param {string} payloadHash - Hex SHA-256 of the body
+ * @param {Date} [date] - Signing time (default now)
+ * @returns {Promise<Object<string, string>>} Headers including Authorization
+ */
+async function s3SignRequest(auth, method, url, headers, payloadHash, date) {
+  var u = new URL(url);
+  var amzDate = (date || new Date()).toISOString().replace(/[:-]|\.\d{3}/g, '');
+  var dateStamp = amzDate.slice(0, 8);
+  var region = auth.region || 'us-east-1';
+  var scope = dateStamp + '/' + region + '/s3/aws4_request';
+
+  var signed = {};
+  Object.keys(headers || {}).forEach(function (k) { signed[k.toLowerCase()] = String(headers[k]).trim(); });
+  signed.host = u.host;
+  signed['x-amz-date'] = amzDate;
+  signed['x-amz-content-sha256'] = payloadHash;
+  var names = Object.keys(signed).sort();
+
+  var query = [];
+  u.searchParams.forEach(function (value, key) { query.push([_s3Encode(key), _s3Encode(value)]); });
+  query.sort(function (a, b) { return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : (a[1] < b[1] ? -1 : 1); });
+
+  var canonical = [
+    method,
+    u.pathname,
+    query.map(function (q) { return q[0] + '=' + q[1]; }).join('&'),
+    names.map(function (n) { return n + ':' + signed[n] + '\n'; }).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  var stringToSign = 'AWS4-HMAC-SHA256\n' + amzDate + '\n' + scope + '\n' + await _s3Sha256Hex(canonical);
+  var key = await _s3Hmac(new TextEncoder().encode('AWS4' + auth.secretAccessKey), dateStamp);
+  key = await _s3Hmac(key, region);
+  key = await _s3Hmac(key, 's3');
+  key = await _s3Hmac(key, 'aws4_request');
+  var signature = _s3Hex(await _s3Hmac(key, stringToSign));
+
+  var out = {};
+  names.forEach(function (n) { if (n !== 'host') out[n] = signed[n]; });
+  out.Authorization = 'AWS4-HMAC-SHA256 Credential=' + auth.accessKeyId + '/' + scope +
+    ', SignedHeaders=' + names.join(';') + ', Signature=' + signature;
+  return out;
+}
+
+/**
+ * Object key for an absolute sync path ("/StakTrakr/sync/x" → "StakTrakr/sync/x").
+ * @param {string} path
+ * @returns {string}
+ */
+function _s3Key(path) {
+  return path.replace(/^\/+/, '');
+}
+
+/**
+ * Signed fetch against the configured bucket (path-style: endpoint/bucket/key).
+ * @param {Object} auth - { endpoint, region, bucket, accessKeyId, secretAccessKey }
+ * @param {string} method
+ * @param {string} key - Object key ('' for the bucket itself)
+ * @param {Object} [opts] - { query: Object<string,string>, body }
+ * @returns {Promise<Response>}
+ */
+async function _s3Fetch(auth, method, key, opts) {
+  var options = opts || {};
+  var url = String(auth.endpoint || '').replace(/\/+$/, '') + '/' + _s3Encode(auth.bucket) +
+    (key ? '/' + key.split('/').map(_s3Encode).join('/') : '');
+  var query = options.query || {};
+  var qs = Object.keys(query).map(function (k) { return _s3Encode(k) + '=' + _s3Encode(query[k]); }).join('&');
+  if (qs) url += '?' + qs;
+  var body = options.body != null ? _syncBodyBytes(options.body) : null;
+  var headers = body ? { 'content-type': 'application/octet-stream' } : {};
+  var signedHeaders = await s3SignRequest(auth, method, url, headers, await _s3Sha256Hex(body || ''));
+  return fetch(url, { method: method, headers: signedHeaders, body: body, cache: 'no-store' });
+}
+
+/**
+ * Read objects directly under a prefix from a ListObjectsV2 response.
+ * @param {string} xml
+ * @param {string} folder - Folder that was listed
+ * @returns {{files: Array<Object>, nextToken: string|null}}
+ */
+function parseS3Listing(xml, folder) {
+  var doc = _syncParseXml(xml);
+  if (!doc) throw new Error('S3 listing is not valid XML');
+  var text = function (el, tag) {
+    var found = el.getElementsByTagName(tag)[0];
+    return found ? found.textContent : '';
+  };
+  var prefix = _s3Key(folder) + '/';
+  var files = [];
+  var contents = doc.getElementsByTagName('Contents');
+  for (var i = 0; i < contents.length; i++) {
+    var objectKey = text(contents[i], 'Key');
+    var name = objectKey.slice(prefix.length);
+    // Direct children only — nothing in sub-"folders"
+    if (objectKey.indexOf(prefix) !== 0 || !name || name.indexOf('/') !== -1) continue;
+    files.push({
+      name: name,
+      path: folder + '/' + name,
+      server_modified: text(contents[i], 'LastModified'),
+      size: parseInt(text(contents[i], 'Size'), 10) || 0,
+    });
+  }
+  var truncated = text(doc, 'IsTruncated') === 'true';
+  return { files: files, nextToken: truncated ? text(doc, 'NextContinuationToken') || null : null };
+}
+
+var S3SyncBackend = {
+  download: function (auth, path) {
+    return _s3Fetch(auth, 'GET', _s3Key(path));
+  },
+
+  upload: function (auth, path, body) {
+    return _s3Fetch(auth, 'PUT', _s3Key(path), { body: body });
+  },
+
+  remove: function (auth, path) {
+    return _s3Fetch(auth, 'DELETE', _s3Key(path));
+  },
+
+  list: async function (auth, folder) {
+    var files = [];
+    var token = null;
+    do {
+      var query = { 'list-type': '2', prefix: _s3Key(folder) + '/' };
+      if (token) query['continuation-token'] = token;
+      var resp = await _s3Fetch(auth, 'GET', '', { query: query });
+      if (!resp.ok) throw new Error('List failed: ' + resp.status);
+      var page = parseS3Listing(await resp.text(), folder);
+      files = files.concat(page.files);
+      token = page.nextToken;
+    } while (token);
+    return files;
+  },
+
+  ensureFolder: async function () {
+    // Object stores have no folders — keys carry the full path
+  },
+
+  revision: async function (resp) {
+    return resp.headers.get('ETag') || '';
+  },
+
+  accountId: function (auth) {
+    return 's3:' + String(auth.endpoint || '').replace(/\/+$/, '') + '/' + auth.bucket;
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/** @type {Object<string, Object>} Provider key → storage backend */
+var SYNC_BACKENDS = {
+  dropbox: DropboxSyncBackend,
+  webdav: WebdavSyncBackend,
+  s3: S3SyncBackend,
+};
+
+/**
+ * Storage backend for a cloud provider key.
+ * @param {string} provider - 'dropbox' | 'webdav' | 's3'
+ * @returns {Object|null} null for providers without a backend (pCloud, Box)
+ */
+function getSyncBackend(provider) {
+  return SYNC_BACKENDS[provider] || null;
+}
+
+/**
+ * Whether a response means "no such file" on any backend
+ * (Dropbox answers 409 path/not_found, WebDAV and S3 answer 404).
+ * @param {Response} resp
+ * @returns {boolean}
+ */
+function syncIsNotFound(resp) {
+  return resp.status === 404 || resp.status === 409;
+}
+
+window.SYNC_BACKENDS = SYNC_BACKENDS;
+window.getSyncBackend = getSyncBackend;
+window.syncIsNotFound = syncIsNotFound;
+window.s3SignRequest = s3SignRequest;
+window.parseWebdavListing = parseWebdavListing;
+window.parseS3Listing = parseS3Listing;
@@ -0,0 +1,559 @@
+// TAX LOT ENGINE
+// =============================================================================
+// Cost-basis lot matching for dispositions. A "lot" is an active inventory row;
+// lots are interchangeable when they share the same metal, name and portfolio.
+// Selling a partial quantity splits the row: the sold units move to a new
+// disposed row (new UUID + serial) and the original row keeps the remaining
+// quantity, its UUID, images and price history.
+//
+// Extended disposition record written by applyLotDisposition():
+//   { type, date, amount, currency, recipient, notes, realizedGainLoss,
+//     disposedAt, qty, costBasis, acquiredDate, holdingPeriod, lotMethod,
+//     lotGroupId, splitFrom }
+// =============================================================================
+
+/**
+ * Build the lot key used to match interchangeable rows (same metal + name).
+ * @param {Object} item - Inventory item
+ * @returns {string} Normalized "metal|name" key
+ */
+const getLotKey = (item) => {
+  const metal = String(item?.metal || '').trim().toLowerCase();
+  const name = String(item?.name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  return `${metal}|${name}`;
+};
+
+/**
+ * Parse an item/disposition date string into a Date (local midnight).
+ * @param {string} dateStr - "YYYY-MM-DD" (other placeholders like "—" return null)
+ * @returns {Date|null}
+ */
+const _parseLotDate = (dateStr) => {
+  if (!dateStr || typeof dateStr !== 'string') return null;
+  const m = dateStr.trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return isNaN(d.getTime()) ? null : d;
+};
+
+/**
+ * Classify the holding period between acquisition and disposal.
+ * Long-term requires holding for more than one year (disposal after the
+ * first anniversary of acquisition). Unknown acquisition dates are treated
+ * as short-term since a long-term holding period cannot be shown.
+ *
+ * @param {string} acquiredDate - Purchase date "YYYY-MM-DD"
+ * @param {string} disposedDate - Disposition date "YYYY-MM-DD"
+ * @returns {'short'|'long'}
+ */
+const classifyHoldingPeriod = (acquiredDate, disposedDate) => {
+  const acquired = _parseLotDate(acquiredDate);
+  const disposed = _parseLotDate(disposedDate);
+  if (!acquired || !disposed) return 'short';
+  const anniversary = new Date(acquired.getFullYear() + 1, acquired.getMonth(), acquired.getDate());
+  return disposed.getTime() > anniversary.getTime() ? 'long' : 'short';
+};
+
+/**
+ * Returns the per-unit cost basis of a lot (item.price is per unit, USD).
+ * @param {Object} item - Inventory item
+ * @returns {number}
+ */
+const getLotUnitCost = (item) => parseFloat(item?.price) || 0;
+
+/**
+ * Find all active lots interchangeable with the item at `idx`, including
+ * itself. Lots in other portfolios are never matched.
+ * @param {number} idx - Inventory index of the reference item
+ * @returns {Array<{idx: number, item: Object}>}
+ */
+const getMatchingLots = (idx) => {
+  const ref = inventory[idx];
+  if (!ref) return [];
+  const key = getLotKey(ref);
+  const portfolioId = getItemPortfolioId(ref);
+  const lots = [];
+  inventory.forEach((item, i) => {
+    if (!isDisposed(item) && getLotKey(item) === key && (Number(item.qty) || 0) > 0
+      && getItemPortfolioId(item) === portfolioId) {
+      lots.push({ idx: i, item });
+    }
+  });
+  return lots;
+};
+
+/**
+ * Order lots for consumption by the given method. Lots without a purchase
+ * date are always matched last so dated lots drive the holding period.
+ *
+ * @param {Array<{idx: number, item: Object}>} lots - Candidate lots
+ * @param {string} method - Key of LOT_METHODS
+ * @returns {Array<{idx: number, item: Object}>} New ordered array
+ */
+const orderLotsByMethod = (lots, method) => {
+  const time = (lot) => {
+    const d = _parseLotDate(lot.item.date);
+    return d ? d.getTime() : null;
+  };
+  return [...lots].sort((a, b) => {
+    const ta = time(a);
+    const tb = time(b);
+    if (ta === null && tb !== null) return 1;
+    if (tb === null && ta !== null) return -1;
+    if (method === 'hifo') {
+      const diff = getLotUnitCost(b.item) - getLotUnitCost(a.item);
+      if (diff !== 0) return diff;
+    }
+    if (ta !== null && tb !== null && ta !== tb) {
+      return method === 'lifo' ? tb - ta : ta - tb;
+    }
+    return a.idx - b.idx;
+  });
+};
+
+/**
+ * Plan which lots (and how many units of each) a disposition consumes.
+ *
+ * @param {Array<{idx: number, item: Object}>} lots - Candidate lots (from getMatchingLots)
+ * @param {number} qty - Units to dispose (ignored for 'specific')
+ * @param {string} method - Key of LOT_METHODS
+ * @param {Object<number, number>} [specificQtys] - idx → units, for 'specific'
+ * @returns {{allocations: Array<{idx: number, qty: number}>, totalQty: number, error: string|null}}
+ */
+const planLotAllocation = (lots, qty, method, specificQtys = {}) => {
+  const allocations = [];
+
+  if (method === 'specific') {
+    for (const lot of lots) {
+      const want = Math.floor(Number(specificQtys[lot.idx]) || 0);
+      if (want <= 0) continue;
+      const available = Number(lot.item.qty) || 0;
+      if (want > available) {
+        return { allocations: [], totalQty: 0, error: `Only ${available} available in lot #${lot.item.serial || lot.idx + 1}.` };
+      }
+      allocations.push({ idx: lot.idx, qty: want });
+    }
+  } else {
+    let remaining = Math.floor(Number(qty) || 0);
+    for (const lot of orderLotsByMethod(lots, method)) {
+      if (remaining <= 0) break;
+      const take = Math.min(remaining, Number(lot.item.qty) || 0);
+      if (take > 0) {
+        allocations.push({ idx: lot.idx, qty: take });
+        remaining -= take;
+      }
+    }
+    if (remaining > 0) {
+      return { allocations: [], totalQty: 0, error: `Only ${qty - remaining} units available across matching lots.` };
+    }
+  }
+
+  const totalQty = allocations.reduce((sum, a) => sum + a.qty, 0);
+  if (totalQty <= 0) return { allocations: [], totalQty: 0, error: 'Please enter a quantity to dispose.' };
+  return { allocations, totalQty, error: null };
+};
+
+/**
+ * Apply a planned disposition to inventory. Proceeds are allocated across
+ * lots pro rata by quantity (the last lot absorbs rounding). Partial lots are
+ * split into a new disposed row inserted directly after the source row.
+ * Does not persist — the caller saves and re-renders.
+ *
+ * @param {Array<{idx: number, qty: number}>} allocations - From planLotAllocation
+ * @param {Object} details - { type, date, amount, currency, recipient, notes, lotMethod }
+ * @returns {Array<{idx: number, item: Object}>} Disposed rows with their final indices
+ */
+const applyLotDisposition = (allocations, details) => {
+  const totalQty = allocations.reduce((sum, a) => sum + a.qty, 0);
+  const amount = Number(details.amount) || 0;
+  const lotGroupId = generateUUID();
+  const disposedAt = new Date().toISOString();
+
+  // Allocate proceeds in cents so the parts always sum to the entered amount
+  const totalCents = Math.round(amount * 100);
+  let allocatedCents = 0;
+  const proceeds = allocations.map((a, i) => {
+    const cents = i === allocations.length - 1
+      ? totalCents - allocatedCents
+      : Math.round(totalCents * (a.qty / totalQty));
+    allocatedCents += cents;
+    return cents / 100;
+  });
+
+  const records = allocations.map((a, i) => {
+    const item = inventory[a.idx];
+    const costBasis = getLotUnitCost(item) * a.qty;
+    return {
+      alloc: a,
+      disposition: {
+        type: details.type,
+        date: details.date,
+        amount: proceeds[i],
+        currency: details.currency,
+        recipient: details.recipient || '',
+        notes: details.notes || '',
+        realizedGainLoss: proceeds[i] - costBasis,
+        disposedAt,
+        qty: a.qty,
+        costBasis,
+        acquiredDate: item.date || '',
+        holdingPeriod: classifyHoldingPeriod(item.date, details.date),
+        lotMethod: details.lotMethod || 'specific',
+        lotGroupId,
+        splitFrom: null,
+      },
+    };
+  });
+
+  // Splice from the highest index down so earlier indices stay valid
+  const byIdxDesc = [...records].sort((x, y) => y.alloc.idx - x.alloc.idx);
+  const inserted = [];
+  for (const rec of byIdxDesc) {
+    const item = inventory[rec.alloc.idx];
+    const lotQty = Number(item.qty) || 0;
+    if (rec.alloc.qty >= lotQty) {
+      item.disposition = rec.disposition;
+      inserted.push({ uuid: item.uuid, item });
+      continue;
+    }
+    item.qty = lotQty - rec.alloc.qty;
+    const split = {
+      ...item,
+      qty: rec.alloc.qty,
+      uuid: generateUUID(),
+      serial: getNextSerial(),
+      disposition: { ...rec.disposition, splitFrom: item.uuid },
+    };
+    inventory.splice(rec.alloc.idx + 1, 0, split);
+    _copyLotTags(item.uuid, split.uuid);
+    inserted.push({ uuid: split.uuid, item: split });
+  }
+
+  // Resolve final indices after all splices
+  return inserted.map(r => ({ idx: inventory.indexOf(r.item), item: r.item }));
+};
+
+/**
+ * Copy custom/Numista tags from a lot to its split-off row.
+ * @param {string} fromUuid - Source item UUID
+ * @param {string} toUuid - New item UUID
+ */
+const _copyLotTags = (fromUuid, toUuid) => {
+  if (typeof getItemTags !== 'function' || typeof addItemTag !== 'function') return;
+  const tags = getItemTags(fromUuid);
+  if (tags.length === 0) return;
+  tags.forEach(tag => addItemTag(toUuid, tag, false));
+  if (typeof saveItemTags === 'function') saveItemTags();
+};
+
+/**
+ * Undo a disposition. Rows split off a lot that is still active are merged
+ * back into it; otherwise the disposition is simply cleared.
+ * Does not persist — the caller saves and re-renders.
+ *
+ * @param {number} idx - Inventory index of the disposed row
+ * @returns {{merged: boolean, targetIdx: number}} Where the units ended up
+ */
+const revertLotDisposition = (idx) => {
+  const row = inventory[idx];
+  const splitFrom = row?.disposition?.splitFrom;
+  if (splitFrom) {
+    const targetIdx = inventory.findIndex(i => i.uuid === splitFrom && !isDisposed(i));
+    if (targetIdx !== -1 && getLotKey(inventory[targetIdx]) === getLotKey(row)) {
+      const target = inventory[targetIdx];
+      target.qty = (Number(target.qty) || 0) + (Number(row.qty) || 0);
+      inventory.splice(idx, 1);
+      if (typeof deleteItemTags === 'function') deleteItemTags(row.uuid);
+      return { merged: true, targetIdx: inventory.indexOf(target) };
+    }
+  }
+  row.disposition = null;
+  return { merged: false, targetIdx: idx };
+};
+
+/**
+ * Holding period of a disposed item. Falls back to classifying from the
+ * item/disposition dates for records written before the lot engine.
+ * @param {Object} item - Disposed inventory item
+ * @returns {'short'|'long'}
+ */
+const getDispositionHoldingPeriod = (item) => {
+  const d = item?.disposition;
+  if (!d) return 'short';
+  return d.holdingPeriod || classifyHoldingPeriod(d.acquiredDate || item.date, d.date);
+};
+
+/**
+ * Cost basis of a disposed item (stored, or price × qty for legacy records).
+ * @param {Object} item - Disposed inventory item
+ * @returns {number}
+ */
+const getDispositionCostBasis = (item) => {
+  const d = item?.disposition;
+  if (d && typeof d.costBasis === 'number') return d.costBasis;
+  return getLotUnitCost(item) * (Number(item?.qty) || 0);
+};
+
+/**
+ * Tax year of a disposition ("YYYY"), or '' when the date is missing.
+ * @param {Object} item - Disposed inventory item
+ * @returns {string}
+ */
+const getDispositionYear = (item) => {
+  const date = item?.disposition?.date;
+  return (typeof date === 'string' && /^\d{4}/.test(date)) ? date.slice(0, 4) : '';
+};
+
+/**
+ * Summarize realized gains/losses per tax year.
+ *
+ * @param {Array<Object>} [items=inventory] - Items to summarize
+ * @returns {Object<string, {proceeds: number, costBasis: number, shortTerm: number, longTerm: number, total: number, count: number, byMetal: Object<string, number>}>}
+ *   Keyed by "YYYY"; dispositions without a date are keyed by "".
+ */
+const getRealizedSummaryByYear = (items = inventory) => {
+  const summary = {};
+  for (const item of items) {
+    if (!isDisposed(item)) continue;
+    const year = getDispositionYear(item);
+    if (!summary[year]) {
+      summary[year] = { proceeds: 0, costBasis: 0, shortTerm: 0, longTerm: 0, total: 0, count: 0, byMetal: {} };
+    }
+    const bucket = summary[year];
+    const gl = Number(item.disposition.realizedGainLoss) || 0;
+    bucket.proceeds += Number(item.disposition.amount) || 0;
+    bucket.costBasis += getDispositionCostBasis(item);
+    bucket.total += gl;
+    bucket.count += Number(item.qty) || 0;
+    if (getDispositionHoldingPeriod(item) === 'long') bucket.longTerm += gl;
+    else bucket.shortTerm += gl;
+    const metal = item.metal || 'Unknown';
+    bucket.byMetal[metal] = (bucket.byMetal[metal] || 0) + gl;
+  }
+  return summary;
+};
+
+/**
+ * Returns the tax year selected for the Realized summary row ("all" or "YYYY").
+ * @returns {string}
+ */
+const getRealizedSummaryYear = () => {
+  const stored = String(loadDataSync(REALIZED_YEAR_KEY, 'all'));
+  return /^\d{4}$/.test(stored) ? stored : 'all';
+};
+
+/**
+ * Returns the default lot matching method (falls back to 'specific').
+ * @returns {string}
+ */
+const getDefaultLotMethod = () => {
+  const stored = loadDataSync(LOT_METHOD_KEY, 'specific');
+  return LOT_METHODS[stored] ? stored : 'specific';
+};
+
+// =============================================================================
+// REMOVE ITEM MODAL — quantity, lot method and specific-lot picker
+// =============================================================================
+
+/**
+ * Populate the quantity / lot method / lot picker controls of the Remove Item
+ * modal for the item at `idx`. Controls stay hidden for single-unit items with
+ * no interchangeable lots, so the simple dispose flow is unchanged.
+ * @param {number} idx - Inventory index of the item being disposed
+ */
+const setupDispositionLotFields = (idx) => {
+  const item = inventory[idx];
+  if (!item) return;
+  const lots = getMatchingLots(idx);
+  const available = lots.reduce((sum, l) => sum + (Number(l.item.qty) || 0), 0);
+
+  const qtyGroup = safeGetElement('dispositionQtyGroup');
+  const qtyInput = safeGetElement('dispositionQty');
+  const methodGroup = safeGetElement('dispositionLotMethodGroup');
+  const methodSelect = safeGetElement('dispositionLotMethod');
+
+  qtyInput.value = Number(item.qty) || 1;
+  qtyInput.max = available;
+  qtyGroup.style.display = available > 1 ? '' : 'none';
+
+  methodSelect.value = lots.length > 1 ? getDefaultLotMethod() : 'specific';
+  methodGroup.style.display = lots.length > 1 ? '' : 'none';
+
+  renderDispositionLotPicker(idx);
+};
+
+/**
+ * Render the specific-lot picker (one qty input per matching lot) and the
+ * lot preview line for FIFO/LIFO/HIFO.
+ * @param {number} idx - Inventory index of the item being disposed
+ */
+const renderDispositionLotPicker = (idx) => {
+  const picker = safeGetElement('dispositionLotPicker');
+  const preview = safeGetElement('dispositionLotPreview');
+  const qtyGroup = safeGetElement('dispositionQtyGroup');
+  const method = safeGetElement('dispositionLotMethod').value || 'specific';
+  const lots = getMatchingLots(idx);
+
+  picker.textContent = '';
+  preview.textContent = '';
+
+  if (lots.length <= 1) {
+    picker.style.display = 'none';
+    return;
+  }
+
+  if (method !== 'specific') {
+    picker.style.display = 'none';
+    qtyGroup.style.display = '';
+    const qty = parseInt(safeGetElement('dispositionQty').value, 10) || 0;
+    const plan = planLotAllocation(lots, qty, method);
+    if (plan.error) {
+      preview.textContent = plan.error;
+      return;
+    }
+    preview.textContent = 'Uses: ' + plan.allocations.map(a => {
+      const lot = inventory[a.idx];
+      return `${a.qty} × ${lot.date || 'undated'} @ ${formatCurrency(getLotUnitCost(lot))}`;
+    }).join(', ');
+    return;
+  }
+
+  // Specific lots — quantity comes from the per-lot inputs
+  qtyGroup.style.display = 'none';
+  picker.style.display = '';
+  orderLotsByMethod(lots, 'fifo').forEach(lot => {
+    const row = document.createElement('label');
+    row.className = 'disposition-lot-row';
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '1';
+    input.max = String(Number(lot.item.qty) || 0);
+    input.value = lot.idx === idx ? String(Number(lot.item.qty) || 0) : '0';
+    input.dataset.lotIdx = String(lot.idx);
+    input.setAttribute('aria-label', `Units from lot purchased ${lot.item.date || 'undated'}`);
+
+    const text = document.createElement('span');
+    text.textContent = `of ${lot.item.qty} — ${lot.item.date || 'undated'} @ ${formatCurrency(getLotUnitCost(lot.item))}` +
+      (lot.item.storageLocation && lot.item.storageLocation !== 'Unknown' ? ` (${lot.item.storageLocation})` : '');
+
+    row.appendChild(input);
+    row.appendChild(text);
+    picker.appendChild(row);
+  });
+};
+
+/**
+ * Read the Remove Item modal lot controls into an allocation plan.
+ * @param {number} idx - Inventory index of the item being disposed
+ * @returns {{allocations: Array<{idx: number, qty: number}>, totalQty: number, error: string|null, method: string}}
+ */
+const readDispositionLotPlan = (idx) => {
+  const lots = getMatchingLots(idx);
+  const method = lots.length > 1 ? (safeGetElement('dispositionLotMethod').value || 'specific') : 'specific';
+
+  if (method === 'specific') {
+    const specificQtys = {};
+    if (lots.length > 1) {
+      safeGetElement('dispositionLotPicker').querySelectorAll('input[data-lot-idx]').forEach(input => {
+        specificQtys[input.dataset.lotIdx] = parseInt(input.value, 10) || 0;
+      });
+    } else {
+      specificQtys[idx] = parseInt(safeGetElement('dispositionQty').value, 10) || 0;
+    }
+    return { ...planLotAllocation(lots, 0, 'specific', specificQtys), method };
+  }
+
+  const qty = parseInt(safeGetElement('dispositionQty').value, 10) || 0;
+  return { ...planLotAllocation(lots, qty, method), method };
+};
+
+// =============================================================================
+// SETTINGS — realized year selector and per-year breakdown
+// =============================================================================
+
+/**
+ * Fill the realized-year <select> with "All years" plus every year that has
+ * dispositions (and the current year).
+ * @param {HTMLSelectElement} select - Target select element
+ */
+const populateRealizedYearSelect = (select) => {
+  if (!select) return;
+  const years = new Set(Object.keys(getRealizedSummaryByYear()).filter(Boolean));
+  years.add(String(new Date().getFullYear()));
+  const current = getRealizedSummaryYear();
+  if (current !== 'all') years.add(current);
+
+  select.textContent = '';
+  const allOpt = document.createElement('option');
+  allOpt.value = 'all';
+  allOpt.textContent = 'All years';
+  select.appendChild(allOpt);
+  [...years].sort().reverse().forEach(year => {
+    const opt = document.createElement('option');
+    opt.value = year;
+    opt.textContent = year;
+    select.appendChild(opt);
+  });
+  select.value = current;
+};
+
+/**
+ * Render the per-year realized table (Year | Short-term | Long-term | Total).
+ * @param {HTMLElement} container - Target container
+ */
+const renderRealizedYearSummary = (container) => {
+  if (!container) return;
+  container.textContent = '';
+  const summary = getRealizedSummaryByYear();
+  const years = Object.keys(summary).sort().reverse();
+  if (years.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-subtext';
+    empty.textContent = 'No dispositions recorded yet.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const table = document.createElement('table');
+  table.className = 'realized-year-table';
+  const head = table.createTHead().insertRow();
+  ['Year', 'Short-term', 'Long-term', 'Total'].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  years.forEach(year => {
+    const s = summary[year];
+    const row = body.insertRow();
+    row.insertCell().textContent = year || 'Undated';
+    [s.shortTerm, s.longTerm, s.total].forEach(value => {
+      const cell = row.insertCell();
+      cell.textContent = formatCurrency(value);
+      cell.className = value > 0 ? 'gain' : value < 0 ? 'loss' : '';
+    });
+  });
+  container.appendChild(table);
+};
+
+// Expose globally
+window.getLotKey = getLotKey;
+window.classifyHoldingPeriod = classifyHoldingPeriod;
+window.getMatchingLots = getMatchingLots;
+window.orderLotsByMethod = orderLotsByMethod;
+window.planLotAllocation = planLotAllocation;
+window.applyLotDisposition = applyLotDisposition;
+window.revertLotDisposition = revertLotDisposition;
+window.getDispositionHoldingPeriod = getDispositionHoldingPeriod;
+window.getDispositionCostBasis = getDispositionCostBasis;
+window.getDispositionYear = getDispositionYear;
+window.getRealizedSummaryByYear = getRealizedSummaryByYear;
+window.getRealizedSummaryYear = getRealizedSummaryYear;
+window.getDefaultLotMethod = getDefaultLotMethod;
+window.setupDispositionLotFields = setupDispositionLotFields;
+window.renderDispositionLotPicker = renderDispositionLotPicker;
+window.readDispositionLotPlan = readDispositionLotPlan;
+window.populateRealizedYearSelect = populateRealizedYearSelect;
+window.renderRealizedYearSummary = renderRealizedYearSummary;
@@ -0,0 +1,286 @@
+// CAPITAL GAINS TAX REPORT
+// =============================================================================
+// Year-end report of disposed items in the Form 8949 layout: description,
+// date acquired, date disposed, proceeds, cost basis, gain/loss and term.
+// Precious metals are collectibles for US tax purposes (28% maximum long-term
+// rate), so long-term collectible gains are totalled separately.
+//
+// Rows come from the disposition records written by the lot engine
+// (js/tax-lots.js); legacy records fall back to price × qty for basis.
+// Lost/gifted dispositions are listed but excluded from the reportable totals.
+// Like the other exports, the report covers the active portfolio only, so an
+// IRA portfolio can be left out of the taxable totals.
+// =============================================================================
+
+/**
+ * Whether an item counts as a collectible (any tracked precious metal).
+ * @param {Object} item - Inventory item
+ * @returns {boolean}
+ */
+const isCollectibleItem = (item) =>
+  Object.values(METALS).some(m => m.name === item?.metal);
+
+/**
+ * Format "YYYY-MM-DD" as MM/DD/YYYY (Form 8949 convention).
+ * @param {string} dateStr - ISO date string
+ * @returns {string} Formatted date, or "Unknown" when missing
+ */
+const _formatTaxDate = (dateStr) => {
+  const m = typeof dateStr === 'string' ? dateStr.match(/^(\d{4})-(\d{2})-(\d{2})/) : null;
+  return m ? `${m[2]}/${m[3]}/${m[1]}` : 'Unknown';
+};
+
+/**
+ * Format a USD amount for the report (always USD, independent of display
+ * currency). Amounts are stored in USD as of each transaction, so restating
+ * them at today's exchange rate would misstate past years.
+ * @param {number} value - Amount in USD
+ * @returns {string}
+ */
+const _formatTaxUsd = (value) =>
+  (Number(value) || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+
+/**
+ * Collect every disposition dated in the given tax year.
+ *
+ * @param {string} year - Tax year "YYYY"
+ * @param {Array<Object>} [items] - Items to scan; defaults to the active portfolio
+ * @returns {Array<Object>} Rows sorted by disposal date:
+ *   { description, name, metal, qty, acquiredDate, disposedDate, proceeds, costBasis,
+ *     gainLoss, term, collectible, reportable, dispositionType, lotMethod, portfolio, uuid }
+ */
+const buildTaxReportRows = (year, items = getPortfolioItems()) => {
+  return items
+    .filter(item => isDisposed(item) && getDispositionYear(item) === String(year))
+    .map(item => {
+      const d = item.disposition;
+      const qty = Number(d.qty || item.qty) || 0;
+      const typeInfo = DISPOSITION_TYPES[d.type];
+      return {
+        description: `${qty} × ${item.name || 'Unnamed item'}`,
+        name: item.name || '',
+        metal: item.metal || '',
+        qty,
+        acquiredDate: d.acquiredDate || item.date || '',
+        disposedDate: d.date || '',
+        proceeds: Number(d.amount) || 0,
+        costBasis: getDispositionCostBasis(item),
+        gainLoss: Number(d.realizedGainLoss) || 0,
+        term: getDispositionHoldingPeriod(item),
+        collectible: isCollectibleItem(item),
+        reportable: !!(typeInfo && typeInfo.taxReportable),
+        dispositionType: typeInfo ? typeInfo.label : d.type,
+        lotMethod: d.lotMethod || '',
+        portfolio: getPortfolioName(getItemPortfolioId(item)),
+        uuid: item.uuid || '',
+      };
+    })
+    .sort((a, b) => a.disposedDate.localeCompare(b.disposedDate));
+};
+
+/**
+ * Summarize report rows into Form 8949 / Schedule D buckets.
+ * Only reportable rows (sales, trades, returns) are totalled.
+ *
+ * @param {Array<Object>} rows - From buildTaxReportRows()
+ * @returns {{shortTerm: Object, longTermCollectible: Object, longTermOther: Object, total: Object}}
+ *   Each bucket: { proceeds, costBasis, gainLoss, count }
+ */
+const summarizeTaxReport = (rows) => {
+  const bucket = () => ({ proceeds: 0, costBasis: 0, gainLoss: 0, count: 0 });
+  const summary = { shortTerm: bucket(), longTermCollectible: bucket(), longTermOther: bucket(), total: bucket() };
+  rows.filter(r => r.reportable).forEach(r => {
+    const target = r.term === 'short'
+      ? summary.shortTerm
+      : (r.collectible ? summary.longTermCollectible : summary.longTermOther);
+    [target, summary.total].forEach(b => {
+      b.proceeds += r.proceeds;
+      b.costBasis += r.costBasis;
+      b.gainLoss += r.gainLoss;
+      b.count += 1;
+    });
+  });
+  return summary;
+};
+
+/**
+ * Returns the tax year currently selected in the export card.
+ * @returns {string} "YYYY"
+ */
+const getSelectedTaxReportYear = () => {
+  const select = document.getElementById('taxReportYear');
+  return (select && select.value) || String(new Date().getFullYear() - 1);
+};
+
+/**
+ * Fill the tax year <select> with years that have dispositions. Defaults to
+ * last year (the usual filing year) when it has data, else the newest year.
+ * @param {HTMLSelectElement} select - Target select element
+ */
+const populateTaxReportYearSelect = (select) => {
+  if (!select) return;
+  const previous = select.value;
+  const years = Object.keys(getRealizedSummaryByYear(getPortfolioItems())).filter(Boolean).sort().reverse();
+  const lastYear = String(new Date().getFullYear() - 1);
+  if (years.length === 0) years.push(lastYear);
+
+  select.textContent = '';
+  years.forEach(year => {
+    const opt = document.createElement('option');
+    opt.value = year;
+    opt.textContent = year;
+    select.appendChild(opt);
+  });
+  if (years.includes(previous)) select.value = previous;
+  else select.value = years.includes(lastYear) ? lastYear : years[0];
+};
+
+/**
+ * Export the selected tax year as a Form 8949-style CSV.
+ * @param {string} [year] - Tax year; defaults to the export card selection
+ */
+const exportTaxReportCsv = (year = getSelectedTaxReportYear()) => {
+  if (typeof Papa === 'undefined') {
+    appAlert('CSV library (PapaParse) failed to load. Please check your internet connection and reload the page.');
+    return;
+  }
+  const rows = buildTaxReportRows(year);
+  if (rows.length === 0) {
+    appAlert(`No dispositions recorded in ${year}.`, 'Tax Report');
+    return;
+  }
+  debugLog('exportTaxReportCsv start', year, rows.length, 'rows');
+
+  const headers = [
+    "(a) Description of property", "(b) Date acquired", "(c) Date sold or disposed of",
+    "(d) Proceeds (USD)", "(e) Cost or other basis (USD)", "(h) Gain or (loss) (USD)",
+    "Term", "Collectible", "Reportable", "Disposition", "Metal", "Lot Method", "Portfolio", "UUID"
+  ];
+  const data = rows.map(r => [
+    r.description,
+    _formatTaxDate(r.acquiredDate),
+    _formatTaxDate(r.disposedDate),
+    r.proceeds.toFixed(2),
+    r.costBasis.toFixed(2),
+    r.gainLoss.toFixed(2),
+    r.term === 'long' ? 'Long-term' : 'Short-term',
+    r.collectible ? 'Yes' : 'No',
+    r.reportable ? 'Yes' : 'No',
+    r.dispositionType,
+    r.metal,
+    r.lotMethod ? (LOT_METHODS[r.lotMethod]?.label || r.lotMethod) : '',
+    r.portfolio,
+    r.uuid
+  ]);
+
+  const summary = summarizeTaxReport(rows);
+  const summaryRow = (label, b) => [label, '', '', b.proceeds.toFixed(2), b.costBasis.toFixed(2), b.gainLoss.toFixed(2)];
+  data.push([]);
+  data.push(summaryRow('Total short-term (Part I)', summary.shortTerm));
+  data.push(summaryRow('Total long-term collectibles (Part II, 28% rate)', summary.longTermCollectible));
+  data.push(summaryRow('Total long-term other (Part II)', summary.longTermOther));
+  data.push(summaryRow('Total reportable', summary.total));
+
+  const csv = Papa.unparse([headers, ...data]);
+  const blob = new Blob([csv], { type: "text/csv" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `staktrakr_tax_report_${getPortfolioFileTag()}${year}.csv`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+  debugLog('exportTaxReportCsv complete');
+};
+
+/**
+ * Export the selected tax year as a printable PDF with Part I (short-term)
+ * and Part II (long-term) tables and a Schedule D-style summary.
+ * @param {string} [year] - Tax year; defaults to the export card selection
+ */
+const exportTaxReportPdf = (year = getSelectedTaxReportYear()) => {
+  if (!window.jspdf || !window.jspdf.jsPDF) {
+    appAlert('PDF library (jsPDF) failed to load. Please check your internet connection and reload the page.');
+    return;
+  }
+  const rows = buildTaxReportRows(year);
+  if (rows.length === 0) {
+    appAlert(`No dispositions recorded in ${year}.`, 'Tax Report');
+    return;
+  }
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF('landscape');
+
+  doc.setFontSize(16);
+  doc.text(`StakTrakr — Capital Gains Report, Tax Year ${year}`, 14, 15);
+  doc.setFontSize(9);
+  doc.text(`Portfolio: ${getPortfolioName(getActivePortfolioId())} · Generated: ${typeof formatTimestamp === 'function' ? formatTimestamp(new Date()) : new Date().toLocaleString()} · Amounts in USD · C = collectible (precious metal)`, 14, 21);
+
+  const head = [['Description', 'Acquired', 'Disposed', 'Proceeds', 'Cost Basis', 'Gain/(Loss)', 'C', 'Type']];
+  const toBody = (list) => list.map(r => [
+    r.description,
+    _formatTaxDate(r.acquiredDate),
+    _formatTaxDate(r.disposedDate),
+    _formatTaxUsd(r.proceeds),
+    _formatTaxUsd(r.costBasis),
+    _formatTaxUsd(r.gainLoss),
+    r.collectible ? 'C' : '',
+    r.dispositionType
+  ]);
+
+  const reportable = rows.filter(r => r.reportable);
+  const sections = [
+    ['Part I — Short-term (held one year or less)', reportable.filter(r => r.term === 'short')],
+    ['Part II — Long-term (held more than one year)', reportable.filter(r => r.term === 'long')],
+    ['Not reportable — lost / gifted', rows.filter(r => !r.reportable)],
+  ];
+
+  let y = 28;
+  sections.forEach(([title, list]) => {
+    if (list.length === 0) return;
+    doc.setFontSize(11);
+    doc.text(title, 14, y + 4);
+    doc.autoTable({
+      head,
+      body: toBody(list),
+      startY: y + 7,
+      theme: 'striped',
+      styles: { fontSize: 8 },
+      headStyles: { fillColor: [25, 118, 210] }
+    });
+    y = (doc.lastAutoTable.finalY || y) + 6;
+  });
+
+  const summary = summarizeTaxReport(rows);
+  const fmtRow = (label, b) => [label, String(b.count), _formatTaxUsd(b.proceeds), _formatTaxUsd(b.costBasis), _formatTaxUsd(b.gainLoss)];
+  doc.setFontSize(11);
+  doc.text('Summary', 14, y + 4);
+  doc.autoTable({
+    head: [['Category', 'Rows', 'Proceeds', 'Cost Basis', 'Gain/(Loss)']],
+    body: [
+      fmtRow('Short-term', summary.shortTerm),
+      fmtRow('Long-term collectibles (28% rate)', summary.longTermCollectible),
+      fmtRow('Long-term other', summary.longTermOther),
+      fmtRow('Total reportable', summary.total)
+    ],
+    startY: y + 7,
+    theme: 'grid',
+    styles: { fontSize: 9 },
+    headStyles: { fillColor: [25, 118, 210] }
+  });
+
+  const noteY = (doc.lastAutoTable.finalY || y) + 8;
+  doc.setFontSize(8);
+  doc.text('Prepared from StakTrakr records for review by a tax professional. Not tax advice.', 14, noteY);
+
+  doc.save(`staktrakr_tax_report_${getPortfolioFileTag()}${year}.pdf`);
+};
+
+// Expose globally
+window.isCollectibleItem = isCollectibleItem;
+window.buildTaxReportRows = buildTaxReportRows;
+window.summarizeTaxReport = summarizeTaxReport;
+window.populateTaxReportYearSelect = populateTaxReportYearSelect;
+window.exportTaxReportCsv = exportTaxReportCsv;
+window.exportTaxReportPdf = exportTaxReportPdf;
@@ -4,13 +4,30 @@
  * Provides AES-256-GCM encrypted export/import of all localStorage data.
  * Uses Web Crypto API (primary) with forge.js fallback for file:// protocol.
  *
- * Binary format (56-byte header + ciphertext):
+ * Version 2 (written by this build):
+ *   0-6   : "STVAULT" magic bytes
+ *   7     : format version (0x02)
+ *   8-9   : header schema version (uint16 big-endian)
+ *   10-13 : header length N (uint32 big-endian)
+ *   14..  : N bytes of UTF-8 JSON header — { iv, slots: [...] }
+ *   14+N+ : AES-256-GCM ciphertext (includes 16-byte auth tag)
+ *
+ *   The payload is encrypted with a random 256-bit data key. Each key slot
+ *   wraps that data key (AES-256-GCM) under a key derived from one secret:
+ *   the password, or the printable recovery key. Slots name their own KDF —
+ *   Argon2id where WebAssembly is available, PBKDF2-SHA256 otherwise — so
+ *   re-keying only rewrites the header and never touches the ciphertext.
+ *
+ * Version 1 (still read, and upgraded by vaultRekeyFile / vaultUpgradeFile):
  *   0-6   : "STVAULT" magic bytes
  *   7     : format version (0x01)
  *   8-11  : PBKDF2 iterations (uint32 big-endian)
  *   12-43 : 32-byte random salt
  *   44-55 : 12-byte random IV/nonce
  *   56+   : AES-256-GCM ciphertext (includes 16-byte auth tag)
+ *
+ * Sync metadata (serializeVaultFile) is still written as v1 so older builds
+ * can keep detecting remote changes.
  */
 
 // =============================================================================
@@ -18,12 +35,29 @@
 // =============================================================================
 
 const VAULT_MAGIC = new Uint8Array([0x53, 0x54, 0x56, 0x41, 0x55, 0x4C, 0x54]); // "STVAULT"
-const VAULT_VERSION = 0x01;
-const VAULT_HEADER_SIZE = 56;
+const VAULT_VERSION = 0x02; // newest format this build can read
+const VAULT_VERSION_V1 = 0x01;
+const VAULT_HEADER_SIZE = 56; // v1 fixed header
+const VAULT_V2_PREFIX_SIZE = 14; // v2 bytes before the JSON header
+const VAULT_HEADER_SCHEMA = 1; // v2 JSON header schema
 const VAULT_PBKDF2_ITERATIONS = 600000;
+const VAULT_ARGON2_PARAMS = { memory: 65536, iterations: 3, parallelism: 1 }; // RFC 9106 second recommended option (64 MiB)
+const VAULT_MAX_KEY_SLOTS = 8;
+const VAULT_KEY_CACHE_SIZE = 8; // Argon2id keys kept per session
 const VAULT_MIN_PASSWORD_LENGTH = 8;
 const VAULT_MAX_FILE_SIZE = 50 * 1024 * 1024; // 50 MB
 
+/** Upper bounds for KDF parameters read from a file — a tampered header must not hang the UI */
+const VAULT_KDF_LIMITS = {
+  pbkdf2Iterations: VAULT_PBKDF2_ITERATIONS * 2,
+  argon2Memory: 262144, // 256 MiB
+  argon2Iterations: 10,
+  argon2Parallelism: 8,
+};
+
+/** Crockford base32 — no I, L, O or U, so printed keys survive retyping */
+const VAULT_RECOVERY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
 // =============================================================================
 // CRYPTO ABSTRACTION LAYER
 // =============================================================================
@@ -220,7 +254,8 @@ async function vaultDecrypt(ciphertext, key, iv) {
 // =============================================================================
 
 /**
- * Serialize vault header + ciphertext into a single binary blob.
+ * Serialize a version 1 vault (single PBKDF2 key, no key slots). Only used for
+ * sync metadata; backups and vaults are written by serializeVaultFileV2.
  * @param {Uint8Array} salt - 32 bytes
  * @param {Uint8Array} iv - 12 bytes
  * @param {number} iterations
@@ -232,7 +267,7 @@ function serializeVaultFile(salt, iv, iterations, ciphertext) {
   // Magic bytes
   file.set(VAULT_MAGIC, 0);
   // Version
-  file[7] = VAULT_VERSION;
+  file[7] = VAULT_VERSION_V1;
   // Iterations (uint32 big-endian)
   file[8] = (iterations >>> 24) & 0xff;
   file[9] = (iterations >>> 16) & 0xff;
@@ -247,14 +282,46 @@ function serializeVaultFile(salt, iv, iterations, ciphertext) {
   return file;
 }
 
+/**
+ * Serialize a version 2 vault: prefix, JSON header, ciphertext.
+ * @param {{iv: Uint8Array, slots: Object[]}} header
+ * @param {Uint8Array} ciphertext
+ * @returns {Uint8Array}
+ */
+function serializeVaultFileV2(header, ciphertext) {
+  var headerBytes = new TextEncoder().encode(JSON.stringify({
+    iv: _vaultBytesToBase64(header.iv),
+    slots: header.slots,
+  }));
+  var len = headerBytes.length;
+  var file = new Uint8Array(VAULT_V2_PREFIX_SIZE + len + ciphertext.length);
+  file.set(VAULT_MAGIC, 0);
+  file[7] = VAULT_VERSION;
+  file[8] = (VAULT_HEADER_SCHEMA >>> 8) & 0xff;
+  file[9] = VAULT_HEADER_SCHEMA & 0xff;
+  file[10] = (len >>> 24) & 0xff;
+  file[11] = (len >>> 16) & 0xff;
+  file[12] = (len >>> 8) & 0xff;
+  file[13] = len & 0xff;
+  file.set(headerBytes, VAULT_V2_PREFIX_SIZE);
+  file.set(ciphertext, VAULT_V2_PREFIX_SIZE + len);
+  return file;
+}
+
 /**
  * Parse a .stvault binary file into its components.
+ *
+ * v1 files keep their original shape (salt, iv, iterations, ciphertext) so
+ * callers that derive the key themselves continue to work. v2 files return
+ * key slots instead of a salt — open either kind with vaultDecryptParsed().
+ *
  * @param {Uint8Array} fileBytes
- * @returns {{salt: Uint8Array, iv: Uint8Array, iterations: number, ciphertext: Uint8Array}}
+ * @returns {{version: number, salt: Uint8Array, iv: Uint8Array, iterations: number, ciphertext: Uint8Array}
+ *   |{version: number, schema: number, iv: Uint8Array, slots: Object[], ciphertext: Uint8Array}}
  * @throws {Error} On invalid format
  */
 function parseVaultFile(fileBytes) {
-  if (fileBytes.length < VAULT_HEADER_SIZE + 16) {
+  if (fileBytes.length < VAULT_V2_PREFIX_SIZE + 16) {
     throw new Error("Not a valid .stvault file.");
   }
   // Check magic bytes
@@ -270,6 +337,11 @@ function parseVaultFile(fileBytes) {
       "Created by a newer StakTrakr version. Please update.",
     );
   }
+  if (version >= 2) return _parseVaultFileV2(fileBytes);
+
+  if (fileBytes.length < VAULT_HEADER_SIZE + 16) {
+    throw new Error("Not a valid .stvault file.");
+  }
   // Parse iterations
   var iterations =
     (fileBytes[8] << 24) |
@@ -283,6 +355,7 @@ function parseVaultFile(fileBytes) {
   var ciphertext = fileBytes.slice(VAULT_HEADER_SIZE);
 
   return {
+    version: VAULT_VERSION_V1,
     salt: salt,
     iv: iv,
     iterations: iterations,
@@ -290,6 +363,431 @@ function parseVaultFile(fileBytes) {
   };
 }
 
+/**
+ * Parse the v2 prefix and JSON header. Rejects headers from a newer schema
+ * and key slots whose KDF parameters exceed VAULT_KDF_LIMITS.
+ * @param {Uint8Array} fileBytes
+ * @returns {{version: number, schema: number, iv: Uint8Array, slots: Object[], ciphertext: Uint8Array}}
+ */
+function _parseVaultFileV2(fileBytes) {
+  var schema = (fileBytes[8] << 8) | fileBytes[9];
+  if (schema > VAULT_HEADER_SCHEMA) {
+    throw new Error("Created by a newer StakTrakr version. Please update.");
+  }
+  var len = ((fileBytes[10] << 24) | (fileBytes[11] << 16) | (fileBytes[12] << 8) | fileBytes[13]) >>> 0;
+  if (VAULT_V2_PREFIX_SIZE + len + 16 > fileBytes.length) {
+    throw new Error("Not a valid .stvault file.");
+  }
+
+  var header;
+  try {
+    header = JSON.parse(new TextDecoder().decode(fileBytes.subarray(VAULT_V2_PREFIX_SIZE, VAULT_V2_PREFIX_SIZE + len)));
+  } catch (_) {
+    throw new Error("Not a valid .stvault file.");
+  }
+  var slots = header && Array.isArray(header.slots) ? header.slots : [];
+  if (!header || typeof header.iv !== 'string' || !header.iv || slots.length === 0 || slots.length > VAULT_MAX_KEY_SLOTS) {
+    throw new Error("Not a valid .stvault file.");
+  }
+  for (var s = 0; s < slots.length; s++) {
+    if (!_vaultKdfWithinLimits(slots[s].kdf)) {
+      throw new Error("Vault key parameters exceed safe limits — the file may have been tampered with.");
+    }
+  }
+
+  return {
+    version: fileBytes[7],
+    schema: schema,
+    iv: _vaultBase64ToBytes(header.iv),
+    slots: slots,
+    ciphertext: fileBytes.slice(VAULT_V2_PREFIX_SIZE + len),
+  };
+}
+
+/**
+ * @param {Object} kdf - Key slot KDF descriptor
+ * @returns {boolean} true when the KDF is known and its cost is bounded
+ */
+function _vaultKdfWithinLimits(kdf) {
+  if (!kdf) return false;
+  if (kdf.name === 'pbkdf2') {
+    return kdf.iterations >= 1 && kdf.iterations <= VAULT_KDF_LIMITS.pbkdf2Iterations;
+  }
+  if (kdf.name === 'argon2id') {
+    return kdf.memory >= 8 && kdf.memory <= VAULT_KDF_LIMITS.argon2Memory &&
+      kdf.iterations >= 1 && kdf.iterations <= VAULT_KDF_LIMITS.argon2Iterations &&
+      kdf.parallelism >= 1 && kdf.parallelism <= VAULT_KDF_LIMITS.argon2Parallelism;
+  }
+  return false;
+}
+
+function _vaultBytesToBase64(bytes) {
+  var bin = '';
+  for (var i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin);
+}
+
+function _vaultBase64ToBytes(b64) {
+  var bin = atob(b64);
+  var bytes = new Uint8Array(bin.length);
+  for (var i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+// =============================================================================
+// KEY SLOTS (v2)
+// =============================================================================
+
+/**
+ * Argon2id slot keys derived this session, by digest of secret, the slot's
+ * stored salt and cost. Argon2id runs on the main thread, so sync polls must
+ * not pay for it every time they open the same vault.
+ * @type {Map<string, CryptoKey>}
+ */
+var _vaultArgon2Keys = new Map();
+
+/**
+ * @param {Array<string|number>} parts
+ * @returns {Promise<string>} SHA-256 of the parts — secrets never key the caches directly
+ */
+async function _vaultCacheId(parts) {
+  var digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(parts.join('\u0000')));
+  return _vaultBytesToBase64(new Uint8Array(digest));
+}
+
+/**
+ * @param {Map} cache
+ * @param {string} id
+ * @param {*} value
+ */
+function _vaultCachePut(cache, id, value) {
+  if (cache.size >= VAULT_KEY_CACHE_SIZE) cache.delete(cache.keys().next().value);
+  cache.set(id, value);
+}
+
+/**
+ * Forget the Argon2id keys of this session (e.g. on sign-out).
+ */
+function clearVaultKeyCache() {
+  _vaultArgon2Keys.clear();
+}
+
+/**
+ * KDF for new key slots: Argon2id when WebAssembly is available, PBKDF2 on
+ * the forge backend (file://) or when WebAssembly is missing.
+ * @returns {Object} KDF descriptor stored in the slot
+ */
+function vaultPreferredKdf() {
+  if (getCryptoBackend() === 'native' && typeof argon2idAvailable === 'function' && argon2idAvailable()) {
+    return {
+      name: 'argon2id',
+      memory: VAULT_ARGON2_PARAMS.memory,
+      iterations: VAULT_ARGON2_PARAMS.iterations,
+      parallelism: VAULT_ARGON2_PARAMS.parallelism,
+    };
+  }
+  return { name: 'pbkdf2', hash: 'SHA-256', iterations: VAULT_PBKDF2_ITERATIONS };
+}
+
+/**
+ * Import raw key bytes as an AES-256-GCM key for the active backend.
+ * @param {Uint8Array} rawKey - 32 bytes
+ * @returns {Promise<CryptoKey|string>}
+ */
+async function vaultImportKey(rawKey) {
+  var backend = getCryptoBackend();
+  if (backend === "native") {
+    return crypto.subtle.importKey("raw", rawKey, { name: "AES-GCM" }, false, ["encrypt", "decrypt"]);
+  }
+  if (backend === "forge") {
+    return String.fromCharCode.apply(null, rawKey);
+  }
+  throw new Error("No crypto backend available");
+}
+
+/**
+ * Derive a slot's key-encryption key from its secret. Argon2id keys are
+ * cached for the session (_vaultArgon2Keys).
+ * @param {string} secret - Password or normalized recovery key
+ * @param {Uint8Array} salt
+ * @param {Object} kdf - Slot KDF descriptor
+ * @returns {Promise<CryptoKey|string>}
+ */
+async function vaultDeriveSlotKey(secret, salt, kdf) {
+  if (kdf.name === 'pbkdf2') return vaultDeriveKey(secret, salt, kdf.iterations);
+  if (kdf.name === 'argon2id') {
+    if (typeof argon2idAvailable !== 'function' || !argon2idAvailable()) {
+      throw new Error("This backup uses Argon2id, which needs WebAssembly. Open it in a current browser.");
+    }
+    var id = await _vaultCacheId([secret, _vaultBytesToBase64(salt), kdf.memory, kdf.iterations, kdf.parallelism]);
+    var cached = _vaultArgon2Keys.get(id);
+    if (cached) return cached;
+    var raw = argon2id(secret, salt, {
+      memory: kdf.memory,
+      iterations: kdf.iterations,
+      parallelism: kdf.parallelism,
+      hashLength: 32,
+    });
+    var key = await vaultImportKey(raw);
+    _vaultCachePut(_vaultArgon2Keys, id, key);
+    return key;
+  }
+  throw new Error("Unsupported key derivation: " + kdf.name);
+}
+
+/**
+ * Wrap the data key into a new key slot.
+ * @param {'password'|'recovery'} type
+ * @param {string} secret
+ * @param {Uint8Array} dataKey
+ * @param {Object} [kdf] - Defaults to vaultPreferredKdf()
+ * @returns {Promise<Object>} Slot as stored in the header
+ */
+async function _vaultCreateSlot(type, secret, dataKey, kdf) {
+  var slotSecret = type === 'recovery' ? normalizeVaultRecoveryKey(secret) : secret;
+  if (!slotSecret) throw new Error("Invalid recovery key.");
+  var slotKdf = kdf || vaultPreferredKdf();
+  var salt = vaultRandomBytes(32);
+  var iv = vaultRandomBytes(12);
+  var kek = await vaultDeriveSlotKey(slotSecret, salt, slotKdf);
+  var wrapped = await vaultEncrypt(dataKey, kek, iv);
+  return {
+    type: type,
+    kdf: slotKdf,
+    salt: _vaultBytesToBase64(salt),
+    iv: _vaultBytesToBase64(iv),
+    key: _vaultBytesToBase64(wrapped),
+  };
+}
+
+/**
+ * Unwrap the data key from one slot.
+ * @param {Object} slot
+ * @param {string} secret
+ * @returns {Promise<Uint8Array>} 32-byte data key
+ * @throws {Error} When the secret does not open this slot
+ */
+async function _vaultOpenSlot(slot, secret) {
+  var kek = await vaultDeriveSlotKey(secret, _vaultBase64ToBytes(slot.salt), slot.kdf);
+  return vaultDecrypt(_vaultBase64ToBytes(slot.key), kek, _vaultBase64ToBytes(slot.iv));
+}
+
+/**
+ * Find the data key for a parsed v2 vault. Recovery-key-shaped input tries
+ * the recovery slots first, anything else the password slots first; each
+ * secret is then tried against the remaining slots.
+ * @param {Object} parsed - parseVaultFile() output for a v2 file
+ * @param {string} secret - Password or recovery key
+ * @returns {Promise<{dataKey: Uint8Array, slot: Object}>}
+ */
+async function _vaultUnlockSlots(parsed, secret) {
+  var recovery = normalizeVaultRecoveryKey(secret);
+  var preferred = recovery ? 'recovery' : 'password';
+  var ordered = parsed.slots.filter(function (s) { return s.type === preferred; })
+    .concat(parsed.slots.filter(function (s) { return s.type !== preferred; }));
+
+  for (var i = 0; i < ordered.length; i++) {
+    var slot = ordered[i];
+    var candidate = slot.type === 'recovery' ? recovery : secret;
+    if (!candidate) continue;
+    try {
+      return { dataKey: await _vaultOpenSlot(slot, candidate), slot: slot };
+    } catch (err) {
+      if (String(err.message).indexOf('Incorrect password') === -1) throw err;
+    }
+  }
+  throw new Error("Incorrect password or corrupted file.");
+}
+
+/**
+ * Decrypt a parsed vault of either version.
+ * @param {Object} parsed - parseVaultFile() output
+ * @param {string} secret - Password, or a recovery key for v2 files
+ * @returns {Promise<Uint8Array>} plaintext
+ */
+async function vaultDecryptParsed(parsed, secret) {
+  if (parsed.version === VAULT_VERSION_V1) {
+    var v1Key = await vaultDeriveKey(secret, parsed.salt, parsed.iterations);
+    return vaultDecrypt(parsed.ciphertext, v1Key, parsed.iv);
+  }
+  var unlocked = await _vaultUnlockSlots(parsed, secret);
+  return vaultDecrypt(parsed.ciphertext, await vaultImportKey(unlocked.dataKey), parsed.iv);
+}
+
+/**
+ * Parse and decrypt raw vault bytes of either version.
+ * @param {Uint8Array|ArrayBuffer} fileBytes
+ * @param {string} secret
+ * @returns {Promise<Uint8Array>} plaintext
+ */
+async function vaultDecryptBytes(fileBytes, secret) {
+  return vaultDecryptParsed(parseVaultFile(new Uint8Array(fileBytes)), secret);
+}
+
+/**
+ * Encrypt plaintext into a v2 vault under a fresh data key, with a password
+ * slot and (optionally) a recovery key slot.
+ * @param {Uint8Array} plaintext
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {string} [options.recoveryKey] - Adds a recovery slot
+ * @returns {Promise<Uint8Array>}
+ */
+async function vaultSealBytes(plaintext, password, options) {
+  var opts = options || {};
+  var dataKey = vaultRandomBytes(32);
+  var iv = vaultRandomBytes(12);
+  var ciphertext = await vaultEncrypt(plaintext, await vaultImportKey(dataKey), iv);
+  var slots = [await _vaultCreateSlot('password', password, dataKey)];
+  if (opts.recoveryKey) slots.push(await _vaultCreateSlot('recovery', opts.recoveryKey, dataKey));
+  return serializeVaultFileV2({ iv: iv, slots: slots }, ciphertext);
+}
+
+/**
+ * Change the secrets that open a vault. For v2 files only the header is
+ * rewritten — the data key and ciphertext stay as they are, so large image
+ * vaults re-key without being re-encrypted. v1 files have no data key and are
+ * upgraded to v2 (decrypted and sealed again) as part of the change.
+ *
+ * @param {Uint8Array|ArrayBuffer} fileBytes
+ * @param {string} secret - Current password or recovery key
+ * @param {Object} changes
+ * @param {string} [changes.password] - Replaces the password slot
+ * @param {string|null} [changes.recoveryKey] - Replaces the recovery slot; null removes it
+ * @returns {Promise<Uint8Array>} New vault bytes
+ */
+async function vaultRekeyFile(fileBytes, secret, changes) {
+  var parsed = parseVaultFile(new Uint8Array(fileBytes));
+  var password = changes.password;
+
+  if (parsed.version === VAULT_VERSION_V1) {
+    var plaintext = await vaultDecryptParsed(parsed, secret);
+    return vaultSealBytes(plaintext, password || secret, { recoveryKey: changes.recoveryKey || null });
+  }
+
+  var unlocked = await _vaultUnlockSlots(parsed, secret);
+  var slots = parsed.slots.filter(function (s) {
+    if (s.type === 'password') return !password;
+    if (s.type === 'recovery') return changes.recoveryKey === undefined;
+    return true;
+  });
+  if (password) slots.unshift(await _vaultCreateSlot('password', password, unlocked.dataKey));
+  if (changes.recoveryKey) slots.push(await _vaultCreateSlot('recovery', changes.recoveryKey, unlocked.dataKey));
+  if (slots.length === 0) throw new Error("A vault needs at least one key.");
+
+  return serializeVaultFileV2({ iv: parsed.iv, slots: slots }, parsed.ciphertext);
+}
+
+/**
+ * Upgrade a v1 vault to v2 with the same password. v2 files are returned
+ * unchanged.
+ * @param {Uint8Array|ArrayBuffer} fileBytes
+ * @param {string} password
+ * @returns {Promise<Uint8Array>}
+ */
+async function vaultUpgradeFile(fileBytes, password) {
+  var bytes = new Uint8Array(fileBytes);
+  if (parseVaultFile(bytes).version !== VAULT_VERSION_V1) return bytes;
+  return vaultRekeyFile(bytes, password, { password: password });
+}
+
+/**
+ * After a v1 backup has been opened for import, rewrite it as v2 with the same
+ * password: a cloud backup is overwritten in place, a local file is replaced
+ * by a downloaded upgraded copy (the browser cannot rewrite the original).
+ * Best-effort — the import itself has already succeeded.
+ * @param {Uint8Array|ArrayBuffer} fileBytes - The imported file
+ * @param {string} password - Password that opened it
+ * @param {Object} [target] - { provider, filename } for a cloud backup, { filename } for a local file
+ * @returns {Promise<boolean>} true when an upgraded file was written
+ */
+async function vaultUpgradeImportedFile(fileBytes, password, target) {
+  var bytes = new Uint8Array(fileBytes);
+  var dest = target || {};
+  try {
+    if (parseVaultFile(bytes).version !== VAULT_VERSION_V1) return false;
+    // A cloud file without a known backup name has nowhere to go back to
+    if (dest.provider && (!dest.filename || typeof cloudReplaceBackup !== 'function')) return false;
+    var upgraded = await vaultUpgradeFile(bytes, password);
+    if (dest.provider) {
+      await cloudReplaceBackup(dest.provider, dest.filename, upgraded);
+      showToast('Upgraded "' + dest.filename + '" to the current vault format.');
+    } else {
+      downloadFile(dest.filename || 'staktrakr_backup_upgraded' + VAULT_FILE_EXTENSION, upgraded, 'application/octet-stream');
+      showToast('This backup used the old vault format \u2014 an upgraded copy was downloaded. Keep it in place of the original.');
+    }
+    return true;
+  } catch (err) {
+    debugLog('[Vault] Could not upgrade the imported v1 file:', err.message);
+    return false;
+  }
+}
+
+// =============================================================================
+// RECOVERY KEY
+// =============================================================================
+
+/**
+ * Generate a printable recovery key: 160 random bits as eight groups of four
+ * Crockford base32 characters (e.g. "7K3M-Q9XA-…").
+ * @returns {string}
+ */
+function generateVaultRecoveryKey() {
+  var bytes = vaultRandomBytes(20);
+  var chars = '';
+  var buffer = 0;
+  var bits = 0;
+  for (var i = 0; i < bytes.length; i++) {
+    buffer = (buffer << 8) | bytes[i];
+    bits += 8;
+    while (bits >= 5) {
+      chars += VAULT_RECOVERY_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  return chars.match(/.{4}/g).join('-');
+}
+
+/**
+ * Normalize typed recovery key input: case, spaces and dashes are ignored and
+ * the look-alikes O, I and L read as 0, 1 and 1.
+ * @param {string} text
+ * @returns {string|null} 32 canonical characters, or null if it isn't a recovery key
+ */
+function normalizeVaultRecoveryKey(text) {
+  if (typeof text !== 'string') return null;
+  var compact = text.toUpperCase().replace(/[\s-]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+  if (compact.length !== 32) return null;
+  for (var i = 0; i < compact.length; i++) {
+    if (VAULT_RECOVERY_ALPHABET.indexOf(compact[i]) === -1) return null;
+  }
+  return compact;
+}
+
+/**
+ * The recovery key added to exports from this device, if one was created.
+ * @returns {string|null}
+ */
+function getVaultRecoveryKey() {
+  try {
+    return localStorage.getItem(VAULT_RECOVERY_KEY_KEY);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Return this device's recovery key, creating and storing one if needed.
+ * @returns {string}
+ */
+function ensureVaultRecoveryKey() {
+  var existing = getVaultRecoveryKey();
+  if (existing) return existing;
+  var key = generateVaultRecoveryKey();
+  localStorage.setItem(VAULT_RECOVERY_KEY_KEY, key);
+  return key;
+}
+
 // =============================================================================
 // DATA COLLECTION / RESTORATION
 // =============================================================================
@@ -460,34 +958,69 @@ function getPasswordStrength(password) {
 /**
  * Encrypt inventory data with the given password and return raw vault bytes.
  * @param {string} password
+ * @param {Object} [options] - See vaultSealBytes (e.g. { recoveryKey })
  * @returns {Promise<Uint8Array>} serialized vault file bytes
  */
-async function vaultEncryptToBytes(password) {
+async function vaultEncryptToBytes(password, options) {
   var payload = collectVaultData('full');
   if (!payload) throw new Error("No data to export.");
   var plaintext = new TextEncoder().encode(JSON.stringify(payload));
-  var salt = vaultRandomBytes(32);
-  var iv = vaultRandomBytes(12);
-  var key = await vaultDeriveKey(password, salt, VAULT_PBKDF2_ITERATIONS);
-  var ciphertext = await vaultEncrypt(plaintext, key, iv);
-  return serializeVaultFile(salt, iv, VAULT_PBKDF2_ITERATIONS, ciphertext);
+  return vaultSealBytes(plaintext, password, options);
 }
 
 /**
  * Encrypt sync-scoped data (inventory + display prefs only) and return raw vault bytes.
  * Used by cloud auto-sync to avoid pushing API keys or cloud tokens to remote storage.
  * @param {string} password
+ * @param {Object} [options] - See vaultSealBytes
  * @returns {Promise<Uint8Array>} serialized vault file bytes
  */
-async function vaultEncryptToBytesScoped(password) {
+async function vaultEncryptToBytesScoped(password, options) {
   var payload = collectVaultData('sync');
   if (!payload) throw new Error("No inventory data to sync.");
   var plaintext = new TextEncoder().encode(JSON.stringify(payload));
-  var salt = vaultRandomBytes(32);
-  var iv = vaultRandomBytes(12);
-  var key = await vaultDeriveKey(password, salt, VAULT_PBKDF2_ITERATIONS);
-  var ciphertext = await vaultEncrypt(plaintext, key, iv);
-  return serializeVaultFile(salt, iv, VAULT_PBKDF2_ITERATIONS, ciphertext);
+  return vaultSealBytes(plaintext, password, options);
+}
+
+/**
+ * Collect a sync-scope payload limited to one portfolio: its items, their
+ * tags and a portfolio list holding only that portfolio. Used for the
+ * per-portfolio cloud vault files, which can be restored on their own.
+ * @param {string} portfolioId
+ * @returns {object|null} Vault payload, or null when there is nothing to collect
+ */
+function collectPortfolioVaultData(portfolioId) {
+  var payload = collectVaultData('sync');
+  if (!payload) return null;
+
+  var items = getPortfolioItems(portfolioId);
+  var tags = {};
+  for (var i = 0; i < items.length; i++) {
+    var itemTagList = typeof getItemTags === 'function' ? getItemTags(items[i].uuid) : [];
+    if (itemTagList.length) tags[items[i].uuid] = itemTagList;
+  }
+
+  payload.data[LS_KEY] = JSON.stringify(items);
+  payload.data[ITEM_TAGS_KEY] = JSON.stringify(tags);
+  payload.data[PORTFOLIOS_KEY] = JSON.stringify(getPortfolios().filter(function (p) { return p.id === portfolioId; }));
+  payload._meta.scope = 'portfolio';
+  payload._meta.portfolio = { id: portfolioId, name: getPortfolioName(portfolioId) };
+  payload._meta.checksum = simpleHash(JSON.stringify(payload.data));
+  return payload;
+}
+
+/**
+ * Encrypt a single portfolio's vault payload (see collectPortfolioVaultData).
+ * @param {string} password
+ * @param {string} portfolioId
+ * @param {Object} [options] - See vaultSealBytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function vaultEncryptPortfolioToBytes(password, portfolioId, options) {
+  var payload = collectPortfolioVaultData(portfolioId);
+  if (!payload) throw new Error("No inventory data to sync.");
+  var plaintext = new TextEncoder().encode(JSON.stringify(payload));
+  return vaultSealBytes(plaintext, password, options);
 }
 
 /**
@@ -510,15 +1043,16 @@ async function vaultDecryptAndRestore(fileBytes, password) {
  * Decrypt raw vault bytes and return the parsed payload WITHOUT restoring.
  * Identical to vaultDecryptAndRestore() but returns data instead of side effects.
  * Used by the restore preview flow (Layer 5) to compute diffs before applying.
+ * Encrypted share bundles (share-bundle.js) are returned as-is — they carry
+ * items instead of data; vaultRestoreWithPreview routes them.
  * @param {Uint8Array|ArrayBuffer} fileBytes
- * @param {string} password
+ * @param {string} password - Password, or the recovery key for v2 files
  * @returns {Promise<object>} Parsed vault payload { data, settings, ... }
  */
 async function vaultDecryptToData(fileBytes, password) {
-  var parsed = parseVaultFile(new Uint8Array(fileBytes));
-  var key = await vaultDeriveKey(password, parsed.salt, parsed.iterations);
-  var plainBytes = await vaultDecrypt(parsed.ciphertext, key, parsed.iv);
+  var plainBytes = await vaultDecryptBytes(fileBytes, password);
   var payload = JSON.parse(new TextDecoder().decode(plainBytes));
+  if (typeof isShareBundle === 'function' && isShareBundle(payload)) return payload;
   if (!payload || !payload.data) throw new Error("Vault file appears corrupted.");
   return payload;
 }
@@ -540,6 +1074,13 @@ async function vaultRestoreWithPreview(fileBytes, password) {
   // 1. Decrypt without side effects
   var payload = await vaultDecryptToData(fileBytes, password);
 
+  // A share bundle opened as a backup becomes a read-only shared collection
+  if (typeof isShareBundle === 'function' && isShareBundle(payload)) {
+    var collection = await importSharedCollection(payload);
+    showToast('Added shared collection "' + collection.title + '" \u2014 see Settings \u2192 Shared With Me.');
+    return;
+  }
+
   // 2. Guard: fall back to legacy restore if DiffEngine / DiffModal unavailable
   if (typeof DiffEngine === 'undefined' || typeof DiffModal === 'undefined') {
     debugLog('[Vault] DiffEngine/DiffModal not available — falling back to full restore');
@@ -818,16 +1359,13 @@ async function collectAndHashImageVault() {
  * Encrypt a user-image vault payload into raw bytes for cloud upload.
  * @param {string} password
  * @param {object} payload - From collectAndHashImageVault().payload
+ * @param {Object} [options] - See vaultSealBytes
  * @returns {Promise<Uint8Array>}
  */
-async function vaultEncryptImageVault(password, payload) {
+async function vaultEncryptImageVault(password, payload, options) {
   if (!password) throw new Error('Image vault encryption requires a non-empty password.');
   var plaintext = new TextEncoder().encode(JSON.stringify(payload));
-  var salt = vaultRandomBytes(32);
-  var iv = vaultRandomBytes(12);
-  var key = await vaultDeriveKey(password, salt, VAULT_PBKDF2_ITERATIONS);
-  var ciphertext = await vaultEncrypt(plaintext, key, iv);
-  return serializeVaultFile(salt, iv, VAULT_PBKDF2_ITERATIONS, ciphertext);
+  return vaultSealBytes(plaintext, password, options);
 }
 
 /**
@@ -874,9 +1412,7 @@ async function restoreImageVaultData(payload) {
  */
 async function vaultDecryptAndRestoreImages(fileBytes, password) {
   try {
-    var parsed = parseVaultFile(new Uint8Array(fileBytes));
-    var key = await vaultDeriveKey(password, parsed.salt, parsed.iterations);
-    var plainBytes = await vaultDecrypt(parsed.ciphertext, key, parsed.iv);
+    var plainBytes = await vaultDecryptBytes(fileBytes, password);
     var payload = JSON.parse(new TextDecoder().decode(plainBytes));
     return restoreImageVaultData(payload);
   } catch (err) {
@@ -896,9 +1432,10 @@ async function vaultDecryptAndRestoreImages(fileBytes, password) {
 /**
  * Export an encrypted vault backup.
  * @param {string} password
+ * @param {Object} [options] - See vaultSealBytes; a recovery key applies to both files
  * @returns {Promise<{imageCount: number}|{imageExportFailed: boolean}>}
  */
-async function exportEncryptedBackup(password) {
+async function exportEncryptedBackup(password, options) {
   var backend = getCryptoBackend();
   if (!backend) {
     throw new Error(
@@ -908,7 +1445,7 @@ async function exportEncryptedBackup(password) {
 
   debugLog("Vault: exporting with", backend, "backend");
 
-  var fileBytes = await vaultEncryptToBytes(password);
+  var fileBytes = await vaultEncryptToBytes(password, options);
 
   // Download via Blob + anchor
   var blob = new Blob([fileBytes], { type: "application/octet-stream" });
@@ -930,7 +1467,7 @@ async function exportEncryptedBackup(password) {
   try {
     var imgVaultData = await collectAndHashImageVault();
     if (imgVaultData && imgVaultData.imageCount > 0) {
-      var imgBytes = await vaultEncryptImageVault(password, imgVaultData.payload);
+      var imgBytes = await vaultEncryptImageVault(password, imgVaultData.payload, options);
       var imgBlob = new Blob([imgBytes], { type: "application/octet-stream" });
       var imgUrl = URL.createObjectURL(imgBlob);
       var imgA = document.createElement("a");
@@ -986,6 +1523,9 @@ async function importEncryptedBackup(fileBytes, password) {
 /** @type {Uint8Array|null} Pending file bytes for import */
 var _vaultPendingFile = null;
 
+/** @type {string|null} Name of the pending local import file — an upgraded v1 copy is saved under it */
+var _vaultPendingFileName = null;
+
 /** @type {Uint8Array|null} Companion image vault bytes loaded by the optional image file picker */
 var _vaultPendingImageFile = null;
 
@@ -1029,6 +1569,7 @@ function openVaultModal(mode, fileOrOpts) {
   // Resolve effective mode for UI layout
   var effectiveMode = mode;
   _cloudContext = null;
+  _vaultPendingFileName = null;
 
   if (mode === 'cloud-export') {
     effectiveMode = 'export';
@@ -1043,6 +1584,7 @@ function openVaultModal(mode, fileOrOpts) {
         provider: fileOrOpts.provider || 'dropbox',
         fileBytes: fileOrOpts.fileBytes,
         filename: fileOrOpts.filename || 'cloud-backup.stvault',
+        backupName: fileOrOpts.filename || null,
         size: fileOrOpts.size || fileOrOpts.fileBytes.length,
       };
       _vaultPendingFile = fileOrOpts.fileBytes;
@@ -1058,6 +1600,9 @@ function openVaultModal(mode, fileOrOpts) {
   var imageFileRowEl = safeGetElement("vaultImageFileRow");
   var descExportEl = safeGetElement("vaultDescExport");
   var descImportEl = safeGetElement("vaultDescImport");
+  var recoveryRowEl = safeGetElement("vaultRecoveryRow");
+  var recoveryBoxEl = safeGetElement("vaultRecoveryKeyBox");
+  if (recoveryBoxEl) recoveryBoxEl.style.display = "none";
 
   if (effectiveMode === "export") {
     var exportTitle = _cloudContext ? "Cloud Backup — Enter Password" : "Export Encrypted Backup";
@@ -1068,6 +1613,13 @@ function openVaultModal(mode, fileOrOpts) {
     if (imageFileRowEl) imageFileRowEl.style.display = "none";
     if (descExportEl) descExportEl.style.display = "";
     if (descImportEl) descImportEl.style.display = "none";
+    if (passwordEl) passwordEl.placeholder = "Minimum 8 characters";
+    if (recoveryRowEl) {
+      recoveryRowEl.style.display = "";
+      var recoveryCheckEl = safeGetElement("vaultIncludeRecovery");
+      // Default on once this device has a recovery key, so it stays in every export
+      if (recoveryCheckEl) recoveryCheckEl.checked = !!getVaultRecoveryKey();
+    }
     if (actionBtn) {
       actionBtn.textContent = _cloudContext ? "Encrypt & Upload" : "Export";
       actionBtn.className = "btn";
@@ -1126,6 +1678,8 @@ function openVaultModal(mode, fileOrOpts) {
     }
     if (descExportEl) descExportEl.style.display = "none";
     if (descImportEl) descImportEl.style.display = "";
+    if (recoveryRowEl) recoveryRowEl.style.display = "none";
+    if (passwordEl) passwordEl.placeholder = "Password or recovery key";
     // Show image file picker only for local import (not cloud import)
     if (imageFileRowEl) {
       imageFileRowEl.style.display = _cloudContext ? "none" : "";
@@ -1145,6 +1699,7 @@ function openVaultModal(mode, fileOrOpts) {
 
     // Read file bytes (local file import only — cloud sets _vaultPendingFile above)
     if (file && !_cloudContext) {
+      _vaultPendingFileName = file.name || null;
       var reader = new FileReader();
       reader.onload = function (e) {
         _vaultPendingFile = new Uint8Array(e.target.result);
@@ -1161,6 +1716,7 @@ function openVaultModal(mode, fileOrOpts) {
  */
 function closeVaultModal() {
   _vaultPendingFile = null;
+  _vaultPendingFileName = null;
   _vaultPendingImageFile = null;
   _cloudContext = null;
   // STAK-427: Remove dynamic photo checkbox
@@ -1213,13 +1769,16 @@ async function handleVaultAction() {
       return;
     }
 
+    var recoveryEl = safeGetElement("vaultIncludeRecovery");
+    var exportOptions = recoveryEl && recoveryEl.checked ? { recoveryKey: ensureVaultRecoveryKey() } : undefined;
+
     if (actionBtn) actionBtn.disabled = true;
     showVaultStatus("info", "Encrypting\u2026");
 
     try {
       if (isCloudExport && _cloudContext) {
         // Cloud export: encrypt then upload
-        var fileBytes = await vaultEncryptToBytes(password);
+        var fileBytes = await vaultEncryptToBytes(password, exportOptions);
         showVaultStatus("info", "Uploading\u2026");
         await cloudUploadVault(_cloudContext.provider, fileBytes, _cloudContext.isManualBackup ? { skipLatestUpdate: true } : undefined);
 
@@ -1233,15 +1792,11 @@ async function handleVaultAction() {
             showVaultStatus("info", "Uploading photos\u2026");
             var imgData = typeof collectAndHashImageVault === 'function' ? await collectAndHashImageVault() : null;
             if (imgData && imgData.payload) {
-              var imageBytes = await vaultEncryptImageVault(password, imgData.payload);
+              var imageBytes = await vaultEncryptImageVault(password, imgData.payload, exportOptions);
               var token = typeof cloudGetToken === 'function' ? await cloudGetToken(_cloudContext.provider) : null;
-              if (token && typeof SYNC_IMAGES_PATH !== 'undefined') {
-                var imgArg = JSON.stringify({ path: SYNC_IMAGES_PATH, mode: 'overwrite', autorename: false, mute: true });
-                var imgResp = await fetch('https://content.dropboxapi.com/2/files/upload', {
-                  method: 'POST',
-                  headers: { Authorization: 'Bearer ' + token, 'Content-Type': 'application/octet-stream', 'Dropbox-API-Arg': imgArg },
-                  body: imageBytes,
-                });
+              var imgBackend = typeof getSyncBackend === 'function' ? getSyncBackend(_cloudContext.provider) : null;
+              if (token && imgBackend && typeof SYNC_IMAGES_PATH !== 'undefined') {
+                var imgResp = await imgBackend.upload(token, SYNC_IMAGES_PATH, imageBytes);
                 if (imgResp.ok) {
                   photoMsg = ' (with ' + imgData.imageCount + ' photo' + (imgData.imageCount === 1 ? '' : 's') + ')';
                 } else {
@@ -1265,7 +1820,7 @@ async function handleVaultAction() {
         }
         if (typeof showKrakenToastIfFirst === 'function') showKrakenToastIfFirst();
       } else {
-        var exportResult = await exportEncryptedBackup(password);
+        var exportResult = await exportEncryptedBackup(password, exportOptions);
         if (exportResult && exportResult.imageExportFailed) {
           showVaultStatus("warning", "Inventory exported. Photo backup failed \u2014 try again or use Settings \u2192 Export Images.");
         } else if (exportResult && exportResult.imageCount > 0) {
@@ -1274,6 +1829,7 @@ async function handleVaultAction() {
           showVaultStatus("success", "Backup exported successfully.");
         }
       }
+      if (exportOptions) showVaultRecoveryKey(exportOptions.recoveryKey);
     } catch (err) {
       showVaultStatus("error", err.message || "Export failed.");
     } finally {
@@ -1302,6 +1858,9 @@ async function handleVaultAction() {
       var hasDiffPreview = (typeof DiffEngine !== 'undefined' && typeof DiffModal !== 'undefined');
 
       await importEncryptedBackup(_vaultPendingFile, password);
+      vaultUpgradeImportedFile(_vaultPendingFile, password, isCloudImport && _cloudContext
+        ? { provider: _cloudContext.provider, filename: _cloudContext.backupName }
+        : { filename: _vaultPendingFileName });
       // Cache password for this browser session
       if (isCloudImport && _cloudContext && typeof cloudCachePassword === 'function') {
         cloudCachePassword(_cloudContext.provider, password);
@@ -1442,6 +2001,43 @@ function toggleVaultPasswordVisibility(inputId, toggleBtn) {
   }
 }
 
+/**
+ * Reveal the recovery key after an export that included a recovery slot.
+ * @param {string} recoveryKey
+ */
+function showVaultRecoveryKey(recoveryKey) {
+  var box = safeGetElement("vaultRecoveryKeyBox");
+  var text = safeGetElement("vaultRecoveryKeyText");
+  if (text) text.textContent = recoveryKey;
+  if (box) box.style.display = "";
+}
+
+/**
+ * Open a print view of the recovery key.
+ */
+function printVaultRecoveryKey() {
+  var recoveryKey = getVaultRecoveryKey();
+  if (!recoveryKey) return;
+  var win = window.open("", "_blank");
+  if (!win) {
+    showVaultStatus("error", "Pop-up blocked \u2014 allow pop-ups to print the recovery key.");
+    return;
+  }
+  win.document.write(
+    '<!DOCTYPE html><html><head><meta charset="utf-8"><title>StakTrakr Recovery Key</title>' +
+    '<style>body{font-family:sans-serif;margin:3rem}code{font-size:1.6rem;letter-spacing:0.1em}</style></head><body>' +
+    '<h1>StakTrakr Recovery Key</h1>' +
+    '<p><code>' + sanitizeHtml(recoveryKey) + '</code></p>' +
+    '<p>Opens encrypted backups (.stvault) exported with a recovery key, in place of the password. ' +
+    'Type it into the password field when importing. Dashes and letter case don\'t matter.</p>' +
+    '<p>Printed ' + sanitizeHtml(new Date().toLocaleDateString()) + '. Anyone holding this key can read those backups \u2014 store it somewhere safe.</p>' +
+    '</body></html>',
+  );
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
 
 // =============================================================================
 // MANIFEST CRYPTO (STAK-188) — .stmanifest encrypt/decrypt
@@ -1575,9 +2171,22 @@ window.openVaultModal = openVaultModal;
 window.closeVaultModal = closeVaultModal;
 window.vaultEncryptToBytes = vaultEncryptToBytes;
 window.vaultEncryptToBytesScoped = vaultEncryptToBytesScoped;
+window.collectPortfolioVaultData = collectPortfolioVaultData;
+window.vaultEncryptPortfolioToBytes = vaultEncryptPortfolioToBytes;
 window.vaultDecryptAndRestore = vaultDecryptAndRestore;
 window.vaultRestoreWithPreview = vaultRestoreWithPreview;
 window.vaultDecryptToData = vaultDecryptToData;
+window.vaultDecryptParsed = vaultDecryptParsed;
+window.vaultDecryptBytes = vaultDecryptBytes;
+window.vaultSealBytes = vaultSealBytes;
+window.vaultRekeyFile = vaultRekeyFile;
+window.vaultUpgradeFile = vaultUpgradeFile;
+window.vaultUpgradeImportedFile = vaultUpgradeImportedFile;
+window.clearVaultKeyCache = clearVaultKeyCache;
+window.generateVaultRecoveryKey = generateVaultRecoveryKey;
+window.normalizeVaultRecoveryKey = normalizeVaultRecoveryKey;
+window.getVaultRecoveryKey = getVaultRecoveryKey;
+window.printVaultRecoveryKey = printVaultRecoveryKey;
 window.collectVaultData = collectVaultData;
 window.collectAndHashImageVault = collectAndHashImageVault;
 window.vaultEncryptImageVault = vaultEncryptImageVault;
@@ -438,6 +438,15 @@ function _buildDispositionSection(item) {
 
   section.appendChild(grid);
 
+  // Lot details — cost basis and holding period (tax-lots.js)
+  if (typeof getDispositionCostBasis === 'function') {
+    const lotGrid = _el('div', 'view-detail-grid three-col');
+    _addDetail(lotGrid, 'Qty', String(d.qty || item.qty || 1));
+    _addDetail(lotGrid, 'Cost Basis', formatCurrency(getDispositionCostBasis(item)));
+    _addDetail(lotGrid, 'Holding', getDispositionHoldingPeriod(item) === 'long' ? 'Long-term' : 'Short-term');
+    section.appendChild(lotGrid);
+  }
+
   // Optional fields
   if (d.recipient) {
     const grid2 = _el('div', 'view-detail-grid two-col');
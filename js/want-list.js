@@ -0,0 +1,467 @@
+// WANT LIST
+// =============================================================================
+// Products the user intends to buy, with a target quantity, a price limit and
+// a priority. A want names a product and may pin it to a retail feed slug
+// (RETAIL_SLUGS / manifest slugs) or a Numista N#. Wants without a slug are
+// matched to one through the local catalog (bullion-catalog.js) and
+// findRetailSlugForProduct (premium-report.js).
+//
+// Every retail sync (syncRetailPrices) re-evaluates the list against
+// retailPrices: the cheapest in-stock vendor is compared with the max price
+// per unit and/or the max premium over melt at current spot. A want whose
+// limits become met raises a toast once, and re-arms when the price moves
+// back above the limit. "Add to inventory" opens Add Item with the product,
+// remaining quantity, vendor and price filled in; saving the item counts it
+// toward the want's target.
+// =============================================================================
+
+/** @constant {Object<string, {label: string, rank: number}>} Want priorities, highest first */
+const WANT_PRIORITIES = {
+  high: { label: 'High', rank: 0 },
+  medium: { label: 'Medium', rank: 1 },
+  low: { label: 'Low', rank: 2 },
+};
+
+/** @constant {Object<string, string>} Evaluation statuses → row labels */
+const WANT_STATUS_LABELS = {
+  met: 'Target met',
+  above: 'Above target',
+  'no-data': 'No retail price',
+  fulfilled: 'Fulfilled',
+};
+
+/** Want whose Add Item form is open; saving the form counts toward it */
+let pendingWantId = null;
+
+/**
+ * Load want list entries.
+ * @returns {Array<Object>} Wants: { id, name, slug, numistaId, targetQty, acquiredQty,
+ *   maxPrice, maxPremiumPct, priority, met, itemIds, createdAt }
+ */
+const getWantList = () => {
+  const stored = loadDataSync(WANT_LIST_KEY, []);
+  if (!Array.isArray(stored)) return [];
+  return stored
+    .filter(w => w && typeof w.id === 'string' && typeof w.name === 'string' && w.name.trim())
+    .map(w => ({
+      ...w,
+      slug: typeof w.slug === 'string' ? w.slug : '',
+      numistaId: typeof w.numistaId === 'string' ? w.numistaId : '',
+      targetQty: Math.max(1, parseInt(w.targetQty, 10) || 1),
+      acquiredQty: Math.max(0, parseInt(w.acquiredQty, 10) || 0),
+      maxPrice: Number(w.maxPrice) > 0 ? Number(w.maxPrice) : null,
+      maxPremiumPct: Number.isFinite(Number(w.maxPremiumPct)) && w.maxPremiumPct !== null && w.maxPremiumPct !== '' ? Number(w.maxPremiumPct) : null,
+      priority: WANT_PRIORITIES[w.priority] ? w.priority : 'medium',
+      itemIds: Array.isArray(w.itemIds) ? w.itemIds : [],
+    }));
+};
+
+/**
+ * Persist want list entries and queue a cloud push.
+ * @param {Array<Object>} list
+ */
+const saveWantList = (list) => {
+  saveDataSync(WANT_LIST_KEY, list);
+  if (typeof scheduleSyncPush === 'function') scheduleSyncPush();
+};
+
+/**
+ * Product details for a want: the local catalog entry (by N#, else by name)
+ * and the retail slug (pinned, else matched by name, metal and fine weight).
+ * @param {Object} want
+ * @returns {{name: string, slug: string, metal: string, type: string, weight: number,
+ *   weightUnit: string, purity: number|null, fineOz: number, numistaId: string}}
+ */
+const resolveWantProduct = (want) => {
+  let entry = null;
+  if (typeof findLocalCatalogEntry === 'function' && want.numistaId) entry = findLocalCatalogEntry(want.numistaId);
+  if (!entry && !want.slug && typeof searchLocalCatalog === 'function') entry = searchLocalCatalog(want.name, { limit: 1 })[0] || null;
+
+  let fineOz = 0;
+  if (entry) {
+    const oz = entry.weightUnit === 'gb' ? entry.weight * GB_TO_OZT : entry.weight;
+    fineOz = oz * (Number(entry.purity) || 1);
+  }
+  const slug = want.slug
+    || (entry && typeof findRetailSlugForProduct === 'function' ? findRetailSlugForProduct(entry.name, entry.metal, fineOz) : null)
+    || '';
+
+  if (entry) {
+    return {
+      name: want.name, slug, metal: entry.metal, type: entry.type, weight: entry.weight,
+      weightUnit: entry.weightUnit === 'gb' ? 'gb' : 'oz', purity: Number(entry.purity) || null,
+      fineOz, numistaId: want.numistaId || entry.numistaId || '',
+    };
+  }
+
+  const meta = slug && typeof getRetailCoinMeta === 'function' ? getRetailCoinMeta(slug) : null;
+  const goldback = meta && meta.metal === 'goldback';
+  const metal = goldback ? 'Gold' : Object.values(METALS).find(m => m.key === meta?.metal)?.name || '';
+  const type = goldback ? 'Aurum' : /\bbar\b/i.test(want.name) ? 'Bar' : /\bround\b/i.test(want.name) ? 'Round' : 'Coin';
+  return {
+    name: want.name, slug, metal, type,
+    weight: goldback ? meta.weight / GB_TO_OZT : meta?.weight || 0,
+    weightUnit: goldback ? 'gb' : 'oz', purity: null,
+    fineOz: meta?.weight || 0, numistaId: want.numistaId || '',
+  };
+};
+
+/**
+ * Cheapest in-stock vendor for a retail slug, or the feed's lowest price
+ * when no vendor price is published.
+ * @param {string} slug
+ * @returns {{vendorId: string, vendor: string, price: number}|null}
+ */
+const getCheapestRetailVendor = (slug) => {
+  const entry = slug ? retailPrices?.prices?.[slug] : null;
+  if (!entry) return null;
+  let best = null;
+  Object.entries(entry.vendors || {}).forEach(([vendorId, v]) => {
+    if (!v || v.inStock === false) return;
+    const price = Number(v.price);
+    if (!(price > 0)) return;
+    if (!best || price < best.price) {
+      best = { vendorId, vendor: getVendorDisplay(vendorId).name || RETAIL_VENDOR_NAMES[vendorId] || vendorId, price };
+    }
+  });
+  if (best) return best;
+  const lowest = Number(entry.lowest_price);
+  return lowest > 0 ? { vendorId: '', vendor: '', price: lowest } : null;
+};
+
+/**
+ * Compare a want with the current retail feed and spot.
+ * @param {Object} want
+ * @returns {{want: Object, product: Object, offer: Object|null, melt: number|null,
+ *   premiumPct: number|null, remaining: number, status: string}}
+ */
+const evaluateWant = (want) => {
+  const product = resolveWantProduct(want);
+  const offer = getCheapestRetailVendor(product.slug);
+  const metalKey = Object.values(METALS).find(m => m.name === product.metal)?.key;
+  const spot = metalKey ? spotPrices[metalKey] || 0 : 0;
+  const melt = spot > 0 && product.fineOz > 0 ? spot * product.fineOz : null;
+  const premiumPct = offer && melt ? ((offer.price - melt) / melt) * 100 : null;
+  const remaining = Math.max(0, want.targetQty - want.acquiredQty);
+
+  let status;
+  if (remaining === 0) status = 'fulfilled';
+  else if (!offer || (want.maxPremiumPct !== null && premiumPct === null)) status = 'no-data';
+  else {
+    const priceOk = want.maxPrice === null || offer.price <= want.maxPrice;
+    const premiumOk = want.maxPremiumPct === null || premiumPct <= want.maxPremiumPct;
+    status = priceOk && premiumOk ? 'met' : 'above';
+  }
+  return { want, product, offer, melt, premiumPct, remaining, status };
+};
+
+/**
+ * Human-readable limit, e.g. "≤ $32.00 · ≤ 8% over spot".
+ * @param {Object} want
+ * @returns {string}
+ */
+const describeWantLimit = (want) => [
+  want.maxPrice !== null ? `≤ ${formatCurrency(want.maxPrice, 'USD')}` : '',
+  want.maxPremiumPct !== null ? `≤ ${want.maxPremiumPct}% over spot` : '',
+].filter(Boolean).join(' · ');
+
+/**
+ * Evaluate every want, highest priority first. Newly met wants raise a toast
+ * once; a want re-arms when its price moves back above the limit. Called
+ * after each retail sync.
+ * @returns {Array<Object>} Evaluations from evaluateWant()
+ */
+const evaluateWantList = () => {
+  const list = getWantList();
+  const results = list.map(evaluateWant);
+  let changed = false;
+
+  results.forEach(r => {
+    const met = r.status === 'met';
+    if (met && !r.want.met) {
+      const where = r.offer.vendor ? ` at ${r.offer.vendor}` : '';
+      debugLog(`[wants] ${r.want.name} ${formatCurrency(r.offer.price, 'USD')}${where}`, 'info');
+      if (typeof showToast === 'function') {
+        showToast(`🛒 ${r.want.name}: ${formatCurrency(r.offer.price, 'USD')}${where} (${describeWantLimit(r.want)})`, 6000);
+      }
+    }
+    if (met !== !!r.want.met) {
+      r.want.met = met;
+      changed = true;
+    }
+  });
+  if (changed) saveWantList(list);
+
+  const panel = document.getElementById('settingsPanel_wants');
+  if (panel && panel.style.display !== 'none') renderWantListSection();
+  return results.sort((a, b) => WANT_PRIORITIES[a.want.priority].rank - WANT_PRIORITIES[b.want.priority].rank);
+};
+
+/**
+ * Create a want.
+ * @param {Object} fields - { name, slug?, numistaId?, targetQty, maxPrice?, maxPremiumPct?, priority }
+ * @returns {{want?: Object, error?: string}}
+ */
+const addWant = (fields) => {
+  const slug = String(fields.slug || '').trim();
+  const meta = slug && typeof getRetailCoinMeta === 'function' ? getRetailCoinMeta(slug) : null;
+  const name = String(fields.name || '').trim() || (meta && meta.name !== slug ? meta.name : '');
+  if (!name) return { error: 'Enter a product name or choose a retail product.' };
+  const targetQty = parseInt(fields.targetQty, 10);
+  if (!(targetQty >= 1)) return { error: 'Target quantity must be at least 1.' };
+  const maxPrice = fields.maxPrice === '' || fields.maxPrice == null ? null : parseFloat(fields.maxPrice);
+  const maxPremiumPct = fields.maxPremiumPct === '' || fields.maxPremiumPct == null ? null : parseFloat(fields.maxPremiumPct);
+  if (maxPrice === null && maxPremiumPct === null) return { error: 'Set a max price, a max premium over spot, or both.' };
+  if (maxPrice !== null && !(maxPrice > 0)) return { error: 'Max price must be greater than zero.' };
+  if (maxPremiumPct !== null && !Number.isFinite(maxPremiumPct)) return { error: 'Max premium must be a number.' };
+
+  const want = {
+    id: 'want_' + generateUUID(),
+    name,
+    slug,
+    numistaId: String(fields.numistaId || '').replace(/^N#\s*/i, '').trim(),
+    targetQty,
+    acquiredQty: 0,
+    maxPrice,
+    maxPremiumPct,
+    priority: WANT_PRIORITIES[fields.priority] ? fields.priority : 'medium',
+    met: false,
+    itemIds: [],
+    createdAt: new Date().toISOString(),
+  };
+  // Arm against current prices so a want that is already met does not toast on the next sync
+  want.met = evaluateWant(want).status === 'met';
+  saveWantList([...getWantList(), want]);
+  return { want };
+};
+
+/**
+ * Delete a want.
+ * @param {string} id
+ */
+const deleteWant = (id) => {
+  saveWantList(getWantList().filter(w => w.id !== id));
+  if (pendingWantId === id) pendingWantId = null;
+};
+
+/**
+ * Open Add Item for a want with the product, remaining quantity, cheapest
+ * vendor and its price filled in. Saving the item counts toward the want.
+ * @param {string} id
+ */
+const convertWantToItem = (id) => {
+  const want = getWantList().find(w => w.id === id);
+  if (!want) return;
+  const { product, offer, remaining } = evaluateWant(want);
+
+  if (typeof hideSettingsModal === 'function') hideSettingsModal();
+  document.getElementById('newItemBtn')?.click();
+
+  const set = (el, value) => {
+    if (el && value !== undefined && value !== null && value !== '') el.value = value;
+  };
+  set(elements.itemName, product.name);
+  set(elements.itemMetal, product.metal);
+  set(elements.itemType, product.type);
+  set(elements.itemWeight, product.weight || '');
+  set(elements.itemWeightUnit, product.weightUnit);
+  if (typeof toggleGbDenomPicker === 'function') toggleGbDenomPicker();
+  // Match a purity preset or fall back to the custom input, as catalog fills do
+  const select = elements.itemPuritySelect || document.getElementById('itemPuritySelect');
+  if (select && product.purity > 0 && product.purity <= 1) {
+    const custom = elements.purityCustomWrapper || document.getElementById('purityCustomWrapper');
+    const input = elements.itemPurity || document.getElementById('itemPurity');
+    const preset = Array.from(select.options).find(o => o.value !== 'custom' && parseFloat(o.value) === product.purity);
+    select.value = preset ? preset.value : 'custom';
+    if (custom) custom.style.display = preset ? 'none' : '';
+    if (input) input.value = preset ? '' : product.purity;
+  }
+  set(elements.itemQty, remaining || 1);
+  set(elements.itemCatalog, product.numistaId);
+  if (offer) {
+    // Retail prices are USD; the form takes the display currency
+    const fxRate = (typeof getExchangeRate === 'function') ? getExchangeRate() : 1;
+    set(elements.itemPrice, (offer.price * fxRate).toFixed(2));
+    set(elements.purchaseLocation, offer.vendor);
+  }
+  pendingWantId = want.id;
+};
+
+/**
+ * Count a newly added item toward the want it was converted from. Called by
+ * the item form after an add; ignored when the form was not opened from a want.
+ * @param {Object} item - The added inventory item
+ */
+const recordWantPurchase = (item) => {
+  const id = pendingWantId;
+  pendingWantId = null;
+  if (!id || !item) return;
+  const list = getWantList();
+  const want = list.find(w => w.id === id);
+  if (!want) return;
+  want.acquiredQty += Number(item.qty) || 1;
+  want.itemIds = [...want.itemIds, item.uuid];
+  saveWantList(list);
+  if (want.acquiredQty >= want.targetQty && typeof showToast === 'function') {
+    showToast(`✓ Want fulfilled: ${want.name}`);
+  }
+};
+
+/**
+ * Forget the pending conversion (the Add Item form was opened some other way
+ * or closed without saving).
+ */
+const clearPendingWant = () => {
+  pendingWantId = null;
+};
+
+// =============================================================================
+// SETTINGS — Want List
+// =============================================================================
+
+/**
+ * Fill the retail product picker once slugs are known.
+ */
+const _populateWantSlugSelect = () => {
+  const select = document.getElementById('wantSlug');
+  if (!select || select.options.length > 1) return;
+  const slugs = typeof getActiveRetailSlugs === 'function' ? getActiveRetailSlugs() : RETAIL_SLUGS;
+  slugs.forEach(s => {
+    const opt = document.createElement('option');
+    opt.value = s;
+    opt.textContent = getRetailCoinMeta(s)?.name || s;
+    select.appendChild(opt);
+  });
+};
+
+/**
+ * Read the Settings form and create a want.
+ */
+const addWantFromForm = () => {
+  const value = (id) => document.getElementById(id)?.value ?? '';
+  const result = addWant({
+    name: value('wantName'),
+    slug: value('wantSlug'),
+    numistaId: value('wantNumistaId'),
+    targetQty: value('wantQty'),
+    maxPrice: value('wantMaxPrice').trim(),
+    maxPremiumPct: value('wantMaxPremium').trim(),
+    priority: value('wantPriority'),
+  });
+  if (result.error) {
+    appAlert(result.error, 'Want List');
+    return;
+  }
+  ['wantName', 'wantNumistaId', 'wantMaxPrice', 'wantMaxPremium'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = '';
+  });
+  const slug = document.getElementById('wantSlug');
+  if (slug) slug.value = '';
+  const qty = document.getElementById('wantQty');
+  if (qty) qty.value = '1';
+  renderWantListSection();
+};
+
+/**
+ * Status line for a want row.
+ * @param {Object} r - Evaluation from evaluateWant()
+ * @returns {string}
+ */
+const _wantStatusText = (r) => {
+  const parts = [`${r.want.acquiredQty}/${r.want.targetQty} bought`, describeWantLimit(r.want)];
+  if (r.offer) {
+    const premium = r.premiumPct !== null ? ` · ${r.premiumPct.toFixed(1)}% over spot` : '';
+    parts.push(`${r.offer.vendor || 'Lowest'} ${formatCurrency(r.offer.price, 'USD')}${premium}`);
+  }
+  return parts.filter(Boolean).join(' · ');
+};
+
+/**
+ * Render Settings → Want List.
+ */
+const renderWantListSection = () => {
+  _populateWantSlugSelect();
+  const listEl = document.getElementById('wantListRows');
+  if (!listEl) return;
+  listEl.textContent = '';
+
+  const results = getWantList().map(evaluateWant)
+    .sort((a, b) => (a.status === 'fulfilled') - (b.status === 'fulfilled')
+      || WANT_PRIORITIES[a.want.priority].rank - WANT_PRIORITIES[b.want.priority].rank);
+  if (results.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'settings-subtext';
+    empty.textContent = 'Nothing on the want list yet.';
+    listEl.appendChild(empty);
+    return;
+  }
+
+  results.forEach(r => {
+    const row = document.createElement('div');
+    row.className = `want-row want-row--${r.status}`;
+
+    const badge = document.createElement('span');
+    badge.className = `want-priority want-priority--${r.want.priority}`;
+    badge.textContent = WANT_PRIORITIES[r.want.priority].label;
+
+    const text = document.createElement('div');
+    text.className = 'price-alert-text';
+    const desc = document.createElement('span');
+    desc.className = 'price-alert-desc';
+    desc.textContent = `${r.want.name} — ${WANT_STATUS_LABELS[r.status]}`;
+    const status = document.createElement('span');
+    status.className = 'price-alert-status';
+    status.textContent = _wantStatusText(r);
+    text.append(desc, status);
+
+    const add = document.createElement('button');
+    add.type = 'button';
+    add.className = 'btn secondary';
+    add.textContent = 'Add to inventory';
+    add.title = 'Open Add Item with this product and the cheapest price filled in';
+    add.disabled = r.status === 'fulfilled';
+    add.addEventListener('click', () => convertWantToItem(r.want.id));
+
+    const del = document.createElement('button');
+    del.type = 'button';
+    del.className = 'btn danger';
+    del.textContent = 'Delete';
+    del.addEventListener('click', () => {
+      deleteWant(r.want.id);
+      renderWantListSection();
+    });
+
+    row.append(badge, text, add, del);
+    listEl.appendChild(row);
+  });
+};
+
+/**
+ * Wires the want list form and the item form hooks. Called once from events.js.
+ */
+const setupWantList = () => {
+  const addBtn = document.getElementById('wantAddBtn');
+  if (addBtn) addBtn.addEventListener('click', addWantFromForm);
+
+  // Capture phase runs before the Add Item handler, so only the want flow sets a pending want
+  document.getElementById('newItemBtn')?.addEventListener('click', clearPendingWant, true);
+  ['itemCloseBtn', 'cancelItem'].forEach(id => {
+    document.getElementById(id)?.addEventListener('click', clearPendingWant);
+  });
+};
+
+// Expose globally
+window.WANT_PRIORITIES = WANT_PRIORITIES;
+window.getWantList = getWantList;
+window.resolveWantProduct = resolveWantProduct;
+window.getCheapestRetailVendor = getCheapestRetailVendor;
+window.evaluateWant = evaluateWant;
+window.evaluateWantList = evaluateWantList;
+window.addWant = addWant;
+window.deleteWant = deleteWant;
+window.convertWantToItem = convertWantToItem;
+window.recordWantPurchase = recordWantPurchase;
+window.addWantFromForm = addWantFromForm;
+window.renderWantListSection = renderWantListSection;
+window.setupWantList = setupWantList;
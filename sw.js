@@ -43,6 +43,7 @@ const CORE_ASSETS = [
   './js/fuzzy-search.js',
   './js/autocomplete.js',
   './js/numista-lookup.js',
+  './js/bullion-catalog.js',
   './js/seed-images.js',
   './js/versionCheck.js',
   './js/changeLog.js',
@@ -51,10 +52,12 @@ const CORE_ASSETS = [
   './js/charts.js',
   './js/theme.js',
   './js/search.js',
+  './js/search-query.js',
   './js/chip-grouping.js',
   './js/tags.js',
   './js/filters.js',
   './js/sorting.js',
+  './js/smart-collections.js',
   './js/pagination.js',
   './js/detailsModal.js',
   './js/viewModal.js',
@@ -68,20 +71,43 @@ const CORE_ASSETS = [
   './js/goldback.js',
   './js/retail.js',
   './js/retail-view-modal.js',
+  './js/price-alerts.js',
+  './js/want-list.js',
+  './js/stacking-goals.js',
+  './js/dca-planner.js',
   './js/api.js',
   './js/catalog-api.js',
   './js/pcgs-api.js',
+  './js/cert-api.js',
   './js/catalog-providers.js',
   './js/catalog-manager.js',
+  './js/portfolios.js',
+  './js/storage-locations.js',
+  './js/tax-lots.js',
   './js/inventory.js',
+  './js/tax-report.js',
+  './js/insurance-report.js',
+  './js/portfolio-timeline.js',
+  './js/premium-report.js',
+  './js/metal-ratios.js',
+  './js/hash-commands.js',
+  './js/argon2.js',
   './js/vault.js',
+  './js/share-bundle.js',
+  './js/sync-backends.js',
   './js/cloud-storage.js',
   './js/cloud-sync.js',
+  './js/qr-code.js',
+  './js/device-sync.js',
+  './js/item-scanner.js',
+  './js/item-labels.js',
   './privacy.html',
   './js/about.js',
   './js/api-health.js',
   './js/faq.js',
   './js/customMapping.js',
+  './js/csv-mapping-wizard.js',
+  './js/order-email-import.js',
   './js/settings.js',
   './js/settings-listeners.js',
   './js/bulkEdit.js',
@@ -222,6 +248,19 @@ self.addEventListener('fetch', (event) => {
   }
 });
 
+// Notification click (price alerts): focus an open StakTrakr tab, else open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then((clients) => {
+        const existing = clients.find((client) => client.url.startsWith(self.registration.scope));
+        if (existing) return existing.focus();
+        return self.clients.openWindow('./');
+      })
+  );
+});
+
 // Shared: fetch and write successful responses to cache
 function fetchAndCache(request) {
   return fetch(request).then((response) => {
@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Local Catalog Tests
+ *
+ * Covers the bundled bullion catalog (js/bullion-catalog.js) and its use by
+ * CatalogAPI and autocomplete:
+ *  1. Searches match aliases and rewritten Numista queries
+ *  2. CatalogAPI searches the local catalog without a Numista key
+ *  3. User entries are validated, searched first and synced
+ *  4. Autocomplete suggests catalog names
+ *  5. 22k coins list fine weight, so melt is one ounce per ounce
+ */
+
+test.describe('Local Catalog', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Searches match aliases and rewritten Numista queries', async ({ page }) => {
+    const results = await page.evaluate(() => ({
+      ase: searchLocalCatalog('ASE').map(e => e.id),
+      rewritten: searchLocalCatalog('5 Dollars SML Bullion Coinage Canada').map(e => e.id),
+      tenth: searchLocalCatalog('gold eagle 1/10').map(e => e.numistaId),
+      goldback: localCatalogEntryToItem(findLocalCatalogEntry('local-goldback-utah-5')),
+      byNumista: findLocalCatalogEntry('N# 23134').id,
+    }));
+    expect(results.ase).toEqual(['local-ase-t1', 'local-ase-t2']);
+    expect(results.rewritten).toEqual(['local-sml']);
+    expect(results.tenth).toEqual(['10493']);
+    expect(results.goldback).toMatchObject({ catalogId: '', weight: 5, weightUnit: 'gb', type: 'Aurum', provider: 'Local' });
+    expect(results.byNumista).toBe('local-age-1oz');
+  });
+
+  test('CatalogAPI searches the local catalog without a Numista key', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const api = new CatalogAPI();
+      api.activeProvider = null;
+      const found = await api.searchItems('Krugerrand', { limit: 20 });
+      const looked = await api.lookupItem('local-agb');
+      return { names: found.map(r => r.name), provider: found[0].provider, looked: looked.name };
+    });
+    expect(result.names).toContain('South African Gold Krugerrand 1 oz');
+    expect(result.names).toContain('South African Silver Krugerrand 1 oz');
+    expect(result.provider).toBe('Local');
+    expect(result.looked).toBe('American Gold Buffalo 1 oz');
+  });
+
+  test('User entries are validated, searched first and synced', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const bad = saveUserCatalogEntry({ name: 'Broken', metal: 'Silver', weight: '0' });
+      const good = saveUserCatalogEntry({ name: 'Maple Leaf Privy 1 oz', metal: 'Silver', type: 'Coin', weight: '1', purity: '0.9999', numistaId: 'N# 555' });
+      const first = searchLocalCatalog('maple')[0];
+      removeUserCatalogEntry(good.id);
+      return { bad, good, first, synced: SYNC_SCOPE_KEYS.includes(USER_CATALOG_KEY), left: getUserCatalogEntries().length };
+    });
+    expect(result.bad.success).toBe(false);
+    expect(result.bad.error).toContain('Weight');
+    expect(result.good.success).toBe(true);
+    expect(result.first).toMatchObject({ id: result.good.id, numistaId: '555', source: 'user' });
+    expect(result.synced).toBe(true);
+    expect(result.left).toBe(0);
+  });
+
+  test('Autocomplete suggests catalog names', async ({ page }) => {
+    const names = await page.evaluate(() => autocomplete.generateLookupTable([]).names);
+    expect(names).toContain('American Gold Eagle 1/10 oz');
+    expect(names).toContain('Utah Goldback 5');
+  });
+
+  test('22k coins list fine weight, so melt is one ounce per ounce', async ({ page }) => {
+    const melt = await page.evaluate(() => ['local-age-1oz', 'local-gold-krugerrand-half'].map((id) => {
+      const item = { ...localCatalogEntryToItem(findLocalCatalogEntry(id)), qty: 1 };
+      return computeMeltValue(item, 1);
+    }));
+    expect(melt[0]).toBeCloseTo(1, 3);
+    expect(melt[1]).toBeCloseTo(0.5, 3);
+  });
+});
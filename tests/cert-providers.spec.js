@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Cert Provider Tests
+ *
+ * Covers NGC and ANACS cert lookup (js/cert-api.js):
+ *  1. Cert numbers are validated and normalized per grading service
+ *  2. NGC and ANACS lookups link the public cert page from CERT_LOOKUP_URLS
+ *  3. The form lookup picks the provider from the grading service field
+ */
+
+test.describe('Cert Providers', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Cert numbers are validated and normalized per grading service', async ({ page }) => {
+    const results = await page.evaluate(() => [
+      validateCertNumber('NGC', '1234567001'),
+      validateCertNumber('NGC', '12345'),
+      validateCertNumber('ANACS', '7654321'),
+      validateCertNumber('ICG', '123'),
+    ]);
+    expect(results[0]).toEqual({ valid: true, certNumber: '1234567-001' });
+    expect(results[1].valid).toBe(false);
+    expect(results[1].error).toContain('1234567-001');
+    expect(results[2].valid).toBe(true);
+    expect(results[3].error).toContain('not available for ICG');
+  });
+
+  test('NGC and ANACS lookups link the public cert page from CERT_LOOKUP_URLS', async ({ page }) => {
+    let requests = 0;
+    await page.route(/ngccoin\.com|anacs\.com/, (route) => { requests++; return route.abort(); });
+    const result = await page.evaluate(async () => ({
+      ngc: await verifyCert('NGC', '6057412008', 'MS-70'),
+      anacs: await verifyCert('ANACS', '7654321'),
+      invalid: await verifyCert('NGC', '12'),
+      template: CERT_LOOKUP_URLS.NGC,
+    }));
+    expect(result.ngc).toMatchObject({ verified: false, lookupOnly: true, authority: 'NGC', certNumber: '6057412-008' });
+    expect(result.ngc.certUrl).toBe(result.template.replaceAll('{certNumber}', '6057412-008').replaceAll('{grade}', '70'));
+    expect(result.anacs.certUrl).toBe('https://anacs.com/verify/');
+    expect(result.invalid.lookupOnly).toBeUndefined();
+    expect(result.invalid.error).toContain('not a valid NGC cert number');
+    expect(requests).toBe(0);
+  });
+
+  test('The form lookup picks the provider from the grading service field', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      document.getElementById('itemGradingAuthority').value = 'ANACS';
+      document.getElementById('itemCertNumber').value = '7654321';
+      return lookupCertFromForm();
+    });
+    expect(result).toMatchObject({ lookupOnly: true, authority: 'ANACS', certNumber: '7654321' });
+  });
+});
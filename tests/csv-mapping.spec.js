@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * CSV Mapping Wizard Tests
+ *
+ * Covers the generic CSV importer (js/csv-mapping-wizard.js, js/customMapping.js):
+ *  1. Rows map to items with unit, currency and date transforms
+ *  2. A dealer CSV is mapped, saved as a profile and sent to the import diff review
+ *  3. The next file with the same headers opens with the saved profile applied
+ */
+
+const DEALER_CSV = [
+  'Order Date,Product Description,Qty,Line Total,Weight (g),SKU',
+  '04/03/2025,1 oz Silver Eagle Coin,10,"$350.00",31.1035,ASE-25',
+  '04/03/2025,Copper Round,5,$10.00,28,CU-1',
+  '04/03/2025,1 gram Gold Bar,2,$210.00,1,GB-1',
+].join('\n');
+
+const csvFile = (name) => ({ name, mimeType: 'text/csv', buffer: Buffer.from(DEALER_CSV) });
+
+async function chooseMappedCsv(page, name) {
+  await page.locator('#settingsBtn').click();
+  await page.locator('#settingsModal .settings-nav-item[data-section="system"]').click();
+  const chooser = page.waitForEvent('filechooser');
+  await page.locator('#importMappedCsvBtn').click();
+  await (await chooser).setFiles(csvFile(name));
+  await expect(page.locator('#csvMappingModal')).toBeVisible();
+}
+
+test.describe('CSV Mapping Wizard', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+    await page.evaluate(() => localStorage.removeItem('csvMappingProfiles'));
+  });
+
+  test('Rows map to items with unit, currency and date transforms', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const columns = { Date: 'date', Item: 'name', Qty: 'qty', Total: 'totalPrice', Grams: 'weight' };
+      const row = { Date: '04/03/2025', Item: '1 oz Silver Eagle', Qty: '4', Total: '1.234,00', Grams: '31.1035' };
+      const { item } = CustomMapping.mapRow(row, columns, { weightUnit: 'g', dateFormat: 'dmy' });
+      const skipped = CustomMapping.mapRow({ Item: 'Copper Round' }, columns, {});
+      return { metal: item.metal, weight: item.weight, price: item.price, date: item.date, skipped: skipped.item };
+    });
+    expect(result).toEqual({ metal: 'Silver', weight: 1, price: 308.5, date: '2025-03-04', skipped: null });
+  });
+
+  test('A dealer CSV is mapped, saved as a profile and sent to the import diff review', async ({ page }) => {
+    await chooseMappedCsv(page, 'dealer-invoice.csv');
+
+    await expect(page.locator('#csvMappingProfileStatus')).toContainText('New column layout');
+    await expect(page.locator('#csvMappingColumns select[aria-label="Map Line Total"]')).toHaveValue('totalPrice');
+    await page.selectOption('#csvMappingWeightUnit', 'g');
+    await expect(page.locator('#csvMappingPreview tbody tr')).toHaveCount(2);
+    await expect(page.locator('#csvMappingSummary')).toContainText('1 skipped');
+
+    await page.fill('#csvMappingProfileName', 'Dealer invoices');
+    await page.locator('#csvMappingImportBtn').click();
+    await expect(page.locator('#diffReviewModal')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('#diffReviewSummary')).toContainText('+2 added');
+
+    const profiles = await page.evaluate(() => CustomMapping.getProfiles());
+    expect(profiles).toHaveLength(1);
+    expect(profiles[0].name).toBe('Dealer invoices');
+    expect(profiles[0].transforms.weightUnit).toBe('g');
+  });
+
+  test('The next file with the same headers opens with the saved profile applied', async ({ page }) => {
+    await page.evaluate(() => {
+      const headers = ['Order Date', 'Product Description', 'Qty', 'Line Total', 'Weight (g)', 'SKU'];
+      CustomMapping.saveProfile({
+        name: 'Dealer invoices',
+        headers,
+        columns: { 'Order Date': 'date', 'Product Description': 'name', Qty: 'qty', 'Line Total': 'totalPrice', 'Weight (g)': 'weight', SKU: 'serialNumber' },
+        transforms: { weightUnit: 'g' },
+      });
+    });
+    await chooseMappedCsv(page, 'dealer-invoice-2.csv');
+
+    await expect(page.locator('#csvMappingProfileStatus')).toContainText('Mapped automatically with saved profile "Dealer invoices"');
+    await expect(page.locator('#csvMappingColumns select[aria-label="Map SKU"]')).toHaveValue('serialNumber');
+    await expect(page.locator('#csvMappingWeightUnit')).toHaveValue('g');
+  });
+});
@@ -0,0 +1,115 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * DCA Planner Tests
+ *
+ * Covers recurring purchase plans (js/dca-planner.js):
+ *  1. Plans validate input and schedule buys on the start date's day of month
+ *  2. The calendar marks bought, skipped, missed, due and upcoming buys
+ *  3. Buy pre-fills Add Item with today's spot and records the item on the plan
+ *  4. The report compares average cost per ounce with a lump sum at plan start
+ */
+
+test.describe('DCA Planner', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+    await page.evaluate(() => {
+      inventory.length = 0;
+      saveDataSync(DCA_PLANS_KEY, []);
+      spotPrices.silver = 30;
+    });
+  });
+
+  test('Plans validate input and schedule buys on the start date\'s day of month', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const base = { metal: 'Silver', product: 'American Silver Eagle', type: 'Coin', qty: 2, weight: 1, frequency: 'monthly', startDate: '2024-01-31' };
+      const { plan } = addDcaPlan(base);
+      return {
+        noProduct: addDcaPlan({ ...base, product: '' }),
+        badEnd: addDcaPlan({ ...base, endDate: '2023-12-31' }),
+        plan,
+        monthly: getDcaScheduleDates(plan, '2024-05-15'),
+        weekly: getDcaScheduleDates({ ...plan, frequency: 'weekly', endDate: '2024-02-14' }, '2024-12-31'),
+        synced: SYNC_SCOPE_KEYS.includes(DCA_PLANS_KEY),
+        backedUp: ALLOWED_STORAGE_KEYS.includes(DCA_PLANS_KEY),
+      };
+    });
+    expect(result.noProduct.error).toContain('product');
+    expect(result.badEnd.error).toContain('End date');
+    expect(result.plan.name).toBe('2 oz Silver monthly');
+    expect(result.monthly).toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-30']);
+    expect(result.weekly).toEqual(['2024-01-31', '2024-02-07', '2024-02-14']);
+    expect(result.synced).toBe(true);
+    expect(result.backedUp).toBe(true);
+  });
+
+  test('The calendar marks bought, skipped, missed, due and upcoming buys', async ({ page }) => {
+    const calendar = await page.evaluate(() => {
+      const { plan } = addDcaPlan({ metal: 'Silver', product: 'Silver Round', qty: 1, weight: 1, frequency: 'weekly', startDate: '2025-03-03' });
+      plan.purchases = [{ date: '2025-03-03', itemUuid: 'x' }];
+      plan.skipped = ['2025-03-10'];
+      return getDcaCalendar(plan, '2025-03-24').slice(0, 6).map(e => `${e.date} ${e.status}`);
+    });
+    expect(calendar).toEqual([
+      '2025-03-03 bought',
+      '2025-03-10 skipped',
+      '2025-03-17 missed',
+      '2025-03-24 due',
+      '2025-03-31 upcoming',
+      '2025-04-07 upcoming',
+    ]);
+  });
+
+  test('Buy pre-fills Add Item with today\'s spot and records the item on the plan', async ({ page }) => {
+    await page.evaluate(() => {
+      addDcaPlan({ metal: 'Silver', product: 'American Silver Eagle', type: 'Coin', qty: 2, weight: 1, vendor: 'JM Bullion', frequency: 'monthly', startDate: todayStr() });
+      showSettingsModal('dca');
+    });
+    const row = page.locator('#dcaPlanList .dca-calendar-row--due');
+    await expect(row).toHaveCount(1);
+    await row.locator('button', { hasText: 'Buy' }).click();
+
+    await expect(page.locator('#itemModal')).toBeVisible();
+    await expect(page.locator('#itemModal #itemName')).toHaveValue('American Silver Eagle');
+    await expect(page.locator('#itemModal #itemQty')).toHaveValue('2');
+    await expect(page.locator('#itemModal #purchaseLocation')).toHaveValue('JM Bullion');
+    await expect(page.locator('#itemModal #itemSpotPrice')).toHaveValue('30');
+
+    await page.fill('#itemModal #itemPrice', '35');
+    await page.locator('#itemModalSubmit').click();
+    const result = await page.evaluate(() => {
+      const item = inventory[inventory.length - 1];
+      const plan = getDcaPlans()[0];
+      return { spot: item.spotPriceAtPurchase, purchases: plan.purchases, uuid: item.uuid, status: getDcaCalendar(plan)[0].status };
+    });
+    expect(result.spot).toBe(30);
+    expect(result.purchases).toHaveLength(1);
+    expect(result.purchases[0].itemUuid).toBe(result.uuid);
+    expect(result.status).toBe('bought');
+  });
+
+  test('The report compares average cost per ounce with a lump sum at plan start', async ({ page }) => {
+    const report = await page.evaluate(async () => {
+      spotHistory.push({ spot: 25, metal: 'Silver', source: 'seed', provider: 'LBMA', timestamp: '2024-01-02 12:00:00' });
+      inventory.push(
+        { uuid: 'dca-1', name: 'ASE', metal: 'Silver', type: 'Coin', qty: 2, weight: 1, purity: 1, price: 30, date: '2024-01-02', spotPriceAtPurchase: 25 },
+        { uuid: 'dca-2', name: 'ASE', metal: 'Silver', type: 'Coin', qty: 2, weight: 1, purity: 1, price: 20, date: '2024-02-02', spotPriceAtPurchase: 15 },
+      );
+      const { plan } = addDcaPlan({ metal: 'Silver', product: 'ASE', qty: 2, weight: 1, frequency: 'monthly', startDate: '2024-01-02' });
+      plan.purchases = [
+        { date: '2024-01-02', itemUuid: 'dca-1' },
+        { date: '2024-02-02', itemUuid: 'dca-2' },
+        { date: '2024-03-02', itemUuid: 'deleted-item' },
+      ];
+      return computeDcaReport(plan);
+    });
+    expect(report).toMatchObject({ purchases: 2, ounces: 4, cost: 100, avgCostPerOz: 25, avgSpotPerOz: 20, startSpot: 25, missing: 1 });
+    // Same dollars at start-date spot with the same 25% premium
+    expect(report.lumpSumOunces).toBeCloseTo(3.2, 6);
+    expect(report.ounceDifference).toBeCloseTo(0.8, 6);
+    expect(report.timingPct).toBeCloseTo(20, 6);
+    expect(report.currentValue).toBeCloseTo(120, 6);
+  });
+});
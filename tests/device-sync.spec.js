@@ -0,0 +1,94 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Device Sync Tests
+ *
+ * Covers peer-to-peer device sync (js/device-sync.js) and its QR encoder
+ * (js/qr-code.js):
+ *  1. QR encoder picks the smallest version and draws finder patterns
+ *  2. Offer and answer codes round-trip the one-time key and SDP
+ *  3. A received vault opens the diff review instead of overwriting
+ */
+
+test.describe('Device Sync', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('QR encoder picks the smallest version and draws finder patterns', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const small = encodeQrCode('HELLO WORLD', { ecc: 'M' });
+      const large = encodeQrCode('x'.repeat(500), { ecc: 'L' });
+      const finder = small.modules.slice(0, 7).map((row) => row.slice(0, 7).map((d) => (d ? 1 : 0)).join(''));
+      return {
+        small: [small.version, small.size],
+        large: [large.version, large.size],
+        finder,
+        svg: qrCodeToSvg('HELLO WORLD').startsWith('<svg'),
+      };
+    });
+    expect(result.small).toEqual([1, 21]);
+    // 500 bytes at ECC L needs version 15 (v14 holds 458, v15 holds 520)
+    expect(result.large).toEqual([15, 77]);
+    expect(result.finder).toEqual(['1111111', '1000001', '1011101', '1011101', '1011101', '1000001', '1111111']);
+    expect(result.svg).toBe(true);
+  });
+
+  test('Offer and answer codes round-trip the one-time key and SDP', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const sdp = 'v=0\r\no=- 4611731400430051336 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\na=group:BUNDLE 0\r\n';
+      const offer = await encodeDeviceSyncCode({ kind: 'offer', key: 'k3y_-AbC', sdp });
+      const answer = await encodeDeviceSyncCode({ kind: 'answer', sdp });
+      const parsedOffer = await parseDeviceSyncCode(offer);
+      // Line breaks from copy-paste are ignored
+      const parsedAnswer = await parseDeviceSyncCode(answer.slice(0, 20) + '\n' + answer.slice(20));
+      const bad = await parseDeviceSyncCode('hello').then(() => null, (err) => err.message);
+      return {
+        offerPrefix: offer.slice(0, 11),
+        offerOk: parsedOffer.kind === 'offer' && parsedOffer.key === 'k3y_-AbC' && parsedOffer.sdp === sdp,
+        answerOk: parsedAnswer.kind === 'answer' && parsedAnswer.key === null && parsedAnswer.sdp === sdp,
+        bad,
+      };
+    });
+    expect(result.offerPrefix).toBe('STAKP2P1.O.');
+    expect(result.offerOk).toBe(true);
+    expect(result.answerOk).toBe(true);
+    expect(result.bad).toContain('not a StakTrakr device sync code');
+  });
+
+  test('A received vault opens the diff review instead of overwriting', async ({ page }) => {
+    const before = await page.evaluate(async () => {
+      // Keep the vault small — see the cloud-sync spec for the forge stack limit
+      inventory = [
+        { uuid: 'dev-sync-1', name: 'Silver Eagle', metal: 'Silver', type: 'Coin', qty: 1, weight: 1, price: 30 },
+        { uuid: 'dev-sync-2', name: 'Gold Maple', metal: 'Gold', type: 'Coin', qty: 1, weight: 1, price: 2400 },
+      ];
+      saveInventory();
+      const bytes = await vaultEncryptToBytes('one-time-key');
+
+      inventory = inventory.slice(0, 1);
+      saveInventory();
+      const payload = await vaultDecryptToData(bytes, 'one-time-key');
+      applyDeviceSyncVault(payload, { deviceId: 'other-device', timestamp: Date.now(), itemCount: 2 });
+      return { count: inventory.length, lastPull: localStorage.getItem('cloud_sync_last_pull') };
+    });
+    expect(before.count).toBe(1);
+
+    const modal = page.locator('#diffReviewModal');
+    await expect(modal).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('#diffReviewSummary').locator('text=/\\+1 added/')).toBeVisible();
+
+    await page.locator('#diffReviewApplyBtn').click();
+    await expect(modal).not.toBeVisible({ timeout: 5000 });
+
+    const after = await page.evaluate(() => ({
+      uuids: inventory.map((i) => i.uuid).sort(),
+      lastPull: localStorage.getItem('cloud_sync_last_pull'),
+    }));
+    expect(after.uuids).toEqual(['dev-sync-1', 'dev-sync-2']);
+    // Device transfers don't count as a cloud pull
+    expect(after.lastPull).toBe(before.lastPull);
+  });
+});
@@ -890,4 +890,123 @@ test.describe('Diff/Merge Import Flows', () => {
 
     expect(dels.length).toBe(1);
   });
+
+  // -----------------------------------------------------------------------
+  // Test 13: Three-way merge — one-sided edits merge, overlapping edits conflict
+  // -----------------------------------------------------------------------
+
+  test('DiffEngine.mergeItems auto-merges one-sided edits and reports genuine conflicts', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const base = [
+        { uuid: 'a', name: 'Eagle', qty: 1, notes: '' },
+        { uuid: 'b', name: 'Maple', qty: 2 },
+        { uuid: 'c', name: 'Bar', qty: 3 },
+        { uuid: 'd', name: 'Round', qty: 4 },
+      ];
+      const local = [
+        { uuid: 'a', name: 'Eagle', qty: 5, notes: '' },                                          // qty edited here
+        { uuid: 'b', name: 'Maple', qty: 2, disposition: { type: 'sold', date: '2025-01-01', amount: 10 } },
+        { uuid: 'd', name: 'Round', qty: 9 },                                                     // edited here, deleted there
+        { uuid: 'l', name: 'Local New' },
+      ];
+      const remote = [
+        { uuid: 'a', name: 'Eagle', qty: 1, notes: 'from phone' },                                // notes edited there
+        { uuid: 'b', name: 'Maple', qty: 2, disposition: { type: 'sold', date: '2025-01-01', amount: 12 } },
+        { uuid: 'c', name: 'Bar', qty: 7 },                                                       // deleted here, edited there
+        { uuid: 'r', name: 'Remote New' },
+      ];
+      const m = DiffEngine.mergeItems(
+        DiffEngine.attachTags(base, { a: ['Bullion'] }),
+        DiffEngine.attachTags(local, { a: ['Bullion', 'Stack'] }),
+        DiffEngine.attachTags(remote, { a: ['Bullion'], b: ['Gift'] }),
+      );
+      return {
+        added: m.added.map(i => i.uuid),
+        deleted: m.deleted.map(i => i.uuid),
+        modified: m.modified.map(x => [x.item.uuid, x.changes.map(c => c.field)]),
+        conflicts: m.conflicts.map(c => [c.itemKey, c.field, c.kind || null]),
+        localOnly: m.localOnly,
+      };
+    });
+
+    expect(result.added).toEqual(['r']);
+    expect(result.deleted).toEqual([]);
+    // Remote-only edits (notes, tags) apply; local-only edits (qty, tags on 'a') are kept
+    expect(result.modified).toEqual([['a', ['notes']], ['b', ['tags']]]);
+    expect(result.conflicts).toEqual([
+      ['b', 'disposition', null],
+      ['d', 'item', 'delete'],
+      ['c', 'item', 'restore'],
+    ]);
+    expect(result.localOnly).toBe(3);
+  });
+
+  // -----------------------------------------------------------------------
+  // Test 14: Three-way merge without a base, and tag round trip
+  // -----------------------------------------------------------------------
+
+  test('DiffEngine.mergeItems falls back to two-way without a base; tags detach back to the map', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const noBase = DiffEngine.mergeItems(null, [{ uuid: 'a', qty: 1 }], [{ uuid: 'a', qty: 2 }]);
+      // Sources without dispositions (CSV) don't clear local ones
+      const csv = DiffEngine.compareItems(
+        [{ uuid: 'a', qty: 1, disposition: { type: 'sold' } }],
+        [{ uuid: 'a', qty: 1 }],
+      );
+      const detached = DiffEngine.detachTags(
+        [{ uuid: 'a', tags: ['New'] }, { uuid: 'b', tags: [] }, { uuid: 'c' }],
+        { b: ['Old'], c: ['Keep'] },
+      );
+      return {
+        noBase: [noBase.modified.length, noBase.conflicts.length],
+        csvModified: csv.modified.length,
+        items: detached.items,
+        tags: detached.tags,
+      };
+    });
+
+    expect(result.noBase).toEqual([1, 0]);
+    expect(result.csvModified).toBe(0);
+    expect(result.items).toEqual([{ uuid: 'a' }, { uuid: 'b' }, { uuid: 'c' }]);
+    expect(result.tags).toEqual({ a: ['New'], c: ['Keep'] });
+  });
+
+  // -----------------------------------------------------------------------
+  // Test 15: DiffModal applies conflict resolutions
+  // -----------------------------------------------------------------------
+
+  test('DiffModal conflict resolutions become selected changes', async ({ page }) => {
+    await page.evaluate(() => {
+      window.__testApplyResult = null;
+      DiffModal.show({
+        source: { type: 'sync', label: 'Test' },
+        diff: { added: [], modified: [], deleted: [], unchanged: [] },
+        conflicts: {
+          conflicts: [
+            { itemKey: 'a', itemName: 'Eagle', field: 'qty', baseVal: 1, localVal: 5, remoteVal: 7 },
+            { itemKey: 'b', itemName: 'Maple', field: 'notes', baseVal: '', localVal: 'mine', remoteVal: 'theirs' },
+            { itemKey: 'd', itemName: 'Round', field: 'item', kind: 'delete', localVal: 'Kept (edited here)', remoteVal: 'Deleted' },
+          ],
+          clean: [],
+        },
+        onApply: function (selectedChanges) { window.__testApplyResult = selectedChanges; },
+        onCancel: function () {},
+      });
+    });
+
+    const modal = page.locator('#diffReviewModal');
+    await expect(modal).toBeVisible({ timeout: 5000 });
+    await expect(page.locator('#diffReviewConflicts')).toContainText('3 conflicts detected');
+
+    // Keep the local notes; the other two stay on the default (remote)
+    await page.locator('input[name="diffConflict1"][value="local"]').check();
+    await page.locator('#diffReviewApplyBtn').click();
+    await expect(modal).not.toBeVisible({ timeout: 5000 });
+
+    const applied = await page.evaluate(() => window.__testApplyResult);
+    expect(applied).toEqual([
+      { type: 'modify', itemKey: 'a', field: 'qty', value: 7 },
+      { type: 'delete', itemKey: 'd' },
+    ]);
+  });
 });
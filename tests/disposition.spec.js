@@ -11,9 +11,22 @@ import { dismissAckModal } from './test-utils.js';
  *  4. Undo disposition
  *  5. Summary card shows realized G/L
  *  6. CSV export includes disposition columns
- *  7. Settings toggle hides/shows realized G/L row
+ *  7. Partial disposition splits a multi-qty row (tax-lots.js)
+ *  8. FIFO / LIFO / HIFO / specific-lot ordering across several lots
+ *  9. Pro-rata proceeds, realized summary by year and undo merging a split lot
+ * 10. Long-term holding starts the day after the first anniversary
+ * 11. Tax report rows for the disposition year (tax-report.js)
+ * 12. Settings toggle hides/shows realized G/L row
  */
 
+/** Interchangeable lots bought on different dates at different prices, plus an undated lot */
+const LOTS = [
+  { uuid: 'lot-a', serial: 1, name: 'Lot Eagle', metal: 'Silver', type: 'Coin', qty: 3, weight: 1, purity: 0.999, price: 35, date: '2021-03-01' },
+  { uuid: 'lot-b', serial: 2, name: 'Lot Eagle', metal: 'Silver', type: 'Coin', qty: 3, weight: 1, purity: 0.999, price: 25, date: '2023-06-15' },
+  { uuid: 'lot-c', serial: 3, name: 'Lot Eagle', metal: 'Silver', type: 'Coin', qty: 3, weight: 1, purity: 0.999, price: 45, date: '2022-09-10' },
+  { uuid: 'lot-d', serial: 4, name: 'Lot Eagle', metal: 'Silver', type: 'Coin', qty: 1, weight: 1, purity: 0.999, price: 50, date: '' },
+];
+
 /**
  * Add a silver coin to inventory via the item modal.
  * @param {import('@playwright/test').Page} page
@@ -331,6 +344,157 @@ test.describe('Disposition Feature (STAK-72)', () => {
     expect(csvContent).toContain('250'); // realized G/L: 750 - 500
   });
 
+  test('Partial disposition splits the row and keeps the remainder active', async ({ page }) => {
+    await page.locator('#newItemBtn').click();
+    await expect(page.locator('#itemModal')).toBeVisible();
+    await page.selectOption('#itemMetal', 'Silver');
+    await page.selectOption('#itemType', 'Coin');
+    await page.fill('#itemName', 'Partial Eagle');
+    await page.fill('#itemQty', '5');
+    await page.fill('#itemWeight', '1');
+    await page.fill('#itemPrice', '30');
+    await page.locator('#itemModalSubmit').click();
+    await page.waitForTimeout(500);
+
+    await switchToTableView(page);
+    const row = page.locator('#inventoryTable tbody tr', { hasText: 'Partial Eagle' });
+    await row.locator('button[title="Delete item"]').click();
+    await expect(page.locator('#removeItemModal')).toBeVisible();
+    await page.locator('#removeItemDisposeCheck').check();
+
+    // Quantity field appears for multi-unit rows
+    await expect(page.locator('#dispositionQty')).toBeVisible();
+    await page.fill('#dispositionQty', '2');
+    await page.fill('#dispositionAmount', '80');
+    await page.locator('#removeItemDisposeBtn').click();
+    await page.waitForTimeout(500);
+
+    const stored = await page.evaluate(() => JSON.parse(localStorage.getItem('metalInventory') || '[]')
+      .filter(i => i.name === 'Partial Eagle')
+      .map(i => ({ qty: i.qty, disposed: !!i.disposition, gl: i.disposition?.realizedGainLoss, holding: i.disposition?.holdingPeriod })));
+
+    expect(stored).toHaveLength(2);
+    expect(stored.find(i => !i.disposed).qty).toBe(3);
+    const sold = stored.find(i => i.disposed);
+    expect(sold.qty).toBe(2);
+    expect(sold.gl).toBeCloseTo(20); // 80 - (2 × 30)
+    expect(sold.holding).toBe('short');
+  });
+
+  test('Lot methods order several dated lots and allocate across them', async ({ page }) => {
+    const result = await page.evaluate((lots) => {
+      inventory.length = 0;
+      inventory.push(...lots.map(l => ({ ...l })));
+      const matching = getMatchingLots(0);
+      const order = (method) => orderLotsByMethod(matching, method).map(l => l.item.uuid);
+      return {
+        fifo: order('fifo'),
+        lifo: order('lifo'),
+        hifo: order('hifo'),
+        planFifo: planLotAllocation(matching, 5, 'fifo').allocations,
+        planLifo: planLotAllocation(matching, 5, 'lifo').allocations,
+        planHifo: planLotAllocation(matching, 4, 'hifo').allocations,
+        planSpecific: planLotAllocation(matching, 0, 'specific', { 1: 2, 3: 1 }),
+        tooManyInLot: planLotAllocation(matching, 0, 'specific', { 0: 4 }).error,
+        tooManyOverall: planLotAllocation(matching, 11, 'fifo').error,
+      };
+    }, LOTS);
+    // Undated lots always go last
+    expect(result.fifo).toEqual(['lot-a', 'lot-c', 'lot-b', 'lot-d']);
+    expect(result.lifo).toEqual(['lot-b', 'lot-c', 'lot-a', 'lot-d']);
+    expect(result.hifo).toEqual(['lot-c', 'lot-a', 'lot-b', 'lot-d']);
+    expect(result.planFifo).toEqual([{ idx: 0, qty: 3 }, { idx: 2, qty: 2 }]);
+    expect(result.planLifo).toEqual([{ idx: 1, qty: 3 }, { idx: 2, qty: 2 }]);
+    expect(result.planHifo).toEqual([{ idx: 2, qty: 3 }, { idx: 0, qty: 1 }]);
+    expect(result.planSpecific).toEqual({ allocations: [{ idx: 1, qty: 2 }, { idx: 3, qty: 1 }], totalQty: 3, error: null });
+    expect(result.tooManyInLot).toContain('Only 3 available');
+    expect(result.tooManyOverall).toContain('Only 10 units available');
+  });
+
+  test('Proceeds are split pro rata, summarized by year and merged back on undo', async ({ page }) => {
+    const result = await page.evaluate((lots) => {
+      inventory.length = 0;
+      inventory.push(...lots.map(l => ({ ...l })));
+      const plan = planLotAllocation(getMatchingLots(0), 5, 'fifo');
+      const sold = applyLotDisposition(plan.allocations, { type: 'sold', date: '2023-03-01', amount: 100.01, currency: 'USD', lotMethod: 'fifo' })
+        .map(r => ({ uuid: r.item.uuid, qty: r.item.qty, ...r.item.disposition }));
+      const summary = getRealizedSummaryByYear();
+      const afterSale = inventory.length;
+      const cSplitIdx = inventory.findIndex(i => i.disposition?.splitFrom === 'lot-c');
+      const merged = revertLotDisposition(cSplitIdx);
+      const whole = revertLotDisposition(inventory.findIndex(i => i.uuid === 'lot-a'));
+      const lotA = inventory.find(i => i.uuid === 'lot-a');
+      const lotC = inventory.find(i => i.uuid === 'lot-c');
+      const length = inventory.length;
+
+      inventory.length = 0;
+      inventory.push(...lots.map(l => ({ ...l })));
+      applyLotDisposition([{ idx: 0, qty: 1 }, { idx: 1, qty: 1 }, { idx: 2, qty: 1 }], { type: 'sold', date: '2024-01-05', amount: 100, currency: 'USD', lotMethod: 'specific' });
+      const thirds = ['lot-a', 'lot-b', 'lot-c'].map(uuid => inventory.find(i => i.disposition?.splitFrom === uuid).disposition.amount);
+      return {
+        sold,
+        thirds,
+        summary,
+        afterSale,
+        merged,
+        whole,
+        lotA,
+        lotC,
+        length,
+      };
+    }, LOTS);
+
+    // Lot A is consumed in place; lot C is split and keeps one unit
+    const a = result.sold.find(r => r.uuid === 'lot-a');
+    const c = result.sold.find(r => r.splitFrom === 'lot-c');
+    expect(a).toMatchObject({ uuid: 'lot-a', qty: 3, amount: 60.01, costBasis: 105, holdingPeriod: 'long', splitFrom: null });
+    expect(a.realizedGainLoss).toBeCloseTo(-44.99, 2);
+    expect(c).toMatchObject({ qty: 2, amount: 40, costBasis: 90, holdingPeriod: 'short', splitFrom: 'lot-c' });
+    expect(c.lotGroupId).toBe(a.lotGroupId);
+    // Cents left over by rounding land on the last lot
+    expect(result.thirds).toEqual([33.33, 33.33, 33.34]);
+
+    expect(result.summary['2023']).toMatchObject({ count: 5, costBasis: 195 });
+    expect(result.summary['2023'].proceeds).toBeCloseTo(100.01, 2);
+    expect(result.summary['2023'].longTerm).toBeCloseTo(-44.99, 2);
+    expect(result.summary['2023'].shortTerm).toBeCloseTo(-50, 2);
+    expect(result.summary['2023'].byMetal.Silver).toBeCloseTo(-94.99, 2);
+
+    expect(result.merged.merged).toBe(true);
+    expect(result.whole.merged).toBe(false);
+    expect(result.lotA.disposition).toBeNull();
+    expect(result.lotC.qty).toBe(3);
+    expect(result.length).toBe(result.afterSale - 1);
+  });
+
+  test('Long-term holding starts the day after the first anniversary', async ({ page }) => {
+    const result = await page.evaluate(() => ({
+      anniversary: classifyHoldingPeriod('2023-05-10', '2024-05-10'),
+      dayAfter: classifyHoldingPeriod('2023-05-10', '2024-05-11'),
+      leapDay: classifyHoldingPeriod('2020-02-29', '2021-03-01'),
+      leapDayAfter: classifyHoldingPeriod('2020-02-29', '2021-03-02'),
+      undated: classifyHoldingPeriod('', '2030-01-01'),
+    }));
+    expect(result).toEqual({ anniversary: 'short', dayAfter: 'long', leapDay: 'short', leapDayAfter: 'long', undated: 'short' });
+  });
+
+  test('Tax report rows cover the disposition year', async ({ page }) => {
+    await addSilverItem(page, 'Tax Eagle', '500');
+    const today = new Date().toISOString().split('T')[0];
+    await disposeItemInTable(page, 'Tax Eagle', { type: 'sold', amount: '650', date: today });
+
+    const report = await page.evaluate((year) => {
+      const rows = buildTaxReportRows(year);
+      return { rows, summary: summarizeTaxReport(rows) };
+    }, today.slice(0, 4));
+
+    expect(report.rows).toHaveLength(1);
+    expect(report.rows[0].description).toContain('Tax Eagle');
+    expect(report.rows[0].collectible).toBe(true);
+    expect(report.rows[0].term).toBe('short');
+    expect(report.summary.shortTerm.gainLoss).toBeCloseTo(150);
+  });
+
   test('Settings toggle hides/shows realized G/L row', async ({ page }) => {
     // Seed an item and dispose it so the realized row has data
     await page.evaluate(() => localStorage.setItem('showRealizedGainLoss', 'true'));
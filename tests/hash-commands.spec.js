@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Hash Command Tests
+ *
+ * Covers the #/… automation router (js/hash-commands.js):
+ *  1. Command hashes parse into a path and query parameters
+ *  2. #/import asks for confirmation and does nothing when cancelled
+ *  3. Unknown commands alert and the hash is cleared
+ */
+
+test.describe('Hash Commands', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Command hashes parse into a path and query parameters', async ({ page }) => {
+    const parsed = await page.evaluate(() => {
+      const cmd = parseHashCommand('#/Import/?url=https%3A%2F%2Fexample.com%2Fstack.json&mode=replace');
+      return {
+        path: cmd.path,
+        url: cmd.params.get('url'),
+        mode: cmd.params.get('mode'),
+        spot: parseHashCommand('#/spot/refresh').path,
+        notCommand: parseHashCommand('#faq'),
+      };
+    });
+    expect(parsed).toEqual({
+      path: 'import',
+      url: 'https://example.com/stack.json',
+      mode: 'replace',
+      spot: 'spot/refresh',
+      notCommand: null,
+    });
+  });
+
+  test('#/import asks for confirmation and does nothing when cancelled', async ({ page }) => {
+    const before = await page.evaluate(() => inventory.length);
+    await page.evaluate(() => { window.location.hash = '#/import?url=https%3A%2F%2Fexample.com%2Fstack.json&mode=replace'; });
+
+    const dialog = page.locator('#appDialogModal');
+    await expect(dialog).toBeVisible();
+    await expect(page.locator('#appDialogMessage')).toContainText('example.com');
+    await expect(page.locator('#appDialogMessage')).toContainText('overwrite');
+    await page.locator('#appDialogCancel').click();
+
+    expect(await page.evaluate(() => window.location.hash)).toBe('');
+    expect(await page.evaluate(() => inventory.length)).toBe(before);
+  });
+
+  test('Unknown commands alert and the hash is cleared', async ({ page }) => {
+    await page.evaluate(() => { window.location.hash = '#/nope'; });
+    await expect(page.locator('#appDialogMessage')).toContainText('Unknown command "nope"');
+    expect(await page.evaluate(() => window.location.hash)).toBe('');
+  });
+});
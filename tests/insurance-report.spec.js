@@ -0,0 +1,86 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Insurance Report Tests
+ *
+ * Covers the insurance / estate inventory report (js/insurance-report.js):
+ *  1. Held items are grouped by storage location with per-location totals
+ *  2. Certification lines carry the grading authority's verification status
+ *  3. The HTML report is self-contained, with a signature block
+ */
+
+const ITEMS = [
+  {
+    uuid: 'ins-1', name: '2024 American Silver Eagle', metal: 'Silver', type: 'Coin', qty: 10, weight: 1, purity: 0.999,
+    price: 30, storageLocation: 'Safe deposit box',
+  },
+  {
+    uuid: 'ins-2', name: '1 oz Gold Buffalo', metal: 'Gold', type: 'Coin', qty: 1, weight: 1, purity: 0.9999, price: 2000,
+    storageLocation: 'Home safe', gradingAuthority: 'PCGS', grade: 'MS70', certNumber: '12345678', pcgsVerified: true,
+  },
+  {
+    uuid: 'ins-3', name: '10 oz Silver Bar', metal: 'Silver', type: 'Bar', qty: 1, weight: 10, purity: 0.999, price: 300,
+    storageLocation: 'Safe deposit box', gradingAuthority: 'NGC', grade: 'MS69', certNumber: '5551234-001',
+  },
+  { uuid: 'ins-4', name: 'Generic Round', metal: 'Silver', type: 'Round', qty: 5, weight: 1, purity: 0.999, price: 28 },
+  {
+    uuid: 'ins-5', name: 'Sold Maple Leaf', metal: 'Silver', type: 'Coin', qty: 1, weight: 1, purity: 0.9999, price: 29,
+    storageLocation: 'Home safe', disposition: { type: 'sold', date: '2025-01-02', amount: 35 },
+  },
+];
+
+test.describe('Insurance Report', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Held items are grouped by storage location with per-location totals', async ({ page }) => {
+    const report = await page.evaluate((items) => {
+      const r = buildInsuranceReport(items, { silver: 30, gold: 2500 });
+      return {
+        locations: r.groups.map(g => g.location),
+        safeDeposit: r.groups[1].totals,
+        totals: r.totals,
+      };
+    }, ITEMS);
+    // Alphabetical, "Unassigned" last; the sold item is left out
+    expect(report.locations).toEqual(['Home safe', 'Safe deposit box', 'Unassigned']);
+    expect(report.safeDeposit.count).toBe(2);
+    expect(report.safeDeposit.units).toBe(11);
+    expect(report.safeDeposit.purchase).toBe(600);
+    expect(report.totals.count).toBe(4);
+    expect(report.totals.purchase).toBe(2740);
+  });
+
+  test('Certification lines carry the grading authority\'s verification status', async ({ page }) => {
+    const certs = await page.evaluate((items) => items.slice(1, 4).map(getInsuranceCertInfo), ITEMS);
+    expect(certs[0]).toEqual({ text: 'PCGS MS70, Cert #12345678', status: 'verified' });
+    expect(certs[1]).toEqual({ text: 'NGC MS69, Cert #5551234-001', status: 'unverified' });
+    expect(certs[2].status).toBe('none');
+  });
+
+  test('Verified certs are labelled with their grading authority', async ({ page }) => {
+    const html = await page.evaluate((items) => {
+      const verified = items.map(i => (i.gradingAuthority === 'NGC' ? { ...i, pcgsVerified: true } : i));
+      return generateInsuranceReportHtml(buildInsuranceReport(verified, { silver: 30, gold: 2500 }), new Map(), {});
+    }, ITEMS);
+    expect(html).toContain('NGC verified');
+    expect(html).toContain('PCGS verified');
+  });
+
+  test('The HTML report is self-contained, with a signature block', async ({ page }) => {
+    const html = await page.evaluate((items) => {
+      const report = buildInsuranceReport(items, { silver: 30, gold: 2500 });
+      const images = new Map([['ins-2', { obverse: 'data:image/jpeg;base64,AAAA', reverse: null }]]);
+      return generateInsuranceReportHtml(report, images, { owner: 'Estate of J. Doe' });
+    }, ITEMS);
+    expect(html).toContain('Prepared for:</strong> Estate of J. Doe');
+    expect(html).toContain('src="data:image/jpeg;base64,AAAA"');
+    expect(html).toContain('PCGS verified');
+    expect(html).toContain('Witness / appraiser signature');
+    expect(html).not.toContain('Sold Maple Leaf');
+    expect(html).not.toMatch(/<(script|link)\b/);
+  });
+});
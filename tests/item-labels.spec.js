@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Item Label & Scanner Tests
+ *
+ * Covers label sheets (js/item-labels.js), scanning (js/item-scanner.js) and
+ * the QR fallback decoder (js/qr-code.js):
+ *  1. Label QR codes decode back to the item link
+ *  2. Label sheets honour the layout and start position
+ *  3. Scanned text is classified as item labels or PCGS/NGC slabs
+ *  4. Scanning a new slab opens Add Item with the cert filled in
+ */
+
+test.describe('Item Labels & Scanning', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Label QR codes decode back to the item link', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const url = getItemLabelUrl({ uuid: 'label-test-uuid' });
+      const qr = encodeQrCode(url, { ecc: 'M' });
+      // Render at 4 px per module with a quiet zone and decode the pixels
+      const scale = 4;
+      const size = (qr.size + 8) * scale;
+      const data = new Uint8ClampedArray(size * size * 4).fill(255);
+      qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (!dark) return;
+        for (let dy = 0; dy < scale; dy++) {
+          for (let dx = 0; dx < scale; dx++) {
+            const p = (((y + 4) * scale + dy) * size + (x + 4) * scale + dx) * 4;
+            data[p] = data[p + 1] = data[p + 2] = 0;
+          }
+        }
+      }));
+      return { url, grid: decodeQrGrid(qr.modules), image: decodeQrCode({ width: size, height: size, data }) };
+    });
+    expect(result.url).toContain('#/item?id=label-test-uuid');
+    expect(result.grid).toBe(result.url);
+    expect(result.image).toBe(result.url);
+  });
+
+  test('Label sheets honour the layout and start position', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const items = Array.from({ length: 12 }, (_, i) => ({ uuid: `u${i}`, serial: 100 + i, name: `Test Bar ${i}` }));
+      const sheets = layoutItemLabels(items, '5163', 4);
+      const html = generateItemLabelSheetHtml(items.slice(0, 2), { layout: '5160' });
+      return {
+        sheetSizes: sheets.map(s => s.length),
+        blanks: sheets[0].filter(slot => slot === null).length,
+        labels: (html.match(/class="label"/g) || []).length,
+        hasSerial: html.includes('#101'),
+      };
+    });
+    // 5163 holds 10 per sheet; starting at label 4 leaves 7 on the first sheet
+    expect(result.sheetSizes).toEqual([10, 5]);
+    expect(result.blanks).toBe(3);
+    expect(result.labels).toBe(2);
+    expect(result.hasSerial).toBe(true);
+  });
+
+  test('Scanned text is classified as item labels or PCGS/NGC slabs', async ({ page }) => {
+    const parsed = await page.evaluate(() => [
+      'https://staktrakr.com/#/item?id=abc-123',
+      'https://www.pcgs.com/cert/28456432',
+      '9970.65/28456432',
+      '1234567-001',
+      'https://www.ngccoin.com/certlookup/6057412-008/',
+      'not a code',
+    ].map(parseScannedCode));
+    expect(parsed[0]).toEqual({ kind: 'item', uuid: 'abc-123' });
+    expect(parsed[1]).toEqual({ kind: 'slab', authority: 'PCGS', certNumber: '28456432' });
+    expect(parsed[2]).toEqual({ kind: 'slab', authority: 'PCGS', certNumber: '28456432', pcgsNumber: '9970', grade: '65' });
+    expect(parsed[3]).toEqual({ kind: 'slab', authority: 'NGC', certNumber: '1234567-001' });
+    expect(parsed[4]).toEqual({ kind: 'slab', authority: 'NGC', certNumber: '6057412-008' });
+    expect(parsed[5].kind).toBe('unknown');
+  });
+
+  test('Scanning a new slab opens Add Item with the cert filled in', async ({ page }) => {
+    await page.evaluate(() => handleScannedCode('https://www.ngccoin.com/certlookup/6057412-008/'));
+    await expect(page.locator('#itemModal')).toBeVisible();
+    await expect(page.locator('#itemGradingAuthority')).toHaveValue('NGC');
+    await expect(page.locator('#itemCertNumber')).toHaveValue('6057412-008');
+  });
+});
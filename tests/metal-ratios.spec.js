@@ -0,0 +1,51 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Metal Ratio Tests
+ *
+ * Covers the ratio strip and ratio modal (js/metal-ratios.js):
+ *  1. Strip shows current ratios from spot prices
+ *  2. Swap calculator round trip gains ounces when the ratio reverts
+ *  3. Ratio modal opens with stats and the swap calculator
+ */
+
+test.describe('Metal Ratios', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+    await page.evaluate(() => {
+      spotPrices.gold = 2700;
+      spotPrices.silver = 30;
+      spotPrices.platinum = 1000;
+      spotPrices.palladium = 1000;
+      updateSummary();
+    });
+  });
+
+  test('Strip shows current ratios from spot prices', async ({ page }) => {
+    const strip = page.locator('#spotRatioStrip');
+    await expect(strip.locator('[data-ratio-pair="gold-silver"] .ratio-chip-value')).toHaveText('90.00');
+    await expect(strip.locator('[data-ratio-pair="gold-platinum"] .ratio-chip-value')).toHaveText('2.70');
+    await expect(strip.locator('[data-ratio-pair="platinum-palladium"] .ratio-chip-value')).toHaveText('1.00');
+  });
+
+  test('Swap calculator round trip gains ounces when the ratio reverts', async ({ page }) => {
+    const swap = await page.evaluate(() =>
+      computeRatioSwap({ from: 'numerator', ounces: 1, ratio: 90, targetRatio: 60 }));
+    expect(swap.received).toBeCloseTo(90);
+    expect(swap.returned).toBeCloseTo(1.5);
+    expect(swap.gainOz).toBeCloseTo(0.5);
+  });
+
+  test('Ratio modal opens with stats and the swap calculator', async ({ page }) => {
+    await page.locator('#spotRatioStrip [data-ratio-pair="gold-silver"]').click();
+    await expect(page.locator('#ratioModal')).toBeVisible();
+    await expect(page.locator('#ratioPairToggle .chart-metric-btn.active')).toHaveText('Au/Ag');
+    await expect(page.locator('#ratioStats')).toContainText('Percentile');
+    await expect(page.locator('#ratioSwapFrom option')).toHaveCount(2);
+
+    await page.keyboard.press('Escape');
+    await expect(page.locator('#ratioModal')).toBeHidden();
+  });
+});
@@ -0,0 +1,104 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Order Email Import Tests
+ *
+ * Covers the dealer order-confirmation parser (js/order-email-import.js):
+ *  1. Line items, vendor, order date and charges are read from a pasted email
+ *  2. Shipping and tax are spread across bullion lines by cost
+ *  3. A quoted-printable .eml message is decoded before parsing
+ *  4. Pasted drafts open the import review as additions only
+ */
+
+const APMEX_EMAIL = `Thank you for your order!
+Order #12345678
+Order Date: March 4, 2025
+
+Item  Qty  Price  Total
+2025 1 oz American Silver Eagle Coin BU  20  $36.50  $730.00
+1/10 oz Gold American Eagle Coin (Random Year)  2  $310.00  $620.00
+Coin Capsule 40mm  20  $0.50  $10.00
+
+Subtotal: $1,360.00
+Shipping: $9.95
+Sales Tax: $0.00
+Order Total: $1,369.95
+Questions? Visit apmex.com`;
+
+const JM_EML = [
+  'From: JM Bullion <orders@jmbullion.com>',
+  'Subject: Order Confirmation #JM-99812',
+  'Date: Tue, 11 Feb 2025 14:22:01 -0600',
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  '10 oz Silver Bar =E2=80=93 Asahi',
+  'Quantity: 3',
+  'Price: $312.40',
+  'Total: $937.20',
+  '',
+  'Tax: $12.50',
+].join('\r\n');
+
+test.describe('Order Email Import', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Line items, vendor, order date and charges are read from a pasted email', async ({ page }) => {
+    const order = await page.evaluate((text) => parseOrderEmail(text), APMEX_EMAIL);
+    expect(order.purchaseLocation).toBe('APMEX');
+    expect(order.orderNumber).toBe('12345678');
+    expect(order.date).toBe('2025-03-04');
+    expect(order.charges.shipping).toBeCloseTo(9.95);
+    expect(order.lines.map((l) => [l.name, l.qty, l.unitPrice])).toEqual([
+      ['2025 1 oz American Silver Eagle Coin BU', 20, 36.5],
+      ['1/10 oz Gold American Eagle Coin (Random Year)', 2, 310],
+      ['Coin Capsule 40mm', 20, 0.5],
+    ]);
+  });
+
+  test('Shipping and tax are spread across bullion lines by cost', async ({ page }) => {
+    const drafts = await page.evaluate((text) => {
+      const { items, skipped, allocated } = buildOrderDraftItems(parseOrderEmail(text));
+      return {
+        rows: items.map((i) => [i.metal, i.weight, i.price, i.purchaseLocation]),
+        skipped,
+        allocated,
+      };
+    }, APMEX_EMAIL);
+    expect(drafts.rows).toEqual([
+      ['Silver', 1, 36.77, 'APMEX'],
+      ['Gold', 0.1, 312.29, 'APMEX'],
+    ]);
+    expect(drafts.allocated).toEqual([5.38, 4.57]);
+    expect(drafts.skipped).toHaveLength(1);
+  });
+
+  test('A quoted-printable .eml message is decoded before parsing', async ({ page }) => {
+    const order = await page.evaluate((raw) => {
+      const email = readOrderEmail(raw);
+      return parseOrderEmail(email.text, email);
+    }, JM_EML);
+    expect(order.purchaseLocation).toBe('JM Bullion');
+    expect(order.orderNumber).toBe('JM-99812');
+    expect(order.date).toBe('2025-02-11');
+    expect(order.lines).toEqual([{ name: '10 oz Silver Bar – Asahi', qty: 3, unitPrice: 312.4, lineTotal: 937.2 }]);
+    expect(order.charges.tax).toBeCloseTo(12.5);
+  });
+
+  test('Pasted drafts open the import review as additions only', async ({ page }) => {
+    await page.evaluate(() => showOrderEmailModal());
+    await page.fill('#orderEmailText', APMEX_EMAIL);
+    await expect(page.locator('#orderEmailPreview tbody tr')).toHaveCount(2);
+    await expect(page.locator('#orderEmailPreview')).toContainText('Skipped (no precious metal)');
+
+    await page.locator('#orderEmailImportBtn').click();
+    await expect(page.locator('#diffReviewModal')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('#diffReviewSummary')).toContainText('+2 added');
+    await expect(page.locator('#diffReviewSummary')).not.toContainText('deleted');
+  });
+});
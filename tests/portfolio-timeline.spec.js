@@ -0,0 +1,59 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Portfolio Timeline Tests
+ *
+ * Covers the value-over-time chart (js/portfolio-timeline.js):
+ *  1. Replay adds holdings on purchase dates and drops them on disposition dates
+ *  2. Details modal shows the Value Over Time panel with granularity buttons
+ */
+
+test.describe('Portfolio Timeline', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Replay adds holdings on purchase dates and drops them on disposition dates', async ({ page }) => {
+    const timeline = await page.evaluate(() => {
+      const items = [
+        { metal: 'Silver', weight: 1, qty: 10, price: 25, purity: 1, date: '2024-01-02' },
+        {
+          metal: 'Silver', weight: 1, qty: 5, price: 24, purity: 1, date: '2024-01-02',
+          disposition: { type: 'sold', date: '2024-02-10', amount: 130, acquiredDate: '2024-01-02' }
+        },
+        { metal: 'Gold', weight: 1, qty: 1, price: 2000, purity: 1, date: '2024-03-01' },
+        { metal: 'Gold', weight: 1, qty: 1, price: 1900, purity: 1, date: '' },
+      ];
+      const spot = {
+        Silver: { labels: ['2023-12-29', '2024-02-01'], data: [24, 23] },
+        Gold: { labels: ['2024-02-28'], data: [2100] },
+      };
+      return buildPortfolioTimeline(items, spot, { granularity: 'month', endDate: '2024-04-05' });
+    });
+
+    expect(timeline.labels).toEqual(['2024-01-31', '2024-02-29', '2024-03-31', '2024-04-05']);
+    expect(timeline.undatedCount).toBe(1);
+    // Jan: 15 oz silver @ 24; Feb: 5 sold, 10 oz @ 23; Mar+: gold added @ 2100
+    expect(timeline.total.melt).toEqual([360, 230, 2330, 2330]);
+    expect(timeline.total.cost).toEqual([370, 250, 2250, 2250]);
+    expect(timeline.metals.Gold.gain).toEqual([0, 0, 100, 100]);
+  });
+
+  test('Details modal shows the Value Over Time panel', async ({ page }) => {
+    await page.locator('#newItemBtn').click();
+    await page.selectOption('#itemMetal', 'Silver');
+    await page.fill('#itemModal #itemName', 'Timeline Test Round');
+    await page.fill('#itemQty', '1');
+    await page.fill('#itemWeight', '1');
+    await page.fill('#itemPrice', '30');
+    await page.fill('#itemDate', '2025-06-02');
+    await page.locator('#itemModalSubmit').click();
+
+    await page.evaluate(() => showDetailsModal('All'));
+    await expect(page.locator('#portfolioTimelinePanel')).toBeVisible();
+    await expect(page.locator('#portfolioTimelineGranularity .chart-metric-btn')).toHaveCount(3);
+    await expect(page.locator('#portfolioTimelineNote')).toContainText('historical spot');
+  });
+});
@@ -0,0 +1,190 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Portfolio E2E Tests
+ *
+ * Covers named portfolios inside one inventory (js/portfolios.js):
+ *  1. Header switcher appears once a second portfolio exists
+ *  2. New items land in the active portfolio and totals follow the switcher
+ *  3. Deleting a portfolio moves its items to the default portfolio
+ *  4. Importing into a portfolio skips items that live in another portfolio
+ *  5. Lot matching for a sale stays inside the item's portfolio
+ *  6. The tax report covers the active portfolio only
+ */
+
+/**
+ * Add a silver coin to inventory via the item modal.
+ * @param {import('@playwright/test').Page} page
+ * @param {string} name - Item name
+ * @param {string} price - Purchase price string
+ */
+const addSilverItem = async (page, name, price = '30') => {
+  await page.locator('#newItemBtn').click();
+  await expect(page.locator('#itemModal')).toBeVisible();
+  await page.selectOption('#itemMetal', 'Silver');
+  await page.selectOption('#itemType', 'Coin');
+  await page.fill('#itemName', name);
+  await page.fill('#itemQty', '1');
+  await page.fill('#itemWeight', '1');
+  await page.fill('#itemPrice', price);
+  await page.locator('#itemModalSubmit').click();
+  await page.waitForTimeout(500);
+};
+
+/**
+ * Create a portfolio from Settings → Site → Portfolios and close settings.
+ * @param {import('@playwright/test').Page} page
+ * @param {string} name - Portfolio name
+ */
+const createPortfolioInSettings = async (page, name) => {
+  await page.locator('#settingsBtn').click();
+  await page.locator('#settingsModal .settings-nav-item[data-section="site"]').click();
+  await page.fill('#portfolioNewName', name);
+  await page.locator('#portfolioAddBtn').click();
+  await expect(page.locator('#portfolioSettingsList')).toContainText('0 items');
+  await page.keyboard.press('Escape');
+};
+
+test.describe('Portfolios', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+
+    // Clear all existing data via Storage settings
+    await page.locator('#settingsBtn').click();
+    const storageTab = page.locator('#settingsModal .settings-nav-item[data-section="storage"]');
+    if (await storageTab.isVisible()) {
+      await storageTab.click();
+      const wipeBtn = page.locator('#boatingAccidentBtn');
+      if (await wipeBtn.isVisible()) {
+        await wipeBtn.click();
+        await expect(page.locator('#appDialogModal')).toBeVisible();
+        await page.locator('#appDialogOk').click();
+        await expect(page.locator('#appDialogMessage')).toContainText('erased');
+        await page.locator('#appDialogOk').click();
+        await expect(page.locator('#appDialogModal')).not.toBeVisible();
+      }
+    }
+    await page.keyboard.press('Escape');
+  });
+
+  test('Header switcher appears once a second portfolio exists', async ({ page }) => {
+    await expect(page.locator('#portfolioSwitcherWrap')).toBeHidden();
+
+    await createPortfolioInSettings(page, 'IRA');
+
+    await expect(page.locator('#portfolioSwitcherWrap')).toBeVisible();
+    const options = await page.locator('#portfolioSwitcher option').allTextContents();
+    expect(options).toEqual(['All portfolios', 'Personal', 'IRA']);
+  });
+
+  test('New items land in the active portfolio and totals follow the switcher', async ({ page }) => {
+    await createPortfolioInSettings(page, 'IRA');
+    await addSilverItem(page, 'Personal Eagle');
+
+    await page.selectOption('#portfolioSwitcher', 'ira');
+    await addSilverItem(page, 'IRA Maple');
+    await addSilverItem(page, 'IRA Britannia');
+
+    const stored = await page.evaluate(() => window.inventory
+      .filter(i => i.name.startsWith('IRA') || i.name === 'Personal Eagle')
+      .map(i => [i.name, i.portfolio]));
+    expect(stored).toEqual(expect.arrayContaining([
+      ['Personal Eagle', 'default'], ['IRA Maple', 'ira'], ['IRA Britannia', 'ira']
+    ]));
+
+    await expect(page.locator('#totalItemsAll')).toHaveText('2');
+    await expect(page.locator('.total-card-all .total-title')).toContainText('IRA');
+
+    await page.selectOption('#portfolioSwitcher', 'all');
+    await expect(page.locator('#totalItemsAll')).toHaveText('3');
+    await expect(page.locator('#portfolioBreakdown')).toBeVisible();
+  });
+
+  test('Deleting a portfolio moves its items to the default portfolio', async ({ page }) => {
+    await createPortfolioInSettings(page, 'Business');
+    await page.selectOption('#portfolioSwitcher', 'business');
+    await addSilverItem(page, 'Business Bar');
+
+    await page.locator('#settingsBtn').click();
+    await page.locator('#settingsModal .settings-nav-item[data-section="site"]').click();
+    await page.locator('#portfolioSettingsList .portfolio-settings-row', { hasText: '1 item' })
+      .locator('button', { hasText: 'Delete' }).click();
+    await expect(page.locator('#appDialogModal')).toBeVisible();
+    await page.locator('#appDialogOk').click();
+    await page.keyboard.press('Escape');
+
+    const portfolio = await page.evaluate(() =>
+      window.inventory.find(i => i.name === 'Business Bar').portfolio);
+    expect(portfolio).toBe('default');
+    await expect(page.locator('#portfolioSwitcherWrap')).toBeHidden();
+  });
+
+  test('Importing into a portfolio skips items that live in another portfolio', async ({ page }) => {
+    await page.evaluate(() => {
+      savePortfolios([{ id: 'default', name: 'Personal' }, { id: 'ira', name: 'IRA' }]);
+      saveDataSync(ACTIVE_PORTFOLIO_KEY, 'ira');
+      inventory.length = 0;
+      inventory.push({ uuid: 'pf-personal', serial: 1, name: 'Personal Eagle', metal: 'Silver', type: 'Coin', qty: 1, weight: 1, purity: 0.999, price: 30, date: '2024-01-01', portfolio: 'default' });
+      showImportDiffReview([
+        { uuid: 'pf-personal', serial: 1, name: 'Personal Eagle', metal: 'Silver', type: 'Coin', qty: 1, weight: 1, purity: 0.999, price: 30, date: '2024-01-01' },
+        { uuid: 'pf-new', serial: 2, name: 'IRA Maple', metal: 'Silver', type: 'Coin', qty: 1, weight: 1, purity: 0.9999, price: 32, date: '2024-02-01' },
+      ], { type: 'json', label: 'test.json' }, {}, null);
+    });
+    await expect(page.locator('#diffReviewModal')).toBeVisible({ timeout: 10000 });
+    await expect(page.locator('#diffReviewSummary')).toContainText('+1 added');
+    await page.locator('#diffReviewApplyBtn').click();
+
+    const result = await page.evaluate(() => inventory.map(i => [i.uuid, getItemPortfolioId(i)]));
+    expect(result).toEqual(expect.arrayContaining([['pf-personal', 'default'], ['pf-new', 'ira']]));
+    expect(result).toHaveLength(2);
+  });
+
+  test('Lot matching for a sale stays inside the item\'s portfolio', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      savePortfolios([{ id: 'default', name: 'Personal' }, { id: 'ira', name: 'IRA' }]);
+      inventory.length = 0;
+      inventory.push(
+        { uuid: 'pf-ira-old', serial: 1, name: 'Silver Eagle', metal: 'Silver', type: 'Coin', qty: 5, weight: 1, purity: 0.999, price: 20, date: '2019-01-01', portfolio: 'ira' },
+        { uuid: 'pf-personal-new', serial: 2, name: 'Silver Eagle', metal: 'Silver', type: 'Coin', qty: 5, weight: 1, purity: 0.999, price: 30, date: '2024-01-01', portfolio: 'default' },
+      );
+      const lots = getMatchingLots(1);
+      const plan = planLotAllocation(lots, 2, 'fifo');
+      applyLotDisposition(plan.allocations, { type: 'sold', date: '2025-01-02', amount: 70, currency: 'USD', lotMethod: 'fifo' });
+      return {
+        lots: lots.map(l => l.item.uuid),
+        ira: inventory.find(i => i.uuid === 'pf-ira-old'),
+        sold: inventory.filter(i => isDisposed(i)).map(i => [getItemPortfolioId(i), i.qty, i.disposition.costBasis]),
+      };
+    });
+    expect(result.lots).toEqual(['pf-personal-new']);
+    expect(result.ira.qty).toBe(5);
+    expect(result.ira.disposition).toBeUndefined();
+    expect(result.sold).toEqual([['default', 2, 60]]);
+  });
+
+  test('The tax report covers the active portfolio only', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      savePortfolios([{ id: 'default', name: 'Personal' }, { id: 'ira', name: 'IRA' }]);
+      const sold = (uuid, portfolio, gain) => ({
+        uuid, serial: 1, name: `${portfolio} Eagle`, metal: 'Silver', type: 'Coin', qty: 1, weight: 1, purity: 0.999, price: 30, date: '2023-01-01', portfolio,
+        disposition: { type: 'sold', date: '2024-06-01', amount: 30 + gain, realizedGainLoss: gain, qty: 1, costBasis: 30 },
+      });
+      inventory.length = 0;
+      inventory.push(sold('tx-personal', 'default', 10), sold('tx-ira', 'ira', 500));
+      saveDataSync(ACTIVE_PORTFOLIO_KEY, 'default');
+      const personal = buildTaxReportRows('2024');
+      saveDataSync(ACTIVE_PORTFOLIO_KEY, 'all');
+      const all = buildTaxReportRows('2024');
+      return {
+        personal: personal.map(r => [r.uuid, r.portfolio]),
+        personalGain: summarizeTaxReport(personal).total.gainLoss,
+        all: all.length,
+      };
+    });
+    expect(result.personal).toEqual([['tx-personal', 'Personal']]);
+    expect(result.personalGain).toBe(10);
+    expect(result.all).toBe(2);
+  });
+});
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Premium Report Tests
+ *
+ * Covers the premium-over-spot report (js/premium-report.js):
+ *  1. Purchases group by product and missing spot is looked up from history
+ *  2. Product groups match the retail-feed coin of the same metal and weight
+ *  3. Details modal shows the Premiums Paid panel
+ */
+
+test.describe('Premium Report', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Purchases group by product and missing spot is looked up from history', async ({ page }) => {
+    const report = await page.evaluate(() => {
+      const items = [
+        { name: '2024 American Silver Eagle', metal: 'Silver', weight: 1, qty: 10, price: 33, purity: 1, date: '2024-03-02', spotPriceAtPurchase: 0 },
+        { name: '2025 American Silver Eagle BU', metal: 'Silver', weight: 1, qty: 5, price: 36, purity: 1, date: '2025-01-10', spotPriceAtPurchase: 30 },
+        { name: 'Walking Liberty 1 oz Silver Round', metal: 'Silver', weight: 1, qty: 20, price: 27, purity: 1, date: '2025-01-10', spotPriceAtPurchase: 30 },
+        { name: 'Gifted Round', metal: 'Silver', weight: 1, qty: 1, price: 0, purity: 1, date: '2025-01-10' },
+        { name: 'Old Eagle', metal: 'Silver', weight: 1, qty: 1, price: 20, purity: 1, date: '' },
+      ];
+      // Saturday purchase uses Friday's close
+      const spot = { Silver: { labels: ['2024-03-01', '2024-03-04'], data: [24, 25] } };
+      const result = buildPremiumReport(items, spot, { retailPremium: () => null });
+      return {
+        groups: result.groups.map(g => [g.name, g.units, +g.perOz.toFixed(2), g.aboveMedianCount]),
+        spots: result.groups[0].purchases.map(p => [p.spot, p.spotSource]),
+        median: result.medians.Silver,
+        excluded: result.excluded,
+      };
+    });
+    expect(report.groups).toEqual([
+      ['American Silver Eagle', 15, 8, 1],
+      ['Walking Liberty 1 oz Silver Round', 20, -3, 0],
+    ]);
+    expect(report.spots).toEqual([[30, 'item'], [24, 'history']]);
+    // Premiums 20%, 37.5% and -10% → median 20%
+    expect(report.median).toBeCloseTo(20);
+    expect(report.excluded).toEqual({ noPrice: 1, noSpot: 1 });
+  });
+
+  test('Product groups match the retail-feed coin of the same metal and weight', async ({ page }) => {
+    const slugs = await page.evaluate(() => [
+      findRetailSlugForProduct('American Silver Eagle', 'Silver', 1),
+      findRetailSlugForProduct('American Gold Eagle', 'Gold', 1),
+      findRetailSlugForProduct('American Gold Eagle', 'Gold', 0.1),
+      findRetailSlugForProduct('Buffalo 1 oz Silver Round', 'Silver', 1),
+      findRetailSlugForProduct('Silver Bar', 'Silver', 10),
+    ]);
+    expect(slugs).toEqual(['ase', 'age', null, 'generic-silver-round', 'generic-silver-bar-10oz']);
+  });
+
+  test('Details modal shows the Premiums Paid panel', async ({ page }) => {
+    await page.locator('#newItemBtn').click();
+    await page.selectOption('#itemMetal', 'Silver');
+    await page.fill('#itemModal #itemName', 'Premium Test Round');
+    await page.fill('#itemQty', '1');
+    await page.fill('#itemWeight', '1');
+    await page.fill('#itemPrice', '60');
+    await page.fill('#itemDate', '2025-06-02');
+    await page.locator('#itemModalSubmit').click();
+
+    await page.evaluate(() => showDetailsModal('All'));
+    await expect(page.locator('#premiumReportPanel')).toBeVisible();
+    const toggle = page.locator('#premiumReportTable .premium-report-toggle').first();
+    await expect(toggle).toContainText('Premium Test Round');
+    await toggle.click();
+    await expect(page.locator('#premiumReportTable .premium-report-purchase').first()).toBeVisible();
+    await expect(page.locator('#premiumReportNote')).toContainText('median premium');
+  });
+});
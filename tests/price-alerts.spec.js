@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Price Alert Tests
+ *
+ * Covers alert rules in Settings → Alerts (js/price-alerts.js):
+ *  1. Rules added from the form are listed with a readable description
+ *  2. A spot crossing fires once, logs, and re-arms after the condition clears
+ *  3. Snoozed rules do not fire
+ */
+
+test.describe('Price Alerts', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+    await page.evaluate(() => {
+      localStorage.removeItem('priceAlerts');
+      localStorage.removeItem('priceAlertLog');
+      spotPrices.gold = 2700;
+      spotPrices.silver = 30;
+    });
+  });
+
+  test('Rules added from the form are listed with a readable description', async ({ page }) => {
+    await page.locator('#settingsBtn').click();
+    await page.locator('#settingsModal .settings-nav-item[data-section="alerts"]').click();
+    await expect(page.locator('#settingsPanel_alerts')).toBeVisible();
+
+    await page.selectOption('#priceAlertType', 'spot');
+    await page.selectOption('#priceAlertMetal', 'Gold');
+    await page.selectOption('#priceAlertDirection', 'above');
+    await page.fill('#priceAlertThreshold', '2800');
+    await page.locator('#priceAlertAddBtn').click();
+
+    const row = page.locator('#priceAlertList .price-alert-row');
+    await expect(row).toHaveCount(1);
+    await expect(row).toContainText('Gold spot above');
+    await expect(row).toContainText('Watching');
+
+    await page.selectOption('#priceAlertType', 'change');
+    await expect(page.locator('#priceAlertDirection option[value="below"]')).toHaveText('down by');
+  });
+
+  test('A spot crossing fires once, logs, and re-arms after the condition clears', async ({ page }) => {
+    const counts = await page.evaluate(() => {
+      addPriceAlert({ type: 'spot', metal: 'Gold', direction: 'above', threshold: 2800 });
+      const before = evaluatePriceAlerts('spot').length;
+      spotPrices.gold = 2850;
+      const first = evaluatePriceAlerts('spot').length;
+      const repeat = evaluatePriceAlerts('spot').length;
+      spotPrices.gold = 2750;
+      evaluatePriceAlerts('spot');
+      spotPrices.gold = 2900;
+      const rearmed = evaluatePriceAlerts('spot').length;
+      return { before, first, repeat, rearmed, logged: getPriceAlertLog().length };
+    });
+    expect(counts).toEqual({ before: 0, first: 1, repeat: 0, rearmed: 1, logged: 2 });
+  });
+
+  test('Snoozed rules do not fire', async ({ page }) => {
+    const fired = await page.evaluate(() => {
+      const { rule } = addPriceAlert({ type: 'ratio', direction: 'above', threshold: 95 });
+      snoozePriceAlert(rule.id, '1h');
+      spotPrices.silver = 25; // ratio 108
+      return evaluatePriceAlerts('spot').length;
+    });
+    expect(fired).toBe(0);
+  });
+});
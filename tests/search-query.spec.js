@@ -0,0 +1,98 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Search Query Tests
+ *
+ * Covers the structured search syntax (js/search-query.js):
+ *  1. Field terms, ranges and boolean operators select the right items
+ *  2. Parse errors are reported and highlighted in the search bar
+ *  3. Disposition queries see disposed items the filter would hide
+ *  4. Smart filters save from the search bar and show as chips
+ */
+
+const ITEMS = [
+  { uuid: 'sq-1', name: 'American Silver Eagle', metal: 'Silver', type: 'Coin', qty: 20, weight: 1, purity: 0.999, price: 600, year: '2021', date: '2021-05-01', storageLocation: 'Bank Box' },
+  { uuid: 'sq-2', name: 'Gold Buffalo', metal: 'Gold', type: 'Coin', qty: 1, weight: 1, purity: 0.9999, price: 2000, year: '2023', date: '2023-02-11', storageLocation: 'bank box 2' },
+  { uuid: 'sq-3', name: 'Gold Round', metal: 'Gold', type: 'Round', qty: 1, weight: 1, purity: 0.999, price: 1900, year: '2022', date: '2022-08-15', storageLocation: 'Bank Box' },
+  { uuid: 'sq-4', name: 'Silver Round', metal: 'Silver', type: 'Round', qty: 5, weight: 0.5, purity: 0.999, price: 70, year: '2019', date: '2019-01-01', disposition: { type: 'sold', date: '2024-03-02', amount: 90 } },
+];
+
+test.describe('Search Query', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+    await page.evaluate((items) => {
+      inventory.length = 0;
+      inventory.push(...items.map(i => ({ ...i })));
+      addItemTag('sq-3', 'junk');
+      saveDataSync(SMART_FILTERS_KEY, []);
+    }, ITEMS);
+  });
+
+  test('Field terms, ranges and boolean operators select the right items', async ({ page }) => {
+    const results = await page.evaluate(() => {
+      const run = (query) => {
+        const { ast } = parseSearchQuery(query);
+        return inventory.filter(item => evaluateSearchQuery(ast, item)).map(item => item.uuid);
+      };
+      return {
+        example: run('metal:gold weight>=1 year:2020..2024 -tag:junk location:"bank box" (type:coin OR type:round)'),
+        comma: run('type:round, year:..2021'),
+        exact: run('location="Bank Box"'),
+        not: run('NOT metal:silver price:<1950'),
+        structured: [isStructuredSearchQuery('gold, silver'), isStructuredSearchQuery('metal:gold')],
+      };
+    });
+    expect(results.example).toEqual(['sq-2']);
+    expect(results.comma).toEqual(['sq-1', 'sq-3', 'sq-4']);
+    expect(results.exact).toEqual(['sq-1', 'sq-3']);
+    expect(results.not).toEqual(['sq-3']);
+    expect(results.structured).toEqual([false, true]);
+  });
+
+  test('Parse errors are reported and highlighted in the search bar', async ({ page }) => {
+    const errors = await page.evaluate(() => ['(type:coin', 'year:20x', 'is:shiny'].map(q => parseSearchQuery(q).error.message));
+    expect(errors[0]).toContain('closing parenthesis');
+    expect(errors[1]).toContain('expects a number');
+    expect(errors[2]).toContain('is:disposed');
+
+    await page.fill('#searchInput', 'metal:gold year:20x');
+    await expect(page.locator('#searchQueryHighlight .sq-field').first()).toHaveText('metal:');
+    await expect(page.locator('#searchQueryHighlight .sq-error')).toHaveText('year:20x');
+    await expect(page.locator('#searchInput')).toHaveAttribute('aria-invalid', 'true');
+  });
+
+  test('Disposition queries see disposed items the filter would hide', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      searchQuery = 'disposition:sold';
+      const sold = filterInventoryAdvanced().map(i => i.uuid);
+      searchQuery = 'type:round';
+      const rounds = filterInventoryAdvanced().map(i => i.uuid);
+      searchQuery = '';
+      return { sold, rounds };
+    });
+    expect(result.sold).toEqual(['sq-4']);
+    expect(result.rounds).toEqual(['sq-3']);
+  });
+
+  test('Smart filters save from the search bar and show as chips', async ({ page }) => {
+    const suggestions = await page.evaluate(() => getSearchQuerySuggestions('type:r').items.map(s => s.insert));
+    expect(suggestions).toEqual(['type:Round ']);
+
+    await page.fill('#searchInput', 'metal:gold type:coin');
+    await expect(page.locator('#saveSearchPatternGroup')).toBeVisible();
+    const result = await page.evaluate(() => {
+      const saved = saveSmartFilter('Gold coins', 'metal:gold type:coin');
+      clearAllFilters();
+      return { saved, synced: SYNC_SCOPE_KEYS.includes(SMART_FILTERS_KEY), counts: countSmartFilters() };
+    });
+    expect(result.saved.success).toBe(true);
+    expect(result.synced).toBe(true);
+    expect(result.counts[result.saved.id]).toMatchObject({ label: 'Gold coins', count: 1 });
+
+    await page.locator('#activeFilters .filter-chip', { hasText: 'Gold coins' }).click();
+    await expect(page.locator('#searchInput')).toHaveValue('metal:gold type:coin');
+    expect(await page.evaluate(() => filterInventoryAdvanced().map(i => i.uuid))).toEqual(['sq-2']);
+  });
+});
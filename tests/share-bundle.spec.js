@@ -0,0 +1,90 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Share Bundle Tests
+ *
+ * Covers selective sharing and shared collections (js/share-bundle.js):
+ *  1. Only core fields and the chosen field groups are exported
+ *  2. Encrypted bundles need the password and import as shared collections
+ *  3. An encrypted bundle opened through Restore Backup leaves the inventory alone
+ *  4. Bulk edit shares the selected items
+ */
+
+const ITEMS = [
+  {
+    uuid: 'share-test-1', name: '2024 American Silver Eagle', metal: 'Silver', type: 'Coin', qty: 2, weight: 1, purity: 0.999,
+    price: 34, date: '2024-05-01', storageLocation: 'Safe deposit box', grade: 'MS70', gradingAuthority: 'PCGS', notes: 'Gift',
+  },
+  { uuid: 'share-test-2', name: '1 oz Gold Buffalo', metal: 'Gold', type: 'Coin', qty: 1, weight: 1, purity: 0.9999, price: 2400, storageLocation: 'Home safe' },
+];
+
+test.describe('Share Bundles', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Only core fields and the chosen field groups are exported', async ({ page }) => {
+    const bundle = await page.evaluate((items) => buildShareBundle(items, {
+      title: 'Appraisal',
+      groups: ['grading'],
+      includeImages: false,
+    }), ITEMS);
+    expect(bundle._meta.type).toBe('staktrakr-share');
+    expect(bundle._meta.title).toBe('Appraisal');
+    expect(bundle._meta.itemCount).toBe(2);
+    expect(bundle.items[0]).toEqual({
+      uuid: 'share-test-1', name: '2024 American Silver Eagle', metal: 'Silver', type: 'Coin', qty: 2, weight: 1, purity: 0.999,
+      grade: 'MS70', gradingAuthority: 'PCGS',
+    });
+    expect(bundle.items[1].price).toBeUndefined();
+    expect(bundle.items[1].storageLocation).toBeUndefined();
+  });
+
+  test('Encrypted bundles need the password and import as shared collections', async ({ page }) => {
+    const result = await page.evaluate(async (items) => {
+      const bundle = await buildShareBundle(items, { title: 'For heirs', groups: ['purchase'], includeImages: false });
+      const bytes = await encodeShareBundle(bundle, 'heirloom-pass');
+      let missing = null;
+      try { await readShareFile(bytes); } catch (err) { missing = err.message; }
+      const read = await readShareFile(bytes, 'heirloom-pass');
+      const collection = await importSharedCollection(read);
+      return {
+        missing,
+        title: collection.title,
+        prices: collection.items.map(i => i.price),
+        stored: getSharedCollections().map(c => c.id).includes(collection.id),
+        inventoryHasShared: inventory.some(i => i.uuid === 'share-test-1'),
+      };
+    }, ITEMS);
+    expect(result.missing).toContain('password');
+    expect(result.title).toBe('For heirs');
+    expect(result.prices).toEqual([34, 2400]);
+    expect(result.stored).toBe(true);
+    expect(result.inventoryHasShared).toBe(false);
+  });
+
+  test('An encrypted bundle opened through Restore Backup leaves the inventory alone', async ({ page }) => {
+    const result = await page.evaluate(async (items) => {
+      const before = inventory.length;
+      const bundle = await buildShareBundle(items, { title: 'Via restore', includeImages: false });
+      await importEncryptedBackup(await encodeShareBundle(bundle, 'restore-pass'), 'restore-pass');
+      return { unchanged: inventory.length === before, titles: getSharedCollections().map(c => c.title) };
+    }, ITEMS);
+    expect(result.unchanged).toBe(true);
+    expect(result.titles).toContain('Via restore');
+  });
+
+  test('Bulk edit shares the selected items', async ({ page }) => {
+    await page.evaluate(() => openBulkEdit());
+    await page.locator('#bulkEditTableWrap tbody tr input[type="checkbox"]').first().check();
+    await page.locator('#bulkEditFooter button', { hasText: 'Share Selected (1)' }).click();
+    await expect(page.locator('#shareExportModal')).toBeVisible();
+    await expect(page.locator('#shareExportSummary')).toContainText('1 selected item');
+    // Purchase price and storage location are left out unless ticked
+    await expect(page.locator('[data-share-group="purchase"]')).not.toBeChecked();
+    await expect(page.locator('[data-share-group="storage"]')).not.toBeChecked();
+    await expect(page.locator('[data-share-group="grading"]')).toBeChecked();
+  });
+});
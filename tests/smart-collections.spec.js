@@ -0,0 +1,135 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Smart Collections Tests
+ *
+ * Covers saved views (js/smart-collections.js):
+ *  1. Saving captures filters, sort, hidden columns and card style
+ *  2. Totals are computed per collection without changing the live view
+ *  3. Applying a collection restores its view and hides its columns
+ *  4. The sidebar lists collections with live counts and switches between them
+ */
+
+const ITEMS = [
+  { uuid: 'sc-1', name: 'American Silver Eagle', metal: 'Silver', type: 'Coin', qty: 10, weight: 1, purity: 0.999, price: 300, date: '2021-05-01' },
+  { uuid: 'sc-2', name: 'Gold Buffalo', metal: 'Gold', type: 'Coin', qty: 1, weight: 1, purity: 0.9999, price: 2000, date: '2023-02-11' },
+  { uuid: 'sc-3', name: 'Gold Bar', metal: 'Gold', type: 'Bar', qty: 2, weight: 1, purity: 0.9999, price: 1900, date: '2022-08-15' },
+  { uuid: 'sc-4', name: 'Sold Gold Round', metal: 'Gold', type: 'Round', qty: 1, weight: 1, purity: 0.999, price: 1800, date: '2019-01-01', disposition: { type: 'sold', date: '2024-03-02', amount: 2100 } },
+];
+
+test.describe('Smart Collections', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+    await page.evaluate((items) => {
+      inventory.length = 0;
+      inventory.push(...items.map(i => ({ ...i })));
+      saveDataSync(SMART_COLLECTIONS_KEY, []);
+      spotPrices.gold = 2500;
+      spotPrices.silver = 30;
+      clearAllFilters();
+    }, ITEMS);
+  });
+
+  test('Saving captures filters, sort, hidden columns and card style', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      activeFilters = { metal: { values: ['Gold'], exclude: false } };
+      sortColumn = 7;
+      sortDirection = 'desc';
+      localStorage.setItem(CARD_STYLE_KEY, 'D');
+      const missing = saveSmartCollection('  ');
+      const saved = saveSmartCollection('Gold stack', ['weight', 'purchaseLocation', 'bogus']);
+      const duplicate = saveSmartCollection('gold STACK');
+      return {
+        missing, saved, duplicate,
+        stored: getSmartCollections()[0],
+        synced: SYNC_SCOPE_KEYS.includes(SMART_COLLECTIONS_KEY),
+        backedUp: ALLOWED_STORAGE_KEYS.includes(SMART_COLLECTIONS_KEY),
+      };
+    });
+    expect(result.missing.success).toBe(false);
+    expect(result.saved.success).toBe(true);
+    expect(result.duplicate.error).toContain('already exists');
+    expect(result.stored).toMatchObject({
+      name: 'Gold stack',
+      view: { filters: { metal: { values: ['Gold'], exclude: false } }, query: '', disposedMode: 'hide' },
+      sortColumn: 7,
+      sortDirection: 'desc',
+      hiddenColumns: ['weight', 'purchaseLocation'],
+      cardStyle: 'D',
+    });
+    expect(result.synced).toBe(true);
+    expect(result.backedUp).toBe(true);
+  });
+
+  test('Totals are computed per collection without changing the live view', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      setSearchQueryText('metal:gold');
+      saveSmartCollection('Gold');
+      setSearchQueryText('disposition:sold');
+      saveSmartCollection('Sold');
+      setSearchQueryText('type:coin');
+      const totals = Object.fromEntries(getSmartCollections().map(c => [c.name, computeSmartCollectionTotals(getSmartCollectionItems(c))]));
+      return { totals, live: filterInventoryAdvanced().map(i => i.uuid) };
+    });
+    expect(result.totals.Gold).toMatchObject({ items: 2, units: 3, purchase: 5800 });
+    expect(result.totals.Gold.melt).toBeCloseTo(3 * 2500 * 0.9999, 2);
+    expect(result.totals.Gold.gainLoss).toBeCloseTo(result.totals.Gold.retail - 5800, 2);
+    expect(result.totals.Sold).toMatchObject({ items: 1, units: 1, melt: 0, purchase: 0, retail: 0, gainLoss: 0 });
+    expect(result.live).toEqual(['sc-1', 'sc-2']);
+  });
+
+  test('Applying a collection restores its view and hides its columns', async ({ page }) => {
+    await page.setViewportSize({ width: 1600, height: 900 });
+    const id = await page.evaluate(() => {
+      localStorage.setItem(CARD_STYLE_KEY, 'D');
+      activeFilters = { type: { values: ['Coin'], exclude: false } };
+      sortColumn = 7;
+      sortDirection = 'desc';
+      const { id } = saveSmartCollection('Coins by cost', ['weight']);
+      clearAllFilters();
+      sortColumn = 4;
+      sortDirection = 'asc';
+      applySmartCollection(null);
+      applySmartCollection(id);
+      return id;
+    });
+    const state = await page.evaluate(() => ({
+      filters: activeFilters,
+      sortColumn,
+      sortDirection,
+      visible: filterInventoryAdvanced().map(i => i.uuid),
+    }));
+    expect(state).toEqual({ filters: { type: { values: ['Coin'], exclude: false } }, sortColumn: 7, sortDirection: 'desc', visible: ['sc-1', 'sc-2'] });
+    const weightHidden = () => page.evaluate(() => document.querySelector('#inventoryTable thead th[data-column="weight"]').classList.contains('hidden'));
+    expect(await weightHidden()).toBe(true);
+
+    await page.evaluate((collectionId) => applySmartCollection(collectionId), id);
+    expect(await page.evaluate(() => Object.keys(activeFilters).length)).toBe(0);
+    expect(await weightHidden()).toBe(false);
+  });
+
+  test('The sidebar lists collections with live counts and switches between them', async ({ page }) => {
+    await page.evaluate(() => {
+      setSearchQueryText('metal:silver');
+      saveSmartCollection('Silver');
+      clearAllFilters();
+      applySmartCollection(null);
+    });
+    await page.locator('#smartCollectionsBtn').click();
+    const sidebar = page.locator('#smartCollectionsSidebar');
+    await expect(sidebar).toHaveClass(/open/);
+    await expect(sidebar.locator('.smart-collection-row')).toHaveCount(2);
+    await expect(sidebar.locator('.smart-collection-row', { hasText: 'Silver' })).toContainText('1 item');
+
+    await sidebar.locator('.smart-collection-open', { hasText: 'Silver' }).click();
+    await expect(page.locator('#searchInput')).toHaveValue('metal:silver');
+    await expect(sidebar.locator('.smart-collection-row.active')).toContainText('Silver');
+
+    await page.fill('#smartCollectionNameInput', 'Everything silver');
+    await page.locator('#smartCollectionSaveBtn').click();
+    await expect(sidebar.locator('.smart-collection-row')).toHaveCount(3);
+    await expect(sidebar.locator('.smart-collection-row.active')).toContainText('Everything silver');
+  });
+});
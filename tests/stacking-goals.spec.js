@@ -0,0 +1,108 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Stacking Goals Tests
+ *
+ * Covers goals and allocation targets (js/stacking-goals.js):
+ *  1. Goals validate input and measure fine ounces or melt value per metal and type
+ *  2. Allocation targets must total 100% and drift is reported at live spot
+ *  3. Rebalancing splits a budget across underweight metals
+ *  4. The totals cards show goal progress bars and allocation drift
+ */
+
+const ITEMS = [
+  { uuid: 'sg-1', name: 'American Silver Eagle', metal: 'Silver', type: 'Coin', qty: 100, weight: 1, purity: 0.999, price: 3000, date: '2024-01-01' },
+  { uuid: 'sg-2', name: 'Silver Bar', metal: 'Silver', type: 'Bar', qty: 1, weight: 100, purity: 0.999, price: 2900, date: '2024-01-01' },
+  { uuid: 'sg-3', name: 'Gold Buffalo', metal: 'Gold', type: 'Coin', qty: 2, weight: 1, purity: 0.9999, price: 4800, date: '2024-01-01' },
+  { uuid: 'sg-4', name: 'Sold Gold Bar', metal: 'Gold', type: 'Bar', qty: 1, weight: 1, purity: 0.9999, price: 1800, date: '2020-01-01', disposition: { type: 'sold', date: '2024-03-02', amount: 2100 } },
+];
+
+test.describe('Stacking Goals', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+    await page.evaluate((items) => {
+      inventory.length = 0;
+      inventory.push(...items.map(i => ({ ...i })));
+      saveDataSync(STACKING_GOALS_KEY, {});
+      spotPrices.silver = 30;
+      spotPrices.gold = 2500;
+      spotPrices.platinum = 1000;
+      spotPrices.palladium = 1000;
+    }, ITEMS);
+  });
+
+  test('Goals validate input and measure fine ounces or melt value per metal and type', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const bad = addStackingGoal({ metal: 'silver', measure: 'weight', target: '0' });
+      const silver = addStackingGoal({ metal: 'silver', measure: 'weight', target: '500', deadline: '2099-12-31' }).goal;
+      const coins = addStackingGoal({ metal: 'all', type: 'Coin', measure: 'value', target: '10000' }).goal;
+      return {
+        bad,
+        silver: computeGoalProgress(silver),
+        coins: computeGoalProgress(coins),
+        synced: SYNC_SCOPE_KEYS.includes(STACKING_GOALS_KEY),
+        backedUp: ALLOWED_STORAGE_KEYS.includes(STACKING_GOALS_KEY),
+      };
+    });
+    expect(result.bad.error).toContain('greater than zero');
+    expect(result.silver.current).toBeCloseTo(199.8, 2);
+    expect(result.silver.pct).toBeCloseTo(39.96, 2);
+    expect(result.silver.daysLeft).toBeGreaterThan(0);
+    expect(result.coins.current).toBeCloseTo(100 * 0.999 * 30 + 2 * 0.9999 * 2500, 0);
+    expect(result.synced).toBe(true);
+    expect(result.backedUp).toBe(true);
+  });
+
+  test('Allocation targets must total 100% and drift is reported at live spot', async ({ page }) => {
+    const result = await page.evaluate(() => ({
+      bad: setAllocationTargets({ silver: 60, gold: 30 }),
+      ok: setAllocationTargets({ silver: 60, gold: 35, platinum: 5, palladium: '' }),
+      drift: computeAllocationDrift(),
+    }));
+    expect(result.bad.error).toContain('100%');
+    expect(result.ok.error).toBeUndefined();
+    expect(result.drift.map(d => d.metal)).toEqual(['silver', 'gold', 'platinum']);
+    const silver = result.drift[0];
+    // 5994 silver melt vs 4999.5 gold melt
+    expect(silver.currentPct).toBeCloseTo(54.52, 1);
+    expect(silver.driftPct).toBeCloseTo(-5.48, 1);
+    expect(result.drift[2]).toMatchObject({ currentPct: 0, targetPct: 5, driftPct: -5 });
+  });
+
+  test('Rebalancing splits a budget across underweight metals', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const none = suggestRebalance(1000);
+      setAllocationTargets({ silver: 60, gold: 35, platinum: 5 });
+      return { none, plan: suggestRebalance(1000) };
+    });
+    expect(result.none.error).toContain('allocation');
+    const total = result.plan.rows.reduce((sum, r) => sum + r.amount, 0);
+    expect(total).toBeCloseTo(1000, 6);
+    expect(result.plan.rows.map(r => r.metal).sort()).toEqual(['platinum', 'silver']);
+    const silver = result.plan.rows.find(r => r.metal === 'silver');
+    expect(silver.ounces).toBeCloseTo(silver.amount / 30, 6);
+  });
+
+  test('The totals cards show goal progress bars and allocation drift', async ({ page }) => {
+    await page.evaluate(() => {
+      addStackingGoal({ metal: 'silver', measure: 'weight', target: '500' });
+      setAllocationTargets({ silver: 50, gold: 50 });
+      updateSummary();
+    });
+    const silverCard = page.locator('#goalProgressSilver');
+    await expect(silverCard).toBeVisible();
+    await expect(silverCard.locator('.goal-progress-track')).toHaveAttribute('aria-valuenow', '39');
+    await expect(silverCard).toContainText('199.80 oz of 500.00 oz');
+    await expect(silverCard).toContainText('Allocation:');
+    await expect(page.locator('#goalProgressPlatinum')).toBeHidden();
+
+    await page.evaluate(() => showSettingsModal('goals'));
+    await expect(page.locator('#stackingGoalList .goal-row')).toHaveCount(1);
+    await expect(page.locator('#goalAlloc_silver')).toHaveValue('50');
+    await page.fill('#goalRebalanceBudget', '500');
+    await page.locator('#goalRebalanceBtn').click();
+    await expect(page.locator('#goalRebalanceResult')).toContainText('Gold:');
+  });
+});
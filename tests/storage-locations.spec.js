@@ -0,0 +1,84 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Storage Location Tests
+ *
+ * Covers storage location records and audits (js/storage-locations.js):
+ *  1. Locations match items by name and flag an exceeded insured limit
+ *  2. Renaming a location renames it on its items
+ *  3. Finishing an audit records verified and missing items
+ *  4. Settings opens the locations modal with per-location contents
+ */
+
+const ITEMS = [
+  { uuid: 'loc-1', name: 'Silver Eagle', metal: 'Silver', type: 'Coin', qty: 20, weight: 1, purity: 0.999, price: 30, marketValue: 40, storageLocation: 'Home Safe' },
+  { uuid: 'loc-2', name: 'Gold Buffalo', metal: 'Gold', type: 'Coin', qty: 1, weight: 1, purity: 0.9999, price: 2000, marketValue: 2600, storageLocation: 'home safe' },
+  { uuid: 'loc-3', name: '10 oz Bar', metal: 'Silver', type: 'Bar', qty: 1, weight: 10, purity: 0.999, price: 300, marketValue: 350, storageLocation: 'Bank box A' },
+];
+
+test.describe('Storage Locations', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+    await page.evaluate((items) => {
+      inventory.length = 0;
+      inventory.push(...items.map(i => ({ ...i })));
+      saveDataSync(STORAGE_LOCATIONS_KEY, []);
+    }, ITEMS);
+  });
+
+  test('Locations match items by name and flag an exceeded insured limit', async ({ page }) => {
+    const rows = await page.evaluate(() => {
+      saveStorageLocation({ name: 'Home Safe', kind: 'home', insuredLimit: 3000 });
+      return summarizeStorageLocations().map(r => ({
+        name: r.name, hasRecord: !!r.record, items: r.totals.items, retail: r.totals.retail, overLimit: r.overLimit,
+      }));
+    });
+    expect(rows).toEqual([
+      { name: 'Bank box A', hasRecord: false, items: 1, retail: 350, overLimit: false },
+      { name: 'Home Safe', hasRecord: true, items: 2, retail: 3400, overLimit: true },
+    ]);
+  });
+
+  test('Renaming a location renames it on its items', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const { id } = saveStorageLocation({ name: 'Home Safe', kind: 'home' });
+      const duplicate = saveStorageLocation({ name: 'HOME SAFE' });
+      const renamed = saveStorageLocation({ name: 'Basement Safe', kind: 'home' }, id);
+      return { duplicate: duplicate.error, renamed: renamed.renamed, locations: inventory.map(i => i.storageLocation) };
+    });
+    expect(result.duplicate).toContain('already exists');
+    expect(result.renamed).toBe(2);
+    expect(result.locations).toEqual(['Basement Safe', 'Basement Safe', 'Bank box A']);
+  });
+
+  test('Finishing an audit records verified and missing items', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const { id } = saveStorageLocation({ name: 'Home Safe', kind: 'home', auditIntervalDays: 90 });
+      const dueBefore = isStorageAuditDue(findStorageLocation('Home Safe'));
+      startStorageAudit(id);
+      setStorageAuditItem(id, 'loc-1', true);
+      const audit = completeStorageAudit(id);
+      const loc = findStorageLocation('Home Safe');
+      return { dueBefore, dueAfter: isStorageAuditDue(loc), audit, history: loc.audits.length, draft: loc.auditDraft };
+    });
+    expect(result.dueBefore).toBe(true);
+    expect(result.dueAfter).toBe(false);
+    expect(result.audit.verified).toEqual(['loc-1']);
+    expect(result.audit.missing).toEqual([{ uuid: 'loc-2', name: 'Gold Buffalo', qty: 1 }]);
+    expect(result.history).toBe(1);
+    expect(result.draft).toBeUndefined();
+  });
+
+  test('Settings opens the locations modal with per-location contents', async ({ page }) => {
+    await page.evaluate(() => openStorageLocationsModal());
+    await expect(page.locator('#storageLocationsModal')).toBeVisible();
+    await page.locator('#storageLocationList .storage-location-row', { hasText: 'Home Safe' }).click();
+    await expect(page.locator('#storageLocName')).toHaveValue('Home Safe');
+    await expect(page.locator('#storageLocationDetail table tbody tr')).toHaveCount(2);
+    await page.locator('#storageLocLimit').fill('1000');
+    await page.locator('#storageLocSaveBtn').click();
+    await expect(page.locator('#storageLocationList .storage-location-row.over-limit')).toContainText('Home Safe');
+  });
+});
@@ -0,0 +1,201 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Vault Format Tests
+ *
+ * Covers the v2 .stvault format (js/vault.js, js/argon2.js):
+ *  1. Argon2id matches the RFC 9106 test vector
+ *  2. v2 files open with the password or the printable recovery key
+ *  3. Re-keying rewrites only the key slots, never the ciphertext
+ *  4. v1 files still open and upgrade to v2
+ *  5. Headers with out-of-bounds KDF parameters, a null header or a
+ *     non-string IV are rejected
+ *  6. Every Argon2id slot gets a fresh salt; unlock keys are cached per session
+ *  7. An imported v1 cloud backup is upgraded in place
+ */
+
+test.describe('Vault Format v2', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+  });
+
+  test('Argon2id matches the RFC 9106 test vector', async ({ page }) => {
+    const hex = await page.evaluate(() => {
+      const tag = argon2id(new Uint8Array(32).fill(1), new Uint8Array(16).fill(2), {
+        memory: 32, iterations: 3, parallelism: 4, hashLength: 32,
+        secret: new Uint8Array(8).fill(3), ad: new Uint8Array(12).fill(4),
+      });
+      return Array.from(tag, (b) => b.toString(16).padStart(2, '0')).join('');
+    });
+    expect(hex).toBe('0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659');
+  });
+
+  test('v2 vault opens with the password or the recovery key', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const recoveryKey = generateVaultRecoveryKey();
+      const bytes = await vaultSealBytes(new TextEncoder().encode('hello'), 'correct horse', { recoveryKey });
+      const parsed = parseVaultFile(bytes);
+      const decode = async (secret) => new TextDecoder().decode(await vaultDecryptBytes(bytes, secret));
+      let wrong = null;
+      try { await decode('wrong password'); } catch (err) { wrong = err.message; }
+      return {
+        version: parsed.version,
+        slotTypes: parsed.slots.map((s) => s.type),
+        kdf: parsed.slots[0].kdf.name,
+        byPassword: await decode('correct horse'),
+        // Lowercase, spaces instead of dashes — as a user would retype it
+        byRecovery: await decode(recoveryKey.toLowerCase().replace(/-/g, ' ')),
+        wrong,
+      };
+    });
+    expect(result.version).toBe(2);
+    expect(result.slotTypes).toEqual(['password', 'recovery']);
+    expect(result.kdf).toBe('argon2id');
+    expect(result.byPassword).toBe('hello');
+    expect(result.byRecovery).toBe('hello');
+    expect(result.wrong).toContain('Incorrect password');
+  });
+
+  test('re-keying keeps the ciphertext and drops the old password', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const bytes = await vaultSealBytes(new TextEncoder().encode('photos'), 'old password');
+      const rekeyed = await vaultRekeyFile(bytes, 'old password', { password: 'new password' });
+      const before = parseVaultFile(bytes);
+      const after = parseVaultFile(rekeyed);
+      let oldRejected = false;
+      try { await vaultDecryptBytes(rekeyed, 'old password'); } catch (_) { oldRejected = true; }
+      return {
+        sameCiphertext: before.ciphertext.join() === after.ciphertext.join(),
+        plaintext: new TextDecoder().decode(await vaultDecryptBytes(rekeyed, 'new password')),
+        oldRejected,
+      };
+    });
+    expect(result.sameCiphertext).toBe(true);
+    expect(result.plaintext).toBe('photos');
+    expect(result.oldRejected).toBe(true);
+  });
+
+  test('v1 vaults still open and upgrade to v2', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const salt = vaultRandomBytes(32);
+      const iv = vaultRandomBytes(12);
+      const key = await vaultDeriveKey('legacy password', salt, 1000);
+      const ciphertext = await vaultEncrypt(new TextEncoder().encode('v1 data'), key, iv);
+      const v1 = serializeVaultFile(salt, iv, 1000, ciphertext);
+      const upgraded = await vaultUpgradeFile(v1, 'legacy password');
+      return {
+        v1Version: parseVaultFile(v1).version,
+        v1Plaintext: new TextDecoder().decode(await vaultDecryptBytes(v1, 'legacy password')),
+        upgradedVersion: parseVaultFile(upgraded).version,
+        upgradedPlaintext: new TextDecoder().decode(await vaultDecryptBytes(upgraded, 'legacy password')),
+      };
+    });
+    expect(result.v1Version).toBe(1);
+    expect(result.v1Plaintext).toBe('v1 data');
+    expect(result.upgradedVersion).toBe(2);
+    expect(result.upgradedPlaintext).toBe('v1 data');
+  });
+
+  test('rejects key slots with out-of-bounds KDF parameters', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      const bytes = await vaultSealBytes(new TextEncoder().encode('x'), 'password1');
+      const parsed = parseVaultFile(bytes);
+      parsed.slots[0].kdf = { name: 'argon2id', memory: 4 * 1024 * 1024, iterations: 3, parallelism: 1 };
+      const tampered = serializeVaultFileV2(parsed, parsed.ciphertext);
+      try {
+        parseVaultFile(tampered);
+        return null;
+      } catch (err) {
+        return err.message;
+      }
+    });
+    expect(message).toContain('safe limits');
+  });
+
+  test('rejects headers that are null or carry a non-string IV', async ({ page }) => {
+    const messages = await page.evaluate(async () => {
+      const bytes = await vaultSealBytes(new TextEncoder().encode('x'), 'password1');
+      const parsed = parseVaultFile(bytes);
+      const withHeader = (json) => {
+        const header = new TextEncoder().encode(json);
+        const out = new Uint8Array(VAULT_V2_PREFIX_SIZE + header.length + parsed.ciphertext.length);
+        out.set(bytes.subarray(0, VAULT_V2_PREFIX_SIZE));
+        out[10] = (header.length >>> 24) & 0xff;
+        out[11] = (header.length >>> 16) & 0xff;
+        out[12] = (header.length >>> 8) & 0xff;
+        out[13] = header.length & 0xff;
+        out.set(header, VAULT_V2_PREFIX_SIZE);
+        out.set(parsed.ciphertext, VAULT_V2_PREFIX_SIZE + header.length);
+        return out;
+      };
+      const attempt = (json) => {
+        try {
+          parseVaultFile(withHeader(json));
+          return null;
+        } catch (err) {
+          return err.message;
+        }
+      };
+      return [
+        attempt('null'),
+        attempt(JSON.stringify({ iv: 12345, slots: parsed.slots })),
+        attempt(JSON.stringify({ iv: ['AAAA'], slots: parsed.slots })),
+      ];
+    });
+    expect(messages).toEqual(['Not a valid .stvault file.', 'Not a valid .stvault file.', 'Not a valid .stvault file.']);
+  });
+
+  test('gives every Argon2id slot a fresh salt and caches unlock keys for the session', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const plaintext = new TextEncoder().encode('sync');
+      const first = await vaultSealBytes(plaintext, 'session password');
+      const second = await vaultSealBytes(plaintext, 'session password');
+      clearVaultKeyCache();
+      const opened = new TextDecoder().decode(await vaultDecryptBytes(second, 'session password'));
+      const cachedAfterOpen = _vaultArgon2Keys.size;
+      await vaultDecryptBytes(second, 'session password');
+      return {
+        kdf: parseVaultFile(first).slots[0].kdf.name,
+        sameSalt: parseVaultFile(first).slots[0].salt === parseVaultFile(second).slots[0].salt,
+        opened,
+        cachedAfterOpen,
+        cachedAfterReopen: _vaultArgon2Keys.size,
+      };
+    });
+    expect(result.kdf).toBe('argon2id');
+    expect(result.sameSalt).toBe(false);
+    expect(result.opened).toBe('sync');
+    expect(result.cachedAfterOpen).toBe(1);
+    expect(result.cachedAfterReopen).toBe(1);
+  });
+
+  test('an imported v1 cloud backup is upgraded in place', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const salt = vaultRandomBytes(32);
+      const iv = vaultRandomBytes(12);
+      const key = await vaultDeriveKey('legacy password', salt, 1000);
+      const v1 = serializeVaultFile(salt, iv, 1000, await vaultEncrypt(new TextEncoder().encode('v1 data'), key, iv));
+      const replaced = [];
+      window.cloudReplaceBackup = async (provider, filename, bytes) => { replaced.push({ provider, filename, bytes }); };
+      const upgradedV1 = await vaultUpgradeImportedFile(v1, 'legacy password', { provider: 'dropbox', filename: 'old.stvault' });
+      const unnamed = await vaultUpgradeImportedFile(v1, 'legacy password', { provider: 'dropbox', filename: null });
+      const v2 = await vaultUpgradeImportedFile(replaced[0].bytes, 'legacy password', { provider: 'dropbox', filename: 'old.stvault' });
+      return {
+        upgradedV1, unnamed, v2,
+        calls: replaced.length,
+        target: `${replaced[0].provider}/${replaced[0].filename}`,
+        version: parseVaultFile(replaced[0].bytes).version,
+        plaintext: new TextDecoder().decode(await vaultDecryptBytes(replaced[0].bytes, 'legacy password')),
+      };
+    });
+    expect(result.upgradedV1).toBe(true);
+    expect(result.unnamed).toBe(false);
+    expect(result.v2).toBe(false);
+    expect(result.calls).toBe(1);
+    expect(result.target).toBe('dropbox/old.stvault');
+    expect(result.version).toBe(2);
+    expect(result.plaintext).toBe('v1 data');
+  });
+});
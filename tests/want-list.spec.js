@@ -0,0 +1,124 @@
+import { test, expect } from '@playwright/test';
+import { dismissAckModal } from './test-utils.js';
+
+/**
+ * Want List Tests
+ *
+ * Covers wants evaluated against retail prices (js/want-list.js):
+ *  1. Adding a want validates the product and limits
+ *  2. Evaluation picks the cheapest in-stock vendor and fires once when met
+ *  3. Add to inventory pre-fills the item form and counts toward the target
+ *  4. Settings → Want List renders wants by priority with their status
+ */
+
+const RETAIL = {
+  lastSync: '2026-10-01T00:00:00Z',
+  prices: {
+    ase: {
+      median_price: 36,
+      lowest_price: 33,
+      vendors: {
+        jmbullion: { price: 34, inStock: true },
+        apmex: { price: 32, inStock: false },
+        sdbullion: { price: 35.5, inStock: true },
+      },
+    },
+  },
+};
+
+test.describe('Want List', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/');
+    await dismissAckModal(page);
+    await page.evaluate((retail) => {
+      inventory.length = 0;
+      saveDataSync(WANT_LIST_KEY, []);
+      retailPrices = JSON.parse(JSON.stringify(retail));
+      spotPrices.silver = 30;
+      spotPrices.gold = 2500;
+    }, RETAIL);
+  });
+
+  test('Adding a want validates the product and limits', async ({ page }) => {
+    const result = await page.evaluate(() => ({
+      noProduct: addWant({ name: ' ', targetQty: 1, maxPrice: '30' }),
+      noLimit: addWant({ slug: 'ase', targetQty: 1, maxPrice: '', maxPremiumPct: '' }),
+      badQty: addWant({ slug: 'ase', targetQty: 0, maxPrice: '30' }),
+      added: addWant({ slug: 'ase', numistaId: 'N# 1493', targetQty: 10, maxPremiumPct: '10', priority: 'high' }),
+      synced: SYNC_SCOPE_KEYS.includes(WANT_LIST_KEY),
+      backedUp: ALLOWED_STORAGE_KEYS.includes(WANT_LIST_KEY),
+    }));
+    expect(result.noProduct.error).toBeTruthy();
+    expect(result.noLimit.error).toContain('max price');
+    expect(result.badQty.error).toContain('at least 1');
+    expect(result.added.want).toMatchObject({
+      name: 'American Silver Eagle', slug: 'ase', numistaId: '1493',
+      targetQty: 10, acquiredQty: 0, maxPrice: null, maxPremiumPct: 10, priority: 'high',
+    });
+    expect(result.synced).toBe(true);
+    expect(result.backedUp).toBe(true);
+  });
+
+  test('Evaluation picks the cheapest in-stock vendor and fires once when met', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      addWant({ slug: 'ase', targetQty: 5, maxPremiumPct: '10' });
+      const toasts = [];
+      const originalToast = window.showToast;
+      window.showToast = (msg) => toasts.push(msg);
+      const above = evaluateWantList()[0];
+      retailPrices.prices.ase.vendors.jmbullion.price = 32.5;
+      const met = evaluateWantList()[0];
+      evaluateWantList();
+      window.showToast = originalToast;
+      return { above, met, toasts, stored: getWantList()[0].met };
+    });
+    expect(result.above.status).toBe('above');
+    expect(result.above.offer).toMatchObject({ vendorId: 'jmbullion', price: 34 });
+    expect(result.above.premiumPct).toBeCloseTo(13.33, 1);
+    expect(result.met.status).toBe('met');
+    expect(result.toasts).toHaveLength(1);
+    expect(result.toasts[0]).toContain('American Silver Eagle');
+    expect(result.stored).toBe(true);
+  });
+
+  test('Add to inventory pre-fills the item form and counts toward the target', async ({ page }) => {
+    const id = await page.evaluate(() => {
+      const { want } = addWant({ name: 'American Silver Eagle', slug: 'ase', numistaId: '1493', targetQty: 3, maxPrice: '40' });
+      convertWantToItem(want.id);
+      return want.id;
+    });
+    await expect(page.locator('#itemModal')).toBeVisible();
+    await expect(page.locator('#itemModal #itemName')).toHaveValue('American Silver Eagle');
+    await expect(page.locator('#itemModal #itemMetal')).toHaveValue('Silver');
+    await expect(page.locator('#itemModal #itemPuritySelect')).toHaveValue('0.999');
+    await expect(page.locator('#itemModal #itemQty')).toHaveValue('3');
+    await expect(page.locator('#itemModal #itemPrice')).toHaveValue('34.00');
+
+    await page.fill('#itemModal #itemQty', '2');
+    await page.locator('#itemModalSubmit').click();
+    const want = await page.evaluate((wantId) => ({
+      want: getWantList().find(w => w.id === wantId),
+      uuid: inventory[inventory.length - 1].uuid,
+    }), id);
+    expect(want.want.acquiredQty).toBe(2);
+    expect(want.want.itemIds).toEqual([want.uuid]);
+  });
+
+  test('Settings → Want List renders wants by priority with their status', async ({ page }) => {
+    await page.evaluate(() => {
+      addWant({ name: 'Low priority eagle', slug: 'ase', targetQty: 1, maxPrice: '30', priority: 'low' });
+      addWant({ name: 'Urgent eagle', slug: 'ase', targetQty: 1, maxPrice: '35', priority: 'high' });
+      showSettingsModal('wants');
+    });
+    const rows = page.locator('#wantListRows .want-row');
+    await expect(rows).toHaveCount(2);
+    await expect(rows.nth(0)).toContainText('Urgent eagle — Target met');
+    await expect(rows.nth(0)).toHaveClass(/want-row--met/);
+    await expect(rows.nth(1)).toContainText('Low priority eagle — Above target');
+
+    await page.fill('#wantName', 'Maple Leaf');
+    await page.fill('#wantMaxPrice', '40');
+    await page.locator('#wantAddBtn').click();
+    await expect(rows).toHaveCount(3);
+  });
+});